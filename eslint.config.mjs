@@ -72,6 +72,22 @@ export default [
       'no-duplicate-imports': 'error',
     },
   },
+  {
+    // 主進程與前端共用模組 (主進程以 CommonJS 載入、前端以 ES Module 載入，不依賴 Node 或瀏覽器 API)
+    files: ['src/shared/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+    },
+    rules: {
+      'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
+      'no-undef': 'error',
+      eqeqeq: ['error', 'always'],
+      'no-var': 'error',
+      'prefer-const': 'warn',
+      'no-duplicate-imports': 'error',
+    },
+  },
   {
     // 測試檔案
     files: ['tests/**/*.js'],
@@ -0,0 +1,527 @@
+/**
+ * 命令列介面（CLI）模組
+ * termlauncher open / add / list / search / recent / launchers
+ *
+ * 已有實例執行中時，第二個實例將引數轉交主實例執行（second-instance 事件），
+ * 主實例經由本機通道回傳輸出；沒有執行中的實例時直接執行指令後結束，不開啟視窗
+ */
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+const {
+  loadConfig,
+  saveConfig,
+  getDefaultTerminalId,
+  getDirectoryTerminalId,
+} = require('./config');
+const { openTerminal } = require('./terminal');
+const { loadHistory, recordLaunch, getRecentLaunches } = require('./history');
+const { validatePathSafety } = require('./utils/path-utils');
+const { isRemoteDirectory, getSshTarget } = require('./utils/ssh-utils');
+const { getGroupTerminalId } = require('./utils/group-utils');
+const { rankDirectories } = require('../shared/fuzzy-match');
+const {
+  parseCliArgs,
+  parseLimit,
+  buildReplyPath,
+  isValidCliRequest,
+  formatTable,
+  formatHelp,
+} = require('./utils/cli-utils');
+const { notifyConfigChanged } = require('./mcp/utils');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('CLI');
+
+// 等待主實例回覆的逾時（毫秒）
+const REPLY_TIMEOUT_MS = 15000;
+
+// search 與 recent 的預設筆數
+const DEFAULT_LIMIT = 20;
+
+/**
+ * 建立成功結果
+ * @param {string} stdout - 標準輸出
+ * @returns {{ exitCode: number, stdout: string, stderr: string }}
+ */
+function ok(stdout) {
+  return { exitCode: 0, stdout, stderr: '' };
+}
+
+/**
+ * 建立失敗結果
+ * @param {string} message - 錯誤訊息
+ * @param {number} [exitCode] - 結束代碼（引數錯誤為 2）
+ * @returns {{ exitCode: number, stdout: string, stderr: string }}
+ */
+function fail(message, exitCode = 1) {
+  return { exitCode, stdout: '', stderr: message + '\n' };
+}
+
+/**
+ * 格式化 JSON 輸出
+ * @param {*} value - 輸出資料
+ * @returns {string}
+ */
+function formatJson(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
+
+/**
+ * 依 ID 或名稱（不分大小寫）查找項目
+ * @param {Array} items - 啟動器或群組列表
+ * @param {string} value - ID 或名稱
+ * @returns {Object|undefined}
+ */
+function findByIdOrName(items, value) {
+  const name = value.toLowerCase();
+  return (
+    (items || []).find(item => item.id === value) ||
+    (items || []).find(item => item.name?.toLowerCase() === name)
+  );
+}
+
+/**
+ * 取得目錄的顯示位置（遠端目錄加上 SSH 目標）
+ * @param {Object} dir - 目錄物件
+ * @returns {string}
+ */
+function getDirectoryLocation(dir) {
+  return isRemoteDirectory(dir) ? `${getSshTarget(dir.remote)}:${dir.path}` : dir.path;
+}
+
+/**
+ * 將目錄轉為輸出資料（附加群組名稱和啟動器名稱）
+ * @param {Object} dir - 目錄物件
+ * @param {Object} config - 配置
+ * @returns {Object}
+ */
+function toDirectoryOutput(dir, config) {
+  const terminalId = getDirectoryTerminalId(dir, config);
+  const groupId = dir.group || 'default';
+  return {
+    id: dir.id,
+    name: dir.name,
+    icon: dir.icon,
+    path: dir.path,
+    location: getDirectoryLocation(dir),
+    remote: dir.remote,
+    terminalId,
+    terminalName: config.terminals?.find(t => t.id === terminalId)?.name || terminalId,
+    group: groupId,
+    groupName: config.groups?.find(g => g.id === groupId)?.name || groupId,
+    tags: dir.tags,
+  };
+}
+
+/**
+ * 格式化目錄表格
+ * @param {Object[]} rows - toDirectoryOutput 的結果
+ * @returns {string}
+ */
+function formatDirectoryTable(rows) {
+  return formatTable(rows, [
+    { key: 'id', label: 'ID' },
+    { key: 'name', label: 'NAME' },
+    { key: 'groupName', label: 'GROUP' },
+    { key: 'terminalName', label: 'LAUNCHER' },
+    { key: 'location', label: 'PATH' },
+  ]);
+}
+
+/**
+ * 模糊搜尋目錄（同分時依最近使用排序，未曾啟動的目錄排在最後）
+ * @param {string} query - 查詢字串
+ * @param {Object} config - 配置
+ * @returns {Array<{ item: Object, score: number, highlights: Object }>}
+ */
+function searchDirectories(query, config) {
+  const usageRank = new Map(
+    getRecentLaunches({ limit: Infinity }).map((item, index) => [item.directoryId, index])
+  );
+  const directories = [...(config.directories || [])].sort(
+    (a, b) => (usageRank.get(a.id) ?? Infinity) - (usageRank.get(b.id) ?? Infinity)
+  );
+
+  return rankDirectories(query, directories, dir => {
+    const output = toDirectoryOutput(dir, config);
+    return {
+      name: output.name,
+      path: output.location,
+      group: output.groupName,
+      launcher: output.terminalName,
+      tags: output.tags || [],
+    };
+  });
+}
+
+/**
+ * 解析要開啟的目錄：依序比對 ID、完整名稱（不分大小寫）與模糊搜尋最佳結果
+ * @param {string} query - 目錄 ID、名稱或關鍵字
+ * @param {Object} config - 配置
+ * @returns {Object|undefined}
+ */
+function resolveDirectory(query, config) {
+  const directories = config.directories || [];
+  if (/^\d+$/.test(query)) {
+    const byId = directories.find(d => d.id === Number(query));
+    if (byId) return byId;
+  }
+
+  const name = query.toLowerCase();
+  const byName = directories.find(d => d.name.toLowerCase() === name);
+  if (byName) return byName;
+
+  const [best] = searchDirectories(query, config);
+  return best?.item;
+}
+
+/**
+ * open：以目錄的啟動器（或 --with 指定的啟動器）開啟目錄
+ * @param {string} query - 目錄 ID、名稱或關鍵字
+ * @param {Object} options - 指令選項
+ * @param {Object} config - 配置
+ * @param {string} source - 啟動來源
+ * @returns {Promise<Object>} 執行結果
+ */
+async function runOpen(query, options, config, source) {
+  const dir = resolveDirectory(query, config);
+  if (!dir) {
+    return fail(`No directory matches "${query}"`);
+  }
+
+  const terminal = options.with
+    ? findByIdOrName(config.terminals, options.with)
+    : config.terminals?.find(t => t.id === getDirectoryTerminalId(dir, config));
+  if (!terminal) {
+    return fail(`Launcher not found: ${options.with || getDirectoryTerminalId(dir, config)}`);
+  }
+
+  const result = await openTerminal(dir, terminal, {
+    groups: config.groups,
+    launchCheckMs: config.settings?.launchCheckMs,
+  });
+
+  // 記錄啟動歷史並通知前端與托盤更新最近使用
+  recordLaunch({ dir, terminalId: terminal.id, source, result });
+  notifyConfigChanged();
+
+  if (!result.success) {
+    return fail(
+      `Failed to open ${dir.name} with ${terminal.name}: ${result.errorDetail || result.errorType}`
+    );
+  }
+  return ok(`Opened ${dir.name} with ${terminal.name}\n`);
+}
+
+/**
+ * add：新增本機目錄（相對路徑以呼叫端工作目錄解析）
+ * @param {string} target - 目錄路徑
+ * @param {Object} options - 指令選項
+ * @param {Object} config - 配置
+ * @param {string} cwd - 呼叫端工作目錄
+ * @returns {Object} 執行結果
+ */
+function runAdd(target, options, config, cwd) {
+  const dirPath = path.resolve(cwd, target);
+
+  const pathSafety = validatePathSafety(dirPath);
+  if (!pathSafety.safe) {
+    return fail(`Unsafe path: ${pathSafety.reason}`);
+  }
+  try {
+    if (!fs.statSync(dirPath).isDirectory()) {
+      return fail(`Path is not a directory: ${dirPath}`);
+    }
+  } catch {
+    return fail(`Path does not exist: ${dirPath}`);
+  }
+
+  const existing = config.directories.find(d => !isRemoteDirectory(d) && d.path === dirPath);
+  if (existing) {
+    return fail(`Directory already exists: ${existing.name} (id ${existing.id})`);
+  }
+
+  const group = options.group ? findByIdOrName(config.groups, options.group) : null;
+  if (options.group && !group) {
+    return fail(`Group not found: ${options.group}`);
+  }
+
+  const terminal = options.with ? findByIdOrName(config.terminals, options.with) : null;
+  if (options.with && !terminal) {
+    return fail(`Launcher not found: ${options.with}`);
+  }
+
+  const name = options.name?.trim() || path.basename(dirPath) || dirPath;
+  const maxId = Math.max(0, ...config.directories.map(d => d.id));
+  const newDir = {
+    id: maxId + 1,
+    name,
+    icon: options.icon || '📁',
+    path: dirPath,
+    group: group?.id || 'default',
+    order: config.directories.length,
+  };
+  // 未指定啟動器且群組已設定預設啟動器時沿用群組設定
+  if (terminal || !getGroupTerminalId(config.groups, newDir.group)) {
+    newDir.terminalId = terminal?.id || config.terminals?.[0]?.id || getDefaultTerminalId();
+  }
+
+  config.directories.push(newDir);
+  if (!saveConfig(config)) {
+    return fail('Failed to save config');
+  }
+  notifyConfigChanged();
+
+  return ok(options.json ? formatJson(newDir) : `Added ${name} (id ${newDir.id})\n`);
+}
+
+/**
+ * list：列出目錄（可依群組 ID 或名稱過濾）
+ * @param {Object} options - 指令選項
+ * @param {Object} config - 配置
+ * @returns {Object} 執行結果
+ */
+function runList(options, config) {
+  let directories = config.directories || [];
+
+  if (options.group) {
+    const group = findByIdOrName(config.groups, options.group);
+    if (!group) {
+      return fail(`Group not found: ${options.group}`);
+    }
+    directories = directories.filter(d => (d.group || 'default') === group.id);
+  }
+
+  const rows = directories.map(d => toDirectoryOutput(d, config));
+  return ok(options.json ? formatJson(rows) : formatDirectoryTable(rows));
+}
+
+/**
+ * search：模糊搜尋目錄
+ * @param {string} query - 查詢字串
+ * @param {Object} options - 指令選項
+ * @param {Object} config - 配置
+ * @returns {Object} 執行結果
+ */
+function runSearch(query, options, config) {
+  const limit = parseLimit(options.limit, DEFAULT_LIMIT);
+  if (limit === null) {
+    return fail('Option --limit must be a positive integer', 2);
+  }
+
+  const results = searchDirectories(query, config).slice(0, limit);
+  if (options.json) {
+    return ok(
+      formatJson(
+        results.map(({ item, score, highlights }) => ({
+          ...toDirectoryOutput(item, config),
+          score: Math.round(score * 100) / 100,
+          matches: highlights,
+        }))
+      )
+    );
+  }
+  return ok(formatDirectoryTable(results.map(({ item }) => toDirectoryOutput(item, config))));
+}
+
+/**
+ * recent：列出最近啟動的目錄
+ * @param {Object} options - 指令選項
+ * @param {Object} config - 配置
+ * @returns {Object} 執行結果
+ */
+function runRecent(options, config) {
+  const limit = parseLimit(options.limit, DEFAULT_LIMIT);
+  if (limit === null) {
+    return fail('Option --limit must be a positive integer', 2);
+  }
+
+  const rows = getRecentLaunches({ limit })
+    .map(launch => {
+      const dir = config.directories.find(d => d.id === launch.directoryId);
+      if (!dir) return null;
+      const terminal = config.terminals?.find(t => t.id === launch.terminalId);
+      return {
+        ...toDirectoryOutput(dir, config),
+        terminalId: launch.terminalId,
+        terminalName: terminal?.name || launch.terminalId,
+        lastUsed: new Date(launch.lastUsed).toISOString(),
+        count: launch.count,
+      };
+    })
+    .filter(Boolean);
+
+  if (options.json) {
+    return ok(formatJson(rows));
+  }
+  return ok(
+    formatTable(rows, [
+      { key: 'id', label: 'ID' },
+      { key: 'name', label: 'NAME' },
+      { key: 'terminalName', label: 'LAUNCHER' },
+      { key: 'lastUsed', label: 'LAST USED' },
+      { key: 'count', label: 'COUNT' },
+    ])
+  );
+}
+
+/**
+ * launchers：列出啟動器
+ * @param {Object} options - 指令選項
+ * @param {Object} config - 配置
+ * @returns {Object} 執行結果
+ */
+function runLaunchers(options, config) {
+  const rows = (config.terminals || []).map(t => ({
+    id: t.id,
+    name: t.name,
+    icon: t.icon,
+    command: t.command,
+    hidden: Boolean(t.hidden),
+  }));
+
+  if (options.json) {
+    return ok(formatJson(rows));
+  }
+  return ok(
+    formatTable(rows, [
+      { key: 'id', label: 'ID' },
+      { key: 'name', label: 'NAME' },
+      { key: 'command', label: 'COMMAND' },
+    ])
+  );
+}
+
+/**
+ * 執行 CLI 指令
+ * @param {string[]} args - CLI 引數（第一個為指令名稱）
+ * @param {Object} [context]
+ * @param {string} [context.cwd] - 呼叫端工作目錄（解析 add 的相對路徑）
+ * @param {string} [context.source] - 啟動來源（深層連結為 link）
+ * @returns {Promise<{ exitCode: number, stdout: string, stderr: string }>}
+ */
+async function executeCliCommand(args, { cwd = process.cwd(), source = 'cli' } = {}) {
+  const parsed = parseCliArgs(args);
+  if (parsed.error) {
+    return fail(parsed.error, 2);
+  }
+
+  const { command, options } = parsed;
+  const config = loadConfig();
+  logger.info(`Run command: ${command}`);
+
+  try {
+    switch (command) {
+      case 'open':
+        return await runOpen(parsed.args[0], options, config, source);
+      case 'add':
+        return runAdd(parsed.args[0], options, config, cwd);
+      case 'list':
+        return runList(options, config);
+      case 'search':
+        return runSearch(parsed.args.join(' '), options, config);
+      case 'recent':
+        return runRecent(options, config);
+      case 'launchers':
+        return runLaunchers(options, config);
+      default:
+        return ok(formatHelp());
+    }
+  } catch (err) {
+    logger.error(`Command failed: ${command}`, err);
+    return fail(err.message);
+  }
+}
+
+/**
+ * 輸出執行結果並結束行程
+ * @param {{ exitCode: number, stdout: string, stderr: string }} result - 執行結果
+ */
+function exitWithResult(result) {
+  process.stdout.write(result.stdout || '', () => {
+    process.stderr.write(result.stderr || '', () => {
+      app.exit(Number.isInteger(result.exitCode) ? result.exitCode : 1);
+    });
+  });
+}
+
+/**
+ * CLI 呼叫端：建立回覆通道後將引數轉交主實例；沒有執行中的實例時直接執行
+ * @param {string[]} args - CLI 引數
+ */
+function runCliClient(args) {
+  const replyPath = buildReplyPath(crypto.randomBytes(8).toString('hex'), {
+    tmpDir: os.tmpdir(),
+  });
+
+  const server = net.createServer(socket => {
+    let data = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', chunk => {
+      data += chunk;
+    });
+    socket.on('end', () => {
+      clearTimeout(timer);
+      server.close();
+      try {
+        exitWithResult(JSON.parse(data));
+      } catch {
+        exitWithResult(fail('Invalid reply from TermLauncher'));
+      }
+    });
+  });
+
+  const timer = setTimeout(() => {
+    server.close();
+    exitWithResult(fail('Timed out waiting for TermLauncher to respond'));
+  }, REPLY_TIMEOUT_MS);
+
+  server.on('error', err => {
+    clearTimeout(timer);
+    exitWithResult(fail(`Cannot open reply channel: ${err.message}`));
+  });
+
+  server.listen(replyPath, () => {
+    const gotTheLock = app.requestSingleInstanceLock({
+      cli: { args, cwd: process.cwd(), replyPath },
+    });
+    if (!gotTheLock) return;
+
+    // 沒有執行中的實例：不開啟視窗，直接執行指令
+    clearTimeout(timer);
+    server.close();
+    app.whenReady().then(async () => {
+      loadHistory();
+      exitWithResult(await executeCliCommand(args));
+    });
+  });
+}
+
+/**
+ * 主實例處理第二個實例轉交的 CLI 請求，並經由回覆通道回傳輸出
+ * @param {Object} request - additionalData.cli { args, cwd, replyPath }
+ */
+async function handleCliRequest(request) {
+  if (!isValidCliRequest(request)) {
+    logger.warn('Ignored invalid CLI request');
+    return;
+  }
+
+  const result = await executeCliCommand(request.args, { cwd: request.cwd });
+  const socket = net.connect(request.replyPath, () => {
+    socket.end(JSON.stringify(result));
+  });
+  socket.on('error', err => {
+    logger.warn(`Failed to send CLI reply: ${err.message}`);
+  });
+}
+
+module.exports = {
+  executeCliCommand,
+  runCliClient,
+  handleCliRequest,
+};
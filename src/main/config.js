@@ -7,6 +7,11 @@ const path = require('path');
 const fs = require('fs');
 const { createLogger } = require('./logger');
 const { migrateConfig: migrateConfigUtil } = require('./utils/config-migration');
+const { isRemoteDirectory } = require('./utils/ssh-utils');
+const { mergeTags } = require('./utils/tag-utils');
+const { repairGroupParents, resolveDirectoryTerminalId } = require('./utils/group-utils');
+const { MAX_SMART_GROUPS, validateSmartGroup } = require('./utils/smart-group-utils');
+const { findFavorite, createFavoriteId, normalizeFavorites } = require('./utils/favorite-utils');
 
 const logger = createLogger('Config');
 
@@ -35,6 +40,8 @@ function getFileManagerTerminal() {
         name: 'File Explorer',
         command: 'explorer.exe {path}',
         pathFormat: 'windows',
+        // explorer.exe 成功開啟時仍會回傳結束代碼 1
+        ignoreExitCode: true,
       };
   }
 }
@@ -70,6 +77,7 @@ function getDefaultTerminals() {
           name: 'Terminal',
           icon: '🖥️',
           command: 'x-terminal-emulator --working-directory={path}',
+          remoteCommand: 'x-terminal-emulator -e {ssh}',
           pathFormat: 'unix',
           isBuiltin: true,
           hidden: false,
@@ -106,6 +114,7 @@ function getDefaultTerminals() {
           name: 'PowerShell',
           icon: '⚡',
           command: 'wt.exe -w 0 new-tab -p "Windows PowerShell" -d {path}',
+          remoteCommand: 'wt.exe -w 0 new-tab {ssh}',
           pathFormat: 'windows',
           isBuiltin: true,
           hidden: false,
@@ -133,6 +142,16 @@ function getDefaultTerminalId() {
   }
 }
 
+/**
+ * 取得目錄實際使用的啟動器 ID（目錄自訂 > 群組預設 > 平台預設）
+ * @param {Object} dir - 目錄物件
+ * @param {Object} [config] - 配置物件（預設讀取目前配置）
+ * @returns {string} 啟動器 ID
+ */
+function getDirectoryTerminalId(dir, config = loadConfig()) {
+  return resolveDirectoryTerminalId(dir, config.groups, getDefaultTerminalId());
+}
+
 /**
  * 取得平台預設的使用者目錄路徑
  * @returns {string} 預設路徑
@@ -156,6 +175,7 @@ const defaultGroups = [
     icon: '📁',
     isDefault: true,
     order: 0,
+    parentId: null,
   },
 ];
 
@@ -169,22 +189,29 @@ const defaultConfig = {
       path: getDefaultUserPath(),
       terminalId: getDefaultTerminalId(),
       group: 'default',
-      lastUsed: null,
       order: 0,
     },
   ],
   terminals: [...defaultTerminals],
   groups: [...defaultGroups],
   favorites: [],
+  workspaces: [],
+  scanRoots: [],
+  smartGroups: [],
+  hotkeys: [],
   settings: {
     autoLaunch: false,
     startMinimized: false,
     minimizeToTray: true,
     globalShortcut: 'Alt+Space',
+    paletteShortcut: 'Alt+Shift+Space',
     theme: 'dark',
     language: 'zh-TW',
     showTabText: true,
     recentLimit: 10,
+    recentSort: 'frecency',
+    launchCheckMs: 1000,
+    keymap: {},
     mcp: {
       enabled: true,
       port: 23549,
@@ -337,10 +364,13 @@ function exportConfigAdvanced(options = {}) {
   if (includeGroups) {
     // 只匯出非預設群組
     exportData.groups = config.groups?.filter(g => !g.isDefault) || [];
+    exportData.smartGroups = config.smartGroups || [];
   }
 
   if (includeDirectories) {
     exportData.directories = config.directories || [];
+    // 工作區依附於目錄，隨目錄一併匯出
+    exportData.workspaces = config.workspaces || [];
   }
 
   if (includeSettings) {
@@ -351,6 +381,8 @@ function exportConfigAdvanced(options = {}) {
     const validDirIds = new Set(
       (config.directories || [])
         .filter(d => {
+          // 遠端目錄無法在本機檢查，一律保留
+          if (isRemoteDirectory(d)) return true;
           try {
             return fs.existsSync(d.path);
           } catch {
@@ -359,7 +391,7 @@ function exportConfigAdvanced(options = {}) {
         })
         .map(d => d.id)
     );
-    exportData.favorites = (config.favorites || []).filter(id => validDirIds.has(id));
+    exportData.favorites = (config.favorites || []).filter(f => validDirIds.has(f.directoryId));
   }
 
   return exportData;
@@ -471,11 +503,90 @@ function importConfigAdvanced(importData, options = {}) {
       const defaultGroup = newConfig.groups.find(g => g.isDefault);
       newConfig.groups = [defaultGroup, ...importData.groups];
     }
+
+    // 映射父群組 ID，父群組不存在或形成循環時改為頂層群組
+    importData.groups.forEach(importedGroup => {
+      if (importedGroup.parentId && groupIdMap.has(importedGroup.parentId)) {
+        importedGroup.parentId = groupIdMap.get(importedGroup.parentId);
+      }
+      if (importedGroup.parentId === undefined) {
+        importedGroup.parentId = null;
+      }
+
+      // 映射群組預設啟動器，啟動器不存在時改為沿用上層設定
+      if (importedGroup.terminalId && terminalIdMap.has(importedGroup.terminalId)) {
+        importedGroup.terminalId = terminalIdMap.get(importedGroup.terminalId);
+      }
+      if (
+        importedGroup.terminalId &&
+        !newConfig.terminals.some(t => t.id === importedGroup.terminalId)
+      ) {
+        errors.push(
+          `Terminal "${importedGroup.terminalId}" not found for group "${importedGroup.name}", using inherited launcher`
+        );
+        delete importedGroup.terminalId;
+      }
+    });
+    repairGroupParents(newConfig.groups);
+  }
+
+  // 匯入智慧群組（略過無效的智慧群組，映射規則中的啟動器 ID，合併模式以名稱去重）
+  if (Array.isArray(importData.smartGroups)) {
+    importData.smartGroups = importData.smartGroups.filter(importedSmartGroup => {
+      const validation = validateSmartGroup(importedSmartGroup, 'smartGroups[]');
+      if (!validation.valid) {
+        errors.push(`Skipped invalid smart group: ${validation.error}`);
+      }
+      return validation.valid;
+    });
+    importData.smartGroups.forEach(importedSmartGroup => {
+      importedSmartGroup.rules.forEach(rule => {
+        if (rule.type === 'launcher' && terminalIdMap.has(rule.value)) {
+          rule.value = terminalIdMap.get(rule.value);
+        }
+      });
+    });
+
+    if (mergeGroups) {
+      if (!Array.isArray(newConfig.smartGroups)) newConfig.smartGroups = [];
+      importData.smartGroups.forEach(importedSmartGroup => {
+        const existingByName = newConfig.smartGroups.find(
+          g => g.name.toLowerCase() === importedSmartGroup.name.toLowerCase()
+        );
+        if (existingByName) {
+          logger.info(`Smart group "${importedSmartGroup.name}" already exists, skipped`);
+          return;
+        }
+        if (newConfig.smartGroups.length >= MAX_SMART_GROUPS) {
+          errors.push(`Skipped smart group "${importedSmartGroup.name}": limit reached`);
+          return;
+        }
+        if (newConfig.smartGroups.some(g => g.id === importedSmartGroup.id)) {
+          importedSmartGroup.id =
+            'imported-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11);
+        }
+        importedSmartGroup.order = newConfig.smartGroups.length;
+        newConfig.smartGroups.push(importedSmartGroup);
+      });
+    } else {
+      newConfig.smartGroups = importData.smartGroups.slice(0, MAX_SMART_GROUPS);
+    }
   }
 
   // 匯入目錄
   const dirIdMap = new Map();
   if (importData.directories) {
+    // 正規化匯入的標籤（去重、去除無效標籤並限制數量）
+    importData.directories.forEach(importedDir => {
+      if (importedDir.tags === undefined) return;
+      const tags = mergeTags([], importedDir.tags);
+      if (tags.length > 0) {
+        importedDir.tags = tags;
+      } else {
+        delete importedDir.tags;
+      }
+    });
+
     if (mergeDirectories) {
       // 合併模式：用 path 語意去重，檢查終端和群組參照
       const maxId = Math.max(0, ...newConfig.directories.map(d => d.id));
@@ -484,8 +595,11 @@ function importConfigAdvanced(importData, options = {}) {
       importData.directories.forEach(importedDir => {
         const existingByPath = newConfig.directories.find(d => d.path === importedDir.path);
         if (existingByPath) {
-          // 同路徑目錄已存在，跳過並建立 ID 映射
+          // 同路徑目錄已存在，跳過並建立 ID 映射，標籤合併到既有目錄
           dirIdMap.set(importedDir.id, existingByPath.id);
+          if (importedDir.tags) {
+            existingByPath.tags = mergeTags(existingByPath.tags, importedDir.tags);
+          }
           logger.info(`Directory "${importedDir.path}" already exists, skipped`);
           return;
         }
@@ -533,6 +647,30 @@ function importConfigAdvanced(importData, options = {}) {
     }
   }
 
+  // 匯入工作區（依附於目錄，映射目錄與啟動器 ID）
+  if (Array.isArray(importData.workspaces)) {
+    if (mergeDirectories) {
+      if (!Array.isArray(newConfig.workspaces)) newConfig.workspaces = [];
+      importData.workspaces.forEach(importedWorkspace => {
+        if (dirIdMap.has(importedWorkspace.directoryId)) {
+          importedWorkspace.directoryId = dirIdMap.get(importedWorkspace.directoryId);
+        }
+        (importedWorkspace.steps || []).forEach(step => {
+          if (terminalIdMap.has(step.terminalId)) {
+            step.terminalId = terminalIdMap.get(step.terminalId);
+          }
+        });
+        if (newConfig.workspaces.some(w => w.id === importedWorkspace.id)) {
+          importedWorkspace.id =
+            'imported-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11);
+        }
+        newConfig.workspaces.push(importedWorkspace);
+      });
+    } else {
+      newConfig.workspaces = importData.workspaces;
+    }
+  }
+
   // 匯入設定
   if (importData.settings) {
     if (mergeSettings) {
@@ -543,26 +681,51 @@ function importConfigAdvanced(importData, options = {}) {
     }
   }
 
-  // 匯入最愛
+  // 匯入最愛（舊版目錄 ID 先轉為目錄 + 啟動器組合，再映射目錄與啟動器 ID）
   if (importData.favorites) {
+    const importedFavorites = normalizeFavorites(importData.favorites).favorites;
+    importedFavorites.forEach(importedFavorite => {
+      if (dirIdMap.has(importedFavorite.directoryId)) {
+        importedFavorite.directoryId = dirIdMap.get(importedFavorite.directoryId);
+      }
+      if (importedFavorite.terminalId && terminalIdMap.has(importedFavorite.terminalId)) {
+        importedFavorite.terminalId = terminalIdMap.get(importedFavorite.terminalId);
+      }
+      if (
+        importedFavorite.terminalId &&
+        !newConfig.terminals.some(t => t.id === importedFavorite.terminalId)
+      ) {
+        errors.push(
+          `Terminal "${importedFavorite.terminalId}" not found for favorite "${importedFavorite.id}", using directory launcher`
+        );
+        delete importedFavorite.terminalId;
+      }
+    });
+
     if (mergeFavorites) {
-      // 合併模式：用 dirIdMap 映射後去重
-      const existingFavorites = new Set(newConfig.favorites);
-      importData.favorites.forEach(fav => {
-        const mappedId = dirIdMap.has(fav) ? dirIdMap.get(fav) : fav;
-        if (!existingFavorites.has(mappedId)) {
-          newConfig.favorites.push(mappedId);
-          existingFavorites.add(mappedId);
+      // 合併模式：相同的目錄與啟動器組合只保留一個
+      importedFavorites.forEach(importedFavorite => {
+        const { directoryId, terminalId } = importedFavorite;
+        if (findFavorite(newConfig.favorites, directoryId, terminalId)) return;
+        if (newConfig.favorites.some(f => f.id === importedFavorite.id)) {
+          importedFavorite.id = createFavoriteId(newConfig.favorites);
         }
+        newConfig.favorites.push(importedFavorite);
       });
     } else {
-      newConfig.favorites = importData.favorites;
+      // 啟動器不存在而改用目錄啟動器後可能產生重複組合，再正規化一次
+      newConfig.favorites = normalizeFavorites(importedFavorites).favorites;
     }
   }
 
-  // 過濾 favorites 中指向不存在目錄的 ID
+  // 過濾 favorites 中指向不存在目錄的項目
   const validDirIds = new Set(newConfig.directories.map(d => d.id));
-  newConfig.favorites = newConfig.favorites.filter(fId => validDirIds.has(fId));
+  newConfig.favorites = newConfig.favorites.filter(f => validDirIds.has(f.directoryId));
+
+  // 過濾 workspaces 中指向不存在目錄的工作區
+  if (Array.isArray(newConfig.workspaces)) {
+    newConfig.workspaces = newConfig.workspaces.filter(w => validDirIds.has(w.directoryId));
+  }
 
   // 儲存配置
   const saveResult = saveConfig(newConfig);
@@ -612,5 +775,6 @@ module.exports = {
   importConfigAdvanced,
   getExportPreview,
   getDefaultTerminalId,
+  getDirectoryTerminalId,
   migrateConfig,
 };
@@ -0,0 +1,170 @@
+/**
+ * 容器模組
+ * 偵測目錄的 Dev Container / Docker Compose 設定，啟動前尋找對應的執行中容器
+ */
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const {
+  DEVCONTAINER_CONFIG_FILES,
+  COMPOSE_FILES,
+  DEVCONTAINER_LABEL,
+  COMPOSE_LABEL,
+  parseDevcontainerConfig,
+  getWorkspaceFolder,
+  buildContainerLookupArgs,
+  buildContainerExecArgs,
+  getContainerStartCommand,
+  classifyDockerError,
+} = require('./utils/container-utils');
+
+const logger = createLogger('Container');
+
+// docker 命令逾時（毫秒）
+const DOCKER_COMMAND_TIMEOUT = 5000;
+
+/**
+ * 執行 docker 命令
+ * @param {string[]} args - 引數
+ * @param {Object} [options] - execFile 選項
+ * @returns {Promise<{ ok: boolean, stdout: string, stderr: string }>}
+ */
+function runDocker(args, options = {}) {
+  return new Promise(resolve => {
+    execFile(
+      'docker',
+      args,
+      { timeout: DOCKER_COMMAND_TIMEOUT, ...options },
+      (err, stdout, stderr) => {
+        resolve({
+          ok: !err,
+          stdout: String(stdout || ''),
+          stderr: String(stderr || err?.message || ''),
+        });
+      }
+    );
+  });
+}
+
+/**
+ * 尋找第一個存在的設定檔
+ * @param {string} dirPath - 目錄路徑
+ * @param {string[]} candidates - 相對路徑候選
+ * @returns {Promise<string|null>} 相對路徑
+ */
+async function findFirstFile(dirPath, candidates) {
+  for (const candidate of candidates) {
+    try {
+      const stat = await fs.promises.stat(path.join(dirPath, candidate));
+      if (stat.isFile()) {
+        return candidate;
+      }
+    } catch {
+      // 檔案不存在，繼續檢查下一個
+    }
+  }
+  return null;
+}
+
+/**
+ * 偵測目錄的容器設定檔
+ * @param {string} dirPath - 目錄路徑
+ * @returns {Promise<Object|null>} { devcontainer, compose }（設定檔相對路徑或 null），皆無時為 null
+ */
+async function detectContainerConfig(dirPath) {
+  const [devcontainer, compose] = await Promise.all([
+    findFirstFile(dirPath, DEVCONTAINER_CONFIG_FILES),
+    findFirstFile(dirPath, COMPOSE_FILES),
+  ]);
+  return devcontainer || compose ? { devcontainer, compose } : null;
+}
+
+/**
+ * 批次偵測多個目錄的容器設定檔
+ * @param {string[]} paths - 目錄路徑列表
+ * @returns {Promise<Object>} { [path]: { devcontainer, compose } | null }
+ */
+async function detectContainers(paths) {
+  const entries = await Promise.all(
+    paths.map(async dirPath => [dirPath, await detectContainerConfig(dirPath)])
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * 讀取 Dev Container 的工作區路徑
+ * @param {string} dirPath - 目錄路徑
+ * @param {string|null} configFile - devcontainer.json 相對路徑
+ * @returns {string}
+ */
+function readWorkspaceFolder(dirPath, configFile) {
+  let config = null;
+  if (configFile) {
+    try {
+      config = parseDevcontainerConfig(fs.readFileSync(path.join(dirPath, configFile), 'utf-8'));
+    } catch (err) {
+      logger.warn('Failed to read devcontainer.json', { error: err.message });
+    }
+  }
+  return getWorkspaceFolder(config, dirPath);
+}
+
+/**
+ * 準備進入目錄容器的命令
+ * 依序以 Dev Container 與 Docker Compose 標籤尋找執行中的容器（取第一個符合的容器）
+ * @param {Object} dir - 目錄物件 { path }
+ * @param {Object} terminal - 終端配置 { container }
+ * @param {Object} [env] - 啟動環境變數（預設 process.env）
+ * @returns {Promise<Object>} { success, args?, reason?, error?, startCommand? }
+ *   reason：'permission' | 'daemon'（docker 無法使用）、'notRunning'（找不到容器）、'failed'
+ */
+async function prepareContainerSession(dir, terminal, env = process.env) {
+  const detected = await detectContainerConfig(dir.path);
+  // devcontainer exec 只能進入 Dev Container，不使用 Compose 標籤
+  const lookups = [
+    { label: DEVCONTAINER_LABEL, source: 'devcontainer' },
+    { label: COMPOSE_LABEL, source: 'compose' },
+  ].filter(lookup => terminal.container !== 'devcontainer' || lookup.source === 'devcontainer');
+
+  for (const lookup of lookups) {
+    const listed = await runDocker(buildContainerLookupArgs(lookup.label, dir.path), { env });
+    if (!listed.ok) {
+      const reason = classifyDockerError(listed.stderr) || 'failed';
+      logger.warn('Failed to list containers', { reason, error: listed.stderr.trim() });
+      return { success: false, reason, error: listed.stderr.trim() };
+    }
+
+    const containerId = listed.stdout.split(/\s+/).filter(Boolean)[0];
+    if (!containerId) continue;
+
+    // devcontainer exec 自行解析工作區，只需確認容器已啟動
+    if (terminal.container === 'devcontainer') {
+      return {
+        success: true,
+        args: buildContainerExecArgs('devcontainer', { dirPath: dir.path }),
+      };
+    }
+
+    const workdir =
+      lookup.source === 'devcontainer'
+        ? readWorkspaceFolder(dir.path, detected?.devcontainer)
+        : undefined;
+    return {
+      success: true,
+      args: buildContainerExecArgs('docker', { dirPath: dir.path, containerId, workdir }),
+    };
+  }
+
+  return {
+    success: false,
+    reason: 'notRunning',
+    startCommand: getContainerStartCommand(detected, dir.path),
+  };
+}
+
+module.exports = {
+  detectContainerConfig,
+  detectContainers,
+  prepareContainerSession,
+};
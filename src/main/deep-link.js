@@ -0,0 +1,134 @@
+/**
+ * 深層連結模組
+ * 註冊 termlauncher:// 協定並處理連結（macOS 經由 open-url，Windows / Linux 經由命令列引數）
+ * 連結轉為 CLI 指令執行，會新增或修改項目的動作需使用者確認
+ */
+const path = require('path');
+const { app, dialog } = require('electron');
+const { getMainWindow, showMainWindow } = require('./window');
+const { t } = require('./i18n');
+const { executeCliCommand } = require('./cli');
+const { validateDeepLink } = require('./utils/ipc-validators');
+const {
+  DEEP_LINK_PROTOCOL,
+  DEEP_LINK_ACTIONS,
+  parseDeepLink,
+  toCliArgs,
+} = require('./utils/deep-link-utils');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('DeepLink');
+
+// 應用程式就緒前收到的連結（就緒後依序處理）
+const pendingLinks = [];
+
+/**
+ * 將應用程式註冊為 termlauncher:// 協定的預設處理程式
+ * 以 electron 執行原始碼時需帶入應用路徑
+ */
+function registerProtocolClient() {
+  const registered = process.defaultApp
+    ? app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL, process.execPath, [
+        path.resolve(process.argv[1]),
+      ])
+    : app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL);
+
+  if (!registered) {
+    logger.warn(`Failed to register ${DEEP_LINK_PROTOCOL}:// protocol`);
+  }
+}
+
+/**
+ * 顯示訊息對話框（主視窗存在時附加於主視窗）
+ * @param {Object} options - dialog.showMessageBox 選項
+ * @returns {Promise<{ response: number }>}
+ */
+function showMessageBox(options) {
+  const mainWindow = getMainWindow();
+  return mainWindow && !mainWindow.isDestroyed()
+    ? dialog.showMessageBox(mainWindow, options)
+    : dialog.showMessageBox(options);
+}
+
+/**
+ * 顯示錯誤對話框
+ * @param {string} message - 訊息
+ * @param {string} detail - 詳細內容
+ */
+async function showLinkError(message, detail) {
+  await showMessageBox({
+    type: 'error',
+    title: t('dialog.deepLink.title'),
+    message,
+    detail,
+  });
+}
+
+/**
+ * 詢問使用者是否執行連結動作
+ * @param {{ action: string, params: Object }} link - 連結
+ * @returns {Promise<boolean>}
+ */
+async function confirmLink(link) {
+  const detail = Object.entries(link.params)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n');
+  const { response } = await showMessageBox({
+    type: 'question',
+    title: t('dialog.deepLink.title'),
+    message: t(`dialog.deepLink.confirm.${link.action}`),
+    detail,
+    buttons: [t(`dialog.deepLink.actions.${link.action}`), t('dialog.deepLink.cancel')],
+    defaultId: 0,
+    cancelId: 1,
+    noLink: true,
+  });
+  return response === 0;
+}
+
+/**
+ * 處理深層連結（應用程式就緒前收到的連結暫存至就緒後處理）
+ * @param {string} url - 連結
+ */
+async function handleDeepLink(url) {
+  if (!app.isReady()) {
+    pendingLinks.push(url);
+    return;
+  }
+
+  const link = parseDeepLink(url);
+  const validation = link.error ? { valid: false, error: link.error } : validateDeepLink(link);
+  if (!validation.valid) {
+    logger.warn(`Invalid deep link: ${validation.error}`);
+    await showLinkError(t('dialog.deepLink.invalid'), validation.error);
+    return;
+  }
+
+  logger.info(`Handle deep link: ${link.action}`);
+
+  if (DEEP_LINK_ACTIONS[link.action].confirm) {
+    showMainWindow();
+    if (!(await confirmLink(link))) {
+      logger.info(`Deep link cancelled: ${link.action}`);
+      return;
+    }
+  }
+
+  const result = await executeCliCommand(toCliArgs(link), { source: 'link' });
+  if (result.exitCode !== 0) {
+    await showLinkError(t('dialog.deepLink.failed'), result.stderr.trim());
+  }
+}
+
+/**
+ * 處理應用程式就緒前收到的連結
+ */
+function flushPendingDeepLinks() {
+  pendingLinks.splice(0).forEach(handleDeepLink);
+}
+
+module.exports = {
+  registerProtocolClient,
+  handleDeepLink,
+  flushPendingDeepLinks,
+};
@@ -0,0 +1,166 @@
+/**
+ * Git 狀態模組
+ * 讀取目錄的分支、變更狀態、領先/落後數與最後提交時間
+ * 以 TTL 快取與限定並行數避免大量目錄同時執行 git
+ */
+const { execFile } = require('child_process');
+const os = require('os');
+const { createLogger } = require('./logger');
+const {
+  parseGitStatus,
+  parseLastCommitTime,
+  isNotRepositoryError,
+  mapWithConcurrency,
+} = require('./utils/git-utils');
+
+const logger = createLogger('GitStatus');
+
+// git 命令逾時（毫秒）
+const GIT_COMMAND_TIMEOUT = 5000;
+
+// 快取 TTL（毫秒）與最大項目數
+const CACHE_TTL = 30 * 1000;
+const MAX_CACHE_SIZE = 500;
+
+// 同時執行的 git 讀取數上限
+const MAX_CONCURRENCY = 4;
+
+// 停用儲存庫設定中會執行外部程式的選項，避免列出不受信任的目錄時執行其中的程式
+const SAFE_GIT_OPTIONS = ['-c', 'core.fsmonitor=false', '-c', `core.hooksPath=${os.devNull}`];
+
+// 快取儲存：path → { value, timestamp }
+const cache = new Map();
+
+// 進行中的讀取：path → Promise，避免同一目錄重複執行
+const pending = new Map();
+
+/**
+ * 執行 git 命令
+ * @param {string[]} args - 引數
+ * @param {string} cwd - 工作目錄
+ * @returns {Promise<{ ok: boolean, stdout: string, stderr: string }>}
+ */
+function runGit(args, cwd) {
+  return new Promise(resolve => {
+    execFile(
+      'git',
+      [...SAFE_GIT_OPTIONS, ...args],
+      { cwd, timeout: GIT_COMMAND_TIMEOUT, windowsHide: true },
+      (err, stdout, stderr) => {
+        resolve({
+          ok: !err,
+          stdout: String(stdout || ''),
+          stderr: String(stderr || err?.message || ''),
+        });
+      }
+    );
+  });
+}
+
+/**
+ * 讀取目錄的 Git 狀態（不使用快取）
+ * @param {string} dirPath - 目錄路徑
+ * @returns {Promise<Object|null>} Git 狀態，非 Git 儲存庫或 git 無法使用時為 null
+ */
+async function readGitStatus(dirPath) {
+  // --no-optional-locks 避免與使用者正在執行的 git 命令搶鎖
+  const status = await runGit(
+    ['--no-optional-locks', 'status', '--porcelain=v2', '--branch'],
+    dirPath
+  );
+  if (!status.ok) {
+    if (!isNotRepositoryError(status.stderr)) {
+      logger.debug(`Failed to read git status for "${dirPath}"`, { error: status.stderr.trim() });
+    }
+    return null;
+  }
+
+  const result = parseGitStatus(status.stdout);
+  const log = await runGit(['log', '-1', '--format=%ct'], dirPath);
+  result.lastCommit = log.ok ? parseLastCommitTime(log.stdout) : null;
+  return result;
+}
+
+/**
+ * 取得快取值
+ * @param {string} dirPath - 目錄路徑
+ * @returns {Object|null|undefined} 快取值，未快取或已過期時為 undefined
+ */
+function getCache(dirPath) {
+  const cached = cache.get(dirPath);
+  if (!cached) return undefined;
+
+  if (Date.now() - cached.timestamp > CACHE_TTL) {
+    cache.delete(dirPath);
+    return undefined;
+  }
+  return cached.value;
+}
+
+/**
+ * 設定快取值（超過上限時移除最舊的項目）
+ * @param {string} dirPath - 目錄路徑
+ * @param {Object|null} value - Git 狀態
+ */
+function setCache(dirPath, value) {
+  cache.delete(dirPath);
+  if (cache.size >= MAX_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(dirPath, { value, timestamp: Date.now() });
+}
+
+/**
+ * 取得目錄的 Git 狀態
+ * @param {string} dirPath - 目錄路徑
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.force] - 略過快取重新讀取
+ * @returns {Promise<Object|null>}
+ */
+async function getGitStatus(dirPath, options = {}) {
+  if (!options.force) {
+    const cached = getCache(dirPath);
+    if (cached !== undefined) return cached;
+  }
+
+  if (pending.has(dirPath)) {
+    return pending.get(dirPath);
+  }
+
+  const promise = readGitStatus(dirPath)
+    .then(value => {
+      setCache(dirPath, value);
+      return value;
+    })
+    .finally(() => pending.delete(dirPath));
+  pending.set(dirPath, promise);
+  return promise;
+}
+
+/**
+ * 批次取得多個目錄的 Git 狀態（限定並行數）
+ * @param {string[]} paths - 目錄路徑列表
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.force] - 略過快取重新讀取
+ * @returns {Promise<Object>} { [path]: Git 狀態 | null }
+ */
+async function getGitStatuses(paths, options = {}) {
+  const uniquePaths = [...new Set(paths)];
+  const results = await mapWithConcurrency(uniquePaths, MAX_CONCURRENCY, dirPath =>
+    getGitStatus(dirPath, options)
+  );
+  return Object.fromEntries(uniquePaths.map((dirPath, index) => [dirPath, results[index]]));
+}
+
+/**
+ * 清除 Git 狀態快取
+ */
+function invalidateGitStatusCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getGitStatus,
+  getGitStatuses,
+  invalidateGitStatusCache,
+};
@@ -0,0 +1,120 @@
+/**
+ * 群組啟動模組
+ * 一次開啟群組（含子群組）中的所有目錄，每次啟動之間間隔一段時間以免同時開啟過多視窗
+ */
+const { loadConfig, getDefaultTerminalId } = require('./config');
+const { recordLaunch } = require('./history');
+const { openTerminal, createErrorResult, ErrorType } = require('./terminal');
+const { wait, normalizeDelay, summarizeSteps } = require('./workspace');
+const {
+  getGroupDescendantIds,
+  sortGroupsByTree,
+  resolveDirectoryTerminalId,
+} = require('./utils/group-utils');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('GroupLaunch');
+
+// 預設啟動間隔（毫秒）
+const GROUP_LAUNCH_INTERVAL = 500;
+
+/**
+ * 取得群組要啟動的目錄（群組本身的目錄在前，再依樹狀順序列出子群組的目錄）
+ * @param {Object} config - 配置物件
+ * @param {string} groupId - 群組 ID
+ * @param {boolean} [includeSubgroups=true] - 是否包含子群組的目錄
+ * @returns {Object[]}
+ */
+function getGroupLaunchDirectories(config, groupId, includeSubgroups = true) {
+  const descendantIds = includeSubgroups
+    ? new Set(getGroupDescendantIds(config.groups, groupId))
+    : new Set();
+  const groupIds = [
+    groupId,
+    ...sortGroupsByTree(config.groups)
+      .filter(g => descendantIds.has(g.id))
+      .map(g => g.id),
+  ];
+
+  return groupIds.flatMap(id =>
+    config.directories
+      .filter(d => (d.group || 'default') === id)
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+  );
+}
+
+/**
+ * 依序開啟群組中的所有目錄（各目錄使用自訂或繼承的啟動器）
+ * 單一目錄失敗不會中斷後續目錄，所有結果彙整為單一回傳值
+ * @param {string} groupId - 群組 ID
+ * @param {Object} [options] - 選項
+ * @param {string} [options.source] - 啟動來源（記錄於啟動歷史，預設 'ui'）
+ * @param {boolean} [options.includeSubgroups] - 是否包含子群組的目錄（預設 true）
+ * @param {number} [options.interval] - 每次啟動之間的間隔毫秒（預設 GROUP_LAUNCH_INTERVAL）
+ * @returns {Promise<Object>} { success, partial, groupId, groupName, succeeded, failed, results, error? }
+ */
+async function launchGroup(groupId, options = {}) {
+  const config = loadConfig();
+  const group = config.groups.find(g => g.id === groupId);
+
+  if (!group) {
+    return { success: false, error: 'Group not found' };
+  }
+
+  const directories = getGroupLaunchDirectories(config, groupId, options.includeSubgroups ?? true);
+  if (directories.length === 0) {
+    return { success: false, groupId, groupName: group.name, error: 'Group has no directories' };
+  }
+
+  const interval = normalizeDelay(options.interval ?? GROUP_LAUNCH_INTERVAL);
+  const defaultTerminalId = getDefaultTerminalId();
+
+  logger.info(`Launching group "${group.name}"`, { directories: directories.length, interval });
+
+  const results = [];
+  for (let index = 0; index < directories.length; index++) {
+    if (index > 0 && interval > 0) {
+      await wait(interval);
+    }
+
+    const dir = directories[index];
+    const terminalId = resolveDirectoryTerminalId(dir, config.groups, defaultTerminalId);
+    const terminal = config.terminals?.find(t => t.id === terminalId);
+    const result = terminal
+      ? await openTerminal(dir, terminal, {
+          groups: config.groups,
+          launchCheckMs: config.settings?.launchCheckMs,
+        })
+      : createErrorResult(ErrorType.TERMINAL_NOT_FOUND, terminalId);
+
+    recordLaunch({ dir, terminalId, source: options.source || 'ui', result });
+
+    if (!result.success) {
+      logger.warn(`Failed to launch "${dir.name}" in group "${group.name}"`, {
+        terminalId,
+        errorType: result.errorType,
+      });
+    }
+
+    results.push({
+      ...result,
+      directoryId: dir.id,
+      directoryName: dir.name,
+      terminalId,
+      terminalName: terminal?.name || terminalId,
+    });
+  }
+
+  return {
+    ...summarizeSteps(results),
+    groupId,
+    groupName: group.name,
+    results,
+  };
+}
+
+module.exports = {
+  GROUP_LAUNCH_INTERVAL,
+  getGroupLaunchDirectories,
+  launchGroup,
+};
@@ -0,0 +1,203 @@
+/**
+ * 啟動歷史模組
+ * 以附加寫入的 history.jsonl 記錄每次啟動（時間、目錄、啟動器、來源與結果），
+ * 並提供最近使用彙整；超過保留期限時重寫檔案
+ */
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { loadConfig, saveConfig } = require('./config');
+const { createLogger } = require('./logger');
+const {
+  MAX_HISTORY_ENTRIES,
+  createHistoryEntry,
+  parseHistory,
+  serializeHistory,
+  applyRetention,
+  buildLegacyEntries,
+  summarizeRecent,
+} = require('./utils/history-utils');
+
+const logger = createLogger('History');
+
+// 啟動歷史檔路徑
+const historyPath = path.join(app.getPath('userData'), 'history.jsonl');
+
+// 超過上限多少筆後才重寫檔案，避免每次啟動都重寫
+const COMPACT_SLACK = 500;
+
+// 記憶體快取（依時間排序）
+let cachedEntries = null;
+
+/**
+ * 以暫存檔重寫啟動歷史檔
+ * @param {Array} entries - 啟動記錄
+ */
+function writeHistory(entries) {
+  const tmpPath = historyPath + '.tmp';
+  try {
+    fs.writeFileSync(tmpPath, serializeHistory(entries), 'utf-8');
+    fs.renameSync(tmpPath, historyPath);
+  } catch (err) {
+    logger.error('Failed to write history', err);
+    try {
+      if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+    } catch {
+      // 忽略清理失敗
+    }
+  }
+}
+
+/**
+ * 將舊版 directories[].lastUsed 轉入啟動歷史，並自配置移除該欄位
+ * @returns {Array} 轉入的啟動記錄
+ */
+function migrateLegacyLastUsed() {
+  const config = loadConfig();
+  const entries = buildLegacyEntries(config.directories);
+  const hasLegacyField = (config.directories || []).some(dir => 'lastUsed' in dir);
+
+  if (hasLegacyField) {
+    config.directories.forEach(dir => {
+      delete dir.lastUsed;
+    });
+    saveConfig(config);
+  }
+  if (entries.length > 0) {
+    logger.info(`Migrated ${entries.length} lastUsed timestamps into launch history`);
+  }
+  return entries;
+}
+
+/**
+ * 載入啟動歷史（首次載入時套用保留期限）
+ * @returns {Array} 啟動記錄（依時間排序）
+ */
+function loadHistory() {
+  if (cachedEntries) {
+    return cachedEntries;
+  }
+
+  let entries;
+  let needsWrite = false;
+  try {
+    if (fs.existsSync(historyPath)) {
+      entries = parseHistory(fs.readFileSync(historyPath, 'utf-8'));
+    } else {
+      entries = migrateLegacyLastUsed();
+      needsWrite = true;
+    }
+  } catch (err) {
+    logger.error('Failed to load history', err);
+    entries = [];
+  }
+
+  const retained = applyRetention(entries);
+  if (needsWrite || retained.length !== entries.length) {
+    writeHistory(retained);
+  }
+
+  cachedEntries = retained;
+  return cachedEntries;
+}
+
+/**
+ * 記錄一次啟動
+ * @param {Object} launch - 啟動資訊 { dir, terminalId, source, result, workspaceId? }
+ * @returns {Object} 啟動記錄
+ */
+function recordLaunch(launch) {
+  const entries = loadHistory();
+  const entry = createHistoryEntry(launch);
+  entries.push(entry);
+
+  try {
+    fs.appendFileSync(historyPath, serializeHistory([entry]), 'utf-8');
+  } catch (err) {
+    logger.error('Failed to append history', err);
+  }
+
+  if (entries.length > MAX_HISTORY_ENTRIES + COMPACT_SLACK) {
+    cachedEntries = applyRetention(entries);
+    writeHistory(cachedEntries);
+  }
+
+  return entry;
+}
+
+/**
+ * 取得最近使用的目錄（排除已刪除的目錄）
+ * @param {Object} [options] - 選項
+ * @param {number} [options.limit] - 最多筆數（預設為設定的 recentLimit）
+ * @param {string} [options.sort] - 排序方式（預設為設定的 recentSort）
+ * @returns {Array} [{ directoryId, lastUsed, terminalId, source, success, errorType?, count, score }]
+ */
+function getRecentLaunches(options = {}) {
+  const config = loadConfig();
+  const limit = options.limit || config.settings?.recentLimit || 10;
+  return summarizeRecent(loadHistory(), {
+    directoryIds: new Set((config.directories || []).map(dir => dir.id)),
+    limit,
+    sort: options.sort || config.settings?.recentSort,
+  });
+}
+
+/**
+ * 取得各目錄的最後使用時間
+ * @returns {Map<number, number>} directoryId → 毫秒時間戳
+ */
+function getLastUsedMap() {
+  return new Map(summarizeRecent(loadHistory()).map(item => [item.directoryId, item.lastUsed]));
+}
+
+/**
+ * 自啟動歷史移除指定目錄的所有記錄
+ * @param {number} directoryId - 目錄 ID
+ */
+function removeDirectoryHistory(directoryId) {
+  cachedEntries = loadHistory().filter(entry => entry.directoryId !== directoryId);
+  writeHistory(cachedEntries);
+}
+
+/**
+ * 移除已刪除目錄的啟動記錄（避免之後重用的目錄 ID 沿用舊記錄）
+ * @param {Array} directories - 目前的目錄列表
+ */
+function pruneDeletedDirectories(directories = []) {
+  const directoryIds = new Set(directories.map(dir => dir.id));
+  const entries = loadHistory();
+  const kept = entries.filter(
+    entry => entry.directoryId === null || directoryIds.has(entry.directoryId)
+  );
+  if (kept.length !== entries.length) {
+    cachedEntries = kept;
+    writeHistory(cachedEntries);
+  }
+}
+
+/**
+ * 清除所有啟動歷史
+ */
+function clearHistory() {
+  cachedEntries = [];
+  writeHistory(cachedEntries);
+}
+
+/**
+ * 清除記憶體快取（下次讀取時重新載入檔案）
+ */
+function invalidateHistoryCache() {
+  cachedEntries = null;
+}
+
+module.exports = {
+  historyPath,
+  loadHistory,
+  recordLaunch,
+  getRecentLaunches,
+  getLastUsedMap,
+  removeDirectoryHistory,
+  pruneDeletedDirectories,
+  clearHistory,
+  invalidateHistoryCache,
+};
@@ -3,32 +3,50 @@
  * 應用程式生命週期管理
  */
 const { app, BrowserWindow } = require('electron');
-const { createWindow, getMainWindow } = require('./window');
+const { createWindow, showMainWindow } = require('./window');
 const { createTray } = require('./tray');
 const { registerShortcut, unregisterAllShortcuts } = require('./shortcuts');
 const { setupIpcHandlers } = require('./ipc-handlers');
 const { loadLocale } = require('./i18n');
 const { loadConfig } = require('./config');
+const { loadHistory } = require('./history');
 const { logCacheStats } = require('./terminal');
 const { startMcpServer, stopMcpServer } = require('./mcp');
+const { runCliClient, handleCliRequest } = require('./cli');
+const { getCliArgs } = require('./utils/cli-utils');
+const { registerProtocolClient, handleDeepLink, flushPendingDeepLinks } = require('./deep-link');
+const { findDeepLink } = require('./utils/deep-link-utils');
 
-// 單一實例鎖定
-const gotTheLock = app.requestSingleInstanceLock();
+// 命令列指令（termlauncher open / add / list ...）轉交執行中的實例或直接執行
+const cliArgs = getCliArgs(process.argv, process.defaultApp);
 
-if (!gotTheLock) {
+if (cliArgs) {
+  runCliClient(cliArgs);
+} else if (!app.requestSingleInstanceLock()) {
   // 已有實例運行中，退出當前實例
   app.quit();
 } else {
-  // 當第二個實例嘗試啟動時，聚焦到現有視窗
-  app.on('second-instance', () => {
-    const mainWindow = getMainWindow();
-    if (mainWindow) {
-      if (mainWindow.isMinimized()) {
-        mainWindow.restore();
-      }
-      mainWindow.show();
-      mainWindow.focus();
+  // 當第二個實例嘗試啟動時，聚焦到現有視窗（CLI 呼叫則執行指令並回傳輸出）
+  app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    if (additionalData?.cli) {
+      handleCliRequest(additionalData.cli);
+      return;
     }
+
+    // Windows / Linux 的深層連結由命令列引數傳入
+    const deepLink = findDeepLink(argv);
+    if (deepLink) {
+      handleDeepLink(deepLink);
+      return;
+    }
+
+    showMainWindow();
+  });
+
+  // macOS 的深層連結（可能在應用程式就緒前觸發）
+  app.on('open-url', (event, url) => {
+    event.preventDefault();
+    handleDeepLink(url);
   });
 
   // 設定 IPC 事件處理器
@@ -43,10 +61,21 @@ if (!gotTheLock) {
     const defaultLocale = supportedLocales.includes(systemLocale) ? systemLocale : 'zh-TW';
     loadLocale(config.settings?.language || defaultLocale);
 
+    // 視窗載入配置前先載入啟動歷史（首次啟動時轉移舊版 lastUsed）
+    loadHistory();
+
     createWindow();
     createTray();
     registerShortcut();
 
+    // 註冊 termlauncher:// 協定，並處理啟動時帶入的連結
+    registerProtocolClient();
+    const initialLink = findDeepLink(process.argv);
+    if (initialLink) {
+      handleDeepLink(initialLink);
+    }
+    flushPendingDeepLinks();
+
     // 依配置啟動 MCP Server
     const mcpSettings = config.settings?.mcp;
     if (mcpSettings?.enabled !== false) {
@@ -13,10 +13,28 @@ const {
   exportConfigAdvanced,
   importConfigAdvanced,
   getExportPreview,
-  getDefaultTerminalId,
+  getDirectoryTerminalId,
 } = require('./config');
 const { openTerminal, previewCommand, detectInstalledTerminals } = require('./terminal');
-const { registerShortcut, getLastRegistrationResult } = require('./shortcuts');
+const { runWorkspace } = require('./workspace');
+const { launchGroup } = require('./group-launch');
+const { detectContainers } = require('./container');
+const { scanProjects, importProjects } = require('./scanner');
+const { getGitStatuses } = require('./git-status');
+const {
+  recordLaunch,
+  getRecentLaunches,
+  removeDirectoryHistory,
+  pruneDeletedDirectories,
+  clearHistory,
+} = require('./history');
+const {
+  registerShortcut,
+  getLastRegistrationResult,
+  getPaletteRegistrationResult,
+  getHotkeyRegistrationResults,
+} = require('./shortcuts');
+const { hidePalette } = require('./palette');
 const { getMainWindow } = require('./window');
 const { getAvailableLocales, loadLocale, t } = require('./i18n');
 const { updateTrayMenu } = require('./tray');
@@ -30,10 +48,13 @@ const {
   validateImportOptions,
   validateLocaleCode,
   validateBoolean,
+  validatePositiveInteger,
   validateSafeUrl,
   validateString,
   validateRendererError,
   validatePathsArray,
+  validateStringArray,
+  validateImportProjects,
 } = require('./utils/ipc-validators');
 
 const logger = createLogger('IPC');
@@ -58,6 +79,7 @@ function setupIpcHandlers() {
 
     const result = saveConfig(config);
     if (result) {
+      pruneDeletedDirectories(config.directories); // 移除已刪除目錄的啟動歷史
       registerShortcut(); // 重新註冊快捷鍵
       updateTrayMenu(); // 更新托盤選單（最愛/最近可能變更）
     }
@@ -65,7 +87,7 @@ function setupIpcHandlers() {
   });
 
   // 開啟終端
-  ipcMain.handle('open-terminal', (event, dir) => {
+  ipcMain.handle('open-terminal', async (event, dir) => {
     // 驗證目錄物件
     const validation = validateDirectory(dir);
     if (!validation.valid) {
@@ -75,23 +97,74 @@ function setupIpcHandlers() {
 
     const config = loadConfig();
 
-    // 更新最近使用時間
-    const dirIndex = config.directories.findIndex(d => d.id === dir.id);
-    if (dirIndex !== -1) {
-      config.directories[dirIndex].lastUsed = Date.now();
-      saveConfig(config);
-      updateTrayMenu();
-    }
-
-    // 取得終端配置
-    const terminalId = dir.terminalId || getDefaultTerminalId();
+    // 取得終端配置（目錄未自訂時沿用群組預設啟動器）
+    const terminalId = getDirectoryTerminalId(dir, config);
     const terminal = config.terminals?.find(t => t.id === terminalId);
 
     if (!terminal) {
       return { success: false, error: 'Terminal config not found' };
     }
 
-    return openTerminal(dir, terminal);
+    const result = await openTerminal(dir, terminal, {
+      groups: config.groups,
+      launchCheckMs: config.settings?.launchCheckMs,
+    });
+
+    // 記錄啟動歷史（成功與失敗皆記錄）
+    recordLaunch({ dir, terminalId, source: 'ui', result });
+    updateTrayMenu();
+    return result;
+  });
+
+  // 執行工作區
+  ipcMain.handle('run-workspace', async (event, workspaceId) => {
+    const validation = validateString(workspaceId, 'workspaceId');
+    if (!validation.valid) {
+      logger.warn(`Invalid workspaceId: ${validation.error}`);
+      return { success: false, error: validation.error };
+    }
+
+    const result = await runWorkspace(workspaceId, { source: 'ui' });
+    updateTrayMenu();
+    return result;
+  });
+
+  // 開啟群組中的所有目錄
+  ipcMain.handle('launch-group', async (event, groupId) => {
+    const validation = validateString(groupId, 'groupId');
+    if (!validation.valid) {
+      logger.warn(`Invalid groupId: ${validation.error}`);
+      return { success: false, error: validation.error };
+    }
+
+    const result = await launchGroup(groupId, { source: 'ui' });
+    updateTrayMenu();
+    return result;
+  });
+
+  // 取得最近使用（依啟動歷史彙整，回傳全部目錄，由前端依 recentLimit 截斷）
+  ipcMain.handle('get-recent-launches', () => {
+    return getRecentLaunches({ limit: Infinity });
+  });
+
+  // 自最近使用移除目錄（刪除該目錄的啟動歷史）
+  ipcMain.handle('remove-recent', (event, directoryId) => {
+    const validation = validatePositiveInteger(directoryId, 'directoryId');
+    if (!validation.valid) {
+      logger.warn(`Invalid directoryId: ${validation.error}`);
+      return false;
+    }
+
+    removeDirectoryHistory(directoryId);
+    updateTrayMenu();
+    return true;
+  });
+
+  // 清除所有啟動歷史
+  ipcMain.handle('clear-recent', () => {
+    clearHistory();
+    updateTrayMenu();
+    return true;
   });
 
   // 預覽終端命令
@@ -116,14 +189,14 @@ function setupIpcHandlers() {
 
     // 取得終端配置
     const terminal = config.terminals?.find(
-      t => t.id === (terminalId || dir.terminalId || getDefaultTerminalId())
+      t => t.id === (terminalId || getDirectoryTerminalId(dir, config))
     );
 
     if (!terminal) {
       return { success: false, error: 'Terminal config not found' };
     }
 
-    return previewCommand(dir, terminal);
+    return previewCommand(dir, terminal, { groups: config.groups });
   });
 
   // 匯出配置（基本版）
@@ -186,6 +259,7 @@ function setupIpcHandlers() {
           return { success: false, error: validation.error };
         }
         saveConfig(config);
+        pruneDeletedDirectories(config.directories);
         return { success: true, config };
       } catch (err) {
         return { success: false, error: err.message };
@@ -216,7 +290,10 @@ function setupIpcHandlers() {
         const importData = JSON.parse(data);
 
         const importResult = importConfigAdvanced(importData, options);
-        if (importResult.success) updateTrayMenu();
+        if (importResult.success) {
+          pruneDeletedDirectories(importResult.config.directories);
+          updateTrayMenu();
+        }
         return importResult;
       } catch (err) {
         return { success: false, errors: [err.message] };
@@ -326,7 +403,14 @@ function setupIpcHandlers() {
 
   // 取得快捷鍵註冊狀態
   ipcMain.handle('get-shortcut-status', () => {
-    return getLastRegistrationResult();
+    const result = getLastRegistrationResult();
+    return (
+      result && {
+        ...result,
+        palette: getPaletteRegistrationResult(),
+        hotkeys: getHotkeyRegistrationResults(),
+      }
+    );
   });
 
   // 開啟外部連結
@@ -369,6 +453,11 @@ function setupIpcHandlers() {
     return process.platform;
   });
 
+  // 取得家目錄（智慧群組路徑規則展開 ~ 用）
+  ipcMain.handle('get-home-dir', () => {
+    return app.getPath('home');
+  });
+
   // 記錄前端錯誤
   const rendererLogger = createLogger('Renderer');
   ipcMain.handle('log-renderer-error', (event, error, context) => {
@@ -401,6 +490,19 @@ function setupIpcHandlers() {
     }
   });
 
+  // 開啟日誌目錄（尚未產生日誌時先建立目錄）
+  ipcMain.handle('open-logs-directory', async () => {
+    try {
+      const logsPath = path.join(app.getPath('userData'), 'logs');
+      await fsPromises.mkdir(logsPath, { recursive: true });
+      const error = await shell.openPath(logsPath);
+      return error ? { success: false, error } : { success: true };
+    } catch (err) {
+      logger.error('Failed to open logs directory', err);
+      return { success: false, error: err.message };
+    }
+  });
+
   // 驗證多個路徑是否存在
   ipcMain.handle('validate-paths', async (event, paths) => {
     const validation = validatePathsArray(paths);
@@ -423,12 +525,70 @@ function setupIpcHandlers() {
     return Object.fromEntries(entries);
   });
 
+  // 偵測多個目錄的 Dev Container / Docker Compose 設定檔
+  ipcMain.handle('detect-containers', async (event, paths) => {
+    const validation = validatePathsArray(paths);
+    if (!validation.valid) {
+      return {};
+    }
+    return detectContainers(paths.filter(p => typeof p === 'string'));
+  });
+
+  // 批次取得多個目錄的 Git 狀態
+  ipcMain.handle('get-git-statuses', async (event, paths, force) => {
+    const validation = validatePathsArray(paths);
+    if (!validation.valid) {
+      return {};
+    }
+    return getGitStatuses(
+      paths.filter(p => typeof p === 'string'),
+      { force: force === true }
+    );
+  });
+
+  // 掃描根目錄探索專案
+  ipcMain.handle('scan-projects', async (event, rootIds) => {
+    if (rootIds !== undefined && rootIds !== null) {
+      const validation = validateStringArray(rootIds, 'rootIds');
+      if (!validation.valid) {
+        logger.warn(`Invalid rootIds: ${validation.error}`);
+        return { success: false, error: validation.error };
+      }
+    }
+
+    try {
+      return await scanProjects({ rootIds: rootIds || undefined });
+    } catch (err) {
+      logger.error('Failed to scan projects', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 匯入探索到的專案
+  ipcMain.handle('import-projects', (event, projects) => {
+    const validation = validateImportProjects(projects);
+    if (!validation.valid) {
+      logger.warn(`Invalid projects: ${validation.error}`);
+      return { success: false, error: validation.error };
+    }
+
+    try {
+      const result = importProjects(projects);
+      updateTrayMenu();
+      return result;
+    } catch (err) {
+      logger.error('Failed to import projects', err);
+      return { success: false, error: err.message };
+    }
+  });
+
   // 重設所有設定
   ipcMain.handle('reset-config', () => {
     try {
       // 深拷貝預設設定
       const newConfig = JSON.parse(JSON.stringify(defaultConfig));
       saveConfig(newConfig);
+      clearHistory();
       updateTrayMenu();
       return { success: true, config: newConfig };
     } catch (err) {
@@ -479,6 +639,11 @@ function setupIpcHandlers() {
     const mainWindow = getMainWindow();
     if (mainWindow) mainWindow.close();
   });
+
+  // 隱藏快速啟動面板
+  ipcMain.on('hide-palette', () => {
+    hidePalette();
+  });
 }
 
 module.exports = {
@@ -38,14 +38,20 @@ function createMcpServer(McpServer, z) {
   const { registerProjectTools } = require('./tools/projects');
   const { registerLauncherTools } = require('./tools/launchers');
   const { registerGroupTools } = require('./tools/groups');
+  const { registerSmartGroupTools } = require('./tools/smart-groups');
   const { registerFavoriteTools } = require('./tools/favorites');
   const { registerRecentTools } = require('./tools/recent');
+  const { registerWorkspaceTools } = require('./tools/workspaces');
+  const { registerDiscoveryTools } = require('./tools/discovery');
 
   registerProjectTools(server, z);
   registerLauncherTools(server, z);
   registerGroupTools(server, z);
+  registerSmartGroupTools(server, z);
   registerFavoriteTools(server, z);
   registerRecentTools(server, z);
+  registerWorkspaceTools(server, z);
+  registerDiscoveryTools(server, z);
 
   return server;
 }
@@ -0,0 +1,66 @@
+/**
+ * MCP 工具：專案探索
+ * scan_projects
+ */
+const { scanProjects, importProjects } = require('../../scanner');
+const { notifyConfigChanged } = require('../utils');
+
+/**
+ * 註冊專案探索相關 MCP 工具
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('zod').ZodType} z
+ */
+function registerDiscoveryTools(server, z) {
+  // 掃描根目錄探索專案
+  server.tool(
+    'scan_projects',
+    'Scan the configured root folders for projects (.git, package.json, Cargo.toml, pyproject.toml, go.mod, *.sln). Reports projects not yet added and projects that vanished since the last scan',
+    {
+      rootId: z.string().optional().describe('Only scan this root (default: all roots)'),
+      importNew: z
+        .boolean()
+        .optional()
+        .describe('Import discovered projects that are not yet added as directories'),
+    },
+    async ({ rootId, importNew }) => {
+      const result = await scanProjects({ rootIds: rootId ? [rootId] : undefined });
+
+      if (!result.success) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+          isError: true,
+        };
+      }
+
+      const notAdded = result.projects.filter(p => p.directoryId === null);
+      const response = {
+        roots: result.roots,
+        projects: notAdded.map(p => ({
+          path: p.path,
+          name: p.name,
+          markers: p.markers,
+          group: p.group,
+          terminalId: p.terminalId,
+          isNew: p.isNew,
+        })),
+        alreadyAdded: result.projects.length - notAdded.length,
+        vanished: result.vanished,
+      };
+
+      if (importNew && notAdded.length > 0) {
+        const imported = importProjects(notAdded);
+        response.imported = imported.added.map(d => ({ id: d.id, name: d.name, path: d.path }));
+        response.skipped = imported.skipped;
+      }
+
+      // 掃描結果快照已寫入配置
+      notifyConfigChanged();
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(response, null, 2) }],
+      };
+    }
+  );
+}
+
+module.exports = { registerDiscoveryTools };
@@ -2,7 +2,8 @@
  * MCP 工具：最愛管理
  * list_favorites, toggle_favorite
  */
-const { loadConfig, saveConfig } = require('../../config');
+const { loadConfig, saveConfig, getDirectoryTerminalId } = require('../../config');
+const { findFavorite, createFavorite, getFavoriteName } = require('../../utils/favorite-utils');
 const { notifyConfigChanged } = require('../utils');
 
 /**
@@ -11,8 +12,8 @@ const { notifyConfigChanged } = require('../utils');
  * @param {import('zod').ZodType} z
  */
 function registerFavoriteTools(server, z) {
-  // 列出最愛
-  server.tool('list_favorites', 'List all favorite directories', {}, async () => {
+  // 列出最愛（每個最愛為目錄 + 啟動器組合）
+  server.tool('list_favorites', 'List all favorites (directory + launcher pairs)', {}, async () => {
     const config = loadConfig();
     const favorites = config.favorites || [];
     const directories = config.directories || [];
@@ -20,16 +21,21 @@ function registerFavoriteTools(server, z) {
     const groups = config.groups || [];
 
     const result = favorites
-      .map(fId => {
-        const dir = directories.find(d => d.id === fId);
+      .map(favorite => {
+        const dir = directories.find(d => d.id === favorite.directoryId);
         if (!dir) return null;
+        const terminalId = favorite.terminalId || getDirectoryTerminalId(dir, config);
         return {
-          id: dir.id,
-          name: dir.name,
+          id: favorite.id,
+          directoryId: dir.id,
+          name: getFavoriteName(favorite, dir),
+          directoryName: dir.name,
+          label: favorite.label,
           icon: dir.icon,
           path: dir.path,
-          terminalId: dir.terminalId,
-          terminalName: terminals.find(t => t.id === dir.terminalId)?.name || dir.terminalId,
+          terminalId,
+          terminalName: terminals.find(t => t.id === terminalId)?.name || terminalId,
+          pinnedLauncher: !!favorite.terminalId,
           group: dir.group,
           groupName: groups.find(g => g.id === dir.group)?.name || dir.group,
         };
@@ -44,11 +50,19 @@ function registerFavoriteTools(server, z) {
   // 切換最愛
   server.tool(
     'toggle_favorite',
-    'Toggle a directory as favorite',
+    'Toggle a favorite. Without terminalId the favorite opens with the directory launcher; with terminalId the same directory can be favorited once per launcher',
     {
       directoryId: z.number().describe('Directory ID to toggle'),
+      terminalId: z
+        .string()
+        .optional()
+        .describe('Launcher ID to open this favorite with (omit to use the directory launcher)'),
+      label: z
+        .string()
+        .optional()
+        .describe('Custom label shown instead of the directory name (used when adding)'),
     },
-    async ({ directoryId }) => {
+    async ({ directoryId, terminalId, label }) => {
       const config = loadConfig();
 
       // 檢查目錄是否存在
@@ -60,15 +74,24 @@ function registerFavoriteTools(server, z) {
         };
       }
 
+      // 指定的啟動器必須存在
+      if (terminalId && !config.terminals?.some(t => t.id === terminalId)) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ error: 'Launcher not found' }) }],
+          isError: true,
+        };
+      }
+
       if (!config.favorites) config.favorites = [];
 
-      const favIndex = config.favorites.indexOf(directoryId);
+      let favorite = findFavorite(config.favorites, directoryId, terminalId);
       let isFavorite;
-      if (favIndex === -1) {
-        config.favorites.push(directoryId);
+      if (!favorite) {
+        favorite = createFavorite(config.favorites, directoryId, terminalId, label);
+        config.favorites.push(favorite);
         isFavorite = true;
       } else {
-        config.favorites.splice(favIndex, 1);
+        config.favorites = config.favorites.filter(f => f.id !== favorite.id);
         isFavorite = false;
       }
 
@@ -80,8 +103,10 @@ function registerFavoriteTools(server, z) {
           {
             type: 'text',
             text: JSON.stringify({
+              id: favorite.id,
               directoryId,
-              name: dir.name,
+              terminalId: favorite.terminalId,
+              name: getFavoriteName(favorite, dir),
               isFavorite,
             }),
           },
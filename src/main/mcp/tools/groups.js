@@ -1,9 +1,11 @@
 /**
  * MCP 工具：群組管理
- * list_groups, add_group, remove_group
+ * list_groups, add_group, remove_group, launch_group
  */
 const { loadConfig, saveConfig } = require('../../config');
+const { launchGroup } = require('../../group-launch');
 const { notifyConfigChanged } = require('../utils');
+const { getGroupDescendantIds, getGroupPath, getGroupDepth } = require('../../utils/group-utils');
 
 /**
  * 註冊群組相關 MCP 工具
@@ -12,34 +14,57 @@ const { notifyConfigChanged } = require('../utils');
  */
 function registerGroupTools(server, z) {
   // 列出群組
-  server.tool('list_groups', 'List all project groups', {}, async () => {
-    const config = loadConfig();
-    const groups = (config.groups || []).map(g => {
-      const dirCount = (config.directories || []).filter(d => d.group === g.id).length;
+  server.tool(
+    'list_groups',
+    'List all project groups (nested groups include parentId and full path; terminalId is the default launcher set on the group itself)',
+    {},
+    async () => {
+      const config = loadConfig();
+      const allGroups = config.groups || [];
+      const directories = config.directories || [];
+      const groups = allGroups.map(g => {
+        const dirCount = directories.filter(d => d.group === g.id).length;
+        const subtreeIds = [g.id, ...getGroupDescendantIds(allGroups, g.id)];
+        return {
+          id: g.id,
+          name: g.name,
+          icon: g.icon,
+          isDefault: g.isDefault,
+          order: g.order,
+          parentId: g.parentId || null,
+          terminalId: g.terminalId || null,
+          path: getGroupPath(allGroups, g.id),
+          depth: getGroupDepth(allGroups, g.id),
+          directoryCount: dirCount,
+          totalDirectoryCount: directories.filter(d => subtreeIds.includes(d.group)).length,
+        };
+      });
+
       return {
-        id: g.id,
-        name: g.name,
-        icon: g.icon,
-        isDefault: g.isDefault,
-        order: g.order,
-        directoryCount: dirCount,
+        content: [{ type: 'text', text: JSON.stringify(groups, null, 2) }],
       };
-    });
-
-    return {
-      content: [{ type: 'text', text: JSON.stringify(groups, null, 2) }],
-    };
-  });
+    }
+  );
 
   // 新增群組
   server.tool(
     'add_group',
-    'Add a new project group',
+    'Add a new project group, optionally nested under a parent group and with a default launcher',
     {
       name: z.string().min(1).describe('Group display name'),
       icon: z.string().optional().describe('Emoji icon (default: 📁)'),
+      parentId: z
+        .string()
+        .optional()
+        .describe('Parent group ID (from list_groups); omit for a top-level group'),
+      terminalId: z
+        .string()
+        .optional()
+        .describe(
+          'Default launcher ID for directories in this group (from list_launchers); omit to inherit from the parent group'
+        ),
     },
-    async ({ name: rawName, icon }) => {
+    async ({ name: rawName, icon, parentId, terminalId }) => {
       const name = rawName.trim();
       if (!name) {
         return {
@@ -61,13 +86,34 @@ function registerGroupTools(server, z) {
         };
       }
 
+      // 父群組必須存在
+      if (parentId && !config.groups.some(g => g.id === parentId)) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ error: 'Parent group not found' }) }],
+          isError: true,
+        };
+      }
+
+      // 預設啟動器必須存在
+      if (terminalId && !config.terminals?.some(t => t.id === terminalId)) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ error: 'Launcher not found' }) }],
+          isError: true,
+        };
+      }
+
+      const siblings = config.groups.filter(g => (g.parentId || null) === (parentId || null));
       const newGroup = {
         id: `group-${Date.now()}`,
         name,
         icon: icon || '📁',
         isDefault: false,
-        order: config.groups.length,
+        order: siblings.length,
+        parentId: parentId || null,
       };
+      if (terminalId) {
+        newGroup.terminalId = terminalId;
+      }
 
       config.groups.push(newGroup);
       saveConfig(config);
@@ -82,7 +128,7 @@ function registerGroupTools(server, z) {
   // 移除群組
   server.tool(
     'remove_group',
-    'Remove a project group (directories will be moved to default group)',
+    'Remove a project group (directories will be moved to default group, child groups move up to its parent)',
     {
       id: z.string().describe('Group ID to remove'),
     },
@@ -115,6 +161,17 @@ function registerGroupTools(server, z) {
         }
       });
 
+      // 將子群組移到被移除群組的父群組下（排在原有群組之後）
+      const newParentId = group.parentId || null;
+      const siblingCount = config.groups.filter(
+        g => g.id !== id && (g.parentId || null) === newParentId
+      ).length;
+      const promotedGroups = config.groups.filter(g => g.parentId === id);
+      promotedGroups.forEach((g, index) => {
+        g.parentId = newParentId;
+        g.order = siblingCount + index;
+      });
+
       config.groups.splice(groupIndex, 1);
       saveConfig(config);
       notifyConfigChanged();
@@ -127,12 +184,39 @@ function registerGroupTools(server, z) {
               success: true,
               removed: group.name,
               movedDirectories: movedCount,
+              promotedGroups: promotedGroups.length,
             }),
           },
         ],
       };
     }
   );
+
+  // 開啟群組中的所有目錄
+  server.tool(
+    'launch_group',
+    'Open every directory in a group (and its subgroups) with its own or inherited launcher, one after another',
+    {
+      groupId: z.string().describe('Group ID to launch (from list_groups)'),
+      includeSubgroups: z
+        .boolean()
+        .optional()
+        .describe('Also open directories in child groups (default: true)'),
+    },
+    async ({ groupId, includeSubgroups }) => {
+      const result = await launchGroup(groupId, { source: 'mcp', includeSubgroups });
+
+      // 啟動歷史已更新，通知前端與托盤重新整理最近使用
+      if (result.results) {
+        notifyConfigChanged();
+      }
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        isError: !result.success && !result.partial,
+      };
+    }
+  );
 }
 
 module.exports = { registerGroupTools };
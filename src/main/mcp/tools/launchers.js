@@ -2,8 +2,9 @@
  * MCP 工具：啟動器管理
  * list_launchers, open_in, detect_installed_launchers
  */
-const { loadConfig, saveConfig } = require('../../config');
+const { loadConfig } = require('../../config');
 const { openTerminal, detectInstalledTerminals } = require('../../terminal');
+const { recordLaunch } = require('../../history');
 const { notifyConfigChanged } = require('../utils');
 
 /**
@@ -59,16 +60,16 @@ function registerLauncherTools(server, z) {
         };
       }
 
-      // 更新最近使用時間（如果目錄在配置中）
-      const dirIndex = config.directories.findIndex(d => d.path === path);
-      if (dirIndex !== -1) {
-        config.directories[dirIndex].lastUsed = Date.now();
-        saveConfig(config);
-        notifyConfigChanged();
-      }
+      // 開啟目錄（已登錄的目錄提供名稱與群組給命令模板）
+      const dir = config.directories.find(d => d.path === path) || { path };
+      const result = await openTerminal(dir, terminal, {
+        groups: config.groups,
+        launchCheckMs: config.settings?.launchCheckMs,
+      });
 
-      // 開啟目錄
-      const result = openTerminal({ path }, terminal);
+      // 記錄啟動歷史並通知前端與托盤更新最近使用
+      recordLaunch({ dir, terminalId: terminal.id, source: 'mcp', result });
+      notifyConfigChanged();
 
       if (result.success) {
         return {
@@ -92,6 +93,7 @@ function registerLauncherTools(server, z) {
               error: 'Failed to open',
               errorType: result.errorType,
               errorDetail: result.errorDetail || result.error,
+              exitCode: result.exitCode,
             }),
           },
         ],
@@ -1,12 +1,72 @@
 /**
  * MCP 工具：專案目錄管理
- * list_projects, add_project, update_project, remove_project
+ * list_projects, search_projects, add_project, update_project, remove_project
  */
 const fs = require('fs');
-const { loadConfig, saveConfig, getDefaultTerminalId } = require('../../config');
+const {
+  loadConfig,
+  saveConfig,
+  getDefaultTerminalId,
+  getDirectoryTerminalId,
+} = require('../../config');
 const { validatePathSafety } = require('../../utils/path-utils');
+const { validateEnvMap } = require('../../utils/ipc-validators');
+const { normalizeTags, validateTags, hasTag } = require('../../utils/tag-utils');
+const { validateRemoteTarget, isRemoteDirectory, getSshTarget } = require('../../utils/ssh-utils');
+const { getGitStatuses } = require('../../git-status');
+const { getLastUsedMap, getRecentLaunches, removeDirectoryHistory } = require('../../history');
+const { resolveSmartGroups } = require('../../smart-groups');
+const { getGroupTerminalId } = require('../../utils/group-utils');
+const { rankDirectories } = require('../../../shared/fuzzy-match');
 const { notifyConfigChanged } = require('../utils');
 
+/**
+ * 建立錯誤回應
+ * @param {string} error - 錯誤訊息
+ * @param {Object} [details] - 附加在回應中的其他欄位
+ * @returns {Object} MCP 工具回應
+ */
+function errorResponse(error, details = {}) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ error, ...details }) }],
+    isError: true,
+  };
+}
+
+/**
+ * 驗證目錄路徑：本機目錄需存在且為目錄，遠端目錄則驗證遠端目標與路徑安全性
+ * @param {string} path - 目錄路徑
+ * @param {Object|null|undefined} remote - 遠端目標
+ * @returns {string|null} 錯誤訊息，通過時為 null
+ */
+function checkDirectoryPath(path, remote) {
+  if (remote) {
+    const remoteResult = validateRemoteTarget(remote);
+    if (!remoteResult.valid) return remoteResult.error;
+    const remoteSafety = validatePathSafety(path, { remote: true });
+    return remoteSafety.safe ? null : `Unsafe path: ${remoteSafety.reason}`;
+  }
+
+  if (!fs.existsSync(path)) return 'Path does not exist';
+  try {
+    if (!fs.statSync(path).isDirectory()) return 'Path is not a directory';
+  } catch {
+    return 'Cannot access path';
+  }
+  return null;
+}
+
+/**
+ * 正規化並驗證工具參數中的標籤
+ * @param {string[]} tags - 標籤列表
+ * @returns {{ tags: string[], error: string|null }}
+ */
+function parseTagsParam(tags) {
+  const normalized = normalizeTags(tags);
+  const result = validateTags(normalized, 'tags');
+  return { tags: normalized, error: result.valid ? null : result.error };
+}
+
 /**
  * 註冊專案相關 MCP 工具
  * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
@@ -16,34 +76,121 @@ function registerProjectTools(server, z) {
   // 列出專案目錄
   server.tool(
     'list_projects',
-    'List all project directories, optionally filtered by group',
+    'List all project directories, optionally filtered by group, smart group and tags. Local directories include git status (branch, dirty, ahead/behind, last commit time)',
     {
       group: z.string().optional().describe('Filter by group ID'),
+      smartGroup: z
+        .string()
+        .optional()
+        .describe('Only include members of this smart group (ID from list_smart_groups)'),
+      tags: z
+        .array(z.string())
+        .optional()
+        .describe('Only include projects that have all of these tags (case-insensitive)'),
     },
-    async ({ group }) => {
+    async ({ group, smartGroup, tags }) => {
       const config = loadConfig();
       let directories = config.directories || [];
 
       if (group) {
         directories = directories.filter(d => d.group === group);
       }
+      if (smartGroup) {
+        const resolved = resolveSmartGroups(config).find(item => item.smartGroup.id === smartGroup);
+        if (!resolved) {
+          return errorResponse('Smart group not found');
+        }
+        const memberIds = new Set(resolved.directories.map(d => d.id));
+        directories = directories.filter(d => memberIds.has(d.id));
+      }
+      if (tags && tags.length > 0) {
+        const wanted = normalizeTags(tags);
+        directories = directories.filter(d => wanted.every(tag => hasTag(d, tag)));
+      }
 
       // 附加群組名稱和啟動器名稱
       const groups = config.groups || [];
       const terminals = config.terminals || [];
 
-      const result = directories.map(d => ({
-        id: d.id,
+      // 本機目錄附加 Git 狀態（遠端目錄不在本機讀取）
+      const gitStatuses = await getGitStatuses(
+        directories.filter(d => !isRemoteDirectory(d)).map(d => d.path)
+      );
+
+      const lastUsedMap = getLastUsedMap();
+      const result = directories.map(d => {
+        // 目錄未自訂啟動器時沿用群組預設啟動器
+        const terminalId = getDirectoryTerminalId(d, config);
+        return {
+          id: d.id,
+          name: d.name,
+          icon: d.icon,
+          path: d.path,
+          remote: d.remote,
+          terminalId,
+          terminalName: terminals.find(t => t.id === terminalId)?.name || terminalId,
+          terminalInherited: !d.terminalId,
+          group: d.group,
+          groupName: groups.find(g => g.id === d.group)?.name || d.group,
+          tags: d.tags || [],
+          lastUsed: lastUsedMap.get(d.id) ?? null,
+          order: d.order,
+          git: isRemoteDirectory(d) ? null : (gitStatuses[d.path] ?? null),
+        };
+      });
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    }
+  );
+
+  // 模糊搜尋專案目錄（與應用程式內搜尋共用比對規則）
+  server.tool(
+    'search_projects',
+    'Fuzzy-search project directories by name, path segments, group name, tags and launcher name. Space-separated keywords must all match. Results are ranked by match score, then by usage',
+    {
+      query: z.string().min(1).describe('Search keywords (e.g. "api work")'),
+      limit: z.number().int().min(1).optional().describe('Maximum number of results (default: 20)'),
+    },
+    async ({ query, limit = 20 }) => {
+      const config = loadConfig();
+      const groups = config.groups || [];
+      const terminals = config.terminals || [];
+
+      // 依最近使用排序作為同分時的順序，未曾啟動的目錄排在最後
+      const usageRank = new Map(
+        getRecentLaunches({ limit: Infinity }).map((item, index) => [item.directoryId, index])
+      );
+      const directories = [...(config.directories || [])].sort(
+        (a, b) => (usageRank.get(a.id) ?? Infinity) - (usageRank.get(b.id) ?? Infinity)
+      );
+
+      const getTerminalName = id => terminals.find(t => t.id === id)?.name || id;
+      const getGroupName = id => groups.find(g => g.id === id)?.name || id;
+
+      const result = rankDirectories(query, directories, d => ({
         name: d.name,
-        icon: d.icon,
-        path: d.path,
-        terminalId: d.terminalId,
-        terminalName: terminals.find(t => t.id === d.terminalId)?.name || d.terminalId,
-        group: d.group,
-        groupName: groups.find(g => g.id === d.group)?.name || d.group,
-        lastUsed: d.lastUsed,
-        order: d.order,
-      }));
+        path: isRemoteDirectory(d) ? `${getSshTarget(d.remote)}:${d.path}` : d.path,
+        group: getGroupName(d.group || 'default'),
+        launcher: getTerminalName(getDirectoryTerminalId(d, config)),
+        tags: d.tags || [],
+      }))
+        .slice(0, limit)
+        .map(({ item: d, score, highlights }) => ({
+          id: d.id,
+          name: d.name,
+          icon: d.icon,
+          path: d.path,
+          remote: d.remote,
+          terminalId: getDirectoryTerminalId(d, config),
+          terminalName: getTerminalName(getDirectoryTerminalId(d, config)),
+          group: d.group,
+          groupName: getGroupName(d.group || 'default'),
+          tags: d.tags,
+          score: Math.round(score * 100) / 100,
+          matches: highlights,
+        }));
 
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
@@ -59,71 +206,70 @@ function registerProjectTools(server, z) {
       name: z.string().min(1).describe('Directory display name'),
       path: z.string().min(1).describe('Absolute path to the directory'),
       icon: z.string().optional().describe('Emoji icon (default: 📁)'),
-      terminalId: z.string().optional().describe('Launcher ID to use (default: first available)'),
+      terminalId: z
+        .string()
+        .optional()
+        .describe(
+          "Launcher ID to use (default: the group's default launcher, else first available)"
+        ),
       group: z.string().optional().describe('Group ID (default: "default")'),
+      tags: z.array(z.string()).optional().describe('Free-form tags (e.g. ["backend", "go"])'),
+      env: z
+        .record(z.string())
+        .optional()
+        .describe(
+          'Environment variables passed to launched processes (e.g. { "NODE_ENV": "dev" })'
+        ),
+      remote: z
+        .object({
+          host: z.string().describe('Host name, IP or ~/.ssh/config alias'),
+          user: z.string().optional().describe('SSH user'),
+          port: z.number().int().optional().describe('SSH port'),
+          identityFile: z.string().optional().describe('Path to the SSH identity file'),
+        })
+        .optional()
+        .describe('SSH target; when set, path is a path on the remote host'),
     },
-    async ({ name: rawName, path, icon, terminalId, group }) => {
+    async ({ name: rawName, path, icon, terminalId, group, tags, env, remote }) => {
       const name = rawName.trim();
       if (!name) {
-        return {
-          content: [
-            { type: 'text', text: JSON.stringify({ error: 'Name cannot be empty or whitespace' }) },
-          ],
-          isError: true,
-        };
+        return errorResponse('Name cannot be empty or whitespace');
       }
 
       // 驗證路徑安全性
       const pathSafety = validatePathSafety(path);
       if (!pathSafety.safe) {
-        return {
-          content: [
-            { type: 'text', text: JSON.stringify({ error: `Unsafe path: ${pathSafety.reason}` }) },
-          ],
-          isError: true,
-        };
+        return errorResponse(`Unsafe path: ${pathSafety.reason}`);
       }
 
-      // 驗證路徑是否存在且為目錄
-      if (!fs.existsSync(path)) {
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ error: 'Path does not exist' }) }],
-          isError: true,
-        };
+      // 驗證環境變數
+      if (env !== undefined) {
+        const envResult = validateEnvMap(env, 'env');
+        if (!envResult.valid) {
+          return errorResponse(envResult.error);
+        }
       }
 
-      try {
-        if (!fs.statSync(path).isDirectory()) {
-          return {
-            content: [{ type: 'text', text: JSON.stringify({ error: 'Path is not a directory' }) }],
-            isError: true,
-          };
-        }
-      } catch {
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ error: 'Cannot access path' }) }],
-          isError: true,
-        };
+      // 驗證標籤
+      const tagsResult = parseTagsParam(tags);
+      if (tagsResult.error) {
+        return errorResponse(tagsResult.error);
+      }
+
+      // 驗證路徑是否存在且為目錄（遠端目錄改為驗證遠端目標）
+      const pathError = checkDirectoryPath(path, remote);
+      if (pathError) {
+        return errorResponse(pathError);
       }
 
       const config = loadConfig();
 
       // 檢查路徑是否已存在
-      const existing = config.directories.find(d => d.path === path);
+      const existing = config.directories.find(
+        d => d.path === path && d.remote?.host === remote?.host
+      );
       if (existing) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(
-                { error: 'Directory with this path already exists', existing },
-                null,
-                2
-              ),
-            },
-          ],
-          isError: true,
-        };
+        return errorResponse('Directory with this path already exists', { existing });
       }
 
       // 產生新 ID
@@ -133,11 +279,22 @@ function registerProjectTools(server, z) {
         name,
         icon: icon || '📁',
         path,
-        terminalId: terminalId || config.terminals?.[0]?.id || getDefaultTerminalId(),
         group: group || 'default',
-        lastUsed: null,
         order: config.directories.length,
       };
+      // 未指定啟動器且群組已設定預設啟動器時沿用群組設定
+      if (terminalId || !getGroupTerminalId(config.groups, newDir.group)) {
+        newDir.terminalId = terminalId || config.terminals?.[0]?.id || getDefaultTerminalId();
+      }
+      if (tagsResult.tags.length > 0) {
+        newDir.tags = tagsResult.tags;
+      }
+      if (env && Object.keys(env).length > 0) {
+        newDir.env = env;
+      }
+      if (remote) {
+        newDir.remote = remote;
+      }
 
       config.directories.push(newDir);
       saveConfig(config);
@@ -158,77 +315,96 @@ function registerProjectTools(server, z) {
       name: z.string().optional().describe('New display name'),
       path: z.string().optional().describe('New absolute path'),
       icon: z.string().optional().describe('New emoji icon'),
-      terminalId: z.string().optional().describe('New launcher ID'),
+      terminalId: z
+        .string()
+        .optional()
+        .describe("New launcher ID (empty string: inherit the group's default launcher)"),
       group: z.string().optional().describe('New group ID'),
+      tags: z.array(z.string()).optional().describe('Replace tags (pass [] to clear)'),
+      env: z
+        .record(z.string())
+        .optional()
+        .describe('Replace environment variables (pass {} to clear)'),
+      remote: z
+        .object({
+          host: z.string().describe('Host name, IP or ~/.ssh/config alias'),
+          user: z.string().optional().describe('SSH user'),
+          port: z.number().int().optional().describe('SSH port'),
+          identityFile: z.string().optional().describe('Path to the SSH identity file'),
+        })
+        .nullable()
+        .optional()
+        .describe('Replace the SSH target (pass null to make the directory local)'),
     },
-    async ({ id, name, path, icon, terminalId, group }) => {
+    async ({ id, name, path, icon, terminalId, group, tags, env, remote }) => {
       const config = loadConfig();
       const dirIndex = config.directories.findIndex(d => d.id === id);
 
       if (dirIndex === -1) {
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ error: 'Directory not found' }) }],
-          isError: true,
-        };
+        return errorResponse('Directory not found');
       }
 
-      // 若提供了新路徑，驗證安全性與存在性
-      if (path !== undefined) {
-        const pathSafety = validatePathSafety(path);
+      // 若提供了新路徑或遠端目標，驗證安全性與存在性
+      if (path !== undefined || remote !== undefined) {
+        const nextPath = path ?? config.directories[dirIndex].path;
+        const nextRemote = remote === undefined ? config.directories[dirIndex].remote : remote;
+        const pathSafety = validatePathSafety(nextPath);
         if (!pathSafety.safe) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({ error: `Unsafe path: ${pathSafety.reason}` }),
-              },
-            ],
-            isError: true,
-          };
+          return errorResponse(`Unsafe path: ${pathSafety.reason}`);
         }
-        if (!fs.existsSync(path)) {
-          return {
-            content: [{ type: 'text', text: JSON.stringify({ error: 'Path does not exist' }) }],
-            isError: true,
-          };
+        const pathError = checkDirectoryPath(nextPath, nextRemote);
+        if (pathError) {
+          return errorResponse(pathError);
         }
-        try {
-          if (!fs.statSync(path).isDirectory()) {
-            return {
-              content: [
-                { type: 'text', text: JSON.stringify({ error: 'Path is not a directory' }) },
-              ],
-              isError: true,
-            };
-          }
-        } catch {
-          return {
-            content: [{ type: 'text', text: JSON.stringify({ error: 'Cannot access path' }) }],
-            isError: true,
-          };
+      }
+
+      if (env !== undefined) {
+        const envResult = validateEnvMap(env, 'env');
+        if (!envResult.valid) {
+          return errorResponse(envResult.error);
         }
       }
 
+      const tagsResult = tags === undefined ? null : parseTagsParam(tags);
+      if (tagsResult?.error) {
+        return errorResponse(tagsResult.error);
+      }
+
       const dir = config.directories[dirIndex];
       if (name !== undefined) {
         const trimmedName = name.trim();
         if (!trimmedName) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({ error: 'Name cannot be empty or whitespace' }),
-              },
-            ],
-            isError: true,
-          };
+          return errorResponse('Name cannot be empty or whitespace');
         }
         dir.name = trimmedName;
       }
       if (path !== undefined) dir.path = path;
+      if (remote === null) {
+        delete dir.remote;
+      } else if (remote !== undefined) {
+        dir.remote = remote;
+      }
       if (icon !== undefined) dir.icon = icon;
-      if (terminalId !== undefined) dir.terminalId = terminalId;
+      if (terminalId === '') {
+        delete dir.terminalId;
+      } else if (terminalId !== undefined) {
+        dir.terminalId = terminalId;
+      }
       if (group !== undefined) dir.group = group;
+      if (tagsResult) {
+        if (tagsResult.tags.length > 0) {
+          dir.tags = tagsResult.tags;
+        } else {
+          delete dir.tags;
+        }
+      }
+      if (env !== undefined) {
+        if (Object.keys(env).length > 0) {
+          dir.env = env;
+        } else {
+          delete dir.env;
+        }
+      }
 
       saveConfig(config);
       notifyConfigChanged();
@@ -251,16 +427,20 @@ function registerProjectTools(server, z) {
       const dirIndex = config.directories.findIndex(d => d.id === id);
 
       if (dirIndex === -1) {
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ error: 'Directory not found' }) }],
-          isError: true,
-        };
+        return errorResponse('Directory not found');
       }
 
       const removed = config.directories.splice(dirIndex, 1)[0];
 
-      // 從最愛中移除
-      config.favorites = (config.favorites || []).filter(fId => fId !== id);
+      // 從最愛與目錄快捷鍵中移除
+      config.favorites = (config.favorites || []).filter(f => f.directoryId !== id);
+      config.hotkeys = (config.hotkeys || []).filter(h => h.directoryId !== id);
+
+      // 移除依附於此目錄的工作區
+      config.workspaces = (config.workspaces || []).filter(w => w.directoryId !== id);
+
+      // 移除此目錄的啟動歷史
+      removeDirectoryHistory(id);
 
       saveConfig(config);
       notifyConfigChanged();
@@ -3,6 +3,7 @@
  * list_recent
  */
 const { loadConfig } = require('../../config');
+const { getRecentLaunches } = require('../../history');
 
 /**
  * 註冊最近使用相關 MCP 工具
@@ -13,32 +14,42 @@ function registerRecentTools(server, z) {
   // 列出最近使用
   server.tool(
     'list_recent',
-    'List recently used directories',
+    'List recently used directories from the launch history, with the last launcher used',
     {
       limit: z.number().optional().describe('Maximum number of results (default: from settings)'),
+      sort: z
+        .string()
+        .optional()
+        .describe(
+          'Ordering: "frecency" (frequency weighted by recency) or "recent" (default: from settings)'
+        ),
     },
-    async ({ limit }) => {
+    async ({ limit, sort }) => {
       const config = loadConfig();
-      const recentLimit = limit || config.settings?.recentLimit || 10;
       const terminals = config.terminals || [];
       const groups = config.groups || [];
 
-      const recent = (config.directories || [])
-        .filter(d => d.lastUsed)
-        .sort((a, b) => b.lastUsed - a.lastUsed)
-        .slice(0, recentLimit)
-        .map(d => ({
+      // 依啟動歷史彙整，terminalId 為上次使用的啟動器
+      const recent = getRecentLaunches({ limit, sort }).map(item => {
+        const d = config.directories.find(dir => dir.id === item.directoryId);
+        return {
           id: d.id,
           name: d.name,
           icon: d.icon,
           path: d.path,
-          terminalId: d.terminalId,
-          terminalName: terminals.find(t => t.id === d.terminalId)?.name || d.terminalId,
+          terminalId: item.terminalId,
+          terminalName: terminals.find(t => t.id === item.terminalId)?.name || item.terminalId,
           group: d.group,
           groupName: groups.find(g => g.id === d.group)?.name || d.group,
-          lastUsed: d.lastUsed,
-          lastUsedAt: new Date(d.lastUsed).toISOString(),
-        }));
+          lastUsed: item.lastUsed,
+          lastUsedAt: new Date(item.lastUsed).toISOString(),
+          source: item.source,
+          launchCount: item.count,
+          score: Math.round(item.score * 100) / 100,
+          success: item.success,
+          errorType: item.errorType,
+        };
+      });
 
       return {
         content: [{ type: 'text', text: JSON.stringify(recent, null, 2) }],
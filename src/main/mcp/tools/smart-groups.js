@@ -0,0 +1,145 @@
+/**
+ * MCP 工具：智慧群組
+ * list_smart_groups, add_smart_group, remove_smart_group
+ */
+const { loadConfig, saveConfig } = require('../../config');
+const { resolveSmartGroups } = require('../../smart-groups');
+const {
+  SMART_RULE_TYPES,
+  SMART_MATCH_MODES,
+  MAX_SMART_GROUPS,
+  validateSmartGroup,
+} = require('../../utils/smart-group-utils');
+const { notifyConfigChanged } = require('../utils');
+
+/**
+ * 建立錯誤回應
+ * @param {string} error - 錯誤訊息
+ * @returns {Object} MCP 工具回應
+ */
+function errorResponse(error) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ error }) }],
+    isError: true,
+  };
+}
+
+/**
+ * 註冊智慧群組相關 MCP 工具
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('zod').ZodType} z
+ */
+function registerSmartGroupTools(server, z) {
+  // 列出智慧群組與目前的成員目錄
+  server.tool(
+    'list_smart_groups',
+    'List smart groups (saved rule-based groups) with their rules and current member directories',
+    {},
+    async () => {
+      const config = loadConfig();
+      const result = resolveSmartGroups(config).map(({ smartGroup, directories }) => ({
+        id: smartGroup.id,
+        name: smartGroup.name,
+        icon: smartGroup.icon,
+        match: smartGroup.match,
+        rules: smartGroup.rules,
+        directoryCount: directories.length,
+        directories: directories.map(d => ({ id: d.id, name: d.name, path: d.path })),
+      }));
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    }
+  );
+
+  // 新增智慧群組
+  server.tool(
+    'add_smart_group',
+    'Add a smart group whose members are computed from rules. Rule types: pathPrefix (value: folder path, matches the folder and its subfolders, ~ allowed), tag (value: tag), launchedWithin (value: days), pathInvalid (no value), launcher (value: launcher ID)',
+    {
+      name: z.string().min(1).describe('Smart group display name'),
+      icon: z.string().optional().describe('Emoji icon (default: 🔎)'),
+      match: z
+        .enum(SMART_MATCH_MODES)
+        .optional()
+        .describe('all: directories must match every rule (default); any: at least one rule'),
+      rules: z
+        .array(
+          z.object({
+            type: z.enum(SMART_RULE_TYPES).describe('Rule type'),
+            value: z
+              .union([z.string(), z.number()])
+              .optional()
+              .describe('Rule value (omit for pathInvalid)'),
+          })
+        )
+        .min(1)
+        .describe('Rules that select member directories'),
+    },
+    async ({ name: rawName, icon, match, rules }) => {
+      const name = rawName.trim();
+      const config = loadConfig();
+      const smartGroups = config.smartGroups || [];
+
+      if (smartGroups.some(g => g.name === name)) {
+        return errorResponse('Smart group name already exists');
+      }
+      if (smartGroups.length >= MAX_SMART_GROUPS) {
+        return errorResponse(`Maximum of ${MAX_SMART_GROUPS} smart groups reached`);
+      }
+
+      const newSmartGroup = {
+        id: `smart-${Date.now()}`,
+        name,
+        icon: icon || '🔎',
+        match: match || 'all',
+        rules: rules.map(rule =>
+          rule.type === 'pathInvalid' ? { type: rule.type } : { type: rule.type, value: rule.value }
+        ),
+        order: smartGroups.length,
+      };
+
+      const validation = validateSmartGroup(newSmartGroup, 'smartGroup');
+      if (!validation.valid) {
+        return errorResponse(validation.error);
+      }
+
+      config.smartGroups = [...smartGroups, newSmartGroup];
+      saveConfig(config);
+      notifyConfigChanged();
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(newSmartGroup, null, 2) }],
+      };
+    }
+  );
+
+  // 移除智慧群組（不影響成員目錄）
+  server.tool(
+    'remove_smart_group',
+    'Remove a smart group (member directories are not affected)',
+    {
+      id: z.string().describe('Smart group ID to remove'),
+    },
+    async ({ id }) => {
+      const config = loadConfig();
+      const smartGroup = (config.smartGroups || []).find(g => g.id === id);
+      if (!smartGroup) {
+        return errorResponse('Smart group not found');
+      }
+
+      config.smartGroups = config.smartGroups.filter(g => g.id !== id);
+      saveConfig(config);
+      notifyConfigChanged();
+
+      return {
+        content: [
+          { type: 'text', text: JSON.stringify({ success: true, removed: smartGroup.name }) },
+        ],
+      };
+    }
+  );
+}
+
+module.exports = { registerSmartGroupTools };
@@ -0,0 +1,71 @@
+/**
+ * MCP 工具：工作區
+ * list_workspaces, run_workspace
+ */
+const { loadConfig } = require('../../config');
+const { runWorkspace } = require('../../workspace');
+const { notifyConfigChanged } = require('../utils');
+
+/**
+ * 註冊工作區相關 MCP 工具
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('zod').ZodType} z
+ */
+function registerWorkspaceTools(server, z) {
+  // 列出工作區
+  server.tool(
+    'list_workspaces',
+    'List all workspaces (a directory plus launchers)',
+    {},
+    async () => {
+      const config = loadConfig();
+      const directories = config.directories || [];
+      const terminals = config.terminals || [];
+
+      const result = (config.workspaces || []).map(w => {
+        const dir = directories.find(d => d.id === w.directoryId);
+        return {
+          id: w.id,
+          name: w.name,
+          icon: w.icon,
+          directoryId: w.directoryId,
+          directoryName: dir?.name,
+          path: dir?.path,
+          steps: (w.steps || []).map(step => ({
+            terminalId: step.terminalId,
+            terminalName: terminals.find(t => t.id === step.terminalId)?.name || step.terminalId,
+            delay: step.delay || 0,
+          })),
+        };
+      });
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    }
+  );
+
+  // 執行工作區
+  server.tool(
+    'run_workspace',
+    'Run a workspace: open its directory with each launcher in sequence',
+    {
+      workspaceId: z.string().describe('Workspace ID to run'),
+    },
+    async ({ workspaceId }) => {
+      const result = await runWorkspace(workspaceId, { source: 'mcp' });
+
+      // 啟動歷史已更新，通知前端與托盤重新整理最近使用
+      if (result.steps) {
+        notifyConfigChanged();
+      }
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        isError: !result.success && !result.partial,
+      };
+    }
+  );
+}
+
+module.exports = { registerWorkspaceTools };
@@ -0,0 +1,147 @@
+/**
+ * 終端多工器模組
+ * 啟動前確認 tmux / zellij session 是否存在，必要時依目錄版面配置建立
+ */
+const { execFile } = require('child_process');
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const {
+  getSessionName,
+  buildTmuxCreateArgs,
+  buildZellijLayout,
+  buildMuxAttachArgs,
+  parseZellijSessions,
+} = require('./utils/mux-utils');
+
+const logger = createLogger('Multiplexer');
+
+// 多工器命令逾時（毫秒）
+const MUX_COMMAND_TIMEOUT = 5000;
+
+// zellij 版面配置檔目錄（位於使用者資料目錄，不與其他使用者共用）
+const zellijLayoutDir = path.join(app.getPath('userData'), 'zellij-layouts');
+
+/**
+ * 執行多工器命令
+ * @param {string} file - 可執行檔
+ * @param {string[]} args - 引數
+ * @param {Object} [options] - execFile 選項
+ * @returns {Promise<{ ok: boolean, stdout: string, stderr: string }>}
+ */
+function runCommand(file, args, options = {}) {
+  return new Promise(resolve => {
+    execFile(file, args, { timeout: MUX_COMMAND_TIMEOUT, ...options }, (err, stdout, stderr) => {
+      resolve({
+        ok: !err,
+        stdout: String(stdout || ''),
+        stderr: String(stderr || err?.message || ''),
+      });
+    });
+  });
+}
+
+/**
+ * 取得 zellij 版面配置檔的路徑
+ * @param {string} session - session 名稱
+ * @returns {string}
+ */
+function getZellijLayoutPath(session) {
+  return path.join(zellijLayoutDir, `${session}.kdl`);
+}
+
+/**
+ * 寫入 zellij 版面配置檔（僅擁有者可讀寫）
+ * 先移除同名的舊檔再以 wx 建立，不會沿用或跟隨既有的檔案
+ * @param {string} layoutFile - 版面配置檔路徑
+ * @param {string} content - KDL 內容
+ */
+function writeZellijLayout(layoutFile, content) {
+  fs.mkdirSync(path.dirname(layoutFile), { recursive: true, mode: 0o700 });
+  fs.rmSync(layoutFile, { force: true });
+  fs.writeFileSync(layoutFile, content, { encoding: 'utf-8', flag: 'wx', mode: 0o600 });
+}
+
+/**
+ * 準備 tmux session：不存在時於背景建立（含版面配置）
+ * @param {string} session - session 名稱
+ * @param {Object} dir - 目錄物件 { path, layout }
+ * @param {Object} env - 啟動環境變數
+ * @returns {Promise<Object>} { success, created?, error? }
+ */
+async function prepareTmuxSession(session, dir, env) {
+  const existing = await runCommand('tmux', ['has-session', '-t', `=${session}`], { env });
+  if (existing.ok) {
+    return { success: true, created: false };
+  }
+
+  const created = await runCommand('tmux', buildTmuxCreateArgs(session, dir.path, dir.layout), {
+    env,
+  });
+  if (!created.ok) {
+    return { success: false, error: created.stderr.trim() };
+  }
+
+  logger.info(`Created tmux session "${session}"`);
+  return { success: true, created: true };
+}
+
+/**
+ * 準備 zellij session：zellij 需在終端內建立 session，僅確認是否存在並寫入版面配置檔
+ * @param {string} session - session 名稱
+ * @param {Object} dir - 目錄物件 { path, layout }
+ * @param {Object} env - 啟動環境變數
+ * @returns {Promise<Object>} { success, exists, layoutFile?, error? }
+ */
+async function prepareZellijSession(session, dir, env) {
+  const listed = await runCommand('zellij', ['list-sessions', '--short', '--no-formatting'], {
+    env,
+  });
+  const exists = listed.ok && parseZellijSessions(listed.stdout).includes(session);
+  if (exists || !dir.layout) {
+    return { success: true, exists };
+  }
+
+  const layoutFile = getZellijLayoutPath(session);
+  try {
+    writeZellijLayout(layoutFile, buildZellijLayout(dir.path, dir.layout));
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  return { success: true, exists, layoutFile };
+}
+
+/**
+ * 準備多工器 session 並取得附加命令引數
+ * @param {Object} dir - 目錄物件 { name, path, layout }
+ * @param {Object} terminal - 終端配置 { multiplexer }
+ * @param {Object} [env] - 啟動環境變數（預設 process.env）
+ * @returns {Promise<Object>} { success, session, args?, error? }
+ */
+async function prepareMultiplexerSession(dir, terminal, env = process.env) {
+  const session = getSessionName(dir);
+
+  const prepared =
+    terminal.multiplexer === 'tmux'
+      ? await prepareTmuxSession(session, dir, env)
+      : await prepareZellijSession(session, dir, env);
+
+  if (!prepared.success) {
+    logger.warn(`Failed to prepare ${terminal.multiplexer} session "${session}"`, {
+      error: prepared.error,
+    });
+    return { success: false, session, error: prepared.error };
+  }
+
+  return {
+    success: true,
+    session,
+    args: buildMuxAttachArgs(terminal.multiplexer, session, prepared),
+  };
+}
+
+module.exports = {
+  getZellijLayoutPath,
+  prepareMultiplexerSession,
+};
@@ -0,0 +1,125 @@
+/**
+ * 快速啟動面板模組
+ * 處理 Spotlight 式快速啟動視窗（無邊框、置頂、失去焦點時隱藏）的建立與切換
+ */
+const { BrowserWindow, screen } = require('electron');
+const path = require('path');
+const { loadConfig } = require('./config');
+
+// 面板尺寸
+const PALETTE_WIDTH = 640;
+const PALETTE_HEIGHT = 420;
+
+let paletteWindow = null;
+
+/**
+ * 建立快速啟動面板視窗（預設隱藏）
+ * @returns {BrowserWindow} 面板視窗實例
+ */
+function createPaletteWindow() {
+  const config = loadConfig();
+  const bgColor = config.settings?.theme === 'light' ? '#ffffff' : '#0d1117';
+
+  paletteWindow = new BrowserWindow({
+    width: PALETTE_WIDTH,
+    height: PALETTE_HEIGHT,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    frame: false,
+    transparent: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    backgroundColor: bgColor,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, '../preload/preload.js'),
+    },
+    show: false,
+  });
+
+  paletteWindow.loadFile(path.join(__dirname, '../renderer/palette.html'));
+
+  // 失去焦點時隱藏（例如點擊其他視窗或啟動終端後）
+  paletteWindow.on('blur', () => {
+    hidePalette();
+  });
+
+  paletteWindow.on('closed', () => {
+    paletteWindow = null;
+  });
+
+  return paletteWindow;
+}
+
+/**
+ * 將面板置於滑鼠所在螢幕的上方中央
+ */
+function positionPalette() {
+  const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  const { x, y, width, height } = display.workArea;
+  paletteWindow.setPosition(
+    Math.round(x + (width - PALETTE_WIDTH) / 2),
+    Math.round(y + height * 0.2)
+  );
+}
+
+/**
+ * 顯示快速啟動面板並通知面板重新載入資料
+ */
+function showPalette() {
+  if (!paletteWindow || paletteWindow.isDestroyed()) {
+    createPaletteWindow();
+  }
+
+  const reveal = () => {
+    positionPalette();
+    paletteWindow.show();
+    paletteWindow.focus();
+    paletteWindow.webContents.send('palette-opened');
+  };
+
+  if (paletteWindow.webContents.isLoading()) {
+    paletteWindow.webContents.once('did-finish-load', reveal);
+  } else {
+    reveal();
+  }
+}
+
+/**
+ * 隱藏快速啟動面板
+ */
+function hidePalette() {
+  if (paletteWindow && !paletteWindow.isDestroyed() && paletteWindow.isVisible()) {
+    paletteWindow.hide();
+  }
+}
+
+/**
+ * 切換快速啟動面板顯示狀態
+ */
+function togglePalette() {
+  if (paletteWindow && !paletteWindow.isDestroyed() && paletteWindow.isVisible()) {
+    hidePalette();
+  } else {
+    showPalette();
+  }
+}
+
+/**
+ * 取得快速啟動面板視窗實例
+ * @returns {BrowserWindow|null}
+ */
+function getPaletteWindow() {
+  return paletteWindow;
+}
+
+module.exports = {
+  createPaletteWindow,
+  showPalette,
+  hidePalette,
+  togglePalette,
+  getPaletteWindow,
+};
@@ -0,0 +1,275 @@
+/**
+ * 專案探索模組
+ * 掃描設定的根目錄，找出含專案標記的資料夾，並提供去重後的匯入清單
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+  loadConfig,
+  saveConfig,
+  getDefaultTerminalId,
+  getDirectoryTerminalId,
+} = require('./config');
+const { createLogger } = require('./logger');
+const { validatePathSafety } = require('./utils/path-utils');
+const { isRemoteDirectory } = require('./utils/ssh-utils');
+const { getGroupTerminalId } = require('./utils/group-utils');
+const {
+  findProjectMarkers,
+  isSkippedDirectory,
+  normalizePathKey,
+  normalizeScanDepth,
+  getBasename,
+  suggestGroup,
+  suggestTerminal,
+  diffScanResults,
+} = require('./utils/scan-utils');
+
+const logger = createLogger('Scanner');
+
+// 單一根目錄最多走訪的資料夾數量，避免掃描過大的目錄樹
+const MAX_SCANNED_DIRECTORIES = 5000;
+
+/**
+ * 以廣度優先走訪根目錄，找到專案後不再深入其子資料夾
+ * 符號連結的資料夾不會走訪，避免循環
+ * @param {string} rootPath - 根目錄
+ * @param {number} depth - 最大深度（根目錄本身為 0）
+ * @returns {Promise<{ projects: Array<{ path: string, markers: string[] }>, truncated: boolean }>}
+ */
+async function walkRoot(rootPath, depth) {
+  const projects = [];
+  const queue = [{ dirPath: rootPath, level: 0 }];
+  let visited = 0;
+
+  while (queue.length > 0) {
+    if (visited >= MAX_SCANNED_DIRECTORIES) {
+      return { projects, truncated: true };
+    }
+    const { dirPath, level } = queue.shift();
+    visited++;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (err) {
+      // 根目錄無法讀取時回報錯誤，子資料夾（如權限不足）則略過
+      if (level === 0) throw err;
+      continue;
+    }
+
+    const markers = findProjectMarkers(entries.map(entry => entry.name));
+    if (markers.length > 0) {
+      projects.push({ path: dirPath, markers });
+      continue;
+    }
+
+    if (level >= depth) continue;
+    for (const entry of entries) {
+      if (entry.isDirectory() && !isSkippedDirectory(entry.name)) {
+        queue.push({ dirPath: path.join(dirPath, entry.name), level: level + 1 });
+      }
+    }
+  }
+
+  return { projects, truncated: false };
+}
+
+/**
+ * 建立本機目錄路徑與 ID 的對照表
+ * @param {Array} directories - 目錄列表
+ * @returns {Map<string, number>}
+ */
+function getDirectoryKeyMap(directories) {
+  return new Map(
+    (directories || [])
+      .filter(dir => !isRemoteDirectory(dir))
+      .map(dir => [normalizePathKey(dir.path), dir.id])
+  );
+}
+
+/**
+ * 取得可用的預設啟動器 ID（指定的啟動器 > 群組預設啟動器 > 第一個可見的啟動器）
+ * @param {Object} config - 配置
+ * @param {string} [preferredId] - 優先使用的啟動器 ID
+ * @param {string} [groupId] - 目錄所屬的群組 ID
+ * @returns {string}
+ */
+function getFallbackTerminalId(config, preferredId, groupId = 'default') {
+  const terminals = config.terminals || [];
+  const exists = id => !!id && terminals.some(t => t.id === id);
+  if (exists(preferredId)) {
+    return preferredId;
+  }
+  const groupTerminalId = getGroupTerminalId(config.groups, groupId);
+  if (exists(groupTerminalId)) {
+    return groupTerminalId;
+  }
+  return terminals.find(t => !t.hidden)?.id || getDefaultTerminalId();
+}
+
+/**
+ * 掃描根目錄並回報探索結果
+ * 每個根目錄會記錄本次找到的專案路徑（known），下次掃描時據此回報新增與消失的專案
+ * @param {Object} [options] - 選項
+ * @param {string[]} [options.rootIds] - 只掃描指定的根目錄（預設全部）
+ * @returns {Promise<Object>} { success, roots, projects, vanished, error? }
+ *   projects[]：{ path, name, markers, rootId, group, terminalId, isNew, directoryId }
+ *   vanished[]：{ path, rootId, directoryId }
+ */
+async function scanProjects(options = {}) {
+  const config = loadConfig();
+  const roots = (config.scanRoots || []).filter(
+    root => !options.rootIds || options.rootIds.includes(root.id)
+  );
+
+  if (roots.length === 0) {
+    return { success: false, error: 'No scan roots configured' };
+  }
+
+  const directoryKeys = getDirectoryKeyMap(config.directories);
+  const seen = new Set();
+  const projects = [];
+  const vanished = [];
+  const rootResults = [];
+  // 各根目錄本次的掃描結果 { known, lastScan }（依根目錄 ID），掃描完成後才寫回配置
+  const scanStates = new Map();
+
+  for (const root of roots) {
+    let walked;
+    try {
+      walked = await walkRoot(root.path, normalizeScanDepth(root.depth));
+    } catch (err) {
+      logger.warn(`Failed to scan root "${root.path}"`, { error: err.message });
+      rootResults.push({ id: root.id, path: root.path, error: err.message });
+      continue;
+    }
+
+    const found = walked.projects.map(project => project.path);
+    const diff = diffScanResults(root.known || [], found);
+    const addedKeys = new Set(diff.added.map(p => normalizePathKey(p)));
+
+    for (const project of walked.projects) {
+      const key = normalizePathKey(project.path);
+      // 根目錄互相重疊時，同一專案只列出一次
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const group = suggestGroup(project.path, root, config.groups);
+      projects.push({
+        path: project.path,
+        name: getBasename(project.path),
+        markers: project.markers,
+        rootId: root.id,
+        group,
+        terminalId: suggestTerminal(
+          project.markers,
+          config.terminals,
+          getFallbackTerminalId(config, root.terminalId, group)
+        ),
+        isNew: addedKeys.has(key),
+        directoryId: directoryKeys.get(key) ?? null,
+      });
+    }
+
+    vanished.push(
+      ...diff.vanished.map(p => ({
+        path: p,
+        rootId: root.id,
+        directoryId: directoryKeys.get(normalizePathKey(p)) ?? null,
+      }))
+    );
+
+    scanStates.set(root.id, { known: found, lastScan: Date.now() });
+    rootResults.push({
+      id: root.id,
+      path: root.path,
+      found: found.length,
+      added: diff.added.length,
+      vanished: diff.vanished.length,
+      truncated: walked.truncated,
+    });
+  }
+
+  // 掃描期間配置可能已被修改，重新載入後只寫回掃描結果
+  if (scanStates.size > 0) {
+    const latest = loadConfig();
+    saveConfig({
+      ...latest,
+      scanRoots: (latest.scanRoots || []).map(root =>
+        scanStates.has(root.id) ? { ...root, ...scanStates.get(root.id) } : root
+      ),
+    });
+  }
+  logger.info('Scan completed', { roots: rootResults.length, projects: projects.length });
+
+  return { success: true, roots: rootResults, projects, vanished };
+}
+
+/**
+ * 將探索到的專案匯入為目錄
+ * 已存在、路徑不安全或不存在的專案會略過並回報原因
+ * @param {Array} projects - 專案列表 [{ path, name?, group?, terminalId?, icon? }]
+ * @returns {{ success: boolean, added: Array, skipped: Array<{ path: string, reason: string }> }}
+ */
+function importProjects(projects) {
+  const config = loadConfig();
+  const directoryKeys = getDirectoryKeyMap(config.directories);
+  const groupIds = new Set((config.groups || []).map(g => g.id));
+  let nextId = Math.max(0, ...config.directories.map(d => d.id)) + 1;
+  const added = [];
+  const skipped = [];
+
+  for (const project of projects) {
+    const key = normalizePathKey(project.path);
+    if (directoryKeys.has(key)) {
+      skipped.push({ path: project.path, reason: 'exists' });
+      continue;
+    }
+    if (!validatePathSafety(project.path).safe) {
+      skipped.push({ path: project.path, reason: 'unsafe' });
+      continue;
+    }
+    try {
+      if (!fs.statSync(project.path).isDirectory()) {
+        skipped.push({ path: project.path, reason: 'notDirectory' });
+        continue;
+      }
+    } catch {
+      skipped.push({ path: project.path, reason: 'notFound' });
+      continue;
+    }
+
+    const group = groupIds.has(project.group) ? project.group : 'default';
+    const terminalId = getFallbackTerminalId(config, project.terminalId, group);
+    const dir = {
+      id: nextId++,
+      name: (project.name || '').trim() || getBasename(project.path),
+      icon: project.icon || '📁',
+      path: project.path,
+      group,
+      order: config.directories.length,
+    };
+    // 與群組沿用的啟動器相同時不寫入，之後變更群組預設啟動器時目錄會跟著改變
+    if (terminalId !== getDirectoryTerminalId(dir, config)) {
+      dir.terminalId = terminalId;
+    }
+    config.directories.push(dir);
+    directoryKeys.set(key, dir.id);
+    added.push(dir);
+  }
+
+  if (added.length > 0) {
+    saveConfig(config);
+    logger.info(`Imported ${added.length} discovered projects`);
+  }
+
+  return { success: true, added, skipped };
+}
+
+module.exports = {
+  MAX_SCANNED_DIRECTORIES,
+  walkRoot,
+  scanProjects,
+  importProjects,
+};
@@ -1,10 +1,16 @@
 /**
  * 快捷鍵管理模組
- * 處理全域快捷鍵的註冊與管理
+ * 處理全域快捷鍵（顯示主視窗、快速啟動面板、目錄快捷鍵）的註冊與管理
  */
-const { globalShortcut } = require('electron');
-const { loadConfig } = require('./config');
+const { globalShortcut, dialog } = require('electron');
+const { loadConfig, getDirectoryTerminalId } = require('./config');
 const { getMainWindow } = require('./window');
+const { t } = require('./i18n');
+const { togglePalette } = require('./palette');
+const { openTerminal } = require('./terminal');
+const { recordLaunch } = require('./history');
+const { notifyConfigChanged } = require('./mcp/utils');
+const { normalizeAccelerator, findHotkeyConflicts } = require('./utils/hotkey-utils');
 const { createLogger } = require('./logger');
 
 const logger = createLogger('Shortcut');
@@ -16,13 +22,53 @@ const ShortcutError = {
   ALREADY_REGISTERED: 'ALREADY_REGISTERED',
   INVALID_SHORTCUT: 'INVALID_SHORTCUT',
   REGISTRATION_FAILED: 'REGISTRATION_FAILED',
+  CONFLICT: 'CONFLICT',
+  TARGET_NOT_FOUND: 'TARGET_NOT_FOUND',
 };
 
+// 快速啟動面板預設快捷鍵
+const DEFAULT_PALETTE_SHORTCUT = 'Alt+Shift+Space';
+
 /**
  * 最後一次註冊結果
  */
 let lastRegistrationResult = null;
 
+/**
+ * 最後一次快速啟動面板快捷鍵註冊結果（未設定時為 null）
+ */
+let lastPaletteRegistrationResult = null;
+
+/**
+ * 最後一次目錄快捷鍵註冊結果（依 config.hotkeys 順序）
+ */
+let lastHotkeyRegistrationResults = [];
+
+/**
+ * 註冊單一快捷鍵並回傳結果
+ * @param {string} shortcut - 快捷鍵
+ * @param {Function} callback - 觸發時執行的函式
+ * @returns {Object} { success: boolean, shortcut: string, errorType?: string, error?: string }
+ */
+function registerAccelerator(shortcut, callback) {
+  try {
+    if (globalShortcut.register(shortcut, callback)) {
+      return { success: true, shortcut };
+    }
+    // 註冊失敗，可能是快捷鍵已被佔用
+    logger.warn('Shortcut registration failed (may be occupied)', shortcut);
+    return { success: false, shortcut, errorType: ShortcutError.ALREADY_REGISTERED };
+  } catch (err) {
+    logger.error('Shortcut registration error', err);
+    return {
+      success: false,
+      shortcut,
+      errorType: ShortcutError.REGISTRATION_FAILED,
+      error: err.message,
+    };
+  }
+}
+
 /**
  * 註冊全域快捷鍵
  * @param {string} [customShortcut] - 可選的自訂快捷鍵，若未提供則從配置讀取
@@ -39,45 +85,142 @@ function registerShortcut(customShortcut) {
   // 注意：Electron 的 isRegistered 只檢測本應用程式註冊的快捷鍵
   // 無法檢測系統或其他程式的佔用
 
-  try {
-    const success = globalShortcut.register(shortcut, () => {
-      const mainWindow = getMainWindow();
-      if (!mainWindow) return;
-
-      if (mainWindow.isVisible()) {
-        mainWindow.hide();
-      } else {
-        mainWindow.show();
-        mainWindow.focus();
-      }
-    });
-
-    if (success) {
-      lastRegistrationResult = {
-        success: true,
-        shortcut,
-      };
+  lastRegistrationResult = registerAccelerator(shortcut, () => {
+    const mainWindow = getMainWindow();
+    if (!mainWindow) return;
+
+    if (mainWindow.isVisible()) {
+      mainWindow.hide();
     } else {
-      // 註冊失敗，可能是快捷鍵已被佔用
-      logger.warn('Shortcut registration failed (may be occupied)', shortcut);
-      lastRegistrationResult = {
-        success: false,
-        shortcut,
-        errorType: ShortcutError.ALREADY_REGISTERED,
-      };
+      mainWindow.show();
+      mainWindow.focus();
     }
+  });
 
-    return lastRegistrationResult;
-  } catch (err) {
-    logger.error('Shortcut registration error', err);
-    lastRegistrationResult = {
+  // 快速啟動面板快捷鍵（空字串表示停用；與主視窗快捷鍵相同時視為衝突）
+  const paletteShortcut = config.settings.paletteShortcut ?? DEFAULT_PALETTE_SHORTCUT;
+  if (!paletteShortcut) {
+    lastPaletteRegistrationResult = null;
+  } else if (normalizeAccelerator(paletteShortcut) === normalizeAccelerator(shortcut)) {
+    lastPaletteRegistrationResult = {
       success: false,
-      shortcut,
-      errorType: ShortcutError.REGISTRATION_FAILED,
-      error: err.message,
+      shortcut: paletteShortcut,
+      errorType: ShortcutError.CONFLICT,
+      conflictWith: 'globalShortcut',
     };
-    return lastRegistrationResult;
+  } else {
+    lastPaletteRegistrationResult = registerAccelerator(paletteShortcut, togglePalette);
   }
+
+  lastHotkeyRegistrationResults = registerDirectoryHotkeys(config, {
+    globalShortcut: shortcut,
+    paletteShortcut,
+  });
+
+  return lastRegistrationResult;
+}
+
+/**
+ * 顯示目錄快捷鍵啟動失敗的對話框（主視窗存在時附加於主視窗）
+ * @param {string} message - 訊息
+ * @param {string} detail - 詳細內容
+ */
+function showHotkeyError(message, detail) {
+  const mainWindow = getMainWindow();
+  const options = { type: 'error', title: t('dialog.hotkey.title'), message, detail };
+  return mainWindow && !mainWindow.isDestroyed()
+    ? dialog.showMessageBox(mainWindow, options)
+    : dialog.showMessageBox(options);
+}
+
+/**
+ * 以目錄快捷鍵開啟目錄（觸發時重新讀取配置，使用綁定的啟動器或目錄的啟動器）
+ * 目錄或啟動器不存在、啟動失敗時記錄並以對話框告知使用者
+ * @param {string} hotkeyId - 目錄快捷鍵 ID
+ */
+async function launchHotkey(hotkeyId) {
+  const config = loadConfig();
+  const hotkey = config.hotkeys?.find(h => h.id === hotkeyId);
+  if (!hotkey) return;
+
+  const dir = config.directories.find(d => d.id === hotkey.directoryId);
+  if (!dir) {
+    logger.warn('Hotkey directory not found', { hotkeyId, directoryId: hotkey.directoryId });
+    await showHotkeyError(t('dialog.hotkey.directoryNotFound'), hotkey.accelerator);
+    return;
+  }
+
+  const terminalId = hotkey.terminalId || getDirectoryTerminalId(dir, config);
+  const terminal = config.terminals?.find(t => t.id === terminalId);
+  if (!terminal) {
+    logger.warn('Hotkey launcher not found', { hotkeyId, terminalId });
+    await showHotkeyError(t('dialog.hotkey.launcherNotFound', { name: dir.name }), terminalId);
+    return;
+  }
+
+  const result = await openTerminal(dir, terminal, {
+    groups: config.groups,
+    launchCheckMs: config.settings?.launchCheckMs,
+  });
+
+  // 記錄啟動歷史並通知前端與托盤更新最近使用
+  recordLaunch({ dir, terminalId, source: 'hotkey', result });
+  notifyConfigChanged();
+
+  if (!result.success) {
+    logger.warn('Hotkey launch failed', { hotkeyId, errorType: result.errorType });
+    await showHotkeyError(
+      t('dialog.hotkey.failed', { name: dir.name, launcher: terminal.name }),
+      result.errorDetail || result.errorType
+    );
+  }
+}
+
+/**
+ * 註冊目錄快捷鍵（與保留快捷鍵或其他目錄快捷鍵衝突、目錄或綁定的啟動器不存在時不註冊）
+ * @param {Object} config - 配置
+ * @param {Object} reserved - 保留快捷鍵 { 設定鍵: 快捷鍵 }
+ * @returns {Array} [{ id, success, shortcut, errorType?, conflictWith?, target?, error? }]
+ */
+function registerDirectoryHotkeys(config, reserved) {
+  const hotkeys = config.hotkeys || [];
+  const conflicts = findHotkeyConflicts(hotkeys, reserved);
+
+  return hotkeys.map(hotkey => {
+    const shortcut = hotkey.accelerator;
+    if (conflicts.has(hotkey.id)) {
+      return {
+        id: hotkey.id,
+        success: false,
+        shortcut,
+        errorType: ShortcutError.CONFLICT,
+        conflictWith: conflicts.get(hotkey.id),
+      };
+    }
+    if (!config.directories.some(d => d.id === hotkey.directoryId)) {
+      return {
+        id: hotkey.id,
+        success: false,
+        shortcut,
+        errorType: ShortcutError.TARGET_NOT_FOUND,
+        target: 'directory',
+      };
+    }
+    if (hotkey.terminalId && !config.terminals?.some(t => t.id === hotkey.terminalId)) {
+      logger.warn('Hotkey launcher not found', {
+        hotkeyId: hotkey.id,
+        terminalId: hotkey.terminalId,
+      });
+      return {
+        id: hotkey.id,
+        success: false,
+        shortcut,
+        errorType: ShortcutError.TARGET_NOT_FOUND,
+        target: 'launcher',
+      };
+    }
+    return { id: hotkey.id, ...registerAccelerator(shortcut, () => launchHotkey(hotkey.id)) };
+  });
 }
 
 /**
@@ -88,6 +231,22 @@ function getLastRegistrationResult() {
   return lastRegistrationResult;
 }
 
+/**
+ * 取得快速啟動面板快捷鍵最後一次註冊結果
+ * @returns {Object|null}
+ */
+function getPaletteRegistrationResult() {
+  return lastPaletteRegistrationResult;
+}
+
+/**
+ * 取得目錄快捷鍵最後一次註冊結果
+ * @returns {Array}
+ */
+function getHotkeyRegistrationResults() {
+  return lastHotkeyRegistrationResults;
+}
+
 /**
  * 取消所有快捷鍵註冊
  */
@@ -99,5 +258,8 @@ module.exports = {
   registerShortcut,
   unregisterAllShortcuts,
   getLastRegistrationResult,
+  getPaletteRegistrationResult,
+  getHotkeyRegistrationResults,
   ShortcutError,
+  DEFAULT_PALETTE_SHORTCUT,
 };
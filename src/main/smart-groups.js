@@ -0,0 +1,54 @@
+/**
+ * 智慧群組模組
+ * 以啟動歷史與本機路徑狀態計算智慧群組的成員目錄（供托盤選單與 MCP 工具使用）
+ */
+const { app } = require('electron');
+const fs = require('fs');
+const { getDefaultTerminalId } = require('./config');
+const { getLastUsedMap } = require('./history');
+const { isRemoteDirectory } = require('./utils/ssh-utils');
+const { getSmartGroupMembers } = require('./utils/smart-group-utils');
+
+/**
+ * 建立智慧群組規則比對所需資料
+ * @param {Object} config - 配置物件
+ * @returns {Object} { now, homeDir, defaultTerminalId, groups, lastUsed, isPathInvalid }
+ */
+function createSmartGroupContext(config) {
+  return {
+    now: Date.now(),
+    homeDir: app.getPath('home'),
+    defaultTerminalId: getDefaultTerminalId(),
+    groups: config.groups,
+    lastUsed: getLastUsedMap(),
+    // 遠端目錄無法在本機檢查，不視為無效
+    isPathInvalid: dir => {
+      if (isRemoteDirectory(dir)) return false;
+      try {
+        return !fs.existsSync(dir.path);
+      } catch {
+        return true;
+      }
+    },
+  };
+}
+
+/**
+ * 計算所有智慧群組的成員目錄（依 order 排序）
+ * @param {Object} config - 配置物件
+ * @returns {Array<{ smartGroup: Object, directories: Object[] }>}
+ */
+function resolveSmartGroups(config) {
+  const smartGroups = [...(config.smartGroups || [])].sort(
+    (a, b) => (a.order || 0) - (b.order || 0)
+  );
+  if (smartGroups.length === 0) return [];
+
+  const context = createSmartGroupContext(config);
+  return smartGroups.map(smartGroup => ({
+    smartGroup,
+    directories: getSmartGroupMembers(config.directories, smartGroup, context),
+  }));
+}
+
+module.exports = { resolveSmartGroups };
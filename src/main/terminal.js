@@ -3,6 +3,9 @@
  * 處理終端的動態啟動邏輯
  */
 const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { createLogger } = require('./logger');
 const { getValidator } = require('./validators');
 const {
@@ -11,13 +14,45 @@ const {
   validatePathSafety,
   escapePathForShell,
 } = require('./utils/path-utils');
+const {
+  LIST_PLACEHOLDERS,
+  buildTemplateContext,
+  renderTemplate,
+  stripPlaceholders,
+  isPlaceholderAt,
+} = require('./utils/command-template');
+const {
+  getEnvLayers,
+  resolveLaunchEnv,
+  maskEnvValue,
+  describeInjectedEnv,
+  parseDotenv,
+} = require('./utils/env-utils');
+const { isRemoteDirectory, validateRemoteTarget } = require('./utils/ssh-utils');
+const { getSessionName, buildMuxAttachArgs } = require('./utils/mux-utils');
+const { getZellijLayoutPath, prepareMultiplexerSession } = require('./multiplexer');
+const { buildContainerExecArgs } = require('./utils/container-utils');
+const { prepareContainerSession } = require('./container');
 
 const logger = createLogger('Terminal');
 
+// 環境變數檔大小上限
+const MAX_ENV_FILE_SIZE = 256 * 1024;
+
+// 啟動後觀察子進程的時間（毫秒），0 表示不觀察
+const DEFAULT_LAUNCH_CHECK_MS = 1000;
+const MAX_LAUNCH_CHECK_MS = 5000;
+
+// 提前結束時保留的 stderr 長度上限
+const MAX_STDERR_SNIPPET = 500;
+
+// 讀取 stderr 暫存檔的位元組上限（UTF-8 字元最多 4 位元組）
+const MAX_STDERR_READ_BYTES = MAX_STDERR_SNIPPET * 4;
+
 /**
  * 嘗試將命令模板解析為可執行檔和引數陣列（用於 shell-free 執行）
  * 僅用於 macOS/Linux，Windows 因 .cmd/.bat 相容性需保持 shell 模式
- * @param {string} commandTemplate - 包含 {path} 的命令模板
+ * @param {string} commandTemplate - 包含佔位符（如 {path}）的命令模板
  * @returns {Object|null} { executable, argTemplates } 或 null（需要 shell）
  */
 function parseSimpleCommand(commandTemplate) {
@@ -25,24 +60,29 @@ function parseSimpleCommand(commandTemplate) {
     return null;
   }
 
-  // 移除 {path} 後檢查是否包含 shell 操作符
-  const withoutPath = commandTemplate.replace(/\{path\}/g, '');
-  if (/[;|&`$><\n\r]/.test(withoutPath)) {
+  // 移除佔位符後檢查是否包含 shell 操作符
+  const withoutPlaceholders = stripPlaceholders(commandTemplate);
+  if (/[;|&`$><\n\r]/.test(withoutPlaceholders)) {
     return null;
   }
 
-  // 檢查 {path} 是否出現在引號內（表示需要 shell 解讀）
+  // 檢查佔位符是否出現在引號內（表示需要 shell 解讀）
   let inQuote = false;
   let quoteChar = '';
   for (let i = 0; i < commandTemplate.length; i++) {
     const ch = commandTemplate[i];
+    // 跳過 {{ 與 }} 跳脫序列
+    if (commandTemplate.startsWith('{{', i) || commandTemplate.startsWith('}}', i)) {
+      i++;
+      continue;
+    }
     if (!inQuote && (ch === '"' || ch === "'")) {
       inQuote = true;
       quoteChar = ch;
     } else if (inQuote && ch === quoteChar) {
       inQuote = false;
     }
-    if (inQuote && commandTemplate.startsWith('{path}', i)) {
+    if (inQuote && isPlaceholderAt(commandTemplate, i)) {
       return null;
     }
   }
@@ -95,6 +135,17 @@ const ErrorType = {
   // 通用錯誤類型
   TERMINAL_NOT_FOUND: 'TERMINAL_NOT_FOUND',
   SPAWN_FAILED: 'SPAWN_FAILED',
+  SPAWN_EXITED_EARLY: 'SPAWN_EXITED_EARLY', // 子進程在觀察期間以非零代碼結束
+  // 遠端（SSH）目錄錯誤類型
+  REMOTE_NOT_SUPPORTED: 'REMOTE_NOT_SUPPORTED', // 啟動器未設定遠端命令
+  REMOTE_INVALID: 'REMOTE_INVALID', // 遠端目標設定無效
+  // 多工器錯誤類型
+  MULTIPLEXER_FAILED: 'MULTIPLEXER_FAILED', // 建立 tmux / zellij session 失敗
+  // 容器錯誤類型
+  DOCKER_NOT_RUNNING: 'DOCKER_NOT_RUNNING', // 無法連線到 Docker daemon
+  DOCKER_PERMISSION_DENIED: 'DOCKER_PERMISSION_DENIED', // 沒有存取 Docker daemon 的權限
+  CONTAINER_NOT_RUNNING: 'CONTAINER_NOT_RUNNING', // 找不到目錄對應的執行中容器
+  CONTAINER_FAILED: 'CONTAINER_FAILED', // 查詢容器失敗
 };
 
 // 取得驗證器實例
@@ -176,10 +227,35 @@ function usesWsl(command) {
   return validator.usesWsl(command);
 }
 
+/**
+ * 取得目錄要使用的命令模板
+ * 本機目錄使用 command；遠端目錄優先使用 remoteCommand，其次為含 {ssh} 的 command（多工器、容器啟動器除外）
+ * @param {Object} dir - 目錄物件 { remote }
+ * @param {Object} terminal - 終端配置 { command, remoteCommand }
+ * @returns {string|null} 命令模板，啟動器不支援遠端目錄時為 null
+ */
+function resolveCommandTemplate(dir, terminal) {
+  if (!isRemoteDirectory(dir)) {
+    return terminal.command;
+  }
+  // 多工器 session 與容器位於本機，遠端目錄僅能使用 remoteCommand
+  if ((terminal.multiplexer || terminal.container) && !terminal.remoteCommand) {
+    return null;
+  }
+  if (typeof terminal.remoteCommand === 'string' && terminal.remoteCommand.trim()) {
+    return terminal.remoteCommand;
+  }
+  if (typeof terminal.command === 'string' && terminal.command.includes('{ssh}')) {
+    return terminal.command;
+  }
+  return null;
+}
+
 /**
  * 驗證終端啟動前置條件（同步版本，保持向後相容）
- * @param {Object} dir - 目錄物件 { path }
- * @param {Object} terminal - 終端配置 { command, pathFormat }
+ * 遠端目錄不檢查本機路徑是否存在，改為驗證遠端目標
+ * @param {Object} dir - 目錄物件 { path, remote }
+ * @param {Object} terminal - 終端配置 { command, remoteCommand, pathFormat }
  * @returns {Object} { valid: boolean, errorType?: string, errorDetail?: string }
  */
 function validatePrerequisites(dir, terminal) {
@@ -190,14 +266,64 @@ function validatePrerequisites(dir, terminal) {
     return configResult;
   }
 
-  // 2. 檢查路徑
-  const pathResult = validator.validatePath(dir.path);
-  if (!pathResult.valid) {
-    return pathResult;
+  // 2. 檢查路徑（遠端目錄檢查遠端目標與啟動器是否支援）
+  if (isRemoteDirectory(dir)) {
+    const remoteResult = validateRemoteTarget(dir.remote);
+    if (!remoteResult.valid) {
+      return {
+        valid: false,
+        errorType: ErrorType.REMOTE_INVALID,
+        errorDetail: remoteResult.error,
+      };
+    }
+    if (!resolveCommandTemplate(dir, terminal)) {
+      return {
+        valid: false,
+        errorType: ErrorType.REMOTE_NOT_SUPPORTED,
+        errorDetail: terminal.name || terminal.id,
+      };
+    }
+  } else {
+    const pathResult = validator.validatePath(dir.path);
+    if (!pathResult.valid) {
+      return pathResult;
+    }
   }
 
   // 3. 檢查終端相關依賴（使用快取）
-  const command = terminal.command;
+  const command = resolveCommandTemplate(dir, terminal);
+
+  // 多工器啟動器需確認 tmux / zellij 已安裝（本機目錄才會使用多工器）
+  if (terminal.multiplexer && !isRemoteDirectory(dir)) {
+    const muxCheckMethod = { tmux: 'isTmuxInstalled', zellij: 'isZellijInstalled' }[
+      terminal.multiplexer
+    ];
+    if (typeof validator[muxCheckMethod] === 'function' && !validator[muxCheckMethod]()) {
+      return {
+        valid: false,
+        errorType: ErrorType.TERMINAL_NOT_FOUND,
+        errorDetail: terminal.multiplexer,
+      };
+    }
+  }
+
+  // 容器啟動器需確認 docker（與 devcontainer）CLI 已安裝
+  if (terminal.container && !isRemoteDirectory(dir)) {
+    const clis = terminal.container === 'devcontainer' ? ['docker', 'devcontainer'] : ['docker'];
+    for (const cli of clis) {
+      const cliCheckMethod = {
+        docker: 'isDockerInstalled',
+        devcontainer: 'isDevcontainerInstalled',
+      }[cli];
+      if (typeof validator[cliCheckMethod] === 'function' && !validator[cliCheckMethod]()) {
+        return {
+          valid: false,
+          errorType: ErrorType.TERMINAL_NOT_FOUND,
+          errorDetail: cli,
+        };
+      }
+    }
+  }
 
   // Windows 專屬檢查
   if (process.platform === 'win32') {
@@ -255,6 +381,9 @@ function validatePrerequisites(dir, terminal) {
           kitty: 'isKittyInstalled',
           hyper: 'isHyperInstalled',
           warp: 'isWarpInstalled',
+          // 終端多工器
+          tmux: 'isTmuxInstalled',
+          zellij: 'isZellijInstalled',
         };
 
         const checkMethod = checkMethodMap[terminalType];
@@ -304,6 +433,10 @@ function getMacOSInstallAction(terminalName) {
     kitty: 'https://sw.kovidgoyal.net/kitty/',
     hyper: 'https://hyper.is/',
     warp: 'https://www.warp.dev/',
+    tmux: 'https://github.com/tmux/tmux/wiki/Installing',
+    zellij: 'https://zellij.dev/documentation/installation',
+    devcontainer: 'https://github.com/devcontainers/cli',
+    docker: 'https://docs.docker.com/get-docker/',
   };
 
   for (const [key, url] of Object.entries(installLinks)) {
@@ -339,6 +472,10 @@ function getLinuxInstallHint(terminalName) {
     terminator: 'apt install terminator',
     'xfce4-terminal': 'apt install xfce4-terminal',
     xfce4terminal: 'apt install xfce4-terminal',
+    tmux: 'apt install tmux',
+    zellij: 'cargo install --locked zellij',
+    devcontainer: 'npm install -g @devcontainers/cli',
+    docker: 'apt install docker.io',
   };
 
   for (const [key, cmd] of Object.entries(installCommands)) {
@@ -436,9 +573,68 @@ function createErrorResult(errorType, errorDetail) {
       });
       break;
 
+    case ErrorType.SPAWN_EXITED_EARLY:
+    case ErrorType.MULTIPLEXER_FAILED:
+      result.actions = [
+        {
+          type: 'internal',
+          labelKey: 'error.action.switchTerminal',
+          value: 'open-terminal-settings',
+        },
+      ];
+      break;
+
+    case ErrorType.DOCKER_NOT_RUNNING:
+      result.actions = [
+        {
+          type: 'url',
+          labelKey: 'error.action.startDocker',
+          value: 'https://docs.docker.com/engine/daemon/start/',
+        },
+      ];
+      break;
+
+    case ErrorType.DOCKER_PERMISSION_DENIED:
+      result.actions = [
+        {
+          type: 'url',
+          labelKey: 'error.action.dockerPermissions',
+          value: 'https://docs.docker.com/engine/install/linux-postinstall/',
+        },
+      ];
+      break;
+
+    case ErrorType.CONTAINER_NOT_RUNNING:
+      // errorDetail 為建議的啟動命令（偵測不到容器設定檔時為 null）
+      if (errorDetail) {
+        result.actions.push({
+          type: 'copy',
+          labelKey: 'error.action.copyStartCommand',
+          value: errorDetail,
+        });
+      }
+      result.actions.push({
+        type: 'internal',
+        labelKey: 'error.action.switchTerminal',
+        value: 'open-terminal-settings',
+      });
+      break;
+
+    case ErrorType.REMOTE_NOT_SUPPORTED:
+    case ErrorType.CONTAINER_FAILED:
+      result.actions = [
+        {
+          type: 'internal',
+          labelKey: 'error.action.switchTerminal',
+          value: 'open-terminal-settings',
+        },
+      ];
+      break;
+
     case ErrorType.PATH_NOT_FOUND:
     case ErrorType.PATH_NOT_DIRECTORY:
     case ErrorType.PATH_UNSAFE:
+    case ErrorType.REMOTE_INVALID:
       result.actions = [
         {
           type: 'internal',
@@ -455,13 +651,145 @@ function createErrorResult(errorType, errorDetail) {
   return result;
 }
 
+/**
+ * 將引數轉為可閱讀的顯示字串（僅用於預覽）
+ * @param {string} arg - 引數
+ * @returns {string}
+ */
+function quoteArgForDisplay(arg) {
+  if (/^[\w@%+=:,./\\-]+$/.test(arg)) {
+    return arg;
+  }
+  return '"' + arg.replace(/(["\\$`])/g, '\\$1') + '"';
+}
+
+/**
+ * 載入目錄設定的環境變數檔（dotenv 語法）
+ * 注意：僅記錄檔案路徑與變數數量，變數值不得寫入日誌
+ * @param {Object} dir - 目錄物件 { path, envFile }
+ * @returns {{ env: Object|null, info: Object|null }} info 為 { path, loaded, count?, error? }
+ */
+function loadEnvFile(dir) {
+  // 遠端目錄的環境變數檔位於遠端主機，無法在本機讀取
+  if (!dir.envFile || typeof dir.envFile !== 'string' || isRemoteDirectory(dir)) {
+    return { env: null, info: null };
+  }
+
+  const filePath = path.resolve(dir.path, dir.envFile);
+
+  try {
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile()) {
+      return { env: null, info: { path: filePath, loaded: false, error: 'NOT_A_FILE' } };
+    }
+    if (stat.size > MAX_ENV_FILE_SIZE) {
+      return { env: null, info: { path: filePath, loaded: false, error: 'TOO_LARGE' } };
+    }
+
+    const env = parseDotenv(fs.readFileSync(filePath, 'utf-8'), {
+      onWarning: message => logger.warn('Env file parse warning', { path: filePath, message }),
+    });
+    return { env, info: { path: filePath, loaded: true, count: Object.keys(env).length } };
+  } catch (err) {
+    const error = err.code === 'ENOENT' ? 'NOT_FOUND' : 'READ_FAILED';
+    return { env: null, info: { path: filePath, loaded: false, error } };
+  }
+}
+
+/**
+ * 建立啟動計畫：依平台與命令模板決定 shell-free 或 shell 模式，並替換佔位符
+ * 除實際執行的命令外，另產生兩種版本：
+ * - display：機密環境變數值已遮罩，供預覽使用
+ * - log：{env:VAR} 不展開，供日誌使用，避免變數值寫入日誌
+ * {ssh}、{mux} 單獨作為引數時，shell-free 模式展開為多個引數，shell 模式則逐一轉義後以空白連接
+ * @param {Object} dir - 目錄物件 { path, name, group, remote }
+ * @param {Object} terminal - 終端配置 { command, remoteCommand, pathFormat }
+ * @param {Object} [options] - 模板選項（groups、env、muxArgs、containerArgs），見 buildTemplateContext
+ * @returns {Object} { shell, command, display, log, executable?, args?, unsafeReason? }
+ */
+function buildLaunchPlan(dir, terminal, options = {}) {
+  const context = buildTemplateContext(dir, terminal, options);
+  const template = resolveCommandTemplate(dir, terminal) ?? terminal.command;
+
+  const maskers = {
+    actual: value => value,
+    display: (value, arg) => maskEnvValue(arg, value),
+    log: (value, arg) => `{env:${arg}}`,
+  };
+
+  // 在 macOS/Linux 上，優先使用 shell-free 模式執行簡單命令
+  // Windows 因 .cmd/.bat 相容性必須保持 shell 模式
+  if (process.platform !== 'win32') {
+    const parsed = parseSimpleCommand(template);
+    if (parsed) {
+      const render = mask => {
+        const transform = (value, name, arg) => (name === 'env' ? mask(value, arg) : value);
+        const executable = renderTemplate(parsed.executable, context, transform);
+        const args = parsed.argTemplates.flatMap(t => {
+          const listName = t.slice(1, -1);
+          return t === `{${listName}}` && LIST_PLACEHOLDERS.includes(listName)
+            ? context.lists[listName]
+            : [renderTemplate(t, context, transform)];
+        });
+        return {
+          executable,
+          args,
+          command: [executable, ...args].map(quoteArgForDisplay).join(' '),
+        };
+      };
+
+      const actual = render(maskers.actual);
+      return {
+        shell: false,
+        executable: actual.executable,
+        args: actual.args,
+        command: actual.command,
+        display: render(maskers.display),
+        log: render(maskers.log),
+      };
+    }
+  }
+
+  // Shell 模式：對每個替換值進行轉義以防止注入
+  let unsafeReason = null;
+  const render = mask =>
+    renderTemplate(template, context, (value, name, arg) => {
+      // ssh / mux / container 引數由已驗證的設定組成，逐一轉義即可
+      if (LIST_PLACEHOLDERS.includes(name)) {
+        return context.lists[name]
+          .map(listArg => escapePathForShell(listArg, terminal.pathFormat))
+          .join(' ');
+      }
+      const safety = validatePathSafety(value);
+      if (value && !safety.safe && !unsafeReason) {
+        unsafeReason = safety.reason;
+      }
+      const shown = name === 'env' ? mask(value, arg) : value;
+      return escapePathForShell(shown, terminal.pathFormat);
+    });
+
+  const plan = {
+    shell: true,
+    command: render(maskers.actual),
+    display: { command: render(maskers.display) },
+    log: { command: render(maskers.log) },
+  };
+
+  if (unsafeReason) {
+    plan.unsafeReason = unsafeReason;
+  }
+  return plan;
+}
+
 /**
  * 預覽將要執行的終端命令
- * @param {Object} dir - 目錄物件 { path }
+ * 機密環境變數值會被遮罩
+ * @param {Object} dir - 目錄物件 { path, name, group, env, envFile }
  * @param {Object} terminal - 終端配置 { command, pathFormat }
- * @returns {Object} { success: boolean, command?: string, formattedPath?: string, errorType?: string }
+ * @param {Object} [options] - 選項 { groups }：群組列表，用於群組名稱與群組環境變數
+ * @returns {Object} { success: boolean, command?: string, shell?: boolean, args?: string[], env?: Array, envFile?: Object, formattedPath?: string, errorType?: string }
  */
-function previewCommand(dir, terminal) {
+function previewCommand(dir, terminal, options = {}) {
   // 驗證配置
   const configResult = validator.validateConfig(terminal);
   if (!configResult.valid) {
@@ -472,32 +800,207 @@ function previewCommand(dir, terminal) {
     };
   }
 
-  // 格式化路徑
-  const formattedPath = formatPath(dir.path, terminal.pathFormat);
-
-  // 對路徑進行轉義（與 openTerminal 保持一致）
-  const safePath = escapePathForShell(formattedPath, terminal.pathFormat);
+  if (!resolveCommandTemplate(dir, terminal)) {
+    return {
+      success: false,
+      errorType: ErrorType.REMOTE_NOT_SUPPORTED,
+      errorDetail: terminal.name || terminal.id,
+    };
+  }
 
-  // 替換佔位符
-  const command = terminal.command.replace(/\{path\}/g, safePath);
+  // 與 openTerminal 使用相同的環境變數與啟動計畫，確保預覽與實際執行一致
+  const envFile = loadEnvFile(dir);
+  const env = resolveLaunchEnv(dir, terminal, options.groups, process.env, envFile.env);
+  const remote = isRemoteDirectory(dir);
+  // 預覽不檢查 session 是否存在，以新建 session 的命令顯示
+  const session = getSessionName(dir);
+  const muxArgs =
+    terminal.multiplexer && !remote
+      ? buildMuxAttachArgs(terminal.multiplexer, session, {
+          layoutFile: dir.layout ? getZellijLayoutPath(session) : undefined,
+        })
+      : undefined;
+  // 預覽不查詢執行中的容器，以 <container> 代表容器 ID
+  const containerArgs =
+    terminal.container && !remote
+      ? buildContainerExecArgs(terminal.container, {
+          dirPath: dir.path,
+          containerId: '<container>',
+        })
+      : undefined;
+  const plan = buildLaunchPlan(dir, terminal, { ...options, env, muxArgs, containerArgs });
 
-  return {
+  const result = {
     success: true,
-    command,
-    formattedPath,
+    command: plan.display.command,
+    shell: plan.shell,
+    formattedPath: remote ? dir.path : formatPath(dir.path, terminal.pathFormat),
     originalPath: dir.path,
     terminalName: terminal.name,
     pathFormat: terminal.pathFormat,
+    env: describeInjectedEnv(getEnvLayers(dir, terminal, options.groups, envFile.env)),
+    envFile: envFile.info,
   };
+
+  if (!plan.shell) {
+    result.executable = plan.display.executable;
+    result.args = plan.display.args;
+  }
+
+  if (remote) {
+    result.remote = { ...dir.remote };
+  }
+
+  if (muxArgs) {
+    result.multiplexer = terminal.multiplexer;
+    result.session = session;
+  }
+
+  if (containerArgs) {
+    result.container = terminal.container;
+  }
+
+  return result;
+}
+
+/**
+ * 正規化啟動觀察時間
+ * @param {*} value - 設定值（未設定時使用預設值）
+ * @returns {number} 毫秒，0 表示不觀察
+ */
+function normalizeLaunchCheckMs(value) {
+  if (value === undefined || value === null) return DEFAULT_LAUNCH_CHECK_MS;
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms <= 0) return 0;
+  return Math.min(Math.round(ms), MAX_LAUNCH_CHECK_MS);
+}
+
+/**
+ * 擷取 stderr 片段（去除前後空白並限制長度）
+ * @param {string} text - stderr 內容
+ * @returns {string}
+ */
+function getStderrSnippet(text) {
+  const trimmed = text.trim();
+  return trimmed.length > MAX_STDERR_SNIPPET
+    ? trimmed.substring(0, MAX_STDERR_SNIPPET) + '…'
+    : trimmed;
+}
+
+/**
+ * 建立觀察期間擷取 stderr 的暫存檔
+ * 子進程的 stderr 直接寫入檔案而非管線，TermLauncher 結束後終端仍可正常寫入 stderr
+ * @returns {Object|null} { dir, file, fd }，建立失敗時回傳 null（不擷取 stderr）
+ */
+function createStderrCapture() {
+  let dir;
+  try {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-stderr-'));
+    const file = path.join(dir, 'stderr.log');
+    const fd = fs.openSync(file, 'wx', 0o600);
+    return { dir, file, fd };
+  } catch (err) {
+    logger.warn('Failed to create stderr capture file', err.message);
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    return null;
+  }
+}
+
+/**
+ * 讀取 stderr 暫存檔開頭的內容
+ * @param {Object|null} capture - createStderrCapture 的回傳值
+ * @returns {string}
+ */
+function readStderrCapture(capture) {
+  if (!capture) return '';
+  let fd;
+  try {
+    fd = fs.openSync(capture.file, 'r');
+    const buffer = Buffer.alloc(MAX_STDERR_READ_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString('utf-8', 0, bytesRead);
+  } catch (err) {
+    logger.warn('Failed to read stderr capture file', err.message);
+    return '';
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * 移除 stderr 暫存檔
+ * 仍在執行的子進程保有已開啟的檔案描述元，移除後寫入不受影響
+ * @param {Object|null} capture - createStderrCapture 的回傳值
+ */
+function removeStderrCapture(capture) {
+  if (!capture) return;
+  try {
+    fs.rmSync(capture.dir, { recursive: true, force: true });
+  } catch (err) {
+    // Windows 上子進程仍開啟檔案時無法刪除，僅記錄
+    logger.debug('Failed to remove stderr capture file', err.message);
+  }
+}
+
+/**
+ * 在短暫的觀察期間內監看子進程
+ * 捕捉 error 事件、非零結束代碼與 stderr 片段；觀察期結束仍在執行則視為成功
+ * @param {import('child_process').ChildProcess} child - 子進程
+ * @param {number} windowMs - 觀察時間（毫秒）
+ * @param {Object} terminal - 終端配置 { ignoreExitCode }
+ * @param {Object|null} capture - 子進程 stderr 的暫存檔
+ * @returns {Promise<Object>} { success: boolean, errorType?: string, errorDetail?: string, exitCode?: number }
+ */
+function observeSpawn(child, windowMs, terminal, capture) {
+  return new Promise(resolve => {
+    let settled = false;
+    let timer = null;
+
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      removeStderrCapture(capture);
+      child.unref();
+      resolve(result);
+    };
+
+    child.on('error', err => {
+      logger.error('Failed to spawn terminal', err);
+      finish(createErrorResult(ErrorType.SPAWN_FAILED, err.message));
+    });
+
+    child.once('exit', (code, signal) => {
+      if (code === 0 || (terminal.ignoreExitCode && code !== null)) {
+        finish({ success: true });
+        return;
+      }
+
+      logger.warn('Terminal exited early', { exitCode: code, signal });
+      finish({
+        ...createErrorResult(
+          ErrorType.SPAWN_EXITED_EARLY,
+          getStderrSnippet(readStderrCapture(capture))
+        ),
+        exitCode: code,
+        signal,
+      });
+    });
+
+    timer = setTimeout(() => finish({ success: true }), windowMs);
+  });
 }
 
 /**
  * 開啟終端
- * @param {Object} dir - 目錄物件 { path }
- * @param {Object} terminal - 終端配置 { command, pathFormat }
- * @returns {Object} { success: boolean, errorType?: string, errorDetail?: string, error?: string }
+ * @param {Object} dir - 目錄物件 { path, name, group, env, envFile }
+ * @param {Object} terminal - 終端配置 { command, pathFormat, ignoreExitCode }
+ * @param {Object} [options] - 選項
+ * @param {Array} [options.groups] - 群組列表，用於群組名稱與群組環境變數
+ * @param {number} [options.launchCheckMs] - 啟動後觀察子進程的時間（毫秒），0 表示不觀察
+ * @returns {Promise<Object>} { success: boolean, errorType?: string, errorDetail?: string, error?: string, exitCode?: number }
  */
-function openTerminal(dir, terminal) {
+async function openTerminal(dir, terminal, options = {}) {
   // 驗證前置條件
   const validation = validatePrerequisites(dir, terminal);
   if (!validation.valid) {
@@ -508,8 +1011,8 @@ function openTerminal(dir, terminal) {
     return createErrorResult(validation.errorType, validation.errorDetail);
   }
 
-  // 安全性檢查：驗證路徑不包含危險字符
-  const pathSafety = validatePathSafety(dir.path);
+  // 安全性檢查：驗證路徑不包含危險字符（遠端路徑套用更嚴格的規則）
+  const pathSafety = validatePathSafety(dir.path, { remote: isRemoteDirectory(dir) });
   if (!pathSafety.safe) {
     logger.warn('Path contains unsafe characters', {
       path: dir.path,
@@ -518,37 +1021,96 @@ function openTerminal(dir, terminal) {
     return createErrorResult(ErrorType.PATH_UNSAFE, pathSafety.reason);
   }
 
-  // 根據路徑格式轉換路徑
-  const formattedPath = formatPath(dir.path, terminal.pathFormat);
+  // 載入環境變數檔（選用），讀取失敗時僅記錄警告並繼續啟動
+  const envFile = loadEnvFile(dir);
+  if (envFile.info && !envFile.info.loaded) {
+    logger.warn('Env file not loaded', { path: envFile.info.path, error: envFile.info.error });
+  }
+
+  // 合併啟動器、群組、環境變數檔、目錄的環境變數
+  const env = resolveLaunchEnv(dir, terminal, options.groups, process.env, envFile.env);
 
-  try {
-    // 在 macOS/Linux 上，優先使用 shell-free 模式執行簡單命令
-    // Windows 因 .cmd/.bat 相容性必須保持 shell 模式
-    if (process.platform !== 'win32') {
-      const parsed = parseSimpleCommand(terminal.command);
-      if (parsed) {
-        const exe = parsed.executable.replace(/\{path\}/g, formattedPath);
-        const args = parsed.argTemplates.map(t => t.replace(/\{path\}/g, formattedPath));
-        logger.debug('Execute command (shell-free)', { executable: exe, args });
-        spawn(exe, args, { detached: true, stdio: 'ignore' }).unref();
-        return { success: true };
-      }
+  // 多工器啟動器：先確認或建立 session，再以附加命令替換 {mux}
+  let muxArgs;
+  if (terminal.multiplexer && !isRemoteDirectory(dir)) {
+    const mux = await prepareMultiplexerSession(dir, terminal, env);
+    if (!mux.success) {
+      return createErrorResult(ErrorType.MULTIPLEXER_FAILED, mux.error || mux.session);
     }
+    muxArgs = mux.args;
+  }
 
-    // Shell 模式：對路徑進行轉義以防止注入
-    const safePath = escapePathForShell(formattedPath, terminal.pathFormat);
-    const commandWithPath = terminal.command.replace(/\{path\}/g, safePath);
-    logger.debug('Execute command (shell)', commandWithPath);
-    spawn(commandWithPath, [], { detached: true, stdio: 'ignore', shell: true }).unref();
-    return { success: true };
+  // 容器啟動器：尋找目錄對應的執行中容器，再以進入容器的命令替換 {container}
+  let containerArgs;
+  if (terminal.container && !isRemoteDirectory(dir)) {
+    const container = await prepareContainerSession(dir, terminal, env);
+    if (!container.success) {
+      const containerErrors = {
+        daemon: [ErrorType.DOCKER_NOT_RUNNING, container.error],
+        permission: [ErrorType.DOCKER_PERMISSION_DENIED, container.error],
+        notRunning: [ErrorType.CONTAINER_NOT_RUNNING, container.startCommand],
+      };
+      const [errorType, errorDetail] = containerErrors[container.reason] || [
+        ErrorType.CONTAINER_FAILED,
+        container.error,
+      ];
+      return createErrorResult(errorType, errorDetail);
+    }
+    containerArgs = container.args;
+  }
+
+  const plan = buildLaunchPlan(dir, terminal, { ...options, env, muxArgs, containerArgs });
+
+  // Shell 模式下其他佔位符的值（名稱、群組、環境變數）同樣不得包含危險字符
+  if (plan.unsafeReason) {
+    logger.warn('Template value contains unsafe characters', { reason: plan.unsafeReason });
+    return createErrorResult(ErrorType.PATH_UNSAFE, plan.unsafeReason);
+  }
+
+  const launchCheckMs = normalizeLaunchCheckMs(options.launchCheckMs);
+  // 觀察期間將 stderr 導向暫存檔，不與子進程共用任何管線
+  const capture = launchCheckMs > 0 ? createStderrCapture() : null;
+  const spawnOptions = {
+    detached: true,
+    stdio: capture ? ['ignore', 'ignore', capture.fd] : 'ignore',
+    env,
+  };
+  // zellij 新 session 以目前工作目錄為根目錄
+  if (muxArgs) {
+    spawnOptions.cwd = dir.path;
+  }
+
+  let child;
+  try {
+    if (!plan.shell) {
+      logger.debug('Execute command (shell-free)', {
+        executable: plan.log.executable,
+        args: plan.log.args,
+      });
+      child = spawn(plan.executable, plan.args, spawnOptions);
+    } else {
+      logger.debug('Execute command (shell)', plan.log.command);
+      child = spawn(plan.command, [], { ...spawnOptions, shell: true });
+    }
   } catch (err) {
     logger.error('Failed to spawn terminal', err);
-    return {
-      success: false,
-      errorType: ErrorType.SPAWN_FAILED,
-      error: err.message,
-    };
+    if (capture) {
+      fs.closeSync(capture.fd);
+      removeStderrCapture(capture);
+    }
+    return createErrorResult(ErrorType.SPAWN_FAILED, err.message);
+  }
+
+  // 子進程已取得自己的檔案描述元，父進程不需保留
+  if (capture) fs.closeSync(capture.fd);
+
+  if (launchCheckMs === 0) {
+    child.on('error', err => logger.error('Failed to spawn terminal', err));
+    child.unref();
+    return { success: true };
   }
+
+  return observeSpawn(child, launchCheckMs, terminal, capture);
 }
 
 module.exports = {
@@ -556,7 +1118,10 @@ module.exports = {
   formatPath,
   openTerminal,
   previewCommand,
+  createErrorResult,
+  normalizeLaunchCheckMs,
   validatePrerequisites,
+  resolveCommandTemplate,
   parseSimpleCommand,
   isWindowsTerminalInstalled,
   isWslInstalled,
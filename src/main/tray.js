@@ -5,8 +5,14 @@
 const { Tray, Menu, nativeImage, app } = require('electron');
 const { getMainWindow } = require('./window');
 const { t } = require('./i18n');
-const { loadConfig, getDefaultTerminalId } = require('./config');
+const { loadConfig, getDirectoryTerminalId } = require('./config');
 const { openTerminal } = require('./terminal');
+const { runWorkspace } = require('./workspace');
+const { launchGroup, getGroupLaunchDirectories } = require('./group-launch');
+const { recordLaunch, getRecentLaunches } = require('./history');
+const { resolveSmartGroups } = require('./smart-groups');
+const { sortGroupsByTree, getGroupPath } = require('./utils/group-utils');
+const { getFavoriteName } = require('./utils/favorite-utils');
 const path = require('path');
 
 let tray = null;
@@ -15,17 +21,24 @@ let tray = null;
  * 建立目錄快速啟動選單項目
  * @param {Object} dir - 目錄物件
  * @param {Object} config - 配置物件
+ * @param {string} [terminalId] - 使用的啟動器 ID（預設為目錄的啟動器）
+ * @param {string} [label] - 顯示名稱（預設為目錄名稱）
  * @returns {Object} Electron MenuItem 選項
  */
-function buildDirectoryMenuItem(dir, config) {
-  const terminalId = dir.terminalId || getDefaultTerminalId();
-  const terminal = config.terminals?.find(t => t.id === terminalId);
+function buildDirectoryMenuItem(dir, config, terminalId, label) {
+  const launchTerminalId = terminalId || getDirectoryTerminalId(dir, config);
+  const terminal = config.terminals?.find(t => t.id === launchTerminalId);
 
   return {
-    label: `${dir.icon || '📁'} ${dir.name}`,
-    click: () => {
+    label: `${dir.icon || '📁'} ${label || dir.name}`,
+    click: async () => {
       if (terminal) {
-        openTerminal(dir, terminal);
+        const result = await openTerminal(dir, terminal, {
+          groups: config.groups,
+          launchCheckMs: config.settings?.launchCheckMs,
+        });
+        recordLaunch({ dir, terminalId: launchTerminalId, source: 'tray', result });
+        updateTrayMenu();
       }
     },
   };
@@ -50,34 +63,102 @@ function buildTrayMenu() {
 
   menuTemplate.push({ type: 'separator' });
 
-  // 最愛目錄子選單
-  const favoriteIds = config.favorites || [];
-  const favoriteDirs = favoriteIds
-    .map(id => config.directories?.find(d => d.id === id))
-    .filter(Boolean);
+  // 最愛子選單（指定啟動器的最愛在名稱後標示啟動器）
+  const favoriteItems = (config.favorites || [])
+    .map(favorite => ({
+      favorite,
+      dir: config.directories?.find(d => d.id === favorite.directoryId),
+    }))
+    .filter(({ dir }) => dir);
 
-  if (favoriteDirs.length > 0) {
+  if (favoriteItems.length > 0) {
     menuTemplate.push({
       label: `⭐ ${t('tray.favorites')}`,
-      submenu: favoriteDirs.map(dir => buildDirectoryMenuItem(dir, config)),
+      submenu: favoriteItems.map(({ favorite, dir }) => {
+        const pinnedTerminal = config.terminals?.find(t => t.id === favorite.terminalId);
+        const label = getFavoriteName(favorite, dir);
+        return buildDirectoryMenuItem(
+          dir,
+          config,
+          favorite.terminalId,
+          pinnedTerminal ? `${label} (${pinnedTerminal.name})` : label
+        );
+      }),
     });
   }
 
-  // 最近使用子選單
-  const recentLimit = config.settings?.recentLimit || 10;
-  const recentDirs = [...(config.directories || [])]
-    .filter(d => d.lastUsed)
-    .sort((a, b) => b.lastUsed - a.lastUsed)
-    .slice(0, recentLimit);
+  // 最近使用子選單（依啟動歷史，以上次使用的啟動器開啟）
+  const recentItems = getRecentLaunches()
+    .map(item => ({ item, dir: config.directories?.find(d => d.id === item.directoryId) }))
+    .filter(({ dir }) => dir);
 
-  if (recentDirs.length > 0) {
+  if (recentItems.length > 0) {
     menuTemplate.push({
       label: `🕐 ${t('tray.recent')}`,
-      submenu: recentDirs.map(dir => buildDirectoryMenuItem(dir, config)),
+      submenu: recentItems.map(({ item, dir }) =>
+        buildDirectoryMenuItem(dir, config, item.terminalId)
+      ),
+    });
+  }
+
+  // 工作區子選單
+  const workspaces = (config.workspaces || []).filter(w =>
+    config.directories?.some(d => d.id === w.directoryId)
+  );
+
+  if (workspaces.length > 0) {
+    menuTemplate.push({
+      label: `🧩 ${t('tray.workspaces')}`,
+      submenu: workspaces.map(workspace => ({
+        label: `${workspace.icon || '🧩'} ${workspace.name}`,
+        click: async () => {
+          await runWorkspace(workspace.id, { source: 'tray' });
+          updateTrayMenu();
+        },
+      })),
+    });
+  }
+
+  // 智慧群組子選單（只列出有成員的智慧群組）
+  const smartGroups = resolveSmartGroups(config).filter(
+    ({ directories }) => directories.length > 0
+  );
+
+  if (smartGroups.length > 0) {
+    menuTemplate.push({
+      label: `🔎 ${t('tray.smartGroups')}`,
+      submenu: smartGroups.map(({ smartGroup, directories }) => ({
+        label: `${smartGroup.icon || '🔎'} ${smartGroup.name}`,
+        submenu: directories.map(dir => buildDirectoryMenuItem(dir, config)),
+      })),
+    });
+  }
+
+  // 開啟整個群組子選單（只列出有目錄的群組，含子群組的目錄）
+  const launchableGroups = sortGroupsByTree(config.groups || [])
+    .map(group => ({ group, count: getGroupLaunchDirectories(config, group.id).length }))
+    .filter(({ count }) => count > 0);
+
+  if (launchableGroups.length > 0) {
+    menuTemplate.push({
+      label: `🚀 ${t('tray.launchGroup')}`,
+      submenu: launchableGroups.map(({ group, count }) => ({
+        label: `${group.icon || '📁'} ${getGroupPath(config.groups, group.id)} (${count})`,
+        click: async () => {
+          await launchGroup(group.id, { source: 'tray' });
+          updateTrayMenu();
+        },
+      })),
     });
   }
 
-  if (favoriteDirs.length > 0 || recentDirs.length > 0) {
+  if (
+    favoriteItems.length > 0 ||
+    recentItems.length > 0 ||
+    workspaces.length > 0 ||
+    smartGroups.length > 0 ||
+    launchableGroups.length > 0
+  ) {
     menuTemplate.push({ type: 'separator' });
   }
 
@@ -0,0 +1,229 @@
+/**
+ * 命令列介面（CLI）工具模組
+ * 處理命令列引數解析、回覆通道路徑與輸出格式化
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 呼叫流程：
+ * - 第二個實例將引數透過 requestSingleInstanceLock 的 additionalData 轉交主實例
+ * - 主實例執行指令後，經由本機通道（Unix socket / Windows named pipe）回傳輸出
+ */
+const path = require('path');
+
+// 支援的指令（引數：位置引數數量、可帶值的選項與布林旗標）
+const CLI_COMMANDS = {
+  open: {
+    usage: 'open <name|id> [--with <launcher>]',
+    description: 'Open a directory (by ID, name or fuzzy match)',
+    args: 1,
+    options: ['with'],
+    flags: [],
+  },
+  add: {
+    usage: 'add <path> [--name <name>] [--group <group>] [--with <launcher>] [--icon <icon>]',
+    description: 'Add a directory',
+    args: 1,
+    options: ['name', 'group', 'with', 'icon'],
+    flags: ['json'],
+  },
+  list: {
+    usage: 'list [--group <group>] [--json]',
+    description: 'List directories',
+    args: 0,
+    options: ['group'],
+    flags: ['json'],
+  },
+  search: {
+    usage: 'search <query...> [--limit <n>] [--json]',
+    description: 'Fuzzy-search directories',
+    args: Infinity,
+    options: ['limit'],
+    flags: ['json'],
+  },
+  recent: {
+    usage: 'recent [--limit <n>] [--json]',
+    description: 'List recently launched directories',
+    args: 0,
+    options: ['limit'],
+    flags: ['json'],
+  },
+  launchers: {
+    usage: 'launchers [--json]',
+    description: 'List launchers',
+    args: 0,
+    options: [],
+    flags: ['json'],
+  },
+  help: {
+    usage: 'help',
+    description: 'Show this help',
+    args: 0,
+    options: [],
+    flags: [],
+  },
+};
+
+// 回覆通道名稱前綴（主實例只回覆符合此格式的路徑）
+const REPLY_CHANNEL_PREFIX = 'termlauncher-cli-';
+
+// 回覆通道識別碼格式
+const REPLY_ID_PATTERN = /^[a-z0-9]{8,32}$/;
+
+/**
+ * 由行程引數取出 CLI 引數（第一個引數不是已知指令時視為一般啟動）
+ * @param {string[]} argv - process.argv
+ * @param {boolean} [isDefaultApp] - 是否以 electron 執行原始碼（process.defaultApp，argv 多一個應用路徑）
+ * @returns {string[]|null} CLI 引數，非 CLI 呼叫時為 null
+ */
+function getCliArgs(argv, isDefaultApp = false) {
+  if (!Array.isArray(argv)) return null;
+  const args = argv.slice(isDefaultApp ? 2 : 1);
+  return Object.hasOwn(CLI_COMMANDS, args[0]) ? args : null;
+}
+
+/**
+ * 解析 CLI 引數
+ * 支援 --key value、--key=value 與布林旗標，-- 之後皆視為位置引數
+ * @param {string[]} args - CLI 引數（第一個為指令名稱）
+ * @returns {{ command: string, args: string[], options: Object }|{ error: string }}
+ */
+function parseCliArgs(args) {
+  const [command, ...rest] = args || [];
+  if (!Object.hasOwn(CLI_COMMANDS, command)) {
+    return { error: `Unknown command: ${command ?? ''}` };
+  }
+  const spec = CLI_COMMANDS[command];
+
+  const positional = [];
+  const options = {};
+  let onlyPositional = false;
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (onlyPositional || !arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      onlyPositional = true;
+      continue;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    const key = arg.slice(2, eqIndex === -1 ? undefined : eqIndex);
+
+    if (spec.flags.includes(key)) {
+      if (eqIndex !== -1) return { error: `Option --${key} does not take a value` };
+      options[key] = true;
+    } else if (spec.options.includes(key)) {
+      const value = eqIndex === -1 ? rest[++i] : arg.slice(eqIndex + 1);
+      if (value === undefined || value === '') {
+        return { error: `Option --${key} requires a value` };
+      }
+      options[key] = value;
+    } else {
+      return { error: `Unknown option for ${command}: --${key}` };
+    }
+  }
+
+  if (spec.args !== Infinity && positional.length !== spec.args) {
+    return { error: `Usage: termlauncher ${spec.usage}` };
+  }
+  if (spec.args === Infinity && positional.length === 0) {
+    return { error: `Usage: termlauncher ${spec.usage}` };
+  }
+
+  return { command, args: positional, options };
+}
+
+/**
+ * 解析 --limit 選項
+ * @param {string|undefined} value - 選項值
+ * @param {number} defaultValue - 預設值
+ * @returns {number|null} 無效時為 null
+ */
+function parseLimit(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (!/^\d+$/.test(value)) return null;
+  const limit = parseInt(value, 10);
+  return limit > 0 ? limit : null;
+}
+
+/**
+ * 產生回覆通道路徑（Windows 使用 named pipe，其他平台使用 Unix socket）
+ * @param {string} id - 通道識別碼
+ * @param {Object} [options]
+ * @param {string} [options.platform] - 平台（預設 process.platform）
+ * @param {string} [options.tmpDir] - 暫存目錄（Unix socket 所在目錄）
+ * @returns {string}
+ */
+function buildReplyPath(id, { platform = process.platform, tmpDir = '' } = {}) {
+  if (platform === 'win32') {
+    return `\\\\.\\pipe\\${REPLY_CHANNEL_PREFIX}${id}`;
+  }
+  return path.join(tmpDir, `${REPLY_CHANNEL_PREFIX}${id}.sock`);
+}
+
+/**
+ * 驗證第二個實例轉交的 CLI 請求（避免主實例連線到任意路徑）
+ * @param {*} request - additionalData.cli
+ * @returns {boolean}
+ */
+function isValidCliRequest(request) {
+  if (!request || typeof request !== 'object') return false;
+  if (!Array.isArray(request.args) || !request.args.every(arg => typeof arg === 'string')) {
+    return false;
+  }
+  if (typeof request.cwd !== 'string' || typeof request.replyPath !== 'string') return false;
+
+  const name = request.replyPath
+    .split(/[/\\]/)
+    .pop()
+    .replace(/\.sock$/, '');
+  return (
+    name.startsWith(REPLY_CHANNEL_PREFIX) &&
+    REPLY_ID_PATTERN.test(name.slice(REPLY_CHANNEL_PREFIX.length))
+  );
+}
+
+/**
+ * 將資料列格式化為對齊的文字表格
+ * @param {Object[]} rows - 資料列
+ * @param {Array<{ key: string, label: string }>} columns - 欄位
+ * @returns {string}
+ */
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(col => String(row[col.key] ?? '')));
+  const widths = columns.map((col, i) =>
+    Math.max(col.label.length, ...cells.map(cell => cell[i].length))
+  );
+  const formatRow = values =>
+    values
+      .map((value, i) => (i === values.length - 1 ? value : value.padEnd(widths[i])))
+      .join('  ')
+      .trimEnd();
+
+  return [formatRow(columns.map(col => col.label)), ...cells.map(formatRow)].join('\n') + '\n';
+}
+
+/**
+ * 產生使用說明
+ * @returns {string}
+ */
+function formatHelp() {
+  const width = Math.max(...Object.values(CLI_COMMANDS).map(spec => spec.usage.length));
+  const lines = Object.values(CLI_COMMANDS).map(
+    spec => `  ${spec.usage.padEnd(width)}  ${spec.description}`
+  );
+  return ['Usage: termlauncher <command> [options]', '', 'Commands:', ...lines, ''].join('\n');
+}
+
+module.exports = {
+  CLI_COMMANDS,
+  getCliArgs,
+  parseCliArgs,
+  parseLimit,
+  buildReplyPath,
+  isValidCliRequest,
+  formatTable,
+  formatHelp,
+};
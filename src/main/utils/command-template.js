@@ -0,0 +1,223 @@
+/**
+ * 命令模板模組
+ * 處理啟動器命令中的佔位符解析與替換
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 支援的佔位符：
+ * - {path}      依啟動器 pathFormat 格式化後的路徑
+ * - {winpath}   原始（Windows 格式）路徑
+ * - {wslpath}   WSL 格式路徑 (/mnt/c/...)
+ * - {name}      目錄名稱
+ * - {group}     群組名稱
+ * - {basename}  路徑最後一段資料夾名稱
+ * - {parent}    上層目錄（依 pathFormat 格式化）
+ * - {env:VAR}   啟動環境變數 VAR 的值（含目錄/群組/啟動器設定，未設定時為空字串）
+ * - {host}      遠端目錄的 ssh 目標（user@host 或別名），本機目錄為空字串
+ * - {ssh}       遠端目錄的完整 ssh 命令（ssh -t host 'cd path && exec $SHELL -l'），本機目錄為空字串
+ * - {session}   由目錄名稱產生的多工器 session 名稱
+ * - {mux}       多工器啟動器附加 session 的完整命令（如 tmux attach-session -t =name），其餘為空字串
+ * - {container} 容器啟動器進入容器 shell 的完整命令（如 docker exec -it <id> sh），其餘為空字串
+ *
+ * 遠端目錄：{path}、{winpath}、{wslpath} 皆為原樣的遠端路徑，不套用 pathFormat 轉換
+ *
+ * 跳脫規則：
+ * - {{ 與 }} 分別輸出字面上的 { 與 }
+ * - 未知的佔位符（如 {foo}）原樣保留
+ * - Shell 模式下每個替換值都會經過引號轉義；shell-free 模式下值直接作為引數的一部分
+ * - {ssh}、{mux}、{container} 單獨作為一個引數時，shell-free 模式會展開為多個引數，shell 模式則逐一轉義
+ */
+const { toWslPath, formatPath } = require('./path-utils');
+const {
+  isRemoteDirectory,
+  getSshTarget,
+  buildSshArgs,
+  formatPosixCommand,
+} = require('./ssh-utils');
+const { getSessionName } = require('./mux-utils');
+
+// 佔位符名稱列表
+const PLACEHOLDERS = [
+  'path',
+  'winpath',
+  'wslpath',
+  'name',
+  'group',
+  'basename',
+  'parent',
+  'host',
+  'ssh',
+  'session',
+  'mux',
+  'container',
+];
+
+// 可展開為多個引數的佔位符
+const LIST_PLACEHOLDERS = ['ssh', 'mux', 'container'];
+
+// 匹配 {{、}}、{name} 與 {env:VAR}
+const TOKEN_PATTERN = /\{\{|\}\}|\{([a-z]+)(?::([A-Za-z_][A-Za-z0-9_]*))?\}/g;
+
+/**
+ * 拆分路徑為各段（同時支援 / 與 \ 分隔）
+ * @param {string} p - 路徑
+ * @returns {{ segments: string[], separator: string, root: string }}
+ */
+function splitPath(p) {
+  const separator = p.includes('\\') && !p.includes('/') ? '\\' : '/';
+  const trimmed = p.length > 1 ? p.replace(/[\\/]+$/, '') : p;
+  const segments = trimmed.split(/[\\/]/);
+  const root = trimmed.startsWith('/') ? '/' : '';
+  return { segments, separator, root };
+}
+
+/**
+ * 取得路徑最後一段名稱
+ * @param {string} p - 路徑
+ * @returns {string}
+ */
+function getBasename(p) {
+  if (!p) return '';
+  const { segments } = splitPath(p);
+  return segments[segments.length - 1] || '';
+}
+
+/**
+ * 取得上層目錄路徑
+ * @param {string} p - 路徑
+ * @returns {string}
+ */
+function getParent(p) {
+  if (!p) return '';
+  const { segments, separator, root } = splitPath(p);
+  if (segments.length <= 1) return p;
+  const parent = segments.slice(0, -1).join(separator);
+  // 根目錄（/ 或 C:）需保留分隔符
+  if (!parent) return root || p;
+  if (/^[A-Za-z]:$/.test(parent)) return parent + separator;
+  return parent;
+}
+
+/**
+ * 判斷名稱是否為已知佔位符
+ * @param {string} name - 佔位符名稱
+ * @param {string} [arg] - 佔位符參數（如 env:VAR 的 VAR）
+ * @returns {boolean}
+ */
+function isKnownPlaceholder(name, arg) {
+  if (name === 'env') return Boolean(arg);
+  return !arg && PLACEHOLDERS.includes(name);
+}
+
+/**
+ * 建立模板替換所需的上下文
+ * @param {Object} dir - 目錄物件 { path, name, group, remote }
+ * @param {Object} terminal - 終端配置 { pathFormat }
+ * @param {Object} [options] - 額外選項
+ * @param {Array} [options.groups] - 群組列表，用於將群組 ID 轉為名稱
+ * @param {Object} [options.env] - 環境變數來源（預設 process.env）
+ * @param {string[]} [options.muxArgs] - 多工器附加 session 的命令引數
+ * @param {string[]} [options.containerArgs] - 進入容器 shell 的命令引數
+ * @returns {Object} 模板上下文 { values, lists, env }，lists.ssh / lists.mux / lists.container 為引數陣列
+ */
+function buildTemplateContext(dir, terminal, options = {}) {
+  const originalPath = dir.path || '';
+  const pathFormat = terminal?.pathFormat;
+  const group = (options.groups || []).find(g => g.id === dir.group);
+  const muxArgs = options.muxArgs || [];
+  const containerArgs = options.containerArgs || [];
+  const common = {
+    name: dir.name || '',
+    group: group ? group.name : dir.group || '',
+    basename: getBasename(originalPath),
+    session: getSessionName(dir),
+    mux: formatPosixCommand(muxArgs),
+    container: formatPosixCommand(containerArgs),
+  };
+
+  if (isRemoteDirectory(dir)) {
+    const sshArgs = buildSshArgs(dir.remote, originalPath);
+    return {
+      values: {
+        ...common,
+        path: originalPath,
+        winpath: originalPath,
+        wslpath: originalPath,
+        parent: getParent(originalPath),
+        host: getSshTarget(dir.remote),
+        ssh: formatPosixCommand(sshArgs),
+      },
+      lists: { ssh: sshArgs, mux: muxArgs, container: containerArgs },
+      env: options.env || process.env,
+    };
+  }
+
+  return {
+    values: {
+      ...common,
+      path: formatPath(originalPath, pathFormat),
+      winpath: originalPath,
+      wslpath: toWslPath(originalPath),
+      parent: formatPath(getParent(originalPath), pathFormat),
+      host: '',
+      ssh: '',
+    },
+    lists: { ssh: [], mux: muxArgs, container: containerArgs },
+    env: options.env || process.env,
+  };
+}
+
+/**
+ * 替換模板中的佔位符
+ * @param {string} template - 命令模板
+ * @param {Object} context - buildTemplateContext 建立的上下文
+ * @param {Function} [transform] - 對每個替換值的轉換 (value, name, arg) => string（如 shell 轉義）
+ * @returns {string} 替換後的字串
+ */
+function renderTemplate(template, context, transform) {
+  if (typeof template !== 'string') return '';
+
+  return template.replace(TOKEN_PATTERN, (match, name, arg) => {
+    if (match === '{{') return '{';
+    if (match === '}}') return '}';
+    if (!isKnownPlaceholder(name, arg)) return match;
+
+    const value = name === 'env' ? (context.env[arg] ?? '') : context.values[name];
+    return transform ? transform(value, name, arg) : value;
+  });
+}
+
+/**
+ * 移除模板中所有佔位符與跳脫序列（用於檢查剩餘的 shell 操作符）
+ * @param {string} template - 命令模板
+ * @returns {string}
+ */
+function stripPlaceholders(template) {
+  return template.replace(TOKEN_PATTERN, (match, name, arg) =>
+    match.length === 2 || isKnownPlaceholder(name, arg) ? '' : match
+  );
+}
+
+/**
+ * 檢查指定位置是否為已知佔位符的開頭
+ * @param {string} template - 命令模板
+ * @param {number} index - 起始位置
+ * @returns {boolean}
+ */
+function isPlaceholderAt(template, index) {
+  if (template[index] !== '{') return false;
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'y');
+  pattern.lastIndex = index;
+  const match = pattern.exec(template);
+  return Boolean(match && match[0] !== '{{' && isKnownPlaceholder(match[1], match[2]));
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  LIST_PLACEHOLDERS,
+  buildTemplateContext,
+  renderTemplate,
+  stripPlaceholders,
+  isPlaceholderAt,
+  getBasename,
+  getParent,
+};
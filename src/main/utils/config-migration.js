@@ -2,6 +2,8 @@
  * 配置遷移工具模組
  * 純邏輯，不依賴 Electron 或 Logger
  */
+const { repairGroupParents } = require('./group-utils');
+const { normalizeFavorites } = require('./favorite-utils');
 
 /**
  * 遷移舊版配置
@@ -112,6 +114,17 @@ function migrateConfig(config, { defaultTerminals, defaultGroups, defaultSetting
     needsSave = true;
   }
 
+  // 新增 parentId 欄位（舊版為扁平群組，全部視為頂層群組），並修復無效的父群組
+  config.groups.forEach(group => {
+    if (group.parentId === undefined) {
+      group.parentId = null;
+      needsSave = true;
+    }
+  });
+  if (repairGroupParents(config.groups) > 0) {
+    needsSave = true;
+  }
+
   // === 目錄遷移 ===
   if (config.directories) {
     config.directories.forEach((dir, index) => {
@@ -155,9 +168,28 @@ function migrateConfig(config, { defaultTerminals, defaultGroups, defaultSetting
     });
   }
 
-  // === 新增 favorites 陣列 ===
-  if (!config.favorites) {
-    config.favorites = [];
+  // === 新增 favorites 陣列，並將舊版目錄 ID 轉為目錄 + 啟動器組合 ===
+  const favoritesResult = normalizeFavorites(config.favorites);
+  if (config.favorites === undefined || favoritesResult.changed) {
+    config.favorites = favoritesResult.favorites;
+    needsSave = true;
+  }
+
+  // === 新增 workspaces 陣列 ===
+  if (!Array.isArray(config.workspaces)) {
+    config.workspaces = [];
+    needsSave = true;
+  }
+
+  // === 新增 smartGroups 陣列 ===
+  if (!Array.isArray(config.smartGroups)) {
+    config.smartGroups = [];
+    needsSave = true;
+  }
+
+  // === 新增 scanRoots 陣列 ===
+  if (!Array.isArray(config.scanRoots)) {
+    config.scanRoots = [];
     needsSave = true;
   }
 
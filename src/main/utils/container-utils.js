@@ -0,0 +1,187 @@
+/**
+ * 容器（Dev Container / Docker Compose）工具模組
+ * 處理容器設定檔偵測規則、devcontainer.json 解析與命令引數組裝
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 啟動器結構：
+ * - terminal.container = 'docker' | 'devcontainer'
+ *   - docker：以 docker exec 進入目錄對應的執行中容器
+ *   - devcontainer：以 devcontainer exec --workspace-folder 進入 Dev Container
+ */
+
+// 支援的容器 CLI
+const CONTAINER_CLIS = ['docker', 'devcontainer'];
+
+// Dev Container 設定檔（相對於目錄，依優先順序）
+const DEVCONTAINER_CONFIG_FILES = ['.devcontainer/devcontainer.json', '.devcontainer.json'];
+
+// Docker Compose 設定檔（相對於目錄，依優先順序）
+const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yml', 'docker-compose.yaml'];
+
+// 用於尋找目錄對應容器的標籤（Dev Container CLI / VS Code 與 Docker Compose 自動加上）
+const DEVCONTAINER_LABEL = 'devcontainer.local_folder';
+const COMPOSE_LABEL = 'com.docker.compose.project.working_dir';
+
+// 進入容器後執行的 shell：優先使用 bash，否則退回 sh
+const CONTAINER_SHELL_ARGS = ['sh', '-c', 'command -v bash >/dev/null && exec bash -l; exec sh -l'];
+
+/**
+ * 移除 JSONC 中的註解與結尾逗號
+ * @param {string} text - JSONC 文字
+ * @returns {string} JSON 文字
+ */
+function stripJsonComments(text) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += next ?? '';
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  return output.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * 解析 devcontainer.json（允許註解與結尾逗號）
+ * @param {string} text - 檔案內容
+ * @returns {Object|null} 設定物件，解析失敗時為 null
+ */
+function parseDevcontainerConfig(text) {
+  try {
+    const config = JSON.parse(stripJsonComments(String(text || '')));
+    return config && typeof config === 'object' && !Array.isArray(config) ? config : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 取得路徑最後一段資料夾名稱
+ * @param {string} dirPath - 路徑
+ * @returns {string}
+ */
+function getBasename(dirPath) {
+  return (
+    String(dirPath || '')
+      .split(/[\\/]/)
+      .filter(Boolean)
+      .pop() || ''
+  );
+}
+
+/**
+ * 取得容器內的工作區路徑
+ * 使用 devcontainer.json 的 workspaceFolder，未設定時為 Dev Container 預設的 /workspaces/<資料夾名稱>
+ * @param {Object|null} config - devcontainer.json 設定
+ * @param {string} dirPath - 本機目錄路徑
+ * @returns {string}
+ */
+function getWorkspaceFolder(config, dirPath) {
+  const basename = getBasename(dirPath);
+  const folder =
+    typeof config?.workspaceFolder === 'string'
+      ? config.workspaceFolder.replace(/\$\{localWorkspaceFolderBasename\}/g, basename)
+      : '';
+  return folder.startsWith('/') && !/[\n\r\0]/.test(folder) ? folder : `/workspaces/${basename}`;
+}
+
+/**
+ * 組裝以標籤尋找執行中容器的 docker 引數（不含 docker 本身）
+ * @param {string} label - 標籤名稱
+ * @param {string} dirPath - 本機目錄路徑
+ * @returns {string[]}
+ */
+function buildContainerLookupArgs(label, dirPath) {
+  return ['ps', '-q', '--filter', `label=${label}=${dirPath}`];
+}
+
+/**
+ * 組裝進入容器 shell 的命令引數（第一個元素為 CLI 可執行檔）
+ * @param {string} cli - 'docker' | 'devcontainer'
+ * @param {Object} target - 目標
+ * @param {string} target.dirPath - 本機目錄路徑（devcontainer）
+ * @param {string} [target.containerId] - 容器 ID（docker）
+ * @param {string} [target.workdir] - 容器內工作目錄（docker）
+ * @returns {string[]}
+ */
+function buildContainerExecArgs(cli, target) {
+  if (cli === 'devcontainer') {
+    return ['devcontainer', 'exec', '--workspace-folder', target.dirPath, ...CONTAINER_SHELL_ARGS];
+  }
+  const workdirArgs = target.workdir ? ['-w', target.workdir] : [];
+  return ['docker', 'exec', '-it', ...workdirArgs, target.containerId, ...CONTAINER_SHELL_ARGS];
+}
+
+/**
+ * 取得啟動目錄容器的建議命令
+ * @param {Object|null} detected - 偵測結果 { devcontainer, compose }
+ * @param {string} dirPath - 本機目錄路徑
+ * @returns {string|null}
+ */
+function getContainerStartCommand(detected, dirPath) {
+  if (detected?.devcontainer) {
+    return `devcontainer up --workspace-folder "${dirPath}"`;
+  }
+  if (detected?.compose) {
+    return `docker compose --project-directory "${dirPath}" up -d`;
+  }
+  return null;
+}
+
+/**
+ * 依 docker 錯誤輸出判斷失敗原因
+ * @param {string} stderr - 錯誤輸出
+ * @returns {'permission'|'daemon'|null}
+ */
+function classifyDockerError(stderr) {
+  const text = String(stderr || '');
+  if (/permission denied/i.test(text)) {
+    return 'permission';
+  }
+  if (
+    /cannot connect to the docker daemon|is the docker daemon running|error during connect|docker_engine|docker desktop is not running/i.test(
+      text
+    )
+  ) {
+    return 'daemon';
+  }
+  return null;
+}
+
+module.exports = {
+  CONTAINER_CLIS,
+  DEVCONTAINER_CONFIG_FILES,
+  COMPOSE_FILES,
+  DEVCONTAINER_LABEL,
+  COMPOSE_LABEL,
+  stripJsonComments,
+  parseDevcontainerConfig,
+  getWorkspaceFolder,
+  buildContainerLookupArgs,
+  buildContainerExecArgs,
+  getContainerStartCommand,
+  classifyDockerError,
+};
@@ -0,0 +1,99 @@
+/**
+ * 深層連結（termlauncher://）工具模組
+ * 處理連結解析與轉換為 CLI 指令引數
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 連結格式：
+ * - termlauncher://open?project=<name|id>&launcher=<launcher>
+ * - termlauncher://add?path=<absolute path>&name=<name>&group=<group>&launcher=<launcher>&icon=<icon>
+ */
+
+// 自訂協定名稱
+const DEEP_LINK_PROTOCOL = 'termlauncher';
+
+// 支援的動作（必要與選用參數；confirm 表示會新增或修改項目，執行前需確認）
+const DEEP_LINK_ACTIONS = {
+  open: { required: ['project'], optional: ['launcher'], confirm: false },
+  add: { required: ['path'], optional: ['name', 'group', 'launcher', 'icon'], confirm: true },
+};
+
+// 參數值長度上限
+const MAX_PARAM_LENGTH = 1000;
+
+/**
+ * 由行程引數找出深層連結（Windows / Linux 由命令列傳入）
+ * @param {string[]} argv - 行程引數
+ * @returns {string|null}
+ */
+function findDeepLink(argv) {
+  if (!Array.isArray(argv)) return null;
+  const prefix = `${DEEP_LINK_PROTOCOL}://`;
+  return argv.find(arg => typeof arg === 'string' && arg.toLowerCase().startsWith(prefix)) || null;
+}
+
+/**
+ * 解析深層連結（只取出動作支援的參數，重複的參數取第一個）
+ * @param {string} url - 連結
+ * @returns {{ action: string, params: Object }|{ error: string }}
+ */
+function parseDeepLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'Invalid link format' };
+  }
+
+  if (parsed.protocol !== `${DEEP_LINK_PROTOCOL}:`) {
+    return { error: `Unsupported protocol: ${parsed.protocol}` };
+  }
+
+  // Windows 會在動作後補上斜線（termlauncher://open/?...）
+  const action = parsed.hostname.toLowerCase();
+  if (!Object.hasOwn(DEEP_LINK_ACTIONS, action) || !['', '/'].includes(parsed.pathname)) {
+    return { error: `Unknown action: ${action || parsed.pathname}` };
+  }
+
+  const { required, optional } = DEEP_LINK_ACTIONS[action];
+  const params = {};
+  for (const key of [...required, ...optional]) {
+    const value = parsed.searchParams.get(key);
+    if (value !== null) {
+      params[key] = value;
+    }
+  }
+
+  return { action, params };
+}
+
+/**
+ * 將深層連結轉為 CLI 指令引數（位置引數放在 -- 之後，避免被解析為選項）
+ * @param {{ action: string, params: Object }} link - parseDeepLink 的結果
+ * @returns {string[]}
+ */
+function toCliArgs({ action, params }) {
+  const options = [];
+  const addOption = (name, value) => {
+    if (value !== undefined) options.push(`--${name}`, value);
+  };
+
+  if (action === 'open') {
+    addOption('with', params.launcher);
+    return ['open', ...options, '--', params.project];
+  }
+
+  addOption('name', params.name);
+  addOption('group', params.group);
+  addOption('with', params.launcher);
+  addOption('icon', params.icon);
+  return ['add', ...options, '--', params.path];
+}
+
+module.exports = {
+  DEEP_LINK_PROTOCOL,
+  DEEP_LINK_ACTIONS,
+  MAX_PARAM_LENGTH,
+  findDeepLink,
+  parseDeepLink,
+  toCliArgs,
+};
@@ -0,0 +1,228 @@
+/**
+ * 環境變數工具模組
+ * 處理啟動器、群組、目錄環境變數的合併，以及 .env（dotenv 語法）檔案解析
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ */
+
+// 視為機密的環境變數名稱（預覽時遮罩）
+const SECRET_KEY_PATTERN =
+  /pass(word|wd)?|pwd|secret|token|key|credential|auth|private|session|cookie/i;
+
+// 遮罩後顯示的值
+const MASKED_VALUE = '********';
+
+/**
+ * 將多層環境變數依序合併到基礎環境變數上（後者覆蓋前者）
+ * @param {Object} baseEnv - 基礎環境變數（通常為 process.env）
+ * @param {Array<Object|undefined>} layers - 依優先順序由低至高排列的環境變數對照表
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.caseInsensitive] - 鍵名是否不分大小寫（Windows）
+ * @returns {Object} 合併後的新環境變數物件
+ */
+function mergeEnv(baseEnv, layers, options = {}) {
+  const result = { ...baseEnv };
+
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+
+    for (const [key, value] of Object.entries(layer)) {
+      if (typeof value !== 'string') continue;
+
+      // Windows 環境變數不分大小寫，需移除既有的同名鍵（如 Path 與 PATH）
+      if (options.caseInsensitive) {
+        const lowerKey = key.toLowerCase();
+        for (const existingKey of Object.keys(result)) {
+          if (existingKey !== key && existingKey.toLowerCase() === lowerKey) {
+            delete result[existingKey];
+          }
+        }
+      }
+
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 取得依優先順序排列的環境變數來源
+ * 優先順序（低至高）：啟動器 > 群組 > 環境變數檔 > 目錄手動設定
+ * @param {Object} dir - 目錄物件 { group, env }
+ * @param {Object} terminal - 終端配置 { env }
+ * @param {Array} [groups] - 群組列表
+ * @param {Object} [fileEnv] - 從環境變數檔載入的變數
+ * @returns {Array<{ source: string, env: Object|undefined }>}
+ */
+function getEnvLayers(dir, terminal, groups = [], fileEnv = null) {
+  const group = (groups || []).find(g => g.id === dir.group);
+
+  return [
+    { source: 'launcher', env: terminal?.env },
+    { source: 'group', env: group?.env },
+    { source: 'envFile', env: fileEnv || undefined },
+    { source: 'directory', env: dir.env },
+  ];
+}
+
+/**
+ * 解析啟動時使用的環境變數
+ * @param {Object} dir - 目錄物件 { group, env }
+ * @param {Object} terminal - 終端配置 { env }
+ * @param {Array} [groups] - 群組列表
+ * @param {Object} [baseEnv] - 基礎環境變數（預設 process.env）
+ * @param {Object} [fileEnv] - 從環境變數檔載入的變數
+ * @returns {Object} 合併後的環境變數
+ */
+function resolveLaunchEnv(dir, terminal, groups = [], baseEnv = process.env, fileEnv = null) {
+  const layers = getEnvLayers(dir, terminal, groups, fileEnv).map(layer => layer.env);
+
+  return mergeEnv(baseEnv, layers, {
+    caseInsensitive: process.platform === 'win32',
+  });
+}
+
+/**
+ * 判斷環境變數名稱是否可能為機密
+ * @param {string} key - 變數名稱
+ * @returns {boolean}
+ */
+function isSecretEnvKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * 遮罩機密環境變數的值
+ * @param {string} key - 變數名稱
+ * @param {string} value - 變數值
+ * @returns {string} 機密變數回傳遮罩字串，其餘原樣回傳
+ */
+function maskEnvValue(key, value) {
+  return isSecretEnvKey(key) ? MASKED_VALUE : value;
+}
+
+/**
+ * 列出設定注入的環境變數（已遮罩機密值），同名變數以最高優先的來源為準
+ * @param {Array<{ source: string, env: Object|undefined }>} layers - getEnvLayers 的結果
+ * @returns {Array<{ key: string, value: string, source: string, masked: boolean }>}
+ */
+function describeInjectedEnv(layers) {
+  const entries = new Map();
+
+  for (const { source, env } of layers) {
+    if (!env || typeof env !== 'object') continue;
+    for (const [key, value] of Object.entries(env)) {
+      if (typeof value !== 'string') continue;
+      const masked = isSecretEnvKey(key);
+      entries.set(key, { key, value: masked ? MASKED_VALUE : value, source, masked });
+    }
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * 處理雙引號值中的跳脫序列
+ * @param {string} value - 引號內的原始值
+ * @returns {string}
+ */
+function unescapeDoubleQuoted(value) {
+  return value.replace(/\\([nrt"\\])/g, (match, ch) => {
+    switch (ch) {
+      case 'n':
+        return '\n';
+      case 'r':
+        return '\r';
+      case 't':
+        return '\t';
+      default:
+        return ch;
+    }
+  });
+}
+
+/**
+ * 解析 dotenv 語法的內容
+ * 支援：# 註解、export 前綴、單/雙/反引號值、雙引號內跳脫與多行值、未加引號值的行尾註解
+ * 不支援：變數展開（${VAR}），值會原樣保留
+ * 引號未結尾的值會略過該變數（之後的行照常解析），並透過 onWarning 回報
+ * @param {string} content - 檔案內容
+ * @param {Object} [options] - 選項
+ * @param {Function} [options.onWarning] - 解析警告的回調 (message)
+ * @returns {Object} 環境變數對照表
+ */
+function parseDotenv(content, options = {}) {
+  const env = {};
+  if (typeof content !== 'string') return env;
+
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    const key = match[1];
+    let rest = match[2];
+    const quote = rest[0];
+
+    if (quote === '"' || quote === "'" || quote === '`') {
+      // 尋找結尾引號，必要時跨行
+      const startLine = i;
+      let body = rest.substring(1);
+      let end = findClosingQuote(body, quote);
+      while (end === -1 && i + 1 < lines.length) {
+        i++;
+        body += '\n' + lines[i];
+        end = findClosingQuote(body, quote);
+      }
+      if (end === -1) {
+        // 找不到結尾引號：略過此變數，從下一行繼續解析，避免吞掉之後所有的行
+        options.onWarning?.(
+          `Unterminated quoted value for ${key} on line ${startLine + 1}, entry skipped`
+        );
+        i = startLine;
+        continue;
+      }
+
+      const raw = body.substring(0, end);
+      env[key] = quote === '"' ? unescapeDoubleQuoted(raw) : raw;
+    } else {
+      // 未加引號：移除行尾註解（# 前需有空白）
+      const commentIndex = rest.search(/\s#/);
+      if (commentIndex !== -1) {
+        rest = rest.substring(0, commentIndex);
+      }
+      env[key] = rest.trim();
+    }
+  }
+
+  return env;
+}
+
+/**
+ * 尋找結尾引號位置（雙引號需略過跳脫的引號）
+ * @param {string} text - 起始引號之後的內容
+ * @param {string} quote - 引號字元
+ * @returns {number} 位置，找不到時為 -1
+ */
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] === quote) return i;
+  }
+  return -1;
+}
+
+module.exports = {
+  MASKED_VALUE,
+  mergeEnv,
+  getEnvLayers,
+  resolveLaunchEnv,
+  isSecretEnvKey,
+  maskEnvValue,
+  describeInjectedEnv,
+  parseDotenv,
+};
@@ -0,0 +1,9 @@
+/**
+ * 最愛工具模組
+ * 最愛規則與前端共用（src/shared/favorite-rules.js），此模組提供主進程使用的 CommonJS 介面
+ *
+ * 匯出：MAX_FAVORITE_LABEL_LENGTH、normalizeFavoriteLabel、getFavoriteName、isSameFavorite、
+ * findFavorite、createFavoriteId、createFavorite、reorderFavorites、normalizeFavorites、
+ * validateFavorite
+ */
+module.exports = require('../../shared/favorite-rules');
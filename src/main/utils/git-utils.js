@@ -0,0 +1,103 @@
+/**
+ * Git 狀態工具模組
+ * 解析 git status --porcelain=v2 --branch 與最後提交時間的輸出
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * Git 狀態結構：
+ * - { branch, detached, oid, upstream, ahead, behind, dirty, changes, lastCommit }
+ * - branch 在 detached HEAD 時為 null，此時以 oid（縮短的提交 ID）顯示
+ * - lastCommit 為毫秒時間戳，尚無提交時為 null
+ */
+
+/**
+ * 解析 git status --porcelain=v2 --branch 的輸出
+ * @param {string} output - 命令輸出
+ * @returns {Object} { branch, detached, oid, upstream, ahead, behind, dirty, changes }
+ */
+function parseGitStatus(output) {
+  const status = {
+    branch: null,
+    detached: false,
+    oid: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    dirty: false,
+    changes: 0,
+  };
+
+  for (const line of String(output || '').split(/\r?\n/)) {
+    if (!line) continue;
+
+    if (line.startsWith('# branch.oid ')) {
+      const oid = line.substring('# branch.oid '.length).trim();
+      status.oid = oid === '(initial)' ? null : oid.substring(0, 7);
+    } else if (line.startsWith('# branch.head ')) {
+      const head = line.substring('# branch.head '.length).trim();
+      status.detached = head === '(detached)';
+      status.branch = status.detached ? null : head;
+    } else if (line.startsWith('# branch.upstream ')) {
+      status.upstream = line.substring('# branch.upstream '.length).trim();
+    } else if (line.startsWith('# branch.ab ')) {
+      const match = line.match(/\+(\d+) -(\d+)/);
+      if (match) {
+        status.ahead = parseInt(match[1], 10);
+        status.behind = parseInt(match[2], 10);
+      }
+    } else if (!line.startsWith('#') && !line.startsWith('!')) {
+      // 1/2（已追蹤變更）、u（合併衝突）、?（未追蹤檔案）
+      status.changes++;
+    }
+  }
+
+  status.dirty = status.changes > 0;
+  return status;
+}
+
+/**
+ * 解析 git log -1 --format=%ct 的輸出
+ * @param {string} output - 命令輸出（Unix 秒數）
+ * @returns {number|null} 毫秒時間戳
+ */
+function parseLastCommitTime(output) {
+  const seconds = parseInt(String(output || '').trim(), 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * 判斷 git 錯誤輸出是否表示目錄不是 Git 儲存庫
+ * @param {string} stderr - 錯誤輸出
+ * @returns {boolean}
+ */
+function isNotRepositoryError(stderr) {
+  return /not a git repository/i.test(String(stderr || ''));
+}
+
+/**
+ * 以限定的並行數量依序處理項目
+ * @param {Array} items - 項目列表
+ * @param {number} limit - 最大並行數
+ * @param {Function} fn - 處理函數（回傳 Promise）
+ * @returns {Promise<Array>} 與 items 順序相同的結果
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  parseGitStatus,
+  parseLastCommitTime,
+  isNotRepositoryError,
+  mapWithConcurrency,
+};
@@ -0,0 +1,9 @@
+/**
+ * 群組階層工具模組
+ * 群組階層規則與前端共用（src/shared/group-rules.js），此模組提供主進程使用的 CommonJS 介面
+ *
+ * 匯出：getParentId、wouldCreateCycle、getGroupDescendantIds、getGroupAncestry、getGroupPath、
+ * getGroupDepth、sortGroupsByTree、getGroupTerminalId、resolveDirectoryTerminalId、
+ * getTerminalOverrideDirectories、repairGroupParents、validateGroupParents
+ */
+module.exports = require('../../shared/group-rules');
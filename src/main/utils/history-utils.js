@@ -0,0 +1,207 @@
+/**
+ * 啟動歷史工具模組
+ * 處理啟動記錄的建立、解析、保留期限與最近使用彙整（含 frecency 排序）
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 啟動記錄結構（history.jsonl 每行一筆）：
+ * - { ts, directoryId, path?, terminalId, source, success, errorType?, workspaceId? }
+ * - directoryId 為 null 時（MCP 開啟未登錄的路徑）以 path 記錄位置
+ */
+
+// 啟動來源
+const LAUNCH_SOURCES = ['ui', 'tray', 'mcp', 'cli', 'link', 'hotkey', 'migrated'];
+
+// 保留期限：最多筆數與天數
+const MAX_HISTORY_ENTRIES = 5000;
+const MAX_HISTORY_AGE = 180 * 24 * 60 * 60 * 1000;
+
+// 最近使用排序方式：frecency（使用頻率依時間衰減加權）或 recent（最後使用時間）
+const RECENT_SORT_MODES = ['frecency', 'recent'];
+const DEFAULT_RECENT_SORT = 'frecency';
+
+// frecency 半衰期：每次成功啟動的權重為 1，每經過一個半衰期減半
+const FRECENCY_HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 建立啟動記錄
+ * @param {Object} launch - 啟動資訊
+ * @param {Object} launch.dir - 目錄物件 { id?, path }
+ * @param {string} launch.terminalId - 啟動器 ID
+ * @param {string} launch.source - 啟動來源
+ * @param {Object} launch.result - 啟動結果 { success, errorType? }
+ * @param {string} [launch.workspaceId] - 由工作區啟動時的工作區 ID
+ * @param {number} [now] - 目前時間（毫秒）
+ * @returns {Object} 啟動記錄
+ */
+function createHistoryEntry(launch, now = Date.now()) {
+  const entry = {
+    ts: now,
+    directoryId: launch.dir.id ?? null,
+    terminalId: launch.terminalId,
+    source: LAUNCH_SOURCES.includes(launch.source) ? launch.source : 'ui',
+    success: Boolean(launch.result?.success),
+  };
+  if (entry.directoryId === null) {
+    entry.path = launch.dir.path;
+  }
+  if (!entry.success && launch.result?.errorType) {
+    entry.errorType = launch.result.errorType;
+  }
+  if (launch.workspaceId) {
+    entry.workspaceId = launch.workspaceId;
+  }
+  return entry;
+}
+
+/**
+ * 判斷是否為有效的啟動記錄
+ * @param {*} entry - 啟動記錄
+ * @returns {boolean}
+ */
+function isValidHistoryEntry(entry) {
+  return Boolean(
+    entry &&
+    typeof entry === 'object' &&
+    Number.isFinite(entry.ts) &&
+    typeof entry.terminalId === 'string' &&
+    (entry.directoryId !== null || typeof entry.path === 'string')
+  );
+}
+
+/**
+ * 解析 history.jsonl 內容（略過損壞的行）
+ * @param {string} text - 檔案內容
+ * @returns {Array} 啟動記錄（依時間排序）
+ */
+function parseHistory(text) {
+  const entries = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (isValidHistoryEntry(entry)) {
+        entries.push(entry);
+      }
+    } catch {
+      // 略過寫入中斷造成的損壞行
+    }
+  }
+  return entries.sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * 序列化啟動記錄為 history.jsonl 內容
+ * @param {Array} entries - 啟動記錄
+ * @returns {string}
+ */
+function serializeHistory(entries) {
+  return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+/**
+ * 套用保留期限（移除過舊的記錄並限制筆數）
+ * @param {Array} entries - 啟動記錄（依時間排序）
+ * @param {number} [now] - 目前時間（毫秒）
+ * @returns {Array}
+ */
+function applyRetention(entries, now = Date.now()) {
+  const recent = entries.filter(entry => now - entry.ts <= MAX_HISTORY_AGE);
+  return recent.slice(-MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * 將舊版的 directories[].lastUsed 轉為啟動記錄
+ * @param {Array} directories - 目錄列表
+ * @returns {Array} 啟動記錄（依時間排序）
+ */
+function buildLegacyEntries(directories = []) {
+  return directories
+    .filter(dir => Number.isFinite(dir.lastUsed) && dir.lastUsed > 0)
+    .map(dir => ({
+      ts: dir.lastUsed,
+      directoryId: dir.id,
+      terminalId: dir.terminalId || '',
+      source: 'migrated',
+      success: true,
+    }))
+    .sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * 計算單次啟動的 frecency 權重（失敗的啟動不計分）
+ * @param {Object} entry - 啟動記錄
+ * @param {number} now - 目前時間（毫秒）
+ * @returns {number}
+ */
+function getFrecencyWeight(entry, now) {
+  if (!entry.success) return 0;
+  const age = Math.max(0, now - entry.ts);
+  return Math.pow(0.5, age / FRECENCY_HALF_LIFE);
+}
+
+/**
+ * 正規化最近使用排序方式
+ * @param {*} mode - 設定值
+ * @returns {'frecency'|'recent'}
+ */
+function normalizeRecentSort(mode) {
+  return RECENT_SORT_MODES.includes(mode) ? mode : DEFAULT_RECENT_SORT;
+}
+
+/**
+ * 依目錄彙整最近使用
+ * @param {Array} entries - 啟動記錄（依時間排序）
+ * @param {Object} [options] - 選項
+ * @param {Set<number>} [options.directoryIds] - 只包含這些目錄（排除已刪除的目錄）
+ * @param {number} [options.limit] - 最多筆數
+ * @param {string} [options.sort] - 排序方式 'frecency' | 'recent'（預設 frecency）
+ * @param {number} [options.now] - 目前時間（毫秒）
+ * @returns {Array} [{ directoryId, lastUsed, terminalId, source, success, errorType?, count, score }]
+ */
+function summarizeRecent(entries, options = {}) {
+  const now = options.now ?? Date.now();
+  const byDirectory = new Map();
+
+  for (const entry of entries) {
+    if (entry.directoryId === null) continue;
+    if (options.directoryIds && !options.directoryIds.has(entry.directoryId)) continue;
+
+    const previous = byDirectory.get(entry.directoryId);
+    const summary = {
+      directoryId: entry.directoryId,
+      lastUsed: entry.ts,
+      terminalId: entry.terminalId,
+      source: entry.source,
+      success: entry.success,
+      count: (previous?.count || 0) + 1,
+      score: (previous?.score || 0) + getFrecencyWeight(entry, now),
+    };
+    if (entry.errorType) {
+      summary.errorType = entry.errorType;
+    }
+    byDirectory.set(entry.directoryId, summary);
+  }
+
+  const recent = [...byDirectory.values()].sort((a, b) =>
+    normalizeRecentSort(options.sort) === 'frecency' && b.score !== a.score
+      ? b.score - a.score
+      : b.lastUsed - a.lastUsed
+  );
+  return options.limit ? recent.slice(0, options.limit) : recent;
+}
+
+module.exports = {
+  LAUNCH_SOURCES,
+  MAX_HISTORY_ENTRIES,
+  MAX_HISTORY_AGE,
+  RECENT_SORT_MODES,
+  DEFAULT_RECENT_SORT,
+  FRECENCY_HALF_LIFE,
+  createHistoryEntry,
+  parseHistory,
+  serializeHistory,
+  applyRetention,
+  buildLegacyEntries,
+  normalizeRecentSort,
+  summarizeRecent,
+};
@@ -0,0 +1,126 @@
+/**
+ * 目錄快捷鍵工具模組
+ * 處理全域快捷鍵（accelerator）正規化、目錄快捷鍵驗證與衝突偵測
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 目錄快捷鍵結構：
+ * - config.hotkeys = [{ id, accelerator, directoryId, terminalId? }]
+ * - 未設定 terminalId 時使用目錄的啟動器
+ */
+
+// 目錄快捷鍵數量上限
+const MAX_HOTKEYS = 50;
+
+// 修飾鍵別名（小寫）對應的標準名稱
+const MODIFIER_ALIASES = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  cmdorctrl: 'CmdOrCtrl',
+  commandorcontrol: 'CmdOrCtrl',
+  cmd: 'Command',
+  command: 'Command',
+  super: 'Super',
+  meta: 'Super',
+  alt: 'Alt',
+  option: 'Alt',
+  altgr: 'AltGr',
+  shift: 'Shift',
+};
+
+// 正規化後的修飾鍵順序
+const MODIFIER_ORDER = ['Command', 'Ctrl', 'Alt', 'AltGr', 'Shift', 'Super'];
+
+/**
+ * 將修飾鍵別名轉為實際按鍵（CmdOrCtrl 在 macOS 為 Command，其他平台為 Ctrl；macOS 的 Super 即 Command）
+ * @param {string} modifier - 標準修飾鍵名稱
+ * @param {string} platform - 平台
+ * @returns {string}
+ */
+function resolveModifier(modifier, platform) {
+  if (modifier === 'CmdOrCtrl') return platform === 'darwin' ? 'Command' : 'Ctrl';
+  if (modifier === 'Super' && platform === 'darwin') return 'Command';
+  return modifier;
+}
+
+/**
+ * 正規化快捷鍵（修飾鍵排序、別名與大小寫統一），用於比對是否衝突
+ * @param {string} accelerator - 快捷鍵（例如 'Ctrl+Alt+1'）
+ * @param {string} [platform] - 平台（預設 process.platform）
+ * @returns {string} 正規化結果，格式無效（沒有修飾鍵或主鍵不只一個）時為空字串
+ */
+function normalizeAccelerator(accelerator, platform = process.platform) {
+  if (typeof accelerator !== 'string') return '';
+
+  const modifiers = new Set();
+  const keys = [];
+  for (const part of accelerator.split('+').map(p => p.trim())) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+    if (modifier) {
+      modifiers.add(resolveModifier(modifier, platform));
+    } else if (part) {
+      keys.push(part.toUpperCase());
+    }
+  }
+
+  if (modifiers.size === 0 || keys.length !== 1) return '';
+  return [...MODIFIER_ORDER.filter(m => modifiers.has(m)), keys[0]].join('+');
+}
+
+/**
+ * 驗證目錄快捷鍵設定
+ * @param {*} hotkey - 目錄快捷鍵
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateHotkey(hotkey) {
+  if (!hotkey || typeof hotkey !== 'object' || Array.isArray(hotkey)) {
+    return { valid: false, error: 'hotkeys[] must be an object' };
+  }
+  if (typeof hotkey.id !== 'string' || !hotkey.id) {
+    return { valid: false, error: 'hotkeys[].id must be a non-empty string' };
+  }
+  if (!normalizeAccelerator(hotkey.accelerator)) {
+    return { valid: false, error: 'hotkeys[].accelerator must include a modifier and one key' };
+  }
+  if (!Number.isInteger(hotkey.directoryId)) {
+    return { valid: false, error: 'hotkeys[].directoryId must be an integer' };
+  }
+  if (hotkey.terminalId !== undefined && typeof hotkey.terminalId !== 'string') {
+    return { valid: false, error: 'hotkeys[].terminalId must be a string' };
+  }
+  return { valid: true };
+}
+
+/**
+ * 偵測目錄快捷鍵衝突（與主視窗、快速啟動面板快捷鍵，以及彼此之間）
+ * 保留快捷鍵優先，目錄快捷鍵之間以排在前面者為準
+ * @param {Array} hotkeys - 目錄快捷鍵列表
+ * @param {Object} [reserved] - 保留快捷鍵 { 設定鍵: 快捷鍵 }（例如 { globalShortcut: 'Alt+Space' }）
+ * @param {string} [platform] - 平台（預設 process.platform）
+ * @returns {Map<string, string>} 衝突的快捷鍵 ID → 佔用者（保留快捷鍵的設定鍵或目錄快捷鍵 ID）
+ */
+function findHotkeyConflicts(hotkeys, reserved = {}, platform = process.platform) {
+  const owners = new Map();
+  for (const [name, accelerator] of Object.entries(reserved)) {
+    const key = normalizeAccelerator(accelerator, platform);
+    if (key && !owners.has(key)) owners.set(key, name);
+  }
+
+  const conflicts = new Map();
+  for (const hotkey of hotkeys || []) {
+    const key = normalizeAccelerator(hotkey.accelerator, platform);
+    if (!key) continue;
+    if (owners.has(key)) {
+      conflicts.set(hotkey.id, owners.get(key));
+    } else {
+      owners.set(key, hotkey.id);
+    }
+  }
+  return conflicts;
+}
+
+module.exports = {
+  MAX_HOTKEYS,
+  normalizeAccelerator,
+  validateHotkey,
+  findHotkeyConflicts,
+};
@@ -2,6 +2,17 @@
  * IPC 參數驗證工具模組
  * 提供 IPC 通訊的參數驗證功能，防止不合法的輸入
  */
+const { validateRemoteTarget } = require('./ssh-utils');
+const { validatePathSafety } = require('./path-utils');
+const { MULTIPLEXERS, validateLayout } = require('./mux-utils');
+const { CONTAINER_CLIS } = require('./container-utils');
+const { MAX_SCAN_ROOTS, validateScanRoot } = require('./scan-utils');
+const { DEEP_LINK_ACTIONS, MAX_PARAM_LENGTH } = require('./deep-link-utils');
+const { MAX_HOTKEYS, validateHotkey } = require('./hotkey-utils');
+const { validateTags } = require('./tag-utils');
+const { validateGroupParents } = require('./group-utils');
+const { MAX_SMART_GROUPS, validateSmartGroup } = require('./smart-group-utils');
+const { validateFavorite } = require('./favorite-utils');
 
 /**
  * 驗證結果類型
@@ -89,6 +100,39 @@ function validateSafeUrl(url) {
   }
 }
 
+/**
+ * 驗證環境變數對照表（{ KEY: 'value' }）
+ * @param {*} env - 環境變數對照表
+ * @param {string} fieldName - 欄位名稱
+ * @returns {ValidationResult}
+ */
+function validateEnvMap(env, fieldName) {
+  const objResult = validateObject(env, fieldName);
+  if (!objResult.valid) return objResult;
+
+  const MAX_ENTRIES = 100;
+  const MAX_VALUE_LENGTH = 32767;
+  const keys = Object.keys(env);
+  if (keys.length > MAX_ENTRIES) {
+    return { valid: false, error: `${fieldName} exceeds maximum of ${MAX_ENTRIES} entries` };
+  }
+
+  for (const key of keys) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      return { valid: false, error: `${fieldName} has invalid variable name: ${key}` };
+    }
+    const value = env[key];
+    if (typeof value !== 'string') {
+      return { valid: false, error: `${fieldName}.${key} must be a string` };
+    }
+    if (value.length > MAX_VALUE_LENGTH || value.includes('\0')) {
+      return { valid: false, error: `${fieldName}.${key} has an invalid value` };
+    }
+  }
+
+  return { valid: true };
+}
+
 /**
  * 驗證目錄物件
  * @param {*} dir - 目錄物件
@@ -107,6 +151,95 @@ function validateDirectory(dir) {
   const pathResult = validateString(dir.path, 'directory.path');
   if (!pathResult.valid) return pathResult;
 
+  // 驗證 env（選填）
+  if (dir.env !== undefined) {
+    const envResult = validateEnvMap(dir.env, 'directory.env');
+    if (!envResult.valid) return envResult;
+  }
+
+  // 驗證 envFile（選填）
+  if (dir.envFile !== undefined) {
+    const envFileResult = validateString(dir.envFile, 'directory.envFile');
+    if (!envFileResult.valid) return envFileResult;
+    if (dir.envFile.length > 1024 || dir.envFile.includes('\0')) {
+      return { valid: false, error: 'directory.envFile is invalid' };
+    }
+  }
+
+  // 驗證 remote（選填），遠端路徑需通過較嚴格的安全檢查
+  if (dir.remote !== undefined) {
+    const remoteResult = validateRemoteTarget(dir.remote);
+    if (!remoteResult.valid) {
+      return { valid: false, error: 'directory.' + remoteResult.error };
+    }
+    if (!validatePathSafety(dir.path, { remote: true }).safe) {
+      return { valid: false, error: 'directory.path is not a safe remote path' };
+    }
+  }
+
+  // 驗證 layout（選填，多工器版面配置）
+  if (dir.layout !== undefined) {
+    const layoutResult = validateLayout(dir.layout);
+    if (!layoutResult.valid) {
+      return { valid: false, error: 'directory.' + layoutResult.error };
+    }
+  }
+
+  // 驗證 tags（選填）
+  if (dir.tags !== undefined) {
+    const tagsResult = validateTags(dir.tags, 'directory.tags');
+    if (!tagsResult.valid) return tagsResult;
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 驗證工作區物件 { id, name, directoryId, steps: [{ terminalId, delay? }] }
+ * @param {*} workspace - 工作區物件
+ * @returns {ValidationResult}
+ */
+function validateWorkspace(workspace) {
+  const objResult = validateObject(workspace, 'workspace');
+  if (!objResult.valid) return objResult;
+
+  const idResult = validateString(workspace.id, 'workspace.id');
+  if (!idResult.valid) return idResult;
+
+  const nameResult = validateString(workspace.name, 'workspace.name');
+  if (!nameResult.valid) return nameResult;
+
+  if (workspace.directoryId === undefined || workspace.directoryId === null) {
+    return { valid: false, error: 'workspace.directoryId is required' };
+  }
+
+  const MAX_STEPS = 20;
+  const MAX_DELAY = 60000;
+  if (!Array.isArray(workspace.steps)) {
+    return { valid: false, error: 'workspace.steps must be an array' };
+  }
+  if (workspace.steps.length > MAX_STEPS) {
+    return { valid: false, error: `workspace.steps exceeds maximum of ${MAX_STEPS} steps` };
+  }
+
+  for (const step of workspace.steps) {
+    const stepResult = validateObject(step, 'workspace.steps[]');
+    if (!stepResult.valid) return stepResult;
+
+    const terminalResult = validateString(step.terminalId, 'workspace.steps[].terminalId');
+    if (!terminalResult.valid) return terminalResult;
+
+    if (
+      step.delay !== undefined &&
+      (typeof step.delay !== 'number' || step.delay < 0 || step.delay > MAX_DELAY)
+    ) {
+      return {
+        valid: false,
+        error: `workspace.steps[].delay must be a number between 0 and ${MAX_DELAY}`,
+      };
+    }
+  }
+
   return { valid: true };
 }
 
@@ -136,6 +269,164 @@ function validateConfig(config) {
     return { valid: false, error: 'config.settings must be an object' };
   }
 
+  // 應用內快捷鍵對應表（選填）：{ 動作 ID: 快捷鍵 }，空字串表示停用
+  const keymap = config.settings?.keymap;
+  if (keymap !== undefined) {
+    if (!keymap || typeof keymap !== 'object' || Array.isArray(keymap)) {
+      return { valid: false, error: 'config.settings.keymap must be an object' };
+    }
+    if (Object.values(keymap).some(shortcut => typeof shortcut !== 'string')) {
+      return { valid: false, error: 'config.settings.keymap values must be strings' };
+    }
+  }
+
+  // 驗證群組的父子關係（選填）
+  const parentsResult = validateGroupParents(config.groups, 'config.groups[].parentId');
+  if (!parentsResult.valid) return parentsResult;
+
+  // 驗證群組預設啟動器（選填）
+  for (const group of config.groups) {
+    if (group && group.terminalId !== undefined) {
+      const terminalResult = validateString(group.terminalId, 'config.groups[].terminalId');
+      if (!terminalResult.valid) return terminalResult;
+    }
+  }
+
+  // 驗證目錄、群組、啟動器的 env（選填）
+  const envOwners = [
+    ['directories', config.directories],
+    ['groups', config.groups],
+    ['terminals', config.terminals],
+  ];
+  for (const [field, items] of envOwners) {
+    for (const item of items) {
+      if (item && item.env !== undefined) {
+        const envResult = validateEnvMap(item.env, `config.${field}[].env`);
+        if (!envResult.valid) return envResult;
+      }
+    }
+  }
+
+  // 驗證遠端目錄、版面配置、標籤與啟動器的遠端命令、多工器（選填）
+  for (const dir of config.directories) {
+    if (dir && dir.remote !== undefined) {
+      const remoteResult = validateRemoteTarget(dir.remote);
+      if (!remoteResult.valid) {
+        return { valid: false, error: 'config.directories[].' + remoteResult.error };
+      }
+    }
+    if (dir && dir.layout !== undefined) {
+      const layoutResult = validateLayout(dir.layout);
+      if (!layoutResult.valid) {
+        return { valid: false, error: 'config.directories[].' + layoutResult.error };
+      }
+    }
+    if (dir && dir.tags !== undefined) {
+      const tagsResult = validateTags(dir.tags, 'config.directories[].tags');
+      if (!tagsResult.valid) return tagsResult;
+    }
+  }
+  for (const terminal of config.terminals) {
+    if (terminal && terminal.remoteCommand !== undefined) {
+      if (typeof terminal.remoteCommand !== 'string') {
+        return { valid: false, error: 'config.terminals[].remoteCommand must be a string' };
+      }
+    }
+    if (terminal && terminal.multiplexer !== undefined) {
+      if (!MULTIPLEXERS.includes(terminal.multiplexer)) {
+        return {
+          valid: false,
+          error: `config.terminals[].multiplexer must be one of: ${MULTIPLEXERS.join(', ')}`,
+        };
+      }
+    }
+    if (terminal && terminal.container !== undefined) {
+      if (!CONTAINER_CLIS.includes(terminal.container)) {
+        return {
+          valid: false,
+          error: `config.terminals[].container must be one of: ${CONTAINER_CLIS.join(', ')}`,
+        };
+      }
+      if (terminal.multiplexer !== undefined) {
+        return {
+          valid: false,
+          error: 'config.terminals[] cannot set both multiplexer and container',
+        };
+      }
+    }
+  }
+
+  // 驗證工作區（選填）
+  if (config.workspaces !== undefined) {
+    if (!Array.isArray(config.workspaces)) {
+      return { valid: false, error: 'config.workspaces must be an array' };
+    }
+    for (const workspace of config.workspaces) {
+      const workspaceResult = validateWorkspace(workspace);
+      if (!workspaceResult.valid) return workspaceResult;
+    }
+  }
+
+  // 驗證掃描根目錄（選填）
+  if (config.scanRoots !== undefined) {
+    if (!Array.isArray(config.scanRoots)) {
+      return { valid: false, error: 'config.scanRoots must be an array' };
+    }
+    if (config.scanRoots.length > MAX_SCAN_ROOTS) {
+      return {
+        valid: false,
+        error: `config.scanRoots exceeds maximum of ${MAX_SCAN_ROOTS} entries`,
+      };
+    }
+    for (const root of config.scanRoots) {
+      const rootResult = validateScanRoot(root);
+      if (!rootResult.valid) return rootResult;
+    }
+  }
+
+  // 驗證目錄快捷鍵（選填）
+  if (config.hotkeys !== undefined) {
+    if (!Array.isArray(config.hotkeys)) {
+      return { valid: false, error: 'config.hotkeys must be an array' };
+    }
+    if (config.hotkeys.length > MAX_HOTKEYS) {
+      return { valid: false, error: `config.hotkeys exceeds maximum of ${MAX_HOTKEYS} entries` };
+    }
+    for (const hotkey of config.hotkeys) {
+      const hotkeyResult = validateHotkey(hotkey);
+      if (!hotkeyResult.valid) return hotkeyResult;
+    }
+  }
+
+  // 驗證最愛（選填，舊版的目錄 ID 於載入時遷移）
+  if (config.favorites !== undefined) {
+    if (!Array.isArray(config.favorites)) {
+      return { valid: false, error: 'config.favorites must be an array' };
+    }
+    for (const favorite of config.favorites) {
+      if (Number.isInteger(favorite)) continue;
+      const favoriteResult = validateFavorite(favorite);
+      if (!favoriteResult.valid) return favoriteResult;
+    }
+  }
+
+  // 驗證智慧群組（選填）
+  if (config.smartGroups !== undefined) {
+    if (!Array.isArray(config.smartGroups)) {
+      return { valid: false, error: 'config.smartGroups must be an array' };
+    }
+    if (config.smartGroups.length > MAX_SMART_GROUPS) {
+      return {
+        valid: false,
+        error: `config.smartGroups exceeds maximum of ${MAX_SMART_GROUPS} entries`,
+      };
+    }
+    for (const smartGroup of config.smartGroups) {
+      const smartResult = validateSmartGroup(smartGroup, 'config.smartGroups[]');
+      if (!smartResult.valid) return smartResult;
+    }
+  }
+
   return { valid: true };
 }
 
@@ -257,6 +548,92 @@ function validatePathsArray(paths) {
   return { valid: true };
 }
 
+/**
+ * 驗證字串陣列
+ * @param {*} values - 陣列
+ * @param {string} fieldName - 欄位名稱
+ * @returns {ValidationResult}
+ */
+function validateStringArray(values, fieldName) {
+  if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+    return { valid: false, error: `${fieldName} must be an array of strings` };
+  }
+  return { valid: true };
+}
+
+/**
+ * 驗證要匯入的探索專案列表
+ * @param {*} projects - 專案列表 [{ path, name?, group?, terminalId? }]
+ * @returns {ValidationResult}
+ */
+function validateImportProjects(projects) {
+  if (!Array.isArray(projects) || projects.length === 0) {
+    return { valid: false, error: 'projects must be a non-empty array' };
+  }
+
+  const MAX_PROJECTS = 500;
+  if (projects.length > MAX_PROJECTS) {
+    return { valid: false, error: `projects array exceeds maximum of ${MAX_PROJECTS} entries` };
+  }
+
+  for (const project of projects) {
+    if (!project || typeof project !== 'object') {
+      return { valid: false, error: 'projects[] must be an object' };
+    }
+    const pathResult = validateString(project.path, 'projects[].path');
+    if (!pathResult.valid) return pathResult;
+    for (const field of ['name', 'group', 'terminalId']) {
+      if (project[field] !== undefined && typeof project[field] !== 'string') {
+        return { valid: false, error: `projects[].${field} must be a string` };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 驗證深層連結參數
+ * @param {*} link - parseDeepLink 的結果 { action, params }
+ * @returns {ValidationResult}
+ */
+function validateDeepLink(link) {
+  const objResult = validateObject(link, 'link');
+  if (!objResult.valid) return objResult;
+
+  if (!Object.hasOwn(DEEP_LINK_ACTIONS, link.action)) {
+    return { valid: false, error: `Unknown action: ${link.action}` };
+  }
+  const spec = DEEP_LINK_ACTIONS[link.action];
+  const paramsResult = validateObject(link.params, 'params');
+  if (!paramsResult.valid) return paramsResult;
+
+  for (const key of [...spec.required, ...spec.optional]) {
+    const value = link.params[key];
+    if (value === undefined && spec.optional.includes(key)) continue;
+
+    const result = validateString(value, key);
+    if (!result.valid) return result;
+    if (value.length > MAX_PARAM_LENGTH || value.includes('\0')) {
+      return { valid: false, error: `${key} has an invalid value` };
+    }
+  }
+
+  // 新增目錄只接受絕對路徑（連結沒有工作目錄可供解析）
+  if (link.action === 'add') {
+    const dirPath = link.params.path;
+    if (!dirPath.startsWith('/') && !/^[A-Za-z]:[\\/]/.test(dirPath)) {
+      return { valid: false, error: 'path must be an absolute path' };
+    }
+    const pathSafety = validatePathSafety(dirPath);
+    if (!pathSafety.safe) {
+      return { valid: false, error: `Unsafe path: ${pathSafety.reason}` };
+    }
+  }
+
+  return { valid: true };
+}
+
 /**
  * 創建驗證包裝器
  * @param {Function} validator - 驗證函數
@@ -279,12 +656,17 @@ module.exports = {
   validateObject,
   validatePositiveInteger,
   validateSafeUrl,
+  validateEnvMap,
   validateDirectory,
+  validateWorkspace,
   validateConfig,
   validateExportOptions,
   validateImportOptions,
   validateLocaleCode,
   validateRendererError,
   validatePathsArray,
+  validateStringArray,
+  validateImportProjects,
+  validateDeepLink,
   createValidator,
 };
@@ -0,0 +1,270 @@
+/**
+ * 終端多工器（tmux / zellij）工具模組
+ * 處理 session 名稱、目錄版面配置（layout）驗證與命令引數組裝
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 目錄版面配置結構：
+ * - dir.layout = { windows: [{ name?, layout?, panes: [{ command? }] }] }
+ * - 每個 window 對應 tmux 視窗 / zellij 分頁，panes 依序分割
+ * - pane 未設定 command 時為一般 shell
+ */
+const crypto = require('crypto');
+
+// 支援的多工器
+const MULTIPLEXERS = ['tmux', 'zellij'];
+
+// tmux 內建的窗格排列方式
+const TMUX_LAYOUTS = [
+  'even-horizontal',
+  'even-vertical',
+  'main-horizontal',
+  'main-vertical',
+  'tiled',
+];
+
+// 版面配置上限
+const MAX_WINDOWS = 10;
+const MAX_PANES = 8;
+const MAX_PANE_COMMAND_LENGTH = 1000;
+
+// zellij 命令窗格執行完命令後切換為互動 shell（未設定 SHELL 時使用 sh）
+const KEEP_SHELL = '; [ -n "$SHELL" ] && exec "$SHELL"; exec sh';
+
+// session 名稱無法取得時的預設值
+const DEFAULT_SESSION_NAME = 'termlauncher';
+
+// session 名稱後綴的雜湊長度
+const SESSION_HASH_LENGTH = 6;
+
+/**
+ * 由目錄名稱產生 session 名稱
+ * tmux 不允許 . 與 :，統一只保留英數、底線與連字號
+ * 名稱後附上目錄 ID（無 ID 時為路徑）的短雜湊，避免同名或非 ASCII 名稱的目錄共用 session
+ * @param {Object} dir - 目錄物件 { id, name, path }
+ * @returns {string}
+ */
+function getSessionName(dir) {
+  const sanitize = value =>
+    String(value || '')
+      .trim()
+      .replace(/[^A-Za-z0-9_-]+/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '')
+      .substring(0, 64);
+
+  const basename = (dir?.path || '').split(/[\\/]/).filter(Boolean).pop();
+  const base = sanitize(dir?.name) || sanitize(basename) || DEFAULT_SESSION_NAME;
+  const key = String(dir?.id ?? dir?.path ?? '');
+  const suffix = crypto
+    .createHash('sha1')
+    .update(key)
+    .digest('hex')
+    .substring(0, SESSION_HASH_LENGTH);
+  return `${base}-${suffix}`;
+}
+
+/**
+ * 驗證目錄版面配置
+ * @param {*} layout - 版面配置
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    return { valid: false, error: 'layout must be an object' };
+  }
+  if (!Array.isArray(layout.windows) || layout.windows.length === 0) {
+    return { valid: false, error: 'layout.windows must be a non-empty array' };
+  }
+  if (layout.windows.length > MAX_WINDOWS) {
+    return { valid: false, error: `layout.windows exceeds maximum of ${MAX_WINDOWS}` };
+  }
+
+  for (const window of layout.windows) {
+    if (!window || typeof window !== 'object') {
+      return { valid: false, error: 'layout.windows[] must be an object' };
+    }
+    if (window.name !== undefined && (typeof window.name !== 'string' || window.name.length > 64)) {
+      return { valid: false, error: 'layout.windows[].name is invalid' };
+    }
+    if (window.layout !== undefined && !TMUX_LAYOUTS.includes(window.layout)) {
+      return { valid: false, error: 'layout.windows[].layout is invalid' };
+    }
+    if (!Array.isArray(window.panes) || window.panes.length === 0) {
+      return { valid: false, error: 'layout.windows[].panes must be a non-empty array' };
+    }
+    if (window.panes.length > MAX_PANES) {
+      return { valid: false, error: `layout.windows[].panes exceeds maximum of ${MAX_PANES}` };
+    }
+    for (const pane of window.panes) {
+      if (!pane || typeof pane !== 'object') {
+        return { valid: false, error: 'layout.windows[].panes[] must be an object' };
+      }
+      if (
+        pane.command !== undefined &&
+        (typeof pane.command !== 'string' ||
+          pane.command.length > MAX_PANE_COMMAND_LENGTH ||
+          /[\n\r\0]/.test(pane.command))
+      ) {
+        return { valid: false, error: 'layout.windows[].panes[].command is invalid' };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 取得不重複的視窗名稱（未命名時為 window-N，重複時加上序號）
+ * tmux 以名稱指定目標視窗，因此名稱必須唯一且不含 . 與 :
+ * @param {Array} windows - 視窗列表
+ * @returns {string[]}
+ */
+function getWindowNames(windows) {
+  const used = new Set();
+  return windows.map((window, index) => {
+    const base = (window.name || '').trim().replace(/[.:]/g, '-') || `window-${index + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}-${n}`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * 組裝建立 tmux session 的命令引數（不含 tmux 本身）
+ * 各命令以 ';' 引數分隔，可在單次 tmux 呼叫中依序執行
+ * @param {string} session - session 名稱
+ * @param {string} cwd - 工作目錄
+ * @param {Object} [layout] - 版面配置
+ * @returns {string[]}
+ */
+function buildTmuxCreateArgs(session, cwd, layout) {
+  const windows = layout?.windows?.length > 0 ? layout.windows : [{ panes: [{}] }];
+  const names = getWindowNames(windows);
+  const commands = [];
+
+  windows.forEach((window, index) => {
+    const target = `=${session}:=${names[index]}`;
+    if (index === 0) {
+      commands.push(['new-session', '-d', '-s', session, '-c', cwd, '-n', names[index]]);
+    } else {
+      commands.push(['new-window', '-d', '-t', `=${session}:`, '-c', cwd, '-n', names[index]]);
+    }
+
+    window.panes.forEach((pane, paneIndex) => {
+      // 分割後新窗格成為作用中窗格，send-keys 以視窗為目標即送往新窗格
+      if (paneIndex > 0) {
+        commands.push(['split-window', '-t', target, '-c', cwd]);
+      }
+      if (pane.command) {
+        commands.push(['send-keys', '-t', target, '-l', pane.command]);
+        commands.push(['send-keys', '-t', target, 'Enter']);
+      }
+    });
+
+    if (window.panes.length > 1) {
+      commands.push(['select-layout', '-t', target, window.layout || 'tiled']);
+    }
+  });
+
+  commands.push(['select-window', '-t', `=${session}:=${names[0]}`]);
+
+  return commands.flatMap((command, index) => (index === 0 ? command : [';', ...command]));
+}
+
+/**
+ * 將字串轉為 KDL 字串字面值
+ * @param {string} value - 字串
+ * @returns {string}
+ */
+function toKdlString(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * 組裝 zellij 版面配置檔（KDL）內容
+ * 含命令的窗格以 sh -c 執行，命令結束後保留互動 shell
+ * @param {string} cwd - 工作目錄
+ * @param {Object} layout - 版面配置
+ * @returns {string}
+ */
+function buildZellijLayout(cwd, layout) {
+  const names = getWindowNames(layout.windows);
+  const lines = [
+    'layout {',
+    `    cwd ${toKdlString(cwd)}`,
+    '    default_tab_template {',
+    '        pane size=1 borderless=true {',
+    '            plugin location="zellij:tab-bar"',
+    '        }',
+    '        children',
+    '        pane size=2 borderless=true {',
+    '            plugin location="zellij:status-bar"',
+    '        }',
+    '    }',
+  ];
+
+  layout.windows.forEach((window, index) => {
+    const direction = window.layout === 'even-vertical' ? ' split_direction="horizontal"' : '';
+    lines.push(`    tab name=${toKdlString(names[index])}${direction} {`);
+    window.panes.forEach(pane => {
+      if (pane.command) {
+        lines.push('        pane command="sh" {');
+        lines.push(`            args "-c" ${toKdlString(pane.command + KEEP_SHELL)}`);
+        lines.push('        }');
+      } else {
+        lines.push('        pane');
+      }
+    });
+    lines.push('    }');
+  });
+
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+/**
+ * 組裝附加到 session 的命令引數（第一個元素為多工器可執行檔）
+ * tmux 的 session 由主進程事先建立，一律附加；zellij 需在終端內建立 session
+ * @param {string} multiplexer - 'tmux' | 'zellij'
+ * @param {string} session - session 名稱
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.exists] - session 是否已存在（zellij）
+ * @param {string} [options.layoutFile] - 版面配置檔路徑（zellij 建立新 session 時使用）
+ * @returns {string[]}
+ */
+function buildMuxAttachArgs(multiplexer, session, options = {}) {
+  if (multiplexer === 'tmux') {
+    return ['tmux', 'attach-session', '-t', `=${session}`];
+  }
+  if (options.exists || !options.layoutFile) {
+    return ['zellij', 'attach', '--create', session];
+  }
+  return ['zellij', '--session', session, '--layout', options.layoutFile];
+}
+
+/**
+ * 解析 zellij list-sessions --short 的輸出
+ * @param {string} output - 命令輸出
+ * @returns {string[]} session 名稱列表
+ */
+function parseZellijSessions(output) {
+  return String(output || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  MULTIPLEXERS,
+  TMUX_LAYOUTS,
+  getSessionName,
+  validateLayout,
+  getWindowNames,
+  buildTmuxCreateArgs,
+  buildZellijLayout,
+  buildMuxAttachArgs,
+  parseZellijSessions,
+};
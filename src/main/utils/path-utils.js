@@ -36,9 +36,11 @@ function formatPath(dirPath, pathFormat) {
  * 檢查路徑是否包含危險的 shell 元字符
  * 注意：此函數僅用於基本安全檢查，不能完全防止所有注入攻擊
  * @param {string} path - 要檢查的路徑
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.remote] - 是否為遠端（SSH）路徑，會套用更嚴格的規則
  * @returns {Object} { safe: boolean, reason?: string }
  */
-function validatePathSafety(path) {
+function validatePathSafety(path, options = {}) {
   if (!path || typeof path !== 'string') {
     return { safe: false, reason: 'INVALID_PATH' };
   }
@@ -55,6 +57,14 @@ function validatePathSafety(path) {
     { pattern: /\n|\r/, reason: 'NEWLINE' }, // 換行符
   ];
 
+  // 遠端路徑會經過本機與遠端兩層 shell 解析，需額外封鎖引號、跳脫字元與萬用字元
+  if (options.remote) {
+    dangerousPatterns.push(
+      { pattern: /['"\\$&!*?\0]/, reason: 'SHELL_METACHAR' },
+      { pattern: /^(?!\/|~(\/|$))/, reason: 'REMOTE_PATH_NOT_ABSOLUTE' } // 需為絕對路徑或 ~ 開頭
+    );
+  }
+
   for (const { pattern, reason } of dangerousPatterns) {
     if (pattern.test(path)) {
       return { safe: false, reason };
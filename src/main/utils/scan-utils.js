@@ -0,0 +1,211 @@
+/**
+ * 專案探索工具模組
+ * 處理專案標記判斷、建議名稱/群組/啟動器、掃描根目錄驗證與前後掃描結果比對
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 掃描根目錄結構：
+ * - config.scanRoots = [{ id, path, depth, group?, terminalId?, known?, lastScan? }]
+ * - known 為上次掃描找到的專案路徑，用於回報新增與消失的專案
+ */
+const { validatePathSafety } = require('./path-utils');
+
+// 專案標記（檔案或資料夾名稱）
+const PROJECT_MARKERS = ['.git', 'package.json', 'Cargo.toml', 'pyproject.toml', 'go.mod'];
+
+// 以副檔名判斷的專案標記
+const PROJECT_MARKER_EXTENSIONS = ['.sln'];
+
+// 掃描時略過的資料夾（另外一律略過 . 開頭的資料夾）
+const SKIPPED_DIRECTORIES = [
+  'node_modules',
+  'vendor',
+  'target',
+  'dist',
+  'build',
+  'out',
+  'venv',
+  '__pycache__',
+];
+
+// 掃描深度（根目錄本身為 0）
+const DEFAULT_SCAN_DEPTH = 3;
+const MAX_SCAN_DEPTH = 6;
+
+// 掃描根目錄數量上限
+const MAX_SCAN_ROOTS = 20;
+
+// 依專案標記建議啟動器時比對的關鍵字（比對啟動器 ID、名稱與命令）
+const MARKER_LAUNCHER_KEYWORDS = {
+  '*.sln': ['devenv', 'rider', 'visual studio'],
+  'Cargo.toml': ['rustrover'],
+  'pyproject.toml': ['pycharm'],
+  'go.mod': ['goland'],
+  'package.json': ['webstorm'],
+};
+
+/**
+ * 從資料夾內容找出專案標記
+ * @param {string[]} entryNames - 資料夾內的檔案與資料夾名稱
+ * @returns {string[]} 找到的標記（副檔名標記以 *.ext 表示）
+ */
+function findProjectMarkers(entryNames) {
+  const names = new Set(entryNames);
+  const markers = PROJECT_MARKERS.filter(marker => names.has(marker));
+  for (const extension of PROJECT_MARKER_EXTENSIONS) {
+    if (entryNames.some(name => name.toLowerCase().endsWith(extension))) {
+      markers.push('*' + extension);
+    }
+  }
+  return markers;
+}
+
+/**
+ * 判斷掃描時是否略過資料夾
+ * @param {string} name - 資料夾名稱
+ * @returns {boolean}
+ */
+function isSkippedDirectory(name) {
+  return name.startsWith('.') || SKIPPED_DIRECTORIES.includes(name);
+}
+
+/**
+ * 正規化路徑作為比對用的鍵（去除結尾分隔符，Windows 不分大小寫）
+ * @param {string} p - 路徑
+ * @param {string} [platform] - 平台（預設 process.platform）
+ * @returns {string}
+ */
+function normalizePathKey(p, platform = process.platform) {
+  const trimmed = String(p || '').replace(/[\\/]+$/, '') || String(p || '');
+  return platform === 'win32' ? trimmed.replace(/\//g, '\\').toLowerCase() : trimmed;
+}
+
+/**
+ * 正規化掃描深度
+ * @param {*} depth - 設定值
+ * @returns {number}
+ */
+function normalizeScanDepth(depth) {
+  const value = Number(depth);
+  if (!Number.isInteger(value) || value < 0) return DEFAULT_SCAN_DEPTH;
+  return Math.min(value, MAX_SCAN_DEPTH);
+}
+
+/**
+ * 取得路徑最後一段資料夾名稱
+ * @param {string} p - 路徑
+ * @returns {string}
+ */
+function getBasename(p) {
+  return (
+    String(p || '')
+      .split(/[\\/]/)
+      .filter(Boolean)
+      .pop() || ''
+  );
+}
+
+/**
+ * 建議群組：專案上層資料夾名稱與既有群組名稱相同時使用該群組，否則使用根目錄的群組
+ * @param {string} projectPath - 專案路徑
+ * @param {Object} root - 掃描根目錄 { path, group }
+ * @param {Array} groups - 群組列表
+ * @returns {string} 群組 ID
+ */
+function suggestGroup(projectPath, root, groups = []) {
+  const segments = String(projectPath).split(/[\\/]/).filter(Boolean);
+  const rootDepth = String(root.path).split(/[\\/]/).filter(Boolean).length;
+  // 由近到遠檢查根目錄以下的上層資料夾
+  const parents = segments.slice(rootDepth, -1).reverse();
+  for (const parent of parents) {
+    const group = groups.find(g => g.name.toLowerCase() === parent.toLowerCase());
+    if (group) return group.id;
+  }
+  const rootGroup = groups.find(g => g.id === root.group);
+  return rootGroup ? rootGroup.id : 'default';
+}
+
+/**
+ * 建議啟動器：依專案標記比對可見的啟動器，找不到時使用根目錄或預設啟動器
+ * @param {string[]} markers - 專案標記
+ * @param {Array} terminals - 啟動器列表
+ * @param {string} fallbackId - 預設啟動器 ID
+ * @returns {string} 啟動器 ID
+ */
+function suggestTerminal(markers, terminals = [], fallbackId) {
+  const visible = terminals.filter(t => !t.hidden);
+  for (const marker of markers) {
+    const keywords = MARKER_LAUNCHER_KEYWORDS[marker] || [];
+    const match = visible.find(t => {
+      const text = [t.id, t.name, t.command].join(' ').toLowerCase();
+      return keywords.some(keyword => text.includes(keyword));
+    });
+    if (match) return match.id;
+  }
+  return fallbackId;
+}
+
+/**
+ * 比對前後兩次掃描找到的專案路徑
+ * @param {string[]} previous - 上次掃描的路徑
+ * @param {string[]} current - 本次掃描的路徑
+ * @returns {{ added: string[], vanished: string[] }}
+ */
+function diffScanResults(previous = [], current = []) {
+  const previousKeys = new Set(previous.map(p => normalizePathKey(p)));
+  const currentKeys = new Set(current.map(p => normalizePathKey(p)));
+  return {
+    added: current.filter(p => !previousKeys.has(normalizePathKey(p))),
+    vanished: previous.filter(p => !currentKeys.has(normalizePathKey(p))),
+  };
+}
+
+/**
+ * 驗證掃描根目錄設定
+ * @param {*} root - 掃描根目錄
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateScanRoot(root) {
+  if (!root || typeof root !== 'object' || Array.isArray(root)) {
+    return { valid: false, error: 'scanRoots[] must be an object' };
+  }
+  if (typeof root.id !== 'string' || !root.id) {
+    return { valid: false, error: 'scanRoots[].id must be a non-empty string' };
+  }
+  if (typeof root.path !== 'string' || !root.path.trim() || !validatePathSafety(root.path).safe) {
+    return { valid: false, error: 'scanRoots[].path is invalid' };
+  }
+  if (
+    root.depth !== undefined &&
+    (!Number.isInteger(root.depth) || root.depth < 0 || root.depth > MAX_SCAN_DEPTH)
+  ) {
+    return { valid: false, error: `scanRoots[].depth must be between 0 and ${MAX_SCAN_DEPTH}` };
+  }
+  for (const field of ['group', 'terminalId']) {
+    if (root[field] !== undefined && typeof root[field] !== 'string') {
+      return { valid: false, error: `scanRoots[].${field} must be a string` };
+    }
+  }
+  if (
+    root.known !== undefined &&
+    (!Array.isArray(root.known) || root.known.some(p => typeof p !== 'string'))
+  ) {
+    return { valid: false, error: 'scanRoots[].known must be an array of strings' };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  PROJECT_MARKERS,
+  DEFAULT_SCAN_DEPTH,
+  MAX_SCAN_DEPTH,
+  MAX_SCAN_ROOTS,
+  findProjectMarkers,
+  isSkippedDirectory,
+  normalizePathKey,
+  normalizeScanDepth,
+  getBasename,
+  suggestGroup,
+  suggestTerminal,
+  diffScanResults,
+  validateScanRoot,
+};
@@ -0,0 +1,9 @@
+/**
+ * 智慧群組工具模組
+ * 智慧群組規則與前端共用（src/shared/smart-group-rules.js），此模組提供主進程使用的 CommonJS 介面
+ *
+ * 匯出：SMART_RULE_TYPES、SMART_MATCH_MODES、MAX_SMART_GROUPS、MAX_SMART_RULES、
+ * MAX_LAUNCHED_WITHIN_DAYS、normalizeMatchPath、matchesSmartGroup、getSmartGroupMembers、
+ * validateSmartRule、validateSmartGroup
+ */
+module.exports = require('../../shared/smart-group-rules');
@@ -0,0 +1,142 @@
+/**
+ * SSH 遠端目錄工具模組
+ * 處理遠端目標驗證與 ssh 命令引數組裝
+ * 此模組不依賴 Electron 或其他外部模組，便於單元測試
+ *
+ * 遠端目錄結構：
+ * - dir.remote = { host, user?, port?, identityFile? }
+ * - dir.path   = 遠端路徑（絕對路徑或 ~ 開頭）
+ * host 可為主機名稱、IP 或 ~/.ssh/config 中的別名
+ */
+const { validatePathSafety } = require('./path-utils');
+
+// 主機名稱、別名、使用者名稱允許的字元（不得以 - 開頭，避免被解析為 ssh 選項）
+const HOST_PATTERN = /^[A-Za-z0-9_.][A-Za-z0-9_.-]*$/;
+const USER_PATTERN = /^[A-Za-z0-9_.][A-Za-z0-9_.-]*$/;
+
+/**
+ * 判斷目錄是否為遠端目錄
+ * @param {Object} dir - 目錄物件
+ * @returns {boolean}
+ */
+function isRemoteDirectory(dir) {
+  return Boolean(dir && dir.remote && typeof dir.remote === 'object' && dir.remote.host);
+}
+
+/**
+ * 驗證遠端目標設定
+ * @param {*} remote - 遠端目標 { host, user?, port?, identityFile? }
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateRemoteTarget(remote) {
+  if (!remote || typeof remote !== 'object' || Array.isArray(remote)) {
+    return { valid: false, error: 'remote must be an object' };
+  }
+
+  if (typeof remote.host !== 'string' || !HOST_PATTERN.test(remote.host)) {
+    return { valid: false, error: 'remote.host is invalid' };
+  }
+  if (remote.host.length > 255) {
+    return { valid: false, error: 'remote.host is too long' };
+  }
+
+  if (remote.user !== undefined) {
+    if (typeof remote.user !== 'string' || !USER_PATTERN.test(remote.user)) {
+      return { valid: false, error: 'remote.user is invalid' };
+    }
+  }
+
+  if (remote.port !== undefined) {
+    if (!Number.isInteger(remote.port) || remote.port < 1 || remote.port > 65535) {
+      return { valid: false, error: 'remote.port must be an integer between 1 and 65535' };
+    }
+  }
+
+  if (remote.identityFile !== undefined) {
+    if (
+      typeof remote.identityFile !== 'string' ||
+      !remote.identityFile ||
+      remote.identityFile.startsWith('-') ||
+      !validatePathSafety(remote.identityFile).safe
+    ) {
+      return { valid: false, error: 'remote.identityFile is invalid' };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 取得 ssh 連線目標（user@host 或 host）
+ * @param {Object} remote - 遠端目標
+ * @returns {string}
+ */
+function getSshTarget(remote) {
+  return remote.user ? `${remote.user}@${remote.host}` : remote.host;
+}
+
+/**
+ * 以 POSIX 單引號引用字串
+ * @param {string} value - 字串
+ * @returns {string}
+ */
+function quotePosix(value) {
+  return "'" + value.replace(/'/g, "'\\''") + "'";
+}
+
+/**
+ * 組裝在遠端執行的命令：切換到遠端路徑後啟動登入 shell
+ * ~ 開頭的路徑保留 ~ 不加引號，以便由遠端 shell 展開
+ * @param {string} remotePath - 遠端路徑
+ * @returns {string}
+ */
+function buildRemoteShellCommand(remotePath) {
+  let target;
+  if (remotePath === '~') {
+    target = '~';
+  } else if (remotePath.startsWith('~/')) {
+    target = '~/' + quotePosix(remotePath.substring(2));
+  } else {
+    target = quotePosix(remotePath);
+  }
+  return `cd ${target} && exec $SHELL -l`;
+}
+
+/**
+ * 組裝 ssh 命令引數陣列（第一個元素為 ssh 可執行檔）
+ * @param {Object} remote - 遠端目標
+ * @param {string} remotePath - 遠端路徑
+ * @returns {string[]}
+ */
+function buildSshArgs(remote, remotePath) {
+  const args = ['ssh', '-t'];
+  if (remote.port) {
+    args.push('-p', String(remote.port));
+  }
+  if (remote.identityFile) {
+    args.push('-i', remote.identityFile);
+  }
+  args.push(getSshTarget(remote));
+  if (remotePath) {
+    args.push(buildRemoteShellCommand(remotePath));
+  }
+  return args;
+}
+
+/**
+ * 將引數陣列組成單一命令字串（依 POSIX 規則引用）
+ * @param {string[]} args - 引數陣列（如 buildSshArgs 的結果）
+ * @returns {string}
+ */
+function formatPosixCommand(args) {
+  return args.map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : quotePosix(arg))).join(' ');
+}
+
+module.exports = {
+  isRemoteDirectory,
+  validateRemoteTarget,
+  getSshTarget,
+  buildRemoteShellCommand,
+  buildSshArgs,
+  formatPosixCommand,
+};
@@ -0,0 +1,8 @@
+/**
+ * 目錄標籤工具模組
+ * 標籤規則與前端共用（src/shared/tag-rules.js），此模組提供主進程使用的 CommonJS 介面
+ *
+ * 匯出：MAX_TAGS、MAX_TAG_LENGTH、normalizeTag、normalizeTags、hasTag、mergeTags、
+ * validateTags、collectTags、isFilterActive、matchesDirectoryFilter
+ */
+module.exports = require('../../shared/tag-rules');
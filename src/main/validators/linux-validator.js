@@ -102,6 +102,38 @@ class LinuxValidator extends BaseValidator {
     return this.commandExists('xfce4-terminal');
   }
 
+  /**
+   * 檢測 tmux 是否已安裝
+   * @returns {boolean}
+   */
+  isTmuxInstalled() {
+    return this.commandExists('tmux');
+  }
+
+  /**
+   * 檢測 zellij 是否已安裝
+   * @returns {boolean}
+   */
+  isZellijInstalled() {
+    return this.commandExists('zellij');
+  }
+
+  /**
+   * 檢測 docker CLI 是否已安裝
+   * @returns {boolean}
+   */
+  isDockerInstalled() {
+    return this.commandExists('docker');
+  }
+
+  /**
+   * 檢測 Dev Container CLI 是否已安裝
+   * @returns {boolean}
+   */
+  isDevcontainerInstalled() {
+    return this.commandExists('devcontainer');
+  }
+
   // ===== Linux 專屬方法 =====
 
   /**
@@ -136,6 +168,13 @@ class LinuxValidator extends BaseValidator {
     if (lowerCommand.includes('terminator')) {
       return 'terminator';
     }
+    // 終端多工器放在最後，以終端模擬器包裝的命令（如 kitty tmux）優先檢查模擬器
+    if (/(^|[\s/])tmux(\s|$)/.test(lowerCommand)) {
+      return 'tmux';
+    }
+    if (/(^|[\s/])zellij(\s|$)/.test(lowerCommand)) {
+      return 'zellij';
+    }
 
     return null;
   }
@@ -170,6 +209,8 @@ class LinuxValidator extends BaseValidator {
         tilix: () => this.isTilixInstalled(),
         terminator: () => this.isTerminatorInstalled(),
         xfce4Terminal: () => this.isXfce4TerminalInstalled(),
+        tmux: () => this.isTmuxInstalled(),
+        zellij: () => this.isZellijInstalled(),
       };
 
       const checkFn = checkMap[terminalType];
@@ -210,6 +251,10 @@ class LinuxValidator extends BaseValidator {
       tilix: this.isTilixInstalled(),
       terminator: this.isTerminatorInstalled(),
       xfce4Terminal: this.isXfce4TerminalInstalled(),
+      tmux: this.isTmuxInstalled(),
+      zellij: this.isZellijInstalled(),
+      docker: this.isDockerInstalled(),
+      devcontainer: this.isDevcontainerInstalled(),
     };
 
     logger.info('Terminal detection completed', result);
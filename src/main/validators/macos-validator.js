@@ -104,6 +104,38 @@ class MacOSValidator extends BaseValidator {
     return this.appExists('/Applications/Warp.app');
   }
 
+  /**
+   * 檢測 tmux 是否已安裝
+   * @returns {boolean}
+   */
+  isTmuxInstalled() {
+    return this.commandExists('tmux');
+  }
+
+  /**
+   * 檢測 zellij 是否已安裝
+   * @returns {boolean}
+   */
+  isZellijInstalled() {
+    return this.commandExists('zellij');
+  }
+
+  /**
+   * 檢測 docker CLI 是否已安裝
+   * @returns {boolean}
+   */
+  isDockerInstalled() {
+    return this.commandExists('docker');
+  }
+
+  /**
+   * 檢測 Dev Container CLI 是否已安裝
+   * @returns {boolean}
+   */
+  isDevcontainerInstalled() {
+    return this.commandExists('devcontainer');
+  }
+
   // ===== macOS 專屬方法 =====
 
   /**
@@ -138,6 +170,13 @@ class MacOSValidator extends BaseValidator {
     if (lowerCommand.includes('warp')) {
       return 'warp';
     }
+    // 終端多工器放在最後，以終端模擬器包裝的命令（如 kitty tmux）優先檢查模擬器
+    if (/(^|[\s/])tmux(\s|$)/.test(lowerCommand)) {
+      return 'tmux';
+    }
+    if (/(^|[\s/])zellij(\s|$)/.test(lowerCommand)) {
+      return 'zellij';
+    }
 
     return null;
   }
@@ -170,6 +209,8 @@ class MacOSValidator extends BaseValidator {
         kitty: () => this.isKittyInstalled(),
         hyper: () => this.isHyperInstalled(),
         warp: () => this.isWarpInstalled(),
+        tmux: () => this.isTmuxInstalled(),
+        zellij: () => this.isZellijInstalled(),
       };
 
       const checkFn = checkMap[terminalType];
@@ -208,6 +249,10 @@ class MacOSValidator extends BaseValidator {
       kitty: this.isKittyInstalled(),
       hyper: this.isHyperInstalled(),
       warp: this.isWarpInstalled(),
+      tmux: this.isTmuxInstalled(),
+      zellij: this.isZellijInstalled(),
+      docker: this.isDockerInstalled(),
+      devcontainer: this.isDevcontainerInstalled(),
     };
 
     logger.info('Terminal detection completed', result);
@@ -16,6 +16,28 @@ class WindowsValidator extends BaseValidator {
     super();
   }
 
+  /**
+   * 檢查指令是否存在
+   * @param {string} cmd - 指令名稱
+   * @returns {boolean}
+   */
+  commandExists(cmd) {
+    const cacheKey = `cmd_exists_${cmd}`;
+    const cached = this.getCache(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    try {
+      execSync(`where ${cmd}`, { stdio: 'ignore' });
+      this.setCache(cacheKey, true);
+      return true;
+    } catch {
+      this.setCache(cacheKey, false);
+      return false;
+    }
+  }
+
   /**
    * 檢測 Windows Terminal 是否已安裝
    * @returns {boolean}
@@ -158,6 +180,22 @@ class WindowsValidator extends BaseValidator {
     }
   }
 
+  /**
+   * 檢測 docker CLI 是否已安裝
+   * @returns {boolean}
+   */
+  isDockerInstalled() {
+    return this.commandExists('docker');
+  }
+
+  /**
+   * 檢測 Dev Container CLI 是否已安裝
+   * @returns {boolean}
+   */
+  isDevcontainerInstalled() {
+    return this.commandExists('devcontainer');
+  }
+
   /**
    * 從指令中提取 WSL 發行版名稱
    * @param {string} command - 終端指令
@@ -266,6 +304,8 @@ class WindowsValidator extends BaseValidator {
       gitBash: this.isGitBashInstalled(),
       powerShell: this.isPowerShellAvailable(),
       cmd: this.isCmdAvailable(),
+      docker: this.isDockerInstalled(),
+      devcontainer: this.isDevcontainerInstalled(),
     };
 
     logger.info('Terminal detection completed', result);
@@ -5,6 +5,7 @@
 const { BrowserWindow, app } = require('electron');
 const path = require('path');
 const { loadConfig } = require('./config');
+const { getPaletteWindow } = require('./palette');
 
 let mainWindow = null;
 
@@ -55,6 +56,14 @@ function createWindow() {
     }
   });
 
+  // 主視窗關閉時一併關閉快速啟動面板，避免隱藏的面板讓應用程式無法結束
+  mainWindow.on('closed', () => {
+    const paletteWindow = getPaletteWindow();
+    if (paletteWindow && !paletteWindow.isDestroyed()) {
+      paletteWindow.destroy();
+    }
+  });
+
   return mainWindow;
 }
 
@@ -66,7 +75,21 @@ function getMainWindow() {
   return mainWindow;
 }
 
+/**
+ * 顯示並聚焦主視窗（最小化時先還原）
+ */
+function showMainWindow() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    if (mainWindow.isMinimized()) {
+      mainWindow.restore();
+    }
+    mainWindow.show();
+    mainWindow.focus();
+  }
+}
+
 module.exports = {
   createWindow,
   getMainWindow,
+  showMainWindow,
 };
@@ -0,0 +1,136 @@
+/**
+ * 工作區模組
+ * 工作區 = 一個目錄 + 依序執行的啟動器清單（可設定每個步驟前的延遲）
+ */
+const { loadConfig } = require('./config');
+const { recordLaunch } = require('./history');
+const { openTerminal, createErrorResult, ErrorType } = require('./terminal');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Workspace');
+
+// 單一步驟延遲上限（毫秒）
+const MAX_STEP_DELAY = 60000;
+
+/**
+ * 等待指定毫秒數
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 正規化步驟延遲（非數字或負數視為 0，並限制上限）
+ * @param {*} delay - 延遲設定
+ * @returns {number} 毫秒
+ */
+function normalizeDelay(delay) {
+  const value = Number(delay);
+  if (!Number.isFinite(value) || value <= 0) return 0;
+  return Math.min(Math.round(value), MAX_STEP_DELAY);
+}
+
+/**
+ * 彙整各步驟結果
+ * @param {Array<Object>} steps - 各步驟結果 { success, ... }
+ * @returns {{ success: boolean, partial: boolean, succeeded: number, failed: number }}
+ */
+function summarizeSteps(steps) {
+  const succeeded = steps.filter(s => s.success).length;
+  const failed = steps.length - succeeded;
+
+  return {
+    success: steps.length > 0 && failed === 0,
+    partial: succeeded > 0 && failed > 0,
+    succeeded,
+    failed,
+  };
+}
+
+/**
+ * 依序執行工作區中的所有啟動器
+ * 單一步驟失敗不會中斷後續步驟，所有結果彙整為單一回傳值
+ * @param {string} workspaceId - 工作區 ID
+ * @param {Object} [options] - 選項
+ * @param {string} [options.source] - 啟動來源（記錄於啟動歷史，預設 'ui'）
+ * @returns {Promise<Object>} { success, partial, workspaceId, workspaceName, directoryId, succeeded, failed, steps, error? }
+ */
+async function runWorkspace(workspaceId, options = {}) {
+  const config = loadConfig();
+  const workspace = (config.workspaces || []).find(w => w.id === workspaceId);
+
+  if (!workspace) {
+    return { success: false, error: 'Workspace not found' };
+  }
+
+  const dir = config.directories.find(d => d.id === workspace.directoryId);
+  if (!dir) {
+    return { success: false, workspaceId, error: 'Directory not found' };
+  }
+
+  const stepConfigs = Array.isArray(workspace.steps) ? workspace.steps : [];
+  if (stepConfigs.length === 0) {
+    return { success: false, workspaceId, error: 'Workspace has no steps' };
+  }
+
+  logger.info(`Running workspace "${workspace.name}"`, { steps: stepConfigs.length });
+
+  const steps = [];
+  for (let index = 0; index < stepConfigs.length; index++) {
+    const step = stepConfigs[index];
+    const delay = normalizeDelay(step.delay);
+    if (delay > 0) {
+      await wait(delay);
+    }
+
+    const terminal = config.terminals?.find(t => t.id === step.terminalId);
+    const result = terminal
+      ? await openTerminal(dir, terminal, {
+          groups: config.groups,
+          launchCheckMs: config.settings?.launchCheckMs,
+        })
+      : createErrorResult(ErrorType.TERMINAL_NOT_FOUND, step.terminalId);
+
+    recordLaunch({
+      dir,
+      terminalId: step.terminalId,
+      source: options.source || 'ui',
+      result,
+      workspaceId,
+    });
+
+    if (!result.success) {
+      logger.warn(`Workspace step ${index + 1} failed`, {
+        terminalId: step.terminalId,
+        errorType: result.errorType,
+      });
+    }
+
+    steps.push({
+      ...result,
+      index,
+      terminalId: step.terminalId,
+      terminalName: terminal?.name || step.terminalId,
+    });
+  }
+
+  const summary = summarizeSteps(steps);
+
+  return {
+    ...summary,
+    workspaceId,
+    workspaceName: workspace.name,
+    directoryId: dir.id,
+    steps,
+  };
+}
+
+module.exports = {
+  MAX_STEP_DELAY,
+  wait,
+  normalizeDelay,
+  summarizeSteps,
+  runWorkspace,
+};
@@ -13,6 +13,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // 終端操作
   openTerminal: dir => ipcRenderer.invoke('open-terminal', dir),
   previewCommand: (dir, terminalId) => ipcRenderer.invoke('preview-command', dir, terminalId),
+  runWorkspace: workspaceId => ipcRenderer.invoke('run-workspace', workspaceId),
+  launchGroup: groupId => ipcRenderer.invoke('launch-group', groupId),
+
+  // 最近使用（啟動歷史）
+  getRecentLaunches: () => ipcRenderer.invoke('get-recent-launches'),
+  removeRecent: directoryId => ipcRenderer.invoke('remove-recent', directoryId),
+  clearRecent: () => ipcRenderer.invoke('clear-recent'),
 
   // 檔案操作
   selectFolder: () => ipcRenderer.invoke('select-folder'),
@@ -27,6 +34,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   maximizeWindow: () => ipcRenderer.send('maximize-window'),
   closeWindow: () => ipcRenderer.send('close-window'),
 
+  // 快速啟動面板
+  hidePalette: () => ipcRenderer.send('hide-palette'),
+  onPaletteOpened: callback => ipcRenderer.on('palette-opened', callback),
+
   // 國際化
   getAvailableLocales: () => ipcRenderer.invoke('get-available-locales'),
   loadLocale: localeCode => ipcRenderer.invoke('load-locale', localeCode),
@@ -49,6 +60,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // 進階操作
   clearLogs: () => ipcRenderer.invoke('clear-logs'),
+  openLogsDirectory: () => ipcRenderer.invoke('open-logs-directory'),
   resetConfig: () => ipcRenderer.invoke('reset-config'),
 
   // 終端探測
@@ -56,10 +68,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // 平台資訊
   getPlatform: () => ipcRenderer.invoke('get-platform'),
+  getHomeDir: () => ipcRenderer.invoke('get-home-dir'),
 
   // 路徑驗證
   validatePaths: paths => ipcRenderer.invoke('validate-paths', paths),
 
+  // 容器設定偵測
+  detectContainers: paths => ipcRenderer.invoke('detect-containers', paths),
+
+  // Git 狀態
+  getGitStatuses: (paths, force) => ipcRenderer.invoke('get-git-statuses', paths, force),
+
+  // 專案探索
+  scanProjects: rootIds => ipcRenderer.invoke('scan-projects', rootIds),
+  importProjects: projects => ipcRenderer.invoke('import-projects', projects),
+
   // 版本更新
   checkForUpdates: () => ipcRenderer.invoke('check-for-updates'),
 
@@ -32,6 +32,39 @@ export const api = {
    */
   previewCommand: (dir, terminalId) => window.electronAPI.previewCommand(dir, terminalId),
 
+  /**
+   * 執行工作區（依序開啟多個啟動器）
+   * @param {string} workspaceId - 工作區 ID
+   * @returns {Promise<Object>} { success: boolean, partial?: boolean, steps?: Array, error?: string }
+   */
+  runWorkspace: workspaceId => window.electronAPI.runWorkspace(workspaceId),
+
+  /**
+   * 開啟群組（含子群組）中的所有目錄
+   * @param {string} groupId - 群組 ID
+   * @returns {Promise<Object>} { success: boolean, partial?: boolean, results?: Array, error?: string }
+   */
+  launchGroup: groupId => window.electronAPI.launchGroup(groupId),
+
+  /**
+   * 取得最近使用的目錄（依啟動歷史彙整，依設定的 recentSort 排序）
+   * @returns {Promise<Array>} [{ directoryId, lastUsed, terminalId, source, success, errorType?, count, score }]
+   */
+  getRecentLaunches: () => window.electronAPI.getRecentLaunches(),
+
+  /**
+   * 自最近使用移除目錄（刪除該目錄的啟動歷史）
+   * @param {number} directoryId - 目錄 ID
+   * @returns {Promise<boolean>}
+   */
+  removeRecent: directoryId => window.electronAPI.removeRecent(directoryId),
+
+  /**
+   * 清除所有啟動歷史
+   * @returns {Promise<boolean>}
+   */
+  clearRecent: () => window.electronAPI.clearRecent(),
+
   /**
    * 選擇資料夾
    * @returns {Promise<Object>} { success: boolean, path?: string }
@@ -85,6 +118,17 @@ export const api = {
    */
   closeWindow: () => window.electronAPI.closeWindow(),
 
+  /**
+   * 隱藏快速啟動面板
+   */
+  hidePalette: () => window.electronAPI.hidePalette(),
+
+  /**
+   * 監聽快速啟動面板開啟事件（面板據此重新載入資料）
+   * @param {Function} callback - 回呼函式
+   */
+  onPaletteOpened: callback => window.electronAPI.onPaletteOpened(callback),
+
   /**
    * 取得可用語系列表
    * @returns {Promise<Array>} 語系列表
@@ -119,7 +163,8 @@ export const api = {
 
   /**
    * 取得快捷鍵註冊狀態
-   * @returns {Promise<Object|null>} { success: boolean, shortcut: string, errorType?: string }
+   * @returns {Promise<Object|null>} { success, shortcut, errorType?, palette: { success, shortcut, errorType?, conflictWith? } | null,
+   *   hotkeys: [{ id, success, shortcut, errorType?, conflictWith? }] }
    */
   getShortcutStatus: () => window.electronAPI.getShortcutStatus(),
 
@@ -135,6 +180,12 @@ export const api = {
    */
   clearLogs: () => window.electronAPI.clearLogs(),
 
+  /**
+   * 開啟日誌目錄
+   * @returns {Promise<Object>} { success: boolean, error?: string }
+   */
+  openLogsDirectory: () => window.electronAPI.openLogsDirectory(),
+
   /**
    * 重設所有設定
    * @returns {Promise<Object>} { success: boolean, config?: Object }
@@ -174,6 +225,12 @@ export const api = {
    */
   getPlatform: () => window.electronAPI.getPlatform(),
 
+  /**
+   * 取得家目錄
+   * @returns {Promise<string>} 家目錄路徑
+   */
+  getHomeDir: () => window.electronAPI.getHomeDir(),
+
   /**
    * 批次驗證路徑是否存在
    * @param {string[]} paths - 路徑陣列
@@ -181,6 +238,35 @@ export const api = {
    */
   validatePaths: paths => window.electronAPI.validatePaths(paths),
 
+  /**
+   * 批次偵測目錄的 Dev Container / Docker Compose 設定檔
+   * @param {string[]} paths - 路徑陣列
+   * @returns {Promise<Object>} { path: { devcontainer, compose } | null }
+   */
+  detectContainers: paths => window.electronAPI.detectContainers(paths),
+
+  /**
+   * 批次取得目錄的 Git 狀態（主進程有 TTL 快取）
+   * @param {string[]} paths - 路徑陣列
+   * @param {boolean} [force] - 略過快取重新讀取
+   * @returns {Promise<Object>} { path: { branch, dirty, ahead, behind, lastCommit, ... } | null }
+   */
+  getGitStatuses: (paths, force) => window.electronAPI.getGitStatuses(paths, force),
+
+  /**
+   * 掃描根目錄探索專案（掃描結果快照會寫入配置）
+   * @param {string[]} [rootIds] - 只掃描指定的根目錄
+   * @returns {Promise<Object>} { success, roots, projects, vanished, error? }
+   */
+  scanProjects: rootIds => window.electronAPI.scanProjects(rootIds),
+
+  /**
+   * 將探索到的專案匯入為目錄
+   * @param {Array} projects - 專案列表 [{ path, name?, group?, terminalId? }]
+   * @returns {Promise<Object>} { success, added, skipped }
+   */
+  importProjects: projects => window.electronAPI.importProjects(projects),
+
   /**
    * 檢查版本更新
    * @returns {Promise<Object>} { hasUpdate, currentVersion, latestVersion, releaseUrl }
@@ -2,7 +2,16 @@
  * 應用程式入口
  * 初始化並整合所有模組
  */
-import { loadConfig, getConfig, isConfigLoaded, validateAllPaths } from './state.js';
+import {
+  loadConfig,
+  getConfig,
+  isConfigLoaded,
+  validateAllPaths,
+  detectAllContainers,
+  refreshGitStatuses,
+  loadRecentLaunches,
+  loadHomeDir,
+} from './state.js';
 import { api } from './api.js';
 import { initI18n, t } from './i18n.js';
 import { preCacheElements, COMMON_ELEMENT_IDS } from './utils/dom-cache.js';
@@ -18,7 +27,8 @@ import {
   applyShowTabText,
 } from './ui/settings.js';
 import { renderLaunchersTab, setupLaunchersEvents } from './ui/launchers.js';
-import { recordShortcut, saveShortcutFromInput } from './utils/shortcuts.js';
+import { setupDiscoveryEvents } from './ui/discovery.js';
+import { recordShortcut, saveShortcutFromInput, clearPaletteShortcut } from './utils/shortcuts.js';
 import { initToast, showWarning, showInfo } from './ui/toast.js';
 import { initErrorHandler } from './error-handler.js';
 import { initKeyboardShortcuts } from './utils/keyboard.js';
@@ -43,6 +53,18 @@ async function renderAll() {
   await renderLaunchersTab();
 }
 
+/**
+ * 重新讀取 Git 狀態並更新目錄卡片標籤
+ * @param {boolean} [force] - 略過主進程快取重新讀取
+ */
+function refreshGitStatusTags(force = false) {
+  return refreshGitStatuses(force).then(() => {
+    renderDirectories();
+    renderFavoritesList();
+    renderRecentList();
+  });
+}
+
 /**
  * 設定所有事件監聽
  */
@@ -84,6 +106,9 @@ function setupEventListeners() {
   // 目錄相關事件
   setupDirectoryEvents();
 
+  // 專案探索事件
+  setupDiscoveryEvents();
+
   // 啟動器頁面事件
   setupLaunchersEvents();
 
@@ -101,6 +126,18 @@ function setupEventListeners() {
     .addEventListener('click', () => recordShortcut(shortcutInput));
   shortcutInput.addEventListener('change', () => saveShortcutFromInput(shortcutInput));
   shortcutInput.addEventListener('blur', () => saveShortcutFromInput(shortcutInput));
+
+  // 快速啟動面板快捷鍵設定
+  const paletteShortcutInput = document.getElementById('paletteShortcut');
+  document
+    .getElementById('btnRecordPaletteShortcut')
+    .addEventListener('click', () => recordShortcut(paletteShortcutInput, 'paletteShortcut'));
+  document
+    .getElementById('btnClearPaletteShortcut')
+    .addEventListener('click', () => clearPaletteShortcut(paletteShortcutInput));
+  paletteShortcutInput.addEventListener('change', () =>
+    saveShortcutFromInput(paletteShortcutInput, 'paletteShortcut')
+  );
 }
 
 /**
@@ -116,9 +153,20 @@ async function checkStartupErrors() {
 
   // 檢查快捷鍵註冊狀態
   const shortcutStatus = await api.getShortcutStatus();
-  if (shortcutStatus && !shortcutStatus.success) {
-    if (shortcutStatus.errorType === 'ALREADY_REGISTERED') {
-      showWarning(t('toast.shortcutConflict', { shortcut: shortcutStatus.shortcut }));
+  // 主視窗快捷鍵失敗時優先顯示，其次為快速啟動面板快捷鍵
+  const failedShortcut = [shortcutStatus, shortcutStatus?.palette].find(
+    status => status && !status.success
+  );
+  if (failedShortcut) {
+    if (failedShortcut.errorType === 'ALREADY_REGISTERED') {
+      showWarning(t('toast.shortcutConflict', { shortcut: failedShortcut.shortcut }));
+    } else if (failedShortcut.errorType === 'CONFLICT') {
+      showWarning(
+        t('toast.keymapConflict', {
+          shortcut: failedShortcut.shortcut,
+          name: t('ui.settings.general.' + failedShortcut.conflictWith),
+        })
+      );
     } else {
       showWarning(t('toast.shortcutRegistrationFailed'));
     }
@@ -161,9 +209,11 @@ async function init() {
   preCacheElements(COMMON_ELEMENT_IDS);
 
   await loadConfig();
+  await loadRecentLaunches();
+  await loadHomeDir();
 
-  // 驗證所有目錄路徑（背景執行，不阻塞 UI）
-  validateAllPaths();
+  // 驗證所有目錄路徑（背景執行，不阻塞 UI），完成後更新路徑警告與智慧群組
+  validateAllPaths().then(() => renderDirectories());
 
   // 應用保存的主題設定
   const config = getConfig();
@@ -186,6 +236,16 @@ async function init() {
     console.error('[App] renderAll failed:', err);
   }
 
+  // 背景偵測容器設定檔，完成後更新目錄卡片標籤
+  detectAllContainers().then(() => renderDirectories());
+
+  // 背景讀取 Git 狀態；視窗重新取得焦點時強制更新（使用者可能剛在終端機中提交）
+  refreshGitStatusTags();
+  window.addEventListener('focus', () => refreshGitStatusTags(true));
+
+  // 視窗重新取得焦點時重新載入最近使用（可能已從托盤或 MCP 啟動）
+  window.addEventListener('focus', () => loadRecentLaunches().then(() => renderRecentList()));
+
   // 初始化鍵盤快捷鍵
   initKeyboardShortcuts();
 
@@ -0,0 +1,372 @@
+/**
+ * 快速啟動面板入口
+ * 輸入文字模糊搜尋目錄，方向鍵選擇，Enter 以預設啟動器開啟，Tab 改選其他啟動器
+ */
+import { getConfig, loadConfig, loadRecentLaunches, compareLaunchRank } from './state.js';
+import { api } from './api.js';
+import { initI18n, changeLocale, t } from './i18n.js';
+import { searchDirectories, matchText, highlightMatches } from './utils/fuzzy.js';
+import {
+  resolveTerminalId,
+  getTerminalDisplayName,
+  getTerminalIcon,
+  getTerminalName,
+  getErrorMessage,
+} from './utils/terminal.js';
+import { escapeHtml, escapeAttr } from './utils/escape.js';
+import { formatDirectoryLocation } from './utils/remote.js';
+
+// 最多顯示的結果數量
+const MAX_RESULTS = 50;
+
+// 面板狀態：mode 為 'directories'（選擇目錄）或 'launchers'（為選定的目錄選擇啟動器）
+const paletteState = {
+  mode: 'directories',
+  items: [], // { item, highlights }
+  selectedIndex: 0,
+  directory: null,
+  directoryQuery: '',
+  launching: false,
+};
+
+// 目前套用的語系
+let currentLanguage = null;
+
+/**
+ * 搜尋目錄（無查詢時依最近使用排序，有查詢時依相符分數排序，同分時依最近使用排序）
+ * @param {string} query - 查詢字串
+ * @returns {Array<{ item: Object, highlights: Object|null }>} 目錄與相符位置
+ */
+function getDirectoryResults(query) {
+  const directories = [...(getConfig().directories || [])].sort(compareLaunchRank);
+
+  if (!query.trim()) {
+    return directories.slice(0, MAX_RESULTS).map(dir => ({ item: dir, highlights: null }));
+  }
+
+  return searchDirectories(query, directories).slice(0, MAX_RESULTS);
+}
+
+/**
+ * 搜尋可用的啟動器（目錄的預設啟動器排在最前）
+ * @param {string} query - 查詢字串
+ * @param {Object} dir - 目錄物件
+ * @returns {Array<{ item: Object, highlights: Object|null }>} 啟動器與名稱相符位置
+ */
+function getLauncherResults(query, dir) {
+  const defaultId = resolveTerminalId(dir);
+  const terminals = (getConfig().terminals || [])
+    .filter(terminal => !terminal.hidden)
+    .sort((a, b) => (a.id === defaultId ? -1 : b.id === defaultId ? 1 : 0));
+
+  if (!query.trim()) {
+    return terminals.map(terminal => ({ item: terminal, highlights: null }));
+  }
+
+  return terminals
+    .map(terminal => ({ terminal, match: matchText(query, getTerminalDisplayName(terminal)) }))
+    .filter(result => result.match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(result => ({ item: result.terminal, highlights: { name: result.match.positions } }));
+}
+
+/**
+ * 產生目錄項目 HTML
+ * @param {Object} dir - 目錄物件
+ * @param {Object|null} highlights - 相符字元位置
+ * @returns {string}
+ */
+function getDirectoryItemHtml(dir, highlights) {
+  const terminalId = resolveTerminalId(dir);
+  return (
+    '<span class="palette-item-icon">' +
+    escapeHtml(dir.icon || '📁') +
+    '</span><span class="palette-item-text"><span class="palette-item-name">' +
+    highlightMatches(dir.name, highlights?.name) +
+    '</span><span class="palette-item-detail">' +
+    highlightMatches(formatDirectoryLocation(dir), highlights?.path) +
+    '</span></span><span class="palette-item-hint">' +
+    escapeHtml(getTerminalIcon(terminalId) + ' ') +
+    highlightMatches(getTerminalName(terminalId), highlights?.launcher) +
+    '</span>'
+  );
+}
+
+/**
+ * 產生啟動器項目 HTML
+ * @param {Object} terminal - 啟動器物件
+ * @param {Object|null} highlights - 相符字元位置
+ * @returns {string}
+ */
+function getLauncherItemHtml(terminal, highlights) {
+  const isDefault = terminal.id === resolveTerminalId(paletteState.directory);
+  return (
+    '<span class="palette-item-icon">' +
+    escapeHtml(terminal.icon || '💻') +
+    '</span><span class="palette-item-text"><span class="palette-item-name">' +
+    highlightMatches(getTerminalDisplayName(terminal), highlights?.name) +
+    '</span></span>' +
+    (isDefault
+      ? '<span class="palette-item-hint">' + escapeHtml(t('ui.palette.defaultLauncher')) + '</span>'
+      : '')
+  );
+}
+
+/**
+ * 顯示底部提示或錯誤訊息
+ * @param {string} [error] - 錯誤訊息（未提供時顯示按鍵提示）
+ */
+function renderFooter(error) {
+  const footer = document.getElementById('paletteFooter');
+  footer.classList.toggle('error', Boolean(error));
+  footer.textContent =
+    error ||
+    t(
+      paletteState.mode === 'launchers' ? 'ui.palette.hintLaunchers' : 'ui.palette.hintDirectories'
+    );
+}
+
+/**
+ * 依目前的查詢與模式重新渲染結果列表
+ */
+function renderPalette() {
+  const input = document.getElementById('paletteInput');
+  const list = document.getElementById('paletteList');
+  const modeLabel = document.getElementById('paletteMode');
+  const isLauncherMode = paletteState.mode === 'launchers';
+
+  paletteState.items = isLauncherMode
+    ? getLauncherResults(input.value, paletteState.directory)
+    : getDirectoryResults(input.value);
+  paletteState.selectedIndex = Math.min(
+    paletteState.selectedIndex,
+    Math.max(paletteState.items.length - 1, 0)
+  );
+
+  modeLabel.hidden = !isLauncherMode;
+  modeLabel.textContent = isLauncherMode
+    ? (paletteState.directory.icon || '📁') + ' ' + paletteState.directory.name + ' ›'
+    : '';
+  input.placeholder = t(
+    isLauncherMode ? 'ui.palette.launcherPlaceholder' : 'ui.palette.placeholder'
+  );
+
+  if (paletteState.items.length === 0) {
+    list.innerHTML = '<li class="palette-empty">' + escapeHtml(t('ui.palette.empty')) + '</li>';
+    input.removeAttribute('aria-activedescendant');
+    return;
+  }
+
+  list.innerHTML = paletteState.items
+    .map(({ item, highlights }, index) => {
+      const selected = index === paletteState.selectedIndex;
+      return (
+        '<li class="palette-item' +
+        (selected ? ' selected' : '') +
+        '" id="palette-item-' +
+        index +
+        '" role="option" aria-selected="' +
+        selected +
+        '" data-index="' +
+        index +
+        '" title="' +
+        escapeAttr(isLauncherMode ? getTerminalDisplayName(item) : item.path) +
+        '">' +
+        (isLauncherMode
+          ? getLauncherItemHtml(item, highlights)
+          : getDirectoryItemHtml(item, highlights)) +
+        '</li>'
+      );
+    })
+    .join('');
+
+  input.setAttribute('aria-activedescendant', 'palette-item-' + paletteState.selectedIndex);
+  document
+    .getElementById('palette-item-' + paletteState.selectedIndex)
+    ?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * 變更選取項目
+ * @param {number} index - 項目索引
+ */
+function selectItem(index) {
+  const count = paletteState.items.length;
+  if (count === 0) return;
+  paletteState.selectedIndex = (index + count) % count;
+  renderPalette();
+}
+
+/**
+ * 切換模式（切換至啟動器模式時保留目錄查詢，返回時還原）
+ * @param {'directories'|'launchers'} mode - 模式
+ */
+function switchMode(mode) {
+  const input = document.getElementById('paletteInput');
+
+  if (mode === 'launchers') {
+    const dir = paletteState.items[paletteState.selectedIndex]?.item;
+    if (!dir) return;
+    paletteState.directory = dir;
+    paletteState.directoryQuery = input.value;
+    input.value = '';
+    paletteState.selectedIndex = 0;
+  } else {
+    input.value = paletteState.directoryQuery;
+    paletteState.selectedIndex = Math.max(
+      getDirectoryResults(input.value).findIndex(result => result.item === paletteState.directory),
+      0
+    );
+    paletteState.directory = null;
+  }
+
+  paletteState.mode = mode;
+  renderFooter();
+  renderPalette();
+}
+
+/**
+ * 開啟目錄，成功後隱藏面板，失敗時於面板底部顯示錯誤
+ * @param {Object} dir - 目錄物件
+ * @param {string} [terminalId] - 啟動器 ID（預設為目錄的啟動器）
+ */
+async function launch(dir, terminalId) {
+  if (paletteState.launching) return;
+  paletteState.launching = true;
+
+  try {
+    const result = await api.openTerminal(terminalId ? { ...dir, terminalId } : dir);
+    if (result.success) {
+      api.hidePalette();
+    } else {
+      renderFooter(getErrorMessage(result));
+    }
+  } finally {
+    paletteState.launching = false;
+  }
+}
+
+/**
+ * 執行選取的項目
+ */
+function activateSelected() {
+  const item = paletteState.items[paletteState.selectedIndex]?.item;
+  if (!item) return;
+
+  if (paletteState.mode === 'launchers') {
+    launch(paletteState.directory, item.id);
+  } else {
+    launch(item);
+  }
+}
+
+/**
+ * 處理輸入框按鍵
+ * @param {KeyboardEvent} e - 鍵盤事件
+ */
+function handleKeydown(e) {
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault();
+      selectItem(paletteState.selectedIndex + 1);
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      selectItem(paletteState.selectedIndex - 1);
+      break;
+    case 'Enter':
+      e.preventDefault();
+      activateSelected();
+      break;
+    case 'Tab':
+      e.preventDefault();
+      if (e.shiftKey && paletteState.mode === 'launchers') {
+        switchMode('directories');
+      } else if (!e.shiftKey && paletteState.mode === 'directories') {
+        switchMode('launchers');
+      }
+      break;
+    case 'Escape':
+      e.preventDefault();
+      if (paletteState.mode === 'launchers') {
+        switchMode('directories');
+      } else {
+        api.hidePalette();
+      }
+      break;
+  }
+}
+
+/**
+ * 重設面板為目錄搜尋模式並清空查詢
+ */
+function resetPalette() {
+  const input = document.getElementById('paletteInput');
+  input.value = '';
+  paletteState.mode = 'directories';
+  paletteState.directory = null;
+  paletteState.directoryQuery = '';
+  paletteState.selectedIndex = 0;
+  renderFooter();
+  renderPalette();
+  input.focus();
+}
+
+/**
+ * 重新載入配置、最近使用、主題與語系（面板每次開啟時執行）
+ */
+async function refreshData() {
+  const config = await loadConfig();
+  await loadRecentLaunches();
+
+  document.documentElement.setAttribute('data-theme', config.settings?.theme || 'dark');
+
+  const language = config.settings?.language || 'zh-TW';
+  if (currentLanguage === null) {
+    await initI18n(language);
+  } else if (language !== currentLanguage) {
+    await changeLocale(language);
+  }
+  currentLanguage = language;
+}
+
+/**
+ * 設定事件監聽
+ */
+function setupPaletteEvents() {
+  const input = document.getElementById('paletteInput');
+  const list = document.getElementById('paletteList');
+
+  input.addEventListener('input', () => {
+    paletteState.selectedIndex = 0;
+    renderFooter();
+    renderPalette();
+  });
+  input.addEventListener('keydown', handleKeydown);
+
+  // 滑鼠點擊直接執行
+  list.addEventListener('mousedown', e => {
+    const item = e.target.closest('.palette-item');
+    if (!item) return;
+    // 避免輸入框失去焦點
+    e.preventDefault();
+    paletteState.selectedIndex = parseInt(item.dataset.index, 10);
+    activateSelected();
+  });
+
+  api.onPaletteOpened(async () => {
+    await refreshData();
+    resetPalette();
+  });
+}
+
+/**
+ * 初始化快速啟動面板
+ */
+async function init() {
+  await refreshData();
+  setupPaletteEvents();
+  resetPalette();
+}
+
+init();
@@ -6,6 +6,7 @@
  * 修改後需要調用 saveConfig() 來持久化變更。
  */
 import { api } from './api.js';
+import { isRemoteDirectory } from './utils/remote.js';
 
 // 全域配置狀態
 let config = null;
@@ -13,6 +14,21 @@ let config = null;
 // 路徑有效性狀態 { path: boolean }
 let pathValidityCache = {};
 
+// 容器設定偵測結果 { path: { devcontainer, compose } | null }
+let containerCache = {};
+
+// Git 狀態 { path: { branch, dirty, ahead, behind, lastCommit, ... } | null }
+let gitStatusCache = {};
+
+// 進行中的 Git 狀態讀取（避免視窗頻繁取得焦點時重複讀取）
+let gitStatusRequest = null;
+
+// 最近使用（依啟動歷史彙整，依設定的 recentSort 排序）
+let recentLaunches = [];
+
+// 使用者家目錄（智慧群組路徑規則展開 ~ 用）
+let homeDir = '';
+
 /**
  * 取得當前配置
  * 注意：返回的是配置物件的直接引用，修改後需調用 saveConfig()
@@ -61,6 +77,10 @@ export function isConfigLoaded() {
 export function resetConfig() {
   config = null;
   pathValidityCache = {};
+  containerCache = {};
+  gitStatusCache = {};
+  gitStatusRequest = null;
+  recentLaunches = [];
 }
 
 /**
@@ -72,7 +92,8 @@ export async function validateAllPaths() {
     return {};
   }
 
-  const paths = config.directories.map(d => d.path);
+  // 遠端目錄的路徑位於遠端主機，不在本機驗證
+  const paths = config.directories.filter(d => !isRemoteDirectory(d)).map(d => d.path);
   const uniquePaths = [...new Set(paths)];
 
   try {
@@ -97,6 +118,15 @@ export function isPathValid(path) {
   return null; // 未驗證
 }
 
+/**
+ * 檢查目錄路徑是否有效（遠端目錄一律視為未知）
+ * @param {Object} dir - 目錄物件
+ * @returns {boolean|null} true=有效, false=無效, null=未知
+ */
+export function isDirectoryPathValid(dir) {
+  return isRemoteDirectory(dir) ? null : isPathValid(dir.path);
+}
+
 /**
  * 取得無效路徑的目錄列表
  * @returns {Array} 無效路徑的目錄
@@ -106,5 +136,160 @@ export function getInvalidPathDirectories() {
     return [];
   }
 
-  return config.directories.filter(d => pathValidityCache[d.path] === false);
+  return config.directories.filter(d => isDirectoryPathValid(d) === false);
+}
+
+/**
+ * 偵測所有本機目錄的 Dev Container / Docker Compose 設定檔
+ * @returns {Promise<Object>} { path: { devcontainer, compose } | null }
+ */
+export async function detectAllContainers() {
+  if (!config || !config.directories) {
+    return {};
+  }
+
+  const paths = config.directories.filter(d => !isRemoteDirectory(d)).map(d => d.path);
+  const uniquePaths = [...new Set(paths)];
+
+  try {
+    containerCache = await api.detectContainers(uniquePaths);
+  } catch (err) {
+    console.error('Failed to detect containers:', err);
+    containerCache = {};
+  }
+
+  return containerCache;
+}
+
+/**
+ * 取得目錄偵測到的容器設定
+ * @param {Object} dir - 目錄物件
+ * @returns {Object|null} { devcontainer, compose }，未偵測到或遠端目錄時為 null
+ */
+export function getDirectoryContainer(dir) {
+  if (isRemoteDirectory(dir)) return null;
+  return containerCache[dir.path] || null;
+}
+
+/**
+ * 讀取所有本機目錄的 Git 狀態
+ * @param {boolean} [force] - 略過主進程快取重新讀取
+ * @returns {Promise<Object>} { path: Git 狀態 | null }
+ */
+export function refreshGitStatuses(force = false) {
+  if (gitStatusRequest) {
+    return gitStatusRequest;
+  }
+  if (!config || !config.directories) {
+    return Promise.resolve({});
+  }
+
+  const paths = config.directories.filter(d => !isRemoteDirectory(d)).map(d => d.path);
+  const uniquePaths = [...new Set(paths)];
+
+  gitStatusRequest = api
+    .getGitStatuses(uniquePaths, force)
+    .then(result => {
+      gitStatusCache = result || {};
+      return gitStatusCache;
+    })
+    .catch(err => {
+      console.error('Failed to read git statuses:', err);
+      return gitStatusCache;
+    })
+    .finally(() => {
+      gitStatusRequest = null;
+    });
+
+  return gitStatusRequest;
+}
+
+/**
+ * 取得目錄的 Git 狀態
+ * @param {Object} dir - 目錄物件
+ * @returns {Object|null} Git 狀態，非 Git 儲存庫、尚未讀取或遠端目錄時為 null
+ */
+export function getDirectoryGitStatus(dir) {
+  if (isRemoteDirectory(dir)) return null;
+  return gitStatusCache[dir.path] || null;
+}
+
+/**
+ * 載入最近使用（依啟動歷史彙整）
+ * @returns {Promise<Array>} [{ directoryId, lastUsed, terminalId, source, success, errorType?, count, score }]
+ */
+export async function loadRecentLaunches() {
+  try {
+    recentLaunches = (await api.getRecentLaunches()) || [];
+  } catch (err) {
+    console.error('Failed to load recent launches:', err);
+  }
+  return recentLaunches;
+}
+
+/**
+ * 取得最近使用（排除已不在配置中的目錄，依 recentLimit 截斷）
+ * @returns {Array} [{ item, dir }]，item 為啟動歷史彙整、dir 為目錄物件
+ */
+export function getRecentLaunches() {
+  if (!config || !config.directories) {
+    return [];
+  }
+
+  const recentLimit = config.settings?.recentLimit || 10;
+  return recentLaunches
+    .map(item => ({ item, dir: config.directories.find(d => d.id === item.directoryId) }))
+    .filter(({ dir }) => dir)
+    .slice(0, recentLimit);
+}
+
+/**
+ * 取得各目錄的最後啟動時間（不受 recentLimit 截斷）
+ * @returns {Map<number, number>} 目錄 ID 對應最後啟動時間（毫秒）
+ */
+export function getLastUsedMap() {
+  return new Map(recentLaunches.map(item => [item.directoryId, item.lastUsed]));
+}
+
+/**
+ * 載入使用者家目錄
+ * @returns {Promise<string>}
+ */
+export async function loadHomeDir() {
+  try {
+    homeDir = (await api.getHomeDir()) || '';
+  } catch (err) {
+    console.error('Failed to load home directory:', err);
+  }
+  return homeDir;
+}
+
+/**
+ * 取得使用者家目錄（尚未載入時為空字串）
+ * @returns {string}
+ */
+export function getHomeDir() {
+  return homeDir;
+}
+
+/**
+ * 取得目錄在最近使用排序中的名次（用於排序搜尋結果）
+ * @param {number} dirId - 目錄 ID
+ * @returns {number} 名次（0 為最前），沒有啟動記錄時為 Infinity
+ */
+export function getLaunchRank(dirId) {
+  const index = recentLaunches.findIndex(item => item.directoryId === dirId);
+  return index === -1 ? Infinity : index;
+}
+
+/**
+ * 比較兩個目錄在最近使用排序中的名次（沒有啟動記錄的目錄排在最後，維持原順序）
+ * @param {Object} a - 目錄物件
+ * @param {Object} b - 目錄物件
+ * @returns {number}
+ */
+export function compareLaunchRank(a, b) {
+  const rankA = getLaunchRank(a.id);
+  const rankB = getLaunchRank(b.id);
+  return rankA === rankB ? 0 : rankA < rankB ? -1 : 1;
 }
@@ -0,0 +1,233 @@
+/**
+ * 指令面板模組
+ * Ctrl+Shift+P 開啟，模糊搜尋並執行已註冊的指令（切換分頁、新增目錄、匯出配置等）
+ */
+import { t } from '../i18n.js';
+import { getCommands } from '../utils/commands.js';
+import { getShortcutHint } from '../utils/shortcuts.js';
+import { matchText, highlightMatches } from '../utils/fuzzy.js';
+import { escapeHtml, escapeAttr } from '../utils/escape.js';
+
+// 最多顯示的指令數量
+const MAX_RESULTS = 50;
+
+// 目前開啟的面板元素
+let paletteElement = null;
+
+// 開啟面板前的聚焦元素（關閉後還原焦點）
+let previouslyFocusedElement = null;
+
+// 面板狀態：commands 為開啟時取得的指令，results 為過濾後的 { command, positions }
+const paletteState = {
+  commands: [],
+  results: [],
+  selectedIndex: 0,
+};
+
+/**
+ * 判斷指令面板是否開啟
+ * @returns {boolean}
+ */
+export function isCommandPaletteOpen() {
+  return paletteElement !== null;
+}
+
+/**
+ * 依查詢過濾指令（依相符分數排序，同分時保留註冊順序）
+ * @param {string} query - 查詢字串
+ * @returns {Array<{ command: Object, positions: number[] }>}
+ */
+function filterCommands(query) {
+  if (!query.trim()) {
+    return paletteState.commands.slice(0, MAX_RESULTS).map(command => ({ command, positions: [] }));
+  }
+
+  return paletteState.commands
+    .map((command, index) => ({ command, index, match: matchText(query, command.label) }))
+    .filter(result => result.match)
+    .sort((a, b) => b.match.score - a.match.score || a.index - b.index)
+    .slice(0, MAX_RESULTS)
+    .map(result => ({ command: result.command, positions: result.match.positions }));
+}
+
+/**
+ * 渲染指令列表
+ */
+function renderCommandList() {
+  const input = paletteElement.querySelector('.command-palette-input');
+  const list = paletteElement.querySelector('.command-palette-list');
+
+  paletteState.results = filterCommands(input.value);
+  paletteState.selectedIndex = Math.min(
+    paletteState.selectedIndex,
+    Math.max(paletteState.results.length - 1, 0)
+  );
+
+  if (paletteState.results.length === 0) {
+    list.innerHTML =
+      '<li class="command-palette-empty">' + escapeHtml(t('ui.commandPalette.empty')) + '</li>';
+    input.removeAttribute('aria-activedescendant');
+    return;
+  }
+
+  list.innerHTML = paletteState.results
+    .map(({ command, positions }, index) => {
+      const selected = index === paletteState.selectedIndex;
+      const shortcut = getShortcutHint(command.id);
+      return (
+        '<li class="command-palette-item' +
+        (selected ? ' selected' : '') +
+        '" id="command-item-' +
+        index +
+        '" role="option" aria-selected="' +
+        selected +
+        '" data-index="' +
+        index +
+        '"><span class="command-palette-icon">' +
+        escapeHtml(command.icon || '▸') +
+        '</span><span class="command-palette-label">' +
+        highlightMatches(command.label, positions) +
+        '</span>' +
+        (shortcut
+          ? '<kbd class="command-palette-shortcut">' + escapeHtml(shortcut) + '</kbd>'
+          : '') +
+        '</li>'
+      );
+    })
+    .join('');
+
+  input.setAttribute('aria-activedescendant', 'command-item-' + paletteState.selectedIndex);
+  document
+    .getElementById('command-item-' + paletteState.selectedIndex)
+    ?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * 變更選取的指令
+ * @param {number} index - 指令索引
+ */
+function selectCommand(index) {
+  const count = paletteState.results.length;
+  if (count === 0) return;
+  paletteState.selectedIndex = (index + count) % count;
+  renderCommandList();
+}
+
+/**
+ * 關閉面板後執行選取的指令（指令可能開啟其他彈窗）
+ */
+async function runSelectedCommand() {
+  const result = paletteState.results[paletteState.selectedIndex];
+  if (!result) return;
+
+  closeCommandPalette({ restoreFocus: false });
+  await result.command.run();
+}
+
+/**
+ * 處理面板按鍵
+ * @param {KeyboardEvent} e - 鍵盤事件
+ */
+function handleKeydown(e) {
+  // 避免觸發應用內快捷鍵
+  e.stopPropagation();
+
+  // Ctrl+Shift+P - 再次按下時關閉
+  if (e.ctrlKey && e.shiftKey && (e.key === 'P' || e.key === 'p')) {
+    e.preventDefault();
+    closeCommandPalette();
+    return;
+  }
+
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault();
+      selectCommand(paletteState.selectedIndex + 1);
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      selectCommand(paletteState.selectedIndex - 1);
+      break;
+    case 'Enter':
+      e.preventDefault();
+      runSelectedCommand();
+      break;
+    case 'Escape':
+    case 'Tab':
+      e.preventDefault();
+      closeCommandPalette();
+      break;
+  }
+}
+
+/**
+ * 開啟指令面板（已開啟時聚焦輸入框）
+ */
+export function openCommandPalette() {
+  if (paletteElement) {
+    paletteElement.querySelector('.command-palette-input').focus();
+    return;
+  }
+
+  previouslyFocusedElement = document.activeElement;
+  paletteState.commands = getCommands().map(command => ({ ...command, label: command.title() }));
+  paletteState.selectedIndex = 0;
+
+  const template = document.createElement('template');
+  template.innerHTML =
+    '<div class="modal-overlay command-palette-overlay"><div class="command-palette" role="dialog" aria-modal="true" aria-label="' +
+    escapeAttr(t('ui.commandPalette.title')) +
+    '"><input type="text" class="command-palette-input" placeholder="' +
+    escapeAttr(t('ui.commandPalette.placeholder')) +
+    '" autocomplete="off" spellcheck="false" role="combobox" aria-expanded="true" aria-controls="commandPaletteList" /><ul class="command-palette-list" id="commandPaletteList" role="listbox"></ul></div></div>';
+  paletteElement = template.content.firstChild;
+  document.body.appendChild(paletteElement);
+
+  const input = paletteElement.querySelector('.command-palette-input');
+  input.addEventListener('input', () => {
+    paletteState.selectedIndex = 0;
+    renderCommandList();
+  });
+  input.addEventListener('keydown', handleKeydown);
+
+  // 點擊指令直接執行，點擊遮罩關閉
+  paletteElement.addEventListener('mousedown', e => {
+    const item = e.target.closest('.command-palette-item');
+    if (item) {
+      e.preventDefault();
+      paletteState.selectedIndex = parseInt(item.dataset.index, 10);
+      runSelectedCommand();
+    } else if (e.target === paletteElement) {
+      closeCommandPalette();
+    }
+  });
+
+  renderCommandList();
+  requestAnimationFrame(() => {
+    paletteElement?.classList.add('show');
+  });
+  input.focus();
+}
+
+/**
+ * 關閉指令面板
+ * @param {Object} [options]
+ * @param {boolean} [options.restoreFocus=true] - 是否還原開啟前的聚焦元素
+ */
+export function closeCommandPalette({ restoreFocus = true } = {}) {
+  if (!paletteElement) return;
+
+  paletteElement.remove();
+  paletteElement = null;
+  paletteState.commands = [];
+  paletteState.results = [];
+
+  if (
+    restoreFocus &&
+    previouslyFocusedElement &&
+    typeof previouslyFocusedElement.focus === 'function'
+  ) {
+    previouslyFocusedElement.focus();
+  }
+  previouslyFocusedElement = null;
+}
@@ -6,6 +6,24 @@ import { escapeHtml } from '../utils/escape.js';
 
 let currentMenu = null;
 
+// 開啟選單前的聚焦元素（以鍵盤操作選單時，關閉後還原焦點）
+let previouslyFocusedElement = null;
+
+/**
+ * 偵測子選單是否超出右側邊界，超出時改往左顯示
+ * @param {HTMLElement} menuItem - 子選單項目
+ */
+function updateSubmenuDirection(menuItem) {
+  const menuRect = menuItem.getBoundingClientRect();
+  const submenuWidth = 200; // 預估子選單寬度
+
+  if (menuRect.right + submenuWidth > window.innerWidth) {
+    menuItem.classList.add('submenu-left');
+  } else {
+    menuItem.classList.remove('submenu-left');
+  }
+}
+
 /**
  * 創建右鍵選單項目
  * @param {Object} item - 選單項目配置
@@ -16,10 +34,13 @@ function createMenuItem(item) {
   if (item.separator) {
     const separator = document.createElement('div');
     separator.className = 'context-menu-separator';
+    separator.setAttribute('role', 'separator');
     return separator;
   }
 
   const menuItem = document.createElement('div');
+  menuItem.setAttribute('role', 'menuitem');
+  menuItem.setAttribute('tabindex', '-1');
 
   // 子選單
   if (item.submenu) {
@@ -31,6 +52,8 @@ function createMenuItem(item) {
 
     const submenu = document.createElement('div');
     submenu.className = 'context-menu context-menu-nested';
+    submenu.setAttribute('role', 'menu');
+    menuItem.setAttribute('aria-haspopup', 'menu');
 
     item.submenu.forEach(subItem => {
       const subMenuItem = createMenuItem(subItem);
@@ -40,16 +63,7 @@ function createMenuItem(item) {
     menuItem.appendChild(submenu);
 
     // 滑鼠進入時偵測子選單是否超出右側邊界
-    menuItem.addEventListener('mouseenter', () => {
-      const menuRect = menuItem.getBoundingClientRect();
-      const submenuWidth = 200; // 預估子選單寬度
-
-      if (menuRect.right + submenuWidth > window.innerWidth) {
-        menuItem.classList.add('submenu-left');
-      } else {
-        menuItem.classList.remove('submenu-left');
-      }
-    });
+    menuItem.addEventListener('mouseenter', () => updateSubmenuDirection(menuItem));
   } else {
     // 一般項目
     menuItem.className = `context-menu-item${item.danger ? ' danger' : ''}`;
@@ -71,8 +85,96 @@ function createMenuItem(item) {
 }
 
 /**
- * 顯示右鍵選單
- * @param {MouseEvent} event - 滑鼠事件
+ * 判斷選單是否由鍵盤開啟（選單鍵、Shift+F10 觸發的 contextmenu 事件 button 不為 2）
+ * @param {Event} event - 觸發事件
+ * @returns {boolean}
+ */
+function isKeyboardEvent(event) {
+  if (!(event instanceof MouseEvent)) return true;
+  return event.type === 'contextmenu' && event.button !== 2;
+}
+
+/**
+ * 取得選單（不含子選單）的項目
+ * @param {HTMLElement} menu - 選單元素
+ * @returns {HTMLElement[]}
+ */
+function getMenuItems(menu) {
+  return [...menu.children].filter(child => child.classList.contains('context-menu-item'));
+}
+
+/**
+ * 開啟子選單並聚焦第一個項目
+ * @param {HTMLElement} menuItem - 子選單項目
+ */
+function openSubmenu(menuItem) {
+  const submenu = menuItem.querySelector(':scope > .context-menu-nested');
+  if (!submenu) return;
+  updateSubmenuDirection(menuItem);
+  menuItem.classList.add('open');
+  getMenuItems(submenu)[0]?.focus();
+}
+
+/**
+ * 處理選單的鍵盤操作
+ * @param {KeyboardEvent} e - 鍵盤事件
+ */
+function handleMenuKeydown(e) {
+  const menuItem = e.target.closest('.context-menu-item');
+  if (!menuItem) return;
+
+  const menu = menuItem.parentElement;
+  const items = getMenuItems(menu);
+  const index = items.indexOf(menuItem);
+  const isSubmenu = menuItem.classList.contains('context-menu-submenu');
+
+  switch (e.key) {
+    case 'ArrowDown':
+      items[(index + 1) % items.length].focus();
+      break;
+    case 'ArrowUp':
+      items[(index - 1 + items.length) % items.length].focus();
+      break;
+    case 'Home':
+      items[0].focus();
+      break;
+    case 'End':
+      items[items.length - 1].focus();
+      break;
+    case 'ArrowRight':
+      if (isSubmenu) openSubmenu(menuItem);
+      break;
+    case 'ArrowLeft': {
+      // 關閉子選單並回到上層項目
+      const parentItem = menu.closest('.context-menu-submenu');
+      if (parentItem) {
+        parentItem.classList.remove('open');
+        parentItem.focus();
+      }
+      break;
+    }
+    case 'Enter':
+    case ' ':
+      if (isSubmenu) {
+        openSubmenu(menuItem);
+      } else {
+        menuItem.click();
+      }
+      break;
+    case 'Escape':
+    case 'Tab':
+      closeContextMenu();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * 顯示右鍵選單（由鍵盤開啟時聚焦第一個項目並可用方向鍵操作）
+ * @param {MouseEvent|KeyboardEvent} event - 觸發事件
  * @param {Array} items - 選單項目陣列
  */
 export function showContextMenu(event, items) {
@@ -97,10 +199,16 @@ export function showContextMenu(event, items) {
   document.body.appendChild(menu);
   currentMenu = menu;
 
-  // 計算位置（確保不超出視窗）
+  // 計算位置（確保不超出視窗）；由鍵盤開啟時顯示在聚焦元素下方
+  const fromKeyboard = isKeyboardEvent(event);
   const rect = menu.getBoundingClientRect();
   let x = event.clientX;
   let y = event.clientY;
+  if (fromKeyboard) {
+    const targetRect = event.target.getBoundingClientRect();
+    x = targetRect.left + 16;
+    y = targetRect.bottom;
+  }
 
   // 右側超出
   if (x + rect.width > window.innerWidth) {
@@ -115,6 +223,13 @@ export function showContextMenu(event, items) {
   menu.style.left = `${x}px`;
   menu.style.top = `${y}px`;
 
+  // 鍵盤操作：方向鍵移動、Enter 執行、左右鍵開關子選單
+  menu.addEventListener('keydown', handleMenuKeydown);
+  if (fromKeyboard) {
+    previouslyFocusedElement = document.activeElement;
+    getMenuItems(menu)[0]?.focus();
+  }
+
   // 點擊其他地方關閉選單
   setTimeout(() => {
     document.addEventListener('click', handleOutsideClick);
@@ -129,8 +244,14 @@ export function showContextMenu(event, items) {
  */
 export function closeContextMenu() {
   if (currentMenu) {
+    // 焦點在選單內時（鍵盤操作）還原到開啟前的元素
+    const hadFocus = currentMenu.contains(document.activeElement);
     currentMenu.remove();
     currentMenu = null;
+    if (hadFocus && previouslyFocusedElement?.isConnected) {
+      previouslyFocusedElement.focus();
+    }
+    previouslyFocusedElement = null;
   }
 
   document.removeEventListener('click', handleOutsideClick);
@@ -2,81 +2,134 @@
  * 目錄列表模組
  * 處理目錄的顯示、新增、刪除等操作
  */
-import { getConfig, saveConfig, isPathValid } from '../state.js';
+import {
+  getConfig,
+  saveConfig,
+  isDirectoryPathValid,
+  getDirectoryContainer,
+  compareLaunchRank,
+} from '../state.js';
 import { api } from '../api.js';
 import { showToast } from './toast.js';
-import { openModal } from './modal.js';
+import { openModal, openConfirmModal } from './modal.js';
 import { t } from '../i18n.js';
-import { renderFavoritesList, isFavorite } from './favorites.js';
+import {
+  renderFavoritesList,
+  isFavorite,
+  toggleFavorite as toggleFavoriteUtil,
+  buildFavoriteLauncherMenuItems,
+} from './favorites.js';
 import { renderRecentList } from './recent.js';
 import { initDirectoriesDragDrop } from './dragDrop.js';
 import { showContextMenu } from './contextMenu.js';
+import { openHotkeyModal } from './hotkeys.js';
+import { buildGroupMenuItems, confirmLaunchGroup, getGroupLaunchCount } from './groupLaunch.js';
 import {
   openTerminal as openTerminalUtil,
   openTerminalWithType as openTerminalWithTypeUtil,
+  buildLauncherMenuItems,
   showCommandPreview,
   getTerminalDisplayName,
   getDefaultTerminalId,
+  resolveTerminalId,
   getTerminalIcon,
   getTerminalName,
   getGroupDisplayName,
 } from '../utils/terminal.js';
 import { escapeHtml, escapeAttr } from '../utils/escape.js';
+import { searchDirectories, highlightMatches } from '../utils/fuzzy.js';
+import { registerCommand, registerCommandProvider } from '../utils/commands.js';
 import { debounce } from '../utils/debounce.js';
+import { setupRovingFocus, resetRovingFocus } from '../utils/roving-focus.js';
+import { formatEnvText, parseEnvText } from '../utils/env.js';
+import { formatLayoutText, parseLayoutText } from '../utils/layout.js';
+import { getGitStatusTagHtml } from '../utils/git.js';
+import { buildWorkspaceMenuItems } from './workspaces.js';
+import { resolveSmartGroups } from './smartGroups.js';
+import { getTagInputHtml, setupTagInput, readTagInput, getTagChipsHtml } from './tags.js';
+import { collectTags, isFilterActive, matchesDirectoryFilter } from '../utils/tags.js';
+import { findFavorite, createFavorite } from '../utils/favorites.js';
+import {
+  buildGroupTree,
+  flattenGroupTree,
+  expandGroupIds,
+  getAncestors,
+  getGroupPathName,
+} from '../utils/group-tree.js';
+import {
+  isRemoteDirectory,
+  getRemoteTarget,
+  formatDirectoryLocation,
+  parseRemoteInput,
+} from '../utils/remote.js';
 
 let allGroupsCollapsed = false;
-let selectedGroupFilters = []; // 多選群組篩選
+// 群組與標籤篩選（mode：any 符合任一條件、all 符合全部條件）
+const directoryFilter = { groups: [], tags: [], mode: 'any' };
 let directoryDelegationInitialized = false;
 
 /**
  * 產生終端選項 HTML
  * @param {string} selectedId - 選中的終端 ID
+ * @param {string} [inheritLabel] - 提供時在最前面加入「沿用上層設定」選項（值為空字串）
  * @returns {string} 選項 HTML
  */
-function getTerminalOptionsHtml(selectedId) {
-  if (!selectedId) selectedId = getDefaultTerminalId();
+export function getTerminalOptionsHtml(selectedId, inheritLabel) {
+  if (!selectedId && !inheritLabel) selectedId = getDefaultTerminalId();
   const config = getConfig();
 
-  return config.terminals
-    .filter(terminal => {
-      // 過濾掉已隱藏的終端（但保留已選中的終端）
-      if (terminal.hidden && terminal.id !== selectedId) {
-        return false;
-      }
-      return true;
-    })
-    .map(
-      terminal =>
-        '<option value="' +
-        terminal.id +
-        '"' +
-        (terminal.id === selectedId ? ' selected' : '') +
-        '>' +
-        terminal.icon +
-        ' ' +
-        getTerminalDisplayName(terminal) +
-        '</option>'
-    )
-    .join('');
+  const inheritOption = inheritLabel
+    ? '<option value=""' +
+      (selectedId ? '' : ' selected') +
+      '>' +
+      escapeHtml(inheritLabel) +
+      '</option>'
+    : '';
+
+  return (
+    inheritOption +
+    config.terminals
+      .filter(terminal => {
+        // 過濾掉已隱藏的終端（但保留已選中的終端）
+        if (terminal.hidden && terminal.id !== selectedId) {
+          return false;
+        }
+        return true;
+      })
+      .map(
+        terminal =>
+          '<option value="' +
+          terminal.id +
+          '"' +
+          (terminal.id === selectedId ? ' selected' : '') +
+          '>' +
+          terminal.icon +
+          ' ' +
+          getTerminalDisplayName(terminal) +
+          '</option>'
+      )
+      .join('')
+  );
 }
 
 /**
- * 產生群組選項 HTML
- * @param {string} selectedId - 選中的群組 ID
+ * 產生群組選項 HTML（依樹狀順序，子群組以縮排表示層級）
+ * @param {string|null} selectedId - 選中的群組 ID
+ * @param {string[]} [excludeIds] - 不列出的群組 ID
  * @returns {string} 選項 HTML
  */
-function getGroupOptionsHtml(selectedId = 'default') {
+export function getGroupOptionsHtml(selectedId = 'default', excludeIds = []) {
   const config = getConfig();
-  // 按 order 排序群組
-  const sortedGroups = [...config.groups].sort((a, b) => (a.order || 0) - (b.order || 0));
-  return sortedGroups
+  return flattenGroupTree(buildGroupTree(config.groups))
+    .filter(({ group }) => !excludeIds.includes(group.id))
     .map(
-      g =>
+      ({ group: g, depth }) =>
         '<option value="' +
         g.id +
         '"' +
         (g.id === selectedId ? ' selected' : '') +
         '>' +
+        '&nbsp;&nbsp;&nbsp;'.repeat(depth) +
         getGroupDisplayName(g) +
         '</option>'
     )
@@ -90,6 +143,27 @@ export function renderGroupFilter() {
   renderFilterTags();
 }
 
+/**
+ * 產生篩選標籤 HTML
+ * @param {string} type - 條件類型（group 或 tag）
+ * @param {string} value - 群組 ID 或標籤
+ * @param {string} label - 顯示文字
+ * @returns {string}
+ */
+function getFilterTagHtml(type, value, label) {
+  return (
+    '<span class="filter-tag">' +
+    escapeHtml(label) +
+    '<button class="filter-tag-remove" data-filter-type="' +
+    type +
+    '" data-remove-filter="' +
+    escapeAttr(value) +
+    '" title="' +
+    escapeAttr(t('ui.search.removeFilter')) +
+    '">×</button></span>'
+  );
+}
+
 /**
  * 渲染篩選標籤
  */
@@ -99,36 +173,49 @@ function renderFilterTags() {
   const list = document.getElementById('filterTagsList');
   if (!container || !list) return;
 
-  if (selectedGroupFilters.length === 0) {
+  if (!isFilterActive(directoryFilter)) {
     container.classList.add('hidden');
     return;
   }
 
   container.classList.remove('hidden');
-  list.innerHTML = selectedGroupFilters
-    .map(groupId => {
-      const group = config.groups.find(g => g.id === groupId);
-      if (!group) return '';
-      const displayName = getGroupDisplayName(group);
-      return (
-        '<span class="filter-tag">' +
-        escapeHtml(group.icon || '📁') +
-        ' ' +
-        escapeHtml(displayName) +
-        '<button class="filter-tag-remove" data-remove-filter="' +
-        escapeAttr(groupId) +
-        '" title="' +
-        escapeAttr(t('ui.search.removeFilter')) +
-        '">×</button></span>'
-      );
-    })
-    .join('');
+  const groupTags = directoryFilter.groups.map(groupId => {
+    const group = config.groups.find(g => g.id === groupId);
+    if (!group) return '';
+    return getFilterTagHtml(
+      'group',
+      groupId,
+      (group.icon || '📁') + ' ' + getGroupPathName(config.groups, groupId, getGroupDisplayName)
+    );
+  });
+  const tagTags = directoryFilter.tags.map(tag => getFilterTagHtml('tag', tag, '#' + tag));
+
+  // 選取兩個以上條件時顯示比對模式切換
+  const modeToggle =
+    directoryFilter.groups.length + directoryFilter.tags.length > 1
+      ? '<button class="filter-mode-toggle" id="btnToggleFilterMode" title="' +
+        escapeAttr(t('ui.search.toggleMatchMode')) +
+        '">' +
+        escapeHtml(
+          directoryFilter.mode === 'all' ? t('ui.search.matchAll') : t('ui.search.matchAny')
+        ) +
+        '</button>'
+      : '';
+
+  list.innerHTML = modeToggle + groupTags.join('') + tagTags.join('');
+
+  document.getElementById('btnToggleFilterMode')?.addEventListener('click', () => {
+    directoryFilter.mode = directoryFilter.mode === 'all' ? 'any' : 'all';
+    renderFilterTags();
+    renderDirectories();
+  });
 
   // 綁定移除按鈕事件
   list.querySelectorAll('[data-remove-filter]').forEach(btn => {
     btn.addEventListener('click', () => {
-      const groupId = btn.dataset.removeFilter;
-      selectedGroupFilters = selectedGroupFilters.filter(id => id !== groupId);
+      const field = btn.dataset.filterType === 'tag' ? 'tags' : 'groups';
+      const value = btn.dataset.removeFilter;
+      directoryFilter[field] = directoryFilter[field].filter(item => item !== value);
       renderFilterTags();
       renderDirectories();
     });
@@ -136,16 +223,80 @@ function renderFilterTags() {
 }
 
 /**
- * 顯示群組篩選彈窗
+ * 將標籤加入篩選條件（已在篩選中時略過）
+ * @param {string} tag - 標籤
+ */
+function addTagFilter(tag) {
+  if (!directoryFilter.tags.some(item => item.toLowerCase() === tag.toLowerCase())) {
+    directoryFilter.tags.push(tag);
+  }
+  renderFilterTags();
+  renderDirectories();
+}
+
+/**
+ * 產生篩選彈窗的選項 HTML
+ * @param {Object} options
+ * @param {string} options.attr - checkbox 的資料屬性（data-group-id 或 data-tag）
+ * @param {string} options.value - 屬性值
+ * @param {string} options.icon - 圖示
+ * @param {string} options.name - 名稱
+ * @param {number} options.count - 目錄數量
+ * @param {boolean} options.selected - 是否已選取
+ * @returns {string}
+ */
+function getFilterOptionHtml({ attr, value, icon, name, count, selected }) {
+  return (
+    '<label class="group-filter-item' +
+    (selected ? ' selected' : '') +
+    '">' +
+    '<input type="checkbox" ' +
+    attr +
+    '="' +
+    escapeAttr(value) +
+    '"' +
+    (selected ? ' checked' : '') +
+    ' />' +
+    '<div class="group-filter-info">' +
+    '<span class="group-filter-icon">' +
+    escapeHtml(icon) +
+    '</span>' +
+    '<span class="group-filter-name">' +
+    escapeHtml(name) +
+    '</span>' +
+    '<span class="group-filter-count">' +
+    count +
+    ' ' +
+    t('ui.search.directories') +
+    '</span>' +
+    '</div>' +
+    '</label>'
+  );
+}
+
+/**
+ * 顯示群組與標籤篩選彈窗
  */
 export function showGroupFilterModal() {
   const config = getConfig();
 
   const getDirectoryCount = groupId => {
-    return config.directories.filter(d => d.group === groupId).length;
+    return config.directories.filter(d => (d.group || 'default') === groupId).length;
   };
 
-  const sortedGroups = [...config.groups].sort((a, b) => (a.order || 0) - (b.order || 0));
+  // 依樹狀順序列出群組，以完整路徑表示層級（選取父群組時包含子群組的目錄）
+  const sortedGroups = flattenGroupTree(buildGroupTree(config.groups)).map(({ group }) => group);
+  const tags = collectTags(config.directories);
+  const modeOption = mode =>
+    '<label title="' +
+    escapeAttr(t(mode === 'all' ? 'ui.search.matchAllHint' : 'ui.search.matchAnyHint')) +
+    '"><input type="radio" name="filterMode" value="' +
+    mode +
+    '"' +
+    (directoryFilter.mode === mode ? ' checked' : '') +
+    ' /> ' +
+    t(mode === 'all' ? 'ui.search.matchAll' : 'ui.search.matchAny') +
+    '</label>';
 
   const content =
     '<div class="group-filter-actions">' +
@@ -156,52 +307,67 @@ export function showGroupFilterModal() {
     t('ui.search.clearAll') +
     '</button>' +
     '</div>' +
+    '<div class="radio-group group-filter-mode">' +
+    modeOption('any') +
+    modeOption('all') +
+    '</div>' +
+    '<h4 class="group-filter-heading">' +
+    t('ui.search.groups') +
+    '</h4>' +
     '<div class="group-filter-list">' +
     sortedGroups
-      .map(group => {
-        const displayName = getGroupDisplayName(group);
-        const count = getDirectoryCount(group.id);
-        const isSelected = selectedGroupFilters.includes(group.id);
-        return (
-          '<label class="group-filter-item' +
-          (isSelected ? ' selected' : '') +
-          '">' +
-          '<input type="checkbox" data-group-id="' +
-          group.id +
-          '"' +
-          (isSelected ? ' checked' : '') +
-          ' />' +
-          '<div class="group-filter-info">' +
-          '<span class="group-filter-icon">' +
-          (group.icon || '📁') +
-          '</span>' +
-          '<span class="group-filter-name">' +
-          displayName +
-          '</span>' +
-          '<span class="group-filter-count">' +
-          count +
-          ' ' +
-          t('ui.search.directories') +
-          '</span>' +
-          '</div>' +
-          '</label>'
-        );
-      })
+      .map(group =>
+        getFilterOptionHtml({
+          attr: 'data-group-id',
+          value: group.id,
+          icon: group.icon || '📁',
+          name: getGroupPathName(config.groups, group.id, getGroupDisplayName),
+          count: getDirectoryCount(group.id),
+          selected: directoryFilter.groups.includes(group.id),
+        })
+      )
       .join('') +
-    '</div>';
+    '</div>' +
+    '<h4 class="group-filter-heading">' +
+    t('ui.search.tags') +
+    '</h4>' +
+    (tags.length > 0
+      ? '<div class="group-filter-list">' +
+        tags
+          .map(({ tag, count }) =>
+            getFilterOptionHtml({
+              attr: 'data-tag',
+              value: tag,
+              icon: '#',
+              name: tag,
+              count,
+              selected: directoryFilter.tags.some(item => item.toLowerCase() === tag.toLowerCase()),
+            })
+          )
+          .join('') +
+        '</div>'
+      : '<small class="hint">' + t('ui.search.noTags') + '</small>');
+
+  const getCheckboxes = () =>
+    document.querySelectorAll('.group-filter-list input[type="checkbox"]');
 
   openModal({
     title: t('ui.search.filterGroups'),
     content,
     confirmText: t('ui.search.applyFilter'),
     onConfirm: () => {
-      const checkboxes = document.querySelectorAll('.group-filter-list input[type="checkbox"]');
-      selectedGroupFilters = [];
-      checkboxes.forEach(cb => {
-        if (cb.checked) {
-          selectedGroupFilters.push(cb.dataset.groupId);
+      directoryFilter.groups = [];
+      directoryFilter.tags = [];
+      getCheckboxes().forEach(cb => {
+        if (!cb.checked) return;
+        if (cb.dataset.groupId) {
+          directoryFilter.groups.push(cb.dataset.groupId);
+        } else {
+          directoryFilter.tags.push(cb.dataset.tag);
         }
       });
+      directoryFilter.mode =
+        document.querySelector('input[name="filterMode"]:checked')?.value || 'any';
       renderFilterTags();
       renderDirectories();
       return true;
@@ -209,7 +375,7 @@ export function showGroupFilterModal() {
     onOpen: () => {
       // 全選按鈕
       document.getElementById('btnSelectAll')?.addEventListener('click', () => {
-        document.querySelectorAll('.group-filter-list input[type="checkbox"]').forEach(cb => {
+        getCheckboxes().forEach(cb => {
           cb.checked = true;
           cb.closest('.group-filter-item').classList.add('selected');
         });
@@ -217,14 +383,14 @@ export function showGroupFilterModal() {
 
       // 清除按鈕
       document.getElementById('btnClearAll')?.addEventListener('click', () => {
-        document.querySelectorAll('.group-filter-list input[type="checkbox"]').forEach(cb => {
+        getCheckboxes().forEach(cb => {
           cb.checked = false;
           cb.closest('.group-filter-item').classList.remove('selected');
         });
       });
 
       // checkbox 點擊時更新樣式
-      document.querySelectorAll('.group-filter-list input[type="checkbox"]').forEach(cb => {
+      getCheckboxes().forEach(cb => {
         cb.addEventListener('change', () => {
           cb.closest('.group-filter-item').classList.toggle('selected', cb.checked);
         });
@@ -233,27 +399,109 @@ export function showGroupFilterModal() {
   });
 }
 
+/**
+ * 產生目錄項目 HTML
+ * @param {Object} dir - 目錄物件
+ * @param {Object|null} highlights - 搜尋相符位置
+ * @returns {string}
+ */
+function getDirectoryItemHtml(dir, highlights) {
+  const terminalId = resolveTerminalId(dir);
+  const terminalIcon = getTerminalIcon(terminalId);
+  const terminalName = getTerminalName(terminalId);
+  const dirIsFavorite = isFavorite(dir.id);
+  const favoriteTitle = dirIsFavorite
+    ? t('common.removeFromFavorites')
+    : t('common.addToFavorites');
+  const pathValid = isDirectoryPathValid(dir);
+  const isInvalid = pathValid === false;
+
+  return (
+    '<div class="directory-item' +
+    (isInvalid ? ' path-invalid' : '') +
+    '" data-id="' +
+    dir.id +
+    '" tabindex="0" role="button" aria-label="' +
+    escapeAttr(t('ui.directory.openTerminal', { name: dir.name })) +
+    '"><div class="drag-handle" title="' +
+    escapeAttr(t('ui.favorites.dragHint')) +
+    '">⋮⋮</div><div class="dir-icon">' +
+    escapeHtml(terminalIcon) +
+    '</div><div class="dir-info"><div class="dir-name">' +
+    (dir.icon ? '<span class="dir-emoji">' + escapeHtml(dir.icon) + '</span>' : '') +
+    highlightMatches(dir.name, highlights?.name) +
+    (isInvalid
+      ? '<span class="path-warning" title="' +
+        escapeAttr(t('ui.directory.pathInvalid')) +
+        '">⚠️</span>'
+      : '') +
+    '<span class="tag">' +
+    highlightMatches(terminalName, highlights?.launcher) +
+    '</span>' +
+    (isRemoteDirectory(dir)
+      ? '<span class="tag tag-remote" title="' +
+        escapeAttr(t('ui.directory.remoteBadge')) +
+        '">🌐 ' +
+        escapeHtml(getRemoteTarget(dir.remote)) +
+        '</span>'
+      : '') +
+    getContainerTagHtml(dir) +
+    getGitStatusTagHtml(dir) +
+    getTagChipsHtml(dir, highlights?.tags, true) +
+    '</div><div class="dir-path">' +
+    highlightMatches(formatDirectoryLocation(dir), highlights?.path) +
+    '</div></div><div class="dir-actions"><button class="btn-icon favorite' +
+    (dirIsFavorite ? ' active' : '') +
+    '" data-toggle-favorite="' +
+    dir.id +
+    '" title="' +
+    escapeAttr(favoriteTitle) +
+    '" aria-label="' +
+    escapeAttr(favoriteTitle) +
+    '">' +
+    (dirIsFavorite ? '⭐' : '☆') +
+    '</button><button class="btn-icon edit" data-edit-dir="' +
+    dir.id +
+    '" title="' +
+    escapeAttr(t('common.edit')) +
+    '" aria-label="' +
+    escapeAttr(t('ui.directory.editItem', { name: dir.name })) +
+    '">✏️</button><button class="btn-icon delete" data-delete-id="' +
+    dir.id +
+    '" title="' +
+    escapeAttr(t('common.delete')) +
+    '" aria-label="' +
+    escapeAttr(t('ui.directory.deleteItem', { name: dir.name })) +
+    '">🗑️</button></div></div>'
+  );
+}
+
 /**
  * 渲染目錄列表
  */
 export function renderDirectories() {
   const config = getConfig();
   const searchInput = document.getElementById('searchInput');
-  const search = searchInput?.value?.toLowerCase() || '';
+  const search = searchInput?.value?.trim() || '';
 
-  const dirs = config.directories.filter(d => {
-    const matchSearch =
-      !search || d.name.toLowerCase().includes(search) || d.path.toLowerCase().includes(search);
-    const matchGroup = selectedGroupFilters.length === 0 || selectedGroupFilters.includes(d.group);
-    return matchSearch && matchGroup;
-  });
+  // 篩選父群組時一併包含子孫群組的目錄
+  const filter = {
+    ...directoryFilter,
+    groups: expandGroupIds(config.groups, directoryFilter.groups),
+  };
+  const filteredDirs = config.directories.filter(d => matchesDirectoryFilter(d, filter));
+
+  // 搜尋結果依相符分數排序，同分時依最近使用排序（frecency 或最後使用時間，依設定）
+  const results = search
+    ? searchDirectories(search, [...filteredDirs].sort(compareLaunchRank))
+    : filteredDirs.map(dir => ({ item: dir, highlights: null }));
 
   const container = document.getElementById('directoryGroups');
 
-  if (dirs.length === 0) {
+  if (results.length === 0) {
     container.innerHTML =
       '<div class="empty-state"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/></svg><p>' +
-      (search || selectedGroupFilters.length > 0
+      (search || isFilterActive(directoryFilter)
         ? t('ui.directory.emptyFiltered')
         : t('ui.directory.emptyAll')) +
       '</p></div>';
@@ -261,118 +509,187 @@ export function renderDirectories() {
   }
 
   const grouped = {};
-  dirs.forEach(d => {
+  // 各群組第一個（最相符）結果的位置
+  const groupRanks = {};
+  const highlightsById = new Map();
+  results.forEach(({ item: d, highlights }, index) => {
     const groupId = d.group || 'default';
-    if (!grouped[groupId]) grouped[groupId] = [];
+    if (!grouped[groupId]) {
+      grouped[groupId] = [];
+      groupRanks[groupId] = index;
+    }
     grouped[groupId].push(d);
+    highlightsById.set(d.id, highlights);
   });
 
-  const sortedGroupIds = Object.keys(grouped).sort((a, b) => {
-    const groupA = config.groups.find(g => g.id === a);
-    const groupB = config.groups.find(g => g.id === b);
-    return (groupA?.order || 0) - (groupB?.order || 0);
-  });
-
-  const getGroupName = groupId => {
+  const getGroupIcon = groupId => {
     const group = config.groups.find(g => g.id === groupId);
-    return group ? getGroupDisplayName(group) : groupId;
+    return group?.icon || '📁';
   };
 
-  const getGroupIcon = groupId => {
+  // 群組名稱的相符位置（取群組內任一以群組名稱相符的結果）
+  const getGroupHighlights = items =>
+    items.map(d => highlightsById.get(d.id)?.group).find(group => group?.length > 0);
+
+  // 群組名稱（搜尋結果為扁平列表，以父群組路徑表示位置）
+  const getGroupNameHtml = (groupId, items) => {
     const group = config.groups.find(g => g.id === groupId);
-    return group?.icon || '📁';
+    const nameHtml = highlightMatches(
+      group ? getGroupDisplayName(group) : groupId,
+      getGroupHighlights(items)
+    );
+    const ancestors = search ? getAncestors(config.groups, groupId) : [];
+    if (ancestors.length === 0) return nameHtml;
+    return (
+      '<span class="group-header-path">' +
+      escapeHtml(ancestors.map(getGroupDisplayName).join(' / ') + ' / ') +
+      '</span>' +
+      nameHtml
+    );
   };
 
-  container.innerHTML = sortedGroupIds
-    .map(groupId => {
-      const items = grouped[groupId];
-      const isCollapsed = allGroupsCollapsed;
-
-      return (
-        '<div class="group-section' +
-        (isCollapsed ? ' collapsed' : '') +
-        '" data-group-id="' +
-        escapeAttr(groupId) +
-        '"><div class="group-header"><button class="group-toggle" data-toggle-group="' +
-        escapeAttr(groupId) +
-        '" aria-expanded="' +
-        !isCollapsed +
-        '">' +
-        (isCollapsed ? '▶' : '▼') +
-        '</button><span class="group-header-icon">' +
-        escapeHtml(getGroupIcon(groupId)) +
-        '</span><h3>' +
-        escapeHtml(getGroupName(groupId)) +
-        '</h3><span class="group-count">' +
-        items.length +
-        '</span></div><div class="directory-list">' +
-        items
-          .map(dir => {
-            const terminalId = dir.terminalId || getDefaultTerminalId();
-            const terminalIcon = getTerminalIcon(terminalId);
-            const terminalName = getTerminalName(terminalId);
-            const dirIsFavorite = isFavorite(dir.id);
-            const favoriteTitle = dirIsFavorite
-              ? t('common.removeFromFavorites')
-              : t('common.addToFavorites');
-            const pathValid = isPathValid(dir.path);
-            const isInvalid = pathValid === false;
-
-            return (
-              '<div class="directory-item' +
-              (isInvalid ? ' path-invalid' : '') +
-              '" data-id="' +
-              dir.id +
-              '" tabindex="0" role="button" aria-label="' +
-              escapeAttr(t('ui.directory.openTerminal', { name: dir.name })) +
-              '"><div class="drag-handle" title="' +
-              escapeAttr(t('ui.favorites.dragHint')) +
-              '">⋮⋮</div><div class="dir-icon">' +
-              escapeHtml(terminalIcon) +
-              '</div><div class="dir-info"><div class="dir-name">' +
-              (dir.icon ? '<span class="dir-emoji">' + escapeHtml(dir.icon) + '</span>' : '') +
-              escapeHtml(dir.name) +
-              (isInvalid
-                ? '<span class="path-warning" title="' +
-                  escapeAttr(t('ui.directory.pathInvalid')) +
-                  '">⚠️</span>'
-                : '') +
-              '<span class="tag">' +
-              escapeHtml(terminalName) +
-              '</span></div><div class="dir-path">' +
-              escapeHtml(dir.path) +
-              '</div></div><div class="dir-actions"><button class="btn-icon favorite' +
-              (dirIsFavorite ? ' active' : '') +
-              '" data-toggle-favorite="' +
-              dir.id +
-              '" title="' +
-              escapeAttr(favoriteTitle) +
-              '" aria-label="' +
-              escapeAttr(favoriteTitle) +
-              '">' +
-              (dirIsFavorite ? '⭐' : '☆') +
-              '</button><button class="btn-icon edit" data-edit-dir="' +
-              dir.id +
-              '" title="' +
-              escapeAttr(t('common.edit')) +
-              '" aria-label="' +
-              escapeAttr(t('ui.directory.editItem', { name: dir.name })) +
-              '">✏️</button><button class="btn-icon delete" data-delete-id="' +
-              dir.id +
-              '" title="' +
-              escapeAttr(t('common.delete')) +
-              '" aria-label="' +
-              escapeAttr(t('ui.directory.deleteItem', { name: dir.name })) +
-              '">🗑️</button></div></div>'
-            );
-          })
-          .join('') +
-        '</div></div>'
-      );
-    })
-    .join('');
+  /**
+   * 產生區塊 HTML（一般群組與智慧群組共用）
+   * @param {Object} section - 區塊內容
+   * @param {string} section.id - 群組或智慧群組 ID
+   * @param {string} section.icon - 圖示
+   * @param {string} section.nameHtml - 名稱 HTML
+   * @param {number} section.count - 目錄數量
+   * @param {Object[]} section.items - 區塊內的目錄
+   * @param {string} [section.childrenHtml] - 子群組區塊 HTML
+   * @param {boolean} [section.smart] - 是否為智慧群組（不可拖拉）
+   */
+  const getSectionShellHtml = ({ id, icon, nameHtml, count, items, childrenHtml, smart }) => {
+    const isCollapsed = allGroupsCollapsed;
+
+    return (
+      '<div class="group-section' +
+      (smart ? ' smart' : '') +
+      (isCollapsed ? ' collapsed' : '') +
+      '" data-group-id="' +
+      escapeAttr(id) +
+      '"><div class="group-header"><button class="group-toggle" data-toggle-group="' +
+      escapeAttr(id) +
+      '" aria-expanded="' +
+      !isCollapsed +
+      '">' +
+      (isCollapsed ? '▶' : '▼') +
+      '</button><span class="group-header-icon">' +
+      escapeHtml(icon) +
+      '</span><h3>' +
+      nameHtml +
+      '</h3><span class="group-count">' +
+      count +
+      '</span></div><div class="directory-list">' +
+      items.map(dir => getDirectoryItemHtml(dir, highlightsById.get(dir.id))).join('') +
+      '</div>' +
+      (childrenHtml ? '<div class="group-children">' + childrenHtml + '</div>' : '') +
+      '</div>'
+    );
+  };
+
+  /**
+   * 產生群組區塊 HTML
+   * @param {string} groupId - 群組 ID
+   * @param {number} count - 目錄數量（含子群組）
+   * @param {string} [childrenHtml] - 子群組區塊 HTML
+   */
+  const getSectionHtml = (groupId, count, childrenHtml = '') => {
+    const items = grouped[groupId] || [];
+    return getSectionShellHtml({
+      id: groupId,
+      icon: getGroupIcon(groupId),
+      nameHtml: getGroupNameHtml(groupId, items),
+      count,
+      items,
+      childrenHtml,
+    });
+  };
+
+  /**
+   * 產生智慧群組區塊 HTML
+   * @param {Object} smartGroup - 智慧群組
+   * @param {Object[]} items - 成員目錄
+   */
+  const getSmartSectionHtml = (smartGroup, items) =>
+    getSectionShellHtml({
+      id: smartGroup.id,
+      icon: smartGroup.icon || '🔎',
+      nameHtml:
+        escapeHtml(smartGroup.name) +
+        '<span class="smart-badge">' +
+        escapeHtml(t('ui.smartGroups.badge')) +
+        '</span>',
+      count: items.length,
+      items,
+      smart: true,
+    });
+
+  /**
+   * 產生群組樹狀節點 HTML（群組與子群組都沒有目錄時不顯示）
+   * @param {Object} node - buildGroupTree 的節點
+   * @returns {{ html: string, count: number }|null}
+   */
+  const renderNode = node => {
+    const children = node.children.map(renderNode).filter(Boolean);
+    const count =
+      (grouped[node.group.id]?.length || 0) + children.reduce((sum, c) => sum + c.count, 0);
+    if (count === 0) return null;
+    return {
+      count,
+      html: getSectionHtml(node.group.id, count, children.map(c => c.html).join('')),
+    };
+  };
+
+  let html;
+  if (search) {
+    // 搜尋時以扁平列表顯示，包含最相符結果的群組排在前面
+    html = Object.keys(grouped)
+      .sort((a, b) => groupRanks[a] - groupRanks[b])
+      .map(groupId => getSectionHtml(groupId, grouped[groupId].length))
+      .join('');
+  } else {
+    // 依群組樹狀結構顯示，群組已不存在的目錄排在最後
+    const orphanIds = Object.keys(grouped).filter(id => !config.groups.some(g => g.id === id));
+    html =
+      buildGroupTree(config.groups)
+        .map(renderNode)
+        .filter(Boolean)
+        .map(node => node.html)
+        .join('') +
+      orphanIds.map(groupId => getSectionHtml(groupId, grouped[groupId].length)).join('') +
+      // 智慧群組排在一般群組之後，成員同時也會出現在所屬的一般群組中
+      resolveSmartGroups(filteredDirs)
+        .filter(({ directories }) => directories.length > 0)
+        .map(({ smartGroup, directories }) => getSmartSectionHtml(smartGroup, directories))
+        .join('');
+  }
+
+  // 重新渲染前焦點在列表內時，渲染後聚焦回原本的項目
+  const hadFocus = container.contains(document.activeElement);
+  container.innerHTML = html;
 
   initDirectoriesDragDrop();
+  resetRovingFocus(container, hadFocus);
+}
+
+/**
+ * 產生容器設定偵測標籤的 HTML
+ * @param {Object} dir - 目錄物件
+ * @returns {string} HTML，未偵測到容器設定時為空字串
+ */
+function getContainerTagHtml(dir) {
+  const container = getDirectoryContainer(dir);
+  if (!container) return '';
+
+  const file = container.devcontainer || container.compose;
+  return (
+    '<span class="tag tag-container" title="' +
+    escapeAttr(t('ui.directory.containerBadge', { file })) +
+    '">🐳 ' +
+    (container.devcontainer ? 'devcontainer' : 'compose') +
+    '</span>'
+  );
 }
 
 /**
@@ -388,36 +705,43 @@ function showDirectoryContextMenu(event, dirId) {
   const dirIsFavorite = isFavorite(dirId);
 
   // 構建終端子選單
-  const terminalSubmenu = config.terminals
-    .filter(terminal => !terminal.hidden)
-    .map(terminal => ({
-      icon: terminal.icon || '💻',
-      label: getTerminalDisplayName(terminal),
-      onClick: () => openTerminalWithTypeUtil(dirId, terminal.id, refreshDirectoryViews),
-    }));
-
   const menuItems = [
     {
-      icon: getTerminalIcon(dir.terminalId || getDefaultTerminalId()),
+      icon: getTerminalIcon(resolveTerminalId(dir)),
       label: t('contextMenu.openDefault'),
       onClick: () => openTerminalUtil(dirId, refreshDirectoryViews),
     },
     {
       icon: '▶',
       label: t('contextMenu.openWith'),
-      submenu: terminalSubmenu,
+      submenu: buildLauncherMenuItems(dirId, refreshDirectoryViews),
     },
     {
       icon: '👁️',
       label: t('contextMenu.previewCommand'),
       onClick: () => showCommandPreview(dirId),
     },
+    {
+      icon: '🧩',
+      label: t('contextMenu.workspaces'),
+      submenu: buildWorkspaceMenuItems(dirId, refreshDirectoryViews),
+    },
+    {
+      icon: '⌨️',
+      label: t('contextMenu.assignHotkey'),
+      onClick: () => openHotkeyModal({ directoryId: dirId }),
+    },
     { separator: true },
     {
       icon: dirIsFavorite ? '⭐' : '☆',
       label: dirIsFavorite ? t('common.removeFromFavorites') : t('common.addToFavorites'),
       onClick: () => toggleFavorite(dirId),
     },
+    {
+      icon: '⭐',
+      label: t('contextMenu.favoriteWith'),
+      submenu: buildFavoriteLauncherMenuItems(dirId, renderDirectories),
+    },
     {
       icon: '✏️',
       label: t('common.edit'),
@@ -465,6 +789,14 @@ function initDirectoryEventDelegation() {
       return;
     }
 
+    // 標籤（加入篩選）
+    const filterTag = e.target.closest('[data-filter-tag]');
+    if (filterTag) {
+      e.stopPropagation();
+      addTagFilter(filterTag.dataset.filterTag);
+      return;
+    }
+
     // 最愛按鈕
     const toggleFavoriteBtn = e.target.closest('[data-toggle-favorite]');
     if (toggleFavoriteBtn) {
@@ -510,24 +842,33 @@ function initDirectoryEventDelegation() {
     }
   });
 
-  // 鍵盤事件委派
-  container.addEventListener('keydown', e => {
-    const directoryItem = e.target.closest('.directory-item');
-    if (directoryItem && (e.key === 'Enter' || e.key === ' ')) {
-      if (!e.target.closest('.btn-icon')) {
-        e.preventDefault();
-        const id = parseInt(directoryItem.dataset.id, 10);
-        openTerminalUtil(id, refreshDirectoryViews);
-      }
-    }
+  // 鍵盤導覽（Enter 開啟、Shift+Enter 選擇啟動器、Delete 確認後刪除、群組左右鍵收合/展開）
+  setupRovingFocus(container, {
+    onActivate: id => openTerminalUtil(id, refreshDirectoryViews),
+    onPickLauncher: (id, e) =>
+      showContextMenu(e, buildLauncherMenuItems(id, refreshDirectoryViews)),
+    onDelete: confirmDeleteDirectory,
+    onToggleGroup: toggleGroupCollapse,
   });
 
-  // 右鍵選單事件委派
+  // 右鍵選單事件委派（目錄項目與一般群組標題）
   container.addEventListener('contextmenu', e => {
     const directoryItem = e.target.closest('.directory-item');
     if (directoryItem) {
       const id = parseInt(directoryItem.dataset.id, 10);
       showDirectoryContextMenu(e, id);
+      return;
+    }
+
+    const groupHeader = e.target.closest('.group-section:not(.smart) > .group-header');
+    if (groupHeader) {
+      const items = buildGroupMenuItems(
+        groupHeader.parentElement.dataset.groupId,
+        refreshDirectoryViews
+      );
+      if (items.length > 0) {
+        showContextMenu(e, items);
+      }
     }
   });
 }
@@ -541,7 +882,7 @@ function toggleGroupCollapse(groupId) {
   if (!section) return;
 
   const isCollapsed = section.classList.toggle('collapsed');
-  const btn = section.querySelector('[data-toggle-group]');
+  const btn = section.querySelector(':scope > .group-header [data-toggle-group]');
   if (btn) {
     btn.textContent = isCollapsed ? '▶' : '▼';
     btn.setAttribute('aria-expanded', (!isCollapsed).toString());
@@ -565,6 +906,90 @@ export function toggleAllGroups() {
   renderDirectories();
 }
 
+/**
+ * 產生遠端（SSH）目標設定區塊 HTML
+ * @param {Object} [remote] - 遠端目標 { host, user, port, identityFile }
+ * @returns {string} HTML
+ */
+function getRemoteFieldsHtml(remote) {
+  const enabled = Boolean(remote && remote.host);
+  const disabled = enabled ? '' : ' disabled';
+  const field = (id, labelKey, value, placeholder) =>
+    '<div class="input-group flex-1"><label>' +
+    t(labelKey) +
+    '</label><input type="text" id="' +
+    id +
+    '" class="mono-input" value="' +
+    escapeAttr(value ?? '') +
+    '" placeholder="' +
+    escapeAttr(placeholder) +
+    '"' +
+    disabled +
+    ' /></div>';
+
+  return (
+    '<div class="input-group"><label class="checkbox-label"><input type="checkbox" id="modalDirRemoteEnabled"' +
+    (enabled ? ' checked' : '') +
+    ' /><span>' +
+    t('ui.directory.remoteEnabled') +
+    '</span></label>' +
+    '<div class="input-row">' +
+    field('modalDirRemoteHost', 'ui.directory.remoteHost', remote?.host, 'devbox') +
+    field('modalDirRemoteUser', 'ui.directory.remoteUser', remote?.user, '') +
+    field('modalDirRemotePort', 'ui.directory.remotePort', remote?.port, '22') +
+    '</div>' +
+    field(
+      'modalDirRemoteIdentity',
+      'ui.directory.remoteIdentityFile',
+      remote?.identityFile,
+      '~/.ssh/id_ed25519'
+    ) +
+    '<small class="hint">' +
+    t('ui.directory.remoteHint') +
+    '</small></div>'
+  );
+}
+
+/**
+ * 讀取遠端目標設定區塊
+ * @param {string} path - 目錄路徑
+ * @returns {{ remote: Object|null, errorKey: string|null }} 未啟用遠端時 remote 為 null
+ */
+function readRemoteFields(path) {
+  if (!document.getElementById('modalDirRemoteEnabled').checked) {
+    return { remote: null, errorKey: null };
+  }
+  return parseRemoteInput(
+    {
+      host: document.getElementById('modalDirRemoteHost').value,
+      user: document.getElementById('modalDirRemoteUser').value,
+      port: document.getElementById('modalDirRemotePort').value,
+      identityFile: document.getElementById('modalDirRemoteIdentity').value,
+    },
+    path
+  );
+}
+
+/**
+ * 綁定遠端目標設定區塊的切換事件（遠端目錄無法瀏覽本機資料夾）
+ */
+function setupRemoteFields() {
+  const checkbox = document.getElementById('modalDirRemoteEnabled');
+  const sync = () => {
+    [
+      'modalDirRemoteHost',
+      'modalDirRemoteUser',
+      'modalDirRemotePort',
+      'modalDirRemoteIdentity',
+    ].forEach(id => {
+      document.getElementById(id).disabled = !checkbox.checked;
+    });
+    document.getElementById('modalBrowsePath').disabled = checkbox.checked;
+  };
+  checkbox?.addEventListener('change', sync);
+  sync();
+}
+
 /**
  * 顯示新增目錄彈窗
  * @param {string} defaultGroupId - 預設群組 ID
@@ -591,6 +1016,7 @@ export function showAddDirectoryModal(defaultGroupId = 'default') {
     '" /><button class="browse-btn" id="modalBrowsePath">' +
     t('ui.addDirectory.browse') +
     '</button></div></div>' +
+    getRemoteFieldsHtml() +
     '<div class="input-row">' +
     '<div class="input-group flex-1"><label>' +
     t('ui.addDirectory.group') +
@@ -600,9 +1026,10 @@ export function showAddDirectoryModal(defaultGroupId = 'default') {
     '<div class="input-group flex-1"><label>' +
     t('ui.addDirectory.type') +
     '</label><select id="modalDirType">' +
-    getTerminalOptionsHtml() +
+    getTerminalOptionsHtml('', t('ui.addDirectory.inheritLauncher')) +
     '</select></div>' +
     '</div>' +
+    getTagInputHtml() +
     '<label class="checkbox-label"><input type="checkbox" id="modalDirFavorite" /><span>' +
     t('common.addToFavorites') +
     '</span></label>' +
@@ -625,28 +1052,46 @@ export function showAddDirectoryModal(defaultGroupId = 'default') {
         return false;
       }
 
+      const tags = readTagInput();
+      if (!tags) return false;
+
+      const { remote, errorKey } = readRemoteFields(path);
+      if (errorKey) {
+        showToast(t(errorKey), 'error');
+        return false;
+      }
+
       const config = getConfig();
       const sameGroupDirs = config.directories.filter(d => d.group === group);
       const maxOrder =
         sameGroupDirs.length > 0 ? Math.max(...sameGroupDirs.map(d => d.order || 0)) : -1;
 
       const newId = Date.now();
-      config.directories.push({
+      const newDir = {
         id: newId,
         name,
         icon,
         path,
-        terminalId,
         group,
-        lastUsed: null,
         order: maxOrder + 1,
-      });
+      };
+      // 未選擇啟動器時沿用群組預設啟動器
+      if (terminalId) {
+        newDir.terminalId = terminalId;
+      }
+      if (remote) {
+        newDir.remote = remote;
+      }
+      if (tags.length > 0) {
+        newDir.tags = tags;
+      }
+      config.directories.push(newDir);
 
       if (addToFavorites) {
         if (!config.favorites) {
           config.favorites = [];
         }
-        config.favorites.push(newId);
+        config.favorites.push(createFavorite(config.favorites, newId));
       }
 
       await saveConfig();
@@ -662,6 +1107,8 @@ export function showAddDirectoryModal(defaultGroupId = 'default') {
           document.getElementById('modalDirPath').value = result.path;
         }
       });
+      setupRemoteFields();
+      setupTagInput();
       document.getElementById('modalDirName')?.focus();
     },
   });
@@ -701,6 +1148,7 @@ export function showEditDirectoryModal(dirId) {
     '" /><button class="browse-btn" id="modalBrowsePath">' +
     t('ui.addDirectory.browse') +
     '</button></div></div>' +
+    getRemoteFieldsHtml(dir.remote) +
     '<div class="input-row">' +
     '<div class="input-group flex-1"><label>' +
     t('ui.addDirectory.group') +
@@ -710,9 +1158,39 @@ export function showEditDirectoryModal(dirId) {
     '<div class="input-group flex-1"><label>' +
     t('ui.addDirectory.type') +
     '</label><select id="modalDirType">' +
-    getTerminalOptionsHtml(dir.terminalId) +
+    getTerminalOptionsHtml(dir.terminalId, t('ui.addDirectory.inheritLauncher')) +
     '</select></div>' +
     '</div>' +
+    getTagInputHtml(dir.tags) +
+    '<div class="input-group"><label>' +
+    t('ui.directory.env') +
+    '</label><textarea id="modalDirEnv" class="mono-input" rows="3" spellcheck="false" placeholder="' +
+    escapeAttr(t('ui.directory.envPlaceholder')) +
+    '">' +
+    escapeHtml(formatEnvText(dir.env)) +
+    '</textarea><small class="hint">' +
+    t('ui.directory.envHint') +
+    '</small></div>' +
+    '<div class="input-group"><label class="checkbox-label"><input type="checkbox" id="modalDirEnvFileEnabled"' +
+    (dir.envFile ? ' checked' : '') +
+    ' /><span>' +
+    t('ui.directory.envFileEnabled') +
+    '</span></label><input type="text" id="modalDirEnvFile" class="mono-input" placeholder=".env" value="' +
+    escapeAttr(dir.envFile || '') +
+    '"' +
+    (dir.envFile ? '' : ' disabled') +
+    ' /><small class="hint">' +
+    t('ui.directory.envFileHint') +
+    '</small></div>' +
+    '<div class="input-group"><label>' +
+    t('ui.directory.layout') +
+    '</label><textarea id="modalDirLayout" class="mono-input" rows="4" spellcheck="false" placeholder="' +
+    escapeAttr(t('ui.directory.layoutPlaceholder')) +
+    '">' +
+    escapeHtml(formatLayoutText(dir.layout)) +
+    '</textarea><small class="hint">' +
+    t('ui.directory.layoutHint') +
+    '</small></div>' +
     '<label class="checkbox-label"><input type="checkbox" id="modalDirFavorite"' +
     (dirIsFavorite ? ' checked' : '') +
     ' /><span>' +
@@ -731,27 +1209,79 @@ export function showEditDirectoryModal(dirId) {
       const terminalId = document.getElementById('modalDirType').value;
       const group = document.getElementById('modalDirGroup').value;
       const shouldBeFavorite = document.getElementById('modalDirFavorite').checked;
+      const { env, invalidLine } = parseEnvText(document.getElementById('modalDirEnv').value);
+      const envFileEnabled = document.getElementById('modalDirEnvFileEnabled').checked;
+      const envFile = document.getElementById('modalDirEnvFile').value.trim();
+      const layoutResult = parseLayoutText(document.getElementById('modalDirLayout').value);
 
       if (!name || !path) {
         showToast(t('toast.fillNameAndPath'), 'error');
         return false;
       }
 
+      if (invalidLine) {
+        showToast(t('toast.envInvalidLine', { line: invalidLine }), 'error');
+        return false;
+      }
+
+      if (layoutResult.invalidLine) {
+        showToast(t('toast.layoutInvalidLine', { line: layoutResult.invalidLine }), 'error');
+        return false;
+      }
+
+      const { remote, errorKey } = readRemoteFields(path);
+      if (errorKey) {
+        showToast(t(errorKey), 'error');
+        return false;
+      }
+
+      const tags = readTagInput();
+      if (!tags) return false;
+
       dir.name = name;
       dir.icon = icon;
       dir.path = path;
-      dir.terminalId = terminalId;
+      if (remote) {
+        dir.remote = remote;
+      } else {
+        delete dir.remote;
+      }
+      if (terminalId) {
+        dir.terminalId = terminalId;
+      } else {
+        delete dir.terminalId;
+      }
       dir.group = group;
+      if (tags.length > 0) {
+        dir.tags = tags;
+      } else {
+        delete dir.tags;
+      }
+      if (Object.keys(env).length > 0) {
+        dir.env = env;
+      } else {
+        delete dir.env;
+      }
+      if (envFileEnabled) {
+        dir.envFile = envFile || '.env';
+      } else {
+        delete dir.envFile;
+      }
+      if (layoutResult.layout) {
+        dir.layout = layoutResult.layout;
+      } else {
+        delete dir.layout;
+      }
 
-      // 更新最愛狀態
+      // 更新最愛狀態（使用目錄啟動器的最愛，指定啟動器的最愛不受影響）
       if (!config.favorites) {
         config.favorites = [];
       }
-      const favoriteIndex = config.favorites.indexOf(dirId);
-      if (shouldBeFavorite && favoriteIndex === -1) {
-        config.favorites.push(dirId);
-      } else if (!shouldBeFavorite && favoriteIndex !== -1) {
-        config.favorites.splice(favoriteIndex, 1);
+      const favorite = findFavorite(config.favorites, dirId);
+      if (shouldBeFavorite && !favorite) {
+        config.favorites.push(createFavorite(config.favorites, dirId));
+      } else if (!shouldBeFavorite && favorite) {
+        config.favorites = config.favorites.filter(f => f.id !== favorite.id);
       }
 
       await saveConfig();
@@ -768,6 +1298,11 @@ export function showEditDirectoryModal(dirId) {
           document.getElementById('modalDirPath').value = result.path;
         }
       });
+      setupRemoteFields();
+      setupTagInput();
+      document.getElementById('modalDirEnvFileEnabled')?.addEventListener('change', e => {
+        document.getElementById('modalDirEnvFile').disabled = !e.target.checked;
+      });
       document.getElementById('modalDirName')?.focus();
     },
   });
@@ -781,7 +1316,14 @@ export async function deleteDirectory(id) {
   const config = getConfig();
   config.directories = config.directories.filter(d => d.id !== id);
   if (config.favorites) {
-    config.favorites = config.favorites.filter(fid => fid !== id);
+    config.favorites = config.favorites.filter(f => f.directoryId !== id);
+  }
+  // 移除依附於此目錄的工作區與快捷鍵
+  if (config.workspaces) {
+    config.workspaces = config.workspaces.filter(w => w.directoryId !== id);
+  }
+  if (config.hotkeys) {
+    config.hotkeys = config.hotkeys.filter(h => h.directoryId !== id);
   }
   await saveConfig();
 
@@ -792,28 +1334,29 @@ export async function deleteDirectory(id) {
 }
 
 /**
- * 切換最愛狀態
+ * 確認後刪除目錄
  * @param {number} id - 目錄 ID
  */
-async function toggleFavorite(id) {
-  const config = getConfig();
-  if (!config.favorites) {
-    config.favorites = [];
-  }
+export function confirmDeleteDirectory(id) {
+  const dir = getConfig().directories.find(d => d.id === id);
+  if (!dir) return;
 
-  const index = config.favorites.indexOf(id);
-  if (index === -1) {
-    config.favorites.push(id);
-    await saveConfig();
-    showToast(t('toast.addedToFavorites'), 'success');
-  } else {
-    config.favorites.splice(index, 1);
-    await saveConfig();
-    showToast(t('toast.removedFromFavorites'), 'success');
-  }
+  openConfirmModal({
+    title: t('ui.directory.deleteTitle'),
+    message: t('ui.directory.deleteConfirm', { name: dir.name }),
+    confirmText: t('common.delete'),
+    danger: true,
+    onConfirm: () => deleteDirectory(id),
+  });
+}
 
+/**
+ * 切換最愛狀態（使用目錄啟動器的最愛）
+ * @param {number} id - 目錄 ID
+ */
+async function toggleFavorite(id) {
+  await toggleFavoriteUtil(id);
   renderDirectories();
-  renderFavoritesList();
 }
 
 /**
@@ -829,4 +1372,58 @@ export function setupDirectoryEvents() {
     showAddDirectoryModal();
   });
   initDirectoryEventDelegation();
+  registerDirectoryCommands();
+}
+
+/**
+ * 註冊目錄相關指令（新增目錄、以各啟動器開啟各目錄）
+ */
+function registerDirectoryCommands() {
+  registerCommand({
+    id: 'directory.add',
+    icon: '➕',
+    title: () => t('commands.addDirectory'),
+    run: () => showAddDirectoryModal(),
+  });
+
+  registerCommand({
+    id: 'directory.toggleAllGroups',
+    icon: '↕️',
+    title: () => t('commands.toggleAllGroups'),
+    run: () => toggleAllGroups(),
+  });
+
+  // 依目前的目錄與可見啟動器產生「以 Y 開啟 X」（目錄常用者在前，各目錄的預設啟動器在前）
+  registerCommandProvider(() => {
+    const config = getConfig();
+    const terminals = (config.terminals || []).filter(terminal => !terminal.hidden);
+    return [...config.directories].sort(compareLaunchRank).flatMap(dir => {
+      const defaultId = resolveTerminalId(dir);
+      return [...terminals]
+        .sort((a, b) => (a.id === defaultId ? -1 : b.id === defaultId ? 1 : 0))
+        .map(terminal => ({
+          id: 'directory.open.' + dir.id + '.' + terminal.id,
+          icon: dir.icon || '📁',
+          title: () =>
+            t('commands.openWith', { name: dir.name, launcher: getTerminalDisplayName(terminal) }),
+          run: () => openTerminalWithTypeUtil(dir.id, terminal.id, refreshDirectoryViews),
+        }));
+    });
+  });
+
+  // 「開啟群組中的所有目錄」（只列出有目錄的群組）
+  registerCommandProvider(() => {
+    const config = getConfig();
+    return config.groups
+      .filter(group => getGroupLaunchCount(group.id) > 0)
+      .map(group => ({
+        id: 'group.launch.' + group.id,
+        icon: '🚀',
+        title: () =>
+          t('commands.launchGroup', {
+            name: getGroupPathName(config.groups, group.id, getGroupDisplayName),
+          }),
+        run: () => confirmLaunchGroup(group.id, refreshDirectoryViews),
+      }));
+  });
 }
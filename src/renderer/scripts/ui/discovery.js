@@ -0,0 +1,428 @@
+/**
+ * 專案探索模組
+ * 管理掃描根目錄、執行掃描並以可勾選的清單匯入探索到的專案
+ */
+import { getConfig, saveConfig, loadConfig, validateAllPaths } from '../state.js';
+import { api } from '../api.js';
+import { showToast } from './toast.js';
+import { openModal } from './modal.js';
+import { t } from '../i18n.js';
+import { renderDirectories, getGroupOptionsHtml, getTerminalOptionsHtml } from './directories.js';
+import { getTerminalDisplayName } from '../utils/terminal.js';
+import { escapeHtml, escapeAttr } from '../utils/escape.js';
+
+// 掃描深度，需與主進程 scan-utils.js 一致
+const DEFAULT_SCAN_DEPTH = 3;
+const MAX_SCAN_DEPTH = 6;
+
+// 掃描根目錄數量上限，需與主進程 scan-utils.js 的 MAX_SCAN_ROOTS 一致
+const MAX_SCAN_ROOTS = 20;
+
+// 本次彈窗最近一次的掃描結果
+let lastScan = null;
+
+/**
+ * 產生根目錄啟動器選單 HTML（含「自動」選項）
+ * @param {string} [selectedId] - 已選的啟動器 ID
+ * @returns {string} HTML
+ */
+function getRootTerminalOptionsHtml(selectedId) {
+  const options = getConfig()
+    .terminals.filter(terminal => !terminal.hidden || terminal.id === selectedId)
+    .map(
+      terminal =>
+        '<option value="' +
+        escapeAttr(terminal.id) +
+        '"' +
+        (terminal.id === selectedId ? ' selected' : '') +
+        '>' +
+        escapeHtml(terminal.icon || '💻') +
+        ' ' +
+        escapeHtml(getTerminalDisplayName(terminal)) +
+        '</option>'
+    )
+    .join('');
+  return '<option value="">' + escapeHtml(t('ui.discovery.autoLauncher')) + '</option>' + options;
+}
+
+/**
+ * 產生根目錄列的 HTML
+ * @param {Object} root - 掃描根目錄
+ * @returns {string} HTML
+ */
+function getRootRowHtml(root) {
+  return (
+    '<div class="scan-root" data-root-id="' +
+    escapeAttr(root.id) +
+    '" data-root-path="' +
+    escapeAttr(root.path) +
+    '"><span class="scan-root-path" title="' +
+    escapeAttr(root.path) +
+    '">' +
+    escapeHtml(root.path) +
+    '</span><input type="number" data-root-field="depth" min="0" max="' +
+    MAX_SCAN_DEPTH +
+    '" value="' +
+    (root.depth ?? DEFAULT_SCAN_DEPTH) +
+    '" title="' +
+    escapeAttr(t('ui.discovery.depth')) +
+    '" aria-label="' +
+    escapeAttr(t('ui.discovery.depth')) +
+    '" /><select data-root-field="group" aria-label="' +
+    escapeAttr(t('ui.addDirectory.group')) +
+    '">' +
+    getGroupOptionsHtml(root.group || 'default') +
+    '</select><select data-root-field="terminalId" aria-label="' +
+    escapeAttr(t('ui.addDirectory.type')) +
+    '">' +
+    getRootTerminalOptionsHtml(root.terminalId) +
+    '</select><button type="button" class="btn-icon delete" data-root-action="remove" title="' +
+    escapeAttr(t('common.delete')) +
+    '">✕</button></div>'
+  );
+}
+
+/**
+ * 渲染根目錄列表
+ * @param {HTMLElement} container - 根目錄容器
+ * @param {Array} roots - 掃描根目錄列表
+ */
+function renderRoots(container, roots) {
+  container.innerHTML =
+    roots.length > 0
+      ? roots.map(getRootRowHtml).join('')
+      : '<small class="hint">' + t('ui.discovery.noRoots') + '</small>';
+}
+
+/**
+ * 從根目錄列表讀取設定（保留上次掃描的快照）
+ * @param {HTMLElement} container - 根目錄容器
+ * @returns {Array} 掃描根目錄列表
+ */
+function readRoots(container) {
+  const existing = getConfig().scanRoots || [];
+  return [...container.querySelectorAll('.scan-root')].map(row => {
+    const previous = existing.find(root => root.id === row.dataset.rootId);
+    const depth = parseInt(row.querySelector('[data-root-field="depth"]').value, 10);
+    const root = {
+      ...previous,
+      id: row.dataset.rootId,
+      path: row.dataset.rootPath,
+      depth: Number.isInteger(depth)
+        ? Math.min(Math.max(depth, 0), MAX_SCAN_DEPTH)
+        : DEFAULT_SCAN_DEPTH,
+      group: row.querySelector('[data-root-field="group"]').value,
+    };
+    const terminalId = row.querySelector('[data-root-field="terminalId"]').value;
+    if (terminalId) {
+      root.terminalId = terminalId;
+    } else {
+      delete root.terminalId;
+    }
+    return root;
+  });
+}
+
+/**
+ * 儲存根目錄設定
+ * @param {HTMLElement} container - 根目錄容器
+ */
+async function saveRoots(container) {
+  const config = getConfig();
+  config.scanRoots = readRoots(container);
+  await saveConfig();
+}
+
+/**
+ * 產生掃描結果專案列的 HTML
+ * @param {Object} project - 探索到的專案
+ * @param {number} index - 專案索引（對應 lastScan.projects）
+ * @returns {string} HTML
+ */
+function getProjectRowHtml(project, index) {
+  return (
+    '<div class="scan-result" data-project-index="' +
+    index +
+    '"><input type="checkbox" data-project-field="selected" checked aria-label="' +
+    escapeAttr(project.path) +
+    '" /><div class="scan-result-main"><div class="scan-result-header">' +
+    '<input type="text" data-project-field="name" value="' +
+    escapeAttr(project.name) +
+    '" aria-label="' +
+    escapeAttr(t('ui.addDirectory.name')) +
+    '" />' +
+    (project.isNew
+      ? '<span class="tag tag-new">' + escapeHtml(t('ui.discovery.newBadge')) + '</span>'
+      : '') +
+    '</div><small class="scan-result-path" title="' +
+    escapeAttr(project.path) +
+    '">' +
+    escapeHtml(project.path) +
+    ' · ' +
+    escapeHtml(project.markers.join(', ')) +
+    '</small><div class="scan-result-fields"><select data-project-field="group" aria-label="' +
+    escapeAttr(t('ui.addDirectory.group')) +
+    '">' +
+    getGroupOptionsHtml(project.group) +
+    '</select><select data-project-field="terminalId" aria-label="' +
+    escapeAttr(t('ui.addDirectory.type')) +
+    '">' +
+    getTerminalOptionsHtml(project.terminalId) +
+    '</select></div></div></div>'
+  );
+}
+
+/**
+ * 渲染掃描結果
+ * @param {HTMLElement} container - 結果容器
+ * @param {Object} result - 掃描結果 { roots, projects, vanished }
+ */
+function renderResults(container, result) {
+  const pending = result.projects
+    .map((project, index) => ({ project, index }))
+    .filter(({ project }) => project.directoryId === null);
+  const alreadyAdded = result.projects.length - pending.length;
+  const newCount = result.projects.filter(project => project.isNew).length;
+
+  let html =
+    '<p class="scan-summary">' +
+    escapeHtml(
+      t('ui.discovery.summary', {
+        found: result.projects.length,
+        new: newCount,
+        vanished: result.vanished.length,
+      })
+    ) +
+    (alreadyAdded > 0
+      ? ' ' + escapeHtml(t('ui.discovery.alreadyAdded', { count: alreadyAdded }))
+      : '') +
+    '</p>';
+
+  result.roots.forEach(root => {
+    if (root.error) {
+      html +=
+        '<small class="hint scan-warning">' +
+        escapeHtml(t('ui.discovery.rootError', { path: root.path, error: root.error })) +
+        '</small>';
+    } else if (root.truncated) {
+      html +=
+        '<small class="hint scan-warning">' +
+        escapeHtml(t('ui.discovery.rootTruncated', { path: root.path })) +
+        '</small>';
+    }
+  });
+
+  html +=
+    pending.length > 0
+      ? '<div class="scan-results-list">' +
+        pending.map(({ project, index }) => getProjectRowHtml(project, index)).join('') +
+        '</div>'
+      : '<small class="hint">' + t('ui.discovery.noResults') + '</small>';
+
+  if (result.vanished.length > 0) {
+    html +=
+      '<div class="scan-vanished"><label>' +
+      t('ui.discovery.vanished') +
+      '</label>' +
+      result.vanished
+        .map(
+          item =>
+            '<small class="scan-result-path" title="' +
+            escapeAttr(item.path) +
+            '">' +
+            escapeHtml(item.path) +
+            (item.directoryId !== null ? ' · ' + escapeHtml(t('ui.discovery.vanishedAdded')) : '') +
+            '</small>'
+        )
+        .join('') +
+      '</div>';
+  }
+
+  container.innerHTML = html;
+}
+
+/**
+ * 讀取勾選要匯入的專案
+ * @param {HTMLElement} container - 結果容器
+ * @returns {Array} [{ path, name, group, terminalId }]
+ */
+function readSelectedProjects(container) {
+  if (!lastScan) return [];
+  return [...container.querySelectorAll('.scan-result')]
+    .filter(row => row.querySelector('[data-project-field="selected"]').checked)
+    .map(row => {
+      const project = lastScan.projects[parseInt(row.dataset.projectIndex, 10)];
+      return {
+        path: project.path,
+        name: row.querySelector('[data-project-field="name"]').value.trim() || project.name,
+        group: row.querySelector('[data-project-field="group"]').value,
+        terminalId: row.querySelector('[data-project-field="terminalId"]').value,
+      };
+    });
+}
+
+/**
+ * 執行掃描並顯示結果
+ * @param {HTMLElement} rootsContainer - 根目錄容器
+ * @param {HTMLElement} resultsContainer - 結果容器
+ * @param {HTMLButtonElement} button - 掃描按鈕
+ */
+async function runScan(rootsContainer, resultsContainer, button) {
+  if (rootsContainer.querySelectorAll('.scan-root').length === 0) {
+    showToast(t('toast.scanNoRoots'), 'error');
+    return;
+  }
+
+  button.disabled = true;
+  button.textContent = t('ui.discovery.scanning');
+  try {
+    await saveRoots(rootsContainer);
+    const result = await api.scanProjects();
+    if (!result.success) {
+      showToast(t('toast.scanFailed', { error: result.error }), 'error');
+      return;
+    }
+    // 掃描快照已由主進程寫入配置
+    await loadConfig();
+    lastScan = result;
+    renderResults(resultsContainer, result);
+  } finally {
+    button.disabled = false;
+    button.textContent = '🔍 ' + t('ui.discovery.scan');
+  }
+}
+
+/**
+ * 顯示專案探索彈窗
+ */
+export function showDiscoveryModal() {
+  const config = getConfig();
+  lastScan = null;
+
+  const content =
+    '<div class="modal-form">' +
+    '<div class="input-group"><label>' +
+    t('ui.discovery.roots') +
+    '</label><div id="modalScanRoots" class="scan-roots"></div>' +
+    '<div class="path-input-wrapper"><input type="text" id="modalScanRootPath" placeholder="' +
+    escapeAttr(t('ui.discovery.rootPathPlaceholder')) +
+    '" /><button class="browse-btn" id="modalScanRootBrowse">' +
+    t('ui.addDirectory.browse') +
+    '</button></div>' +
+    '<button type="button" class="btn btn-secondary btn-sm" id="modalScanRootAdd">+ ' +
+    t('ui.discovery.addRoot') +
+    '</button><small class="hint">' +
+    t('ui.discovery.rootsHint') +
+    '</small></div>' +
+    '<button type="button" class="btn btn-secondary" id="modalScanRun">🔍 ' +
+    t('ui.discovery.scan') +
+    '</button>' +
+    '<div id="modalScanResults" class="scan-results"></div>' +
+    '</div>';
+
+  openModal({
+    title: t('ui.discovery.title'),
+    content,
+    confirmText: t('ui.discovery.import'),
+    modalClass: 'discovery-modal',
+    onConfirm: async () => {
+      const rootsContainer = document.getElementById('modalScanRoots');
+      const projects = readSelectedProjects(document.getElementById('modalScanResults'));
+
+      if (projects.length === 0) {
+        await saveRoots(rootsContainer);
+        showToast(t('toast.scanNothingSelected'), 'error');
+        return false;
+      }
+
+      await saveRoots(rootsContainer);
+      const result = await api.importProjects(projects);
+      if (!result.success) {
+        showToast(t('toast.scanFailed', { error: result.error }), 'error');
+        return false;
+      }
+
+      await loadConfig();
+      await validateAllPaths();
+      renderDirectories();
+
+      if (result.added.length > 0) {
+        showToast(t('toast.projectsImported', { count: result.added.length }), 'success');
+      }
+      if (result.skipped.length > 0) {
+        showToast(t('toast.projectsImportSkipped', { count: result.skipped.length }), 'warning');
+      }
+      return true;
+    },
+    onOpen: () => {
+      const rootsContainer = document.getElementById('modalScanRoots');
+      const resultsContainer = document.getElementById('modalScanResults');
+      const pathInput = document.getElementById('modalScanRootPath');
+      renderRoots(rootsContainer, config.scanRoots || []);
+
+      rootsContainer.addEventListener('click', e => {
+        const button = e.target.closest('[data-root-action="remove"]');
+        if (!button) return;
+        button.closest('.scan-root').remove();
+        renderRoots(rootsContainer, readRoots(rootsContainer));
+      });
+
+      const addRoot = () => {
+        const rootPath = pathInput.value.trim();
+        if (!rootPath) {
+          showToast(t('toast.scanRootPathRequired'), 'error');
+          return;
+        }
+
+        const roots = readRoots(rootsContainer);
+        if (roots.some(root => root.path === rootPath)) {
+          showToast(t('toast.scanRootExists'), 'error');
+          return;
+        }
+        if (roots.length >= MAX_SCAN_ROOTS) {
+          showToast(t('toast.scanRootsLimit', { max: MAX_SCAN_ROOTS }), 'error');
+          return;
+        }
+
+        roots.push({
+          id: 'root-' + Date.now(),
+          path: rootPath,
+          depth: DEFAULT_SCAN_DEPTH,
+          group: 'default',
+        });
+        renderRoots(rootsContainer, roots);
+        pathInput.value = '';
+      };
+
+      document.getElementById('modalScanRootAdd')?.addEventListener('click', addRoot);
+      pathInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          addRoot();
+        }
+      });
+
+      document.getElementById('modalScanRootBrowse')?.addEventListener('click', async () => {
+        const result = await api.selectFolder();
+        if (result.success) {
+          pathInput.value = result.path;
+          addRoot();
+        }
+      });
+
+      const scanButton = document.getElementById('modalScanRun');
+      scanButton?.addEventListener('click', () =>
+        runScan(rootsContainer, resultsContainer, scanButton)
+      );
+
+      pathInput.focus();
+    },
+  });
+}
+
+/**
+ * 設定專案探索相關的事件監聽
+ */
+export function setupDiscoveryEvents() {
+  document.getElementById('btnScanProjects')?.addEventListener('click', showDiscoveryModal);
+}
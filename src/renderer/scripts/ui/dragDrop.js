@@ -1,8 +1,10 @@
 /**
  * 拖拉排序模組
- * 處理最愛、群組、目錄的拖拉排序功能
+ * 處理最愛、群組（含移入其他群組成為子群組）、目錄的拖拉排序功能
  */
 import { getConfig, saveConfig } from '../state.js';
+import { moveGroup } from '../utils/group-tree.js';
+import { reorderFavorites } from '../utils/favorites.js';
 
 // 當前拖曳的元素
 let draggedElement = null;
@@ -63,7 +65,7 @@ export function initFavoritesDragDrop() {
 
       // 設定拖曳資料
       e.dataTransfer.effectAllowed = 'move';
-      e.dataTransfer.setData('text/plain', item.dataset.id);
+      e.dataTransfer.setData('text/plain', item.dataset.favoriteId);
 
       // 延遲添加佔位元素，避免閃爍
       requestAnimationFrame(() => {
@@ -115,26 +117,57 @@ export function initFavoritesDragDrop() {
 }
 
 /**
- * 儲存最愛列表的順序
+ * 儲存最愛列表的順序（搜尋時未顯示的最愛維持原位）
  * @param {HTMLElement} container - 容器元素
  */
 async function saveFavoritesOrder(container) {
   const config = getConfig();
-  const items = container.querySelectorAll('.directory-item');
-  const newOrder = [...items].map(item => parseInt(item.dataset.id, 10));
+  const items = container.querySelectorAll('.directory-item[data-favorite-id]');
+  const newOrder = [...items].map(item => item.dataset.favoriteId);
 
   // 更新 favorites 陣列順序
-  config.favorites = newOrder;
+  config.favorites = reorderFavorites(config.favorites || [], newOrder);
   await saveConfig();
 }
 
 /**
- * 初始化群組列表的拖拉排序
+ * 取得群組卡片上的放置位置（上緣插入前、下緣插入後、中間移入成為子群組）
+ * @param {HTMLElement} card - 群組卡片
+ * @param {number} y - 滑鼠 Y 座標
+ * @param {boolean} allowInto - 是否可移入成為子群組（預設群組固定為頂層）
+ * @returns {'before'|'after'|'into'}
+ */
+function getGroupDropPosition(card, y, allowInto) {
+  const box = card.getBoundingClientRect();
+  const ratio = (y - box.top) / box.height;
+  if (!allowInto) return ratio < 0.5 ? 'before' : 'after';
+  if (ratio < 0.25) return 'before';
+  if (ratio > 0.75) return 'after';
+  return 'into';
+}
+
+/**
+ * 清除群組放置位置的提示樣式
+ * @param {HTMLElement} container - 群組列表容器
  */
-export function initGroupsDragDrop() {
-  const container = document.querySelector('#groupsListContainer .groups-grid');
+function clearGroupDropIndicators(container) {
+  container.classList.remove('drag-over');
+  container.querySelectorAll('.drop-before, .drop-after, .drop-into').forEach(el => {
+    el.classList.remove('drop-before', 'drop-after', 'drop-into');
+  });
+}
+
+/**
+ * 初始化群組列表的拖拉排序（可拖到其他群組前後重新排序，或拖到群組上成為其子群組）
+ * @param {Function} onChange - 群組順序或階層變更並儲存後的回調
+ */
+export function initGroupsDragDrop(onChange) {
+  // 只處理一般群組（智慧群組位於另一個區塊，不可拖拉）
+  const container = document.querySelector('#groupsListContainer > .groups-grid');
   if (!container) return;
 
+  let dropTarget = null;
+
   const cards = container.querySelectorAll('.group-card');
   cards.forEach(card => {
     card.setAttribute('draggable', 'true');
@@ -142,86 +175,87 @@ export function initGroupsDragDrop() {
     card.addEventListener('dragstart', e => {
       draggedElement = card;
       draggedType = 'group';
-      card.classList.add('dragging');
-      placeholder = createPlaceholder();
-      placeholder.classList.add('group-card-placeholder');
-
       e.dataTransfer.effectAllowed = 'move';
       e.dataTransfer.setData('text/plain', card.dataset.groupId);
 
+      // 拖曳中的群組與其子群組都不可作為放置目標
       requestAnimationFrame(() => {
-        card.style.display = 'none';
-        container.insertBefore(placeholder, card);
+        card.closest('.group-node').classList.add('dragging');
       });
     });
 
-    card.addEventListener('dragend', async () => {
-      card.classList.remove('dragging');
-      card.style.display = '';
-
-      if (placeholder && placeholder.parentNode) {
-        placeholder.parentNode.removeChild(placeholder);
-      }
-
-      if (draggedType === 'group') {
-        await saveGroupsOrder(container);
-      }
-
+    card.addEventListener('dragend', () => {
+      container.querySelectorAll('.group-node.dragging').forEach(el => {
+        el.classList.remove('dragging');
+      });
+      clearGroupDropIndicators(container);
       draggedElement = null;
       draggedType = null;
-      placeholder = null;
+      dropTarget = null;
     });
   });
 
   container.addEventListener('dragover', e => {
+    if (draggedType !== 'group' || !draggedElement) return;
+
+    // 只接受群組卡片與列表空白處（不可放到自己或子孫群組上）
+    const card = e.target.closest('.group-card');
+    if ((!card && e.target !== container) || card?.closest('.group-node.dragging')) {
+      clearGroupDropIndicators(container);
+      dropTarget = null;
+      return;
+    }
+
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
+    clearGroupDropIndicators(container);
 
-    if (draggedType !== 'group' || !placeholder) return;
-
-    const afterElement = getDragAfterElement(container, e.clientY, '.group-card');
-    if (afterElement) {
-      container.insertBefore(placeholder, afterElement);
+    if (card) {
+      const allowInto = !draggedElement.classList.contains('default');
+      const position = getGroupDropPosition(card, e.clientY, allowInto);
+      card.classList.add('drop-' + position);
+      dropTarget = { id: card.dataset.groupId, position };
     } else {
-      container.appendChild(placeholder);
+      // 拖到空白處：移到頂層最後
+      container.classList.add('drag-over');
+      dropTarget = { id: null, position: null };
     }
   });
 
-  container.addEventListener('drop', e => {
-    e.preventDefault();
-    if (draggedType !== 'group' || !draggedElement || !placeholder) return;
-
-    placeholder.parentNode.insertBefore(draggedElement, placeholder);
-  });
-}
-
-/**
- * 儲存群組列表的順序
- * @param {HTMLElement} container - 容器元素
- */
-async function saveGroupsOrder(container) {
-  const config = getConfig();
-  const cards = container.querySelectorAll('.group-card');
-
-  cards.forEach((card, index) => {
-    const groupId = card.dataset.groupId;
-    const group = config.groups.find(g => g.id === groupId);
-    if (group) {
-      group.order = index;
+  container.addEventListener('dragleave', e => {
+    if (!container.contains(e.relatedTarget)) {
+      clearGroupDropIndicators(container);
     }
   });
 
-  await saveConfig();
+  container.addEventListener('drop', async e => {
+    e.preventDefault();
+    if (draggedType !== 'group' || !draggedElement || !dropTarget) return;
+
+    const config = getConfig();
+    const moved = moveGroup(
+      config.groups,
+      draggedElement.dataset.groupId,
+      dropTarget.id,
+      dropTarget.position
+    );
+    clearGroupDropIndicators(container);
+    if (!moved) return;
+
+    await saveConfig();
+    onChange?.();
+  });
 }
 
 /**
  * 初始化目錄列表的拖拉排序（群組內）
  */
 export function initDirectoriesDragDrop() {
-  const sections = document.querySelectorAll('#directoryGroups .group-section');
+  // 智慧群組的成員由規則決定，不可拖入或排序
+  const sections = document.querySelectorAll('#directoryGroups .group-section:not(.smart)');
 
   sections.forEach(section => {
-    const list = section.querySelector('.directory-list');
+    const list = section.querySelector(':scope > .directory-list');
     if (!list) return;
 
     const items = list.querySelectorAll('.directory-item');
@@ -235,7 +269,7 @@ export function initDirectoriesDragDrop() {
         placeholder = createPlaceholder();
 
         e.dataTransfer.effectAllowed = 'move';
-        e.dataTransfer.setData('text/plain', item.dataset.id);
+        e.dataTransfer.setData('text/plain', item.dataset.favoriteId);
 
         requestAnimationFrame(() => {
           item.style.display = 'none';
@@ -289,11 +323,12 @@ export function initDirectoriesDragDrop() {
  */
 async function saveDirectoriesOrder() {
   const config = getConfig();
-  const sections = document.querySelectorAll('#directoryGroups .group-section');
+  const sections = document.querySelectorAll('#directoryGroups .group-section:not(.smart)');
 
   sections.forEach(section => {
     const groupId = section.dataset.groupId;
-    const items = section.querySelectorAll('.directory-item');
+    // 只取本群組的目錄（子群組的目錄屬於巢狀的 group-section）
+    const items = section.querySelectorAll(':scope > .directory-list > .directory-item');
 
     items.forEach((item, index) => {
       const dirId = parseInt(item.dataset.id, 10);
@@ -1,28 +1,45 @@
 /**
  * 最愛 Tab 模組
- * 處理最愛目錄的顯示與管理
+ * 處理最愛的顯示與管理（每個最愛為目錄 + 啟動器組合，可自訂顯示名稱）
  */
-import { getConfig, saveConfig, isPathValid } from '../state.js';
+import { getConfig, saveConfig, isDirectoryPathValid } from '../state.js';
 import { showToast } from './toast.js';
+import { openModal } from './modal.js';
 import { t } from '../i18n.js';
 import { renderRecentList } from './recent.js';
 import { initFavoritesDragDrop } from './dragDrop.js';
+import { getTagChipsHtml } from './tags.js';
 import { showContextMenu } from './contextMenu.js';
+import { openHotkeyModal } from './hotkeys.js';
 import { debounce } from '../utils/debounce.js';
 import {
   openTerminal as openTerminalUtil,
   openTerminalWithType as openTerminalWithTypeUtil,
-  getTerminalDisplayName,
-  getDefaultTerminalId,
+  buildLauncherMenuItems,
+  resolveTerminalId,
   getTerminalIcon,
   getTerminalName,
+  getTerminalDisplayName,
 } from '../utils/terminal.js';
 import { escapeHtml, escapeAttr } from '../utils/escape.js';
+import { formatDirectoryLocation } from '../utils/remote.js';
 import { getElement } from '../utils/dom-cache.js';
+import { getGitStatusTagHtml } from '../utils/git.js';
+import { setupRovingFocus, resetRovingFocus } from '../utils/roving-focus.js';
+import { searchDirectories, getDirectorySearchTarget, highlightMatches } from '../utils/fuzzy.js';
+import {
+  MAX_FAVORITE_LABEL_LENGTH,
+  normalizeFavoriteLabel,
+  getFavoriteName,
+  findFavorite,
+  createFavorite,
+} from '../utils/favorites.js';
 
 // 延遲導入以避免循環依賴
 let showEditDirectoryModal = null;
 let deleteDirectoryFn = null;
+let confirmDeleteDirectoryFn = null;
+let getTerminalOptionsHtml = null;
 
 // 事件委派初始化標記
 let favoritesDelegationInitialized = false;
@@ -35,13 +52,15 @@ async function importDirectoriesModule() {
     const dirModule = await import('./directories.js');
     showEditDirectoryModal = dirModule.showEditDirectoryModal;
     deleteDirectoryFn = dirModule.deleteDirectory;
+    confirmDeleteDirectoryFn = dirModule.confirmDeleteDirectory;
+    getTerminalOptionsHtml = dirModule.getTerminalOptionsHtml;
   }
 }
 
 /**
  * 清理 favorites 中的贓數據
- * - 移除孤兒 ID（目錄 entry 已不存在）
- * - 移除指向無效路徑的 ID（檔案系統路徑不存在）
+ * - 移除孤兒最愛（目錄 entry 已不存在）
+ * - 移除指向無效路徑的最愛（檔案系統路徑不存在）
  * @returns {boolean} 是否有清理動作
  */
 function cleanFavorites() {
@@ -50,11 +69,11 @@ function cleanFavorites() {
 
   const originalLength = config.favorites.length;
 
-  config.favorites = config.favorites.filter(id => {
-    const dir = config.directories.find(d => d.id === id);
-    if (!dir) return false; // 孤兒 ID
+  config.favorites = config.favorites.filter(favorite => {
+    const dir = config.directories.find(d => d.id === favorite.directoryId);
+    if (!dir) return false; // 孤兒最愛
 
-    const valid = isPathValid(dir.path);
+    const valid = isDirectoryPathValid(dir);
     if (valid === false) return false; // 路徑不存在
 
     return true; // valid === true 或 null（未驗證）都保留
@@ -64,20 +83,47 @@ function cleanFavorites() {
 }
 
 /**
- * 取得最愛目錄列表
- * @returns {Array} 最愛目錄
+ * 取得最愛列表（依最愛順序，附帶對應的目錄）
+ * @returns {Array<{ favorite: Object, dir: Object }>}
+ */
+function getFavoriteEntries() {
+  const config = getConfig();
+  return (config.favorites || [])
+    .map(favorite => ({
+      favorite,
+      dir: config.directories.find(d => d.id === favorite.directoryId),
+    }))
+    .filter(({ dir }) => dir);
+}
+
+/**
+ * 取得最愛開啟時使用的啟動器（指定的啟動器已刪除時改用目錄的啟動器）
+ * @param {Object} favorite - 最愛
+ * @param {Object} dir - 目錄物件
+ * @returns {string} 啟動器 ID
  */
-function getFavoriteDirectories() {
+function getFavoriteTerminalId(favorite, dir) {
   const config = getConfig();
-  const favoriteIds = config.favorites || [];
-
-  return config.directories
-    .filter(d => favoriteIds.includes(d.id))
-    .sort((a, b) => {
-      const indexA = favoriteIds.indexOf(a.id);
-      const indexB = favoriteIds.indexOf(b.id);
-      return indexA - indexB;
-    });
+  if (favorite.terminalId && config.terminals.some(t => t.id === favorite.terminalId)) {
+    return favorite.terminalId;
+  }
+  return resolveTerminalId(dir);
+}
+
+/**
+ * 以最愛指定的啟動器開啟目錄
+ * @param {string} favoriteId - 最愛 ID
+ */
+function openFavorite(favoriteId) {
+  const config = getConfig();
+  const favorite = config.favorites?.find(f => f.id === favoriteId);
+  if (!favorite) return;
+
+  if (favorite.terminalId && config.terminals.some(t => t.id === favorite.terminalId)) {
+    openTerminalWithTypeUtil(favorite.directoryId, favorite.terminalId, refreshFavoritesViews);
+  } else {
+    openTerminalUtil(favorite.directoryId, refreshFavoritesViews);
+  }
 }
 
 /**
@@ -118,17 +164,17 @@ export function renderFavoritesList() {
 
   const emptyState = getOrCreateEmptyState();
   const searchInput = getElement('favoritesSearchInput');
-  const search = searchInput?.value?.toLowerCase() || '';
+  const search = searchInput?.value?.trim() || '';
 
-  let favoriteDirs = getFavoriteDirectories();
-
-  if (search) {
-    favoriteDirs = favoriteDirs.filter(
-      d => d.name.toLowerCase().includes(search) || d.path.toLowerCase().includes(search)
-    );
-  }
+  // 搜尋結果依相符分數排序，同分時保留最愛順序（名稱以自訂名稱比對）
+  const favorites = search
+    ? searchDirectories(search, getFavoriteEntries(), ({ favorite, dir }) => ({
+        ...getDirectorySearchTarget(dir, getFavoriteTerminalId(favorite, dir)),
+        name: getFavoriteName(favorite, dir),
+      }))
+    : getFavoriteEntries().map(entry => ({ item: entry, highlights: null }));
 
-  if (favoriteDirs.length === 0) {
+  if (favorites.length === 0) {
     container.innerHTML = '';
     container.appendChild(emptyState);
     emptyState.style.display = 'flex';
@@ -145,14 +191,17 @@ export function renderFavoritesList() {
 
   emptyState.style.display = 'none';
 
+  // 重新渲染前焦點在列表內時，渲染後聚焦回原本的項目
+  const hadFocus = container.contains(document.activeElement);
   container.innerHTML =
     '<div class="directory-list">' +
-    favoriteDirs
-      .map(dir => {
-        const terminalId = dir.terminalId || getDefaultTerminalId();
+    favorites
+      .map(({ item: { favorite, dir }, highlights }) => {
+        const terminalId = getFavoriteTerminalId(favorite, dir);
         const terminalIcon = getTerminalIcon(terminalId);
         const terminalName = getTerminalName(terminalId);
-        const pathValid = isPathValid(dir.path);
+        const name = getFavoriteName(favorite, dir);
+        const pathValid = isDirectoryPathValid(dir);
         const isInvalid = pathValid === false;
 
         return (
@@ -160,26 +209,31 @@ export function renderFavoritesList() {
           (isInvalid ? ' path-invalid' : '') +
           '" data-id="' +
           dir.id +
+          '" data-favorite-id="' +
+          escapeAttr(favorite.id) +
           '" tabindex="0" role="button" aria-label="' +
-          escapeAttr(t('ui.directory.openTerminal', { name: dir.name })) +
+          escapeAttr(t('ui.directory.openTerminal', { name })) +
           '"><div class="drag-handle" title="' +
           escapeAttr(t('ui.favorites.dragHint')) +
           '">⋮⋮</div><div class="dir-icon">' +
           escapeHtml(terminalIcon) +
           '</div><div class="dir-info"><div class="dir-name">' +
           (dir.icon ? '<span class="dir-emoji">' + escapeHtml(dir.icon) + '</span>' : '') +
-          escapeHtml(dir.name) +
+          highlightMatches(name, highlights?.name) +
           (isInvalid
             ? '<span class="path-warning" title="' +
               escapeAttr(t('ui.directory.pathInvalid')) +
               '">⚠️</span>'
             : '') +
           '<span class="tag">' +
-          escapeHtml(terminalName) +
-          '</span></div><div class="dir-path">' +
-          escapeHtml(dir.path) +
-          '</div></div><div class="dir-actions"><button class="btn-icon favorite active" data-toggle-favorite="' +
-          dir.id +
+          highlightMatches(terminalName, highlights?.launcher) +
+          '</span>' +
+          getGitStatusTagHtml(dir) +
+          getTagChipsHtml(dir, highlights?.tags) +
+          '</div><div class="dir-path">' +
+          highlightMatches(formatDirectoryLocation(dir), highlights?.path) +
+          '</div></div><div class="dir-actions"><button class="btn-icon favorite active" data-remove-favorite="' +
+          escapeAttr(favorite.id) +
           '" title="' +
           escapeAttr(t('common.removeFromFavorites')) +
           '" aria-label="' +
@@ -203,6 +257,7 @@ export function renderFavoritesList() {
     '</div>';
 
   initFavoritesDragDrop();
+  resetRovingFocus(container, hadFocus);
 }
 
 /**
@@ -218,12 +273,11 @@ function initFavoritesEventDelegation() {
 
   // 點擊事件委派
   container.addEventListener('click', async e => {
-    // 處理最愛按鈕
-    const toggleBtn = e.target.closest('[data-toggle-favorite]');
-    if (toggleBtn) {
+    // 處理移除最愛按鈕
+    const removeBtn = e.target.closest('[data-remove-favorite]');
+    if (removeBtn) {
       e.stopPropagation();
-      const id = parseInt(toggleBtn.dataset.toggleFavorite, 10);
-      toggleFavorite(id);
+      removeFavorite(removeBtn.dataset.removeFavorite);
       return;
     }
 
@@ -247,11 +301,10 @@ function initFavoritesEventDelegation() {
       return;
     }
 
-    // 處理目錄項目點擊（開啟終端）
+    // 處理最愛項目點擊（以最愛的啟動器開啟終端）
     const item = e.target.closest('.directory-item');
     if (item && !e.target.closest('.btn-icon')) {
-      const id = parseInt(item.dataset.id, 10);
-      openTerminalUtil(id, refreshFavoritesViews);
+      openFavorite(item.dataset.favoriteId);
     }
   });
 
@@ -259,31 +312,31 @@ function initFavoritesEventDelegation() {
   container.addEventListener('keydown', async e => {
     if (e.key !== 'Enter' && e.key !== ' ') return;
 
-    // 處理最愛按鈕
-    const toggleBtn = e.target.closest('[data-toggle-favorite]');
-    if (toggleBtn) {
+    // 處理移除最愛按鈕
+    const removeBtn = e.target.closest('[data-remove-favorite]');
+    if (removeBtn) {
       e.preventDefault();
       e.stopPropagation();
-      const id = parseInt(toggleBtn.dataset.toggleFavorite, 10);
-      toggleFavorite(id);
-      return;
+      removeFavorite(removeBtn.dataset.removeFavorite);
     }
+  });
 
-    // 處理目錄項目（開啟終端）
-    const item = e.target.closest('.directory-item');
-    if (item && !e.target.closest('.btn-icon')) {
-      e.preventDefault();
-      const id = parseInt(item.dataset.id, 10);
-      openTerminalUtil(id, refreshFavoritesViews);
-    }
+  // 鍵盤導覽（Enter 以最愛的啟動器開啟、Shift+Enter 選擇啟動器、Delete 確認後刪除目錄）
+  setupRovingFocus(container, {
+    onActivate: (id, e) => openFavorite(e.target.dataset.favoriteId),
+    onPickLauncher: (id, e) =>
+      showContextMenu(e, buildLauncherMenuItems(id, refreshFavoritesViews)),
+    onDelete: async id => {
+      await importDirectoriesModule();
+      confirmDeleteDirectoryFn(id);
+    },
   });
 
   // 右鍵選單事件委派
   container.addEventListener('contextmenu', e => {
     const item = e.target.closest('.directory-item');
     if (item) {
-      const id = parseInt(item.dataset.id, 10);
-      showFavoritesContextMenu(e, id);
+      showFavoritesContextMenu(e, item.dataset.favoriteId);
     }
   });
 
@@ -301,38 +354,43 @@ function initFavoritesEventDelegation() {
 /**
  * 顯示最愛右鍵選單
  * @param {MouseEvent} event - 滑鼠事件
- * @param {number} dirId - 目錄 ID
+ * @param {string} favoriteId - 最愛 ID
  */
-function showFavoritesContextMenu(event, dirId) {
+function showFavoritesContextMenu(event, favoriteId) {
   const config = getConfig();
-  const dir = config.directories.find(d => d.id === dirId);
+  const favorite = config.favorites?.find(f => f.id === favoriteId);
+  const dir = favorite && config.directories.find(d => d.id === favorite.directoryId);
   if (!dir) return;
+  const dirId = dir.id;
+  const terminalId = getFavoriteTerminalId(favorite, dir);
 
   // 構建終端子選單
-  const terminalSubmenu = config.terminals
-    .filter(terminal => !terminal.hidden)
-    .map(terminal => ({
-      icon: terminal.icon || '💻',
-      label: getTerminalDisplayName(terminal),
-      onClick: () => openTerminalWithTypeUtil(dirId, terminal.id, refreshFavoritesViews),
-    }));
-
   const menuItems = [
     {
-      icon: getTerminalIcon(dir.terminalId || getDefaultTerminalId()),
+      icon: getTerminalIcon(terminalId),
       label: t('contextMenu.openDefault'),
-      onClick: () => openTerminalUtil(dirId, refreshFavoritesViews),
+      onClick: () => openFavorite(favoriteId),
     },
     {
       icon: '▶',
       label: t('contextMenu.openWith'),
-      submenu: terminalSubmenu,
+      submenu: buildLauncherMenuItems(dirId, refreshFavoritesViews),
+    },
+    {
+      icon: '⌨️',
+      label: t('contextMenu.assignHotkey'),
+      onClick: () => openHotkeyModal({ directoryId: dirId, terminalId: favorite.terminalId }),
     },
     { separator: true },
+    {
+      icon: '🏷️',
+      label: t('ui.favorites.editFavorite'),
+      onClick: () => showFavoriteModal(dirId, favoriteId),
+    },
     {
       icon: '⭐',
       label: t('common.removeFromFavorites'),
-      onClick: () => toggleFavorite(dirId),
+      onClick: () => removeFavorite(favoriteId),
     },
     {
       icon: '✏️',
@@ -368,20 +426,21 @@ function refreshFavoritesViews() {
 /**
  * 切換最愛狀態
  * @param {number} id - 目錄 ID
+ * @param {string} [terminalId] - 啟動器 ID（未指定時為使用目錄啟動器的最愛）
  */
-export async function toggleFavorite(id) {
+export async function toggleFavorite(id, terminalId) {
   const config = getConfig();
   if (!config.favorites) {
     config.favorites = [];
   }
 
-  const index = config.favorites.indexOf(id);
-  if (index === -1) {
-    config.favorites.push(id);
+  const favorite = findFavorite(config.favorites, id, terminalId);
+  if (!favorite) {
+    config.favorites.push(createFavorite(config.favorites, id, terminalId));
     await saveConfig();
     showToast(t('toast.addedToFavorites'), 'success');
   } else {
-    config.favorites.splice(index, 1);
+    config.favorites = config.favorites.filter(f => f.id !== favorite.id);
     await saveConfig();
     showToast(t('toast.removedFromFavorites'), 'success');
   }
@@ -389,14 +448,138 @@ export async function toggleFavorite(id) {
   renderFavoritesList();
 }
 
+/**
+ * 移除最愛
+ * @param {string} favoriteId - 最愛 ID
+ */
+export async function removeFavorite(favoriteId) {
+  const config = getConfig();
+  if (!config.favorites?.some(f => f.id === favoriteId)) return;
+
+  config.favorites = config.favorites.filter(f => f.id !== favoriteId);
+  await saveConfig();
+  showToast(t('toast.removedFromFavorites'), 'success');
+  refreshFavoritesViews();
+}
+
 /**
  * 檢查是否為最愛
  * @param {number} id - 目錄 ID
+ * @param {string} [terminalId] - 啟動器 ID（未指定時檢查使用目錄啟動器的最愛）
  * @returns {boolean} 是否為最愛
  */
-export function isFavorite(id) {
+export function isFavorite(id, terminalId) {
   const config = getConfig();
-  return config.favorites?.includes(id) || false;
+  return !!findFavorite(config.favorites, id, terminalId);
+}
+
+/**
+ * 檢查目錄是否有任何最愛（不論啟動器）
+ * @param {number} id - 目錄 ID
+ * @returns {boolean}
+ */
+export function hasFavorite(id) {
+  const config = getConfig();
+  return config.favorites?.some(f => f.directoryId === id) || false;
+}
+
+/**
+ * 產生「以指定啟動器加入最愛」的選單項目（已加入的組合再點一次會移除）
+ * @param {number} dirId - 目錄 ID
+ * @param {Function} [onChange] - 變更後的回調函數
+ * @returns {Object[]} 選單項目
+ */
+export function buildFavoriteLauncherMenuItems(dirId, onChange) {
+  return getConfig()
+    .terminals.filter(terminal => !terminal.hidden)
+    .map(terminal => ({
+      icon: isFavorite(dirId, terminal.id) ? '⭐' : '☆',
+      label: getTerminalDisplayName(terminal),
+      onClick: async () => {
+        await toggleFavorite(dirId, terminal.id);
+        onChange?.();
+      },
+    }))
+    .concat([
+      { separator: true },
+      {
+        icon: '🏷️',
+        label: t('ui.favorites.addCustom'),
+        onClick: () => showFavoriteModal(dirId),
+      },
+    ]);
+}
+
+/**
+ * 開啟新增/編輯最愛彈窗（設定啟動器與自訂顯示名稱）
+ * @param {number} dirId - 目錄 ID
+ * @param {string} [favoriteId] - 編輯的最愛 ID（未指定時為新增）
+ */
+export async function showFavoriteModal(dirId, favoriteId) {
+  const config = getConfig();
+  const dir = config.directories.find(d => d.id === dirId);
+  if (!dir) return;
+  const existing = config.favorites?.find(f => f.id === favoriteId);
+
+  await importDirectoriesModule();
+  const content =
+    '<div class="modal-form">' +
+    '<div class="input-group"><label for="modalFavoriteLabel">' +
+    escapeHtml(t('ui.favorites.label')) +
+    '</label><input type="text" id="modalFavoriteLabel" maxlength="' +
+    MAX_FAVORITE_LABEL_LENGTH +
+    '" placeholder="' +
+    escapeAttr(dir.name) +
+    '" value="' +
+    escapeAttr(existing?.label || '') +
+    '" /><small class="hint">' +
+    escapeHtml(t('ui.favorites.labelHint')) +
+    '</small></div>' +
+    '<div class="input-group"><label for="modalFavoriteTerminal">' +
+    escapeHtml(t('ui.favorites.launcher')) +
+    '</label><select id="modalFavoriteTerminal">' +
+    getTerminalOptionsHtml(
+      existing?.terminalId || '',
+      t('ui.favorites.directoryLauncher', { name: getTerminalName(resolveTerminalId(dir)) })
+    ) +
+    '</select></div>' +
+    '</div>';
+
+  openModal({
+    title: existing ? t('ui.favorites.editTitle') : t('ui.favorites.addTitle'),
+    content,
+    confirmText: existing ? t('common.save') : t('common.add'),
+    onConfirm: async () => {
+      const label = normalizeFavoriteLabel(document.getElementById('modalFavoriteLabel').value);
+      const terminalId = document.getElementById('modalFavoriteTerminal').value;
+
+      if (!config.favorites) config.favorites = [];
+      const duplicate = findFavorite(config.favorites, dirId, terminalId);
+      if (duplicate && duplicate.id !== existing?.id) {
+        showToast(t('toast.favoriteExists'), 'error');
+        return false;
+      }
+
+      if (existing) {
+        if (terminalId) {
+          existing.terminalId = terminalId;
+        } else {
+          delete existing.terminalId;
+        }
+        if (label) {
+          existing.label = label;
+        } else {
+          delete existing.label;
+        }
+      } else {
+        config.favorites.push(createFavorite(config.favorites, dirId, terminalId, label));
+      }
+
+      await saveConfig();
+      showToast(t(existing ? 'toast.favoriteUpdated' : 'toast.addedToFavorites'), 'success');
+      refreshFavoritesViews();
+    },
+  });
 }
 
 /**
@@ -0,0 +1,123 @@
+/**
+ * 群組啟動模組
+ * 一次開啟群組（含子群組）中的所有目錄，並以單一 Toast 回報彙整結果
+ */
+import { getConfig, loadRecentLaunches } from '../state.js';
+import { api } from '../api.js';
+import { showToast } from './toast.js';
+import { openConfirmModal } from './modal.js';
+import { t } from '../i18n.js';
+import { getGroupDisplayName, getErrorMessage, getErrorActions } from '../utils/terminal.js';
+import { getDescendantIds } from '../utils/group-tree.js';
+
+/**
+ * 取得群組（含子群組）中的目錄數量
+ * @param {string} groupId - 群組 ID
+ * @returns {number}
+ */
+export function getGroupLaunchCount(groupId) {
+  const config = getConfig();
+  const groupIds = new Set([groupId, ...getDescendantIds(config.groups, groupId)]);
+  return config.directories.filter(d => groupIds.has(d.group || 'default')).length;
+}
+
+/**
+ * 開啟群組中的所有目錄並以單一 Toast 回報結果
+ * @param {string} groupId - 群組 ID
+ * @param {Function} [onSuccess] - 至少一個目錄成功開啟後的回調函數
+ */
+export async function launchGroup(groupId, onSuccess) {
+  const config = getConfig();
+  const group = config.groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  const name = getGroupDisplayName(group);
+  const result = await api.launchGroup(groupId);
+
+  if (result.error) {
+    showToast(t('toast.groupLaunchFailed', { name, error: result.error }), 'error');
+    return;
+  }
+
+  // 每個目錄都已寫入啟動歷史
+  await loadRecentLaunches();
+  if (result.succeeded > 0 && onSuccess) {
+    onSuccess();
+  }
+
+  if (result.success) {
+    showToast(t('toast.groupLaunched', { name, count: result.results.length }), 'success');
+    return;
+  }
+
+  // 彙整失敗目錄的訊息與行動按鈕（相同按鈕只顯示一次）
+  const failedResults = result.results.filter(item => !item.success);
+  const details = failedResults
+    .map(item => item.directoryName + ': ' + getErrorMessage(item))
+    .join('; ');
+  const actions = [];
+  const seenLabels = new Set();
+  failedResults.forEach(item => {
+    const dir = config.directories.find(d => d.id === item.directoryId);
+    getErrorActions(item, dir).forEach(action => {
+      if (!seenLabels.has(action.label)) {
+        seenLabels.add(action.label);
+        actions.push(action);
+      }
+    });
+  });
+
+  const summary = result.partial
+    ? t('toast.groupLaunchPartial', {
+        name,
+        failed: result.failed,
+        total: result.results.length,
+      })
+    : t('toast.groupLaunchAllFailed', { name });
+
+  showToast(summary + ' ' + details, result.partial ? 'warning' : 'error', {
+    actions,
+    duration: 6000,
+  });
+}
+
+/**
+ * 確認後開啟群組中的所有目錄
+ * @param {string} groupId - 群組 ID
+ * @param {Function} [onSuccess] - 至少一個目錄成功開啟後的回調函數
+ */
+export function confirmLaunchGroup(groupId, onSuccess) {
+  const config = getConfig();
+  const group = config.groups.find(g => g.id === groupId);
+  const count = getGroupLaunchCount(groupId);
+  if (!group || count === 0) return;
+
+  openConfirmModal({
+    title: t('ui.groups.launchTitle'),
+    message: t('ui.groups.launchConfirm', { name: getGroupDisplayName(group), count }),
+    confirmText: t('ui.groups.launchAll'),
+    onConfirm: () => {
+      launchGroup(groupId, onSuccess);
+      return true;
+    },
+  });
+}
+
+/**
+ * 產生群組右鍵選單項目（群組沒有目錄時為空陣列）
+ * @param {string} groupId - 群組 ID
+ * @param {Function} [onSuccess] - 至少一個目錄成功開啟後的回調函數
+ * @returns {Object[]} 選單項目
+ */
+export function buildGroupMenuItems(groupId, onSuccess) {
+  const count = getGroupLaunchCount(groupId);
+  if (count === 0) return [];
+
+  return [
+    {
+      icon: '🚀',
+      label: t('contextMenu.launchGroup', { count }),
+      onClick: () => confirmLaunchGroup(groupId, onSuccess),
+    },
+  ];
+}
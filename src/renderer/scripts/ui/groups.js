@@ -1,20 +1,41 @@
 /**
  * 群組 Tab 模組
- * 處理群組的顯示與管理
+ * 處理群組的顯示與管理（巢狀群組以可收合的樹狀結構顯示）
  */
 import { getConfig, saveConfig } from '../state.js';
 import { showToast } from './toast.js';
 import { t } from '../i18n.js';
 import { openModal } from './modal.js';
-import { renderGroupFilter, renderDirectories } from './directories.js';
+import {
+  renderGroupFilter,
+  renderDirectories,
+  getGroupOptionsHtml,
+  getTerminalOptionsHtml,
+} from './directories.js';
 import { initGroupsDragDrop } from './dragDrop.js';
 import { escapeHtml, escapeAttr } from '../utils/escape.js';
 import { getElement } from '../utils/dom-cache.js';
 import { debounce } from '../utils/debounce.js';
-import { getGroupDisplayName } from '../utils/terminal.js';
+import { getGroupDisplayName, getTerminalIcon, getTerminalName } from '../utils/terminal.js';
+import { matchText, highlightMatches } from '../utils/fuzzy.js';
+import { registerCommand } from '../utils/commands.js';
+import { getSmartGroupsListHtml, showSmartGroupModal, deleteSmartGroup } from './smartGroups.js';
+import { buildGroupMenuItems } from './groupLaunch.js';
+import { showContextMenu } from './contextMenu.js';
+import {
+  buildGroupTree,
+  flattenGroupTree,
+  getDescendantIds,
+  getAncestors,
+  getGroupPathName,
+  getTerminalOverrideDirectories,
+  moveGroup,
+} from '../utils/group-tree.js';
 
 // 事件委派初始化標記
 let groupsDelegationInitialized = false;
+// 已收合子群組的群組 ID
+const collapsedGroupIds = new Set();
 
 /**
  * 取得或重建空狀態元素
@@ -50,12 +71,187 @@ function getDirectoryCount(groupId) {
 }
 
 /**
- * 取得所有群組（按 order 排序）
- * @returns {Array} 排序後的群組
+ * 取得群組與其所有子孫群組 ID（不可作為該群組的新父群組）
+ * @param {string} groupId - 群組 ID
+ * @returns {string[]}
+ */
+function getSubtreeIds(groupId) {
+  return [groupId, ...getDescendantIds(getConfig().groups, groupId)];
+}
+
+/**
+ * 產生父群組選擇欄位 HTML（用於新增/編輯群組彈窗）
+ * @param {string|null} selectedId - 目前的父群組 ID
+ * @param {string} [groupId] - 編輯中的群組 ID（不可選擇自己與子孫群組）
+ * @returns {string}
+ */
+function getParentFieldHtml(selectedId, groupId) {
+  return (
+    '<div class="input-group"><label for="modalGroupParent">' +
+    escapeHtml(t('ui.groups.parent')) +
+    '</label><select id="modalGroupParent"><option value="">' +
+    escapeHtml(t('ui.groups.noParent')) +
+    '</option>' +
+    getGroupOptionsHtml(selectedId, groupId ? getSubtreeIds(groupId) : []) +
+    '</select></div>'
+  );
+}
+
+/**
+ * 產生群組預設啟動器欄位 HTML（未設定時沿用父群組或全域預設啟動器）
+ * @param {string} [selectedId] - 目前的預設啟動器 ID
+ * @returns {string}
+ */
+function getLauncherFieldHtml(selectedId) {
+  return (
+    '<div class="input-group"><label for="modalGroupTerminal">' +
+    escapeHtml(t('ui.groups.defaultLauncher')) +
+    '</label><select id="modalGroupTerminal">' +
+    getTerminalOptionsHtml(selectedId, t('ui.groups.inheritLauncher')) +
+    '</select><small class="hint">' +
+    escapeHtml(t('ui.groups.defaultLauncherHint')) +
+    '</small></div>'
+  );
+}
+
+/**
+ * 產生「群組內的目錄改用群組預設啟動器」選項 HTML（沒有自訂啟動器的目錄時不顯示）
+ * @param {number} count - 群組（含子群組）中自訂啟動器的目錄數量
+ * @returns {string}
  */
-function getSortedGroups() {
+function getResetLaunchersFieldHtml(count) {
+  if (count === 0) return '';
+  return (
+    '<div class="input-group"><label class="checkbox-label">' +
+    '<input type="checkbox" id="modalGroupResetLaunchers" /><span>' +
+    escapeHtml(t('ui.groups.resetDirectoryLaunchers', { count })) +
+    '</span></label></div>'
+  );
+}
+
+/**
+ * 產生群組卡片 HTML
+ * @param {Object} group - 群組物件
+ * @param {Object} options - 顯示選項
+ * @param {Object|null} options.match - 搜尋相符結果
+ * @param {number} options.childCount - 子群組數量
+ * @param {boolean} options.showToggle - 是否顯示子群組收合按鈕（搜尋時為扁平列表）
+ * @returns {string}
+ */
+function getGroupCardHtml(group, { match, childCount, showToggle }) {
   const config = getConfig();
-  return [...config.groups].sort((a, b) => (a.order || 0) - (b.order || 0));
+  const displayName = getGroupDisplayName(group);
+  const dirCount = getDirectoryCount(group.id);
+  const collapsed = collapsedGroupIds.has(group.id);
+
+  let toggleHtml = '';
+  if (showToggle) {
+    toggleHtml =
+      childCount > 0
+        ? '<button class="group-card-toggle" data-toggle-group-node="' +
+          escapeAttr(group.id) +
+          '" aria-expanded="' +
+          !collapsed +
+          '" aria-label="' +
+          escapeAttr(t('ui.groups.toggleSubgroups', { name: displayName })) +
+          '">' +
+          (collapsed ? '▶' : '▼') +
+          '</button>'
+        : '<span class="group-card-toggle"></span>';
+  }
+
+  // 搜尋結果為扁平列表，以父群組路徑表示位置
+  const ancestors = showToggle ? [] : getAncestors(config.groups, group.id);
+  const pathHtml =
+    ancestors.length > 0
+      ? '<span class="group-card-path">' +
+        escapeHtml(ancestors.map(getGroupDisplayName).join(' / ') + ' / ') +
+        '</span>'
+      : '';
+
+  return (
+    '<div class="group-card' +
+    (group.isDefault ? ' default' : '') +
+    '" data-group-id="' +
+    escapeAttr(group.id) +
+    '" tabindex="0" role="button"><div class="drag-handle" title="' +
+    escapeAttr(t('ui.groups.dragHint')) +
+    '">⋮⋮</div>' +
+    toggleHtml +
+    '<div class="group-card-icon">' +
+    escapeHtml(group.icon || '📁') +
+    '</div><div class="group-card-info"><div class="group-card-name">' +
+    pathHtml +
+    highlightMatches(displayName, match?.positions) +
+    (group.isDefault
+      ? '<span class="default-badge">' + escapeHtml(t('ui.groups.defaultBadge')) + '</span>'
+      : '') +
+    '</div><div class="group-card-count">' +
+    escapeHtml(t('ui.groups.directoryCount', { count: dirCount })) +
+    (childCount > 0
+      ? ' · ' + escapeHtml(t('ui.groups.subgroupCount', { count: childCount }))
+      : '') +
+    (group.terminalId
+      ? ' · ' +
+        escapeHtml(
+          t('ui.groups.launcherLabel', {
+            icon: getTerminalIcon(group.terminalId),
+            name: getTerminalName(group.terminalId),
+          })
+        )
+      : '') +
+    '</div></div><div class="group-card-actions">' +
+    (group.isDefault
+      ? ''
+      : '<button class="btn-icon edit" data-edit-group="' +
+        escapeAttr(group.id) +
+        '" title="' +
+        escapeAttr(t('common.edit')) +
+        '" aria-label="' +
+        escapeAttr(t('ui.groups.editGroup', { name: displayName })) +
+        '">✏️</button><button class="btn-icon delete" data-delete-group="' +
+        escapeAttr(group.id) +
+        '" title="' +
+        escapeAttr(t('common.delete')) +
+        '" aria-label="' +
+        escapeAttr(t('ui.groups.deleteGroupLabel', { name: displayName })) +
+        '">🗑️</button>') +
+    '</div></div>'
+  );
+}
+
+/**
+ * 產生群組樹狀節點 HTML（群組卡片與可收合的子群組）
+ * @param {Object} node - buildGroupTree 的節點
+ * @returns {string}
+ */
+function getGroupNodeHtml(node) {
+  const collapsed = node.children.length > 0 && collapsedGroupIds.has(node.group.id);
+  return (
+    '<div class="group-node' +
+    (collapsed ? ' collapsed' : '') +
+    '" data-group-id="' +
+    escapeAttr(node.group.id) +
+    '">' +
+    getGroupCardHtml(node.group, {
+      match: null,
+      childCount: node.children.length,
+      showToggle: true,
+    }) +
+    (node.children.length > 0
+      ? '<div class="group-children">' + node.children.map(getGroupNodeHtml).join('') + '</div>'
+      : '') +
+    '</div>'
+  );
+}
+
+/**
+ * 群組階層變更後重新渲染相關視圖
+ */
+function refreshGroupViews() {
+  renderGroupsTab();
+  renderGroupFilter();
+  renderDirectories();
 }
 
 /**
@@ -65,20 +261,25 @@ export function renderGroupsTab() {
   const container = getElement('groupsListContainer');
   if (!container) return;
 
+  const config = getConfig();
   const emptyState = getOrCreateEmptyState();
   const searchInput = getElement('groupsSearchInput');
-  const search = searchInput?.value?.toLowerCase() || '';
-
-  let groups = getSortedGroups();
-
-  if (search) {
-    groups = groups.filter(g => {
-      const displayName = getGroupDisplayName(g);
-      return displayName.toLowerCase().includes(search);
-    });
-  }
-
-  if (groups.length === 0) {
+  const search = searchInput?.value?.trim() || '';
+
+  // 搜尋結果為扁平列表，依相符分數排序，同分時保留樹狀順序
+  const groups = search
+    ? flattenGroupTree(buildGroupTree(config.groups))
+        .map(({ group }, index) => ({
+          group,
+          match: matchText(search, getGroupDisplayName(group)),
+          index,
+        }))
+        .filter(result => result.match)
+        .sort((a, b) => b.match.score - a.match.score || a.index - b.index)
+    : config.groups;
+  const smartGroupsHtml = getSmartGroupsListHtml(search);
+
+  if (groups.length === 0 && !smartGroupsHtml) {
     container.innerHTML = '';
     container.appendChild(emptyState);
     emptyState.classList.remove('hidden');
@@ -97,50 +298,50 @@ export function renderGroupsTab() {
 
   container.innerHTML =
     '<div class="groups-grid">' +
-    groups
-      .map(group => {
-        const displayName = getGroupDisplayName(group);
-        const dirCount = getDirectoryCount(group.id);
-
-        return (
-          '<div class="group-card' +
-          (group.isDefault ? ' default' : '') +
-          '" data-group-id="' +
-          escapeAttr(group.id) +
-          '" tabindex="0" role="button"><div class="drag-handle" title="' +
-          escapeAttr(t('ui.favorites.dragHint')) +
-          '">⋮⋮</div><div class="group-card-icon">' +
-          escapeHtml(group.icon || '📁') +
-          '</div><div class="group-card-info"><div class="group-card-name">' +
-          escapeHtml(displayName) +
-          (group.isDefault
-            ? '<span class="default-badge">' + escapeHtml(t('ui.groups.defaultBadge')) + '</span>'
-            : '') +
-          '</div><div class="group-card-count">' +
-          escapeHtml(t('ui.groups.directoryCount', { count: dirCount })) +
-          '</div></div><div class="group-card-actions">' +
-          (group.isDefault
-            ? ''
-            : '<button class="btn-icon edit" data-edit-group="' +
+    (search
+      ? groups
+          .map(
+            ({ group, match }) =>
+              '<div class="group-node" data-group-id="' +
               escapeAttr(group.id) +
-              '" title="' +
-              escapeAttr(t('common.edit')) +
-              '" aria-label="' +
-              escapeAttr(t('ui.groups.editGroup', { name: displayName })) +
-              '">✏️</button><button class="btn-icon delete" data-delete-group="' +
-              escapeAttr(group.id) +
-              '" title="' +
-              escapeAttr(t('common.delete')) +
-              '" aria-label="' +
-              escapeAttr(t('ui.groups.deleteGroupLabel', { name: displayName })) +
-              '">🗑️</button>') +
-          '</div></div>'
-        );
-      })
-      .join('') +
-    '</div>';
+              '">' +
+              getGroupCardHtml(group, {
+                match,
+                childCount: config.groups.filter(g => g.parentId === group.id).length,
+                showToggle: false,
+              }) +
+              '</div>'
+          )
+          .join('')
+      : buildGroupTree(config.groups).map(getGroupNodeHtml).join('')) +
+    '</div>' +
+    smartGroupsHtml;
 
-  initGroupsDragDrop();
+  initGroupsDragDrop(refreshGroupViews);
+}
+
+/**
+ * 切換群組的子群組收合狀態
+ * @param {string} groupId - 群組 ID
+ */
+function toggleGroupNode(groupId) {
+  const node = document.querySelector(
+    '#groupsListContainer .group-node[data-group-id="' + groupId + '"]'
+  );
+  if (!node) return;
+
+  const collapsed = node.classList.toggle('collapsed');
+  if (collapsed) {
+    collapsedGroupIds.add(groupId);
+  } else {
+    collapsedGroupIds.delete(groupId);
+  }
+
+  const btn = node.querySelector('[data-toggle-group-node]');
+  if (btn) {
+    btn.textContent = collapsed ? '▶' : '▼';
+    btn.setAttribute('aria-expanded', (!collapsed).toString());
+  }
 }
 
 /**
@@ -155,6 +356,14 @@ function initGroupsEventDelegation() {
 
   // 處理點擊事件
   const handleClick = e => {
+    // 子群組收合按鈕（雙擊時不重複切換）
+    const toggleBtn = e.target.closest('[data-toggle-group-node]');
+    if (toggleBtn) {
+      e.stopPropagation();
+      if (e.type === 'click') toggleGroupNode(toggleBtn.dataset.toggleGroupNode);
+      return;
+    }
+
     // 檢查是否點擊編輯按鈕
     const editBtn = e.target.closest('[data-edit-group]');
     if (editBtn) {
@@ -171,6 +380,27 @@ function initGroupsEventDelegation() {
       return;
     }
 
+    // 智慧群組的編輯與刪除
+    const editSmartBtn = e.target.closest('[data-edit-smart-group]');
+    if (editSmartBtn) {
+      e.stopPropagation();
+      showSmartGroupModal(editSmartBtn.dataset.editSmartGroup, refreshGroupViews);
+      return;
+    }
+
+    const deleteSmartBtn = e.target.closest('[data-delete-smart-group]');
+    if (deleteSmartBtn) {
+      e.stopPropagation();
+      deleteSmartGroup(deleteSmartBtn.dataset.deleteSmartGroup, refreshGroupViews);
+      return;
+    }
+
+    const smartCard = e.target.closest('.group-card.smart');
+    if (smartCard && !e.target.closest('.btn-icon')) {
+      showSmartGroupModal(smartCard.dataset.smartGroupId, refreshGroupViews);
+      return;
+    }
+
     // 檢查是否點擊群組卡片（但不是按鈕）
     const card = e.target.closest('.group-card');
     if (card && !e.target.closest('.btn-icon')) {
@@ -186,11 +416,28 @@ function initGroupsEventDelegation() {
   container.addEventListener('click', handleClick);
   container.addEventListener('dblclick', handleClick);
 
+  // 右鍵選單（開啟群組中的所有目錄）
+  container.addEventListener('contextmenu', e => {
+    const card = e.target.closest('.group-card:not(.smart)');
+    if (!card) return;
+    const items = buildGroupMenuItems(card.dataset.groupId, renderDirectories);
+    if (items.length > 0) {
+      showContextMenu(e, items);
+    }
+  });
+
   // 處理鍵盤事件
   container.addEventListener('keydown', e => {
     if (e.key === 'Enter') {
+      const smartCard = e.target.closest('.group-card.smart');
+      if (smartCard && !e.target.closest('.btn-icon')) {
+        e.preventDefault();
+        showSmartGroupModal(smartCard.dataset.smartGroupId, refreshGroupViews);
+        return;
+      }
+
       const card = e.target.closest('.group-card');
-      if (card && !e.target.closest('.btn-icon')) {
+      if (card && !e.target.closest('.btn-icon, [data-toggle-group-node]')) {
         e.preventDefault();
         const groupId = card.dataset.groupId;
         const config = getConfig();
@@ -227,6 +474,8 @@ export function showAddGroupModal() {
     '" />' +
     '</div>' +
     '</div>' +
+    getParentFieldHtml(null) +
+    getLauncherFieldHtml('') +
     '</div>';
 
   openModal({
@@ -249,15 +498,24 @@ export function showAddGroupModal() {
         return false;
       }
 
-      const maxOrder = Math.max(...config.groups.map(g => g.order || 0), -1);
+      // 新群組排在同一層的最後
+      const parent = document.getElementById('modalGroupParent').value || null;
+      const siblings = config.groups.filter(g => (g.parentId || null) === parent);
+      const maxOrder = Math.max(...siblings.map(g => g.order || 0), -1);
 
-      config.groups.push({
+      const newGroup = {
         id: 'group-' + Date.now(),
         name,
         icon,
         isDefault: false,
         order: maxOrder + 1,
-      });
+        parentId: parent,
+      };
+      const terminalId = document.getElementById('modalGroupTerminal').value;
+      if (terminalId) {
+        newGroup.terminalId = terminalId;
+      }
+      config.groups.push(newGroup);
 
       await saveConfig();
       renderGroupsTab();
@@ -282,6 +540,9 @@ function showEditGroupModal(groupId) {
   const group = config.groups.find(g => g.id === groupId);
   if (!group || group.isDefault) return;
 
+  // 已自訂啟動器的目錄不會沿用群組預設啟動器，可選擇一併改為沿用
+  const overrides = getTerminalOverrideDirectories(config.directories, config.groups, groupId);
+
   const content =
     '<div class="modal-form">' +
     '<div class="input-row">' +
@@ -304,6 +565,9 @@ function showEditGroupModal(groupId) {
     '" />' +
     '</div>' +
     '</div>' +
+    getParentFieldHtml(group.parentId || null, groupId) +
+    getLauncherFieldHtml(group.terminalId) +
+    getResetLaunchersFieldHtml(overrides.length) +
     '</div>';
 
   openModal({
@@ -328,11 +592,24 @@ function showEditGroupModal(groupId) {
       group.name = name;
       group.icon = icon;
 
-      await saveConfig();
-      renderGroupsTab();
-      renderGroupFilter();
+      const terminalId = document.getElementById('modalGroupTerminal').value;
+      if (terminalId) {
+        group.terminalId = terminalId;
+      } else {
+        delete group.terminalId;
+      }
+      if (document.getElementById('modalGroupResetLaunchers')?.checked) {
+        overrides.forEach(dir => delete dir.terminalId);
+      }
+
+      // 變更父群組時移到新父群組的最後（選項已排除自己與子孫群組）
+      const parent = document.getElementById('modalGroupParent').value || null;
+      if (parent !== (group.parentId || null)) {
+        moveGroup(config.groups, groupId, parent, 'into');
+      }
 
-      renderDirectories();
+      await saveConfig();
+      refreshGroupViews();
       showToast(t('toast.groupUpdated'), 'success');
       return true;
     },
@@ -368,19 +645,64 @@ function showDeleteGroupModal(groupId) {
       '</label></div>';
   }
 
+  // 子群組：移到被刪除群組的父群組（預設），或移到指定群組下
+  const children = config.groups
+    .filter(g => g.parentId === groupId)
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+  if (children.length > 0) {
+    const promoteLabel = group.parentId
+      ? t('ui.groups.promoteSubgroupsTo', {
+          name: getGroupPathName(config.groups, group.parentId, getGroupDisplayName),
+        })
+      : t('ui.groups.promoteSubgroups');
+
+    content +=
+      '<p class="warning">' +
+      escapeHtml(t('ui.groups.deleteHasSubgroups', { count: children.length })) +
+      '</p><div class="radio-group"><label><input type="radio" name="subgroupAction" value="promote" checked /> ' +
+      escapeHtml(promoteLabel) +
+      '</label><label><input type="radio" name="subgroupAction" value="move" /> ' +
+      escapeHtml(t('ui.groups.moveSubgroups')) +
+      '</label><select id="modalSubgroupTarget" aria-label="' +
+      escapeAttr(t('ui.groups.moveSubgroups')) +
+      '">' +
+      getGroupOptionsHtml(null, getSubtreeIds(groupId)) +
+      '</select></div>';
+  }
+
   openModal({
     title: t('ui.groups.deleteTitle'),
     content,
     confirmText: t('ui.groups.confirmDelete'),
     confirmClass: 'btn-danger',
+    onOpen: () => {
+      // 選擇目標群組時自動切換為「移到指定群組」
+      document.getElementById('modalSubgroupTarget')?.addEventListener('change', () => {
+        document.querySelector('input[name="subgroupAction"][value="move"]').checked = true;
+      });
+    },
     onConfirm: async () => {
       const action = document.querySelector('input[name="deleteAction"]:checked')?.value || 'move';
+      const subgroupAction =
+        document.querySelector('input[name="subgroupAction"]:checked')?.value || 'promote';
+
+      if (subgroupAction === 'move') {
+        const targetId = document.getElementById('modalSubgroupTarget').value;
+        children.forEach(child => moveGroup(config.groups, child.id, targetId, 'into'));
+      } else {
+        // 依序排在被刪除群組的位置
+        let previousId = groupId;
+        children.forEach(child => {
+          moveGroup(config.groups, child.id, previousId, 'after');
+          previousId = child.id;
+        });
+      }
 
       if (action === 'delete') {
         config.directories = config.directories.filter(d => d.group !== groupId);
         config.favorites =
-          config.favorites?.filter(id => {
-            return config.directories.some(d => d.id === id);
+          config.favorites?.filter(favorite => {
+            return config.directories.some(d => d.id === favorite.directoryId);
           }) || [];
       } else {
         config.directories.forEach(d => {
@@ -391,10 +713,7 @@ function showDeleteGroupModal(groupId) {
       config.groups = config.groups.filter(g => g.id !== groupId);
       await saveConfig();
 
-      renderGroupsTab();
-      renderGroupFilter();
-
-      renderDirectories();
+      refreshGroupViews();
       showToast(t('toast.groupDeleted'), 'success');
       return true;
     },
@@ -415,6 +734,25 @@ export function setupGroupsEvents() {
     addBtn.addEventListener('click', showAddGroupModal);
   }
 
+  const addSmartBtn = getElement('btnAddSmartGroup');
+  if (addSmartBtn) {
+    addSmartBtn.addEventListener('click', () => showSmartGroupModal(null, refreshGroupViews));
+  }
+
   // 初始化事件委派
   initGroupsEventDelegation();
+
+  registerCommand({
+    id: 'group.add',
+    icon: '➕',
+    title: () => t('commands.addGroup'),
+    run: () => showAddGroupModal(),
+  });
+
+  registerCommand({
+    id: 'smartGroup.add',
+    icon: '🔎',
+    title: () => t('commands.addSmartGroup'),
+    run: () => showSmartGroupModal(null, refreshGroupViews),
+  });
 }
@@ -0,0 +1,272 @@
+/**
+ * 目錄快捷鍵模組
+ * 將全域快捷鍵綁定到目錄 + 啟動器，於設定頁面列出各綁定的註冊狀態
+ */
+import { getConfig, saveConfig } from '../state.js';
+import { api } from '../api.js';
+import { t } from '../i18n.js';
+import { showToast } from './toast.js';
+import { openModal, createFormField } from './modal.js';
+import { escapeHtml, escapeAttr } from '../utils/escape.js';
+import { getShortcutFromEvent } from '../utils/shortcuts.js';
+import { getTerminalDisplayName, getTerminalName } from '../utils/terminal.js';
+import { registerCommand } from '../utils/commands.js';
+
+// 保留快捷鍵的設定鍵對應的名稱
+const RESERVED_SHORTCUT_KEYS = {
+  globalShortcut: 'ui.settings.general.globalShortcut',
+  paletteShortcut: 'ui.settings.general.paletteShortcut',
+};
+
+/**
+ * 取得快捷鍵綁定的目標描述（目錄名稱 → 啟動器）
+ * @param {Object} hotkey - 目錄快捷鍵
+ * @returns {string}
+ */
+export function getHotkeyTargetLabel(hotkey) {
+  const dir = getConfig().directories.find(d => d.id === hotkey.directoryId);
+  if (!dir) return t('ui.settings.hotkeys.missingDirectory');
+
+  const launcher = hotkey.terminalId
+    ? getTerminalName(hotkey.terminalId)
+    : t('ui.settings.hotkeys.defaultLauncher');
+  return (dir.icon || '📁') + ' ' + dir.name + ' → ' + launcher;
+}
+
+/**
+ * 取得註冊狀態說明
+ * @param {Object|undefined} status - 註冊結果 { success, errorType?, conflictWith?, target? }
+ * @returns {string} 註冊成功時為空字串
+ */
+function getStatusMessage(status) {
+  if (!status || status.success) return '';
+
+  switch (status.errorType) {
+    case 'CONFLICT': {
+      const reservedKey = RESERVED_SHORTCUT_KEYS[status.conflictWith];
+      const other = getConfig().hotkeys?.find(h => h.id === status.conflictWith);
+      const name = reservedKey ? t(reservedKey) : other ? getHotkeyTargetLabel(other) : '';
+      return t('ui.settings.hotkeys.statusConflict', { name });
+    }
+    case 'ALREADY_REGISTERED':
+      return t('ui.settings.hotkeys.statusOccupied');
+    case 'TARGET_NOT_FOUND':
+      return status.target === 'launcher'
+        ? t('ui.settings.hotkeys.missingLauncher')
+        : t('ui.settings.hotkeys.missingDirectory');
+    default:
+      return t('ui.settings.hotkeys.statusFailed');
+  }
+}
+
+/**
+ * 取得目錄快捷鍵的註冊狀態
+ * @returns {Promise<Map<string, Object>>} 快捷鍵 ID → 註冊結果
+ */
+async function getHotkeyStatuses() {
+  const status = await api.getShortcutStatus();
+  return new Map((status?.hotkeys || []).map(result => [result.id, result]));
+}
+
+/**
+ * 渲染設定頁面的目錄快捷鍵列表
+ */
+export async function renderHotkeyList() {
+  const container = document.getElementById('hotkeyList');
+  if (!container) return;
+
+  const hotkeys = getConfig().hotkeys || [];
+  if (hotkeys.length === 0) {
+    container.innerHTML =
+      '<small class="hint">' + escapeHtml(t('ui.settings.hotkeys.empty')) + '</small>';
+    return;
+  }
+
+  const statuses = await getHotkeyStatuses();
+  container.innerHTML = hotkeys
+    .map(hotkey => {
+      const message = getStatusMessage(statuses.get(hotkey.id));
+      return (
+        '<div class="hotkey-item" data-hotkey-id="' +
+        escapeAttr(hotkey.id) +
+        '"><kbd class="hotkey-accelerator">' +
+        escapeHtml(hotkey.accelerator) +
+        '</kbd><span class="hotkey-target">' +
+        escapeHtml(getHotkeyTargetLabel(hotkey)) +
+        '</span><span class="hotkey-status' +
+        (message ? ' error' : '') +
+        '" title="' +
+        escapeAttr(message || t('ui.settings.hotkeys.statusActive')) +
+        '">' +
+        (message ? '⚠️ ' + escapeHtml(message) : '✓') +
+        '</span><button type="button" class="btn-icon" data-hotkey-action="edit" title="' +
+        escapeAttr(t('common.edit')) +
+        '">✏️</button><button type="button" class="btn-icon delete" data-hotkey-action="delete" title="' +
+        escapeAttr(t('common.delete')) +
+        '">✕</button></div>'
+      );
+    })
+    .join('');
+}
+
+/**
+ * 開啟新增/編輯目錄快捷鍵彈窗
+ * @param {Object} [options]
+ * @param {string} [options.hotkeyId] - 編輯的快捷鍵 ID
+ * @param {number} [options.directoryId] - 預設選取的目錄
+ * @param {string} [options.terminalId] - 預設選取的啟動器
+ */
+export function openHotkeyModal({ hotkeyId, directoryId, terminalId } = {}) {
+  const config = getConfig();
+  const existing = config.hotkeys?.find(h => h.id === hotkeyId);
+  const selectedDirectoryId = existing?.directoryId ?? directoryId ?? config.directories[0]?.id;
+
+  if (config.directories.length === 0) {
+    showToast(t('toast.hotkeyNoDirectories'), 'error');
+    return;
+  }
+
+  const content =
+    createFormField({
+      name: 'hotkeyDirectory',
+      label: t('ui.settings.hotkeys.directory'),
+      type: 'select',
+      value: String(selectedDirectoryId),
+      options: config.directories.map(d => ({
+        value: String(d.id),
+        label: (d.icon || '📁') + ' ' + d.name,
+      })),
+    }) +
+    createFormField({
+      name: 'hotkeyTerminal',
+      label: t('ui.settings.hotkeys.launcher'),
+      type: 'select',
+      value: existing?.terminalId ?? terminalId ?? '',
+      options: [
+        { value: '', label: t('ui.settings.hotkeys.defaultLauncher') },
+        ...config.terminals
+          .filter(terminal => !terminal.hidden)
+          .map(terminal => ({
+            value: terminal.id,
+            label: (terminal.icon || '💻') + ' ' + getTerminalDisplayName(terminal),
+          })),
+      ],
+    }) +
+    createFormField({
+      name: 'hotkeyAccelerator',
+      label: t('ui.settings.hotkeys.accelerator'),
+      value: existing?.accelerator || '',
+      placeholder: t('toast.pressShortcut'),
+      hint: t('ui.settings.hotkeys.acceleratorHint'),
+      className: 'shortcut-input',
+    });
+
+  openModal({
+    id: 'hotkey-modal',
+    title: existing ? t('ui.settings.hotkeys.editTitle') : t('ui.settings.hotkeys.addTitle'),
+    content,
+    onOpen: modal => {
+      const input = modal.querySelector('[name="hotkeyAccelerator"]');
+      input.readOnly = true;
+      input.addEventListener('keydown', e => {
+        // Tab 與 Escape 保留給彈窗的焦點切換與關閉
+        if ((e.key === 'Tab' || e.key === 'Escape') && !e.ctrlKey && !e.altKey) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const result = getShortcutFromEvent(e);
+        if (result?.hasModifier) {
+          input.value = result.shortcut;
+        }
+      });
+    },
+    onConfirm: async () => {
+      const modal = document.getElementById('hotkey-modal');
+      const accelerator = modal.querySelector('[name="hotkeyAccelerator"]').value;
+      if (!accelerator) {
+        showToast(t('toast.shortcutNeedsModifier'), 'error');
+        return false;
+      }
+
+      const hotkey = {
+        id: existing?.id || 'hotkey-' + Date.now(),
+        accelerator,
+        directoryId: parseInt(modal.querySelector('[name="hotkeyDirectory"]').value, 10),
+      };
+      const selectedTerminalId = modal.querySelector('[name="hotkeyTerminal"]').value;
+      if (selectedTerminalId) {
+        hotkey.terminalId = selectedTerminalId;
+      }
+
+      await saveHotkey(hotkey);
+    },
+  });
+}
+
+/**
+ * 儲存目錄快捷鍵並顯示註冊結果
+ * @param {Object} hotkey - 目錄快捷鍵
+ */
+async function saveHotkey(hotkey) {
+  const config = getConfig();
+  if (!config.hotkeys) {
+    config.hotkeys = [];
+  }
+  const index = config.hotkeys.findIndex(h => h.id === hotkey.id);
+  if (index === -1) {
+    config.hotkeys.push(hotkey);
+  } else {
+    config.hotkeys[index] = hotkey;
+  }
+  await saveConfig();
+
+  // 儲存配置後主進程會重新註冊快捷鍵
+  const message = getStatusMessage((await getHotkeyStatuses()).get(hotkey.id));
+  if (message) {
+    showToast(
+      t('toast.hotkeyNotRegistered', { shortcut: hotkey.accelerator, reason: message }),
+      'warning'
+    );
+  } else {
+    showToast(t('toast.shortcutUpdated', { shortcut: hotkey.accelerator }), 'success');
+  }
+  await renderHotkeyList();
+}
+
+/**
+ * 刪除目錄快捷鍵
+ * @param {string} hotkeyId - 快捷鍵 ID
+ */
+async function deleteHotkey(hotkeyId) {
+  const config = getConfig();
+  config.hotkeys = (config.hotkeys || []).filter(h => h.id !== hotkeyId);
+  await saveConfig();
+  await renderHotkeyList();
+  showToast(t('toast.hotkeyDeleted'), 'success');
+}
+
+/**
+ * 設定目錄快捷鍵事件
+ */
+export function setupHotkeyEvents() {
+  document.getElementById('btnAddHotkey')?.addEventListener('click', () => openHotkeyModal());
+
+  document.getElementById('hotkeyList')?.addEventListener('click', e => {
+    const button = e.target.closest('[data-hotkey-action]');
+    if (!button) return;
+
+    const hotkeyId = button.closest('.hotkey-item').dataset.hotkeyId;
+    if (button.dataset.hotkeyAction === 'edit') {
+      openHotkeyModal({ hotkeyId });
+    } else {
+      deleteHotkey(hotkeyId);
+    }
+  });
+
+  registerCommand({
+    id: 'hotkey.add',
+    icon: '⌨️',
+    title: () => t('commands.addHotkey'),
+    run: () => openHotkeyModal(),
+  });
+}
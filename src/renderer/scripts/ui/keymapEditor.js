@@ -0,0 +1,222 @@
+/**
+ * 應用內快捷鍵設定模組
+ * 於設定頁面列出可重新綁定的動作，錄製按鍵、偵測衝突與還原預設
+ */
+import { getConfig, saveConfig } from '../state.js';
+import { t } from '../i18n.js';
+import { showToast } from './toast.js';
+import { getHotkeyTargetLabel } from './hotkeys.js';
+import { escapeHtml, escapeAttr } from '../utils/escape.js';
+import {
+  DEFAULT_KEYMAP,
+  LAUNCH_ACTION_PREFIX,
+  isBindableShortcut,
+  findShortcutConflict,
+  toKeymapOverrides,
+} from '../utils/keymap.js';
+import { getAppKeymap, getShortcutFromEvent, getShortcutSetting } from '../utils/shortcuts.js';
+
+// 動作名稱對應的翻譯鍵（切換分頁與「以第 N 個啟動器開啟」另行組合）
+const ACTION_LABEL_KEYS = {
+  'directory.add': 'commands.addDirectory',
+  'search.focus': 'commands.focusSearch',
+  'commandPalette.open': 'ui.shortcuts.commandPalette',
+  'selection.toggleFavorite': 'ui.settings.keymap.toggleFavorite',
+  'selection.edit': 'ui.settings.keymap.editSelected',
+};
+
+// 全域快捷鍵設定鍵對應的名稱
+const GLOBAL_SHORTCUT_LABEL_KEYS = {
+  globalShortcut: 'ui.settings.general.globalShortcut',
+  paletteShortcut: 'ui.settings.general.paletteShortcut',
+};
+
+// 正在錄製的動作（同時只錄製一個）
+let recording = null;
+
+/**
+ * 取得動作的顯示名稱
+ * @param {string} actionId - 動作 ID
+ * @returns {string}
+ */
+export function getKeymapActionLabel(actionId) {
+  if (actionId.startsWith('tab.')) {
+    return t('commands.switchTab', { tab: t('ui.tabs.' + actionId.slice(4) + 'Text') });
+  }
+  if (actionId.startsWith(LAUNCH_ACTION_PREFIX)) {
+    return t('ui.settings.keymap.launchWith', { n: actionId.slice(LAUNCH_ACTION_PREFIX.length) });
+  }
+  return t(ACTION_LABEL_KEYS[actionId]);
+}
+
+/**
+ * 取得已使用的快捷鍵（應用內動作、全域快捷鍵與目錄快捷鍵）
+ * @returns {Object} { 佔用者 ID: 快捷鍵 }
+ */
+function getShortcutOwners() {
+  const owners = {
+    ...getAppKeymap(),
+    globalShortcut: getShortcutSetting('globalShortcut'),
+    paletteShortcut: getShortcutSetting('paletteShortcut'),
+  };
+  for (const hotkey of getConfig().hotkeys || []) {
+    owners[hotkey.id] = hotkey.accelerator;
+  }
+  return owners;
+}
+
+/**
+ * 取得佔用者的顯示名稱
+ * @param {string} ownerId - 佔用者 ID
+ * @returns {string}
+ */
+function getOwnerLabel(ownerId) {
+  if (Object.hasOwn(DEFAULT_KEYMAP, ownerId)) return getKeymapActionLabel(ownerId);
+  if (GLOBAL_SHORTCUT_LABEL_KEYS[ownerId]) return t(GLOBAL_SHORTCUT_LABEL_KEYS[ownerId]);
+
+  const hotkey = getConfig().hotkeys?.find(h => h.id === ownerId);
+  return hotkey ? getHotkeyTargetLabel(hotkey) : ownerId;
+}
+
+/**
+ * 渲染設定頁面的應用內快捷鍵列表
+ */
+export function renderKeymapSettings() {
+  const container = document.getElementById('keymapList');
+  if (!container) return;
+
+  const keymap = getAppKeymap();
+  container.innerHTML = Object.keys(DEFAULT_KEYMAP)
+    .map(actionId => {
+      const shortcut = keymap[actionId];
+      const modified = shortcut !== DEFAULT_KEYMAP[actionId];
+      return (
+        '<div class="keymap-item' +
+        (modified ? ' modified' : '') +
+        '" data-keymap-action="' +
+        escapeAttr(actionId) +
+        '"><span class="keymap-label">' +
+        escapeHtml(getKeymapActionLabel(actionId)) +
+        '</span><button type="button" class="keymap-binding" data-keymap-record title="' +
+        escapeAttr(t('ui.settings.keymap.record')) +
+        '">' +
+        escapeHtml(shortcut || t('ui.settings.keymap.disabled')) +
+        '</button><button type="button" class="btn-icon" data-keymap-clear title="' +
+        escapeAttr(t('ui.settings.keymap.clear')) +
+        '"' +
+        (shortcut ? '' : ' disabled') +
+        '>✕</button></div>'
+      );
+    })
+    .join('');
+}
+
+/**
+ * 儲存動作的快捷鍵（只記錄與預設不同者）
+ * @param {string} actionId - 動作 ID
+ * @param {string} shortcut - 快捷鍵，空字串表示停用
+ */
+async function saveKeybinding(actionId, shortcut) {
+  const config = getConfig();
+  config.settings.keymap = toKeymapOverrides({ ...getAppKeymap(), [actionId]: shortcut });
+  await saveConfig();
+  renderKeymapSettings();
+}
+
+/**
+ * 結束錄製、還原按鈕文字並移除事件監聽
+ */
+function stopRecording() {
+  if (!recording) return;
+  recording.button.textContent = recording.originalText;
+  recording.button.classList.remove('recording');
+  document.removeEventListener('keydown', recording.handler, true);
+  document.removeEventListener('click', recording.cancelHandler, true);
+  recording = null;
+}
+
+/**
+ * 錄製動作的快捷鍵
+ * @param {HTMLElement} button - 按鍵顯示按鈕
+ * @param {string} actionId - 動作 ID
+ */
+function recordKeybinding(button, actionId) {
+  stopRecording();
+  const originalText = button.textContent;
+  button.textContent = t('toast.pressShortcut');
+  button.classList.add('recording');
+
+  // 以捕獲階段攔截，避免錄製時觸發既有的快捷鍵
+  const handler = async e => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      stopRecording();
+      return;
+    }
+
+    const result = getShortcutFromEvent(e);
+    if (!result) return;
+
+    const { shortcut } = result;
+    if (!isBindableShortcut(shortcut)) {
+      showToast(t('toast.keymapNeedsModifier'), 'error');
+      return;
+    }
+
+    const conflict = findShortcutConflict(shortcut, getShortcutOwners(), actionId);
+    if (conflict) {
+      showToast(t('toast.keymapConflict', { shortcut, name: getOwnerLabel(conflict) }), 'error');
+      return;
+    }
+
+    stopRecording();
+    await saveKeybinding(actionId, shortcut);
+    showToast(t('toast.shortcutUpdated', { shortcut }), 'success');
+  };
+
+  // 點擊其他地方取消錄製
+  const cancelHandler = e => {
+    if (e.target !== button) {
+      stopRecording();
+    }
+  };
+
+  recording = { button, originalText, handler, cancelHandler };
+  document.addEventListener('keydown', handler, true);
+  document.addEventListener('click', cancelHandler, true);
+}
+
+/**
+ * 還原所有應用內快捷鍵為預設值
+ */
+async function resetKeymap() {
+  stopRecording();
+  const config = getConfig();
+  config.settings.keymap = {};
+  await saveConfig();
+  renderKeymapSettings();
+  showToast(t('toast.keymapReset'), 'success');
+}
+
+/**
+ * 設定應用內快捷鍵事件
+ */
+export function setupKeymapEvents() {
+  document.getElementById('btnResetKeymap')?.addEventListener('click', resetKeymap);
+
+  document.getElementById('keymapList')?.addEventListener('click', async e => {
+    const item = e.target.closest('.keymap-item');
+    if (!item) return;
+
+    const actionId = item.dataset.keymapAction;
+    const recordButton = e.target.closest('[data-keymap-record]');
+    if (recordButton) {
+      recordKeybinding(recordButton, actionId);
+    } else if (e.target.closest('[data-keymap-clear]')) {
+      await saveKeybinding(actionId, '');
+      showToast(t('toast.keymapCleared'), 'success');
+    }
+  });
+}
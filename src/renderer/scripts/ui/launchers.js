@@ -10,8 +10,12 @@ import { openModal } from './modal.js';
 import { renderDirectories } from './directories.js';
 import { escapeHtml, escapeAttr } from '../utils/escape.js';
 import { initTerminalsDragDrop } from './dragDrop.js';
-import { getTerminalDisplayName } from '../utils/terminal.js';
+import { getTerminalDisplayName, hasPathPlaceholder } from '../utils/terminal.js';
 import { debounce } from '../utils/debounce.js';
+import { matchText, highlightMatches } from '../utils/fuzzy.js';
+import { findFavorite } from '../utils/favorites.js';
+import { registerCommands } from '../utils/commands.js';
+import { switchTab } from './tabs.js';
 
 /**
  * 探測結果快取
@@ -39,6 +43,16 @@ export async function detectTerminals() {
   return detectedTerminalsCache;
 }
 
+/**
+ * 重新探測已安裝的啟動器並更新探測狀態
+ */
+export async function redetectTerminals() {
+  detectedTerminalsCache = null;
+  switchTab('launchers');
+  await renderTerminalDetectionStatus();
+  showToast(t('toast.terminalsRedetected'), 'success');
+}
+
 /**
  * 取得當前平台
  * @returns {Promise<string>} 平台名稱
@@ -50,6 +64,26 @@ async function getPlatform() {
   return platformCache;
 }
 
+/**
+ * 取得容器 CLI 項目（各平台共用）
+ * @param {Object} detected - 探測結果
+ * @returns {Array} 啟動器項目列表
+ */
+function getContainerCliItems(detected) {
+  return [
+    {
+      name: 'Docker',
+      icon: '🐳',
+      installed: detected.docker,
+    },
+    {
+      name: 'Dev Container CLI',
+      icon: '📦',
+      installed: detected.devcontainer,
+    },
+  ];
+}
+
 /**
  * 取得 Windows 平台的啟動器項目
  * @param {Object} detected - 探測結果
@@ -86,6 +120,7 @@ function getWindowsTerminalItems(detected) {
       icon: '📟',
       installed: detected.cmd,
     },
+    ...getContainerCliItems(detected),
   ];
 }
 
@@ -126,6 +161,17 @@ function getMacOSTerminalItems(detected) {
       icon: '🚀',
       installed: detected.warp,
     },
+    {
+      name: 'tmux',
+      icon: '🪟',
+      installed: detected.tmux,
+    },
+    {
+      name: 'zellij',
+      icon: '🧱',
+      installed: detected.zellij,
+    },
+    ...getContainerCliItems(detected),
   ];
 }
 
@@ -176,6 +222,17 @@ function getLinuxTerminalItems(detected) {
       icon: '🐭',
       installed: detected.xfce4Terminal,
     },
+    {
+      name: 'tmux',
+      icon: '🪟',
+      installed: detected.tmux,
+    },
+    {
+      name: 'zellij',
+      icon: '🧱',
+      installed: detected.zellij,
+    },
+    ...getContainerCliItems(detected),
   ];
 }
 
@@ -242,15 +299,27 @@ export function renderTerminalsList() {
 
   // 搜尋過濾
   const searchInput = document.getElementById('launchersSearchInput');
-  const search = searchInput?.value?.toLowerCase() || '';
+  const search = searchInput?.value?.trim() || '';
 
-  let terminals = config.terminals;
+  // 依名稱（權重較高）或命令模糊比對，並依相符分數排序
+  let terminals = config.terminals.map(terminal => ({
+    terminal,
+    nameMatch: null,
+    commandMatch: null,
+  }));
   if (search) {
-    terminals = terminals.filter(
-      terminal =>
-        terminal.name.toLowerCase().includes(search) ||
-        terminal.command.toLowerCase().includes(search)
-    );
+    terminals = terminals
+      .map(({ terminal }, index) => {
+        const nameMatch = matchText(search, getTerminalDisplayName(terminal));
+        const commandMatch = matchText(search, terminal.command);
+        const score = Math.max(
+          nameMatch ? nameMatch.score * 2 : -Infinity,
+          commandMatch ? commandMatch.score : -Infinity
+        );
+        return { terminal, nameMatch, commandMatch, score, index };
+      })
+      .filter(result => result.nameMatch || result.commandMatch)
+      .sort((a, b) => b.score - a.score || a.index - b.index);
   }
 
   // 搜尋無結果時顯示空狀態
@@ -266,7 +335,7 @@ export function renderTerminalsList() {
 
   container.innerHTML = terminals
     .map(
-      terminal =>
+      ({ terminal, nameMatch, commandMatch }) =>
         '<div class="terminal-item' +
         (terminal.isBuiltin ? ' builtin' : '') +
         (terminal.hidden ? ' hidden-terminal' : '') +
@@ -277,12 +346,12 @@ export function renderTerminalsList() {
         '">⋮⋮</div><div class="terminal-item-info"><span class="terminal-icon">' +
         escapeHtml(terminal.icon) +
         '</span><div class="terminal-details"><span class="terminal-name">' +
-        escapeHtml(getTerminalDisplayName(terminal)) +
+        highlightMatches(getTerminalDisplayName(terminal), nameMatch?.positions) +
         (terminal.isBuiltin
           ? '<span class="builtin-badge">' + escapeHtml(t('ui.launchers.builtin')) + '</span>'
           : '') +
         '</span><span class="terminal-command">' +
-        escapeHtml(terminal.command) +
+        highlightMatches(terminal.command, commandMatch?.positions) +
         '</span></div></div><div class="terminal-actions">' +
         (terminal.isBuiltin
           ? '<label class="switch switch-sm" title="' +
@@ -358,6 +427,117 @@ async function toggleTerminalHidden(terminalId) {
   await saveConfig();
 }
 
+/**
+ * 產生選填下拉欄位的 HTML（第一個選項為「無」）
+ * @param {Object} field - 欄位設定
+ * @param {string} field.id - select 元素 ID
+ * @param {string} field.labelKey - 標籤翻譯鍵
+ * @param {string} field.hintKey - 提示翻譯鍵
+ * @param {Array<{ value: string, label: string }>} field.options - 選項
+ * @param {string} [selected] - 目前的值
+ * @returns {string} HTML
+ */
+function getOptionalSelectFieldHtml(field, selected) {
+  const options = [{ value: '', label: t('ui.launchers.optionNone') }, ...field.options];
+
+  return (
+    '<div class="input-group">' +
+    '<label>' +
+    t(field.labelKey) +
+    '</label>' +
+    '<select id="' +
+    field.id +
+    '">' +
+    options
+      .map(
+        option =>
+          '<option value="' +
+          option.value +
+          '"' +
+          (option.value === (selected || '') ? ' selected' : '') +
+          '>' +
+          option.label +
+          '</option>'
+      )
+      .join('') +
+    '</select>' +
+    '<small class="hint">' +
+    t(field.hintKey) +
+    '</small>' +
+    '</div>'
+  );
+}
+
+/**
+ * 產生多工器與容器欄位的 HTML
+ * @param {Object} [terminal] - 啟動器（編輯時提供）
+ * @returns {string} HTML
+ */
+function getSessionFieldsHtml(terminal) {
+  return (
+    getOptionalSelectFieldHtml(
+      {
+        id: 'modalTerminalMultiplexer',
+        labelKey: 'ui.launchers.multiplexer',
+        hintKey: 'ui.launchers.multiplexerHint',
+        options: [
+          { value: 'tmux', label: 'tmux' },
+          { value: 'zellij', label: 'zellij' },
+        ],
+      },
+      terminal?.multiplexer
+    ) +
+    getOptionalSelectFieldHtml(
+      {
+        id: 'modalTerminalContainer',
+        labelKey: 'ui.launchers.container',
+        hintKey: 'ui.launchers.containerHint',
+        options: [
+          { value: 'docker', label: 'docker exec' },
+          { value: 'devcontainer', label: 'devcontainer exec' },
+        ],
+      },
+      terminal?.container
+    )
+  );
+}
+
+/**
+ * 讀取並驗證多工器與容器欄位
+ * @param {string} command - 命令模板
+ * @returns {{ multiplexer: string, container: string, errorKey?: string }}
+ */
+function readSessionFields(command) {
+  const multiplexer = document.getElementById('modalTerminalMultiplexer').value;
+  const container = document.getElementById('modalTerminalContainer').value;
+
+  if (multiplexer && container) {
+    return { multiplexer, container, errorKey: 'toast.terminalMuxAndContainer' };
+  }
+  if (multiplexer && !command.includes('{mux}')) {
+    return { multiplexer, container, errorKey: 'toast.terminalCommandNeedsMux' };
+  }
+  if (container && !command.includes('{container}')) {
+    return { multiplexer, container, errorKey: 'toast.terminalCommandNeedsContainer' };
+  }
+  return { multiplexer, container };
+}
+
+/**
+ * 套用多工器與容器設定（未選擇時移除欄位）
+ * @param {Object} terminal - 啟動器
+ * @param {Object} fields - readSessionFields 的結果
+ */
+function applySessionFields(terminal, fields) {
+  for (const key of ['multiplexer', 'container']) {
+    if (fields[key]) {
+      terminal[key] = fields[key];
+    } else {
+      delete terminal[key];
+    }
+  }
+}
+
 /**
  * 顯示新增啟動器彈窗
  */
@@ -395,6 +575,18 @@ export function showAddTerminalModal() {
     '</div>' +
     '<div class="input-group">' +
     '<label>' +
+    t('ui.launchers.remoteCommand') +
+    '</label>' +
+    '<input type="text" id="modalTerminalRemoteCommand" class="mono-input" placeholder="' +
+    escapeAttr(t('ui.launchers.remoteCommandPlaceholder')) +
+    '" />' +
+    '<small class="hint">' +
+    t('ui.launchers.remoteCommandHint') +
+    '</small>' +
+    '</div>' +
+    getSessionFieldsHtml() +
+    '<div class="input-group">' +
+    '<label>' +
     t('ui.launchers.pathFormat') +
     '</label>' +
     '<select id="modalTerminalPathFormat">' +
@@ -416,6 +608,7 @@ export function showAddTerminalModal() {
       const name = document.getElementById('modalTerminalName').value.trim();
       const icon = document.getElementById('modalTerminalIcon').value.trim() || '💻';
       const command = document.getElementById('modalTerminalCommand').value.trim();
+      const remoteCommand = document.getElementById('modalTerminalRemoteCommand').value.trim();
       const pathFormat = document.getElementById('modalTerminalPathFormat').value;
 
       if (!name) {
@@ -426,21 +619,35 @@ export function showAddTerminalModal() {
         showToast(t('toast.terminalCommandRequired'), 'error');
         return false;
       }
-      if (!command.includes('{path}')) {
+      if (!hasPathPlaceholder(command)) {
         showToast(t('toast.terminalCommandNeedsPath'), 'error');
         return false;
       }
+      if (remoteCommand && !/\{(ssh|host)\}/.test(remoteCommand)) {
+        showToast(t('toast.terminalRemoteCommandNeedsSsh'), 'error');
+        return false;
+      }
+      const sessionFields = readSessionFields(command);
+      if (sessionFields.errorKey) {
+        showToast(t(sessionFields.errorKey), 'error');
+        return false;
+      }
 
       const config = getConfig();
       const newId = 'custom-' + Date.now();
-      config.terminals.push({
+      const newTerminal = {
         id: newId,
         name,
         icon,
         command,
         pathFormat,
         isBuiltin: false,
-      });
+      };
+      if (remoteCommand) {
+        newTerminal.remoteCommand = remoteCommand;
+      }
+      applySessionFields(newTerminal, sessionFields);
+      config.terminals.push(newTerminal);
 
       await saveConfig();
       renderTerminalsList();
@@ -495,6 +702,20 @@ function showEditTerminalModal(terminalId) {
     '</div>' +
     '<div class="input-group">' +
     '<label>' +
+    t('ui.launchers.remoteCommand') +
+    '</label>' +
+    '<input type="text" id="modalTerminalRemoteCommand" value="' +
+    escapeAttr(terminal.remoteCommand || '') +
+    '" class="mono-input" placeholder="' +
+    escapeAttr(t('ui.launchers.remoteCommandPlaceholder')) +
+    '" />' +
+    '<small class="hint">' +
+    t('ui.launchers.remoteCommandHint') +
+    '</small>' +
+    '</div>' +
+    getSessionFieldsHtml(terminal) +
+    '<div class="input-group">' +
+    '<label>' +
     t('ui.launchers.pathFormat') +
     '</label>' +
     '<select id="modalTerminalPathFormat">' +
@@ -520,6 +741,7 @@ function showEditTerminalModal(terminalId) {
       const name = document.getElementById('modalTerminalName').value.trim();
       const icon = document.getElementById('modalTerminalIcon').value.trim() || '💻';
       const command = document.getElementById('modalTerminalCommand').value.trim();
+      const remoteCommand = document.getElementById('modalTerminalRemoteCommand').value.trim();
       const pathFormat = document.getElementById('modalTerminalPathFormat').value;
 
       if (!name) {
@@ -530,10 +752,19 @@ function showEditTerminalModal(terminalId) {
         showToast(t('toast.terminalCommandRequired'), 'error');
         return false;
       }
-      if (!command.includes('{path}')) {
+      if (!hasPathPlaceholder(command)) {
         showToast(t('toast.terminalCommandNeedsPath'), 'error');
         return false;
       }
+      if (remoteCommand && !/\{(ssh|host)\}/.test(remoteCommand)) {
+        showToast(t('toast.terminalRemoteCommandNeedsSsh'), 'error');
+        return false;
+      }
+      const sessionFields = readSessionFields(command);
+      if (sessionFields.errorKey) {
+        showToast(t(sessionFields.errorKey), 'error');
+        return false;
+      }
 
       const terminalIndex = config.terminals.findIndex(t => t.id === terminalId);
       if (terminalIndex !== -1) {
@@ -544,6 +775,12 @@ function showEditTerminalModal(terminalId) {
           command,
           pathFormat,
         };
+        if (remoteCommand) {
+          config.terminals[terminalIndex].remoteCommand = remoteCommand;
+        } else {
+          delete config.terminals[terminalIndex].remoteCommand;
+        }
+        applySessionFields(config.terminals[terminalIndex], sessionFields);
         await saveConfig();
         renderTerminalsList();
 
@@ -564,18 +801,52 @@ function showDeleteTerminalModal(terminalId) {
   const terminal = config.terminals?.find(t => t.id === terminalId);
   if (!terminal || terminal.isBuiltin) return;
 
-  // 計算使用此啟動器的目錄數量
+  // 計算使用此啟動器的目錄、群組、工作區步驟、最愛、目錄快捷鍵與智慧群組規則數量
   const dirCount = config.directories.filter(d => d.terminalId === terminalId).length;
+  const groupCount = config.groups.filter(g => g.terminalId === terminalId).length;
+  const stepCount = (config.workspaces || []).reduce(
+    (count, w) => count + w.steps.filter(step => step.terminalId === terminalId).length,
+    0
+  );
+  const favoriteCount = (config.favorites || []).filter(f => f.terminalId === terminalId).length;
+  const hotkeyCount = (config.hotkeys || []).filter(h => h.terminalId === terminalId).length;
+  const isLauncherRule = rule => rule.type === 'launcher' && rule.value === terminalId;
+  const smartRuleCount = (config.smartGroups || []).reduce(
+    (count, smartGroup) => count + smartGroup.rules.filter(isLauncherRule).length,
+    0
+  );
+  const hasUsages =
+    dirCount > 0 ||
+    groupCount > 0 ||
+    stepCount > 0 ||
+    favoriteCount > 0 ||
+    hotkeyCount > 0 ||
+    smartRuleCount > 0;
 
   // 其他可用的啟動器
   const otherTerminals = config.terminals.filter(t => t.id !== terminalId);
 
   let content = '<p>' + t('ui.launchers.deleteConfirm', { name: terminal.name }) + '</p>';
 
-  if (dirCount > 0) {
+  if (hasUsages) {
+    const usages = [];
+    if (dirCount > 0) usages.push(t('ui.launchers.deleteHasDirectories', { count: dirCount }));
+    if (groupCount > 0) usages.push(t('ui.launchers.deleteHasGroups', { count: groupCount }));
+    if (stepCount > 0) {
+      usages.push(t('ui.launchers.deleteHasWorkspaceSteps', { count: stepCount }));
+    }
+    if (favoriteCount > 0) {
+      usages.push(t('ui.launchers.deleteHasFavorites', { count: favoriteCount }));
+    }
+    if (hotkeyCount > 0) {
+      usages.push(t('ui.launchers.deleteHasHotkeys', { count: hotkeyCount }));
+    }
+    if (smartRuleCount > 0) {
+      usages.push(t('ui.launchers.deleteHasSmartGroupRules', { count: smartRuleCount }));
+    }
     content +=
       '<p class="warning">' +
-      t('ui.launchers.deleteHasDirectories', { count: dirCount }) +
+      usages.join(' ') +
       '</p>' +
       '<div class="input-group">' +
       '<label>' +
@@ -604,14 +875,45 @@ function showDeleteTerminalModal(terminalId) {
     confirmText: t('ui.launchers.confirmDelete'),
     confirmClass: 'btn-danger',
     onConfirm: async () => {
-      // 替換使用此啟動器的目錄
-      if (dirCount > 0) {
+      // 替換使用此啟動器的目錄、群組、工作區步驟、最愛、目錄快捷鍵與智慧群組規則
+      if (hasUsages) {
         const replaceId = document.getElementById('modalReplaceTerminal').value;
         config.directories.forEach(dir => {
           if (dir.terminalId === terminalId) {
             dir.terminalId = replaceId;
           }
         });
+        config.groups.forEach(group => {
+          if (group.terminalId === terminalId) {
+            group.terminalId = replaceId;
+          }
+        });
+        (config.workspaces || []).forEach(w => {
+          w.steps.forEach(step => {
+            if (step.terminalId === terminalId) {
+              step.terminalId = replaceId;
+            }
+          });
+        });
+        // 已有相同目錄與替代啟動器的最愛時，移除重複的項目
+        config.favorites = (config.favorites || []).filter(favorite => {
+          if (favorite.terminalId !== terminalId) return true;
+          if (findFavorite(config.favorites, favorite.directoryId, replaceId)) return false;
+          favorite.terminalId = replaceId;
+          return true;
+        });
+        (config.hotkeys || []).forEach(hotkey => {
+          if (hotkey.terminalId === terminalId) {
+            hotkey.terminalId = replaceId;
+          }
+        });
+        (config.smartGroups || []).forEach(smartGroup => {
+          smartGroup.rules.forEach(rule => {
+            if (isLauncherRule(rule)) {
+              rule.value = replaceId;
+            }
+          });
+        });
       }
 
       config.terminals = config.terminals.filter(t => t.id !== terminalId);
@@ -751,4 +1053,25 @@ export function setupLaunchersEvents() {
   if (searchInput) {
     searchInput.addEventListener('input', debounce(renderTerminalsList, 150));
   }
+
+  registerCommands([
+    {
+      id: 'launcher.add',
+      icon: '➕',
+      title: () => t('commands.addLauncher'),
+      run: () => showAddTerminalModal(),
+    },
+    {
+      id: 'launcher.detect',
+      icon: '🔍',
+      title: () => t('commands.detectLaunchers'),
+      run: () => redetectTerminals(),
+    },
+    {
+      id: 'launcher.guide',
+      icon: '📖',
+      title: () => t('commands.launcherGuide'),
+      run: () => showLauncherGuideModal(),
+    },
+  ]);
 }
@@ -11,6 +11,9 @@ let currentModal = null;
 // 開啟彈窗前的聚焦元素（關閉後還原焦點）
 let previouslyFocusedElement = null;
 
+// 開啟彈窗前聚焦的鍵盤導覽列表（聚焦元素已被重新渲染時改為聚焦列表的目前項目）
+let previouslyFocusedList = null;
+
 /**
  * 彈窗類型定義
  */
@@ -94,6 +97,7 @@ function createModalElement(options) {
 export function openModal(options) {
   // 記錄當前聚焦元素（關閉後還原）
   previouslyFocusedElement = document.activeElement;
+  previouslyFocusedList = document.activeElement?.closest('[data-roving-focus]') || null;
 
   // 先關閉現有彈窗
   if (currentModal) {
@@ -211,10 +215,14 @@ export function closeModal() {
     currentModal = null;
 
     // 還原開啟前的聚焦元素
-    if (previouslyFocusedElement && typeof previouslyFocusedElement.focus === 'function') {
-      previouslyFocusedElement.focus();
-      previouslyFocusedElement = null;
+    const target = previouslyFocusedElement?.isConnected
+      ? previouslyFocusedElement
+      : previouslyFocusedList?.querySelector('[tabindex="0"]');
+    if (target && typeof target.focus === 'function') {
+      target.focus();
     }
+    previouslyFocusedElement = null;
+    previouslyFocusedList = null;
   }, 200);
 }
 
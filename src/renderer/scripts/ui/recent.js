@@ -1,63 +1,62 @@
 /**
  * 最近使用 Tab 模組
- * 處理最近使用目錄的顯示與管理
+ * 處理最近使用目錄的顯示與管理（依主進程的啟動歷史彙整）
  */
-import { getConfig, saveConfig, isPathValid } from '../state.js';
+import {
+  getConfig,
+  isDirectoryPathValid,
+  getRecentLaunches,
+  loadRecentLaunches,
+} from '../state.js';
+import { api } from '../api.js';
 import { showToast } from './toast.js';
 import { t } from '../i18n.js';
+import { getTagChipsHtml } from './tags.js';
 import { showContextMenu } from './contextMenu.js';
-import { isFavorite, toggleFavorite } from './favorites.js';
+import { openConfirmModal } from './modal.js';
+import {
+  isFavorite,
+  hasFavorite,
+  toggleFavorite,
+  buildFavoriteLauncherMenuItems,
+} from './favorites.js';
 import { debounce } from '../utils/debounce.js';
 import {
   openTerminal as openTerminalUtil,
   openTerminalWithType as openTerminalWithTypeUtil,
-  getTerminalDisplayName,
-  getDefaultTerminalId,
+  buildLauncherMenuItems,
+  resolveTerminalId,
   getTerminalIcon,
   getTerminalName,
 } from '../utils/terminal.js';
 import { escapeHtml, escapeAttr } from '../utils/escape.js';
+import { formatDirectoryLocation } from '../utils/remote.js';
 import { getElement } from '../utils/dom-cache.js';
+import { formatRelativeTime } from '../utils/time.js';
+import { getGitStatusTagHtml } from '../utils/git.js';
+import { searchDirectories, getDirectorySearchTarget, highlightMatches } from '../utils/fuzzy.js';
+import { setupRovingFocus, resetRovingFocus } from '../utils/roving-focus.js';
 
 /**
- * 格式化相對時間
- * @param {number} timestamp - 時間戳
- * @returns {string} 相對時間字串
+ * 取得最近使用時要開啟的啟動器（上次使用的啟動器已刪除或隱藏時改用目錄預設）
+ * @param {Object} item - 啟動歷史彙整
+ * @param {Object} dir - 目錄物件
+ * @returns {string} 啟動器 ID
  */
-function formatRelativeTime(timestamp) {
-  if (!timestamp) return '';
-
-  const now = Date.now();
-  const diff = now - timestamp;
-  const seconds = Math.floor(diff / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
-
-  if (days > 0) {
-    return t('ui.recent.daysAgo', { count: days });
-  }
-  if (hours > 0) {
-    return t('ui.recent.hoursAgo', { count: hours });
-  }
-  if (minutes > 0) {
-    return t('ui.recent.minutesAgo', { count: minutes });
-  }
-  return t('ui.recent.justNow');
+function getRecentTerminalId(item, dir) {
+  const config = getConfig();
+  const terminal = config.terminals?.find(t => t.id === item.terminalId);
+  return terminal && !terminal.hidden ? terminal.id : resolveTerminalId(dir);
 }
 
 /**
- * 取得最近使用的目錄列表
- * @returns {Array} 排序後的最近使用目錄
+ * 以上次使用的啟動器開啟最近使用的目錄
+ * @param {number} id - 目錄 ID
  */
-function getRecentDirectories() {
-  const config = getConfig();
-  const recentLimit = config.settings?.recentLimit || 10;
-
-  return config.directories
-    .filter(d => d.lastUsed)
-    .sort((a, b) => b.lastUsed - a.lastUsed)
-    .slice(0, recentLimit);
+function openRecent(id) {
+  const recent = getRecentLaunches().find(({ dir }) => dir.id === id);
+  if (!recent) return;
+  openTerminalWithTypeUtil(id, getRecentTerminalId(recent.item, recent.dir), renderRecentList);
 }
 
 /**
@@ -87,23 +86,21 @@ function getOrCreateEmptyState() {
  * 渲染最近使用列表
  */
 export function renderRecentList() {
-  const config = getConfig();
   const container = getElement('recentListContainer');
   if (!container) return;
 
   const emptyState = getOrCreateEmptyState();
   const searchInput = getElement('recentSearchInput');
-  const search = searchInput?.value?.toLowerCase() || '';
+  const search = searchInput?.value?.trim() || '';
 
-  let recentDirs = getRecentDirectories();
+  // 搜尋結果依相符分數排序，同分時保留最近使用順序
+  const recent = search
+    ? searchDirectories(search, getRecentLaunches(), ({ item, dir }) =>
+        getDirectorySearchTarget(dir, getRecentTerminalId(item, dir))
+      )
+    : getRecentLaunches().map(entry => ({ item: entry, highlights: null }));
 
-  if (search) {
-    recentDirs = recentDirs.filter(
-      d => d.name.toLowerCase().includes(search) || d.path.toLowerCase().includes(search)
-    );
-  }
-
-  if (recentDirs.length === 0) {
+  if (recent.length === 0) {
     container.innerHTML = '';
     container.appendChild(emptyState);
     emptyState.style.display = 'flex';
@@ -120,16 +117,18 @@ export function renderRecentList() {
 
   emptyState.style.display = 'none';
 
+  // 重新渲染前焦點在列表內時，渲染後聚焦回原本的項目
+  const hadFocus = container.contains(document.activeElement);
   container.innerHTML =
     '<div class="directory-list">' +
-    recentDirs
-      .map(dir => {
-        const terminalId = dir.terminalId || getDefaultTerminalId();
+    recent
+      .map(({ item: { item, dir }, highlights }) => {
+        const terminalId = getRecentTerminalId(item, dir);
         const terminalIcon = getTerminalIcon(terminalId);
         const terminalName = getTerminalName(terminalId);
-        const relativeTime = formatRelativeTime(dir.lastUsed);
-        const dirIsFavorite = config.favorites?.includes(dir.id);
-        const pathValid = isPathValid(dir.path);
+        const relativeTime = formatRelativeTime(item.lastUsed);
+        const dirIsFavorite = hasFavorite(dir.id);
+        const pathValid = isDirectoryPathValid(dir);
         const isInvalid = pathValid === false;
 
         return (
@@ -143,7 +142,7 @@ export function renderRecentList() {
           escapeHtml(terminalIcon) +
           '</div><div class="dir-info"><div class="dir-name">' +
           (dir.icon ? '<span class="dir-emoji">' + escapeHtml(dir.icon) + '</span>' : '') +
-          escapeHtml(dir.name) +
+          highlightMatches(dir.name, highlights?.name) +
           (isInvalid
             ? '<span class="path-warning" title="' +
               escapeAttr(t('ui.directory.pathInvalid')) +
@@ -151,12 +150,27 @@ export function renderRecentList() {
             : '') +
           (dirIsFavorite ? '<span class="favorite-badge">⭐</span>' : '') +
           '<span class="tag">' +
-          escapeHtml(terminalName) +
-          '</span></div><div class="dir-path">' +
-          escapeHtml(dir.path) +
+          highlightMatches(terminalName, highlights?.launcher) +
+          '</span>' +
+          getGitStatusTagHtml(dir) +
+          getTagChipsHtml(dir, highlights?.tags) +
+          '</div><div class="dir-path">' +
+          highlightMatches(formatDirectoryLocation(dir), highlights?.path) +
           '</div><div class="dir-meta"><span class="last-used">' +
           escapeHtml(relativeTime) +
-          '</span></div></div><div class="dir-actions"><button class="btn-icon delete" data-remove-recent="' +
+          '</span><span class="launch-count">' +
+          escapeHtml(t('ui.recent.launchCount', { count: item.count })) +
+          '</span>' +
+          (item.success === false
+            ? '<span class="launch-failed" title="' +
+              escapeAttr(
+                t('ui.recent.lastFailed') + (item.errorType ? ' (' + item.errorType + ')' : '')
+              ) +
+              '">' +
+              escapeHtml(t('ui.recent.lastFailed')) +
+              '</span>'
+            : '') +
+          '</div></div><div class="dir-actions"><button class="btn-icon delete" data-remove-recent="' +
           dir.id +
           '" title="' +
           escapeAttr(t('common.removeFromRecent')) +
@@ -167,6 +181,8 @@ export function renderRecentList() {
       })
       .join('') +
     '</div>';
+
+  resetRovingFocus(container, hadFocus);
 }
 
 /**
@@ -196,7 +212,7 @@ function initRecentEventDelegation() {
     const item = e.target.closest('.directory-item');
     if (item) {
       const id = parseInt(item.dataset.id, 10);
-      openTerminalUtil(id, renderRecentList);
+      openRecent(id);
     }
   });
 
@@ -210,15 +226,14 @@ function initRecentEventDelegation() {
       e.stopPropagation();
       const id = parseInt(removeBtn.dataset.removeRecent, 10);
       removeFromRecent(id);
-      return;
     }
+  });
 
-    const item = e.target.closest('.directory-item');
-    if (item) {
-      e.preventDefault();
-      const id = parseInt(item.dataset.id, 10);
-      openTerminalUtil(id, renderRecentList);
-    }
+  // 鍵盤導覽（Enter 開啟、Shift+Enter 選擇啟動器、Delete 確認後自最近使用移除）
+  setupRovingFocus(container, {
+    onActivate: openRecent,
+    onPickLauncher: (id, e) => showContextMenu(e, buildLauncherMenuItems(id, renderRecentList)),
+    onDelete: confirmRemoveFromRecent,
   });
 
   // 右鍵選單事件委派
@@ -253,24 +268,16 @@ function showRecentContextMenu(event, dirId) {
   const dirIsFavorite = isFavorite(dirId);
 
   // 構建終端子選單
-  const terminalSubmenu = config.terminals
-    .filter(terminal => !terminal.hidden)
-    .map(terminal => ({
-      icon: terminal.icon || '💻',
-      label: getTerminalDisplayName(terminal),
-      onClick: () => openTerminalWithTypeUtil(dirId, terminal.id, renderRecentList),
-    }));
-
   const menuItems = [
     {
-      icon: getTerminalIcon(dir.terminalId || getDefaultTerminalId()),
+      icon: getTerminalIcon(resolveTerminalId(dir)),
       label: t('contextMenu.openDefault'),
       onClick: () => openTerminalUtil(dirId, renderRecentList),
     },
     {
       icon: '▶',
       label: t('contextMenu.openWith'),
-      submenu: terminalSubmenu,
+      submenu: buildLauncherMenuItems(dirId, renderRecentList),
     },
     { separator: true },
     {
@@ -278,6 +285,11 @@ function showRecentContextMenu(event, dirId) {
       label: dirIsFavorite ? t('common.removeFromFavorites') : t('common.addToFavorites'),
       onClick: () => toggleFavoriteAndRefresh(dirId),
     },
+    {
+      icon: '⭐',
+      label: t('contextMenu.favoriteWith'),
+      submenu: buildFavoriteLauncherMenuItems(dirId, renderRecentList),
+    },
     { separator: true },
     {
       icon: '✕',
@@ -294,17 +306,30 @@ function showRecentContextMenu(event, dirId) {
  * @param {number} id - 目錄 ID
  */
 async function removeFromRecent(id) {
-  const config = getConfig();
-  const dir = config.directories.find(d => d.id === id);
-  if (!dir) return;
-
-  dir.lastUsed = null;
-  await saveConfig();
+  await api.removeRecent(id);
+  await loadRecentLaunches();
 
   renderRecentList();
   showToast(t('toast.removedFromRecent'), 'success');
 }
 
+/**
+ * 確認後從最近使用中移除
+ * @param {number} id - 目錄 ID
+ */
+function confirmRemoveFromRecent(id) {
+  const dir = getConfig().directories.find(d => d.id === id);
+  if (!dir) return;
+
+  openConfirmModal({
+    title: t('common.removeFromRecent'),
+    message: t('ui.recent.removeConfirm', { name: dir.name }),
+    confirmText: t('common.remove'),
+    danger: true,
+    onConfirm: () => removeFromRecent(id),
+  });
+}
+
 /**
  * 設定最近使用 Tab 的事件監聽
  */
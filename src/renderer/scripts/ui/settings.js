@@ -2,7 +2,7 @@
  * 設定頁面模組
  * 處理設定的顯示與儲存
  */
-import { getConfig, saveConfig, setConfig } from '../state.js';
+import { getConfig, saveConfig, setConfig, loadRecentLaunches } from '../state.js';
 import { api } from '../api.js';
 import { showToast } from './toast.js';
 import { t, changeLocale, getAvailableLocales } from '../i18n.js';
@@ -12,7 +12,11 @@ import { renderRecentList } from './recent.js';
 import { renderGroupsTab } from './groups.js';
 import { escapeHtml, escapeAttr } from '../utils/escape.js';
 import { renderLaunchersTab } from './launchers.js';
+import { renderHotkeyList, setupHotkeyEvents, getHotkeyTargetLabel } from './hotkeys.js';
+import { renderKeymapSettings, setupKeymapEvents, getKeymapActionLabel } from './keymapEditor.js';
 import { checkTabsOverflow } from './tabs.js';
+import { getShortcutSetting, getAppKeymap } from '../utils/shortcuts.js';
+import { registerCommands } from '../utils/commands.js';
 
 /**
  * 應用主題
@@ -42,6 +46,15 @@ export async function changeTheme() {
   showToast(theme === 'dark' ? t('toast.themeDark') : t('toast.themeLight'), 'success');
 }
 
+/**
+ * 切換深色/淺色主題
+ */
+async function toggleTheme() {
+  const select = document.getElementById('themeSelect');
+  select.value = getConfig().settings.theme === 'light' ? 'dark' : 'light';
+  await changeTheme();
+}
+
 /**
  * 變更 Tab 文字顯示
  */
@@ -124,6 +137,28 @@ export async function changeRecentLimit() {
   renderRecentList();
 }
 
+/**
+ * 變更最近使用排序方式（frecency 或最後使用時間）
+ */
+async function changeRecentSort() {
+  const config = getConfig();
+  config.settings.recentSort = document.getElementById('recentSort').value;
+  await saveConfig();
+  // 排序由主進程計算，需重新載入
+  await loadRecentLaunches();
+  renderRecentList();
+  renderDirectories();
+}
+
+/**
+ * 變更啟動檢查時間
+ */
+async function changeLaunchCheck() {
+  const config = getConfig();
+  config.settings.launchCheckMs = parseInt(document.getElementById('launchCheckMs').value, 10);
+  await saveConfig();
+}
+
 /**
  * 更新 MCP 狀態顯示
  */
@@ -169,6 +204,15 @@ async function changeMcpEnabled() {
   await updateMcpStatus();
 }
 
+/**
+ * 啟動或停止 MCP 伺服器（同步設定頁的開關）
+ * @param {boolean} enabled - 是否啟用
+ */
+async function setMcpEnabled(enabled) {
+  document.getElementById('mcpEnabled').checked = enabled;
+  await changeMcpEnabled();
+}
+
 /**
  * 變更 MCP 埠號
  */
@@ -316,7 +360,13 @@ export async function renderSettings() {
   document.getElementById('startMinimized').checked = config.settings.startMinimized;
   document.getElementById('minimizeToTray').checked = config.settings.minimizeToTray;
   document.getElementById('globalShortcut').value = config.settings.globalShortcut || 'Alt+Space';
+  document.getElementById('paletteShortcut').value = getShortcutSetting('paletteShortcut');
   document.getElementById('recentLimit').value = config.settings.recentLimit || 10;
+  document.getElementById('recentSort').value = config.settings.recentSort || 'frecency';
+  document.getElementById('launchCheckMs').value = String(config.settings.launchCheckMs ?? 1000);
+
+  await renderHotkeyList();
+  renderKeymapSettings();
 
   const autoLaunchEnabled = await api.getAutoLaunch();
   document.getElementById('autoLaunch').checked = autoLaunchEnabled;
@@ -363,11 +413,8 @@ export async function clearRecentHistory() {
     confirmText: t('ui.settings.recent.clearButton'),
     danger: true,
     onConfirm: async () => {
-      const config = getConfig();
-      config.directories.forEach(d => {
-        d.lastUsed = null;
-      });
-      await saveConfig();
+      await api.clearRecent();
+      await loadRecentLaunches();
       renderRecentList();
       showToast(t('toast.recentCleared'), 'success');
       return true;
@@ -379,15 +426,27 @@ export async function clearRecentHistory() {
  * 顯示快捷鍵彈窗
  */
 export function showShortcutsModal() {
-  const globalShortcuts = [{ key: 'Alt+Space', desc: t('ui.shortcuts.toggleWindow') }];
+  const globalShortcuts = [
+    { key: getShortcutSetting('globalShortcut'), desc: t('ui.shortcuts.toggleWindow') },
+  ];
+  const paletteShortcut = getShortcutSetting('paletteShortcut');
+  if (paletteShortcut) {
+    globalShortcuts.push({ key: paletteShortcut, desc: t('ui.shortcuts.togglePalette') });
+  }
+
+  // 目錄快捷鍵
+  for (const hotkey of getConfig().hotkeys || []) {
+    globalShortcuts.push({ key: hotkey.accelerator, desc: getHotkeyTargetLabel(hotkey) });
+  }
 
-  const appShortcuts = [
-    { key: 'Ctrl+1~6', desc: t('ui.shortcuts.switchTab') },
-    { key: 'Ctrl+N', desc: t('ui.shortcuts.addDirectory') },
-    { key: 'Ctrl+F', desc: t('ui.shortcuts.focusSearch') },
+  // 應用內快捷鍵依目前的對應表列出（停用的動作不列出）
+  const appShortcuts = Object.entries(getAppKeymap())
+    .filter(([, key]) => key)
+    .map(([actionId, key]) => ({ key, desc: getKeymapActionLabel(actionId) }));
+  appShortcuts.push(
     { key: 'Escape', desc: t('ui.shortcuts.closeModal') },
-    { key: 'Enter', desc: t('ui.shortcuts.openDirectory') },
-  ];
+    { key: 'Enter', desc: t('ui.shortcuts.openDirectory') }
+  );
 
   const renderShortcuts = shortcuts =>
     shortcuts
@@ -438,6 +497,16 @@ export async function openConfigDirectory() {
   }
 }
 
+/**
+ * 開啟日誌目錄
+ */
+export async function openLogsDirectory() {
+  const result = await api.openLogsDirectory();
+  if (!result.success) {
+    showToast(t('toast.openLogsFailed', { error: result.error }), 'error');
+  }
+}
+
 /**
  * 清除日誌
  */
@@ -476,6 +545,7 @@ export async function resetAllSettings() {
         renderDirectories();
         renderGroupsTab();
         renderLaunchersTab();
+        await loadRecentLaunches();
         renderRecentList();
         applyTheme(result.config.settings?.theme || 'dark');
         showToast(t('toast.settingsReset'), 'success');
@@ -689,6 +759,7 @@ export function importConfig() {
         await renderSettings();
         renderGroupsTab();
         renderLaunchersTab();
+        await loadRecentLaunches();
         renderRecentList();
         applyTheme(result.config.settings?.theme || 'dark');
 
@@ -716,6 +787,8 @@ export function setupSettingsEvents() {
   document.getElementById('startMinimized').addEventListener('change', saveSettings);
   document.getElementById('minimizeToTray').addEventListener('change', saveSettings);
   document.getElementById('recentLimit').addEventListener('change', changeRecentLimit);
+  document.getElementById('recentSort').addEventListener('change', changeRecentSort);
+  document.getElementById('launchCheckMs').addEventListener('change', changeLaunchCheck);
 
   document.getElementById('btnViewShortcuts')?.addEventListener('click', showShortcutsModal);
   document.getElementById('btnClearRecent')?.addEventListener('click', clearRecentHistory);
@@ -732,4 +805,76 @@ export function setupSettingsEvents() {
   document.getElementById('mcpPort')?.addEventListener('change', changeMcpPort);
   document.getElementById('btnCopyMcpConfig')?.addEventListener('click', copyMcpConfig);
   initMcpConfigTabs();
+
+  // 目錄快捷鍵與應用內快捷鍵
+  setupHotkeyEvents();
+  setupKeymapEvents();
+
+  registerSettingsCommands();
+}
+
+/**
+ * 註冊設定相關指令
+ */
+function registerSettingsCommands() {
+  const isMcpEnabled = () => Boolean(getConfig().settings.mcp?.enabled);
+
+  registerCommands([
+    {
+      id: 'settings.toggleTheme',
+      icon: '🌓',
+      title: () => t('commands.toggleTheme'),
+      run: toggleTheme,
+    },
+    {
+      id: 'settings.exportConfig',
+      icon: '📤',
+      title: () => t('commands.exportConfig'),
+      run: exportConfig,
+    },
+    {
+      id: 'settings.importConfig',
+      icon: '📥',
+      title: () => t('commands.importConfig'),
+      run: importConfig,
+    },
+    {
+      id: 'mcp.start',
+      icon: '▶️',
+      title: () => t('commands.startMcp'),
+      when: () => !isMcpEnabled(),
+      run: () => setMcpEnabled(true),
+    },
+    {
+      id: 'mcp.stop',
+      icon: '⏹️',
+      title: () => t('commands.stopMcp'),
+      when: isMcpEnabled,
+      run: () => setMcpEnabled(false),
+    },
+    {
+      id: 'settings.openLogs',
+      icon: '📜',
+      title: () => t('commands.openLogs'),
+      run: openLogsDirectory,
+    },
+    {
+      id: 'settings.openConfigDir',
+      icon: '📂',
+      title: () => t('commands.openConfigDir'),
+      run: openConfigDirectory,
+    },
+    {
+      id: 'settings.viewShortcuts',
+      icon: '⌨️',
+      title: () => t('commands.viewShortcuts'),
+      run: showShortcutsModal,
+    },
+    {
+      id: 'settings.checkUpdates',
+      icon: '🔄',
+      title: () => t('commands.checkUpdates'),
+      run: checkForUpdatesManual,
+    },
+  ]);
 }
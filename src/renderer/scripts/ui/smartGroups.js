@@ -0,0 +1,494 @@
+/**
+ * 智慧群組模組
+ * 處理智慧群組（依規則自動計算成員的群組）的顯示、新增、編輯與刪除
+ */
+import {
+  getConfig,
+  saveConfig,
+  getHomeDir,
+  getLastUsedMap,
+  isDirectoryPathValid,
+} from '../state.js';
+import { showToast } from './toast.js';
+import { openModal, openConfirmModal, closeModal } from './modal.js';
+import { t } from '../i18n.js';
+import {
+  getTerminalDisplayName,
+  getDefaultTerminalId,
+  getTerminalName,
+} from '../utils/terminal.js';
+import { escapeHtml, escapeAttr } from '../utils/escape.js';
+import { matchText, highlightMatches } from '../utils/fuzzy.js';
+import { collectTags } from '../utils/tags.js';
+import {
+  SMART_RULE_TYPES,
+  MAX_SMART_RULES,
+  MAX_LAUNCHED_WITHIN_DAYS,
+  getSmartGroupMembers,
+  sortSmartGroups,
+  parseSmartRule,
+} from '../utils/smart-groups.js';
+
+// 新增規則時預設的啟動天數
+const DEFAULT_LAUNCHED_WITHIN_DAYS = 7;
+
+/**
+ * 建立智慧群組規則比對所需資料
+ * @returns {Object} { now, homeDir, defaultTerminalId, groups, lastUsed, isPathInvalid }
+ */
+function createSmartGroupContext() {
+  return {
+    now: Date.now(),
+    homeDir: getHomeDir(),
+    defaultTerminalId: getDefaultTerminalId(),
+    groups: getConfig().groups,
+    lastUsed: getLastUsedMap(),
+    // 路徑尚未驗證或為遠端目錄時不視為無效
+    isPathInvalid: dir => isDirectoryPathValid(dir) === false,
+  };
+}
+
+/**
+ * 計算所有智慧群組的成員目錄（依 order 排序）
+ * @param {Object[]} [directories] - 候選目錄（預設為所有目錄）
+ * @returns {Array<{ smartGroup: Object, directories: Object[] }>}
+ */
+export function resolveSmartGroups(directories) {
+  const config = getConfig();
+  const smartGroups = sortSmartGroups(config.smartGroups);
+  if (smartGroups.length === 0) return [];
+
+  const context = createSmartGroupContext();
+  return smartGroups.map(smartGroup => ({
+    smartGroup,
+    directories: getSmartGroupMembers(directories || config.directories, smartGroup, context),
+  }));
+}
+
+/**
+ * 產生規則的說明文字
+ * @param {Object} rule - 規則 { type, value }
+ * @returns {string}
+ */
+function getRuleLabel(rule) {
+  switch (rule.type) {
+    case 'pathPrefix':
+      return t('ui.smartGroups.summary.pathPrefix', { value: rule.value });
+    case 'tag':
+      return '#' + rule.value;
+    case 'launchedWithin':
+      return t('ui.smartGroups.summary.launchedWithin', { days: rule.value });
+    case 'pathInvalid':
+      return t('ui.smartGroups.summary.pathInvalid');
+    case 'launcher':
+      return t('ui.smartGroups.summary.launcher', { name: getTerminalName(rule.value) });
+    default:
+      return rule.type;
+  }
+}
+
+/**
+ * 產生智慧群組規則摘要（例如「#rust 且 7 天內啟動過」）
+ * @param {Object} smartGroup - 智慧群組
+ * @returns {string}
+ */
+export function getSmartGroupSummary(smartGroup) {
+  const separator = smartGroup.match === 'any' ? t('ui.smartGroups.or') : t('ui.smartGroups.and');
+  return (smartGroup.rules || []).map(getRuleLabel).join(' ' + separator + ' ');
+}
+
+/**
+ * 產生智慧群組卡片 HTML（不可拖拉排序）
+ * @param {Object} smartGroup - 智慧群組
+ * @param {number} count - 成員目錄數量
+ * @param {Object|null} match - 搜尋相符結果
+ * @returns {string}
+ */
+function getSmartGroupCardHtml(smartGroup, count, match) {
+  return (
+    '<div class="group-card smart" data-smart-group-id="' +
+    escapeAttr(smartGroup.id) +
+    '" tabindex="0" role="button"><div class="group-card-icon">' +
+    escapeHtml(smartGroup.icon || '🔎') +
+    '</div><div class="group-card-info"><div class="group-card-name">' +
+    highlightMatches(smartGroup.name, match?.positions) +
+    '<span class="smart-badge">' +
+    escapeHtml(t('ui.smartGroups.badge')) +
+    '</span></div><div class="group-card-rules" title="' +
+    escapeAttr(getSmartGroupSummary(smartGroup)) +
+    '">' +
+    escapeHtml(getSmartGroupSummary(smartGroup)) +
+    '</div><div class="group-card-count">' +
+    escapeHtml(t('ui.groups.directoryCount', { count })) +
+    '</div></div><div class="group-card-actions"><button class="btn-icon edit" data-edit-smart-group="' +
+    escapeAttr(smartGroup.id) +
+    '" title="' +
+    escapeAttr(t('common.edit')) +
+    '" aria-label="' +
+    escapeAttr(t('ui.groups.editGroup', { name: smartGroup.name })) +
+    '">✏️</button><button class="btn-icon delete" data-delete-smart-group="' +
+    escapeAttr(smartGroup.id) +
+    '" title="' +
+    escapeAttr(t('common.delete')) +
+    '" aria-label="' +
+    escapeAttr(t('ui.groups.deleteGroupLabel', { name: smartGroup.name })) +
+    '">🗑️</button></div></div>'
+  );
+}
+
+/**
+ * 產生群組 Tab 的智慧群組區塊 HTML
+ * @param {string} search - 搜尋文字
+ * @returns {string} 沒有（相符的）智慧群組時為空字串
+ */
+export function getSmartGroupsListHtml(search) {
+  const results = resolveSmartGroups()
+    .map(({ smartGroup, directories }) => ({
+      smartGroup,
+      count: directories.length,
+      match: search ? matchText(search, smartGroup.name) : null,
+    }))
+    .filter(result => !search || result.match);
+  if (results.length === 0) return '';
+
+  return (
+    '<div class="smart-groups-section"><h3 class="smart-groups-title">' +
+    escapeHtml(t('ui.smartGroups.title')) +
+    '</h3><div class="groups-grid">' +
+    results
+      .map(({ smartGroup, count, match }) => getSmartGroupCardHtml(smartGroup, count, match))
+      .join('') +
+    '</div></div>'
+  );
+}
+
+/**
+ * 產生規則值欄位 HTML（依規則類型）
+ * @param {Object} rule - 規則 { type, value }
+ * @returns {string}
+ */
+function getRuleValueHtml(rule) {
+  const label = escapeAttr(t('ui.smartGroups.ruleValue'));
+
+  switch (rule.type) {
+    case 'launchedWithin':
+      return (
+        '<input type="number" data-rule-field="value" min="1" max="' +
+        MAX_LAUNCHED_WITHIN_DAYS +
+        '" value="' +
+        escapeAttr(String(rule.value ?? DEFAULT_LAUNCHED_WITHIN_DAYS)) +
+        '" aria-label="' +
+        label +
+        '" /><span class="smart-rule-unit">' +
+        escapeHtml(t('ui.smartGroups.days')) +
+        '</span>'
+      );
+    case 'pathInvalid':
+      return '<span class="smart-rule-unit">' + escapeHtml(t('ui.smartGroups.noValue')) + '</span>';
+    case 'launcher': {
+      const selectedId = rule.value || getDefaultTerminalId();
+      return (
+        '<select data-rule-field="value" aria-label="' +
+        label +
+        '">' +
+        getConfig()
+          .terminals.filter(terminal => !terminal.hidden || terminal.id === selectedId)
+          .map(
+            terminal =>
+              '<option value="' +
+              escapeAttr(terminal.id) +
+              '"' +
+              (terminal.id === selectedId ? ' selected' : '') +
+              '>' +
+              escapeHtml(terminal.icon || '💻') +
+              ' ' +
+              escapeHtml(getTerminalDisplayName(terminal)) +
+              '</option>'
+          )
+          .join('') +
+        '</select>'
+      );
+    }
+    default:
+      return (
+        '<input type="text" data-rule-field="value" value="' +
+        escapeAttr(String(rule.value ?? '')) +
+        '" placeholder="' +
+        escapeAttr(t('ui.smartGroups.placeholder.' + rule.type)) +
+        '" aria-label="' +
+        label +
+        '"' +
+        (rule.type === 'tag' ? ' list="modalSmartRuleTagOptions"' : '') +
+        ' />'
+      );
+  }
+}
+
+/**
+ * 產生規則列 HTML
+ * @param {Object} rule - 規則 { type, value }
+ * @param {number} index - 規則索引
+ * @returns {string}
+ */
+function getRuleRowHtml(rule, index) {
+  return (
+    '<div class="smart-rule" data-rule-index="' +
+    index +
+    '"><select data-rule-field="type" aria-label="' +
+    escapeAttr(t('ui.smartGroups.ruleType')) +
+    '">' +
+    SMART_RULE_TYPES.map(
+      type =>
+        '<option value="' +
+        type +
+        '"' +
+        (type === rule.type ? ' selected' : '') +
+        '>' +
+        escapeHtml(t('ui.smartGroups.ruleTypes.' + type)) +
+        '</option>'
+    ).join('') +
+    '</select>' +
+    getRuleValueHtml(rule) +
+    '<button type="button" class="btn-icon delete" data-rule-action="remove" title="' +
+    escapeAttr(t('common.delete')) +
+    '">✕</button></div>'
+  );
+}
+
+/**
+ * 從規則編輯區讀取目前的輸入（尚未驗證）
+ * @param {HTMLElement} container - 規則容器
+ * @returns {Array<{ type: string, value: string }>}
+ */
+function readRuleInputs(container) {
+  return [...container.querySelectorAll('.smart-rule')].map(row => ({
+    type: row.querySelector('[data-rule-field="type"]').value,
+    value: row.querySelector('[data-rule-field="value"]')?.value,
+  }));
+}
+
+/**
+ * 渲染規則編輯區
+ * @param {HTMLElement} container - 規則容器
+ * @param {Array} rules - 規則列表
+ */
+function renderRules(container, rules) {
+  container.innerHTML =
+    rules.length > 0
+      ? rules.map(getRuleRowHtml).join('')
+      : '<small class="hint">' + escapeHtml(t('ui.smartGroups.noRules')) + '</small>';
+}
+
+/**
+ * 顯示新增/編輯智慧群組彈窗
+ * @param {string} [smartGroupId] - 智慧群組 ID（編輯時提供）
+ * @param {Function} [onSaved] - 儲存或刪除後的回調函數
+ */
+export function showSmartGroupModal(smartGroupId, onSaved) {
+  const config = getConfig();
+  const smartGroup = smartGroupId
+    ? (config.smartGroups || []).find(g => g.id === smartGroupId)
+    : null;
+  if (smartGroupId && !smartGroup) return;
+
+  const initialRules = smartGroup
+    ? smartGroup.rules.map(rule => ({ ...rule }))
+    : [{ type: 'pathPrefix', value: '' }];
+  const match = smartGroup?.match || 'all';
+
+  const content =
+    '<div class="modal-form">' +
+    '<div class="input-row">' +
+    '<div class="input-group input-group-icon"><label>' +
+    escapeHtml(t('ui.groups.icon')) +
+    '</label><input type="text" id="modalSmartGroupIcon" value="' +
+    escapeAttr(smartGroup?.icon || '🔎') +
+    '" maxlength="2" class="icon-input" title="' +
+    escapeAttr(t('ui.addDirectory.iconHint')) +
+    '" /></div>' +
+    '<div class="input-group flex-1"><label>' +
+    escapeHtml(t('ui.groups.name')) +
+    '<span class="required-mark">*</span></label><input type="text" id="modalSmartGroupName" value="' +
+    escapeAttr(smartGroup?.name || '') +
+    '" placeholder="' +
+    escapeAttr(t('ui.smartGroups.namePlaceholder')) +
+    '" /></div>' +
+    '</div>' +
+    '<div class="input-group"><label for="modalSmartGroupMatch">' +
+    escapeHtml(t('ui.smartGroups.match')) +
+    '</label><select id="modalSmartGroupMatch"><option value="all"' +
+    (match === 'all' ? ' selected' : '') +
+    '>' +
+    escapeHtml(t('ui.smartGroups.matchAll')) +
+    '</option><option value="any"' +
+    (match === 'any' ? ' selected' : '') +
+    '>' +
+    escapeHtml(t('ui.smartGroups.matchAny')) +
+    '</option></select></div>' +
+    '<div class="input-group"><label>' +
+    escapeHtml(t('ui.smartGroups.rules')) +
+    '</label><div id="modalSmartGroupRules" class="smart-rules"></div>' +
+    '<button type="button" class="btn btn-secondary btn-sm" id="modalSmartGroupAddRule">+ ' +
+    escapeHtml(t('ui.smartGroups.addRule')) +
+    '</button><small class="hint" id="modalSmartGroupPreview"></small></div>' +
+    '<datalist id="modalSmartRuleTagOptions">' +
+    collectTags(config.directories)
+      .map(({ tag }) => '<option value="' + escapeAttr(tag) + '"></option>')
+      .join('') +
+    '</datalist>' +
+    (smartGroup
+      ? '<button type="button" class="btn btn-danger btn-sm" id="modalSmartGroupDelete">' +
+        escapeHtml(t('ui.smartGroups.delete')) +
+        '</button>'
+      : '') +
+    '</div>';
+
+  /**
+   * 讀取並驗證目前的規則
+   * @returns {Array|null} 任一規則無效時為 null
+   */
+  const readRules = () => {
+    const rules = readRuleInputs(document.getElementById('modalSmartGroupRules')).map(input =>
+      parseSmartRule(input.type, input.value)
+    );
+    return rules.includes(null) ? null : rules;
+  };
+
+  // 即時顯示目前規則符合的目錄數量
+  const updatePreview = () => {
+    const preview = document.getElementById('modalSmartGroupPreview');
+    if (!preview) return;
+    const rules = readRules();
+    if (!rules || rules.length === 0) {
+      preview.textContent = '';
+      return;
+    }
+    const count = getSmartGroupMembers(
+      config.directories,
+      { match: document.getElementById('modalSmartGroupMatch').value, rules },
+      createSmartGroupContext()
+    ).length;
+    preview.textContent = t('ui.smartGroups.preview', { count });
+  };
+
+  openModal({
+    title: smartGroup ? t('ui.smartGroups.editTitle') : t('ui.smartGroups.addTitle'),
+    content,
+    confirmText: smartGroup ? t('common.save') : t('common.add'),
+    onConfirm: async () => {
+      const name = document.getElementById('modalSmartGroupName').value.trim();
+      const icon = document.getElementById('modalSmartGroupIcon').value.trim() || '🔎';
+      const matchMode = document.getElementById('modalSmartGroupMatch').value;
+      const rules = readRules();
+
+      if (!name) {
+        showToast(t('toast.enterGroupName'), 'error');
+        return false;
+      }
+
+      const smartGroups = config.smartGroups || [];
+      if (smartGroups.some(g => g.id !== smartGroupId && g.name === name)) {
+        showToast(t('toast.groupExists'), 'error');
+        return false;
+      }
+
+      if (!rules || rules.length === 0) {
+        showToast(t('toast.smartGroupInvalidRules'), 'error');
+        return false;
+      }
+
+      if (smartGroup) {
+        smartGroup.name = name;
+        smartGroup.icon = icon;
+        smartGroup.match = matchMode;
+        smartGroup.rules = rules;
+      } else {
+        config.smartGroups = [
+          ...smartGroups,
+          {
+            id: 'smart-' + Date.now(),
+            name,
+            icon,
+            match: matchMode,
+            rules,
+            order: smartGroups.length,
+          },
+        ];
+      }
+
+      await saveConfig();
+      showToast(t(smartGroup ? 'toast.smartGroupUpdated' : 'toast.smartGroupAdded'), 'success');
+      onSaved?.();
+      return true;
+    },
+    onOpen: () => {
+      const container = document.getElementById('modalSmartGroupRules');
+      renderRules(container, initialRules);
+      updatePreview();
+
+      container.addEventListener('click', e => {
+        const button = e.target.closest('[data-rule-action="remove"]');
+        if (!button) return;
+        const rules = readRuleInputs(container);
+        rules.splice(parseInt(button.closest('.smart-rule').dataset.ruleIndex, 10), 1);
+        renderRules(container, rules);
+        updatePreview();
+      });
+
+      // 變更規則類型時換成對應的值欄位
+      container.addEventListener('change', e => {
+        if (e.target.dataset.ruleField === 'type') {
+          const rules = readRuleInputs(container);
+          const index = parseInt(e.target.closest('.smart-rule').dataset.ruleIndex, 10);
+          rules[index] = { type: rules[index].type };
+          renderRules(container, rules);
+        }
+        updatePreview();
+      });
+      container.addEventListener('input', updatePreview);
+      document.getElementById('modalSmartGroupMatch').addEventListener('change', updatePreview);
+
+      document.getElementById('modalSmartGroupAddRule').addEventListener('click', () => {
+        const rules = readRuleInputs(container);
+        if (rules.length >= MAX_SMART_RULES) return;
+        rules.push({ type: 'tag', value: '' });
+        renderRules(container, rules);
+        container.querySelector('.smart-rule:last-child [data-rule-field="value"]')?.focus();
+      });
+
+      document.getElementById('modalSmartGroupDelete')?.addEventListener('click', () => {
+        closeModal();
+        deleteSmartGroup(smartGroup.id, onSaved);
+      });
+
+      document.getElementById('modalSmartGroupName')?.focus();
+    },
+  });
+}
+
+/**
+ * 刪除智慧群組（需確認，不影響成員目錄）
+ * @param {string} smartGroupId - 智慧群組 ID
+ * @param {Function} [onDeleted] - 刪除後的回調函數
+ */
+export function deleteSmartGroup(smartGroupId, onDeleted) {
+  const config = getConfig();
+  const smartGroup = (config.smartGroups || []).find(g => g.id === smartGroupId);
+  if (!smartGroup) return;
+
+  openConfirmModal({
+    title: t('ui.smartGroups.deleteTitle'),
+    message: t('ui.smartGroups.deleteConfirm', { name: smartGroup.name }),
+    confirmText: t('common.delete'),
+    danger: true,
+    onConfirm: async () => {
+      config.smartGroups = config.smartGroups.filter(g => g.id !== smartGroupId);
+      sortSmartGroups(config.smartGroups).forEach((g, index) => {
+        g.order = index;
+      });
+      await saveConfig();
+      showToast(t('toast.smartGroupDeleted'), 'success');
+      onDeleted?.();
+    },
+  });
+}
@@ -4,7 +4,9 @@
  */
 
 import { getConfig } from '../state.js';
+import { t } from '../i18n.js';
 import { getElement } from '../utils/dom-cache.js';
+import { registerCommands } from '../utils/commands.js';
 
 // 當前 Tab
 let currentTab = 'recent';
@@ -118,6 +120,16 @@ export function setupTabs() {
     });
   });
 
+  // 註冊切換分頁指令
+  registerCommands(
+    [...document.querySelectorAll('.tab')].map(tab => ({
+      id: 'tab.' + tab.dataset.tab,
+      icon: tab.querySelector('.tab-icon')?.textContent,
+      title: () => t('commands.switchTab', { tab: t('ui.tabs.' + tab.dataset.tab + 'Text') }),
+      run: () => activateTab(tab),
+    }))
+  );
+
   // 讀取設定，套用 Tab 文字顯示狀態
   const config = getConfig();
   if (config && config.settings) {
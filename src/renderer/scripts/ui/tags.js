@@ -0,0 +1,173 @@
+/**
+ * 目錄標籤模組
+ * 新增/編輯目錄彈窗的標籤輸入元件（自動完成既有標籤）與目錄卡片的標籤顯示
+ */
+import { getConfig } from '../state.js';
+import { t } from '../i18n.js';
+import { showToast } from './toast.js';
+import { escapeHtml, escapeAttr } from '../utils/escape.js';
+import { highlightMatches } from '../utils/fuzzy.js';
+import {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  collectTags,
+} from '../utils/tags.js';
+
+/**
+ * 產生標籤輸入框中的標籤 HTML
+ * @param {string} tag - 標籤
+ * @returns {string}
+ */
+function getTagChipHtml(tag) {
+  return (
+    '<span class="tag-chip" data-tag="' +
+    escapeAttr(tag) +
+    '">' +
+    escapeHtml(tag) +
+    '<button type="button" class="tag-chip-remove" data-remove-tag aria-label="' +
+    escapeAttr(t('ui.tags.remove', { tag })) +
+    '">×</button></span>'
+  );
+}
+
+/**
+ * 產生標籤輸入區塊 HTML（用於新增/編輯目錄彈窗）
+ * @param {string[]} [tags] - 目前的標籤
+ * @returns {string}
+ */
+export function getTagInputHtml(tags = []) {
+  const options = collectTags(getConfig().directories)
+    .map(({ tag }) => '<option value="' + escapeAttr(tag) + '"></option>')
+    .join('');
+
+  return (
+    '<div class="input-group"><label for="modalDirTagsInput">' +
+    t('ui.tags.label') +
+    '</label><div class="tag-input" id="modalDirTags">' +
+    tags.map(getTagChipHtml).join('') +
+    '<input type="text" id="modalDirTagsInput" class="tag-input-field" list="modalDirTagsOptions" autocomplete="off" placeholder="' +
+    escapeAttr(t('ui.tags.placeholder')) +
+    '" /></div><datalist id="modalDirTagsOptions">' +
+    options +
+    '</datalist><small class="hint">' +
+    t('ui.tags.hint') +
+    '</small></div>'
+  );
+}
+
+/**
+ * 取得輸入框中已加入的標籤
+ * @param {HTMLElement} container - 標籤輸入框
+ * @returns {string[]}
+ */
+function getChipTags(container) {
+  return [...container.querySelectorAll('.tag-chip')].map(chip => chip.dataset.tag);
+}
+
+/**
+ * 將文字中的標籤（以逗號分隔）加入輸入框，已存在的標籤略過
+ * @param {HTMLElement} container - 標籤輸入框
+ * @param {HTMLInputElement} input - 文字輸入框
+ * @param {string} text - 輸入的文字
+ * @returns {boolean} 是否全部加入（超過長度或數量上限時為 false）
+ */
+function addTags(container, input, text) {
+  for (const tag of text.split(',').map(normalizeTag).filter(Boolean)) {
+    const existing = getChipTags(container).map(item => item.toLowerCase());
+    if (existing.includes(tag.toLowerCase())) continue;
+
+    if (tag.length > MAX_TAG_LENGTH) {
+      showToast(t('toast.tagTooLong', { max: MAX_TAG_LENGTH }), 'error');
+      return false;
+    }
+    if (existing.length >= MAX_TAGS) {
+      showToast(t('toast.tooManyTags', { max: MAX_TAGS }), 'error');
+      return false;
+    }
+    input.insertAdjacentHTML('beforebegin', getTagChipHtml(tag));
+  }
+  return true;
+}
+
+/**
+ * 加入輸入中的文字並清空輸入框
+ * @param {HTMLElement} container - 標籤輸入框
+ * @param {HTMLInputElement} input - 文字輸入框
+ * @returns {boolean} 是否成功
+ */
+function commitInput(container, input) {
+  if (!input.value.trim()) return true;
+  if (!addTags(container, input, input.value)) return false;
+  input.value = '';
+  return true;
+}
+
+/**
+ * 綁定標籤輸入框事件（Enter 或逗號加入、Backspace 移除最後一個、自動完成選取後直接加入）
+ */
+export function setupTagInput() {
+  const container = document.getElementById('modalDirTags');
+  const input = document.getElementById('modalDirTagsInput');
+  if (!container || !input) return;
+
+  input.addEventListener('keydown', e => {
+    if ((e.key === 'Enter' || e.key === ',') && input.value.trim()) {
+      e.preventDefault();
+      commitInput(container, input);
+    } else if (e.key === 'Backspace' && !input.value) {
+      const chips = container.querySelectorAll('.tag-chip');
+      chips[chips.length - 1]?.remove();
+    }
+  });
+
+  input.addEventListener('input', e => {
+    // 自動完成選取（insertReplacementText）或貼上含逗號的文字時直接加入
+    if (!e.inputType || e.inputType === 'insertReplacementText' || input.value.includes(',')) {
+      commitInput(container, input);
+    }
+  });
+
+  container.addEventListener('click', e => {
+    const removeBtn = e.target.closest('[data-remove-tag]');
+    if (removeBtn) {
+      removeBtn.closest('.tag-chip').remove();
+    }
+    input.focus();
+  });
+}
+
+/**
+ * 讀取標籤輸入框的標籤（含尚未按 Enter 的文字）
+ * @returns {string[]|null} 標籤列表，超過長度或數量上限時為 null（已顯示提示）
+ */
+export function readTagInput() {
+  const container = document.getElementById('modalDirTags');
+  const input = document.getElementById('modalDirTagsInput');
+  if (!container || !input) return [];
+  if (!commitInput(container, input)) return null;
+  return normalizeTags(getChipTags(container));
+}
+
+/**
+ * 產生目錄卡片上的標籤 HTML
+ * @param {Object} dir - 目錄物件
+ * @param {number[][]} [highlights] - 各標籤相符字元位置（搜尋結果）
+ * @param {boolean} [filterable] - 是否可點擊標籤加入篩選
+ * @returns {string} HTML，目錄沒有標籤時為空字串
+ */
+export function getTagChipsHtml(dir, highlights, filterable = false) {
+  return (dir.tags || [])
+    .map(
+      (tag, index) =>
+        '<span class="tag tag-label' +
+        (filterable ? ' clickable" data-filter-tag="' + escapeAttr(tag) : '') +
+        '" title="' +
+        escapeAttr(filterable ? t('ui.tags.filterBy', { tag }) : tag) +
+        '">#' +
+        highlightMatches(tag, highlights?.[index]) +
+        '</span>'
+    )
+    .join('');
+}
@@ -0,0 +1,376 @@
+/**
+ * 工作區模組
+ * 處理工作區（一個目錄 + 依序執行的多個啟動器）的建立、編輯、刪除與執行
+ */
+import { getConfig, saveConfig, loadRecentLaunches } from '../state.js';
+import { api } from '../api.js';
+import { showToast } from './toast.js';
+import { openModal, openConfirmModal, closeModal } from './modal.js';
+import { t } from '../i18n.js';
+import {
+  getTerminalDisplayName,
+  getDefaultTerminalId,
+  resolveTerminalId,
+  getErrorMessage,
+  getErrorActions,
+} from '../utils/terminal.js';
+import { escapeHtml, escapeAttr } from '../utils/escape.js';
+
+// 單一步驟延遲上限（秒），需與主進程 workspace.js 的 MAX_STEP_DELAY 一致
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * 取得指定目錄的工作區
+ * @param {number} dirId - 目錄 ID
+ * @returns {Array} 工作區列表
+ */
+export function getDirectoryWorkspaces(dirId) {
+  const config = getConfig();
+  return (config.workspaces || []).filter(w => w.directoryId === dirId);
+}
+
+/**
+ * 執行工作區並以單一 Toast 回報結果
+ * @param {string} workspaceId - 工作區 ID
+ * @param {Function} [onSuccess] - 至少一個步驟成功後的回調函數
+ */
+export async function runWorkspace(workspaceId, onSuccess) {
+  const config = getConfig();
+  const workspace = (config.workspaces || []).find(w => w.id === workspaceId);
+  if (!workspace) return;
+
+  const dir = config.directories.find(d => d.id === workspace.directoryId);
+  const result = await api.runWorkspace(workspaceId);
+
+  if (result.error) {
+    showToast(t('toast.workspaceFailed', { name: workspace.name, error: result.error }), 'error');
+    return;
+  }
+
+  // 每個步驟都已寫入啟動歷史
+  await loadRecentLaunches();
+  if (result.succeeded > 0) {
+    if (onSuccess) {
+      onSuccess();
+    }
+  }
+
+  if (result.success) {
+    showToast(
+      t('toast.workspaceOpened', { name: workspace.name, count: result.steps.length }),
+      'success'
+    );
+    return;
+  }
+
+  // 彙整失敗步驟的訊息與行動按鈕（相同按鈕只顯示一次）
+  const failedSteps = result.steps.filter(step => !step.success);
+  const details = failedSteps
+    .map(step => step.terminalName + ': ' + getErrorMessage(step))
+    .join('; ');
+  const actions = [];
+  const seenLabels = new Set();
+  failedSteps.forEach(step => {
+    getErrorActions(step, dir).forEach(action => {
+      if (!seenLabels.has(action.label)) {
+        seenLabels.add(action.label);
+        actions.push(action);
+      }
+    });
+  });
+
+  const summary = result.partial
+    ? t('toast.workspacePartial', {
+        name: workspace.name,
+        failed: result.failed,
+        total: result.steps.length,
+      })
+    : t('toast.workspaceAllFailed', { name: workspace.name });
+
+  showToast(summary + ' ' + details, result.partial ? 'warning' : 'error', {
+    actions,
+    duration: 6000,
+  });
+}
+
+/**
+ * 產生步驟列的 HTML
+ * @param {Object} step - 步驟 { terminalId, delay }
+ * @param {number} index - 步驟索引
+ * @param {number} total - 步驟總數
+ * @returns {string} HTML
+ */
+function getStepRowHtml(step, index, total) {
+  const config = getConfig();
+  const options = config.terminals
+    .filter(terminal => !terminal.hidden || terminal.id === step.terminalId)
+    .map(
+      terminal =>
+        '<option value="' +
+        escapeAttr(terminal.id) +
+        '"' +
+        (terminal.id === step.terminalId ? ' selected' : '') +
+        '>' +
+        escapeHtml(terminal.icon || '💻') +
+        ' ' +
+        escapeHtml(getTerminalDisplayName(terminal)) +
+        '</option>'
+    )
+    .join('');
+
+  return (
+    '<div class="workspace-step" data-step-index="' +
+    index +
+    '"><span class="workspace-step-index">' +
+    (index + 1) +
+    '</span><select data-step-field="terminalId">' +
+    options +
+    '</select><input type="number" data-step-field="delay" min="0" max="' +
+    MAX_DELAY_SECONDS +
+    '" step="0.5" value="' +
+    (step.delay || 0) / 1000 +
+    '" title="' +
+    escapeAttr(t('ui.workspace.delay')) +
+    '" aria-label="' +
+    escapeAttr(t('ui.workspace.delay')) +
+    '" /><span class="workspace-step-unit">s</span>' +
+    '<button type="button" class="btn-icon" data-step-action="up" title="' +
+    escapeAttr(t('ui.workspace.moveUp')) +
+    '"' +
+    (index === 0 ? ' disabled' : '') +
+    '>↑</button><button type="button" class="btn-icon" data-step-action="down" title="' +
+    escapeAttr(t('ui.workspace.moveDown')) +
+    '"' +
+    (index === total - 1 ? ' disabled' : '') +
+    '>↓</button><button type="button" class="btn-icon delete" data-step-action="remove" title="' +
+    escapeAttr(t('common.delete')) +
+    '">✕</button></div>'
+  );
+}
+
+/**
+ * 從步驟編輯區讀取目前的步驟
+ * @param {HTMLElement} container - 步驟容器
+ * @returns {Array} 步驟列表
+ */
+function readSteps(container) {
+  return [...container.querySelectorAll('.workspace-step')].map(row => {
+    const seconds = parseFloat(row.querySelector('[data-step-field="delay"]').value);
+    const delay = Number.isFinite(seconds)
+      ? Math.round(Math.min(Math.max(seconds, 0), MAX_DELAY_SECONDS) * 1000)
+      : 0;
+    const step = { terminalId: row.querySelector('[data-step-field="terminalId"]').value };
+    if (delay > 0) step.delay = delay;
+    return step;
+  });
+}
+
+/**
+ * 渲染步驟編輯區
+ * @param {HTMLElement} container - 步驟容器
+ * @param {Array} steps - 步驟列表
+ */
+function renderSteps(container, steps) {
+  container.innerHTML =
+    steps.length > 0
+      ? steps.map((step, index) => getStepRowHtml(step, index, steps.length)).join('')
+      : '<small class="hint">' + t('ui.workspace.noSteps') + '</small>';
+}
+
+/**
+ * 顯示新增/編輯工作區彈窗
+ * @param {number} dirId - 目錄 ID
+ * @param {string} [workspaceId] - 工作區 ID（編輯時提供）
+ * @param {Function} [onSaved] - 儲存後的回調函數
+ */
+export function showWorkspaceModal(dirId, workspaceId, onSaved) {
+  const config = getConfig();
+  const dir = config.directories.find(d => d.id === dirId);
+  if (!dir) return;
+
+  const workspace = workspaceId ? (config.workspaces || []).find(w => w.id === workspaceId) : null;
+  if (workspaceId && !workspace) return;
+
+  const initialSteps = workspace
+    ? workspace.steps.map(step => ({ ...step }))
+    : [{ terminalId: resolveTerminalId(dir) }];
+
+  const content =
+    '<div class="modal-form">' +
+    '<div class="input-row">' +
+    '<div class="input-group input-group-icon"><label>' +
+    t('ui.addDirectory.icon') +
+    '</label><input type="text" id="modalWorkspaceIcon" value="' +
+    escapeAttr(workspace?.icon || '🧩') +
+    '" maxlength="2" class="icon-input" /></div>' +
+    '<div class="input-group flex-1"><label>' +
+    t('ui.workspace.name') +
+    '<span class="required-mark">*</span></label><input type="text" id="modalWorkspaceName" value="' +
+    escapeAttr(workspace?.name || '') +
+    '" placeholder="' +
+    escapeAttr(t('ui.workspace.namePlaceholder')) +
+    '" /></div>' +
+    '</div>' +
+    '<div class="input-group"><label>' +
+    t('ui.workspace.steps') +
+    '</label><div id="modalWorkspaceSteps" class="workspace-steps"></div>' +
+    '<button type="button" class="btn btn-secondary btn-sm" id="modalWorkspaceAddStep">+ ' +
+    t('ui.workspace.addStep') +
+    '</button><small class="hint">' +
+    escapeHtml(t('ui.workspace.stepsHint', { name: dir.name })) +
+    '</small></div>' +
+    (workspace
+      ? '<button type="button" class="btn btn-danger btn-sm" id="modalWorkspaceDelete">' +
+        t('ui.workspace.delete') +
+        '</button>'
+      : '') +
+    '</div>';
+
+  openModal({
+    title: workspace ? t('ui.workspace.editTitle') : t('ui.workspace.addTitle'),
+    content,
+    confirmText: t('common.save'),
+    onConfirm: async () => {
+      const name = document.getElementById('modalWorkspaceName').value.trim();
+      const icon = document.getElementById('modalWorkspaceIcon').value.trim() || '🧩';
+      const steps = readSteps(document.getElementById('modalWorkspaceSteps'));
+
+      if (!name) {
+        showToast(t('toast.workspaceNameRequired'), 'error');
+        return false;
+      }
+
+      if (steps.length === 0) {
+        showToast(t('toast.workspaceNoSteps'), 'error');
+        return false;
+      }
+
+      if (!config.workspaces) {
+        config.workspaces = [];
+      }
+
+      if (workspace) {
+        workspace.name = name;
+        workspace.icon = icon;
+        workspace.steps = steps;
+      } else {
+        config.workspaces.push({
+          id: 'workspace-' + Date.now(),
+          name,
+          icon,
+          directoryId: dirId,
+          steps,
+        });
+      }
+
+      await saveConfig();
+      showToast(t(workspace ? 'toast.workspaceUpdated' : 'toast.workspaceAdded'), 'success');
+      if (onSaved) {
+        onSaved();
+      }
+      return true;
+    },
+    onOpen: () => {
+      const container = document.getElementById('modalWorkspaceSteps');
+      renderSteps(container, initialSteps);
+
+      container.addEventListener('click', e => {
+        const button = e.target.closest('[data-step-action]');
+        if (!button) return;
+
+        const steps = readSteps(container);
+        const index = parseInt(button.closest('.workspace-step').dataset.stepIndex, 10);
+        const action = button.dataset.stepAction;
+
+        if (action === 'remove') {
+          steps.splice(index, 1);
+        } else {
+          const target = action === 'up' ? index - 1 : index + 1;
+          if (target < 0 || target >= steps.length) return;
+          [steps[index], steps[target]] = [steps[target], steps[index]];
+        }
+        renderSteps(container, steps);
+      });
+
+      document.getElementById('modalWorkspaceAddStep')?.addEventListener('click', () => {
+        const steps = readSteps(container);
+        steps.push({ terminalId: getDefaultTerminalId() });
+        renderSteps(container, steps);
+      });
+
+      document.getElementById('modalWorkspaceDelete')?.addEventListener('click', () => {
+        closeModal();
+        deleteWorkspace(workspace.id, onSaved);
+      });
+
+      document.getElementById('modalWorkspaceName')?.focus();
+    },
+  });
+}
+
+/**
+ * 刪除工作區（需確認）
+ * @param {string} workspaceId - 工作區 ID
+ * @param {Function} [onDeleted] - 刪除後的回調函數
+ */
+export function deleteWorkspace(workspaceId, onDeleted) {
+  const config = getConfig();
+  const workspace = (config.workspaces || []).find(w => w.id === workspaceId);
+  if (!workspace) return;
+
+  openConfirmModal({
+    title: t('ui.workspace.deleteTitle'),
+    message: t('ui.workspace.deleteConfirm', { name: workspace.name }),
+    confirmText: t('common.delete'),
+    danger: true,
+    onConfirm: async () => {
+      config.workspaces = config.workspaces.filter(w => w.id !== workspaceId);
+      await saveConfig();
+      showToast(t('toast.workspaceDeleted'), 'success');
+      if (onDeleted) {
+        onDeleted();
+      }
+      return true;
+    },
+  });
+}
+
+/**
+ * 建立目錄右鍵選單的工作區子選單項目
+ * @param {number} dirId - 目錄 ID
+ * @param {Function} [onChange] - 工作區執行或變更後的回調函數
+ * @returns {Array} 選單項目
+ */
+export function buildWorkspaceMenuItems(dirId, onChange) {
+  const workspaces = getDirectoryWorkspaces(dirId);
+
+  const items = workspaces.map(workspace => ({
+    icon: workspace.icon || '🧩',
+    label: workspace.name,
+    onClick: () => runWorkspace(workspace.id, onChange),
+  }));
+
+  if (items.length > 0) {
+    items.push({ separator: true });
+  }
+
+  items.push({
+    icon: '➕',
+    label: t('ui.workspace.add'),
+    onClick: () => showWorkspaceModal(dirId, null, onChange),
+  });
+
+  if (workspaces.length > 0) {
+    items.push({
+      icon: '✏️',
+      label: t('ui.workspace.edit'),
+      submenu: workspaces.map(workspace => ({
+        icon: workspace.icon || '🧩',
+        label: workspace.name,
+        onClick: () => showWorkspaceModal(dirId, workspace.id, onChange),
+      })),
+    });
+  }
+
+  return items;
+}
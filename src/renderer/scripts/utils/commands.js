@@ -0,0 +1,60 @@
+/**
+ * 指令註冊模組
+ * 各 UI 模組註冊指令（或動態產生指令的提供者），供指令面板列出與執行
+ */
+
+// 已註冊的靜態指令（依註冊順序）
+const commands = new Map();
+
+// 動態指令提供者（例如依目錄與啟動器產生「以 Y 開啟 X」）
+const providers = [];
+
+/**
+ * 註冊指令（相同 ID 會覆蓋）
+ * @param {Object} command - 指令
+ * @param {string} command.id - 指令 ID（亦用於查詢快捷鍵提示）
+ * @param {Function} command.title - 回傳顯示名稱的函式（每次開啟面板時取得，支援語系切換）
+ * @param {string} [command.icon] - 圖示
+ * @param {Function} [command.when] - 回傳指令目前是否可用的函式
+ * @param {Function} command.run - 執行函式
+ */
+export function registerCommand(command) {
+  commands.set(command.id, command);
+}
+
+/**
+ * 註冊多個指令
+ * @param {Object[]} list - 指令列表
+ */
+export function registerCommands(list) {
+  list.forEach(registerCommand);
+}
+
+/**
+ * 註冊動態指令提供者
+ * @param {Function} provider - 回傳指令列表的函式（每次開啟面板時呼叫）
+ */
+export function registerCommandProvider(provider) {
+  providers.push(provider);
+}
+
+/**
+ * 取得目前可用的所有指令（靜態指令在前，動態指令在後）
+ * @returns {Object[]} 指令列表
+ */
+export function getCommands() {
+  const all = [...commands.values(), ...providers.flatMap(provider => provider())];
+  return all.filter(command => !command.when || command.when());
+}
+
+/**
+ * 依 ID 執行指令
+ * @param {string} id - 指令 ID
+ * @returns {Promise<boolean>} 找不到指令或指令不可用時為 false
+ */
+export async function executeCommand(id) {
+  const command = getCommands().find(c => c.id === id);
+  if (!command) return false;
+  await command.run();
+  return true;
+}
@@ -89,4 +89,5 @@ export const COMMON_ELEMENT_IDS = [
   'toastText',
   // 按鈕
   'btnAddGroupTab',
+  'btnAddSmartGroup',
 ];
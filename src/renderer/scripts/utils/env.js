@@ -0,0 +1,39 @@
+/**
+ * 環境變數文字工具
+ * 在 KEY=VALUE 多行文字與環境變數物件間轉換
+ */
+
+/**
+ * 將環境變數物件轉為多行文字
+ * @param {Object} [env] - 環境變數物件
+ * @returns {string} 每行一個 KEY=VALUE
+ */
+export function formatEnvText(env) {
+  if (!env || typeof env !== 'object') return '';
+  return Object.entries(env)
+    .map(([key, value]) => key + '=' + value)
+    .join('\n');
+}
+
+/**
+ * 解析多行 KEY=VALUE 文字（忽略空行與 # 註解）
+ * @param {string} text - 輸入文字
+ * @returns {{ env: Object, invalidLine: string|null }} 解析結果，invalidLine 為第一個無效行
+ */
+export function parseEnvText(text) {
+  const env = {};
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const eqIndex = line.indexOf('=');
+    const key = eqIndex > 0 ? line.substring(0, eqIndex).trim() : '';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      return { env, invalidLine: line };
+    }
+    env[key] = line.substring(eqIndex + 1);
+  }
+
+  return { env, invalidLine: null };
+}
@@ -0,0 +1,18 @@
+/**
+ * 最愛工具模組
+ * 最愛的比對、建立、自訂名稱與排序（規則與主進程共用，定義於 src/shared/favorite-rules.js）
+ */
+import '../../../shared/favorite-rules.js';
+
+export const {
+  MAX_FAVORITE_LABEL_LENGTH,
+  normalizeFavoriteLabel,
+  getFavoriteName,
+  isSameFavorite,
+  findFavorite,
+  createFavoriteId,
+  createFavorite,
+  reorderFavorites,
+  normalizeFavorites,
+  validateFavorite,
+} = globalThis.TermLauncherShared.favoriteRules;
@@ -0,0 +1,68 @@
+/**
+ * 模糊搜尋工具模組
+ * 以共用比對模組（src/shared/fuzzy-match.js）搜尋目錄，並產生相符字元的標示 HTML
+ */
+import '../../../shared/fuzzy-match.js';
+import { getConfig } from '../state.js';
+import { getGroupDisplayName, getTerminalName, resolveTerminalId } from './terminal.js';
+import { formatDirectoryLocation } from './remote.js';
+import { escapeHtml } from './escape.js';
+
+const { rankDirectories, matchText } = globalThis.TermLauncherShared.fuzzySearch;
+
+export { matchText };
+
+/**
+ * 取得目錄的比對欄位（皆為畫面上顯示的文字，使標示位置與顯示一致）
+ * @param {Object} dir - 目錄物件
+ * @param {string} [terminalId] - 顯示的啟動器 ID（預設為目錄的啟動器）
+ * @returns {Object} { name, path, group, launcher, tags }
+ */
+export function getDirectorySearchTarget(dir, terminalId) {
+  const group = getConfig().groups?.find(g => g.id === (dir.group || 'default'));
+  return {
+    name: dir.name,
+    path: formatDirectoryLocation(dir),
+    group: group ? getGroupDisplayName(group) : '',
+    launcher: getTerminalName(terminalId || resolveTerminalId(dir)),
+    tags: dir.tags || [],
+  };
+}
+
+/**
+ * 模糊搜尋目錄並依相符分數排序（分數相同時保留傳入順序）
+ * @param {string} query - 查詢字串
+ * @param {Array} items - 項目列表
+ * @param {Function} [getTarget] - 取得項目比對欄位的函式（預設項目本身即為目錄）
+ * @returns {Array<{ item: *, score: number, highlights: Object }>}
+ */
+export function searchDirectories(query, items, getTarget = dir => getDirectorySearchTarget(dir)) {
+  return rankDirectories(query, items, getTarget);
+}
+
+/**
+ * 產生標示相符字元的 HTML（已轉義）
+ * @param {string} text - 原始文字
+ * @param {number[]} [positions] - 相符字元位置（已排序）
+ * @returns {string}
+ */
+export function highlightMatches(text, positions) {
+  const source = String(text ?? '');
+  if (!positions || positions.length === 0) return escapeHtml(source);
+
+  const matched = new Set(positions);
+  let html = '';
+  let index = 0;
+
+  while (index < source.length) {
+    const isMatch = matched.has(index);
+    let end = index + 1;
+    while (end < source.length && matched.has(end) === isMatch) end++;
+
+    const chunk = escapeHtml(source.slice(index, end));
+    html += isMatch ? '<mark class="match-highlight">' + chunk + '</mark>' : chunk;
+    index = end;
+  }
+
+  return html;
+}
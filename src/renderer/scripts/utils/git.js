@@ -0,0 +1,59 @@
+/**
+ * Git 狀態顯示工具
+ * 產生目錄卡片上的分支、變更狀態、領先/落後與最後提交時間標籤
+ */
+import { getDirectoryGitStatus } from '../state.js';
+import { t } from '../i18n.js';
+import { escapeHtml, escapeAttr } from './escape.js';
+import { formatRelativeTime } from './time.js';
+
+/**
+ * 取得 Git 狀態的完整說明（標籤提示文字）
+ * @param {Object} status - Git 狀態
+ * @returns {string}
+ */
+function getGitStatusDescription(status) {
+  const lines = [
+    status.detached
+      ? t('ui.git.detached', { oid: status.oid || '?' })
+      : t('ui.git.branch', { branch: status.branch }),
+    status.dirty ? t('ui.git.dirty', { count: status.changes }) : t('ui.git.clean'),
+    status.upstream
+      ? t('ui.git.aheadBehind', {
+          ahead: status.ahead,
+          behind: status.behind,
+          upstream: status.upstream,
+        })
+      : t('ui.git.noUpstream'),
+    status.lastCommit
+      ? t('ui.git.lastCommit', { time: formatRelativeTime(status.lastCommit) })
+      : t('ui.git.noCommits'),
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * 產生目錄 Git 狀態標籤的 HTML
+ * @param {Object} dir - 目錄物件
+ * @returns {string} HTML，非 Git 儲存庫或尚未讀取時為空字串
+ */
+export function getGitStatusTagHtml(dir) {
+  const status = getDirectoryGitStatus(dir);
+  if (!status) return '';
+
+  let text = '⎇ ' + (status.detached ? status.oid || '?' : status.branch);
+  if (status.dirty) text += ' ●';
+  if (status.ahead > 0) text += ' ↑' + status.ahead;
+  if (status.behind > 0) text += ' ↓' + status.behind;
+  if (status.lastCommit) text += ' · ' + formatRelativeTime(status.lastCommit);
+
+  return (
+    '<span class="tag tag-git' +
+    (status.dirty ? ' tag-git-dirty' : '') +
+    '" title="' +
+    escapeAttr(getGitStatusDescription(status)) +
+    '">' +
+    escapeHtml(text) +
+    '</span>'
+  );
+}
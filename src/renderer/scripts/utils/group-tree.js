@@ -0,0 +1,160 @@
+/**
+ * 群組樹狀結構工具模組
+ * 將扁平的群組列表（以 parentId 表示父群組）組成樹狀結構，並處理拖拉時的重新排序與移動
+ * 祖先/子孫群組、完整路徑與預設啟動器繼承的規則與主進程共用（src/shared/group-rules.js）
+ *
+ * 群組結構：groups[].parentId 為父群組 ID（null 表示頂層），order 為同一層中的排序，
+ * terminalId 為群組的預設啟動器（子群組與目錄未自訂時沿用）
+ */
+import '../../../shared/group-rules.js';
+
+const { getParentId, getGroupAncestry, getGroupDescendantIds } =
+  globalThis.TermLauncherShared.groupRules;
+
+export const {
+  getGroupDescendantIds: getDescendantIds,
+  getGroupPath: getGroupPathName,
+  getGroupTerminalId,
+  resolveDirectoryTerminalId,
+  getTerminalOverrideDirectories,
+} = globalThis.TermLauncherShared.groupRules;
+
+/**
+ * 依 order 排序群組
+ * @param {Object[]} groups - 群組列表
+ * @returns {Object[]} 排序後的新陣列
+ */
+function sortByOrder(groups) {
+  return [...groups].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * 將群組列表組成樹狀結構（父群組不存在的群組視為頂層群組）
+ * @param {Object[]} groups - 群組列表
+ * @returns {Array<{ group: Object, depth: number, children: Array }>} 頂層節點
+ */
+export function buildGroupTree(groups) {
+  const sorted = sortByOrder(groups);
+  const ids = new Set(groups.map(g => g.id));
+  const visited = new Set();
+
+  const buildNode = (group, depth) => {
+    visited.add(group.id);
+    return {
+      group,
+      depth,
+      children: sorted
+        .filter(g => getParentId(g) === group.id && !visited.has(g.id))
+        .map(g => buildNode(g, depth + 1)),
+    };
+  };
+
+  const roots = sorted
+    .filter(g => !getParentId(g) || !ids.has(getParentId(g)))
+    .map(g => buildNode(g, 0));
+
+  // 形成循環而無法從頂層到達的群組也列為頂層，避免群組消失
+  sorted.forEach(g => {
+    if (!visited.has(g.id)) roots.push(buildNode(g, 0));
+  });
+  return roots;
+}
+
+/**
+ * 依樹狀順序（父群組在前、子群組緊接在後）展開群組
+ * @param {Array} nodes - buildGroupTree 的節點
+ * @returns {Array<{ group: Object, depth: number, hasChildren: boolean }>}
+ */
+export function flattenGroupTree(nodes) {
+  return nodes.flatMap(node => [
+    { group: node.group, depth: node.depth, hasChildren: node.children.length > 0 },
+    ...flattenGroupTree(node.children),
+  ]);
+}
+
+/**
+ * 將群組 ID 列表擴展為包含所有子孫群組（用於篩選父群組時一併顯示子群組的目錄）
+ * @param {Object[]} groups - 群組列表
+ * @param {string[]} groupIds - 群組 ID 列表
+ * @returns {string[]}
+ */
+export function expandGroupIds(groups, groupIds) {
+  const result = new Set(groupIds);
+  groupIds.forEach(id => getGroupDescendantIds(groups, id).forEach(child => result.add(child)));
+  return [...result];
+}
+
+/**
+ * 判斷群組是否可移到指定父群組下（不可移到自己或子孫群組下，預設群組固定為頂層）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 要移動的群組 ID
+ * @param {string|null} parentId - 新的父群組 ID
+ * @returns {boolean}
+ */
+export function canReparent(groups, groupId, parentId) {
+  if (!parentId) return true;
+  const group = groups.find(g => g.id === groupId);
+  if (!group || group.isDefault || parentId === groupId) return false;
+  return (
+    groups.some(g => g.id === parentId) &&
+    !getGroupDescendantIds(groups, groupId).includes(parentId)
+  );
+}
+
+/**
+ * 重新編號同一層群組的 order
+ * @param {Object[]} siblings - 同一層的群組（已依新順序排列）
+ */
+function renumber(siblings) {
+  siblings.forEach((group, index) => {
+    group.order = index;
+  });
+}
+
+/**
+ * 移動群組（拖拉排序），會直接修改群組的 parentId 與 order
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 要移動的群組 ID
+ * @param {string|null} targetId - 目標群組 ID，null 表示移到頂層最後
+ * @param {'before'|'after'|'into'} [position] - 相對於目標群組的位置（into 表示成為其最後一個子群組）
+ * @returns {boolean} 是否移動成功（目標無效或會形成循環時為 false）
+ */
+export function moveGroup(groups, groupId, targetId, position) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group || groupId === targetId) return false;
+
+  let parentId = null;
+  let target = null;
+  if (targetId) {
+    target = groups.find(g => g.id === targetId);
+    if (!target) return false;
+    parentId = position === 'into' ? target.id : getParentId(target);
+  }
+  if (!canReparent(groups, groupId, parentId)) return false;
+
+  const oldParentId = getParentId(group);
+  const siblings = sortByOrder(groups.filter(g => g.id !== groupId && getParentId(g) === parentId));
+  const targetIndex = position === 'into' || !target ? -1 : siblings.indexOf(target);
+  if (targetIndex === -1) {
+    siblings.push(group);
+  } else {
+    siblings.splice(position === 'after' ? targetIndex + 1 : targetIndex, 0, group);
+  }
+
+  group.parentId = parentId;
+  renumber(siblings);
+  if (oldParentId !== parentId) {
+    renumber(sortByOrder(groups.filter(g => getParentId(g) === oldParentId)));
+  }
+  return true;
+}
+
+/**
+ * 取得群組的祖先群組（由頂層到父群組，不含自己）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 群組 ID
+ * @returns {Object[]}
+ */
+export function getAncestors(groups, groupId) {
+  return getGroupAncestry(groups, groupId).slice(0, -1);
+}
@@ -1,20 +1,24 @@
 /**
  * 應用內鍵盤快捷鍵模組
- * 處理應用程式內的鍵盤操作
+ * 依應用內快捷鍵對應表（utils/keymap.js）處理應用程式內的鍵盤操作
  */
-import { switchTab, getCurrentTab } from '../ui/tabs.js';
+import { getCurrentTab } from '../ui/tabs.js';
 import { closeCurrentModal } from '../ui/modal.js';
-import { showAddDirectoryModal } from '../ui/directories.js';
-
-// Tab 對應表
-const TAB_MAP = {
-  1: 'recent',
-  2: 'favorites',
-  3: 'groups',
-  4: 'directories',
-  5: 'launchers',
-  6: 'settings',
-};
+import { renderDirectories, showEditDirectoryModal } from '../ui/directories.js';
+import { renderFavoritesList, toggleFavorite, removeFavorite } from '../ui/favorites.js';
+import { renderRecentList } from '../ui/recent.js';
+import { showToast } from '../ui/toast.js';
+import {
+  openCommandPalette,
+  closeCommandPalette,
+  isCommandPaletteOpen,
+} from '../ui/commandPalette.js';
+import { getConfig } from '../state.js';
+import { executeCommand, registerCommand } from './commands.js';
+import { findKeymapAction, KEYMAP_INPUT_ACTIONS, LAUNCH_ACTION_PREFIX } from './keymap.js';
+import { getAppKeymap, getShortcutFromEvent } from './shortcuts.js';
+import { openTerminalWithType } from './terminal.js';
+import { t } from '../i18n.js';
 
 // 當前 Tab 對應的搜尋框 ID
 const SEARCH_INPUT_MAP = {
@@ -72,52 +76,130 @@ function handleEscape() {
   clearSearch();
 }
 
+/**
+ * 取得目前選取（聚焦）的目錄 ID
+ * @returns {number|null}
+ */
+function getSelectedDirectoryId() {
+  const item = document.activeElement?.closest('.directory-item[data-id]');
+  return item ? parseInt(item.dataset.id, 10) : null;
+}
+
+/**
+ * 重新整理所有目錄列表（焦點在列表內時，渲染後會聚焦回選取的目錄）
+ */
+function refreshDirectoryLists() {
+  renderDirectories();
+  renderFavoritesList();
+  renderRecentList();
+}
+
+/**
+ * 以第 N 個可見的啟動器開啟選取的目錄
+ * @param {number} index - 啟動器序號（從 1 開始）
+ */
+function launchSelectedWith(index) {
+  const selectedId = getSelectedDirectoryId();
+  if (selectedId === null) {
+    showToast(t('toast.noDirectorySelected'), 'info');
+    return;
+  }
+
+  const terminal = getConfig().terminals.filter(terminal => !terminal.hidden)[index - 1];
+  if (!terminal) {
+    showToast(t('toast.launcherNotAvailable', { n: index }), 'error');
+    return;
+  }
+
+  openTerminalWithType(selectedId, terminal.id, refreshDirectoryLists);
+}
+
+/**
+ * 切換選取目錄的最愛狀態（選取最愛列表的項目時移除該最愛）
+ */
+async function toggleSelectedFavorite() {
+  const selectedId = getSelectedDirectoryId();
+  if (selectedId === null) {
+    showToast(t('toast.noDirectorySelected'), 'info');
+    return;
+  }
+
+  const favoriteId = document.activeElement?.closest('[data-favorite-id]')?.dataset.favoriteId;
+  if (favoriteId) {
+    await removeFavorite(favoriteId);
+  } else {
+    await toggleFavorite(selectedId);
+  }
+  refreshDirectoryLists();
+}
+
+/**
+ * 編輯選取的目錄
+ */
+function editSelected() {
+  const selectedId = getSelectedDirectoryId();
+  if (selectedId === null) {
+    showToast(t('toast.noDirectorySelected'), 'info');
+    return;
+  }
+  showEditDirectoryModal(selectedId);
+}
+
+/**
+ * 開啟或關閉指令面板
+ */
+function toggleCommandPalette() {
+  if (isCommandPaletteOpen()) {
+    closeCommandPalette();
+  } else {
+    openCommandPalette();
+  }
+}
+
+/**
+ * 執行對應表的動作（非指令的動作在此處理，其餘交由指令註冊執行）
+ * @param {string} actionId - 動作 ID
+ */
+function runKeymapAction(actionId) {
+  if (actionId === 'commandPalette.open') {
+    toggleCommandPalette();
+  } else if (actionId.startsWith(LAUNCH_ACTION_PREFIX)) {
+    launchSelectedWith(parseInt(actionId.slice(LAUNCH_ACTION_PREFIX.length), 10));
+  } else if (actionId === 'selection.toggleFavorite') {
+    toggleSelectedFavorite();
+  } else if (actionId === 'selection.edit') {
+    editSelected();
+  } else {
+    executeCommand(actionId);
+  }
+}
+
 /**
  * 處理鍵盤事件
  * @param {KeyboardEvent} e - 鍵盤事件
  */
 function handleKeydown(e) {
-  // 如果在輸入框中，只處理特定快捷鍵
-  const isInputFocused =
-    document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA';
-
-  // Escape - 關閉彈窗或清空搜尋
+  // Escape - 關閉彈窗或清空搜尋（固定按鍵）
   if (e.key === 'Escape') {
     handleEscape();
     return;
   }
 
-  // 以下快捷鍵在輸入框中不觸發（除了 Ctrl+F）
-  if (isInputFocused && !(e.ctrlKey && e.key === 'f')) {
+  const result = getShortcutFromEvent(e);
+  if (!result) return;
+
+  const actionId = findKeymapAction(getAppKeymap(), result.shortcut);
+  if (!actionId) return;
+
+  // 在輸入框中只處理特定快捷鍵（指令面板、聚焦搜尋）
+  const isInputFocused =
+    document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA';
+  if (isInputFocused && !KEYMAP_INPUT_ACTIONS.includes(actionId)) {
     return;
   }
 
-  // Ctrl + 數字鍵 - 切換 Tab
-  if (e.ctrlKey && !e.shiftKey && !e.altKey) {
-    const num = parseInt(e.key, 10);
-    if (num >= 1 && num <= 6) {
-      e.preventDefault();
-      const tabId = TAB_MAP[num];
-      if (tabId) {
-        switchTab(tabId);
-      }
-      return;
-    }
-
-    // Ctrl+N - 新增目錄
-    if (e.key === 'n' || e.key === 'N') {
-      e.preventDefault();
-      showAddDirectoryModal();
-      return;
-    }
-
-    // Ctrl+F - 聚焦搜尋框
-    if (e.key === 'f' || e.key === 'F') {
-      e.preventDefault();
-      focusSearch();
-      return;
-    }
-  }
+  e.preventDefault();
+  runKeymapAction(actionId);
 }
 
 /**
@@ -125,4 +207,12 @@ function handleKeydown(e) {
  */
 export function initKeyboardShortcuts() {
   document.addEventListener('keydown', handleKeydown);
+
+  registerCommand({
+    id: 'search.focus',
+    icon: '🔎',
+    title: () => t('commands.focusSearch'),
+    when: () => getCurrentSearchInput() !== null,
+    run: focusSearch,
+  });
 }
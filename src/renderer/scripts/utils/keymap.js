@@ -0,0 +1,121 @@
+/**
+ * 應用內快捷鍵對應表模組
+ * 定義可重新綁定的動作與預設按鍵，合併使用者設定（config.settings.keymap）並偵測衝突
+ *
+ * 使用者設定只記錄與預設不同的按鍵：{ 動作 ID: 快捷鍵 }，空字串表示停用
+ */
+
+// 可重新綁定的動作與預設按鍵（動作 ID 與指令 ID 相同者由指令註冊執行）
+export const DEFAULT_KEYMAP = {
+  'tab.recent': 'Ctrl+1',
+  'tab.favorites': 'Ctrl+2',
+  'tab.groups': 'Ctrl+3',
+  'tab.directories': 'Ctrl+4',
+  'tab.launchers': 'Ctrl+5',
+  'tab.settings': 'Ctrl+6',
+  'directory.add': 'Ctrl+N',
+  'search.focus': 'Ctrl+F',
+  'commandPalette.open': 'Ctrl+Shift+P',
+  'selection.launch1': 'Alt+1',
+  'selection.launch2': 'Alt+2',
+  'selection.launch3': 'Alt+3',
+  'selection.launch4': 'Alt+4',
+  'selection.launch5': 'Alt+5',
+  'selection.launch6': 'Alt+6',
+  'selection.launch7': 'Alt+7',
+  'selection.launch8': 'Alt+8',
+  'selection.launch9': 'Alt+9',
+  'selection.toggleFavorite': 'Ctrl+D',
+  'selection.edit': 'F2',
+};
+
+// 焦點在輸入框時仍會觸發的動作
+export const KEYMAP_INPUT_ACTIONS = ['commandPalette.open', 'search.focus'];
+
+// 「以第 N 個啟動器開啟選取的目錄」動作 ID 前綴
+export const LAUNCH_ACTION_PREFIX = 'selection.launch';
+
+// 修飾鍵名稱
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Command', 'Super'];
+
+/**
+ * 判斷快捷鍵是否可綁定（需包含修飾鍵，功能鍵 F1-F24 可單獨使用）
+ * @param {string} shortcut - 快捷鍵（例如 'Ctrl+Shift+P'）
+ * @returns {boolean}
+ */
+export function isBindableShortcut(shortcut) {
+  if (typeof shortcut !== 'string' || !shortcut) return false;
+
+  const parts = shortcut.split('+');
+  const key = parts[parts.length - 1];
+  if (!key || MODIFIERS.includes(key)) return false;
+
+  const hasModifier = parts.slice(0, -1).some(p => MODIFIERS.includes(p));
+  return hasModifier || /^F([1-9]|1\d|2[0-4])$/.test(key);
+}
+
+/**
+ * 取得合併使用者設定後的對應表（忽略未知動作與無法綁定的按鍵）
+ * @param {Object} [overrides] - 使用者設定 { 動作 ID: 快捷鍵 }
+ * @returns {Object} { 動作 ID: 快捷鍵 }，停用的動作為空字串
+ */
+export function getKeymap(overrides) {
+  const keymap = { ...DEFAULT_KEYMAP };
+  for (const [actionId, shortcut] of Object.entries(overrides || {})) {
+    if (!Object.hasOwn(DEFAULT_KEYMAP, actionId)) continue;
+    if (shortcut === '' || isBindableShortcut(shortcut)) {
+      keymap[actionId] = shortcut;
+    }
+  }
+  return keymap;
+}
+
+/**
+ * 比較兩個快捷鍵是否相同（不分大小寫）
+ * @param {string} a - 快捷鍵
+ * @param {string} b - 快捷鍵
+ * @returns {boolean}
+ */
+function isSameShortcut(a, b) {
+  return Boolean(a) && Boolean(b) && a.toUpperCase() === b.toUpperCase();
+}
+
+/**
+ * 依快捷鍵找出對應的動作
+ * @param {Object} keymap - 對應表
+ * @param {string} shortcut - 快捷鍵
+ * @returns {string|null} 動作 ID
+ */
+export function findKeymapAction(keymap, shortcut) {
+  const entry = Object.entries(keymap).find(([, value]) => isSameShortcut(value, shortcut));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * 找出與快捷鍵衝突的佔用者
+ * @param {string} shortcut - 要綁定的快捷鍵
+ * @param {Object} owners - 已使用的快捷鍵 { 佔用者 ID: 快捷鍵 }（對應表與全域快捷鍵）
+ * @param {string} [excludeId] - 排除的佔用者（通常是正在重新綁定的動作）
+ * @returns {string|null} 佔用者 ID
+ */
+export function findShortcutConflict(shortcut, owners, excludeId) {
+  const entry = Object.entries(owners).find(
+    ([id, value]) => id !== excludeId && isSameShortcut(value, shortcut)
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * 將對應表轉為使用者設定（只保留與預設不同的按鍵）
+ * @param {Object} keymap - 對應表
+ * @returns {Object} 使用者設定
+ */
+export function toKeymapOverrides(keymap) {
+  const overrides = {};
+  for (const [actionId, shortcut] of Object.entries(keymap)) {
+    if (Object.hasOwn(DEFAULT_KEYMAP, actionId) && shortcut !== DEFAULT_KEYMAP[actionId]) {
+      overrides[actionId] = shortcut;
+    }
+  }
+  return overrides;
+}
@@ -0,0 +1,75 @@
+/**
+ * 多工器版面配置文字工具
+ * 在多行文字與目錄版面配置物件（dir.layout）間轉換
+ *
+ * 文字格式：
+ * - [名稱] 或 [名稱 排列方式] 開始一個視窗，例如 [dev even-vertical]
+ * - 其餘每個非空行為一個窗格的命令，單獨的 . 代表一般 shell
+ * - # 開頭為註解；第一個視窗標題前的窗格歸入未命名視窗
+ */
+
+// tmux 內建的窗格排列方式，需與主進程 mux-utils.js 的 TMUX_LAYOUTS 一致
+const TMUX_LAYOUTS = [
+  'even-horizontal',
+  'even-vertical',
+  'main-horizontal',
+  'main-vertical',
+  'tiled',
+];
+
+/**
+ * 將版面配置物件轉為多行文字
+ * @param {Object} [layout] - 版面配置 { windows: [{ name?, layout?, panes }] }
+ * @returns {string}
+ */
+export function formatLayoutText(layout) {
+  if (!layout || !Array.isArray(layout.windows)) return '';
+  return layout.windows
+    .map(window => {
+      const header = [window.name, window.layout].filter(Boolean).join(' ');
+      const panes = (window.panes || []).map(pane => pane.command || '.');
+      return (header ? ['[' + header + ']'] : ['[]']).concat(panes).join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * 解析版面配置文字
+ * @param {string} text - 輸入文字
+ * @returns {{ layout: Object|null, invalidLine: string|null }} 無任何視窗時 layout 為 null
+ */
+export function parseLayoutText(text) {
+  const windows = [];
+  let current = null;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const header = line.match(/^\[(.*)\]$/);
+    if (header) {
+      const parts = header[1].trim().split(/\s+/).filter(Boolean);
+      if (parts.length > 2 || (parts[1] && !TMUX_LAYOUTS.includes(parts[1]))) {
+        return { layout: null, invalidLine: line };
+      }
+      current = { panes: [] };
+      if (parts[0]) current.name = parts[0];
+      if (parts[1]) current.layout = parts[1];
+      windows.push(current);
+      continue;
+    }
+
+    if (!current) {
+      current = { panes: [] };
+      windows.push(current);
+    }
+    current.panes.push(line === '.' ? {} : { command: line });
+  }
+
+  // 沒有窗格的視窗視為一般 shell
+  windows.forEach(window => {
+    if (window.panes.length === 0) window.panes.push({});
+  });
+
+  return { layout: windows.length > 0 ? { windows } : null, invalidLine: null };
+}
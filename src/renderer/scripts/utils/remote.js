@@ -0,0 +1,66 @@
+/**
+ * 遠端（SSH）目錄工具
+ * 判斷遠端目錄、組合顯示文字與驗證表單輸入
+ */
+
+// 主機名稱、別名、使用者名稱允許的字元，需與主進程 ssh-utils.js 一致
+const NAME_PATTERN = /^[A-Za-z0-9_.][A-Za-z0-9_.-]*$/;
+
+/**
+ * 判斷目錄是否為遠端目錄
+ * @param {Object} dir - 目錄物件
+ * @returns {boolean}
+ */
+export function isRemoteDirectory(dir) {
+  return Boolean(dir && dir.remote && dir.remote.host);
+}
+
+/**
+ * 取得 ssh 連線目標（user@host 或 host）
+ * @param {Object} remote - 遠端目標 { host, user }
+ * @returns {string}
+ */
+export function getRemoteTarget(remote) {
+  return remote.user ? remote.user + '@' + remote.host : remote.host;
+}
+
+/**
+ * 取得目錄位置的顯示文字（遠端目錄為 user@host:path）
+ * @param {Object} dir - 目錄物件
+ * @returns {string}
+ */
+export function formatDirectoryLocation(dir) {
+  return isRemoteDirectory(dir) ? getRemoteTarget(dir.remote) + ':' + dir.path : dir.path;
+}
+
+/**
+ * 驗證並整理遠端目標表單輸入
+ * @param {Object} input - { host, user, port, identityFile }（皆為字串）
+ * @param {string} path - 遠端路徑
+ * @returns {{ remote: Object|null, errorKey: string|null }} errorKey 為錯誤訊息的翻譯鍵
+ */
+export function parseRemoteInput(input, path) {
+  const host = input.host.trim();
+  const user = input.user.trim();
+  const port = input.port.trim();
+  const identityFile = input.identityFile.trim();
+
+  if (!NAME_PATTERN.test(host) || (user && !NAME_PATTERN.test(user))) {
+    return { remote: null, errorKey: 'toast.remoteHostInvalid' };
+  }
+
+  const portNumber = Number(port);
+  if (port && (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535)) {
+    return { remote: null, errorKey: 'toast.remotePortInvalid' };
+  }
+
+  if (!/^(\/|~(\/|$))/.test(path) || /['"\\$&!*?;|`<>\n\r]/.test(path)) {
+    return { remote: null, errorKey: 'toast.remotePathInvalid' };
+  }
+
+  const remote = { host };
+  if (user) remote.user = user;
+  if (port) remote.port = portNumber;
+  if (identityFile) remote.identityFile = identityFile;
+  return { remote, errorKey: null };
+}
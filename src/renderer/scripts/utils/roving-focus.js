@@ -0,0 +1,204 @@
+/**
+ * 列表鍵盤導覽模組（roving tabindex）
+ * 列表中只有一個項目可用 Tab 聚焦，以方向鍵、Home/End、PageUp/PageDown 移動焦點，
+ * 並將 Enter、Shift+Enter、Delete 與群組折疊交由各列表處理
+ */
+
+// 可導覽的項目：目錄項目與群組折疊按鈕
+const ITEM_SELECTOR = '.directory-item[data-id], [data-toggle-group]';
+
+// 導覽時不可聚焦的元素（項目內的操作按鈕改由快捷鍵與右鍵選單操作）
+const INNER_SELECTOR = '.directory-item .btn-icon';
+
+/**
+ * 取得項目的識別鍵（重新渲染後用於找回同一個項目）
+ * @param {HTMLElement} item - 項目元素
+ * @returns {string}
+ */
+function getItemKey(item) {
+  // 最愛可能有多個項目指向同一目錄（搭配不同啟動器），以最愛 ID 區分
+  if (item.dataset.favoriteId) return 'favorite:' + item.dataset.favoriteId;
+  return item.dataset.id ? 'dir:' + item.dataset.id : 'group:' + item.dataset.toggleGroup;
+}
+
+/**
+ * 取得可導覽的項目（排除收合群組內的目錄與子群組）
+ * @param {HTMLElement} container - 列表容器
+ * @returns {HTMLElement[]}
+ */
+export function getRovingItems(container) {
+  return [...container.querySelectorAll(ITEM_SELECTOR)].filter(
+    item =>
+      !item.closest(
+        '.group-section.collapsed .directory-list, .group-section.collapsed .group-children'
+      )
+  );
+}
+
+/**
+ * 設定目前項目（唯一可用 Tab 聚焦的項目）
+ * @param {HTMLElement} container - 列表容器
+ * @param {HTMLElement} item - 項目元素
+ */
+function setCurrentItem(container, item) {
+  container.querySelectorAll(ITEM_SELECTOR).forEach(el => {
+    el.setAttribute('tabindex', el === item ? '0' : '-1');
+  });
+  container.dataset.rovingKey = getItemKey(item);
+  container.dataset.rovingIndex = String(getRovingItems(container).indexOf(item));
+}
+
+/**
+ * 列表重新渲染後重設 tabindex（找回原本的項目，已移除時改用相同位置的項目）
+ * @param {HTMLElement} container - 列表容器
+ * @param {boolean} [restoreFocus] - 是否聚焦目前項目（渲染前焦點在列表內時）
+ */
+export function resetRovingFocus(container, restoreFocus = false) {
+  container.querySelectorAll(INNER_SELECTOR).forEach(el => el.setAttribute('tabindex', '-1'));
+
+  const items = getRovingItems(container);
+  if (items.length === 0) return;
+
+  const index = Math.min(parseInt(container.dataset.rovingIndex, 10) || 0, items.length - 1);
+  const current =
+    items.find(item => getItemKey(item) === container.dataset.rovingKey) || items[index];
+  setCurrentItem(container, current);
+
+  if (restoreFocus) {
+    current.focus();
+  }
+}
+
+/**
+ * 聚焦項目並設為目前項目
+ * @param {HTMLElement} container - 列表容器
+ * @param {HTMLElement|undefined} item - 項目元素
+ */
+function focusItem(container, item) {
+  if (!item) return;
+  setCurrentItem(container, item);
+  item.focus();
+}
+
+/**
+ * 計算 PageUp/PageDown 移動的項目數（約一個視窗高度）
+ * @param {HTMLElement} item - 目前項目
+ * @returns {number}
+ */
+function getPageSize(item) {
+  return Math.max(1, Math.floor(window.innerHeight / Math.max(item.offsetHeight, 1)) - 1);
+}
+
+/**
+ * 取得項目所屬群組的折疊按鈕（巢狀群組時為最內層的群組）
+ * @param {HTMLElement|null|undefined} section - 群組區塊
+ * @returns {HTMLElement|null}
+ */
+function getSectionToggle(section) {
+  return section?.querySelector(':scope > .group-header [data-toggle-group]') || null;
+}
+
+/**
+ * 處理群組折疊按鈕的左右鍵
+ * 左鍵收合（已收合時移到父群組），右鍵展開（已展開時移到群組內第一個目錄或子群組）
+ * @param {HTMLElement} container - 列表容器
+ * @param {HTMLElement} toggle - 群組折疊按鈕
+ * @param {string} key - 按鍵
+ * @param {Function} [onToggleGroup] - 切換群組收合的回調 (groupId)
+ */
+function handleGroupKey(container, toggle, key, onToggleGroup) {
+  const expanded = toggle.getAttribute('aria-expanded') === 'true';
+  const section = toggle.closest('.group-section');
+  if (key === 'ArrowLeft' && expanded) {
+    onToggleGroup?.(toggle.dataset.toggleGroup);
+  } else if (key === 'ArrowLeft') {
+    focusItem(container, getSectionToggle(section?.parentElement?.closest('.group-section')));
+  } else if (key === 'ArrowRight' && !expanded) {
+    onToggleGroup?.(toggle.dataset.toggleGroup);
+  } else if (key === 'ArrowRight') {
+    focusItem(
+      container,
+      section?.querySelector(
+        ':scope > .directory-list > .directory-item, :scope > .group-children [data-toggle-group]'
+      )
+    );
+  }
+}
+
+/**
+ * 設定列表的鍵盤導覽
+ * @param {HTMLElement} container - 列表容器
+ * @param {Object} handlers - 各動作的回調（參數皆為目錄 ID 與鍵盤事件）
+ * @param {Function} handlers.onActivate - Enter / Space：以預設啟動器開啟
+ * @param {Function} [handlers.onPickLauncher] - Shift+Enter：選擇啟動器
+ * @param {Function} [handlers.onDelete] - Delete：移除（需確認）
+ * @param {Function} [handlers.onToggleGroup] - 群組折疊按鈕的左右鍵 (groupId)
+ */
+export function setupRovingFocus(container, handlers) {
+  container.dataset.rovingFocus = '';
+
+  container.addEventListener('focusin', e => {
+    const item = e.target.closest(ITEM_SELECTOR);
+    if (item && container.contains(item)) {
+      setCurrentItem(container, item);
+    }
+  });
+
+  container.addEventListener('keydown', e => {
+    // 只處理項目本身的按鍵（項目內的按鈕與輸入框維持原本行為）
+    const item = e.target.closest(ITEM_SELECTOR);
+    if (!item || e.target !== item || e.ctrlKey || e.altKey || e.metaKey) return;
+
+    const items = getRovingItems(container);
+    const index = items.indexOf(item);
+    const isGroupToggle = !item.dataset.id;
+    const dirId = parseInt(item.dataset.id, 10);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        focusItem(container, items[index + 1]);
+        break;
+      case 'ArrowUp':
+        focusItem(container, items[index - 1]);
+        break;
+      case 'Home':
+        focusItem(container, items[0]);
+        break;
+      case 'End':
+        focusItem(container, items[items.length - 1]);
+        break;
+      case 'PageDown':
+        focusItem(container, items[Math.min(index + getPageSize(item), items.length - 1)]);
+        break;
+      case 'PageUp':
+        focusItem(container, items[Math.max(index - getPageSize(item), 0)]);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        if (isGroupToggle) {
+          handleGroupKey(container, item, e.key, handlers.onToggleGroup);
+        } else if (e.key === 'ArrowLeft') {
+          // 目錄項目按左鍵移到所屬群組
+          focusItem(container, getSectionToggle(item.closest('.group-section')));
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        // 群組折疊按鈕維持按鈕預設行為
+        if (isGroupToggle) return;
+        if (e.shiftKey && e.key === 'Enter') {
+          handlers.onPickLauncher?.(dirId, e);
+        } else {
+          handlers.onActivate(dirId, e);
+        }
+        break;
+      case 'Delete':
+        if (isGroupToggle) return;
+        handlers.onDelete?.(dirId, e);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+}
@@ -5,6 +5,40 @@
 import { getConfig, saveConfig } from '../state.js';
 import { showToast } from '../ui/toast.js';
 import { t } from '../i18n.js';
+import { getKeymap } from './keymap.js';
+
+// 各快捷鍵設定的預設值（快速啟動面板的快捷鍵可清空以停用）
+const DEFAULT_SHORTCUTS = {
+  globalShortcut: 'Alt+Space',
+  paletteShortcut: 'Alt+Shift+Space',
+};
+
+/**
+ * 取得快捷鍵設定值
+ * @param {string} settingKey - 設定鍵（globalShortcut 或 paletteShortcut）
+ * @returns {string}
+ */
+export function getShortcutSetting(settingKey) {
+  const config = getConfig();
+  return config.settings[settingKey] ?? DEFAULT_SHORTCUTS[settingKey];
+}
+
+/**
+ * 取得應用內快捷鍵對應表（預設按鍵合併使用者設定）
+ * @returns {Object} { 動作 ID: 快捷鍵 }
+ */
+export function getAppKeymap() {
+  return getKeymap(getConfig().settings.keymap);
+}
+
+/**
+ * 取得指令的快捷鍵提示
+ * @param {string} commandId - 指令 ID
+ * @returns {string} 快捷鍵，未設定或已停用時為空字串
+ */
+export function getShortcutHint(commandId) {
+  return getAppKeymap()[commandId] || '';
+}
 
 // 按鍵映射表：將 JavaScript 按鍵名稱轉換為 Electron globalShortcut 格式
 const keyMap = {
@@ -23,13 +57,51 @@ const keyMap = {
   PageUp: 'PageUp',
   PageDown: 'PageDown',
   Tab: 'Tab',
+  '+': 'Plus',
 };
 
+/**
+ * 由鍵盤事件產生 Electron 快捷鍵格式
+ * @param {KeyboardEvent} e - 鍵盤事件
+ * @returns {{ shortcut: string, hasModifier: boolean }|null} 只按下修飾鍵時為 null
+ */
+export function getShortcutFromEvent(e) {
+  const keys = [];
+  if (e.ctrlKey) keys.push('Ctrl');
+  if (e.altKey) keys.push('Alt');
+  if (e.shiftKey) keys.push('Shift');
+
+  const key = e.key;
+
+  // 如果只按了修飾鍵，繼續等待
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(key)) {
+    return null;
+  }
+
+  // 轉換按鍵名稱
+  let mappedKey = keyMap[key];
+  if (!mappedKey) {
+    // 單一字母或數字轉大寫
+    if (key.length === 1) {
+      mappedKey = key.toUpperCase();
+    } else if (key.startsWith('F') && !isNaN(key.slice(1))) {
+      // F1-F12 保持原樣
+      mappedKey = key;
+    } else {
+      mappedKey = key;
+    }
+  }
+
+  keys.push(mappedKey);
+  return { shortcut: keys.join('+'), hasModifier: keys.length > 1 };
+}
+
 /**
  * 錄製快捷鍵
  * @param {HTMLInputElement} input - 快捷鍵輸入框
+ * @param {string} [settingKey] - 設定鍵（預設 globalShortcut）
  */
-export function recordShortcut(input) {
+export function recordShortcut(input, settingKey = 'globalShortcut') {
   const originalValue = input.value;
   input.value = t('toast.pressShortcut');
 
@@ -43,40 +115,15 @@ export function recordShortcut(input) {
     e.preventDefault();
     e.stopPropagation();
 
-    const keys = [];
-    if (e.ctrlKey) keys.push('Ctrl');
-    if (e.altKey) keys.push('Alt');
-    if (e.shiftKey) keys.push('Shift');
-
-    const key = e.key;
-
-    // 如果只按了修飾鍵，繼續等待
-    if (['Control', 'Alt', 'Shift', 'Meta'].includes(key)) {
-      return;
-    }
-
-    // 轉換按鍵名稱
-    let mappedKey = keyMap[key];
-    if (!mappedKey) {
-      // 單一字母或數字轉大寫
-      if (key.length === 1) {
-        mappedKey = key.toUpperCase();
-      } else if (key.startsWith('F') && !isNaN(key.slice(1))) {
-        // F1-F12 保持原樣
-        mappedKey = key;
-      } else {
-        mappedKey = key;
-      }
-    }
-
-    keys.push(mappedKey);
+    const result = getShortcutFromEvent(e);
+    if (!result) return;
 
     // 需要至少一個修飾鍵 + 一個主鍵
-    if (keys.length > 1) {
-      const shortcut = keys.join('+');
+    if (result.hasModifier) {
+      const { shortcut } = result;
       input.value = shortcut;
       const config = getConfig();
-      config.settings.globalShortcut = shortcut;
+      config.settings[settingKey] = shortcut;
       await saveConfig();
       showToast(t('toast.shortcutUpdated', { shortcut }), 'success');
     } else {
@@ -104,13 +151,14 @@ export function recordShortcut(input) {
 /**
  * 從輸入框直接保存快捷鍵（手動輸入模式）
  * @param {HTMLInputElement} input - 快捷鍵輸入框
+ * @param {string} [settingKey] - 設定鍵（預設 globalShortcut）
  */
-export async function saveShortcutFromInput(input) {
+export async function saveShortcutFromInput(input, settingKey = 'globalShortcut') {
   const config = getConfig();
   const shortcut = input.value.trim();
 
   if (!shortcut) {
-    input.value = config.settings.globalShortcut || 'Alt+Space';
+    input.value = getShortcutSetting(settingKey);
     return;
   }
 
@@ -121,7 +169,7 @@ export async function saveShortcutFromInput(input) {
 
   if (!hasModifier || parts.length < 2) {
     showToast(t('toast.shortcutFormatError'), 'error');
-    input.value = config.settings.globalShortcut || 'Alt+Space';
+    input.value = getShortcutSetting(settingKey);
     return;
   }
 
@@ -131,10 +179,24 @@ export async function saveShortcutFromInput(input) {
     .map(p => (p === 'Control' ? 'Ctrl' : p))
     .join('+');
 
-  if (normalizedShortcut !== config.settings.globalShortcut) {
-    config.settings.globalShortcut = normalizedShortcut;
+  if (normalizedShortcut !== getShortcutSetting(settingKey)) {
+    config.settings[settingKey] = normalizedShortcut;
     input.value = normalizedShortcut;
     await saveConfig();
     showToast(t('toast.shortcutUpdated', { shortcut: normalizedShortcut }), 'success');
   }
 }
+
+/**
+ * 清除快速啟動面板快捷鍵（停用面板快捷鍵）
+ * @param {HTMLInputElement} input - 快捷鍵輸入框
+ */
+export async function clearPaletteShortcut(input) {
+  const config = getConfig();
+  if (config.settings.paletteShortcut === '') return;
+
+  config.settings.paletteShortcut = '';
+  input.value = '';
+  await saveConfig();
+  showToast(t('toast.paletteShortcutDisabled'), 'success');
+}
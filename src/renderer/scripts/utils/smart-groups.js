@@ -0,0 +1,47 @@
+/**
+ * 智慧群組工具模組
+ * 智慧群組的排序與編輯表單解析（規則比對與主進程共用，定義於 src/shared/smart-group-rules.js）
+ *
+ * 智慧群組結構：{ id, name, icon, match: 'all' | 'any', rules: [{ type, value }], order }
+ */
+// 智慧群組規則相依群組與標籤規則，需先載入
+import '../../../shared/group-rules.js';
+import '../../../shared/tag-rules.js';
+import '../../../shared/smart-group-rules.js';
+
+export const {
+  SMART_RULE_TYPES,
+  MAX_SMART_RULES,
+  MAX_LAUNCHED_WITHIN_DAYS,
+  normalizeMatchPath,
+  matchesSmartGroup,
+  getSmartGroupMembers,
+} = globalThis.TermLauncherShared.smartGroupRules;
+
+/**
+ * 依 order 排序智慧群組
+ * @param {Object[]} smartGroups - 智慧群組列表
+ * @returns {Object[]} 排序後的新陣列
+ */
+export function sortSmartGroups(smartGroups) {
+  return [...(smartGroups || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * 將編輯表單的輸入轉為規則，並檢查是否有效
+ * @param {string} type - 規則類型
+ * @param {string} rawValue - 表單輸入值
+ * @returns {{ type: string, value?: string|number }|null} 無效時為 null
+ */
+export function parseSmartRule(type, rawValue) {
+  if (!SMART_RULE_TYPES.includes(type)) return null;
+  if (type === 'pathInvalid') return { type };
+
+  const text = String(rawValue ?? '').trim();
+  if (type === 'launchedWithin') {
+    const days = Number(text);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LAUNCHED_WITHIN_DAYS) return null;
+    return { type, value: days };
+  }
+  return text ? { type, value: text } : null;
+}
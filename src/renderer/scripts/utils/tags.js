@@ -0,0 +1,18 @@
+/**
+ * 目錄標籤工具模組
+ * 標籤正規化、彙整既有標籤與群組/標籤篩選比對（規則與主進程共用，定義於 src/shared/tag-rules.js）
+ */
+import '../../../shared/tag-rules.js';
+
+export const {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  hasTag,
+  mergeTags,
+  validateTags,
+  collectTags,
+  isFilterActive,
+  matchesDirectoryFilter,
+} = globalThis.TermLauncherShared.tagRules;
@@ -2,13 +2,14 @@
  * 終端相關共用工具模組
  * 提供終端操作相關的共用函數
  */
-import { getConfig, loadConfig } from '../state.js';
+import { getConfig, loadRecentLaunches } from '../state.js';
 import { api } from '../api.js';
 import { showToast } from '../ui/toast.js';
 import { openModal } from '../ui/modal.js';
 import { t } from '../i18n.js';
 import { switchTab } from '../ui/tabs.js';
 import { escapeHtml } from './escape.js';
+import { resolveDirectoryTerminalId } from './group-tree.js';
 
 /**
  * 取得預設終端 ID（從配置中取得第一個非檔案管理器的終端）
@@ -20,6 +21,15 @@ export function getDefaultTerminalId() {
   return nonFileManager?.id || config?.terminals?.[0]?.id || 'file-manager';
 }
 
+/**
+ * 取得目錄實際使用的啟動器 ID（目錄自訂 > 群組預設 > 全域預設）
+ * @param {Object} dir - 目錄物件
+ * @returns {string} 啟動器 ID
+ */
+export function resolveTerminalId(dir) {
+  return resolveDirectoryTerminalId(dir, getConfig()?.groups, getDefaultTerminalId());
+}
+
 /**
  * 取得終端顯示名稱（支援 i18n）
  * 內建終端嘗試翻譯，自訂終端直接使用 name
@@ -77,6 +87,15 @@ const ErrorTypeToMessageKey = {
   WSL_NOT_FOUND: 'wslNotFound',
   WSL_DISTRO_NOT_FOUND: 'wslDistroNotFound',
   TERMINAL_NOT_FOUND: 'terminalNotFound',
+  SPAWN_FAILED: 'spawnFailed',
+  SPAWN_EXITED_EARLY: 'spawnExitedEarly',
+  REMOTE_NOT_SUPPORTED: 'remoteNotSupported',
+  REMOTE_INVALID: 'remoteInvalid',
+  MULTIPLEXER_FAILED: 'multiplexerFailed',
+  DOCKER_NOT_RUNNING: 'dockerNotRunning',
+  DOCKER_PERMISSION_DENIED: 'dockerPermissionDenied',
+  CONTAINER_NOT_RUNNING: 'containerNotRunning',
+  CONTAINER_FAILED: 'containerFailed',
 };
 
 /**
@@ -98,13 +117,28 @@ export function getErrorMessage(result) {
     if (result.errorType === 'WSL_DISTRO_NOT_FOUND') {
       return t('toast.' + messageKey, { distro: result.errorDetail });
     }
-    if (result.errorType === 'TERMINAL_NOT_FOUND') {
+    if (result.errorType === 'TERMINAL_NOT_FOUND' || result.errorType === 'REMOTE_NOT_SUPPORTED') {
       return t('toast.' + messageKey, { name: result.errorDetail });
     }
+    if (result.errorType === 'SPAWN_EXITED_EARLY') {
+      // 附上 stderr 片段，方便判斷失敗原因
+      const message = t('toast.' + messageKey, { code: result.exitCode ?? result.signal });
+      return result.errorDetail ? message + '\n' + result.errorDetail : message;
+    }
+    if (
+      result.errorType === 'SPAWN_FAILED' ||
+      result.errorType === 'REMOTE_INVALID' ||
+      result.errorType === 'MULTIPLEXER_FAILED' ||
+      result.errorType === 'CONTAINER_FAILED'
+    ) {
+      return t('toast.' + messageKey, { error: result.errorDetail });
+    }
     return t('toast.' + messageKey);
   }
 
-  return t('toast.openFailed', { error: result.error || 'Unknown error' });
+  return t('toast.openFailed', {
+    error: result.error || result.errorDetail || 'Unknown error',
+  });
 }
 
 /**
@@ -128,6 +162,12 @@ export function getErrorActions(result, dir) {
           api.openExternal(action.value);
         };
         break;
+      case 'copy':
+        onClick = () => {
+          navigator.clipboard.writeText(action.value);
+          showToast(t('toast.commandCopied'), 'success');
+        };
+        break;
       case 'internal':
         onClick = async () => {
           if (action.value === 'open-terminal-settings') {
@@ -159,10 +199,11 @@ export async function openTerminalWithType(dirId, terminalId, onSuccess) {
 
   const dirWithTerminal = { ...dir, terminalId };
   const result = await api.openTerminal(dirWithTerminal);
+  // 成功或失敗都會寫入啟動歷史
+  await loadRecentLaunches();
 
   if (result.success) {
     showToast(t('toast.openingDirectory', { name: dir.name }), 'success');
-    await loadConfig();
     if (onSuccess) {
       onSuccess();
     }
@@ -173,6 +214,22 @@ export async function openTerminalWithType(dirId, terminalId, onSuccess) {
   }
 }
 
+/**
+ * 產生「以指定啟動器開啟」的選單項目（右鍵選單的子選單與 Shift+Enter 的啟動器選擇）
+ * @param {number} dirId - 目錄 ID
+ * @param {Function} onSuccess - 成功後的回調函數
+ * @returns {Object[]} 選單項目
+ */
+export function buildLauncherMenuItems(dirId, onSuccess) {
+  return getConfig()
+    .terminals.filter(terminal => !terminal.hidden)
+    .map(terminal => ({
+      icon: terminal.icon || '💻',
+      label: getTerminalDisplayName(terminal),
+      onClick: () => openTerminalWithType(dirId, terminal.id, onSuccess),
+    }));
+}
+
 /**
  * 開啟終端（使用目錄預設終端）
  * @param {number} dirId - 目錄 ID
@@ -184,10 +241,11 @@ export async function openTerminal(dirId, onSuccess) {
   if (!dir) return;
 
   const result = await api.openTerminal(dir);
+  // 成功或失敗都會寫入啟動歷史
+  await loadRecentLaunches();
 
   if (result.success) {
     showToast(t('toast.openingDirectory', { name: dir.name }), 'success');
-    await loadConfig();
     if (onSuccess) {
       onSuccess();
     }
@@ -198,6 +256,15 @@ export async function openTerminal(dirId, onSuccess) {
   }
 }
 
+/**
+ * 檢查命令模板是否包含路徑佔位符（{path}、{winpath}、{wslpath}、{ssh}、{mux} 或 {container}）
+ * @param {string} command - 命令模板
+ * @returns {boolean}
+ */
+export function hasPathPlaceholder(command) {
+  return /\{(path|winpath|wslpath|ssh|mux|container)\}/.test(command);
+}
+
 /**
  * 顯示命令預覽彈窗
  * @param {number} dirId - 目錄 ID
@@ -211,10 +278,46 @@ export async function showCommandPreview(dirId, terminalId) {
   const result = await api.previewCommand(dir, terminalId || dir.terminalId);
 
   if (!result.success) {
-    showToast(t('toast.previewFailed'), 'error');
+    showToast(
+      result.errorType === 'REMOTE_NOT_SUPPORTED'
+        ? getErrorMessage(result)
+        : t('toast.previewFailed'),
+      'error'
+    );
     return;
   }
 
+  // 注入的環境變數（機密值已由主進程遮罩）
+  const envLines = (result.env || []).map(
+    entry => entry.key + '=' + entry.value + '  # ' + t('contextMenu.envSource.' + entry.source)
+  );
+  let envFileHtml = '';
+  if (result.envFile) {
+    envFileHtml =
+      '<small class="hint">' +
+      escapeHtml(
+        result.envFile.loaded
+          ? t('contextMenu.previewEnvFileLoaded', {
+              path: result.envFile.path,
+              count: result.envFile.count,
+            })
+          : t('contextMenu.previewEnvFileMissing', { path: result.envFile.path })
+      ) +
+      '</small>';
+  }
+  const envHtml =
+    envLines.length > 0 || envFileHtml
+      ? '<div class="preview-section">' +
+        '<label>' +
+        t('contextMenu.previewEnv') +
+        '</label>' +
+        (envLines.length > 0
+          ? '<div class="preview-value command env">' + escapeHtml(envLines.join('\n')) + '</div>'
+          : '') +
+        envFileHtml +
+        '</div>'
+      : '';
+
   const content =
     '<div class="command-preview">' +
     '<div class="preview-section">' +
@@ -225,6 +328,40 @@ export async function showCommandPreview(dirId, terminalId) {
     escapeHtml(result.terminalName) +
     '</div>' +
     '</div>' +
+    (result.remote
+      ? '<div class="preview-section">' +
+        '<label>' +
+        t('contextMenu.previewRemote') +
+        '</label>' +
+        '<div class="preview-value">' +
+        escapeHtml(
+          (result.remote.user ? result.remote.user + '@' : '') +
+            result.remote.host +
+            (result.remote.port ? ':' + result.remote.port : '')
+        ) +
+        '</div>' +
+        '</div>'
+      : '') +
+    (result.multiplexer
+      ? '<div class="preview-section">' +
+        '<label>' +
+        t('contextMenu.previewSession') +
+        '</label>' +
+        '<div class="preview-value">' +
+        escapeHtml(result.multiplexer + ': ' + result.session) +
+        '</div>' +
+        '</div>'
+      : '') +
+    (result.container
+      ? '<div class="preview-section">' +
+        '<label>' +
+        t('contextMenu.previewContainer') +
+        '</label>' +
+        '<div class="preview-value">' +
+        escapeHtml(result.container) +
+        '</div>' +
+        '</div>'
+      : '') +
     '<div class="preview-section">' +
     '<label>' +
     t('contextMenu.previewOriginalPath') +
@@ -245,12 +382,21 @@ export async function showCommandPreview(dirId, terminalId) {
     '</div>' +
     '<div class="preview-section">' +
     '<label>' +
+    t('contextMenu.previewMode') +
+    '</label>' +
+    '<div class="preview-value">' +
+    (result.shell ? t('contextMenu.previewModeShell') : t('contextMenu.previewModeDirect')) +
+    '</div>' +
+    '</div>' +
+    '<div class="preview-section">' +
+    '<label>' +
     t('contextMenu.previewCommand') +
     '</label>' +
     '<div class="preview-value command">' +
     escapeHtml(result.command) +
     '</div>' +
     '</div>' +
+    envHtml +
     '</div>';
 
   openModal({
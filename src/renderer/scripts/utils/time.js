@@ -0,0 +1,31 @@
+/**
+ * 時間格式工具
+ */
+import { t } from '../i18n.js';
+
+/**
+ * 格式化相對時間
+ * @param {number} timestamp - 時間戳
+ * @returns {string} 相對時間字串
+ */
+export function formatRelativeTime(timestamp) {
+  if (!timestamp) return '';
+
+  const now = Date.now();
+  const diff = now - timestamp;
+  const seconds = Math.floor(diff / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) {
+    return t('ui.recent.daysAgo', { count: days });
+  }
+  if (hours > 0) {
+    return t('ui.recent.hoursAgo', { count: hours });
+  }
+  if (minutes > 0) {
+    return t('ui.recent.minutesAgo', { count: minutes });
+  }
+  return t('ui.recent.justNow');
+}
@@ -0,0 +1,190 @@
+/**
+ * 最愛規則共用模組（主進程與前端共用）
+ * 處理最愛（目錄 + 啟動器組合）的比對、建立、自訂名稱、排序、舊版格式轉換與驗證
+ *
+ * 主進程以 require() 載入，前端以 import 載入後由 globalThis.TermLauncherShared.favoriteRules 取得
+ *
+ * 最愛結構：
+ * - config.favorites = [{ id, directoryId, terminalId?, label? }]
+ * - 未設定 terminalId 時使用目錄的啟動器（目錄自訂 > 群組預設 > 全域預設）
+ * - label 為自訂顯示名稱，未設定時顯示目錄名稱
+ * - 同一組目錄與啟動器只能有一個最愛
+ * - 舊版格式為目錄 ID 陣列（[1, 2]），載入與匯入時轉為 { id, directoryId }
+ */
+
+// 自訂名稱長度上限
+const MAX_FAVORITE_LABEL_LENGTH = 100;
+
+/**
+ * 正規化自訂名稱（去除頭尾空白並截斷至長度上限）
+ * @param {*} label - 自訂名稱
+ * @returns {string} 未設定或無效時為空字串
+ */
+function normalizeFavoriteLabel(label) {
+  return typeof label === 'string' ? label.trim().slice(0, MAX_FAVORITE_LABEL_LENGTH) : '';
+}
+
+/**
+ * 取得最愛的顯示名稱（自訂名稱優先，未設定時為目錄名稱）
+ * @param {Object} favorite - 最愛
+ * @param {Object} dir - 最愛對應的目錄
+ * @returns {string}
+ */
+function getFavoriteName(favorite, dir) {
+  return favorite.label || dir.name;
+}
+
+/**
+ * 判斷最愛是否為指定的目錄與啟動器組合（未指定啟動器表示使用目錄的啟動器）
+ * @param {Object} favorite - 最愛
+ * @param {number} directoryId - 目錄 ID
+ * @param {string} [terminalId] - 啟動器 ID
+ * @returns {boolean}
+ */
+function isSameFavorite(favorite, directoryId, terminalId) {
+  return favorite.directoryId === directoryId && (favorite.terminalId || '') === (terminalId || '');
+}
+
+/**
+ * 尋找目錄與啟動器組合的最愛
+ * @param {Object[]} favorites - 最愛列表
+ * @param {number} directoryId - 目錄 ID
+ * @param {string} [terminalId] - 啟動器 ID
+ * @returns {Object|undefined}
+ */
+function findFavorite(favorites, directoryId, terminalId) {
+  return (favorites || []).find(f => isSameFavorite(f, directoryId, terminalId));
+}
+
+/**
+ * 產生不重複的最愛 ID
+ * @param {Object[]} favorites - 最愛列表
+ * @param {string} [base] - ID 基底（預設以目前時間產生）
+ * @returns {string}
+ */
+function createFavoriteId(favorites, base = `favorite-${Date.now()}`) {
+  const ids = new Set((favorites || []).map(f => f.id));
+  let id = base;
+  for (let suffix = 2; ids.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * 建立最愛（不修改傳入的列表）
+ * @param {Object[]} favorites - 現有最愛列表（用於產生不重複 ID）
+ * @param {number} directoryId - 目錄 ID
+ * @param {string} [terminalId] - 啟動器 ID（未指定時使用目錄的啟動器）
+ * @param {string} [label] - 自訂顯示名稱
+ * @returns {Object}
+ */
+function createFavorite(favorites, directoryId, terminalId, label) {
+  const favorite = { id: createFavoriteId(favorites), directoryId };
+  if (terminalId) favorite.terminalId = terminalId;
+  const normalized = normalizeFavoriteLabel(label);
+  if (normalized) favorite.label = normalized;
+  return favorite;
+}
+
+/**
+ * 依新順序重新排列部分最愛（例如搜尋時只拖曳可見的項目）
+ * 列出的最愛依序填回它們原本佔用的位置，未列出的最愛維持原位
+ * @param {Object[]} favorites - 最愛列表
+ * @param {string[]} orderedIds - 重新排列後的最愛 ID
+ * @returns {Object[]} 新的最愛列表
+ */
+function reorderFavorites(favorites, orderedIds) {
+  const byId = new Map(favorites.map(f => [f.id, f]));
+  const ordered = orderedIds.map(id => byId.get(id)).filter(Boolean);
+  const movedIds = new Set(ordered.map(f => f.id));
+
+  let next = 0;
+  return favorites.map(f => (movedIds.has(f.id) ? ordered[next++] : f));
+}
+
+/**
+ * 正規化最愛列表：舊版目錄 ID 轉為物件、移除格式錯誤與重複的組合、補上缺少或重複的 ID
+ * @param {*} favorites - 最愛列表（可能為舊版格式）
+ * @returns {{ favorites: Object[], changed: boolean }}
+ */
+function normalizeFavorites(favorites) {
+  if (!Array.isArray(favorites)) {
+    return { favorites: [], changed: favorites !== undefined };
+  }
+
+  let changed = false;
+  const result = [];
+  for (const entry of favorites) {
+    let favorite = entry;
+    if (Number.isInteger(entry)) {
+      favorite = { id: `favorite-${entry}`, directoryId: entry };
+      changed = true;
+    }
+
+    if (!favorite || typeof favorite !== 'object' || !Number.isInteger(favorite.directoryId)) {
+      changed = true;
+      continue;
+    }
+    if (findFavorite(result, favorite.directoryId, favorite.terminalId)) {
+      changed = true;
+      continue;
+    }
+    if (typeof favorite.id !== 'string' || !favorite.id || result.some(f => f.id === favorite.id)) {
+      favorite = { ...favorite, id: createFavoriteId(result, `favorite-${favorite.directoryId}`) };
+      changed = true;
+    }
+    result.push(favorite);
+  }
+
+  return { favorites: result, changed };
+}
+
+/**
+ * 驗證最愛
+ * @param {*} favorite - 最愛
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateFavorite(favorite) {
+  if (!favorite || typeof favorite !== 'object' || Array.isArray(favorite)) {
+    return { valid: false, error: 'favorites[] must be an object' };
+  }
+  if (typeof favorite.id !== 'string' || !favorite.id) {
+    return { valid: false, error: 'favorites[].id must be a non-empty string' };
+  }
+  if (!Number.isInteger(favorite.directoryId)) {
+    return { valid: false, error: 'favorites[].directoryId must be an integer' };
+  }
+  if (favorite.terminalId !== undefined && typeof favorite.terminalId !== 'string') {
+    return { valid: false, error: 'favorites[].terminalId must be a string' };
+  }
+  if (
+    favorite.label !== undefined &&
+    (typeof favorite.label !== 'string' || favorite.label.length > MAX_FAVORITE_LABEL_LENGTH)
+  ) {
+    return {
+      valid: false,
+      error: `favorites[].label must be a string of at most ${MAX_FAVORITE_LABEL_LENGTH} characters`,
+    };
+  }
+  return { valid: true };
+}
+
+// 主進程以 CommonJS 匯出；前端沒有 module，改登記於 globalThis.TermLauncherShared
+const favoriteRules = {
+  MAX_FAVORITE_LABEL_LENGTH,
+  normalizeFavoriteLabel,
+  getFavoriteName,
+  isSameFavorite,
+  findFavorite,
+  createFavoriteId,
+  createFavorite,
+  reorderFavorites,
+  normalizeFavorites,
+  validateFavorite,
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = favoriteRules;
+}
+globalThis.TermLauncherShared = { ...globalThis.TermLauncherShared, favoriteRules };
@@ -0,0 +1,227 @@
+/**
+ * 模糊搜尋共用模組（主進程與前端共用）
+ * 以子序列比對計算相符分數（連續字元、單字開頭與前綴加分，間隔扣分），
+ * 並以多個欄位（名稱、路徑片段、群組、標籤、啟動器）比對目錄
+ *
+ * 主進程以 require() 載入，前端以 import 載入後由 globalThis.TermLauncherShared.fuzzySearch 取得
+ */
+
+// 視為單字分隔的字元
+const WORD_SEPARATORS = new Set([' ', '/', '\\', '-', '_', '.', ':', '@']);
+
+// 路徑片段分隔字元
+const PATH_SEPARATOR_PATTERN = /[/\\]/;
+
+// 目錄欄位權重（名稱相符最重要）
+const FIELD_WEIGHTS = {
+  name: 2,
+  tags: 1.5,
+  path: 1,
+  group: 1,
+  launcher: 1,
+};
+
+/**
+ * 判斷字元位置是否為單字開頭
+ * @param {string} text - 原始文字
+ * @param {number} index - 字元位置
+ * @returns {boolean}
+ */
+function isWordStart(text, index) {
+  if (index === 0) return true;
+  const previous = text[index - 1];
+  if (WORD_SEPARATORS.has(previous)) return true;
+  // camelCase 的大寫字母
+  const char = text[index];
+  return previous === previous.toLowerCase() && char !== char.toLowerCase();
+}
+
+/**
+ * 將查詢字串拆為關鍵字（以空白分隔，忽略大小寫）
+ * @param {string} query - 查詢字串
+ * @returns {string[]}
+ */
+function tokenizeQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * 計算單一關鍵字與文字的模糊相符分數
+ * @param {string} query - 查詢字串（空白會被忽略）
+ * @param {string} text - 要比對的文字
+ * @returns {{ score: number, positions: number[] }|null} 不相符時為 null
+ */
+function fuzzyMatch(query, text) {
+  const needle = String(query || '')
+    .toLowerCase()
+    .replace(/\s+/g, '');
+  const source = String(text || '');
+  const haystack = source.toLowerCase();
+
+  if (!needle) return { score: 0, positions: [] };
+
+  const positions = [];
+  let score = 0;
+  let searchFrom = 0;
+  let previousIndex = -1;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, searchFrom);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previousIndex + 1) {
+      score += 5; // 連續字元
+    } else if (previousIndex !== -1) {
+      score -= Math.min(index - previousIndex - 1, 5); // 間隔
+    }
+    if (isWordStart(source, index)) {
+      score += 8; // 單字開頭
+    }
+
+    positions.push(index);
+    previousIndex = index;
+    searchFrom = index + 1;
+  }
+
+  // 前綴相符與較短的文字優先
+  if (positions[0] === 0) score += 10;
+  score -= haystack.length / 100;
+
+  return { score, positions };
+}
+
+/**
+ * 比對路徑：取整段路徑與各路徑片段中分數最高者（片段的位置換算回整段路徑）
+ * @param {string} token - 關鍵字
+ * @param {string} path - 路徑
+ * @returns {{ score: number, positions: number[] }|null}
+ */
+function fuzzyMatchPath(token, path) {
+  const source = String(path || '');
+  let best = fuzzyMatch(token, source);
+  let offset = 0;
+
+  for (const segment of source.split(PATH_SEPARATOR_PATTERN)) {
+    const match = segment ? fuzzyMatch(token, segment) : null;
+    if (match && (!best || match.score > best.score)) {
+      best = { score: match.score, positions: match.positions.map(p => p + offset) };
+    }
+    offset += segment.length + 1;
+  }
+
+  return best;
+}
+
+/**
+ * 以多個關鍵字比對單一文字（每個關鍵字都必須相符）
+ * @param {string} query - 查詢字串
+ * @param {string} text - 要比對的文字
+ * @returns {{ score: number, positions: number[] }|null} 不相符時為 null
+ */
+function matchText(query, text) {
+  const positions = new Set();
+  let score = 0;
+
+  for (const token of tokenizeQuery(query)) {
+    const match = fuzzyMatch(token, text);
+    if (!match) return null;
+    score += match.score;
+    match.positions.forEach(p => positions.add(p));
+  }
+
+  return { score, positions: [...positions].sort((a, b) => a - b) };
+}
+
+/**
+ * 以名稱、路徑片段、群組名稱、標籤與啟動器名稱比對目錄
+ * 每個關鍵字取分數（乘上欄位權重）最高的欄位，所有關鍵字都必須相符
+ * @param {string} query - 查詢字串
+ * @param {Object} target - 比對欄位 { name, path, group?, launcher?, tags? }（皆為顯示文字）
+ * @returns {{ score: number, highlights: Object }|null} highlights 為各欄位相符的字元位置
+ *   { name, path, group, launcher: number[], tags: number[][] }，不相符時為 null
+ */
+function matchDirectory(query, target) {
+  const tags = Array.isArray(target.tags) ? target.tags : [];
+  const highlights = {
+    name: new Set(),
+    path: new Set(),
+    group: new Set(),
+    launcher: new Set(),
+    tags: tags.map(() => new Set()),
+  };
+  let score = 0;
+
+  for (const token of tokenizeQuery(query)) {
+    const candidates = [
+      { field: 'name', match: fuzzyMatch(token, target.name) },
+      { field: 'path', match: fuzzyMatchPath(token, target.path) },
+      { field: 'group', match: target.group ? fuzzyMatch(token, target.group) : null },
+      { field: 'launcher', match: target.launcher ? fuzzyMatch(token, target.launcher) : null },
+      ...tags.map((tag, index) => ({ field: 'tags', index, match: fuzzyMatch(token, tag) })),
+    ];
+
+    let best = null;
+    for (const candidate of candidates) {
+      if (!candidate.match) continue;
+      const weighted = candidate.match.score * FIELD_WEIGHTS[candidate.field];
+      if (!best || weighted > best.weighted) {
+        best = { ...candidate, weighted };
+      }
+    }
+    if (!best) return null;
+
+    score += best.weighted;
+    const positions = best.field === 'tags' ? highlights.tags[best.index] : highlights[best.field];
+    best.match.positions.forEach(p => positions.add(p));
+  }
+
+  const toSorted = set => [...set].sort((a, b) => a - b);
+  return {
+    score,
+    highlights: {
+      name: toSorted(highlights.name),
+      path: toSorted(highlights.path),
+      group: toSorted(highlights.group),
+      launcher: toSorted(highlights.launcher),
+      tags: highlights.tags.map(toSorted),
+    },
+  };
+}
+
+/**
+ * 依相符分數排序項目（分數相同時保留原本順序）
+ * @param {string} query - 查詢字串
+ * @param {Array} items - 項目列表（呼叫端可預先依最近使用排序作為同分時的順序）
+ * @param {Function} getTarget - 取得項目比對欄位的函式，回傳 matchDirectory 的 target
+ * @returns {Array<{ item: *, score: number, highlights: Object }>} 僅包含相符的項目
+ */
+function rankDirectories(query, items, getTarget) {
+  return items
+    .map((item, index) => {
+      const result = matchDirectory(query, getTarget(item));
+      return result && { item, index, ...result };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item, score, highlights }) => ({ item, score, highlights }));
+}
+
+// 主進程以 CommonJS 匯出；前端沒有 module，改登記於 globalThis.TermLauncherShared
+const fuzzySearch = {
+  FIELD_WEIGHTS,
+  tokenizeQuery,
+  fuzzyMatch,
+  fuzzyMatchPath,
+  matchText,
+  matchDirectory,
+  rankDirectories,
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = fuzzySearch;
+}
+globalThis.TermLauncherShared = { ...globalThis.TermLauncherShared, fuzzySearch };
@@ -0,0 +1,228 @@
+/**
+ * 群組階層規則共用模組（主進程與前端共用）
+ * 處理巢狀群組的父子關係：循環檢查、修復無效的父群組、取得祖先與子孫群組、完整路徑與預設啟動器繼承
+ *
+ * 主進程以 require() 載入，前端以 import 載入後由 globalThis.TermLauncherShared.groupRules 取得
+ *
+ * 群組結構：
+ * - groups[].parentId = 'group-123' | null（null 表示頂層群組）
+ * - groups[].order 為同一層（相同父群組）中的排序
+ * - groups[].terminalId 為群組的預設啟動器（子群組與目錄未自訂時沿用）
+ * - 預設群組固定為頂層群組
+ */
+
+/**
+ * 取得群組的父群組 ID（未設定時為 null）
+ * @param {Object} group - 群組物件
+ * @returns {string|null}
+ */
+function getParentId(group) {
+  return group.parentId || null;
+}
+
+/**
+ * 判斷將群組移到指定父群組下是否會形成循環（移到自己或自己的子孫群組下）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 要移動的群組 ID
+ * @param {string|null} parentId - 新的父群組 ID
+ * @returns {boolean}
+ */
+function wouldCreateCycle(groups, groupId, parentId) {
+  const byId = new Map(groups.map(g => [g.id, g]));
+  const visited = new Set();
+  let current = parentId;
+  while (current) {
+    if (current === groupId || visited.has(current)) return true;
+    visited.add(current);
+    const parent = byId.get(current);
+    current = parent ? getParentId(parent) : null;
+  }
+  return false;
+}
+
+/**
+ * 取得群組的所有子孫群組 ID
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 群組 ID
+ * @returns {string[]}
+ */
+function getGroupDescendantIds(groups, groupId) {
+  const result = [];
+  const queue = [groupId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const group of groups) {
+      if (getParentId(group) === id && group.id !== groupId && !result.includes(group.id)) {
+        result.push(group.id);
+        queue.push(group.id);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 取得群組與其所有祖先群組（由頂層到自己）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 群組 ID
+ * @returns {Object[]} 群組不存在時為空陣列
+ */
+function getGroupAncestry(groups, groupId) {
+  const byId = new Map(groups.map(g => [g.id, g]));
+  const chain = [];
+  let current = byId.get(groupId);
+  while (current && !chain.includes(current)) {
+    chain.unshift(current);
+    current = byId.get(getParentId(current));
+  }
+  return chain;
+}
+
+/**
+ * 取得群組的完整路徑名稱（例如 "Work / Client A"）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 群組 ID
+ * @param {Function} [getName] - 取得群組顯示名稱的函式
+ * @returns {string} 群組不存在時為空字串
+ */
+function getGroupPath(groups, groupId, getName = group => group.name) {
+  return getGroupAncestry(groups, groupId).map(getName).join(' / ');
+}
+
+/**
+ * 取得群組的層級深度（頂層為 0）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 群組 ID
+ * @returns {number}
+ */
+function getGroupDepth(groups, groupId) {
+  return Math.max(getGroupAncestry(groups, groupId).length - 1, 0);
+}
+
+/**
+ * 依樹狀順序排列群組（父群組在前，同一層依 order 排序）
+ * @param {Object[]} groups - 群組列表
+ * @returns {Object[]} 排序後的新陣列（形成循環而無法走訪的群組不列出）
+ */
+function sortGroupsByTree(groups) {
+  const result = [];
+  const visit = parentId => {
+    groups
+      .filter(g => getParentId(g) === parentId)
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .forEach(group => {
+        if (result.includes(group)) return;
+        result.push(group);
+        visit(group.id);
+      });
+  };
+  visit(null);
+  return result;
+}
+
+/**
+ * 取得群組的預設啟動器（群組未設定時沿用最近的祖先群組設定）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 群組 ID
+ * @returns {string|null} 群組與祖先群組皆未設定時為 null
+ */
+function getGroupTerminalId(groups, groupId) {
+  const chain = getGroupAncestry(groups || [], groupId);
+  for (let index = chain.length - 1; index >= 0; index--) {
+    if (chain[index].terminalId) return chain[index].terminalId;
+  }
+  return null;
+}
+
+/**
+ * 解析目錄實際使用的啟動器（目錄自訂 > 群組預設 > 全域預設）
+ * @param {Object} dir - 目錄物件
+ * @param {Object[]} groups - 群組列表
+ * @param {string} fallbackId - 全域預設啟動器 ID
+ * @returns {string}
+ */
+function resolveDirectoryTerminalId(dir, groups, fallbackId) {
+  return dir.terminalId || getGroupTerminalId(groups, dir.group || 'default') || fallbackId;
+}
+
+/**
+ * 取得群組（含子孫群組）中自訂啟動器的目錄（這些目錄不會沿用群組預設啟動器）
+ * @param {Object[]} directories - 目錄列表
+ * @param {Object[]} groups - 群組列表
+ * @param {string} groupId - 群組 ID
+ * @returns {Object[]}
+ */
+function getTerminalOverrideDirectories(directories, groups, groupId) {
+  const groupIds = new Set([groupId, ...getGroupDescendantIds(groups || [], groupId)]);
+  return (directories || []).filter(dir => dir.terminalId && groupIds.has(dir.group || 'default'));
+}
+
+/**
+ * 修復無效的父群組（父群組不存在、指向自己、形成循環或預設群組有父群組），改為頂層群組
+ * 會直接修改傳入的群組物件
+ * @param {Object[]} groups - 群組列表
+ * @returns {number} 修復的群組數量
+ */
+function repairGroupParents(groups) {
+  const ids = new Set(groups.map(g => g.id));
+  let repaired = 0;
+
+  for (const group of groups) {
+    const parentId = getParentId(group);
+    if (!parentId) continue;
+    if (group.isDefault || !ids.has(parentId) || wouldCreateCycle(groups, group.id, parentId)) {
+      group.parentId = null;
+      repaired++;
+    }
+  }
+  return repaired;
+}
+
+/**
+ * 驗證群組的父子關係（父群組必須存在、不可形成循環、預設群組不可有父群組）
+ * @param {Object[]} groups - 群組列表
+ * @param {string} fieldName - 欄位名稱（用於錯誤訊息）
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateGroupParents(groups, fieldName) {
+  const ids = new Set(groups.map(g => g && g.id));
+
+  for (const group of groups) {
+    if (!group || group.parentId === undefined || group.parentId === null) continue;
+    if (typeof group.parentId !== 'string') {
+      return { valid: false, error: `${fieldName} must be a string or null` };
+    }
+    if (group.isDefault) {
+      return { valid: false, error: `${fieldName} is not allowed on the default group` };
+    }
+    if (!ids.has(group.parentId)) {
+      return { valid: false, error: `${fieldName} references a missing group` };
+    }
+    if (wouldCreateCycle(groups, group.id, group.parentId)) {
+      return { valid: false, error: `${fieldName} creates a cycle` };
+    }
+  }
+
+  return { valid: true };
+}
+
+// 主進程以 CommonJS 匯出；前端沒有 module，改登記於 globalThis.TermLauncherShared
+const groupRules = {
+  getParentId,
+  wouldCreateCycle,
+  getGroupDescendantIds,
+  getGroupAncestry,
+  getGroupPath,
+  getGroupDepth,
+  sortGroupsByTree,
+  getGroupTerminalId,
+  resolveDirectoryTerminalId,
+  getTerminalOverrideDirectories,
+  repairGroupParents,
+  validateGroupParents,
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = groupRules;
+}
+globalThis.TermLauncherShared = { ...globalThis.TermLauncherShared, groupRules };
@@ -0,0 +1,224 @@
+/**
+ * 智慧群組規則共用模組（主進程與前端共用）
+ * 依規則計算智慧群組的成員目錄，並驗證智慧群組設定
+ *
+ * 主進程以 require() 載入，前端以 import 載入後由 globalThis.TermLauncherShared.smartGroupRules 取得
+ *
+ * 智慧群組結構：
+ * - smartGroups[] = { id, name, icon, match: 'all' | 'any', rules: [{ type, value }], order }
+ * - 規則類型：
+ *   - pathPrefix：路徑位於指定資料夾內（以路徑區段比對，支援 ~ 表示家目錄；Windows 路徑不分大小寫）
+ *   - tag：包含指定標籤（不分大小寫）
+ *   - launchedWithin：最近 N 天內啟動過
+ *   - pathInvalid：本機路徑不存在（不需 value）
+ *   - launcher：使用指定的啟動器（目錄未自訂時依群組預設啟動器、全域預設啟動器）
+ */
+// 相依的共用模組（前端需先以 import 載入 group-rules.js 與 tag-rules.js）
+const { groupRules, tagRules } =
+  typeof module === 'object' && module.exports
+    ? { groupRules: require('./group-rules'), tagRules: require('./tag-rules') }
+    : globalThis.TermLauncherShared;
+const { resolveDirectoryTerminalId } = groupRules;
+const { hasTag } = tagRules;
+
+// 規則類型
+const SMART_RULE_TYPES = ['pathPrefix', 'tag', 'launchedWithin', 'pathInvalid', 'launcher'];
+
+// 規則組合方式（all 符合全部規則、any 符合任一規則）
+const SMART_MATCH_MODES = ['all', 'any'];
+
+// 智慧群組數量上限
+const MAX_SMART_GROUPS = 50;
+
+// 每個智慧群組的規則數量上限
+const MAX_SMART_RULES = 20;
+
+// launchedWithin 天數上限
+const MAX_LAUNCHED_WITHIN_DAYS = 3650;
+
+// 一天的毫秒數
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 正規化路徑以便比對前綴（展開 ~、統一分隔符號、去除結尾分隔符號）
+ * Windows 路徑（磁碟代號、UNC 或含反斜線）不分大小寫，一律轉為小寫
+ * @param {string} value - 路徑
+ * @param {string} [homeDir] - 家目錄
+ * @returns {string}
+ */
+function normalizeMatchPath(value, homeDir) {
+  let result = String(value || '').trim();
+  if (homeDir && (result === '~' || result.startsWith('~/') || result.startsWith('~\\'))) {
+    result = homeDir + result.slice(1);
+  }
+  const isWindowsPath = /^[A-Za-z]:/.test(result) || result.includes('\\');
+  result = result.replace(/\\/g, '/').replace(/(.)\/+$/, '$1');
+  return isWindowsPath ? result.toLowerCase() : result;
+}
+
+/**
+ * 判斷路徑是否為指定資料夾或位於其中（以路徑區段比對，/work/acme 不包含 /work/acme-web）
+ * @param {string} target - 正規化後的路徑
+ * @param {string} prefix - 正規化後的資料夾路徑
+ * @returns {boolean}
+ */
+function isWithinPath(target, prefix) {
+  if (target === prefix) return true;
+  // 根目錄（/）已以分隔符號結尾
+  return target.startsWith(prefix.endsWith('/') ? prefix : prefix + '/');
+}
+
+/**
+ * 判斷目錄是否符合單一規則
+ * @param {Object} dir - 目錄物件
+ * @param {Object} rule - 規則 { type, value }
+ * @param {Object} context - 比對所需資料
+ * @param {number} context.now - 目前時間（毫秒）
+ * @param {string} [context.homeDir] - 家目錄
+ * @param {string} [context.defaultTerminalId] - 預設啟動器 ID
+ * @param {Object[]} [context.groups] - 群組列表（解析群組預設啟動器）
+ * @param {Map<number, number>} [context.lastUsed] - 目錄 ID 對應最後啟動時間
+ * @param {Function} [context.isPathInvalid] - 判斷目錄路徑是否不存在 (dir) => boolean
+ * @returns {boolean}
+ */
+function matchesRule(dir, rule, context) {
+  switch (rule.type) {
+    case 'pathPrefix': {
+      const prefix = normalizeMatchPath(rule.value, context.homeDir);
+      return !!prefix && isWithinPath(normalizeMatchPath(dir.path, context.homeDir), prefix);
+    }
+    case 'tag':
+      return hasTag(dir, String(rule.value));
+    case 'launchedWithin': {
+      const lastUsed = context.lastUsed?.get(dir.id);
+      return !!lastUsed && context.now - lastUsed <= rule.value * DAY_MS;
+    }
+    case 'pathInvalid':
+      return !!context.isPathInvalid?.(dir);
+    case 'launcher':
+      return (
+        resolveDirectoryTerminalId(dir, context.groups, context.defaultTerminalId) === rule.value
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * 判斷目錄是否屬於智慧群組（沒有規則時不符合任何目錄）
+ * @param {Object} dir - 目錄物件
+ * @param {Object} smartGroup - 智慧群組
+ * @param {Object} context - 比對所需資料（見 matchesRule）
+ * @returns {boolean}
+ */
+function matchesSmartGroup(dir, smartGroup, context) {
+  const rules = smartGroup.rules || [];
+  if (rules.length === 0) return false;
+  return smartGroup.match === 'any'
+    ? rules.some(rule => matchesRule(dir, rule, context))
+    : rules.every(rule => matchesRule(dir, rule, context));
+}
+
+/**
+ * 取得智慧群組的成員目錄（維持目錄原本的順序）
+ * @param {Object[]} directories - 目錄列表
+ * @param {Object} smartGroup - 智慧群組
+ * @param {Object} context - 比對所需資料（見 matchesRule）
+ * @returns {Object[]}
+ */
+function getSmartGroupMembers(directories, smartGroup, context) {
+  return (directories || []).filter(dir => matchesSmartGroup(dir, smartGroup, context));
+}
+
+/**
+ * 驗證智慧群組規則
+ * @param {*} rule - 規則
+ * @param {string} fieldName - 欄位名稱（用於錯誤訊息）
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateSmartRule(rule, fieldName) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { valid: false, error: `${fieldName} must be an object` };
+  }
+  if (!SMART_RULE_TYPES.includes(rule.type)) {
+    return {
+      valid: false,
+      error: `${fieldName}.type must be one of: ${SMART_RULE_TYPES.join(', ')}`,
+    };
+  }
+
+  if (rule.type === 'pathInvalid') {
+    return { valid: true };
+  }
+  if (rule.type === 'launchedWithin') {
+    if (!Number.isInteger(rule.value) || rule.value < 1 || rule.value > MAX_LAUNCHED_WITHIN_DAYS) {
+      return {
+        valid: false,
+        error: `${fieldName}.value must be an integer between 1 and ${MAX_LAUNCHED_WITHIN_DAYS}`,
+      };
+    }
+    return { valid: true };
+  }
+  if (typeof rule.value !== 'string' || !rule.value.trim()) {
+    return { valid: false, error: `${fieldName}.value must be a non-empty string` };
+  }
+  return { valid: true };
+}
+
+/**
+ * 驗證智慧群組
+ * @param {*} smartGroup - 智慧群組
+ * @param {string} fieldName - 欄位名稱（用於錯誤訊息）
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateSmartGroup(smartGroup, fieldName) {
+  if (!smartGroup || typeof smartGroup !== 'object' || Array.isArray(smartGroup)) {
+    return { valid: false, error: `${fieldName} must be an object` };
+  }
+  if (typeof smartGroup.id !== 'string' || !smartGroup.id) {
+    return { valid: false, error: `${fieldName}.id is required` };
+  }
+  if (typeof smartGroup.name !== 'string' || !smartGroup.name.trim()) {
+    return { valid: false, error: `${fieldName}.name is required` };
+  }
+  if (smartGroup.icon !== undefined && typeof smartGroup.icon !== 'string') {
+    return { valid: false, error: `${fieldName}.icon must be a string` };
+  }
+  if (!SMART_MATCH_MODES.includes(smartGroup.match)) {
+    return {
+      valid: false,
+      error: `${fieldName}.match must be one of: ${SMART_MATCH_MODES.join(', ')}`,
+    };
+  }
+  if (!Array.isArray(smartGroup.rules) || smartGroup.rules.length === 0) {
+    return { valid: false, error: `${fieldName}.rules must be a non-empty array` };
+  }
+  if (smartGroup.rules.length > MAX_SMART_RULES) {
+    return { valid: false, error: `${fieldName}.rules exceeds maximum of ${MAX_SMART_RULES}` };
+  }
+
+  for (const rule of smartGroup.rules) {
+    const ruleResult = validateSmartRule(rule, `${fieldName}.rules[]`);
+    if (!ruleResult.valid) return ruleResult;
+  }
+  return { valid: true };
+}
+
+// 主進程以 CommonJS 匯出；前端沒有 module，改登記於 globalThis.TermLauncherShared
+const smartGroupRules = {
+  SMART_RULE_TYPES,
+  SMART_MATCH_MODES,
+  MAX_SMART_GROUPS,
+  MAX_SMART_RULES,
+  MAX_LAUNCHED_WITHIN_DAYS,
+  normalizeMatchPath,
+  matchesSmartGroup,
+  getSmartGroupMembers,
+  validateSmartRule,
+  validateSmartGroup,
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = smartGroupRules;
+}
+globalThis.TermLauncherShared = { ...globalThis.TermLauncherShared, smartGroupRules };
@@ -0,0 +1,174 @@
+/**
+ * 目錄標籤規則共用模組（主進程與前端共用）
+ * 標籤正規化、合併、驗證與群組/標籤篩選比對
+ *
+ * 主進程以 require() 載入，前端以 import 載入後由 globalThis.TermLauncherShared.tagRules 取得
+ *
+ * 標籤結構：
+ * - directories[].tags = ['backend', 'go', 'client-acme']
+ * - 標籤為自由輸入的文字，比對時不分大小寫
+ *
+ * 篩選條件：{ groups: 群組 ID[], tags: 標籤[], mode: 'any' | 'all' }
+ * - any：屬於任一選取的群組，或包含任一選取的標籤
+ * - all：屬於選取的群組之一（目錄只有一個群組），且包含所有選取的標籤
+ */
+
+// 每個目錄的標籤數量上限
+const MAX_TAGS = 20;
+
+// 單一標籤長度上限
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * 正規化單一標籤（去除前置 #、頭尾空白並合併連續空白）
+ * @param {*} tag - 標籤
+ * @returns {string} 正規化結果，無效時為空字串
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return '';
+  return tag
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '');
+}
+
+/**
+ * 正規化標籤列表（去除空白標籤，不分大小寫去重並保留第一次出現的寫法）
+ * @param {*} tags - 標籤列表
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const seen = new Set();
+  const result = [];
+  for (const raw of tags) {
+    const tag = normalizeTag(raw);
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    result.push(tag);
+  }
+  return result;
+}
+
+/**
+ * 判斷目錄是否包含標籤（不分大小寫）
+ * @param {Object} dir - 目錄物件
+ * @param {string} tag - 標籤
+ * @returns {boolean}
+ */
+function hasTag(dir, tag) {
+  const key = tag.toLowerCase();
+  return (dir.tags || []).some(t => t.toLowerCase() === key);
+}
+
+/**
+ * 合併兩組標籤（保留原有順序，新標籤附加在後，超過上限的部分捨棄）
+ * @param {string[]} [existing] - 原有標籤
+ * @param {string[]} [incoming] - 新增標籤
+ * @returns {string[]}
+ */
+function mergeTags(existing, incoming) {
+  return normalizeTags([...(existing || []), ...(incoming || [])]).slice(0, MAX_TAGS);
+}
+
+/**
+ * 驗證標籤列表
+ * @param {*} tags - 標籤列表
+ * @param {string} fieldName - 欄位名稱（用於錯誤訊息）
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateTags(tags, fieldName) {
+  if (!Array.isArray(tags)) {
+    return { valid: false, error: `${fieldName} must be an array` };
+  }
+  if (tags.length > MAX_TAGS) {
+    return { valid: false, error: `${fieldName} exceeds maximum of ${MAX_TAGS} tags` };
+  }
+
+  for (const tag of tags) {
+    if (typeof tag !== 'string' || normalizeTag(tag) !== tag || !tag) {
+      return { valid: false, error: `${fieldName} contains an invalid tag` };
+    }
+    if (tag.length > MAX_TAG_LENGTH) {
+      return {
+        valid: false,
+        error: `${fieldName} contains a tag longer than ${MAX_TAG_LENGTH} characters`,
+      };
+    }
+  }
+
+  if (normalizeTags(tags).length !== tags.length) {
+    return { valid: false, error: `${fieldName} contains duplicate tags` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 彙整所有目錄使用的標籤（不分大小寫合併，依名稱排序）
+ * @param {Object[]} directories - 目錄列表
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+function collectTags(directories) {
+  const tags = new Map();
+  for (const dir of directories || []) {
+    for (const tag of normalizeTags(dir.tags)) {
+      const key = tag.toLowerCase();
+      const entry = tags.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        tags.set(key, { tag, count: 1 });
+      }
+    }
+  }
+  return [...tags.values()].sort((a, b) =>
+    a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' })
+  );
+}
+
+/**
+ * 判斷篩選條件是否有選取任何群組或標籤
+ * @param {Object} filter - 篩選條件
+ * @returns {boolean}
+ */
+function isFilterActive(filter) {
+  return filter.groups.length > 0 || filter.tags.length > 0;
+}
+
+/**
+ * 判斷目錄是否符合群組/標籤篩選條件（未選取任何條件時皆符合）
+ * @param {Object} dir - 目錄物件
+ * @param {Object} filter - 篩選條件 { groups, tags, mode }
+ * @returns {boolean}
+ */
+function matchesDirectoryFilter(dir, filter) {
+  if (!isFilterActive(filter)) return true;
+
+  const inGroup = filter.groups.includes(dir.group || 'default');
+  if (filter.mode === 'all') {
+    return (filter.groups.length === 0 || inGroup) && filter.tags.every(tag => hasTag(dir, tag));
+  }
+  return inGroup || filter.tags.some(tag => hasTag(dir, tag));
+}
+
+// 主進程以 CommonJS 匯出；前端沒有 module，改登記於 globalThis.TermLauncherShared
+const tagRules = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  hasTag,
+  mergeTags,
+  validateTags,
+  collectTags,
+  isFilterActive,
+  matchesDirectoryFilter,
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = tagRules;
+}
+globalThis.TermLauncherShared = { ...globalThis.TermLauncherShared, tagRules };
@@ -0,0 +1,133 @@
+/**
+ * cli-utils.js 單元測試
+ * 測試命令列引數解析、回覆通道路徑驗證與輸出格式化
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  getCliArgs,
+  parseCliArgs,
+  parseLimit,
+  buildReplyPath,
+  isValidCliRequest,
+  formatTable,
+  formatHelp,
+} = require('../src/main/utils/cli-utils.js');
+
+describe('getCliArgs', () => {
+  it('應該取出打包版本執行檔之後的指令引數', () => {
+    expect(getCliArgs(['/opt/TermLauncher/termlauncher', 'list', '--json'])).toEqual([
+      'list',
+      '--json',
+    ]);
+  });
+
+  it('以 electron 執行原始碼時應略過應用路徑', () => {
+    expect(getCliArgs(['electron', '.', 'open', 'api'], true)).toEqual(['open', 'api']);
+  });
+
+  it('第一個引數不是已知指令時應視為一般啟動', () => {
+    expect(getCliArgs(['termlauncher'])).toBeNull();
+    expect(getCliArgs(['termlauncher', '--no-sandbox'])).toBeNull();
+    expect(getCliArgs(['termlauncher', 'toString'])).toBeNull();
+  });
+});
+
+describe('parseCliArgs', () => {
+  it('應該解析位置引數、帶值選項與布林旗標', () => {
+    expect(parseCliArgs(['add', './api', '--group', 'work', '--name=API', '--json'])).toEqual({
+      command: 'add',
+      args: ['./api'],
+      options: { group: 'work', name: 'API', json: true },
+    });
+  });
+
+  it('search 應接受多個關鍵字，-- 之後皆視為位置引數', () => {
+    expect(parseCliArgs(['search', 'api', '--', '--json']).args).toEqual(['api', '--json']);
+  });
+
+  it('應該拒絕未知指令與未知選項', () => {
+    expect(parseCliArgs(['remove', '1']).error).toMatch(/Unknown command/);
+    expect(parseCliArgs(['list', '--all']).error).toMatch(/Unknown option/);
+  });
+
+  it('選項缺少值或旗標帶值時應回傳錯誤', () => {
+    expect(parseCliArgs(['open', 'api', '--with']).error).toMatch(/requires a value/);
+    expect(parseCliArgs(['list', '--json=yes']).error).toMatch(/does not take a value/);
+  });
+
+  it('位置引數數量不符時應回傳用法', () => {
+    expect(parseCliArgs(['open']).error).toBe(
+      'Usage: termlauncher open <name|id> [--with <launcher>]'
+    );
+    expect(parseCliArgs(['list', 'extra']).error).toMatch(/^Usage:/);
+    expect(parseCliArgs(['search']).error).toMatch(/^Usage:/);
+  });
+});
+
+describe('parseLimit', () => {
+  it('未設定時應使用預設值，非正整數時回傳 null', () => {
+    expect(parseLimit(undefined, 20)).toBe(20);
+    expect(parseLimit('5', 20)).toBe(5);
+    expect(parseLimit('0', 20)).toBeNull();
+    expect(parseLimit('1.5', 20)).toBeNull();
+    expect(parseLimit('abc', 20)).toBeNull();
+  });
+});
+
+describe('buildReplyPath / isValidCliRequest', () => {
+  it('Windows 應使用 named pipe，其他平台使用 Unix socket', () => {
+    expect(buildReplyPath('abc12345', { platform: 'win32' })).toBe(
+      '\\\\.\\pipe\\termlauncher-cli-abc12345'
+    );
+    expect(buildReplyPath('abc12345', { platform: 'linux', tmpDir: '/tmp' })).toBe(
+      '/tmp/termlauncher-cli-abc12345.sock'
+    );
+  });
+
+  it('應該接受格式正確的請求', () => {
+    const replyPath = buildReplyPath('abc12345', { platform: 'linux', tmpDir: '/tmp' });
+    expect(isValidCliRequest({ args: ['list'], cwd: '/home/user', replyPath })).toBe(true);
+    expect(
+      isValidCliRequest({
+        args: ['list'],
+        cwd: 'C:\\Users\\user',
+        replyPath: buildReplyPath('abc12345', { platform: 'win32' }),
+      })
+    ).toBe(true);
+  });
+
+  it('應該拒絕非回覆通道的路徑與格式錯誤的請求', () => {
+    expect(isValidCliRequest({ args: ['list'], cwd: '/', replyPath: '/run/docker.sock' })).toBe(
+      false
+    );
+    expect(
+      isValidCliRequest({ args: [1], cwd: '/', replyPath: '/tmp/termlauncher-cli-abc12345.sock' })
+    ).toBe(false);
+    expect(isValidCliRequest(null)).toBe(false);
+  });
+});
+
+describe('formatTable', () => {
+  it('應該對齊欄位且最後一欄不補空白', () => {
+    const output = formatTable(
+      [
+        { id: 1, name: 'API' },
+        { id: 12, name: 'Web' },
+      ],
+      [
+        { key: 'id', label: 'ID' },
+        { key: 'name', label: 'NAME' },
+      ]
+    );
+    expect(output).toBe('ID  NAME\n1   API\n12  Web\n');
+  });
+});
+
+describe('formatHelp', () => {
+  it('應該列出所有指令', () => {
+    const help = formatHelp();
+    expect(help).toContain('open <name|id> [--with <launcher>]');
+    expect(help).toContain('list [--group <group>] [--json]');
+  });
+});
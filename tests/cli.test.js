@@ -0,0 +1,179 @@
+/**
+ * CLI 模組測試
+ * 使用真實 config 與 history 模組進行整合測試
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = os.tmpdir();
+const homeDir = os.homedir();
+
+const { invalidateConfigCache, configPath, loadConfig } = require('../src/main/config.js');
+const { historyPath, invalidateHistoryCache } = require('../src/main/history.js');
+const { executeCliCommand } = require('../src/main/cli.js');
+
+/** 寫入測試配置與啟動歷史（Project B 較近使用） */
+function writeTestData() {
+  const now = Date.now();
+  const config = {
+    directories: [
+      { id: 1, name: 'Project A', icon: '📁', path: tmpDir, terminalId: 'term-1', order: 0 },
+      {
+        id: 2,
+        name: 'Project B',
+        icon: '📂',
+        path: homeDir,
+        terminalId: 'term-1',
+        group: 'work',
+        order: 1,
+      },
+    ],
+    terminals: [
+      { id: 'term-1', name: 'Terminal', icon: '🖥️', command: 'bash {path}', order: 0 },
+      { id: 'code', name: 'VS Code', icon: '📝', command: 'code {path}', order: 1 },
+    ],
+    groups: [
+      { id: 'default', name: 'Default', icon: '📁', isDefault: true, order: 0 },
+      { id: 'work', name: 'Work', icon: '💼', isDefault: false, order: 1 },
+    ],
+    settings: { recentLimit: 10 },
+  };
+  const history = [
+    { ts: now - 2000, directoryId: 1, terminalId: 'term-1', source: 'ui', success: true },
+    { ts: now - 1000, directoryId: 2, terminalId: 'code', source: 'cli', success: true },
+  ];
+
+  fs.writeFileSync(configPath, JSON.stringify(config), 'utf-8');
+  fs.writeFileSync(historyPath, history.map(e => JSON.stringify(e) + '\n').join(''), 'utf-8');
+  invalidateConfigCache();
+  invalidateHistoryCache();
+}
+
+describe('executeCliCommand', () => {
+  beforeEach(() => {
+    writeTestData();
+  });
+
+  afterEach(() => {
+    invalidateConfigCache();
+    invalidateHistoryCache();
+    try {
+      fs.unlinkSync(configPath);
+    } catch {}
+    try {
+      fs.unlinkSync(historyPath);
+    } catch {}
+  });
+
+  it('list --json 應輸出目錄與群組、啟動器名稱', async () => {
+    const result = await executeCliCommand(['list', '--json']);
+    expect(result.exitCode).toBe(0);
+    const data = JSON.parse(result.stdout);
+    expect(data).toHaveLength(2);
+    expect(data[0]).toMatchObject({ id: 1, group: 'default', terminalName: 'Terminal' });
+    expect(data[1]).toMatchObject({ id: 2, groupName: 'Work' });
+  });
+
+  it('list --group 應接受群組名稱並過濾', async () => {
+    const result = await executeCliCommand(['list', '--group', 'work']);
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).toContain('Project B');
+    expect(result.stdout).not.toContain('Project A');
+  });
+
+  it('list --group 找不到群組時應回傳錯誤', async () => {
+    const result = await executeCliCommand(['list', '--group', 'missing']);
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toBe('Group not found: missing\n');
+  });
+
+  it('search 同分時應依最近使用排序', async () => {
+    const result = await executeCliCommand(['search', 'project', '--json']);
+    const data = JSON.parse(result.stdout);
+    expect(data.map(d => d.id)).toEqual([2, 1]);
+    expect(data[0].matches.name).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('recent 應列出最近啟動的目錄與使用的啟動器', async () => {
+    const result = await executeCliCommand(['recent', '--json', '--limit', '1']);
+    const data = JSON.parse(result.stdout);
+    expect(data).toHaveLength(1);
+    expect(data[0]).toMatchObject({ id: 2, terminalId: 'code', terminalName: 'VS Code' });
+  });
+
+  it('launchers 應輸出啟動器表格', async () => {
+    const result = await executeCliCommand(['launchers']);
+    expect(result.stdout.split('\n')[0]).toMatch(/^ID\s+NAME\s+COMMAND$/);
+    expect(result.stdout).toContain('VS Code');
+  });
+
+  it('add 應以工作目錄解析相對路徑並接受群組與啟動器名稱', async () => {
+    const testDir = path.join(tmpDir, 'termlauncher-test');
+    if (!fs.existsSync(testDir)) fs.mkdirSync(testDir, { recursive: true });
+
+    const result = await executeCliCommand(
+      ['add', 'termlauncher-test', '--group', 'Work', '--with', 'vs code', '--json'],
+      { cwd: tmpDir }
+    );
+    expect(result.exitCode).toBe(0);
+    expect(JSON.parse(result.stdout)).toMatchObject({
+      id: 3,
+      name: 'termlauncher-test',
+      path: testDir,
+      group: 'work',
+      terminalId: 'code',
+    });
+
+    invalidateConfigCache();
+    expect(loadConfig().directories).toHaveLength(3);
+  });
+
+  it('add 應拒絕重複與不存在的路徑', async () => {
+    const duplicate = await executeCliCommand(['add', tmpDir]);
+    expect(duplicate.exitCode).toBe(1);
+    expect(duplicate.stderr).toMatch(/already exists/);
+
+    const missing = await executeCliCommand(['add', 'nonexistent_test_path_xyz'], {
+      cwd: tmpDir,
+    });
+    expect(missing.stderr).toMatch(/does not exist/);
+  });
+
+  it('open 找不到目錄或啟動器時應回傳錯誤', async () => {
+    const noDir = await executeCliCommand(['open', 'zzzz']);
+    expect(noDir.exitCode).toBe(1);
+    expect(noDir.stderr).toBe('No directory matches "zzzz"\n');
+
+    const noLauncher = await executeCliCommand(['open', '1', '--with', 'missing']);
+    expect(noLauncher.stderr).toBe('Launcher not found: missing\n');
+  });
+
+  it('open 啟動失敗時應輸出錯誤詳情並回傳結束代碼 1', async () => {
+    const missingPath = path.join(tmpDir, 'termlauncher-cli-missing-dir');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    config.directories[0].path = missingPath;
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf-8');
+    invalidateConfigCache();
+
+    const result = await executeCliCommand(['open', '1']);
+    expect(result.exitCode).toBe(1);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toBe(`Failed to open Project A with Terminal: ${missingPath}\n`);
+  });
+
+  it('引數錯誤時應回傳結束代碼 2', async () => {
+    const result = await executeCliCommand(['recent', '--limit', '0']);
+    expect(result.exitCode).toBe(2);
+    expect(result.stderr).toMatch(/positive integer/);
+  });
+
+  it('help 應輸出使用說明', async () => {
+    const result = await executeCliCommand(['help']);
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).toMatch(/^Usage: termlauncher <command>/);
+  });
+});
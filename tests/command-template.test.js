@@ -0,0 +1,157 @@
+/**
+ * command-template.js 單元測試
+ * 測試啟動器命令模板的佔位符替換與跳脫規則
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  buildTemplateContext,
+  renderTemplate,
+  stripPlaceholders,
+  isPlaceholderAt,
+  getBasename,
+  getParent,
+} = require('../src/main/utils/command-template.js');
+
+const groups = [
+  { id: 'default', name: 'Default' },
+  { id: 'group-1', name: 'Work' },
+];
+
+describe('getBasename', () => {
+  it('應該取得 Windows 路徑最後一段', () => {
+    expect(getBasename('C:\\Users\\test\\my-app')).toBe('my-app');
+  });
+
+  it('應該取得 Unix 路徑最後一段並忽略結尾斜線', () => {
+    expect(getBasename('/home/user/project/')).toBe('project');
+  });
+
+  it('空值應回傳空字串', () => {
+    expect(getBasename('')).toBe('');
+  });
+});
+
+describe('getParent', () => {
+  it('應該取得 Windows 路徑的上層目錄', () => {
+    expect(getParent('C:\\Users\\test\\my-app')).toBe('C:\\Users\\test');
+  });
+
+  it('磁碟根目錄應保留分隔符', () => {
+    expect(getParent('C:\\Projects')).toBe('C:\\');
+  });
+
+  it('應該取得 Unix 路徑的上層目錄', () => {
+    expect(getParent('/home/user/project')).toBe('/home/user');
+    expect(getParent('/home')).toBe('/');
+  });
+});
+
+describe('buildTemplateContext', () => {
+  it('應該依 pathFormat 建立路徑相關值', () => {
+    const context = buildTemplateContext(
+      { path: 'C:\\Projects\\api', name: 'API', group: 'group-1' },
+      { pathFormat: 'unix' },
+      { groups }
+    );
+
+    expect(context.values).toEqual({
+      path: '/mnt/c/Projects/api',
+      winpath: 'C:\\Projects\\api',
+      wslpath: '/mnt/c/Projects/api',
+      name: 'API',
+      group: 'Work',
+      basename: 'api',
+      parent: '/mnt/c/Projects',
+      host: '',
+      ssh: '',
+      session: expect.stringMatching(/^API-[0-9a-f]{6}$/),
+      mux: '',
+      container: '',
+    });
+  });
+
+  it('遠端目錄應保留原始路徑並提供 ssh 相關值', () => {
+    const context = buildTemplateContext(
+      { path: '/srv/my app', name: 'Remote', remote: { host: 'devbox', user: 'me', port: 2222 } },
+      { pathFormat: 'windows' }
+    );
+
+    expect(context.values.path).toBe('/srv/my app');
+    expect(context.values.wslpath).toBe('/srv/my app');
+    expect(context.values.parent).toBe('/srv');
+    expect(context.values.host).toBe('me@devbox');
+    expect(context.values.ssh).toBe(
+      "ssh -t -p 2222 me@devbox 'cd '\\''/srv/my app'\\'' && exec $SHELL -l'"
+    );
+    expect(context.lists.ssh).toEqual([
+      'ssh',
+      '-t',
+      '-p',
+      '2222',
+      'me@devbox',
+      "cd '/srv/my app' && exec $SHELL -l",
+    ]);
+  });
+
+  it('找不到群組時應使用群組 ID', () => {
+    const context = buildTemplateContext(
+      { path: '/srv/app', group: 'unknown' },
+      { pathFormat: 'unix' }
+    );
+    expect(context.values.group).toBe('unknown');
+    expect(context.values.name).toBe('');
+  });
+});
+
+describe('renderTemplate', () => {
+  const context = buildTemplateContext(
+    { path: '/home/user/api', name: 'API', group: 'default' },
+    { pathFormat: 'unix' },
+    { groups, env: { PROFILE: 'dev' } }
+  );
+
+  it('應該替換所有已知佔位符', () => {
+    expect(renderTemplate('{name}:{group}:{basename}:{parent}:{path}', context)).toBe(
+      'API:Default:api:/home/user:/home/user/api'
+    );
+  });
+
+  it('應該替換環境變數佔位符，未設定時為空字串', () => {
+    expect(renderTemplate('--profile={env:PROFILE}', context)).toBe('--profile=dev');
+    expect(renderTemplate('[{env:MISSING}]', context)).toBe('[]');
+  });
+
+  it('應該將 {{ 與 }} 輸出為字面大括號', () => {
+    expect(renderTemplate('{{path}} {path}', context)).toBe('{path} /home/user/api');
+    expect(renderTemplate('a}}b{{c', context)).toBe('a}b{c');
+  });
+
+  it('應該保留未知佔位符', () => {
+    expect(renderTemplate('find {} {foo} {env:}', context)).toBe('find {} {foo} {env:}');
+  });
+
+  it('應該對每個替換值套用轉換函式', () => {
+    const result = renderTemplate('cd {path} && echo {name}', context, v => `<${v}>`);
+    expect(result).toBe('cd </home/user/api> && echo <API>');
+  });
+});
+
+describe('stripPlaceholders', () => {
+  it('應該移除已知佔位符與跳脫序列但保留其他內容', () => {
+    expect(stripPlaceholders('code {path} {env:HOME} {{x}} {foo}')).toBe('code   x {foo}');
+  });
+});
+
+describe('isPlaceholderAt', () => {
+  it('應該辨識已知佔位符的位置', () => {
+    expect(isPlaceholderAt('cd {name}', 3)).toBe(true);
+    expect(isPlaceholderAt('cd {env:HOME}', 3)).toBe(true);
+  });
+
+  it('跳脫序列與未知佔位符不應被視為佔位符', () => {
+    expect(isPlaceholderAt('{{path}}', 0)).toBe(false);
+    expect(isPlaceholderAt('{foo}', 0)).toBe(false);
+    expect(isPlaceholderAt('cd {name}', 0)).toBe(false);
+  });
+});
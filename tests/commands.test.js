@@ -0,0 +1,61 @@
+/**
+ * commands.js 模組測試
+ * 測試指令註冊、動態提供者與執行
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  registerCommand,
+  registerCommands,
+  registerCommandProvider,
+  getCommands,
+  executeCommand,
+} from '../src/renderer/scripts/utils/commands.js';
+
+describe('commands', () => {
+  it('應該依註冊順序列出指令，相同 ID 會覆蓋', () => {
+    registerCommands([
+      { id: 'test.a', title: () => 'A', run: () => {} },
+      { id: 'test.b', title: () => 'B', run: () => {} },
+    ]);
+    registerCommand({ id: 'test.a', title: () => 'A2', run: () => {} });
+
+    const ids = getCommands().map(c => c.id);
+    expect(ids.filter(id => id.startsWith('test.'))).toEqual(['test.a', 'test.b']);
+    expect(
+      getCommands()
+        .find(c => c.id === 'test.a')
+        .title()
+    ).toBe('A2');
+  });
+
+  it('應該排除 when 回傳 false 的指令', () => {
+    let enabled = false;
+    registerCommand({ id: 'test.when', title: () => 'W', when: () => enabled, run: () => {} });
+
+    expect(getCommands().some(c => c.id === 'test.when')).toBe(false);
+    enabled = true;
+    expect(getCommands().some(c => c.id === 'test.when')).toBe(true);
+  });
+
+  it('應該在每次取得時呼叫動態提供者', () => {
+    let items = ['x'];
+    registerCommandProvider(() =>
+      items.map(item => ({ id: 'dynamic.' + item, title: () => item, run: () => {} }))
+    );
+
+    expect(getCommands().some(c => c.id === 'dynamic.x')).toBe(true);
+    items = ['y'];
+    const ids = getCommands().map(c => c.id);
+    expect(ids).toContain('dynamic.y');
+    expect(ids).not.toContain('dynamic.x');
+  });
+
+  it('應該依 ID 執行指令', async () => {
+    const run = vi.fn();
+    registerCommand({ id: 'test.run', title: () => 'R', run });
+
+    expect(await executeCommand('test.run')).toBe(true);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(await executeCommand('test.missing')).toBe(false);
+  });
+});
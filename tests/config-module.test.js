@@ -219,6 +219,23 @@ describe('config 模組', () => {
       const hasDefault = exported.groups.some(g => g.isDefault);
       expect(hasDefault).toBe(false);
     });
+
+    it('匯出的最愛應排除路徑不存在的目錄', () => {
+      const config = loadConfig();
+      config.directories = [
+        { id: 1, name: 'Exists', path: nodePath.dirname(configPath), group: 'default' },
+        { id: 2, name: 'Gone', path: '/nonexistent/termlauncher-export', group: 'default' },
+      ];
+      config.favorites = [
+        { id: 'favorite-1', directoryId: 1 },
+        { id: 'favorite-2', directoryId: 1, terminalId: 'file-manager', label: 'Files' },
+        { id: 'favorite-3', directoryId: 2 },
+      ];
+      saveConfig(config);
+
+      const exported = exportConfigAdvanced();
+      expect(exported.favorites.map(f => f.id)).toEqual(['favorite-1', 'favorite-2']);
+    });
   });
 
   // ===== getExportPreview =====
@@ -350,5 +367,195 @@ describe('config 模組', () => {
       expect(config.settings.theme).toBe('light');
       expect(config.settings.recentLimit).toBe(20);
     });
+
+    it('合併模式應映射工作區的目錄 ID 並移除無效的工作區', () => {
+      loadConfig();
+
+      const importData = {
+        directories: [
+          { id: 1, name: 'Imported', path: '/tmp/imported-workspace-dir', group: 'default' },
+        ],
+        workspaces: [
+          { id: 'ws-a', name: 'Valid', directoryId: 1, steps: [{ terminalId: 'file-manager' }] },
+          { id: 'ws-b', name: 'Orphan', directoryId: 999, steps: [] },
+        ],
+      };
+
+      const result = importConfigAdvanced(importData, { mergeDirectories: true });
+      expect(result.success).toBe(true);
+
+      invalidateConfigCache();
+      const config = loadConfig();
+      const dir = config.directories.find(d => d.path === '/tmp/imported-workspace-dir');
+      expect(config.workspaces.map(w => w.name)).toEqual(['Valid']);
+      expect(config.workspaces[0].directoryId).toBe(dir.id);
+    });
+
+    it('合併模式應正規化匯入的標籤並合併到同路徑的既有目錄', () => {
+      const existing = loadConfig();
+      existing.directories.push({
+        id: 500,
+        name: 'Existing',
+        path: '/tmp/existing-tagged-dir',
+        group: 'default',
+        tags: ['backend'],
+      });
+      saveConfig(existing);
+
+      const importData = {
+        directories: [
+          {
+            id: 1,
+            name: 'Existing',
+            path: '/tmp/existing-tagged-dir',
+            tags: ['Backend', 'go'],
+          },
+          { id: 2, name: 'New', path: '/tmp/new-tagged-dir', tags: [' #client ', '', 'client'] },
+        ],
+      };
+
+      const result = importConfigAdvanced(importData, { mergeDirectories: true });
+      expect(result.success).toBe(true);
+
+      invalidateConfigCache();
+      const config = loadConfig();
+      expect(config.directories.find(d => d.id === 500).tags).toEqual(['backend', 'go']);
+      expect(config.directories.find(d => d.path === '/tmp/new-tagged-dir').tags).toEqual([
+        'client',
+      ]);
+    });
+
+    it('應匯入智慧群組並略過無效或同名的智慧群組', () => {
+      const existing = loadConfig();
+      existing.smartGroups = [
+        { id: 'smart-1', name: 'Rust', match: 'all', rules: [{ type: 'tag', value: 'rust' }] },
+      ];
+      saveConfig(existing);
+
+      const importData = {
+        smartGroups: [
+          {
+            id: 'smart-1',
+            name: 'Recent',
+            match: 'any',
+            rules: [{ type: 'launchedWithin', value: 7 }],
+          },
+          { id: 'smart-2', name: 'rust', match: 'all', rules: [{ type: 'tag', value: 'rust' }] },
+          { id: 'smart-3', name: 'Broken', match: 'all', rules: [] },
+        ],
+      };
+
+      const result = importConfigAdvanced(importData, { mergeGroups: true });
+      expect(result.success).toBe(true);
+      expect(result.errors).toHaveLength(1);
+
+      invalidateConfigCache();
+      const config = loadConfig();
+      expect(config.smartGroups.map(g => g.name)).toEqual(['Rust', 'Recent']);
+      expect(config.smartGroups[1].id).not.toBe('smart-1');
+      expect(config.smartGroups[1].order).toBe(1);
+    });
+
+    it('合併模式應映射群組預設啟動器並移除不存在的啟動器', () => {
+      const existing = loadConfig();
+      existing.terminals.push({ id: 'custom-1', name: 'Kitty', icon: '🐱', command: 'kitty' });
+      saveConfig(existing);
+
+      const importData = {
+        terminals: [{ id: 'custom-9', name: 'Kitty', icon: '🐱', command: 'kitty' }],
+        groups: [
+          { id: 'infra', name: 'Infra', icon: '📁', terminalId: 'custom-9' },
+          { id: 'ops', name: 'Ops', icon: '📁', terminalId: 'missing' },
+        ],
+      };
+
+      const result = importConfigAdvanced(importData, { mergeTerminals: true, mergeGroups: true });
+      expect(result.success).toBe(true);
+      expect(result.errors).toHaveLength(1);
+
+      invalidateConfigCache();
+      const config = loadConfig();
+      expect(config.groups.find(g => g.name === 'Infra').terminalId).toBe('custom-1');
+      expect(config.groups.find(g => g.name === 'Ops').terminalId).toBeUndefined();
+    });
+
+    it('合併模式應將舊版最愛轉為物件並映射目錄 ID', () => {
+      const existing = loadConfig();
+      existing.directories = [{ id: 1, name: 'Mine', path: '/tmp/fav-mine', group: 'default' }];
+      existing.favorites = [{ id: 'favorite-1', directoryId: 1 }];
+      saveConfig(existing);
+
+      const importData = {
+        directories: [
+          { id: 1, name: 'Imported', path: '/tmp/fav-imported', group: 'default' },
+          { id: 2, name: 'Same', path: '/tmp/fav-mine', group: 'default' },
+        ],
+        favorites: [1, 2, 999],
+      };
+
+      const result = importConfigAdvanced(importData, { mergeDirectories: true });
+      expect(result.success).toBe(true);
+
+      invalidateConfigCache();
+      const config = loadConfig();
+      const imported = config.directories.find(d => d.path === '/tmp/fav-imported');
+      expect(config.favorites.map(f => f.directoryId)).toEqual([1, imported.id]);
+      expect(new Set(config.favorites.map(f => f.id)).size).toBe(2);
+    });
+
+    it('應映射最愛的啟動器並在啟動器不存在時改用目錄的啟動器', () => {
+      const existing = loadConfig();
+      existing.terminals = [
+        ...existing.terminals.filter(t => t.isBuiltin),
+        { id: 'custom-1', name: 'WezTerm', icon: '💻', command: 'wezterm' },
+      ];
+      existing.directories = [{ id: 1, name: 'Repo', path: '/tmp/fav-repo', group: 'default' }];
+      existing.favorites = [];
+      saveConfig(existing);
+
+      const importData = {
+        terminals: [{ id: 'custom-9', name: 'WezTerm', icon: '💻', command: 'wezterm' }],
+        favorites: [
+          { id: 'favorite-a', directoryId: 1, terminalId: 'custom-9', label: 'Repo (Wez)' },
+          { id: 'favorite-b', directoryId: 1, terminalId: 'missing' },
+          { id: 'favorite-c', directoryId: 1 },
+        ],
+      };
+
+      const result = importConfigAdvanced(importData, { mergeTerminals: true });
+      expect(result.success).toBe(true);
+      expect(result.errors).toHaveLength(1);
+
+      invalidateConfigCache();
+      const config = loadConfig();
+      expect(config.favorites).toEqual([
+        { id: 'favorite-a', directoryId: 1, terminalId: 'custom-1', label: 'Repo (Wez)' },
+        { id: 'favorite-b', directoryId: 1 },
+      ]);
+    });
+
+    it('合併模式應映射匯入群組的父群組 ID', () => {
+      const existing = loadConfig();
+      existing.groups.push({ id: 'dup', name: 'Existing', icon: '📁', isDefault: false, order: 1 });
+      saveConfig(existing);
+
+      const importData = {
+        groups: [
+          { id: 'dup', name: 'Parent', icon: '📁', isDefault: false, order: 0, parentId: null },
+          { id: 'child', name: 'Child', icon: '📁', isDefault: false, order: 0, parentId: 'dup' },
+          { id: 'lost', name: 'Lost', icon: '📁', isDefault: false, order: 1, parentId: 'gone' },
+        ],
+      };
+
+      const result = importConfigAdvanced(importData, { mergeGroups: true });
+      expect(result.success).toBe(true);
+
+      invalidateConfigCache();
+      const config = loadConfig();
+      const parent = config.groups.find(g => g.name === 'Parent');
+      expect(parent.id).not.toBe('dup');
+      expect(config.groups.find(g => g.name === 'Child').parentId).toBe(parent.id);
+      expect(config.groups.find(g => g.name === 'Lost').parentId).toBeNull();
+    });
   });
 });
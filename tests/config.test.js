@@ -222,6 +222,67 @@ describe('migrateConfig', () => {
         expect(typeof g.order).toBe('number');
       });
     });
+
+    it('應該將舊版扁平群組升級為頂層群組', () => {
+      const config = {
+        terminals: [...defaultTerminals],
+        groups: [
+          { id: 'default', name: '預設', icon: '📁', isDefault: true, order: 0 },
+          { id: 'work', name: '工作', icon: '💼', isDefault: false, order: 1 },
+        ],
+        directories: [],
+        favorites: [],
+      };
+      const { config: migrated, needsSave } = migrateConfig(config, opts);
+
+      expect(needsSave).toBe(true);
+      expect(migrated.groups.map(g => g.parentId)).toEqual([null, null]);
+    });
+
+    it('應該新增 smartGroups 陣列並保留既有的智慧群組', () => {
+      const base = { terminals: [...defaultTerminals], groups: [], directories: [], favorites: [] };
+      const { config: migrated, needsSave } = migrateConfig({ ...base }, opts);
+      expect(needsSave).toBe(true);
+      expect(migrated.smartGroups).toEqual([]);
+
+      const smartGroup = {
+        id: 'smart-1',
+        name: 'Rust',
+        match: 'all',
+        rules: [{ type: 'tag', value: 'rust' }],
+      };
+      const { config: kept } = migrateConfig({ ...base, smartGroups: [smartGroup] }, opts);
+      expect(kept.smartGroups).toEqual([smartGroup]);
+    });
+
+    it('應該保留有效的父群組並修復無效的父群組', () => {
+      const group = (id, parentId) => ({
+        id,
+        name: id,
+        icon: '📁',
+        isDefault: false,
+        order: 0,
+        parentId,
+      });
+      const config = {
+        terminals: [...defaultTerminals],
+        groups: [
+          { id: 'default', name: '預設', icon: '📁', isDefault: true, order: 0, parentId: 'a' },
+          group('a', null),
+          group('b', 'a'),
+          group('c', 'missing'),
+          group('d', 'e'),
+          group('e', 'd'),
+        ],
+        directories: [],
+        favorites: [],
+      };
+      const { config: migrated, needsSave } = migrateConfig(config, opts);
+
+      expect(needsSave).toBe(true);
+      const parents = Object.fromEntries(migrated.groups.map(g => [g.id, g.parentId]));
+      expect(parents).toEqual({ default: null, a: null, b: 'a', c: null, d: null, e: 'd' });
+    });
   });
 
   describe('目錄遷移', () => {
@@ -320,6 +381,73 @@ describe('migrateConfig', () => {
       expect(Array.isArray(migrated.favorites)).toBe(true);
       expect(migrated.favorites.length).toBe(0);
     });
+
+    it('應該將舊版目錄 ID 轉為目錄 + 啟動器組合', () => {
+      const config = {
+        terminals: [...defaultTerminals],
+        groups: [...defaultGroups],
+        directories: [],
+        favorites: [3, 1, 3],
+      };
+      const { config: migrated, needsSave } = migrateConfig(config, opts);
+
+      expect(needsSave).toBe(true);
+      expect(migrated.favorites).toEqual([
+        { id: 'favorite-3', directoryId: 3 },
+        { id: 'favorite-1', directoryId: 1 },
+      ]);
+    });
+
+    it('已是新格式的最愛應保持不變', () => {
+      const favorites = [
+        { id: 'favorite-1', directoryId: 1 },
+        { id: 'favorite-2', directoryId: 1, terminalId: 'wsl', label: 'Repo (WSL)' },
+      ];
+      const config = {
+        terminals: [...defaultTerminals],
+        groups: [...defaultGroups],
+        directories: [],
+        favorites: favorites.map(f => ({ ...f })),
+        workspaces: [],
+        smartGroups: [],
+        scanRoots: [],
+        settings: { ...opts.defaultSettings },
+      };
+      const { config: migrated } = migrateConfig(config, opts);
+
+      expect(migrated.favorites).toEqual(favorites);
+    });
+  });
+
+  describe('workspaces 遷移', () => {
+    it('應該在缺少 workspaces 時建立空陣列', () => {
+      const config = {
+        terminals: [...defaultTerminals],
+        groups: [...defaultGroups],
+        directories: [],
+        favorites: [],
+      };
+      const { config: migrated, needsSave } = migrateConfig(config, opts);
+
+      expect(needsSave).toBe(true);
+      expect(migrated.workspaces).toEqual([]);
+    });
+  });
+
+  describe('scanRoots 遷移', () => {
+    it('應該在缺少 scanRoots 時建立空陣列', () => {
+      const config = {
+        terminals: [...defaultTerminals],
+        groups: [...defaultGroups],
+        directories: [],
+        favorites: [],
+        workspaces: [],
+      };
+      const { config: migrated, needsSave } = migrateConfig(config, opts);
+
+      expect(needsSave).toBe(true);
+      expect(migrated.scanRoots).toEqual([]);
+    });
   });
 
   describe('settings 遷移', () => {
@@ -385,9 +513,14 @@ describe('migrateConfig', () => {
     it('已有完整設定時不應需要儲存', () => {
       const config = {
         terminals: [...defaultTerminals],
-        groups: [{ id: 'default', name: '預設', icon: '📁', isDefault: true, order: 0 }],
+        groups: [
+          { id: 'default', name: '預設', icon: '📁', isDefault: true, order: 0, parentId: null },
+        ],
         directories: [],
         favorites: [],
+        workspaces: [],
+        smartGroups: [],
+        scanRoots: [],
         settings: {
           theme: 'dark',
           language: 'zh-TW',
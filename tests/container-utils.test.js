@@ -0,0 +1,141 @@
+/**
+ * container-utils.js 與 container.js 單元測試
+ * 測試 devcontainer.json 解析、命令組裝、錯誤分類與設定檔偵測
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {
+  stripJsonComments,
+  parseDevcontainerConfig,
+  getWorkspaceFolder,
+  buildContainerLookupArgs,
+  buildContainerExecArgs,
+  getContainerStartCommand,
+  classifyDockerError,
+} = require('../src/main/utils/container-utils.js');
+const { detectContainerConfig, detectContainers } = require('../src/main/container.js');
+
+describe('stripJsonComments / parseDevcontainerConfig', () => {
+  it('應該移除註解與結尾逗號，但保留字串內容', () => {
+    const text = '{\n  // comment\n  "image": "node:20", /* inline */\n  "url": "http://x//y",\n}';
+    expect(JSON.parse(stripJsonComments(text))).toEqual({ image: 'node:20', url: 'http://x//y' });
+  });
+
+  it('解析失敗或非物件時應回傳 null', () => {
+    expect(parseDevcontainerConfig('{ broken')).toBeNull();
+    expect(parseDevcontainerConfig('[1, 2]')).toBeNull();
+  });
+});
+
+describe('getWorkspaceFolder', () => {
+  it('未設定時應使用 /workspaces/<資料夾名稱>', () => {
+    expect(getWorkspaceFolder(null, '/home/me/api')).toBe('/workspaces/api');
+    expect(getWorkspaceFolder({}, 'C:\\code\\web')).toBe('/workspaces/web');
+  });
+
+  it('應該展開 localWorkspaceFolderBasename 並拒絕相對路徑', () => {
+    expect(
+      getWorkspaceFolder({ workspaceFolder: '/src/${localWorkspaceFolderBasename}' }, '/home/api')
+    ).toBe('/src/api');
+    expect(getWorkspaceFolder({ workspaceFolder: 'src' }, '/home/api')).toBe('/workspaces/api');
+  });
+});
+
+describe('buildContainerLookupArgs', () => {
+  it('應該以標籤過濾執行中的容器', () => {
+    expect(buildContainerLookupArgs('devcontainer.local_folder', '/home/api')).toEqual([
+      'ps',
+      '-q',
+      '--filter',
+      'label=devcontainer.local_folder=/home/api',
+    ]);
+  });
+});
+
+describe('buildContainerExecArgs', () => {
+  it('docker 應以容器 ID 與工作目錄執行 shell', () => {
+    const args = buildContainerExecArgs('docker', {
+      dirPath: '/home/api',
+      containerId: 'abc123',
+      workdir: '/workspaces/api',
+    });
+    expect(args.slice(0, 6)).toEqual(['docker', 'exec', '-it', '-w', '/workspaces/api', 'abc123']);
+    expect(args[6]).toBe('sh');
+  });
+
+  it('docker 未指定工作目錄時不應加上 -w', () => {
+    expect(buildContainerExecArgs('docker', { containerId: 'abc123' })).not.toContain('-w');
+  });
+
+  it('devcontainer 應以工作區資料夾執行 shell', () => {
+    expect(buildContainerExecArgs('devcontainer', { dirPath: '/home/api' }).slice(0, 4)).toEqual([
+      'devcontainer',
+      'exec',
+      '--workspace-folder',
+      '/home/api',
+    ]);
+  });
+});
+
+describe('getContainerStartCommand', () => {
+  it('應依偵測結果提供啟動命令', () => {
+    expect(getContainerStartCommand({ devcontainer: '.devcontainer.json' }, '/a')).toBe(
+      'devcontainer up --workspace-folder "/a"'
+    );
+    expect(getContainerStartCommand({ compose: 'compose.yaml' }, '/a')).toBe(
+      'docker compose --project-directory "/a" up -d'
+    );
+    expect(getContainerStartCommand(null, '/a')).toBeNull();
+  });
+});
+
+describe('classifyDockerError', () => {
+  it('應該辨識 daemon 未啟動與權限不足', () => {
+    expect(
+      classifyDockerError(
+        'Cannot connect to the Docker daemon at unix:///var/run/docker.sock. Is the docker daemon running?'
+      )
+    ).toBe('daemon');
+    expect(
+      classifyDockerError(
+        'permission denied while trying to connect to the Docker daemon socket at unix:///var/run/docker.sock'
+      )
+    ).toBe('permission');
+    expect(classifyDockerError('unknown flag: --foo')).toBeNull();
+  });
+});
+
+describe('detectContainerConfig', () => {
+  let tmpDir;
+
+  afterEach(() => {
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('應該偵測 devcontainer.json 與 compose 檔', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-container-'));
+    fs.mkdirSync(path.join(tmpDir, '.devcontainer'));
+    fs.writeFileSync(path.join(tmpDir, '.devcontainer', 'devcontainer.json'), '{}');
+    fs.writeFileSync(path.join(tmpDir, 'docker-compose.yml'), 'services: {}');
+
+    expect(await detectContainerConfig(tmpDir)).toEqual({
+      devcontainer: '.devcontainer/devcontainer.json',
+      compose: 'docker-compose.yml',
+    });
+  });
+
+  it('沒有設定檔或路徑不存在時應回傳 null', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-container-'));
+    const missing = path.join(tmpDir, 'missing');
+
+    expect(await detectContainers([tmpDir, missing])).toEqual({ [tmpDir]: null, [missing]: null });
+  });
+});
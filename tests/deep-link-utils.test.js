@@ -0,0 +1,65 @@
+/**
+ * deep-link-utils.js 單元測試
+ * 測試深層連結解析與轉換為 CLI 指令引數
+ */
+import { describe, it, expect } from 'vitest';
+
+const { findDeepLink, parseDeepLink, toCliArgs } = require('../src/main/utils/deep-link-utils.js');
+const { parseCliArgs } = require('../src/main/utils/cli-utils.js');
+
+describe('findDeepLink', () => {
+  it('應該由行程引數找出連結', () => {
+    expect(
+      findDeepLink(['TermLauncher.exe', '--allow-file-access', 'termlauncher://open?project=api'])
+    ).toBe('termlauncher://open?project=api');
+  });
+
+  it('沒有連結時應回傳 null', () => {
+    expect(findDeepLink(['TermLauncher.exe', 'https://example.com'])).toBeNull();
+    expect(findDeepLink(undefined)).toBeNull();
+  });
+});
+
+describe('parseDeepLink', () => {
+  it('應該解析 open 連結與已編碼的參數', () => {
+    expect(parseDeepLink('termlauncher://open?project=My%20API&launcher=vscode')).toEqual({
+      action: 'open',
+      params: { project: 'My API', launcher: 'vscode' },
+    });
+  });
+
+  it('應該接受 Windows 在動作後補上的斜線並忽略不支援的參數', () => {
+    expect(parseDeepLink('termlauncher://add/?path=%2Fsrv%2Fapi&env=X&name=API')).toEqual({
+      action: 'add',
+      params: { path: '/srv/api', name: 'API' },
+    });
+  });
+
+  it('應該拒絕未知動作、其他協定與格式錯誤的連結', () => {
+    expect(parseDeepLink('termlauncher://remove?id=1').error).toMatch(/Unknown action/);
+    expect(parseDeepLink('termlauncher://open/extra?project=api').error).toMatch(/Unknown action/);
+    expect(parseDeepLink('https://open?project=api').error).toMatch(/Unsupported protocol/);
+    expect(parseDeepLink('not a url').error).toBe('Invalid link format');
+  });
+});
+
+describe('toCliArgs', () => {
+  it('應該將 open 連結轉為 open 指令', () => {
+    const args = toCliArgs({ action: 'open', params: { project: 'api', launcher: 'vscode' } });
+    expect(args).toEqual(['open', '--with', 'vscode', '--', 'api']);
+    expect(parseCliArgs(args)).toEqual({
+      command: 'open',
+      args: ['api'],
+      options: { with: 'vscode' },
+    });
+  });
+
+  it('以 -- 開頭的參數值不應被解析為選項', () => {
+    const args = toCliArgs({ action: 'add', params: { path: '/srv/api', name: '--json' } });
+    expect(parseCliArgs(args)).toEqual({
+      command: 'add',
+      args: ['/srv/api'],
+      options: { name: '--json' },
+    });
+  });
+});
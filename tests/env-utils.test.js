@@ -0,0 +1,165 @@
+/**
+ * env-utils.js 單元測試
+ * 測試環境變數合併與優先順序
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  MASKED_VALUE,
+  mergeEnv,
+  getEnvLayers,
+  resolveLaunchEnv,
+  isSecretEnvKey,
+  maskEnvValue,
+  describeInjectedEnv,
+  parseDotenv,
+} = require('../src/main/utils/env-utils.js');
+
+describe('mergeEnv', () => {
+  it('應該依序合併並由後者覆蓋', () => {
+    const result = mergeEnv({ A: 'base', B: 'base' }, [{ A: 'one' }, { A: 'two', C: 'c' }]);
+    expect(result).toEqual({ A: 'two', B: 'base', C: 'c' });
+  });
+
+  it('不應修改基礎環境變數', () => {
+    const base = { A: '1' };
+    mergeEnv(base, [{ A: '2' }]);
+    expect(base.A).toBe('1');
+  });
+
+  it('應該忽略空層與非字串值', () => {
+    const result = mergeEnv({ A: '1' }, [undefined, null, { B: 2, C: '3' }]);
+    expect(result).toEqual({ A: '1', C: '3' });
+  });
+
+  it('不分大小寫模式應取代既有的同名鍵', () => {
+    const result = mergeEnv({ Path: 'C:\\Windows' }, [{ PATH: 'C:\\Tools' }], {
+      caseInsensitive: true,
+    });
+    expect(result).toEqual({ PATH: 'C:\\Tools' });
+  });
+});
+
+describe('resolveLaunchEnv', () => {
+  const groups = [{ id: 'infra', env: { AWS_PROFILE: 'infra', KUBECONFIG: '/k/infra' } }];
+  const terminal = { env: { TERM_PROGRAM: 'custom', AWS_PROFILE: 'launcher' } };
+
+  it('目錄應覆蓋群組，群組應覆蓋啟動器', () => {
+    const dir = { group: 'infra', env: { KUBECONFIG: '/k/dev' } };
+    const result = resolveLaunchEnv(dir, terminal, groups, { HOME: '/home/u' });
+    expect(result).toEqual({
+      HOME: '/home/u',
+      TERM_PROGRAM: 'custom',
+      AWS_PROFILE: 'infra',
+      KUBECONFIG: '/k/dev',
+    });
+  });
+
+  it('沒有任何設定時應回傳基礎環境變數的副本', () => {
+    const base = { HOME: '/home/u' };
+    const result = resolveLaunchEnv({ group: 'default' }, {}, [], base);
+    expect(result).toEqual(base);
+    expect(result).not.toBe(base);
+  });
+});
+
+describe('describeInjectedEnv', () => {
+  it('應該列出各層注入的變數並以最高優先來源為準', () => {
+    const dir = { group: 'g', env: { A: '1', B: '2' } };
+    const groups = [{ id: 'g', env: { B: 'x', C: 'y' } }];
+    const layers = getEnvLayers(dir, { env: { D: 'z' } }, groups, { E: 'file' });
+
+    expect(describeInjectedEnv(layers)).toEqual([
+      { key: 'D', value: 'z', source: 'launcher', masked: false },
+      { key: 'B', value: '2', source: 'directory', masked: false },
+      { key: 'C', value: 'y', source: 'group', masked: false },
+      { key: 'E', value: 'file', source: 'envFile', masked: false },
+      { key: 'A', value: '1', source: 'directory', masked: false },
+    ]);
+  });
+
+  it('應該遮罩機密變數的值', () => {
+    const layers = getEnvLayers({ env: { API_TOKEN: 'abc123' } }, {}, [], null);
+    expect(describeInjectedEnv(layers)).toEqual([
+      { key: 'API_TOKEN', value: MASKED_VALUE, source: 'directory', masked: true },
+    ]);
+  });
+});
+
+describe('resolveLaunchEnv 與環境變數檔', () => {
+  it('目錄手動設定應覆蓋環境變數檔，環境變數檔應覆蓋群組', () => {
+    const dir = { group: 'g', env: { A: 'manual' } };
+    const groups = [{ id: 'g', env: { A: 'group', B: 'group' } }];
+    const result = resolveLaunchEnv(dir, {}, groups, {}, { A: 'file', B: 'file' });
+    expect(result).toEqual({ A: 'manual', B: 'file' });
+  });
+});
+
+describe('isSecretEnvKey / maskEnvValue', () => {
+  it('應該辨識常見的機密變數名稱', () => {
+    expect(isSecretEnvKey('DB_PASSWORD')).toBe(true);
+    expect(isSecretEnvKey('GITHUB_TOKEN')).toBe(true);
+    expect(isSecretEnvKey('AWS_SECRET_ACCESS_KEY')).toBe(true);
+    expect(isSecretEnvKey('NODE_ENV')).toBe(false);
+  });
+
+  it('應該只遮罩機密變數', () => {
+    expect(maskEnvValue('API_KEY', 'abc')).toBe(MASKED_VALUE);
+    expect(maskEnvValue('PORT', '3000')).toBe('3000');
+  });
+});
+
+describe('parseDotenv', () => {
+  it('應該解析基本的 KEY=VALUE 並忽略註解與空行', () => {
+    const content = '# comment\nA=1\n\nB = two words \n  C=3 # trailing\nD=a#b';
+    expect(parseDotenv(content)).toEqual({ A: '1', B: 'two words', C: '3', D: 'a#b' });
+  });
+
+  it('應該支援 export 前綴', () => {
+    expect(parseDotenv('export NODE_ENV=production')).toEqual({ NODE_ENV: 'production' });
+  });
+
+  it('應該處理單引號、雙引號與反引號', () => {
+    const content = 'A=\'raw \\n # not comment\'\nB="line\\nbreak \\"q\\""\nC=`back`';
+    expect(parseDotenv(content)).toEqual({
+      A: 'raw \\n # not comment',
+      B: 'line\nbreak "q"',
+      C: 'back',
+    });
+  });
+
+  it('應該支援跨行的引號值', () => {
+    const content = 'KEY="-----BEGIN-----\nabc\n-----END-----"\nNEXT=1';
+    expect(parseDotenv(content)).toEqual({
+      KEY: '-----BEGIN-----\nabc\n-----END-----',
+      NEXT: '1',
+    });
+  });
+
+  it('應該忽略無效行與未關閉的引號', () => {
+    expect(parseDotenv('not a var\n1BAD=x\nOPEN="unterminated')).toEqual({});
+  });
+
+  it('引號未結尾時應略過該變數並繼續解析之後的行', () => {
+    const warnings = [];
+    const content = "A=1\nOPEN=\"unterminated\nB=2\nC='x'";
+    expect(parseDotenv(content, { onWarning: message => warnings.push(message) })).toEqual({
+      A: '1',
+      B: '2',
+      C: 'x',
+    });
+    expect(warnings).toEqual(['Unterminated quoted value for OPEN on line 2, entry skipped']);
+  });
+
+  it('應該處理 CRLF 與 BOM', () => {
+    expect(parseDotenv('\uFEFFA=1\r\nB=2\r\n')).toEqual({ A: '1', B: '2' });
+  });
+
+  it('不應展開變數', () => {
+    expect(parseDotenv('A=${HOME}/x')).toEqual({ A: '${HOME}/x' });
+  });
+
+  it('非字串輸入應回傳空物件', () => {
+    expect(parseDotenv(null)).toEqual({});
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * favorite-utils.js 單元測試
+ * 測試最愛（目錄 + 啟動器組合）的比對、建立、舊版格式轉換與驗證
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  MAX_FAVORITE_LABEL_LENGTH,
+  normalizeFavoriteLabel,
+  getFavoriteName,
+  findFavorite,
+  createFavoriteId,
+  createFavorite,
+  normalizeFavorites,
+  validateFavorite,
+} = require('../src/main/utils/favorite-utils.js');
+
+const favorites = [
+  { id: 'favorite-1', directoryId: 1 },
+  { id: 'favorite-2', directoryId: 1, terminalId: 'wsl', label: 'Repo (WSL)' },
+];
+
+describe('findFavorite', () => {
+  it('應該依目錄與啟動器組合尋找最愛', () => {
+    expect(findFavorite(favorites, 1)?.id).toBe('favorite-1');
+    expect(findFavorite(favorites, 1, '')?.id).toBe('favorite-1');
+    expect(findFavorite(favorites, 1, 'wsl')?.id).toBe('favorite-2');
+    expect(findFavorite(favorites, 1, 'vscode')).toBeUndefined();
+    expect(findFavorite(undefined, 1)).toBeUndefined();
+  });
+});
+
+describe('createFavoriteId / createFavorite', () => {
+  it('ID 重複時應加上序號', () => {
+    expect(createFavoriteId(favorites, 'favorite-1')).toBe('favorite-1-2');
+    expect(createFavoriteId(favorites, 'favorite-9')).toBe('favorite-9');
+  });
+
+  it('應該只保留有值的啟動器與去除空白的名稱', () => {
+    const plain = createFavorite(favorites, 2, '', '  ');
+    expect(plain).toEqual({ id: plain.id, directoryId: 2 });
+
+    const pinned = createFavorite(favorites, 2, 'vscode', ' Repo (Code) ');
+    expect(pinned).toMatchObject({ directoryId: 2, terminalId: 'vscode', label: 'Repo (Code)' });
+
+    const long = createFavorite(favorites, 2, undefined, 'x'.repeat(150));
+    expect(long.label).toHaveLength(MAX_FAVORITE_LABEL_LENGTH);
+  });
+});
+
+describe('normalizeFavoriteLabel / getFavoriteName', () => {
+  it('應該去除空白並截斷自訂名稱，無效時為空字串', () => {
+    expect(normalizeFavoriteLabel('  Repo  ')).toBe('Repo');
+    expect(normalizeFavoriteLabel('x'.repeat(150))).toHaveLength(MAX_FAVORITE_LABEL_LENGTH);
+    expect(normalizeFavoriteLabel(42)).toBe('');
+  });
+
+  it('有自訂名稱時應優先顯示，否則顯示目錄名稱', () => {
+    const dir = { id: 1, name: 'repo' };
+    expect(getFavoriteName(favorites[1], dir)).toBe('Repo (WSL)');
+    expect(getFavoriteName(favorites[0], dir)).toBe('repo');
+  });
+});
+
+describe('normalizeFavorites', () => {
+  it('應該將舊版目錄 ID 轉為物件並保留順序', () => {
+    expect(normalizeFavorites([2, 1])).toEqual({
+      favorites: [
+        { id: 'favorite-2', directoryId: 2 },
+        { id: 'favorite-1', directoryId: 1 },
+      ],
+      changed: true,
+    });
+  });
+
+  it('應該移除格式錯誤與重複的組合並補上重複的 ID', () => {
+    const { favorites: result, changed } = normalizeFavorites([
+      { id: 'a', directoryId: 1 },
+      { id: 'b', directoryId: 1, terminalId: '' },
+      { id: 'a', directoryId: 1, terminalId: 'wsl' },
+      { directoryId: 2 },
+      { id: 'c', directoryId: '3' },
+      null,
+      'x',
+    ]);
+
+    expect(changed).toBe(true);
+    expect(result).toEqual([
+      { id: 'a', directoryId: 1 },
+      { id: 'favorite-1', directoryId: 1, terminalId: 'wsl' },
+      { id: 'favorite-2', directoryId: 2 },
+    ]);
+  });
+
+  it('已是正確格式時不應變更', () => {
+    const { favorites: result, changed } = normalizeFavorites(favorites);
+    expect(changed).toBe(false);
+    expect(result).toEqual(favorites);
+  });
+
+  it('非陣列時應回傳空陣列', () => {
+    expect(normalizeFavorites(undefined)).toEqual({ favorites: [], changed: false });
+    expect(normalizeFavorites({})).toEqual({ favorites: [], changed: true });
+  });
+});
+
+describe('validateFavorite', () => {
+  it('應該驗證最愛欄位', () => {
+    expect(validateFavorite(favorites[1]).valid).toBe(true);
+    expect(validateFavorite(1).valid).toBe(false);
+    expect(validateFavorite({ directoryId: 1 }).valid).toBe(false);
+    expect(validateFavorite({ id: 'f', directoryId: 1.5 }).valid).toBe(false);
+    expect(validateFavorite({ id: 'f', directoryId: 1, terminalId: 2 }).valid).toBe(false);
+
+    const result = validateFavorite({ id: 'f', directoryId: 1, label: 'x'.repeat(101) });
+    expect(result.error).toBe('favorites[].label must be a string of at most 100 characters');
+  });
+});
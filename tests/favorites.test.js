@@ -0,0 +1,55 @@
+/**
+ * favorites.js 模組測試
+ * 測試最愛的比對、建立與部分重新排序
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  findFavorite,
+  createFavorite,
+  reorderFavorites,
+} from '../src/renderer/scripts/utils/favorites.js';
+
+const favorites = [
+  { id: 'a', directoryId: 1 },
+  { id: 'b', directoryId: 1, terminalId: 'wsl' },
+  { id: 'c', directoryId: 2 },
+  { id: 'd', directoryId: 3, label: 'Docs' },
+];
+
+describe('findFavorite / createFavorite', () => {
+  it('同一目錄可搭配不同啟動器各有一個最愛', () => {
+    expect(findFavorite(favorites, 1).id).toBe('a');
+    expect(findFavorite(favorites, 1, 'wsl').id).toBe('b');
+    expect(findFavorite(favorites, 2, 'wsl')).toBeUndefined();
+  });
+
+  it('建立的最愛應有不重複的 ID', () => {
+    const favorite = createFavorite(favorites, 2, 'wsl', 'Web (WSL)');
+    expect(favorite).toMatchObject({ directoryId: 2, terminalId: 'wsl', label: 'Web (WSL)' });
+    expect(favorites.some(f => f.id === favorite.id)).toBe(false);
+  });
+});
+
+describe('reorderFavorites', () => {
+  it('應該依新順序排列所有最愛', () => {
+    expect(reorderFavorites(favorites, ['d', 'c', 'b', 'a']).map(f => f.id)).toEqual([
+      'd',
+      'c',
+      'b',
+      'a',
+    ]);
+  });
+
+  it('只排列部分最愛時，未列出的最愛應維持原位', () => {
+    expect(reorderFavorites(favorites, ['d', 'b']).map(f => f.id)).toEqual(['a', 'd', 'c', 'b']);
+  });
+
+  it('應該忽略不存在的 ID', () => {
+    expect(reorderFavorites(favorites, ['x', 'c', 'a']).map(f => f.id)).toEqual([
+      'c',
+      'b',
+      'a',
+      'd',
+    ]);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * fuzzy-match.js 模組測試
+ * 測試模糊搜尋比對、評分與目錄多欄位排序
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  tokenizeQuery,
+  fuzzyMatch,
+  fuzzyMatchPath,
+  matchText,
+  matchDirectory,
+  rankDirectories,
+} = require('../src/shared/fuzzy-match.js');
+
+describe('fuzzyMatch', () => {
+  it('應該比對依序出現的字元並回傳位置', () => {
+    const result = fuzzyMatch('tl', 'TermLauncher');
+    expect(result).not.toBeNull();
+    expect(result.positions).toEqual([0, 4]);
+  });
+
+  it('應該在字元順序不符時回傳 null', () => {
+    expect(fuzzyMatch('zz', 'TermLauncher')).toBeNull();
+    expect(fuzzyMatch('rt', 'tr')).toBeNull();
+  });
+
+  it('應該忽略大小寫與查詢中的空白', () => {
+    expect(fuzzyMatch('TERM L', 'termlauncher')).not.toBeNull();
+  });
+
+  it('應該在查詢為空時視為相符', () => {
+    expect(fuzzyMatch('', 'anything')).toEqual({ score: 0, positions: [] });
+  });
+
+  it('應該讓連續與前綴相符的分數較高', () => {
+    const prefix = fuzzyMatch('api', 'api-server');
+    const scattered = fuzzyMatch('api', 'a-project-index');
+    expect(prefix.score).toBeGreaterThan(scattered.score);
+  });
+
+  it('應該讓單字開頭相符的分數較高', () => {
+    const wordStart = fuzzyMatch('ws', 'web-server');
+    const middle = fuzzyMatch('ws', 'awesome');
+    expect(wordStart.score).toBeGreaterThan(middle.score);
+  });
+
+  it('應該將 camelCase 大寫字母視為單字開頭', () => {
+    const camel = fuzzyMatch('tl', 'termLauncher');
+    const plain = fuzzyMatch('tl', 'termlauncher');
+    expect(camel.score).toBeGreaterThan(plain.score);
+  });
+
+  it('應該讓較短的文字在同樣相符時優先', () => {
+    expect(fuzzyMatch('app', 'app').score).toBeGreaterThan(
+      fuzzyMatch('app', 'application-with-long-name').score
+    );
+  });
+});
+
+describe('tokenizeQuery', () => {
+  it('應該以空白拆分並轉為小寫', () => {
+    expect(tokenizeQuery('  Web  API ')).toEqual(['web', 'api']);
+    expect(tokenizeQuery('')).toEqual([]);
+    expect(tokenizeQuery(null)).toEqual([]);
+  });
+});
+
+describe('fuzzyMatchPath', () => {
+  it('應該比對單一路徑片段並換算為整段路徑的位置', () => {
+    const result = fuzzyMatchPath('api', '/srv/projects/api');
+    expect(result.positions).toEqual([14, 15, 16]);
+  });
+
+  it('應該支援 Windows 路徑分隔字元', () => {
+    const result = fuzzyMatchPath('web', 'C:\\code\\web');
+    expect(result.positions).toEqual([8, 9, 10]);
+  });
+
+  it('應該允許跨片段比對', () => {
+    expect(fuzzyMatchPath('sp', '/srv/projects')).not.toBeNull();
+    expect(fuzzyMatchPath('zz', '/srv/projects')).toBeNull();
+  });
+});
+
+describe('matchText', () => {
+  it('應該要求所有關鍵字都相符', () => {
+    expect(matchText('work api', 'Work API Server')).not.toBeNull();
+    expect(matchText('work db', 'Work API Server')).toBeNull();
+  });
+
+  it('應該合併所有關鍵字的相符位置', () => {
+    expect(matchText('ab cd', 'ab-cd').positions).toEqual([0, 1, 3, 4]);
+  });
+
+  it('應該在查詢為空時視為相符', () => {
+    expect(matchText('', 'text')).toEqual({ score: 0, positions: [] });
+  });
+});
+
+describe('matchDirectory', () => {
+  const target = {
+    name: 'frontend',
+    path: '/home/user/work/web-app',
+    group: 'Work',
+    launcher: 'VS Code',
+    tags: ['react', 'typescript'],
+  };
+
+  it('應該比對名稱、路徑、群組、啟動器與標籤', () => {
+    expect(matchDirectory('front', target).highlights.name).toEqual([0, 1, 2, 3, 4]);
+    expect(matchDirectory('webapp', target).highlights.path.length).toBe(6);
+    expect(matchDirectory('vscode', target).highlights.launcher).toEqual([0, 1, 3, 4, 5, 6]);
+    expect(matchDirectory('react', target).highlights.tags).toEqual([[0, 1, 2, 3, 4], []]);
+    expect(matchDirectory('xyz', target)).toBeNull();
+  });
+
+  it('應該讓每個關鍵字分別比對不同欄位', () => {
+    const result = matchDirectory('front vscode', target);
+    expect(result.highlights.name.length).toBe(5);
+    expect(result.highlights.launcher.length).toBe(6);
+    expect(matchDirectory('front zzz', target)).toBeNull();
+  });
+
+  it('應該讓名稱相符的權重高於路徑相符', () => {
+    const byName = matchDirectory('api', { name: 'api', path: '/srv/x' });
+    const byPath = matchDirectory('api', { name: 'x', path: '/srv/api' });
+    expect(byName.score).toBeGreaterThan(byPath.score);
+  });
+
+  it('應該容許缺少的選用欄位', () => {
+    const result = matchDirectory('x', { name: 'x', path: '/tmp' });
+    expect(result.highlights).toEqual({ name: [0], path: [], group: [], launcher: [], tags: [] });
+  });
+});
+
+describe('rankDirectories', () => {
+  const dirs = [
+    { id: '1', name: 'docs', path: '/code/api-docs' },
+    { id: '2', name: 'api', path: '/code/api' },
+    { id: '3', name: 'web', path: '/code/web' },
+    { id: '4', name: 'api', path: '/other/api' },
+  ];
+
+  it('應該只回傳相符的項目並依分數排序', () => {
+    const results = rankDirectories('api', dirs, dir => dir);
+    expect(results.map(r => r.item.id)).toEqual(['2', '4', '1']);
+    expect(results[0].score).toBeGreaterThan(results[2].score);
+  });
+
+  it('應該在分數相同時保留傳入順序', () => {
+    const reversed = [dirs[3], dirs[1]];
+    expect(rankDirectories('api', reversed, dir => dir).map(r => r.item.id)).toEqual(['4', '2']);
+  });
+});
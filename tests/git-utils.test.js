@@ -0,0 +1,156 @@
+/**
+ * git-utils.js 與 git-status.js 單元測試
+ * 測試 git status 輸出解析、限定並行數與 Git 狀態讀取
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {
+  parseGitStatus,
+  parseLastCommitTime,
+  isNotRepositoryError,
+  mapWithConcurrency,
+} = require('../src/main/utils/git-utils.js');
+const {
+  getGitStatus,
+  getGitStatuses,
+  invalidateGitStatusCache,
+} = require('../src/main/git-status.js');
+
+describe('parseGitStatus', () => {
+  it('應該解析分支、上游、領先/落後與變更數', () => {
+    const output = [
+      '# branch.oid 1234567890abcdef',
+      '# branch.head main',
+      '# branch.upstream origin/main',
+      '# branch.ab +2 -1',
+      '1 .M N... 100644 100644 100644 abc abc src/app.js',
+      '? notes.txt',
+      '! ignored.log',
+    ].join('\n');
+
+    expect(parseGitStatus(output)).toEqual({
+      branch: 'main',
+      detached: false,
+      oid: '1234567',
+      upstream: 'origin/main',
+      ahead: 2,
+      behind: 1,
+      dirty: true,
+      changes: 2,
+    });
+  });
+
+  it('應該處理 detached HEAD 與尚無提交的儲存庫', () => {
+    const detached = parseGitStatus('# branch.oid abcdef1234\r\n# branch.head (detached)\r\n');
+    expect(detached.detached).toBe(true);
+    expect(detached.branch).toBeNull();
+    expect(detached.oid).toBe('abcdef1');
+    expect(detached.dirty).toBe(false);
+
+    const initial = parseGitStatus('# branch.oid (initial)\n# branch.head main\n');
+    expect(initial.oid).toBeNull();
+    expect(initial.upstream).toBeNull();
+  });
+});
+
+describe('parseLastCommitTime / isNotRepositoryError', () => {
+  it('應該將秒數轉為毫秒，無效時為 null', () => {
+    expect(parseLastCommitTime('1700000000\n')).toBe(1700000000000);
+    expect(parseLastCommitTime('')).toBeNull();
+  });
+
+  it('應該辨識非 Git 儲存庫的錯誤', () => {
+    expect(
+      isNotRepositoryError('fatal: not a git repository (or any of the parent directories): .git')
+    ).toBe(true);
+    expect(isNotRepositoryError('fatal: unable to access')).toBe(false);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('應該限制並行數並保留結果順序', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(maxRunning).toBe(2);
+  });
+
+  it('空陣列應回傳空結果', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
+
+describe('getGitStatus', () => {
+  let tmpDir;
+
+  afterEach(() => {
+    invalidateGitStatusCache();
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  /** 判斷環境是否可執行 git */
+  function hasGit() {
+    try {
+      execFileSync('git', ['--version'], { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  it('非 Git 儲存庫應回傳 null', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-git-'));
+    const plain = path.join(tmpDir, 'plain');
+    fs.mkdirSync(plain);
+    // 避免 tmp 目錄本身位於 Git 儲存庫中
+    fs.writeFileSync(path.join(plain, '.git'), 'gitdir: missing');
+
+    expect(await getGitStatuses([plain, plain])).toEqual({ [plain]: null });
+  });
+
+  it.skipIf(!hasGit())('應該讀取儲存庫的變更狀態並使用快取', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-git-'));
+    execFileSync('git', ['init', '-q'], { cwd: tmpDir });
+    fs.writeFileSync(path.join(tmpDir, 'README.md'), '# test');
+
+    const status = await getGitStatus(tmpDir);
+    expect(status.dirty).toBe(true);
+    expect(status.changes).toBe(1);
+    expect(status.lastCommit).toBeNull();
+
+    // 快取期間不會重新讀取，force 時才會反映新的變更
+    fs.writeFileSync(path.join(tmpDir, 'other.md'), '# other');
+    expect((await getGitStatus(tmpDir)).changes).toBe(1);
+    expect((await getGitStatus(tmpDir, { force: true })).changes).toBe(2);
+  });
+
+  it.skipIf(!hasGit() || process.platform === 'win32')(
+    '不應執行儲存庫設定的 fsmonitor 程式',
+    async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-git-'));
+      const marker = path.join(tmpDir, 'fsmonitor-ran');
+      execFileSync('git', ['init', '-q'], { cwd: tmpDir });
+      execFileSync('git', ['config', 'core.fsmonitor', `touch "${marker}"`], { cwd: tmpDir });
+
+      expect(await getGitStatus(tmpDir)).not.toBeNull();
+      expect(fs.existsSync(marker)).toBe(false);
+    }
+  );
+});
@@ -0,0 +1,144 @@
+/**
+ * group-launch.js 單元測試
+ * 測試開啟整個群組時的目錄順序、啟動器繼承與結果彙整
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+
+const {
+  saveConfig,
+  loadConfig,
+  invalidateConfigCache,
+  configPath,
+} = require('../src/main/config.js');
+const {
+  historyPath,
+  invalidateHistoryCache,
+  getRecentLaunches,
+} = require('../src/main/history.js');
+const { getGroupLaunchDirectories, launchGroup } = require('../src/main/group-launch.js');
+
+/**
+ * 清理測試產生的配置檔
+ */
+function cleanup() {
+  try {
+    fs.unlinkSync(configPath);
+  } catch {}
+  try {
+    fs.unlinkSync(configPath + '.tmp');
+  } catch {}
+  try {
+    fs.unlinkSync(historyPath);
+  } catch {}
+  invalidateHistoryCache();
+}
+
+/**
+ * 建立測試配置：Infra（預設啟動器 noop）> Databases，Empty 沒有目錄
+ */
+function setupConfig() {
+  const config = loadConfig();
+  config.groups = [
+    { id: 'default', name: 'Default', icon: '📁', isDefault: true, order: 0, parentId: null },
+    { id: 'infra', name: 'Infra', icon: '🛠️', order: 1, parentId: null, terminalId: 'noop' },
+    { id: 'databases', name: 'Databases', icon: '🗄️', order: 0, parentId: 'infra' },
+    { id: 'empty', name: 'Empty', icon: '📁', order: 2, parentId: null },
+  ];
+  config.directories = [
+    { id: 1, name: 'Postgres', icon: '📁', path: os.tmpdir(), group: 'databases', order: 0 },
+    { id: 2, name: 'Terraform', icon: '📁', path: os.tmpdir(), group: 'infra', order: 1 },
+    {
+      id: 3,
+      name: 'Ansible',
+      icon: '📁',
+      path: os.tmpdir(),
+      group: 'infra',
+      order: 0,
+      terminalId: 'broken',
+    },
+    { id: 4, name: 'Home', icon: '📁', path: os.tmpdir(), group: 'default', order: 0 },
+  ];
+  config.terminals = [
+    { id: 'noop', name: 'Noop', icon: '💻', command: 'node --version' },
+    { id: 'broken', name: 'Broken', icon: '💻', command: '' },
+  ];
+  saveConfig(config);
+}
+
+describe('getGroupLaunchDirectories', () => {
+  beforeEach(() => {
+    invalidateConfigCache();
+    cleanup();
+  });
+
+  afterEach(() => {
+    invalidateConfigCache();
+    cleanup();
+  });
+
+  it('應該先列出群組本身的目錄，再列出子群組的目錄', () => {
+    setupConfig();
+    const config = loadConfig();
+
+    expect(getGroupLaunchDirectories(config, 'infra').map(d => d.id)).toEqual([3, 2, 1]);
+    expect(getGroupLaunchDirectories(config, 'infra', false).map(d => d.id)).toEqual([3, 2]);
+    expect(getGroupLaunchDirectories(config, 'empty')).toEqual([]);
+  });
+});
+
+describe('launchGroup', () => {
+  beforeEach(() => {
+    invalidateConfigCache();
+    cleanup();
+  });
+
+  afterEach(() => {
+    invalidateConfigCache();
+    cleanup();
+  });
+
+  it('找不到群組或群組沒有目錄時應回傳錯誤', async () => {
+    setupConfig();
+
+    expect((await launchGroup('missing')).error).toBe('Group not found');
+    expect(await launchGroup('empty')).toMatchObject({
+      success: false,
+      groupId: 'empty',
+      error: 'Group has no directories',
+    });
+  });
+
+  it('應該依序開啟並使用目錄自訂或繼承的啟動器', async () => {
+    setupConfig();
+
+    const result = await launchGroup('infra', { interval: 0 });
+
+    expect(result.groupName).toBe('Infra');
+    expect(result.results.map(r => [r.directoryId, r.terminalId])).toEqual([
+      [3, 'broken'],
+      [2, 'noop'],
+      [1, 'noop'],
+    ]);
+    expect(result.results[0].errorType).toBe('INVALID_CONFIG');
+    expect(result).toMatchObject({ success: false, partial: true, succeeded: 2, failed: 1 });
+  });
+
+  it('每個目錄都應記錄到啟動歷史', async () => {
+    setupConfig();
+
+    const result = await launchGroup('infra', {
+      source: 'tray',
+      includeSubgroups: false,
+      interval: 0,
+    });
+
+    expect(result.results).toHaveLength(2);
+    const launches = getRecentLaunches();
+    expect(launches.map(item => item.directoryId).sort()).toEqual([2, 3]);
+    expect(launches.every(item => item.source === 'tray')).toBe(true);
+  });
+});
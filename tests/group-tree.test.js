@@ -0,0 +1,157 @@
+/**
+ * group-tree.js 模組測試
+ * 測試群組樹狀結構、子孫群組擴展與拖拉移動
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  buildGroupTree,
+  flattenGroupTree,
+  getDescendantIds,
+  expandGroupIds,
+  canReparent,
+  moveGroup,
+  getAncestors,
+  getGroupPathName,
+  getGroupTerminalId,
+} from '../src/renderer/scripts/utils/group-tree.js';
+
+// Default、Work（Client A > Backend、Client B）、Personal
+function createGroups() {
+  return [
+    { id: 'personal', name: 'Personal', order: 2, parentId: null },
+    { id: 'default', name: 'Default', isDefault: true, order: 0, parentId: null },
+    { id: 'client-b', name: 'Client B', order: 1, parentId: 'work' },
+    { id: 'work', name: 'Work', order: 1, parentId: null },
+    { id: 'client-a', name: 'Client A', order: 0, parentId: 'work' },
+    { id: 'backend', name: 'Backend', order: 0, parentId: 'client-a' },
+  ];
+}
+
+const treeOrder = groups => flattenGroupTree(buildGroupTree(groups)).map(n => n.group.id);
+
+describe('buildGroupTree / flattenGroupTree', () => {
+  it('應該依 order 組成樹狀結構並依樹狀順序展開', () => {
+    const flat = flattenGroupTree(buildGroupTree(createGroups()));
+    expect(flat.map(n => n.group.id)).toEqual([
+      'default',
+      'work',
+      'client-a',
+      'backend',
+      'client-b',
+      'personal',
+    ]);
+    expect(flat.map(n => n.depth)).toEqual([0, 0, 1, 2, 1, 0]);
+    expect(flat.find(n => n.group.id === 'client-a').hasChildren).toBe(true);
+    expect(flat.find(n => n.group.id === 'backend').hasChildren).toBe(false);
+  });
+
+  it('父群組不存在或形成循環時應列為頂層群組', () => {
+    const groups = [
+      { id: 'a', order: 0, parentId: 'missing' },
+      { id: 'b', order: 1, parentId: 'c' },
+      { id: 'c', order: 2, parentId: 'b' },
+    ];
+    const tree = buildGroupTree(groups);
+    expect(tree.map(n => n.group.id)).toEqual(['a', 'b']);
+    expect(tree[1].children.map(n => n.group.id)).toEqual(['c']);
+  });
+});
+
+describe('getDescendantIds / expandGroupIds', () => {
+  it('應該取得所有層級的子孫群組', () => {
+    expect(getDescendantIds(createGroups(), 'work')).toEqual(['client-b', 'client-a', 'backend']);
+  });
+
+  it('應該將群組篩選擴展為包含子孫群組', () => {
+    expect(expandGroupIds(createGroups(), ['client-a', 'personal']).sort()).toEqual([
+      'backend',
+      'client-a',
+      'personal',
+    ]);
+  });
+});
+
+describe('canReparent', () => {
+  it('不可移到自己或子孫群組下', () => {
+    const groups = createGroups();
+    expect(canReparent(groups, 'work', 'work')).toBe(false);
+    expect(canReparent(groups, 'work', 'backend')).toBe(false);
+    expect(canReparent(groups, 'backend', 'personal')).toBe(true);
+  });
+
+  it('預設群組只能位於頂層', () => {
+    const groups = createGroups();
+    expect(canReparent(groups, 'default', 'work')).toBe(false);
+    expect(canReparent(groups, 'default', null)).toBe(true);
+  });
+});
+
+describe('moveGroup', () => {
+  it('應該在同一層中重新排序', () => {
+    const groups = createGroups();
+    expect(moveGroup(groups, 'personal', 'work', 'before')).toBe(true);
+    expect(treeOrder(groups)).toEqual([
+      'default',
+      'personal',
+      'work',
+      'client-a',
+      'backend',
+      'client-b',
+    ]);
+  });
+
+  it('應該將群組移入另一個群組成為最後一個子群組', () => {
+    const groups = createGroups();
+    expect(moveGroup(groups, 'personal', 'client-a', 'into')).toBe(true);
+    const personal = groups.find(g => g.id === 'personal');
+    expect(personal.parentId).toBe('client-a');
+    expect(personal.order).toBe(1);
+  });
+
+  it('應該將子群組移到另一層的指定位置並重新編號原本的同層群組', () => {
+    const groups = createGroups();
+    expect(moveGroup(groups, 'client-a', 'default', 'after')).toBe(true);
+    expect(groups.find(g => g.id === 'client-a').parentId).toBeNull();
+    expect(groups.find(g => g.id === 'client-b').order).toBe(0);
+    expect(treeOrder(groups)).toEqual([
+      'default',
+      'client-a',
+      'backend',
+      'work',
+      'client-b',
+      'personal',
+    ]);
+  });
+
+  it('目標為 null 時應移到頂層最後', () => {
+    const groups = createGroups();
+    expect(moveGroup(groups, 'backend', null)).toBe(true);
+    expect(treeOrder(groups).at(-1)).toBe('backend');
+  });
+
+  it('應該拒絕移到子孫群組中', () => {
+    const groups = createGroups();
+    expect(moveGroup(groups, 'work', 'backend', 'into')).toBe(false);
+    expect(moveGroup(groups, 'work', 'backend', 'before')).toBe(false);
+    expect(groups.find(g => g.id === 'work').parentId).toBeNull();
+  });
+});
+
+describe('getAncestors / getGroupPathName', () => {
+  it('應該取得祖先群組與完整路徑名稱', () => {
+    const groups = createGroups();
+    expect(getAncestors(groups, 'backend').map(g => g.id)).toEqual(['work', 'client-a']);
+    expect(getGroupPathName(groups, 'backend')).toBe('Work / Client A / Backend');
+    expect(getGroupPathName(groups, 'work', g => g.name.toUpperCase())).toBe('WORK');
+    expect(getGroupPathName(groups, 'missing')).toBe('');
+  });
+});
+
+describe('getGroupTerminalId', () => {
+  it('群組未設定時應沿用最近的祖先群組，皆未設定時為 null', () => {
+    const groups = createGroups();
+    groups.find(g => g.id === 'work').terminalId = 'wt';
+    expect(getGroupTerminalId(groups, 'backend')).toBe('wt');
+    expect(getGroupTerminalId(groups, 'personal')).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * group-utils.js 單元測試
+ * 測試巢狀群組的循環檢查、子孫群組、路徑、預設啟動器繼承與父群組修復/驗證
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  wouldCreateCycle,
+  getGroupDescendantIds,
+  getGroupPath,
+  getGroupDepth,
+  sortGroupsByTree,
+  getGroupTerminalId,
+  resolveDirectoryTerminalId,
+  getTerminalOverrideDirectories,
+  repairGroupParents,
+  validateGroupParents,
+} = require('../src/main/utils/group-utils.js');
+
+// Work > Client A > Backend，Personal 為頂層群組
+function createGroups() {
+  return [
+    { id: 'default', name: 'Default', isDefault: true, parentId: null },
+    { id: 'work', name: 'Work', parentId: null },
+    { id: 'client-a', name: 'Client A', parentId: 'work' },
+    { id: 'backend', name: 'Backend', parentId: 'client-a' },
+    { id: 'personal', name: 'Personal' },
+  ];
+}
+
+describe('wouldCreateCycle', () => {
+  it('應該拒絕移到自己或子孫群組下', () => {
+    const groups = createGroups();
+    expect(wouldCreateCycle(groups, 'work', 'work')).toBe(true);
+    expect(wouldCreateCycle(groups, 'work', 'backend')).toBe(true);
+  });
+
+  it('應該允許移到其他群組下或頂層', () => {
+    const groups = createGroups();
+    expect(wouldCreateCycle(groups, 'backend', 'personal')).toBe(false);
+    expect(wouldCreateCycle(groups, 'client-a', null)).toBe(false);
+  });
+});
+
+describe('getGroupDescendantIds', () => {
+  it('應該取得所有層級的子孫群組', () => {
+    expect(getGroupDescendantIds(createGroups(), 'work')).toEqual(['client-a', 'backend']);
+    expect(getGroupDescendantIds(createGroups(), 'personal')).toEqual([]);
+  });
+});
+
+describe('getGroupPath / getGroupDepth', () => {
+  it('應該取得完整路徑與深度', () => {
+    const groups = createGroups();
+    expect(getGroupPath(groups, 'backend')).toBe('Work / Client A / Backend');
+    expect(getGroupDepth(groups, 'backend')).toBe(2);
+    expect(getGroupDepth(groups, 'personal')).toBe(0);
+  });
+
+  it('群組不存在時應回傳空字串與 0', () => {
+    expect(getGroupPath(createGroups(), 'missing')).toBe('');
+    expect(getGroupDepth(createGroups(), 'missing')).toBe(0);
+  });
+});
+
+describe('sortGroupsByTree', () => {
+  it('應該依樹狀順序排列，同一層依 order 排序', () => {
+    const groups = [
+      { id: 'b', order: 1, parentId: null },
+      { id: 'a-child', order: 0, parentId: 'a' },
+      { id: 'a', order: 0, parentId: null },
+    ];
+    expect(sortGroupsByTree(groups).map(g => g.id)).toEqual(['a', 'a-child', 'b']);
+  });
+});
+
+describe('getGroupTerminalId / resolveDirectoryTerminalId', () => {
+  const withLaunchers = () => {
+    const groups = createGroups();
+    groups.find(g => g.id === 'work').terminalId = 'wt';
+    groups.find(g => g.id === 'backend').terminalId = 'vscode';
+    return groups;
+  };
+
+  it('群組未設定時應沿用最近的祖先群組', () => {
+    const groups = withLaunchers();
+    expect(getGroupTerminalId(groups, 'backend')).toBe('vscode');
+    expect(getGroupTerminalId(groups, 'client-a')).toBe('wt');
+    expect(getGroupTerminalId(groups, 'personal')).toBeNull();
+    expect(getGroupTerminalId(undefined, 'work')).toBeNull();
+  });
+
+  it('應該依目錄自訂、群組預設、全域預設的順序解析', () => {
+    const groups = withLaunchers();
+    expect(resolveDirectoryTerminalId({ terminalId: 'git-bash', group: 'work' }, groups, 'x')).toBe(
+      'git-bash'
+    );
+    expect(resolveDirectoryTerminalId({ group: 'client-a' }, groups, 'x')).toBe('wt');
+    expect(resolveDirectoryTerminalId({ group: 'personal' }, groups, 'x')).toBe('x');
+    expect(resolveDirectoryTerminalId({}, groups, 'x')).toBe('x');
+  });
+
+  it('清除群組內自訂啟動器的目錄後應改用群組預設啟動器', () => {
+    const groups = withLaunchers();
+    const directories = [
+      { id: 1, group: 'client-a', terminalId: 'cmd' },
+      { id: 2, group: 'backend', terminalId: 'cmd' },
+      { id: 3, group: 'work' },
+      { id: 4, group: 'personal', terminalId: 'cmd' },
+    ];
+
+    const overrides = getTerminalOverrideDirectories(directories, groups, 'work');
+    expect(overrides.map(d => d.id)).toEqual([1, 2]);
+    expect(resolveDirectoryTerminalId(directories[0], groups, 'x')).toBe('cmd');
+
+    overrides.forEach(dir => delete dir.terminalId);
+    expect(resolveDirectoryTerminalId(directories[0], groups, 'x')).toBe('wt');
+    expect(resolveDirectoryTerminalId(directories[1], groups, 'x')).toBe('vscode');
+    expect(resolveDirectoryTerminalId(directories[3], groups, 'x')).toBe('cmd');
+  });
+});
+
+describe('repairGroupParents', () => {
+  it('有效的父子關係不應修改', () => {
+    const groups = createGroups();
+    expect(repairGroupParents(groups)).toBe(0);
+    expect(groups[3].parentId).toBe('client-a');
+  });
+
+  it('應該將不存在、指向自己或形成循環的父群組改為頂層', () => {
+    const groups = [
+      { id: 'a', parentId: 'missing' },
+      { id: 'b', parentId: 'b' },
+      { id: 'c', parentId: 'd' },
+      { id: 'd', parentId: 'c' },
+    ];
+    expect(repairGroupParents(groups)).toBe(3);
+    expect(groups.map(g => g.parentId)).toEqual([null, null, null, 'c']);
+  });
+
+  it('預設群組應固定為頂層', () => {
+    const groups = [
+      { id: 'default', isDefault: true, parentId: 'work' },
+      { id: 'work', parentId: null },
+    ];
+    expect(repairGroupParents(groups)).toBe(1);
+    expect(groups[0].parentId).toBeNull();
+  });
+});
+
+describe('validateGroupParents', () => {
+  it('應該接受有效的父子關係', () => {
+    expect(validateGroupParents(createGroups(), 'groups[].parentId').valid).toBe(true);
+  });
+
+  it('應該拒絕無效的父群組', () => {
+    const withParent = parentId => [
+      { id: 'a', parentId: null },
+      { id: 'b', parentId },
+    ];
+    expect(validateGroupParents(withParent(1), 'parentId').valid).toBe(false);
+    expect(validateGroupParents(withParent('missing'), 'parentId').error).toContain('missing');
+    expect(validateGroupParents(withParent('b'), 'parentId').error).toContain('cycle');
+  });
+});
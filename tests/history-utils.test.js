@@ -0,0 +1,305 @@
+/**
+ * 啟動歷史測試
+ * 測試啟動記錄的建立、解析、保留期限、最近使用彙整與 history.jsonl 讀寫
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+
+const {
+  MAX_HISTORY_ENTRIES,
+  MAX_HISTORY_AGE,
+  FRECENCY_HALF_LIFE,
+  createHistoryEntry,
+  parseHistory,
+  serializeHistory,
+  applyRetention,
+  buildLegacyEntries,
+  normalizeRecentSort,
+  summarizeRecent,
+} = require('../src/main/utils/history-utils.js');
+const {
+  saveConfig,
+  loadConfig,
+  invalidateConfigCache,
+  configPath,
+} = require('../src/main/config.js');
+const {
+  historyPath,
+  loadHistory,
+  recordLaunch,
+  getRecentLaunches,
+  removeDirectoryHistory,
+  pruneDeletedDirectories,
+  clearHistory,
+  invalidateHistoryCache,
+} = require('../src/main/history.js');
+
+const NOW = 1700000000000;
+
+/**
+ * 建立測試用啟動記錄
+ * @param {number} ts - 時間戳
+ * @param {number} directoryId - 目錄 ID
+ * @param {Object} [extra] - 其他欄位
+ */
+function entry(ts, directoryId, extra = {}) {
+  return { ts, directoryId, terminalId: 'term-1', source: 'ui', success: true, ...extra };
+}
+
+describe('createHistoryEntry', () => {
+  it('應該記錄時間、目錄、啟動器、來源與結果', () => {
+    const result = createHistoryEntry(
+      {
+        dir: { id: 3, path: '/a' },
+        terminalId: 'term-1',
+        source: 'tray',
+        result: { success: true },
+      },
+      NOW
+    );
+    expect(result).toEqual({
+      ts: NOW,
+      directoryId: 3,
+      terminalId: 'term-1',
+      source: 'tray',
+      success: true,
+    });
+  });
+
+  it('應該在失敗時記錄錯誤類型', () => {
+    const result = createHistoryEntry({
+      dir: { id: 3, path: '/a' },
+      terminalId: 'term-1',
+      source: 'mcp',
+      result: { success: false, errorType: 'PATH_NOT_FOUND' },
+    });
+    expect(result).toMatchObject({ success: false, errorType: 'PATH_NOT_FOUND' });
+  });
+
+  it('應該以路徑記錄未登錄的目錄', () => {
+    const result = createHistoryEntry({
+      dir: { path: '/tmp/x' },
+      terminalId: 'term-1',
+      source: 'mcp',
+      result: { success: true },
+    });
+    expect(result).toMatchObject({ directoryId: null, path: '/tmp/x' });
+  });
+
+  it('應該將未知來源視為 ui 並記錄工作區 ID', () => {
+    const result = createHistoryEntry({
+      dir: { id: 1 },
+      terminalId: 'term-1',
+      source: 'unknown',
+      result: { success: true },
+      workspaceId: 'workspace-1',
+    });
+    expect(result.source).toBe('ui');
+    expect(result.workspaceId).toBe('workspace-1');
+  });
+});
+
+describe('parseHistory / serializeHistory', () => {
+  it('應該來回轉換並依時間排序', () => {
+    const entries = [entry(NOW, 1), entry(NOW - 10, 2)];
+    const parsed = parseHistory(serializeHistory(entries));
+    expect(parsed.map(e => e.directoryId)).toEqual([2, 1]);
+  });
+
+  it('應該略過損壞或無效的行', () => {
+    const text =
+      JSON.stringify(entry(NOW, 1)) +
+      '\n{"ts":\n' +
+      JSON.stringify({ ts: 'x', directoryId: 1, terminalId: 'a' }) +
+      '\n\r\n' +
+      JSON.stringify({ ts: NOW, directoryId: null, terminalId: 'a' }) +
+      '\n';
+    expect(parseHistory(text)).toEqual([entry(NOW, 1)]);
+  });
+});
+
+describe('applyRetention', () => {
+  it('應該移除超過保留天數的記錄', () => {
+    const entries = [entry(NOW - MAX_HISTORY_AGE - 1, 1), entry(NOW - 1000, 2)];
+    expect(applyRetention(entries, NOW).map(e => e.directoryId)).toEqual([2]);
+  });
+
+  it('應該只保留最新的記錄筆數上限', () => {
+    const entries = Array.from({ length: MAX_HISTORY_ENTRIES + 5 }, (_, i) => entry(NOW + i, i));
+    const retained = applyRetention(entries, NOW);
+    expect(retained).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(retained[0].directoryId).toBe(5);
+  });
+});
+
+describe('buildLegacyEntries', () => {
+  it('應該將 lastUsed 轉為 migrated 記錄', () => {
+    const result = buildLegacyEntries([
+      { id: 1, terminalId: 'a', lastUsed: NOW },
+      { id: 2, terminalId: 'b', lastUsed: null },
+      { id: 3, terminalId: 'c', lastUsed: NOW - 10 },
+    ]);
+    expect(result).toEqual([
+      { ts: NOW - 10, directoryId: 3, terminalId: 'c', source: 'migrated', success: true },
+      { ts: NOW, directoryId: 1, terminalId: 'a', source: 'migrated', success: true },
+    ]);
+  });
+});
+
+describe('summarizeRecent', () => {
+  const entries = [
+    entry(NOW - 30, 1),
+    entry(NOW - 20, 2, { terminalId: 'term-2' }),
+    entry(NOW - 10, 1, { source: 'tray', success: false, errorType: 'SPAWN_FAILED' }),
+    entry(NOW - 5, null, { path: '/tmp' }),
+  ];
+
+  it('應該依最後啟動時間排序並彙整次數', () => {
+    expect(summarizeRecent(entries, { sort: 'recent', now: NOW })).toEqual([
+      {
+        directoryId: 1,
+        lastUsed: NOW - 10,
+        terminalId: 'term-1',
+        source: 'tray',
+        success: false,
+        errorType: 'SPAWN_FAILED',
+        count: 2,
+        score: expect.any(Number),
+      },
+      {
+        directoryId: 2,
+        lastUsed: NOW - 20,
+        terminalId: 'term-2',
+        source: 'ui',
+        success: true,
+        count: 1,
+        score: expect.any(Number),
+      },
+    ]);
+  });
+
+  it('frecency 應讓常用的目錄排在只開過一次的目錄之前', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const frequent = Array.from({ length: 10 }, (_, i) => entry(NOW - 3 * day + i, 1));
+    const history = [...frequent, entry(NOW - 1000, 2)];
+
+    expect(summarizeRecent(history, { sort: 'frecency', now: NOW })[0].directoryId).toBe(1);
+    expect(summarizeRecent(history, { sort: 'recent', now: NOW })[0].directoryId).toBe(2);
+  });
+
+  it('frecency 分數應隨時間衰減且不計入失敗的啟動', () => {
+    const [summary] = summarizeRecent(
+      [
+        entry(NOW - FRECENCY_HALF_LIFE, 1),
+        entry(NOW, 1),
+        entry(NOW, 1, { success: false, errorType: 'SPAWN_FAILED' }),
+      ],
+      { now: NOW }
+    );
+    expect(summary.count).toBe(3);
+    expect(summary.score).toBeCloseTo(1.5);
+  });
+
+  it('未知的排序方式應使用 frecency', () => {
+    expect(normalizeRecentSort('recent')).toBe('recent');
+    expect(normalizeRecentSort('bogus')).toBe('frecency');
+    expect(normalizeRecentSort(undefined)).toBe('frecency');
+  });
+
+  it('應該只包含指定的目錄並限制筆數', () => {
+    expect(summarizeRecent(entries, { directoryIds: new Set([2]) })).toHaveLength(1);
+    expect(summarizeRecent(entries, { sort: 'recent', limit: 1 })[0].directoryId).toBe(1);
+  });
+});
+
+describe('history.js', () => {
+  /**
+   * 清理測試產生的配置與歷史檔
+   */
+  function cleanup() {
+    for (const file of [configPath, historyPath]) {
+      try {
+        fs.unlinkSync(file);
+      } catch {}
+    }
+    invalidateConfigCache();
+    invalidateHistoryCache();
+  }
+
+  /**
+   * 寫入含指定目錄的測試配置
+   * @param {Array} directories - 目錄列表
+   */
+  function setupDirectories(directories) {
+    const config = loadConfig();
+    config.directories = directories;
+    saveConfig(config);
+  }
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('應該在首次載入時轉移舊版 lastUsed 並自配置移除', () => {
+    const now = Date.now();
+    setupDirectories([
+      { id: 1, name: 'A', path: '/a', terminalId: 'term-1', lastUsed: now - 1000 },
+      { id: 2, name: 'B', path: '/b', terminalId: 'term-1', lastUsed: null },
+    ]);
+
+    expect(loadHistory()).toHaveLength(1);
+    expect(fs.existsSync(historyPath)).toBe(true);
+
+    invalidateConfigCache();
+    expect(loadConfig().directories.some(dir => 'lastUsed' in dir)).toBe(false);
+    expect(getRecentLaunches()[0]).toMatchObject({ directoryId: 1, source: 'migrated' });
+  });
+
+  it('應該以附加方式記錄啟動', () => {
+    setupDirectories([{ id: 1, name: 'A', path: '/a', terminalId: 'term-1' }]);
+
+    recordLaunch({ dir: { id: 1 }, terminalId: 'term-1', source: 'ui', result: { success: true } });
+    recordLaunch({
+      dir: { id: 1 },
+      terminalId: 'term-2',
+      source: 'hotkey',
+      result: { success: true },
+    });
+
+    invalidateHistoryCache();
+    expect(parseHistory(fs.readFileSync(historyPath, 'utf-8'))).toHaveLength(2);
+    expect(getRecentLaunches()[0]).toMatchObject({
+      terminalId: 'term-2',
+      source: 'hotkey',
+      count: 2,
+    });
+  });
+
+  it('應該移除指定目錄與已刪除目錄的記錄', () => {
+    setupDirectories([
+      { id: 1, name: 'A', path: '/a', terminalId: 'term-1' },
+      { id: 2, name: 'B', path: '/b', terminalId: 'term-1' },
+    ]);
+    for (const id of [1, 2, 3]) {
+      recordLaunch({ dir: { id }, terminalId: 'term-1', source: 'ui', result: { success: true } });
+    }
+
+    removeDirectoryHistory(1);
+    pruneDeletedDirectories([{ id: 1 }, { id: 2 }]);
+
+    invalidateHistoryCache();
+    expect(loadHistory().map(e => e.directoryId)).toEqual([2]);
+  });
+
+  it('應該清除所有記錄', () => {
+    setupDirectories([{ id: 1, name: 'A', path: '/a', terminalId: 'term-1' }]);
+    recordLaunch({ dir: { id: 1 }, terminalId: 'term-1', source: 'ui', result: { success: true } });
+
+    clearHistory();
+
+    invalidateHistoryCache();
+    expect(loadHistory()).toEqual([]);
+    expect(getRecentLaunches()).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * hotkey-utils.js 單元測試
+ * 測試快捷鍵正規化、目錄快捷鍵驗證與衝突偵測
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  normalizeAccelerator,
+  validateHotkey,
+  findHotkeyConflicts,
+} = require('../src/main/utils/hotkey-utils.js');
+
+describe('normalizeAccelerator', () => {
+  it('應該統一修飾鍵順序、別名與大小寫', () => {
+    expect(normalizeAccelerator('shift+control+a', 'win32')).toBe('Ctrl+Shift+A');
+    expect(normalizeAccelerator('Option+Cmd+1', 'darwin')).toBe('Command+Alt+1');
+  });
+
+  it('應該依平台展開 CmdOrCtrl', () => {
+    expect(normalizeAccelerator('CmdOrCtrl+K', 'win32')).toBe('Ctrl+K');
+    expect(normalizeAccelerator('CmdOrCtrl+K', 'darwin')).toBe('Command+K');
+    expect(normalizeAccelerator('Super+K', 'darwin')).toBe('Command+K');
+  });
+
+  it('沒有修飾鍵或主鍵不只一個時應回傳空字串', () => {
+    expect(normalizeAccelerator('A', 'win32')).toBe('');
+    expect(normalizeAccelerator('Ctrl+A+B', 'win32')).toBe('');
+    expect(normalizeAccelerator('Ctrl+Shift', 'win32')).toBe('');
+    expect(normalizeAccelerator(undefined, 'win32')).toBe('');
+  });
+});
+
+describe('validateHotkey', () => {
+  const hotkey = { id: 'hotkey-1', accelerator: 'Ctrl+Alt+1', directoryId: 1 };
+
+  it('應該接受有效的目錄快捷鍵', () => {
+    expect(validateHotkey(hotkey).valid).toBe(true);
+    expect(validateHotkey({ ...hotkey, terminalId: 'vscode' }).valid).toBe(true);
+  });
+
+  it('應該拒絕無效的欄位', () => {
+    expect(validateHotkey(null).valid).toBe(false);
+    expect(validateHotkey({ ...hotkey, id: '' }).valid).toBe(false);
+    expect(validateHotkey({ ...hotkey, accelerator: 'F5' }).error).toMatch(/accelerator/);
+    expect(validateHotkey({ ...hotkey, directoryId: 1.5 }).error).toMatch(/directoryId/);
+    expect(validateHotkey({ ...hotkey, terminalId: 1 }).error).toMatch(/terminalId/);
+  });
+});
+
+describe('findHotkeyConflicts', () => {
+  it('應該偵測與保留快捷鍵的衝突', () => {
+    const conflicts = findHotkeyConflicts(
+      [{ id: 'a', accelerator: 'space+alt' }],
+      { globalShortcut: 'Alt+Space' },
+      'win32'
+    );
+    expect(conflicts.get('a')).toBe('globalShortcut');
+  });
+
+  it('目錄快捷鍵之間應以排在前面者為準', () => {
+    const conflicts = findHotkeyConflicts(
+      [
+        { id: 'a', accelerator: 'Ctrl+Alt+1' },
+        { id: 'b', accelerator: 'Alt+Ctrl+1' },
+        { id: 'c', accelerator: 'Ctrl+Alt+2' },
+      ],
+      {},
+      'win32'
+    );
+    expect([...conflicts]).toEqual([['b', 'a']]);
+  });
+
+  it('應該依平台判斷 CmdOrCtrl 是否衝突', () => {
+    const hotkeys = [{ id: 'a', accelerator: 'Ctrl+K' }];
+    const reserved = { paletteShortcut: 'CmdOrCtrl+K' };
+    expect(findHotkeyConflicts(hotkeys, reserved, 'win32').has('a')).toBe(true);
+    expect(findHotkeyConflicts(hotkeys, reserved, 'darwin').has('a')).toBe(false);
+  });
+
+  it('應該忽略停用（空字串）的保留快捷鍵', () => {
+    expect(
+      findHotkeyConflicts([{ id: 'a', accelerator: 'Ctrl+K' }], { paletteShortcut: '' }).size
+    ).toBe(0);
+  });
+});
@@ -12,13 +12,18 @@ const {
   validateObject,
   validatePositiveInteger,
   validateSafeUrl,
+  validateEnvMap,
   validateDirectory,
+  validateWorkspace,
   validateConfig,
   validateExportOptions,
   validateImportOptions,
   validateLocaleCode,
   validateRendererError,
   validatePathsArray,
+  validateStringArray,
+  validateImportProjects,
+  validateDeepLink,
 } = require('../src/main/utils/ipc-validators.js');
 
 describe('validateString', () => {
@@ -110,6 +115,37 @@ describe('validateSafeUrl', () => {
   });
 });
 
+describe('validateEnvMap', () => {
+  it('應該接受有效的環境變數對照表', () => {
+    expect(validateEnvMap({}, 'env').valid).toBe(true);
+    expect(validateEnvMap({ NODE_ENV: 'dev', _PRIVATE: '', AWS_PROFILE1: 'x' }, 'env').valid).toBe(
+      true
+    );
+  });
+
+  it('應該拒絕非物件', () => {
+    expect(validateEnvMap(null, 'env').valid).toBe(false);
+    expect(validateEnvMap(['A=1'], 'env').valid).toBe(false);
+  });
+
+  it('應該拒絕無效的變數名稱', () => {
+    expect(validateEnvMap({ '1ABC': 'x' }, 'env').valid).toBe(false);
+    expect(validateEnvMap({ 'MY-VAR': 'x' }, 'env').valid).toBe(false);
+    expect(validateEnvMap({ 'A B': 'x' }, 'env').valid).toBe(false);
+  });
+
+  it('應該拒絕非字串或含 NUL 的值', () => {
+    expect(validateEnvMap({ PORT: 3000 }, 'env').valid).toBe(false);
+    expect(validateEnvMap({ A: 'x\0y' }, 'env').valid).toBe(false);
+  });
+
+  it('應該拒絕超過數量上限', () => {
+    const env = {};
+    for (let i = 0; i < 101; i++) env['VAR_' + i] = 'x';
+    expect(validateEnvMap(env, 'env').valid).toBe(false);
+  });
+});
+
 describe('validateDirectory', () => {
   it('應該接受有效目錄物件', () => {
     expect(validateDirectory({ id: 1, path: '/home/user' }).valid).toBe(true);
@@ -131,6 +167,65 @@ describe('validateDirectory', () => {
     expect(validateDirectory({ id: 1, path: '' }).valid).toBe(false);
     expect(validateDirectory({ id: 1, path: '   ' }).valid).toBe(false);
   });
+
+  it('應該驗證選填的 env 欄位', () => {
+    expect(validateDirectory({ id: 1, path: '/home', env: { A: '1' } }).valid).toBe(true);
+    expect(validateDirectory({ id: 1, path: '/home', env: { 'A=': '1' } }).valid).toBe(false);
+  });
+
+  it('應該驗證選填的 remote 欄位與遠端路徑', () => {
+    expect(validateDirectory({ id: 1, path: '/srv', remote: { host: 'devbox' } }).valid).toBe(true);
+    expect(validateDirectory({ id: 1, path: '/srv', remote: { host: '-oX' } }).valid).toBe(false);
+    expect(validateDirectory({ id: 1, path: 'C:\\srv', remote: { host: 'devbox' } }).valid).toBe(
+      false
+    );
+  });
+
+  it('應該驗證選填的 layout 欄位', () => {
+    const layout = { windows: [{ name: 'dev', panes: [{ command: 'npm run dev' }, {}] }] };
+    expect(validateDirectory({ id: 1, path: '/home', layout }).valid).toBe(true);
+    expect(validateDirectory({ id: 1, path: '/home', layout: { windows: [] } }).valid).toBe(false);
+  });
+
+  it('應該驗證選填的 envFile 欄位', () => {
+    expect(validateDirectory({ id: 1, path: '/home', envFile: '.env' }).valid).toBe(true);
+    expect(validateDirectory({ id: 1, path: '/home', envFile: '' }).valid).toBe(false);
+    expect(validateDirectory({ id: 1, path: '/home', envFile: 42 }).valid).toBe(false);
+  });
+
+  it('應該驗證選填的 tags 欄位', () => {
+    expect(validateDirectory({ id: 1, path: '/home', tags: ['backend', 'go'] }).valid).toBe(true);
+    expect(validateDirectory({ id: 1, path: '/home', tags: 'backend' }).valid).toBe(false);
+    expect(validateDirectory({ id: 1, path: '/home', tags: ['go', 'Go'] }).valid).toBe(false);
+  });
+});
+
+describe('validateWorkspace', () => {
+  const workspace = {
+    id: 'workspace-1',
+    name: 'Morning',
+    directoryId: 1,
+    steps: [{ terminalId: 'vscode' }, { terminalId: 'wsl-ubuntu', delay: 1500 }],
+  };
+
+  it('應該接受有效工作區', () => {
+    expect(validateWorkspace(workspace).valid).toBe(true);
+  });
+
+  it('應該拒絕缺少目錄或步驟', () => {
+    expect(validateWorkspace({ ...workspace, directoryId: undefined }).valid).toBe(false);
+    expect(validateWorkspace({ ...workspace, steps: 'vscode' }).valid).toBe(false);
+  });
+
+  it('應該拒絕無效的步驟', () => {
+    expect(validateWorkspace({ ...workspace, steps: [{ terminalId: '' }] }).valid).toBe(false);
+    expect(
+      validateWorkspace({ ...workspace, steps: [{ terminalId: 'vscode', delay: -1 }] }).valid
+    ).toBe(false);
+    expect(
+      validateWorkspace({ ...workspace, steps: [{ terminalId: 'vscode', delay: 999999 }] }).valid
+    ).toBe(false);
+  });
 });
 
 describe('validateConfig', () => {
@@ -160,6 +255,137 @@ describe('validateConfig', () => {
     expect(validateConfig({ directories: [], groups: [] }).valid).toBe(false);
   });
 
+  it('應該驗證目錄、群組、啟動器的 env', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    expect(validateConfig({ ...base, groups: [{ id: 'g', env: { A: '1' } }] }).valid).toBe(true);
+    expect(validateConfig({ ...base, terminals: [{ id: 't', env: { A: 1 } }] }).valid).toBe(false);
+    expect(validateConfig({ ...base, directories: [{ id: 1, env: 'A=1' }] }).valid).toBe(false);
+  });
+
+  it('應該驗證應用內快捷鍵對應表', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    const withKeymap = keymap => validateConfig({ ...base, settings: { keymap } }).valid;
+    expect(withKeymap({ 'tab.recent': 'Alt+R', 'directory.add': '' })).toBe(true);
+    expect(withKeymap([])).toBe(false);
+    expect(withKeymap({ 'tab.recent': 1 })).toBe(false);
+  });
+
+  it('應該驗證目錄標籤', () => {
+    const base = { groups: [], terminals: [] };
+    expect(validateConfig({ ...base, directories: [{ id: 1, tags: ['go'] }] }).valid).toBe(true);
+    expect(validateConfig({ ...base, directories: [{ id: 1, tags: [1] }] }).valid).toBe(false);
+  });
+
+  it('應該驗證群組的預設啟動器', () => {
+    const base = { directories: [], terminals: [] };
+    const withGroups = groups => validateConfig({ ...base, groups }).valid;
+    expect(withGroups([{ id: 'a', terminalId: 'wt' }])).toBe(true);
+    expect(withGroups([{ id: 'a', terminalId: '' }])).toBe(false);
+    expect(withGroups([{ id: 'a', terminalId: 1 }])).toBe(false);
+  });
+
+  it('應該驗證群組的父群組', () => {
+    const base = { directories: [], terminals: [] };
+    const withGroups = groups => validateConfig({ ...base, groups }).valid;
+    const def = { id: 'default', isDefault: true, parentId: null };
+    expect(withGroups([def, { id: 'a', parentId: null }, { id: 'b', parentId: 'a' }])).toBe(true);
+    expect(withGroups([def, { id: 'a' }])).toBe(true);
+    expect(withGroups([def, { id: 'a', parentId: 1 }])).toBe(false);
+    expect(withGroups([def, { id: 'a', parentId: 'missing' }])).toBe(false);
+    expect(withGroups([def, { id: 'a', parentId: 'b' }, { id: 'b', parentId: 'a' }])).toBe(false);
+    expect(
+      withGroups([
+        { ...def, parentId: 'a' },
+        { id: 'a', parentId: null },
+      ])
+    ).toBe(false);
+  });
+
+  it('應該驗證智慧群組', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    const smartGroup = {
+      id: 'smart-1',
+      name: 'Rust',
+      match: 'all',
+      rules: [{ type: 'tag', value: 'rust' }],
+    };
+    expect(validateConfig({ ...base, smartGroups: [smartGroup] }).valid).toBe(true);
+    expect(validateConfig({ ...base, smartGroups: {} }).valid).toBe(false);
+    expect(validateConfig({ ...base, smartGroups: [{ ...smartGroup, rules: [] }] }).valid).toBe(
+      false
+    );
+  });
+
+  it('應該驗證目錄快捷鍵', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    const hotkey = { id: 'hotkey-1', accelerator: 'Ctrl+Alt+1', directoryId: 1 };
+    expect(validateConfig({ ...base, hotkeys: [hotkey] }).valid).toBe(true);
+    expect(validateConfig({ ...base, hotkeys: {} }).valid).toBe(false);
+    expect(validateConfig({ ...base, hotkeys: [{ ...hotkey, accelerator: 'A' }] }).valid).toBe(
+      false
+    );
+    expect(validateConfig({ ...base, hotkeys: [{ ...hotkey, directoryId: '1' }] }).valid).toBe(
+      false
+    );
+  });
+
+  it('應該驗證最愛並接受舊版的目錄 ID', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    const favorite = { id: 'favorite-1', directoryId: 1, terminalId: 'wsl', label: 'Repo' };
+    expect(validateConfig({ ...base, favorites: [favorite, 2] }).valid).toBe(true);
+    expect(validateConfig({ ...base, favorites: {} }).valid).toBe(false);
+    expect(validateConfig({ ...base, favorites: ['1'] }).valid).toBe(false);
+    expect(validateConfig({ ...base, favorites: [{ ...favorite, id: '' }] }).valid).toBe(false);
+    expect(validateConfig({ ...base, favorites: [{ ...favorite, label: 1 }] }).valid).toBe(false);
+  });
+
+  it('應該驗證啟動器的 multiplexer 與目錄的 layout', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    expect(validateConfig({ ...base, terminals: [{ id: 't', multiplexer: 'tmux' }] }).valid).toBe(
+      true
+    );
+    expect(validateConfig({ ...base, terminals: [{ id: 't', multiplexer: 'screen' }] }).valid).toBe(
+      false
+    );
+    expect(
+      validateConfig({ ...base, directories: [{ id: 1, layout: { windows: 'dev' } }] }).valid
+    ).toBe(false);
+  });
+
+  it('應該驗證啟動器的 container，且不可與 multiplexer 並用', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    expect(validateConfig({ ...base, terminals: [{ id: 't', container: 'docker' }] }).valid).toBe(
+      true
+    );
+    expect(validateConfig({ ...base, terminals: [{ id: 't', container: 'podman' }] }).valid).toBe(
+      false
+    );
+    expect(
+      validateConfig({
+        ...base,
+        terminals: [{ id: 't', container: 'docker', multiplexer: 'tmux' }],
+      }).valid
+    ).toBe(false);
+  });
+
+  it('應該驗證選填的 workspaces', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    expect(validateConfig({ ...base, workspaces: [] }).valid).toBe(true);
+    expect(validateConfig({ ...base, workspaces: {} }).valid).toBe(false);
+    expect(validateConfig({ ...base, workspaces: [{ id: 'w' }] }).valid).toBe(false);
+  });
+
+  it('應該驗證選填的 scanRoots', () => {
+    const base = { directories: [], groups: [], terminals: [] };
+    expect(
+      validateConfig({ ...base, scanRoots: [{ id: 'root-1', path: '/code', depth: 2 }] }).valid
+    ).toBe(true);
+    expect(validateConfig({ ...base, scanRoots: {} }).valid).toBe(false);
+    expect(validateConfig({ ...base, scanRoots: [{ id: 'root-1' }] }).valid).toBe(false);
+    const tooMany = Array.from({ length: 21 }, (_, i) => ({ id: `r${i}`, path: `/code/${i}` }));
+    expect(validateConfig({ ...base, scanRoots: tooMany }).valid).toBe(false);
+  });
+
   it('應該拒絕非陣列欄位', () => {
     expect(validateConfig({ directories: {}, groups: [], terminals: [] }).valid).toBe(false);
     expect(validateConfig({ directories: [], groups: 'not-array', terminals: [] }).valid).toBe(
@@ -293,3 +519,58 @@ describe('validatePathsArray', () => {
     expect(validatePathsArray(paths).valid).toBe(true);
   });
 });
+
+describe('validateStringArray', () => {
+  it('應該只接受字串陣列', () => {
+    expect(validateStringArray(['a', 'b'], 'ids').valid).toBe(true);
+    expect(validateStringArray(['a', 1], 'ids').valid).toBe(false);
+    expect(validateStringArray('a', 'ids').valid).toBe(false);
+  });
+});
+
+describe('validateImportProjects', () => {
+  it('應該接受含路徑的專案列表', () => {
+    expect(
+      validateImportProjects([{ path: '/code/api', name: 'api', group: 'default' }]).valid
+    ).toBe(true);
+  });
+
+  it('應該拒絕空陣列、缺少路徑或欄位型別錯誤', () => {
+    expect(validateImportProjects([]).valid).toBe(false);
+    expect(validateImportProjects([{ name: 'api' }]).valid).toBe(false);
+    expect(validateImportProjects([{ path: '/code/api', terminalId: 1 }]).valid).toBe(false);
+  });
+});
+
+describe('validateDeepLink', () => {
+  it('應該接受有效的 open 與 add 連結', () => {
+    expect(validateDeepLink({ action: 'open', params: { project: 'api' } }).valid).toBe(true);
+    expect(
+      validateDeepLink({ action: 'add', params: { path: 'C:\\Projects\\api', group: 'work' } })
+        .valid
+    ).toBe(true);
+  });
+
+  it('應該拒絕缺少必要參數或參數為空白', () => {
+    expect(validateDeepLink({ action: 'open', params: {} }).valid).toBe(false);
+    expect(
+      validateDeepLink({ action: 'open', params: { project: 'api', launcher: ' ' } }).valid
+    ).toBe(false);
+  });
+
+  it('應該拒絕未知動作與過長的參數', () => {
+    expect(validateDeepLink({ action: 'remove', params: {} }).valid).toBe(false);
+    expect(validateDeepLink({ action: 'open', params: { project: 'a'.repeat(1001) } }).valid).toBe(
+      false
+    );
+  });
+
+  it('add 應拒絕相對路徑與不安全路徑', () => {
+    expect(validateDeepLink({ action: 'add', params: { path: 'api' } }).error).toBe(
+      'path must be an absolute path'
+    );
+    expect(validateDeepLink({ action: 'add', params: { path: '/srv/api; rm -rf /' } }).valid).toBe(
+      false
+    );
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * keymap.js 模組測試
+ * 測試應用內快捷鍵對應表的合併、查詢與衝突偵測
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_KEYMAP,
+  isBindableShortcut,
+  getKeymap,
+  findKeymapAction,
+  findShortcutConflict,
+  toKeymapOverrides,
+} from '../src/renderer/scripts/utils/keymap.js';
+
+describe('isBindableShortcut', () => {
+  it('應該接受包含修飾鍵的快捷鍵與單獨的功能鍵', () => {
+    expect(isBindableShortcut('Ctrl+Shift+P')).toBe(true);
+    expect(isBindableShortcut('Alt+1')).toBe(true);
+    expect(isBindableShortcut('F2')).toBe(true);
+    expect(isBindableShortcut('F24')).toBe(true);
+  });
+
+  it('應該拒絕沒有修飾鍵、只有修飾鍵或空白的快捷鍵', () => {
+    expect(isBindableShortcut('A')).toBe(false);
+    expect(isBindableShortcut('Escape')).toBe(false);
+    expect(isBindableShortcut('F25')).toBe(false);
+    expect(isBindableShortcut('Ctrl+Shift')).toBe(false);
+    expect(isBindableShortcut('')).toBe(false);
+    expect(isBindableShortcut(undefined)).toBe(false);
+  });
+});
+
+describe('getKeymap', () => {
+  it('沒有使用者設定時應回傳預設對應表', () => {
+    expect(getKeymap(undefined)).toEqual(DEFAULT_KEYMAP);
+  });
+
+  it('應該套用使用者設定並保留停用的動作', () => {
+    const keymap = getKeymap({ 'directory.add': 'Ctrl+Shift+N', 'search.focus': '' });
+    expect(keymap['directory.add']).toBe('Ctrl+Shift+N');
+    expect(keymap['search.focus']).toBe('');
+    expect(keymap['tab.recent']).toBe('Ctrl+1');
+  });
+
+  it('應該忽略未知動作與無法綁定的按鍵', () => {
+    const keymap = getKeymap({ unknown: 'Ctrl+U', 'directory.add': 'N' });
+    expect(keymap).not.toHaveProperty('unknown');
+    expect(keymap['directory.add']).toBe(DEFAULT_KEYMAP['directory.add']);
+  });
+});
+
+describe('findKeymapAction', () => {
+  it('應該依快捷鍵找出動作（不分大小寫）', () => {
+    expect(findKeymapAction(DEFAULT_KEYMAP, 'Ctrl+F')).toBe('search.focus');
+    expect(findKeymapAction(DEFAULT_KEYMAP, 'ctrl+shift+p')).toBe('commandPalette.open');
+    expect(findKeymapAction(DEFAULT_KEYMAP, 'Ctrl+Q')).toBeNull();
+  });
+
+  it('停用的動作不應被觸發', () => {
+    expect(findKeymapAction({ 'search.focus': '' }, '')).toBeNull();
+  });
+});
+
+describe('findShortcutConflict', () => {
+  const owners = { ...DEFAULT_KEYMAP, globalShortcut: 'Alt+Space' };
+
+  it('應該找出佔用快捷鍵的動作或全域快捷鍵', () => {
+    expect(findShortcutConflict('Ctrl+N', owners, 'search.focus')).toBe('directory.add');
+    expect(findShortcutConflict('alt+space', owners, 'search.focus')).toBe('globalShortcut');
+  });
+
+  it('重新綁定為自己原本的按鍵不算衝突', () => {
+    expect(findShortcutConflict('Ctrl+N', owners, 'directory.add')).toBeNull();
+    expect(findShortcutConflict('Ctrl+Q', owners, 'directory.add')).toBeNull();
+  });
+});
+
+describe('toKeymapOverrides', () => {
+  it('應該只保留與預設不同的按鍵', () => {
+    const keymap = { ...DEFAULT_KEYMAP, 'directory.add': 'Ctrl+Shift+N', 'selection.edit': '' };
+    expect(toKeymapOverrides(keymap)).toEqual({
+      'directory.add': 'Ctrl+Shift+N',
+      'selection.edit': '',
+    });
+    expect(toKeymapOverrides(DEFAULT_KEYMAP)).toEqual({});
+  });
+});
@@ -14,6 +14,7 @@ const tmpDir = os.tmpdir();
 const homeDir = os.homedir();
 
 const { invalidateConfigCache, configPath, loadConfig } = require('../src/main/config.js');
+const { historyPath, invalidateHistoryCache } = require('../src/main/history.js');
 
 // ===== Test helpers =====
 
@@ -23,6 +24,22 @@ function writeTestConfig(config) {
   invalidateConfigCache();
 }
 
+/** 寫入測試啟動歷史並清除快取 */
+function writeTestHistory(entries) {
+  fs.writeFileSync(historyPath, entries.map(e => JSON.stringify(e) + '\n').join(''), 'utf-8');
+  invalidateHistoryCache();
+}
+
+/** 建立標準測試啟動歷史（Project B 較近使用，Project A 啟動兩次） */
+function createTestHistory() {
+  const now = Date.now();
+  return [
+    { ts: now - 3000, directoryId: 1, terminalId: 'term-1', source: 'ui', success: true },
+    { ts: now - 2000, directoryId: 1, terminalId: 'term-1', source: 'tray', success: true },
+    { ts: now - 1000, directoryId: 2, terminalId: 'term-1', source: 'mcp', success: true },
+  ];
+}
+
 /** 建立標準測試配置 */
 function createTestConfig() {
   return {
@@ -34,7 +51,6 @@ function createTestConfig() {
         path: tmpDir,
         terminalId: 'term-1',
         group: 'default',
-        lastUsed: 1000000,
         order: 0,
       },
       {
@@ -44,7 +60,6 @@ function createTestConfig() {
         path: homeDir,
         terminalId: 'term-1',
         group: 'work',
-        lastUsed: 2000000,
         order: 1,
       },
     ],
@@ -65,6 +80,15 @@ function createTestConfig() {
       { id: 'work', name: 'Work', icon: '💼', isDefault: false, order: 1 },
     ],
     favorites: [1],
+    workspaces: [
+      {
+        id: 'ws-1',
+        name: 'Morning',
+        icon: '🌅',
+        directoryId: 1,
+        steps: [{ terminalId: 'term-1' }, { terminalId: 'missing', delay: 500 }],
+      },
+    ],
     settings: {
       theme: 'dark',
       recentLimit: 10,
@@ -91,8 +115,18 @@ function createMockServerAndZ() {
     describe: () => schemaMock,
     min: () => schemaMock,
     int: () => schemaMock,
+    nullable: () => schemaMock,
+  };
+  const z = {
+    string: () => schemaMock,
+    number: () => schemaMock,
+    boolean: () => schemaMock,
+    record: () => schemaMock,
+    object: () => schemaMock,
+    array: () => schemaMock,
+    enum: () => schemaMock,
+    union: () => schemaMock,
   };
-  const z = { string: () => schemaMock, number: () => schemaMock };
   return { server, z, handlers };
 }
 
@@ -106,13 +140,18 @@ function parseResult(result) {
 describe('MCP Tools', () => {
   beforeEach(() => {
     writeTestConfig(createTestConfig());
+    writeTestHistory(createTestHistory());
   });
 
   afterEach(() => {
     invalidateConfigCache();
+    invalidateHistoryCache();
     try {
       fs.unlinkSync(configPath);
     } catch {}
+    try {
+      fs.unlinkSync(historyPath);
+    } catch {}
   });
 
   // ===== Projects =====
@@ -134,6 +173,39 @@ describe('MCP Tools', () => {
       expect(data[0].name).toBe('Project A');
       expect(data[0].groupName).toBe('Default');
       expect(data[0].terminalName).toBe('Terminal');
+      // 本機目錄附加 Git 狀態（非 Git 儲存庫時為 null）
+      expect(data[0]).toHaveProperty('git');
+    });
+
+    it('list_projects 的 lastUsed 應來自啟動歷史', async () => {
+      writeTestHistory(createTestHistory().filter(e => e.directoryId === 2));
+
+      const data = parseResult(await handlers.list_projects({}));
+      expect(data[0].lastUsed).toBeNull();
+      expect(data[1].lastUsed).toBeGreaterThan(0);
+    });
+
+    it('list_projects 應回傳目錄沿用的群組預設啟動器', async () => {
+      const config = createTestConfig();
+      config.terminals.push({ id: 'term-2', name: 'Kitty', icon: '🐱', command: 'kitty {path}' });
+      config.groups[1].terminalId = 'term-2';
+      delete config.directories[1].terminalId;
+      writeTestConfig(config);
+
+      const data = parseResult(await handlers.list_projects({}));
+      expect(data[0]).toMatchObject({ terminalId: 'term-1', terminalInherited: false });
+      expect(data[1]).toMatchObject({
+        terminalId: 'term-2',
+        terminalName: 'Kitty',
+        terminalInherited: true,
+      });
+    });
+
+    it('update_project 傳入空字串的 terminalId 時應改為沿用群組預設啟動器', async () => {
+      const result = await handlers.update_project({ id: 2, terminalId: '' });
+      expect(result.isError).toBeUndefined();
+      invalidateConfigCache();
+      expect(loadConfig().directories.find(d => d.id === 2).terminalId).toBeUndefined();
     });
 
     it('list_projects 應支援群組過濾', async () => {
@@ -143,6 +215,40 @@ describe('MCP Tools', () => {
       expect(data[0].name).toBe('Project B');
     });
 
+    it('search_projects 應模糊比對名稱並回傳相符位置', async () => {
+      const data = parseResult(await handlers.search_projects({ query: 'pjb' }));
+      expect(data).toHaveLength(1);
+      expect(data[0].name).toBe('Project B');
+      expect(data[0].matches.name).toEqual([0, 3, 8]);
+      expect(data[0].score).toBeGreaterThan(0);
+    });
+
+    it('search_projects 應比對群組名稱與啟動器名稱', async () => {
+      const byGroup = parseResult(await handlers.search_projects({ query: 'work' }));
+      expect(byGroup.map(d => d.name)).toEqual(['Project B']);
+      expect(byGroup[0].groupName).toBe('Work');
+      expect(byGroup[0].matches.group).toEqual([0, 1, 2, 3]);
+
+      const byLauncher = parseResult(await handlers.search_projects({ query: 'terminal' }));
+      expect(byLauncher).toHaveLength(2);
+    });
+
+    it('search_projects 應要求所有關鍵字相符', async () => {
+      const data = parseResult(await handlers.search_projects({ query: 'project work' }));
+      expect(data.map(d => d.name)).toEqual(['Project B']);
+      expect(parseResult(await handlers.search_projects({ query: 'zzz' }))).toEqual([]);
+    });
+
+    it('search_projects 同分時應依最近使用排序並支援 limit', async () => {
+      writeTestHistory(createTestHistory().filter(e => e.directoryId === 2));
+
+      const data = parseResult(await handlers.search_projects({ query: 'project' }));
+      expect(data.map(d => d.name)).toEqual(['Project B', 'Project A']);
+
+      const limited = parseResult(await handlers.search_projects({ query: 'project', limit: 1 }));
+      expect(limited).toHaveLength(1);
+    });
+
     it('add_project 應新增專案', async () => {
       // 使用真實存在的跨平台路徑
       const testDir = path.join(tmpDir, 'termlauncher-test');
@@ -195,6 +301,108 @@ describe('MCP Tools', () => {
       expect(loadConfig().directories[0].name).toBe('Renamed');
     });
 
+    it('add_project 應儲存環境變數', async () => {
+      const testDir = path.join(tmpDir, 'termlauncher-test');
+      if (!fs.existsSync(testDir)) fs.mkdirSync(testDir, { recursive: true });
+      const result = await handlers.add_project({
+        name: 'Env Project',
+        path: testDir,
+        env: { NODE_ENV: 'development' },
+      });
+      expect(result.isError).toBeUndefined();
+      expect(parseResult(result).env).toEqual({ NODE_ENV: 'development' });
+    });
+
+    it('add_project 應拒絕無效的環境變數名稱', async () => {
+      const testDir = path.join(tmpDir, 'termlauncher-test');
+      if (!fs.existsSync(testDir)) fs.mkdirSync(testDir, { recursive: true });
+      const result = await handlers.add_project({
+        name: 'Bad Env',
+        path: testDir,
+        env: { 'BAD-KEY': 'x' },
+      });
+      expect(result.isError).toBe(true);
+    });
+
+    it('update_project 應更新與清除環境變數', async () => {
+      await handlers.update_project({ id: 1, env: { AWS_PROFILE: 'dev' } });
+      invalidateConfigCache();
+      expect(loadConfig().directories[0].env).toEqual({ AWS_PROFILE: 'dev' });
+
+      await handlers.update_project({ id: 1, env: {} });
+      invalidateConfigCache();
+      expect(loadConfig().directories[0].env).toBeUndefined();
+    });
+
+    it('update_project 應正規化、更新與清除標籤', async () => {
+      const result = await handlers.update_project({ id: 1, tags: [' #backend ', 'Go', 'go'] });
+      expect(parseResult(result).tags).toEqual(['backend', 'Go']);
+
+      await handlers.update_project({ id: 1, tags: [] });
+      invalidateConfigCache();
+      expect(loadConfig().directories[0].tags).toBeUndefined();
+
+      const invalid = await handlers.update_project({ id: 1, tags: ['x'.repeat(100)] });
+      expect(invalid.isError).toBe(true);
+    });
+
+    it('list_projects 應支援標籤過濾並回傳標籤', async () => {
+      await handlers.update_project({ id: 1, tags: ['backend', 'go'] });
+      await handlers.update_project({ id: 2, tags: ['backend'] });
+
+      const data = parseResult(await handlers.list_projects({ tags: ['Backend', 'GO'] }));
+      expect(data.map(d => d.name)).toEqual(['Project A']);
+      expect(data[0].tags).toEqual(['backend', 'go']);
+      expect(parseResult(await handlers.list_projects({ tags: ['backend'] }))).toHaveLength(2);
+    });
+
+    it('search_projects 應比對標籤', async () => {
+      await handlers.update_project({ id: 2, tags: ['client-acme'] });
+      const data = parseResult(await handlers.search_projects({ query: 'acme' }));
+      expect(data.map(d => d.name)).toEqual(['Project B']);
+      expect(data[0].matches.tags[0]).toEqual([7, 8, 9, 10]);
+    });
+
+    it('add_project 應新增遠端目錄且不檢查本機路徑', async () => {
+      const result = await handlers.add_project({
+        name: 'Remote',
+        path: '/srv/remote-app',
+        remote: { host: 'devbox', user: 'deploy', port: 2222 },
+      });
+      expect(result.isError).toBeUndefined();
+      expect(parseResult(result).remote).toEqual({ host: 'devbox', user: 'deploy', port: 2222 });
+
+      const list = parseResult(await handlers.list_projects({}));
+      expect(list.find(d => d.name === 'Remote').remote.host).toBe('devbox');
+      expect(list.find(d => d.name === 'Remote').git).toBeNull();
+    });
+
+    it('add_project 應拒絕無效的遠端目標與不安全的遠端路徑', async () => {
+      const badHost = await handlers.add_project({
+        name: 'Bad Host',
+        path: '/srv/app',
+        remote: { host: '-oProxyCommand=evil' },
+      });
+      expect(badHost.isError).toBe(true);
+
+      const badPath = await handlers.add_project({
+        name: 'Bad Path',
+        path: "/srv/it's",
+        remote: { host: 'devbox' },
+      });
+      expect(badPath.isError).toBe(true);
+    });
+
+    it('update_project 傳入 null 時應移除遠端目標', async () => {
+      await handlers.update_project({ id: 1, path: '/srv/app', remote: { host: 'devbox' } });
+      invalidateConfigCache();
+      expect(loadConfig().directories[0].remote).toEqual({ host: 'devbox' });
+
+      await handlers.update_project({ id: 1, path: tmpDir, remote: null });
+      invalidateConfigCache();
+      expect(loadConfig().directories[0].remote).toBeUndefined();
+    });
+
     it('update_project 應拒絕不存在的 ID', async () => {
       const result = await handlers.update_project({ id: 999, name: 'X' });
       expect(result.isError).toBe(true);
@@ -209,7 +417,11 @@ describe('MCP Tools', () => {
       invalidateConfigCache();
       const config = loadConfig();
       expect(config.directories).toHaveLength(1);
-      expect(config.favorites).not.toContain(1);
+      expect(config.favorites).toEqual([]);
+      expect(config.workspaces).toHaveLength(0);
+      // 一併移除啟動歷史
+      const { getLastUsedMap } = require('../src/main/history.js');
+      expect(getLastUsedMap().has(1)).toBe(false);
     });
 
     it('remove_project 應拒絕不存在的 ID', async () => {
@@ -252,6 +464,55 @@ describe('MCP Tools', () => {
       expect(loadConfig().groups).toHaveLength(3);
     });
 
+    it('add_group 應支援指定父群組，list_groups 應列出路徑與含子群組的目錄數', async () => {
+      const child = parseResult(await handlers.add_group({ name: 'Client A', parentId: 'work' }));
+      expect(child.parentId).toBe('work');
+      expect(child.order).toBe(0);
+
+      const data = parseResult(await handlers.list_groups({}));
+      const listed = data.find(g => g.id === child.id);
+      expect(listed.path).toBe('Work / Client A');
+      expect(listed.depth).toBe(1);
+      expect(data.find(g => g.id === 'work').parentId).toBeNull();
+      expect(data.find(g => g.id === 'work').totalDirectoryCount).toBe(1);
+    });
+
+    it('add_group 應支援預設啟動器並拒絕不存在的啟動器', async () => {
+      const added = parseResult(await handlers.add_group({ name: 'Infra', terminalId: 'term-1' }));
+      expect(added.terminalId).toBe('term-1');
+      const listed = parseResult(await handlers.list_groups({}));
+      expect(listed.find(g => g.id === added.id).terminalId).toBe('term-1');
+      expect(listed.find(g => g.id === 'work').terminalId).toBeNull();
+
+      const result = await handlers.add_group({ name: 'Ops', terminalId: 'missing' });
+      expect(result.isError).toBe(true);
+    });
+
+    it('launch_group 應拒絕不存在或沒有目錄的群組', async () => {
+      const missing = await handlers.launch_group({ groupId: 'missing' });
+      expect(missing.isError).toBe(true);
+      expect(parseResult(missing).error).toBe('Group not found');
+
+      const empty = parseResult(await handlers.add_group({ name: 'Empty' }));
+      const result = await handlers.launch_group({ groupId: empty.id });
+      expect(result.isError).toBe(true);
+      expect(parseResult(result).error).toBe('Group has no directories');
+    });
+
+    it('add_group 應拒絕不存在的父群組', async () => {
+      const result = await handlers.add_group({ name: 'Orphan', parentId: 'missing' });
+      expect(result.isError).toBe(true);
+    });
+
+    it('remove_group 應將子群組移到被移除群組的父群組下', async () => {
+      const child = parseResult(await handlers.add_group({ name: 'Client A', parentId: 'work' }));
+      const data = parseResult(await handlers.remove_group({ id: 'work' }));
+      expect(data.promotedGroups).toBe(1);
+      invalidateConfigCache();
+      const promoted = loadConfig().groups.find(g => g.id === child.id);
+      expect(promoted.parentId).toBeNull();
+    });
+
     it('add_group 應拒絕重複名稱', async () => {
       const result = await handlers.add_group({ name: 'Default' });
       expect(result.isError).toBe(true);
@@ -285,6 +546,94 @@ describe('MCP Tools', () => {
     });
   });
 
+  // ===== Smart Groups =====
+
+  describe('smart groups', () => {
+    let handlers;
+
+    beforeEach(() => {
+      const { server, z, handlers: h } = createMockServerAndZ();
+      handlers = h;
+      const { registerSmartGroupTools } = require('../src/main/mcp/tools/smart-groups');
+      registerSmartGroupTools(server, z);
+      const { registerProjectTools } = require('../src/main/mcp/tools/projects');
+      registerProjectTools(server, z);
+    });
+
+    it('add_smart_group 應新增智慧群組，list_smart_groups 應列出目前的成員目錄', async () => {
+      const added = parseResult(
+        await handlers.add_smart_group({
+          name: 'Temp',
+          rules: [{ type: 'pathPrefix', value: tmpDir }],
+        })
+      );
+      expect(added).toMatchObject({ name: 'Temp', icon: '🔎', match: 'all', order: 0 });
+
+      const data = parseResult(await handlers.list_smart_groups({}));
+      expect(data).toHaveLength(1);
+      expect(data[0].directoryCount).toBe(1);
+      expect(data[0].directories[0]).toMatchObject({ id: 1, name: 'Project A' });
+    });
+
+    it('應依啟動歷史與啟動器計算成員', async () => {
+      await handlers.add_smart_group({
+        name: 'Recent',
+        match: 'all',
+        rules: [
+          { type: 'launchedWithin', value: 7 },
+          { type: 'launcher', value: 'term-1' },
+        ],
+      });
+      const data = parseResult(await handlers.list_smart_groups({}));
+      expect(data[0].directories.map(d => d.id).sort()).toEqual([1, 2]);
+    });
+
+    it('add_smart_group 應拒絕無效規則與重複名稱', async () => {
+      const invalid = await handlers.add_smart_group({
+        name: 'Bad',
+        rules: [{ type: 'launchedWithin', value: 0 }],
+      });
+      expect(invalid.isError).toBe(true);
+
+      await handlers.add_smart_group({ name: 'Invalid', rules: [{ type: 'pathInvalid' }] });
+      const duplicate = await handlers.add_smart_group({
+        name: 'Invalid',
+        rules: [{ type: 'pathInvalid' }],
+      });
+      expect(duplicate.isError).toBe(true);
+    });
+
+    it('list_projects 應支援以智慧群組篩選', async () => {
+      const added = parseResult(
+        await handlers.add_smart_group({
+          name: 'Work',
+          rules: [{ type: 'pathPrefix', value: homeDir }],
+        })
+      );
+      const data = parseResult(await handlers.list_projects({ smartGroup: added.id }));
+      expect(data.map(d => d.id)).toContain(2);
+      expect(data.map(d => d.id)).not.toContain(1);
+
+      const missing = await handlers.list_projects({ smartGroup: 'missing' });
+      expect(missing.isError).toBe(true);
+    });
+
+    it('remove_smart_group 應移除智慧群組且不影響目錄', async () => {
+      const added = parseResult(
+        await handlers.add_smart_group({ name: 'Temp', rules: [{ type: 'pathInvalid' }] })
+      );
+      const data = parseResult(await handlers.remove_smart_group({ id: added.id }));
+      expect(data.success).toBe(true);
+      invalidateConfigCache();
+      const config = loadConfig();
+      expect(config.smartGroups).toHaveLength(0);
+      expect(config.directories).toHaveLength(2);
+
+      const missing = await handlers.remove_smart_group({ id: added.id });
+      expect(missing.isError).toBe(true);
+    });
+  });
+
   // ===== Favorites =====
 
   describe('favorites', () => {
@@ -301,7 +650,12 @@ describe('MCP Tools', () => {
       const result = await handlers.list_favorites({});
       const data = parseResult(result);
       expect(data).toHaveLength(1);
-      expect(data[0].name).toBe('Project A');
+      expect(data[0]).toMatchObject({
+        directoryId: 1,
+        name: 'Project A',
+        terminalId: 'term-1',
+        pinnedLauncher: false,
+      });
     });
 
     it('toggle_favorite 應加入最愛', async () => {
@@ -309,7 +663,7 @@ describe('MCP Tools', () => {
       const data = parseResult(result);
       expect(data.isFavorite).toBe(true);
       invalidateConfigCache();
-      expect(loadConfig().favorites).toContain(2);
+      expect(loadConfig().favorites.map(f => f.directoryId)).toEqual([1, 2]);
     });
 
     it('toggle_favorite 應移除最愛', async () => {
@@ -317,12 +671,38 @@ describe('MCP Tools', () => {
       const data = parseResult(result);
       expect(data.isFavorite).toBe(false);
       invalidateConfigCache();
-      expect(loadConfig().favorites).not.toContain(1);
+      expect(loadConfig().favorites).toEqual([]);
     });
 
-    it('toggle_favorite 應拒絕不存在的目錄', async () => {
-      const result = await handlers.toggle_favorite({ directoryId: 999 });
-      expect(result.isError).toBe(true);
+    it('toggle_favorite 應可為同一目錄加入指定啟動器與名稱的最愛', async () => {
+      const result = await handlers.toggle_favorite({
+        directoryId: 1,
+        terminalId: 'term-1',
+        label: 'A (pinned)',
+      });
+      const data = parseResult(result);
+      expect(data).toMatchObject({ isFavorite: true, name: 'A (pinned)', terminalId: 'term-1' });
+
+      const list = parseResult(await handlers.list_favorites({}));
+      expect(list).toHaveLength(2);
+      expect(list[1]).toMatchObject({
+        id: data.id,
+        directoryName: 'Project A',
+        label: 'A (pinned)',
+        pinnedLauncher: true,
+      });
+
+      // 再切換一次只移除指定啟動器的最愛
+      await handlers.toggle_favorite({ directoryId: 1, terminalId: 'term-1' });
+      invalidateConfigCache();
+      expect(loadConfig().favorites).toHaveLength(1);
+      expect(loadConfig().favorites[0].terminalId).toBeUndefined();
+    });
+
+    it('toggle_favorite 應拒絕不存在的目錄或啟動器', async () => {
+      expect((await handlers.toggle_favorite({ directoryId: 999 })).isError).toBe(true);
+      const result = await handlers.toggle_favorite({ directoryId: 1, terminalId: 'missing' });
+      expect(parseResult(result).error).toBe('Launcher not found');
     });
   });
 
@@ -338,12 +718,26 @@ describe('MCP Tools', () => {
       registerRecentTools(server, z);
     });
 
-    it('list_recent 應按 lastUsed 降冪排序', async () => {
-      const result = await handlers.list_recent({});
+    it('list_recent 應依最後啟動時間降冪排序', async () => {
+      const result = await handlers.list_recent({ sort: 'recent' });
       const data = parseResult(result);
       expect(data).toHaveLength(2);
-      expect(data[0].name).toBe('Project B'); // lastUsed: 2000000
-      expect(data[1].name).toBe('Project A'); // lastUsed: 1000000
+      expect(data[0].name).toBe('Project B');
+      expect(data[1].name).toBe('Project A');
+    });
+
+    it('list_recent 預設應依 frecency 排序', async () => {
+      const result = await handlers.list_recent({});
+      const data = parseResult(result);
+      expect(data[0].name).toBe('Project A'); // 啟動兩次
+      expect(data[0].score).toBeGreaterThan(data[1].score);
+    });
+
+    it('list_recent 應回傳啟動次數與上次的來源', async () => {
+      const result = await handlers.list_recent({});
+      const projectA = parseResult(result).find(d => d.name === 'Project A');
+      expect(projectA).toMatchObject({ launchCount: 2, source: 'tray', success: true });
+      expect(projectA.lastUsedAt).toBe(new Date(projectA.lastUsed).toISOString());
     });
 
     it('list_recent 應尊重 limit 參數', async () => {
@@ -352,16 +746,107 @@ describe('MCP Tools', () => {
       expect(data).toHaveLength(1);
     });
 
-    it('list_recent 應排除無 lastUsed 的目錄', async () => {
-      // 修改配置使 Project A 無 lastUsed
+    it('list_recent 應排除沒有啟動記錄的目錄', async () => {
+      writeTestHistory(createTestHistory().filter(e => e.directoryId === 2));
+
+      const result = await handlers.list_recent({});
+      const data = parseResult(result);
+      expect(data).toHaveLength(1);
+      expect(data[0].name).toBe('Project B');
+    });
+
+    it('list_recent 應排除已刪除的目錄', async () => {
       const config = createTestConfig();
-      config.directories[0].lastUsed = null;
+      config.directories = config.directories.filter(d => d.id !== 2);
       writeTestConfig(config);
 
       const result = await handlers.list_recent({});
       const data = parseResult(result);
       expect(data).toHaveLength(1);
-      expect(data[0].name).toBe('Project B');
+      expect(data[0].name).toBe('Project A');
+    });
+  });
+
+  // ===== Workspaces =====
+
+  describe('workspaces', () => {
+    let handlers;
+
+    beforeEach(() => {
+      const { server, z, handlers: h } = createMockServerAndZ();
+      handlers = h;
+      const { registerWorkspaceTools } = require('../src/main/mcp/tools/workspaces');
+      registerWorkspaceTools(server, z);
+    });
+
+    it('list_workspaces 應附加目錄與啟動器資訊', async () => {
+      const result = await handlers.list_workspaces({});
+      const data = parseResult(result);
+      expect(data).toHaveLength(1);
+      expect(data[0].directoryName).toBe('Project A');
+      expect(data[0].path).toBe(tmpDir);
+      expect(data[0].steps).toEqual([
+        { terminalId: 'term-1', terminalName: 'Terminal', delay: 0 },
+        { terminalId: 'missing', terminalName: 'missing', delay: 500 },
+      ]);
+    });
+
+    it('run_workspace 應拒絕不存在的工作區', async () => {
+      const result = await handlers.run_workspace({ workspaceId: 'nope' });
+      expect(result.isError).toBe(true);
+      expect(parseResult(result).error).toBe('Workspace not found');
+    });
+  });
+
+  // ===== Discovery =====
+
+  describe('discovery', () => {
+    let handlers;
+    let scanRoot;
+
+    beforeEach(() => {
+      const { server, z, handlers: h } = createMockServerAndZ();
+      handlers = h;
+      const { registerDiscoveryTools } = require('../src/main/mcp/tools/discovery');
+      registerDiscoveryTools(server, z);
+
+      scanRoot = fs.mkdtempSync(path.join(tmpDir, 'termlauncher-scan-'));
+      fs.mkdirSync(path.join(scanRoot, 'app'));
+      fs.writeFileSync(path.join(scanRoot, 'app', 'package.json'), '{}');
+      const config = createTestConfig();
+      config.scanRoots = [{ id: 'root-1', path: scanRoot, depth: 2, group: 'work' }];
+      writeTestConfig(config);
+    });
+
+    afterEach(() => {
+      fs.rmSync(scanRoot, { recursive: true, force: true });
+    });
+
+    it('scan_projects 應回報尚未加入的專案並記錄快照', async () => {
+      const result = await handlers.scan_projects({});
+      const data = parseResult(result);
+      expect(data.projects).toEqual([
+        {
+          path: path.join(scanRoot, 'app'),
+          name: 'app',
+          markers: ['package.json'],
+          group: 'work',
+          terminalId: 'term-1',
+          isNew: true,
+        },
+      ]);
+      expect(loadConfig().scanRoots[0].known).toEqual([path.join(scanRoot, 'app')]);
+    });
+
+    it('scan_projects 應在 importNew 時匯入專案', async () => {
+      const data = parseResult(await handlers.scan_projects({ importNew: true }));
+      expect(data.imported).toHaveLength(1);
+      expect(loadConfig().directories.some(d => d.path === path.join(scanRoot, 'app'))).toBe(true);
+    });
+
+    it('scan_projects 應拒絕不存在的根目錄 ID', async () => {
+      const result = await handlers.scan_projects({ rootId: 'nope' });
+      expect(result.isError).toBe(true);
     });
   });
 });
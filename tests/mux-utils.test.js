@@ -0,0 +1,161 @@
+/**
+ * mux-utils.js 單元測試
+ * 測試 session 名稱、版面配置驗證與多工器命令組裝
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  getSessionName,
+  validateLayout,
+  getWindowNames,
+  buildTmuxCreateArgs,
+  buildZellijLayout,
+  buildMuxAttachArgs,
+  parseZellijSessions,
+} = require('../src/main/utils/mux-utils.js');
+
+describe('getSessionName', () => {
+  it('應該由目錄名稱產生只含安全字元的名稱', () => {
+    expect(getSessionName({ id: 1, name: 'My API v2.0', path: '/srv/api' })).toMatch(
+      /^My-API-v2-0-[0-9a-f]{6}$/
+    );
+  });
+
+  it('名稱無可用字元時應改用資料夾名稱或預設值', () => {
+    expect(getSessionName({ id: 1, name: '專案', path: '/srv/web-app' })).toMatch(
+      /^web-app-[0-9a-f]{6}$/
+    );
+    expect(getSessionName({ id: 1, name: '專案', path: 'C:\\專案' })).toMatch(
+      /^termlauncher-[0-9a-f]{6}$/
+    );
+  });
+
+  it('同一目錄應產生固定名稱，非 ASCII 或同名目錄不應共用 session', () => {
+    const first = getSessionName({ id: 1, name: '前端', path: 'C:\\前端' });
+    expect(getSessionName({ id: 1, name: '前端', path: 'C:\\前端' })).toBe(first);
+    expect(getSessionName({ id: 2, name: '後端', path: 'C:\\後端' })).not.toBe(first);
+    expect(getSessionName({ id: 3, name: 'api', path: '/a/api' })).not.toBe(
+      getSessionName({ id: 4, name: 'api', path: '/b/api' })
+    );
+  });
+
+  it('沒有目錄 ID 時應以路徑計算雜湊', () => {
+    expect(getSessionName({ name: 'api', path: '/a/api' })).not.toBe(
+      getSessionName({ name: 'api', path: '/b/api' })
+    );
+  });
+});
+
+describe('validateLayout', () => {
+  it('應該接受有效的版面配置', () => {
+    expect(
+      validateLayout({
+        windows: [
+          { name: 'editor', panes: [{ command: 'nvim .' }] },
+          { layout: 'even-vertical', panes: [{}, { command: 'npm run dev' }] },
+        ],
+      }).valid
+    ).toBe(true);
+  });
+
+  it('應該拒絕空的視窗或窗格與無效的排列方式', () => {
+    expect(validateLayout({ windows: [] }).valid).toBe(false);
+    expect(validateLayout({ windows: [{ panes: [] }] }).valid).toBe(false);
+    expect(validateLayout({ windows: [{ layout: 'grid', panes: [{}] }] }).valid).toBe(false);
+  });
+
+  it('應該拒絕含換行的窗格命令', () => {
+    expect(validateLayout({ windows: [{ panes: [{ command: 'a\nb' }] }] }).valid).toBe(false);
+  });
+});
+
+describe('getWindowNames', () => {
+  it('未命名的視窗應自動命名，重複名稱應加上序號', () => {
+    expect(getWindowNames([{ name: 'dev' }, {}, { name: 'dev' }, { name: 'a.b' }])).toEqual([
+      'dev',
+      'window-2',
+      'dev-2',
+      'a-b',
+    ]);
+  });
+});
+
+describe('buildTmuxCreateArgs', () => {
+  it('沒有版面配置時應只建立 session', () => {
+    expect(buildTmuxCreateArgs('api', '/srv/api')).toEqual([
+      'new-session',
+      '-d',
+      '-s',
+      'api',
+      '-c',
+      '/srv/api',
+      '-n',
+      'window-1',
+      ';',
+      'select-window',
+      '-t',
+      '=api:=window-1',
+    ]);
+  });
+
+  it('應該依序建立視窗、分割窗格並送出命令', () => {
+    const args = buildTmuxCreateArgs('api', '/srv/api', {
+      windows: [
+        { name: 'editor', panes: [{ command: 'nvim .' }] },
+        { name: 'run', layout: 'even-vertical', panes: [{}, { command: 'npm run dev' }] },
+      ],
+    });
+    const commands = args.join(' ').split(' ; ');
+
+    expect(commands).toEqual([
+      'new-session -d -s api -c /srv/api -n editor',
+      'send-keys -t =api:=editor -l nvim .',
+      'send-keys -t =api:=editor Enter',
+      'new-window -d -t =api: -c /srv/api -n run',
+      'split-window -t =api:=run -c /srv/api',
+      'send-keys -t =api:=run -l npm run dev',
+      'send-keys -t =api:=run Enter',
+      'select-layout -t =api:=run even-vertical',
+      'select-window -t =api:=editor',
+    ]);
+  });
+});
+
+describe('buildZellijLayout', () => {
+  it('應該產生含分頁與命令窗格的 KDL', () => {
+    const kdl = buildZellijLayout('/srv/"api"', {
+      windows: [{ name: 'run', panes: [{}, { command: 'npm run dev' }] }],
+    });
+
+    expect(kdl).toContain('cwd "/srv/\\"api\\""');
+    expect(kdl).toContain('tab name="run" {');
+    expect(kdl).toContain(
+      'args "-c" "npm run dev; [ -n \\"$SHELL\\" ] && exec \\"$SHELL\\"; exec sh"'
+    );
+  });
+});
+
+describe('buildMuxAttachArgs', () => {
+  it('tmux 應一律附加到 session', () => {
+    expect(buildMuxAttachArgs('tmux', 'api')).toEqual(['tmux', 'attach-session', '-t', '=api']);
+  });
+
+  it('zellij 應依 session 是否存在與版面配置決定命令', () => {
+    expect(buildMuxAttachArgs('zellij', 'api', { exists: true, layoutFile: '/tmp/a.kdl' })).toEqual(
+      ['zellij', 'attach', '--create', 'api']
+    );
+    expect(buildMuxAttachArgs('zellij', 'api', { layoutFile: '/tmp/a.kdl' })).toEqual([
+      'zellij',
+      '--session',
+      'api',
+      '--layout',
+      '/tmp/a.kdl',
+    ]);
+  });
+});
+
+describe('parseZellijSessions', () => {
+  it('應該解析每行一個 session 名稱', () => {
+    expect(parseZellijSessions('api\n web \n\n')).toEqual(['api', 'web']);
+  });
+});
@@ -110,6 +110,26 @@ describe('validatePathSafety', () => {
     expect(validatePathSafety(null).safe).toBe(false);
     expect(validatePathSafety(undefined).safe).toBe(false);
   });
+
+  it('遠端路徑應允許絕對路徑與 ~ 開頭的路徑', () => {
+    expect(validatePathSafety('/srv/my app', { remote: true })).toEqual({ safe: true });
+    expect(validatePathSafety('~', { remote: true })).toEqual({ safe: true });
+    expect(validatePathSafety('~/projects/api', { remote: true })).toEqual({ safe: true });
+  });
+
+  it('遠端路徑應拒絕引號、變數與萬用字元', () => {
+    expect(validatePathSafety("/srv/it's", { remote: true }).reason).toBe('SHELL_METACHAR');
+    expect(validatePathSafety('/srv/"x"', { remote: true }).reason).toBe('SHELL_METACHAR');
+    expect(validatePathSafety('/home/$USER', { remote: true }).reason).toBe('SHELL_METACHAR');
+    expect(validatePathSafety('/srv/* && id', { remote: true }).reason).toBe('SHELL_METACHAR');
+  });
+
+  it('遠端路徑應拒絕相對路徑', () => {
+    expect(validatePathSafety('srv/app', { remote: true }).reason).toBe('REMOTE_PATH_NOT_ABSOLUTE');
+    expect(validatePathSafety('~other/app', { remote: true }).reason).toBe(
+      'REMOTE_PATH_NOT_ABSOLUTE'
+    );
+  });
 });
 
 describe('escapePathForShell', () => {
@@ -0,0 +1,170 @@
+/**
+ * scan-utils.js 與 scanner.js 單元測試
+ * 測試專案標記判斷、群組/啟動器建議、掃描結果比對與目錄走訪
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {
+  findProjectMarkers,
+  isSkippedDirectory,
+  normalizePathKey,
+  normalizeScanDepth,
+  suggestGroup,
+  suggestTerminal,
+  diffScanResults,
+  validateScanRoot,
+} = require('../src/main/utils/scan-utils.js');
+const { walkRoot } = require('../src/main/scanner.js');
+
+describe('findProjectMarkers', () => {
+  it('應該找出專案標記與 .sln 副檔名標記', () => {
+    expect(findProjectMarkers(['src', '.git', 'package.json', 'README.md'])).toEqual([
+      '.git',
+      'package.json',
+    ]);
+    expect(findProjectMarkers(['App.SLN', 'App'])).toEqual(['*.sln']);
+  });
+
+  it('沒有標記時應回傳空陣列', () => {
+    expect(findProjectMarkers(['docs', 'notes.txt'])).toEqual([]);
+  });
+});
+
+describe('isSkippedDirectory', () => {
+  it('應該略過 . 開頭與相依套件資料夾', () => {
+    expect(isSkippedDirectory('.cache')).toBe(true);
+    expect(isSkippedDirectory('node_modules')).toBe(true);
+    expect(isSkippedDirectory('api')).toBe(false);
+  });
+});
+
+describe('normalizePathKey / normalizeScanDepth', () => {
+  it('Windows 應不分大小寫並統一分隔符', () => {
+    expect(normalizePathKey('C:/Code/App/', 'win32')).toBe('c:\\code\\app');
+    expect(normalizePathKey('/home/me/App/', 'linux')).toBe('/home/me/App');
+  });
+
+  it('應該限制掃描深度範圍', () => {
+    expect(normalizeScanDepth(2)).toBe(2);
+    expect(normalizeScanDepth(99)).toBe(6);
+    expect(normalizeScanDepth(-1)).toBe(3);
+    expect(normalizeScanDepth(undefined)).toBe(3);
+  });
+});
+
+describe('suggestGroup', () => {
+  const groups = [
+    { id: 'default', name: 'Default' },
+    { id: 'g-work', name: 'Work' },
+    { id: 'g-oss', name: 'OSS' },
+  ];
+
+  it('上層資料夾與群組同名時應使用該群組', () => {
+    expect(suggestGroup('/code/work/api', { path: '/code', group: 'g-oss' }, groups)).toBe(
+      'g-work'
+    );
+  });
+
+  it('否則應使用根目錄群組，群組不存在時為 default', () => {
+    expect(suggestGroup('/code/misc/api', { path: '/code', group: 'g-oss' }, groups)).toBe('g-oss');
+    expect(suggestGroup('/code/api', { path: '/code', group: 'missing' }, groups)).toBe('default');
+  });
+
+  it('不應比對根目錄本身的上層資料夾', () => {
+    expect(suggestGroup('/work/api', { path: '/work' }, groups)).toBe('default');
+  });
+});
+
+describe('suggestTerminal', () => {
+  const terminals = [
+    { id: 'bash', name: 'Bash', command: 'bash' },
+    { id: 'rider', name: 'JetBrains Rider', command: 'rider {path}' },
+    { id: 'pycharm', name: 'PyCharm', command: 'pycharm {path}', hidden: true },
+  ];
+
+  it('應該依專案標記比對可見的啟動器', () => {
+    expect(suggestTerminal(['.git', '*.sln'], terminals, 'bash')).toBe('rider');
+  });
+
+  it('比對不到或啟動器已隱藏時應使用預設啟動器', () => {
+    expect(suggestTerminal(['pyproject.toml'], terminals, 'bash')).toBe('bash');
+  });
+});
+
+describe('diffScanResults', () => {
+  it('應該回報新增與消失的專案', () => {
+    expect(diffScanResults(['/code/a', '/code/b'], ['/code/b', '/code/c'])).toEqual({
+      added: ['/code/c'],
+      vanished: ['/code/a'],
+    });
+  });
+
+  it('沒有上次掃描時所有專案皆為新增', () => {
+    expect(diffScanResults(undefined, ['/code/a'])).toEqual({ added: ['/code/a'], vanished: [] });
+  });
+});
+
+describe('validateScanRoot', () => {
+  it('應該接受合法的根目錄', () => {
+    expect(validateScanRoot({ id: 'root-1', path: '/code', depth: 3, known: [] }).valid).toBe(true);
+  });
+
+  it('應該拒絕缺少 ID、不安全路徑或超出範圍的深度', () => {
+    expect(validateScanRoot({ path: '/code' }).valid).toBe(false);
+    expect(validateScanRoot({ id: 'r', path: '/code;rm' }).valid).toBe(false);
+    expect(validateScanRoot({ id: 'r', path: '/code', depth: 7 }).valid).toBe(false);
+    expect(validateScanRoot({ id: 'r', path: '/code', known: [1] }).valid).toBe(false);
+  });
+});
+
+describe('walkRoot', () => {
+  let tmpDir;
+
+  afterEach(() => {
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  /** 建立含標記檔案的資料夾 */
+  function createProject(relativePath, marker) {
+    const dirPath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(dirPath, { recursive: true });
+    fs.writeFileSync(path.join(dirPath, marker), '');
+    return dirPath;
+  }
+
+  it('應該找出專案且不深入專案子資料夾與略過的資料夾', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-scan-'));
+    const api = createProject('work/api', 'go.mod');
+    createProject('work/api/packages/inner', 'package.json');
+    createProject('node_modules/lib', 'package.json');
+    const web = createProject('web', 'package.json');
+
+    const result = await walkRoot(tmpDir, 3);
+    expect(result.truncated).toBe(false);
+    expect(result.projects).toEqual([
+      { path: web, markers: ['package.json'] },
+      { path: api, markers: ['go.mod'] },
+    ]);
+  });
+
+  it('應該遵守掃描深度', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-scan-'));
+    createProject('a/b/c', 'Cargo.toml');
+
+    expect((await walkRoot(tmpDir, 2)).projects).toEqual([]);
+    expect((await walkRoot(tmpDir, 3)).projects).toHaveLength(1);
+  });
+
+  it('根目錄不存在時應拋出錯誤', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-scan-'));
+    await expect(walkRoot(path.join(tmpDir, 'missing'), 3)).rejects.toThrow();
+  });
+});
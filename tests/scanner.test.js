@@ -0,0 +1,122 @@
+/**
+ * 專案探索模組測試
+ * 使用真實 config 模組測試匯入的目錄沿用群組預設啟動器
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {
+  invalidateConfigCache,
+  configPath,
+  loadConfig,
+  saveConfig,
+  getDirectoryTerminalId,
+} = require('../src/main/config.js');
+const { scanProjects, importProjects } = require('../src/main/scanner.js');
+
+describe('scanProjects', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-scan-root-'));
+    fs.mkdirSync(path.join(rootDir, 'api'));
+    fs.writeFileSync(path.join(rootDir, 'api', 'package.json'), '{}');
+    const config = {
+      directories: [],
+      terminals: [{ id: 'term-1', name: 'Terminal', icon: '🖥️', command: 'bash {path}', order: 0 }],
+      groups: [{ id: 'default', name: 'Default', icon: '📁', isDefault: true, order: 0 }],
+      scanRoots: [{ id: 'root-1', path: rootDir, depth: 2 }],
+      settings: {},
+    };
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf-8');
+    invalidateConfigCache();
+  });
+
+  afterEach(() => {
+    invalidateConfigCache();
+    try {
+      fs.unlinkSync(configPath);
+    } catch {}
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('應該記錄根目錄找到的專案與掃描時間', async () => {
+    const result = await scanProjects();
+    expect(result.success).toBe(true);
+    expect(result.projects.map(p => p.name)).toEqual(['api']);
+
+    const root = loadConfig().scanRoots[0];
+    expect(root.known).toEqual([path.join(rootDir, 'api')]);
+    expect(root.lastScan).toEqual(expect.any(Number));
+  });
+
+  it('掃描期間的配置變更不應被覆蓋', async () => {
+    const scanning = scanProjects();
+    // 掃描等待讀取目錄時，其他流程儲存了新的配置
+    const config = loadConfig();
+    saveConfig({
+      ...config,
+      directories: [{ id: 1, path: rootDir, name: 'root', group: 'default' }],
+      scanRoots: config.scanRoots.map(root => ({ ...root, depth: 3 })),
+    });
+    await scanning;
+
+    const saved = loadConfig();
+    expect(saved.directories).toHaveLength(1);
+    expect(saved.scanRoots[0].depth).toBe(3);
+    expect(saved.scanRoots[0].known).toEqual([path.join(rootDir, 'api')]);
+  });
+});
+
+describe('importProjects', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-scan-'));
+    const config = {
+      directories: [],
+      terminals: [
+        { id: 'term-1', name: 'Terminal', icon: '🖥️', command: 'bash {path}', order: 0 },
+        { id: 'code', name: 'VS Code', icon: '📝', command: 'code {path}', order: 1 },
+      ],
+      groups: [
+        { id: 'default', name: 'Default', icon: '📁', isDefault: true, order: 0 },
+        { id: 'work', name: 'Work', icon: '💼', isDefault: false, order: 1, terminalId: 'code' },
+      ],
+      settings: {},
+    };
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf-8');
+    invalidateConfigCache();
+  });
+
+  afterEach(() => {
+    invalidateConfigCache();
+    try {
+      fs.unlinkSync(configPath);
+    } catch {}
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('與群組預設相同的啟動器不應寫入目錄，之後變更群組預設時應跟著改變', () => {
+    const result = importProjects([{ path: projectDir, group: 'work', terminalId: 'code' }]);
+    expect(result.added).toHaveLength(1);
+    expect(result.added[0].terminalId).toBeUndefined();
+
+    const config = loadConfig();
+    const dir = config.directories[0];
+    expect(getDirectoryTerminalId(dir, config)).toBe('code');
+
+    config.groups.find(g => g.id === 'work').terminalId = 'term-1';
+    saveConfig(config);
+    expect(getDirectoryTerminalId(dir, loadConfig())).toBe('term-1');
+  });
+
+  it('選擇與群組預設不同的啟動器時應保留目錄自訂', () => {
+    const result = importProjects([{ path: projectDir, group: 'work', terminalId: 'term-1' }]);
+    expect(result.added[0].terminalId).toBe('term-1');
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * src/shared/ 共用模組載入測試
+ * 測試主進程（require）與前端（globalThis.TermLauncherShared）取得相同的匯出
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect } from 'vitest';
+import * as tags from '../src/renderer/scripts/utils/tags.js';
+import * as favorites from '../src/renderer/scripts/utils/favorites.js';
+
+const SHARED_MODULES = {
+  tagRules: '../src/shared/tag-rules.js',
+  groupRules: '../src/shared/group-rules.js',
+  smartGroupRules: '../src/shared/smart-group-rules.js',
+  favoriteRules: '../src/shared/favorite-rules.js',
+  fuzzySearch: '../src/shared/fuzzy-match.js',
+};
+
+describe('共用模組', () => {
+  it.each(Object.entries(SHARED_MODULES))(
+    '%s 應同時以 CommonJS 匯出並登記於 globalThis',
+    (key, file) => {
+      const exported = require(file);
+      expect(Object.keys(exported).length).toBeGreaterThan(0);
+      expect(Object.keys(globalThis.TermLauncherShared[key]).sort()).toEqual(
+        Object.keys(exported).sort()
+      );
+    }
+  );
+
+  it('前端模組應轉出共用模組的全部匯出', () => {
+    expect(Object.keys(tags).sort()).toEqual(Object.keys(require(SHARED_MODULES.tagRules)).sort());
+    expect(Object.keys(favorites).sort()).toEqual(
+      Object.keys(require(SHARED_MODULES.favoriteRules)).sort()
+    );
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * smart-group-utils.js 單元測試
+ * 測試智慧群組的規則比對與驗證
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  normalizeMatchPath,
+  matchesSmartGroup,
+  getSmartGroupMembers,
+  validateSmartRule,
+  validateSmartGroup,
+} = require('../src/main/utils/smart-group-utils.js');
+
+const NOW = 1_700_000_000_000;
+const DAY = 24 * 60 * 60 * 1000;
+
+function createDirectories() {
+  return [
+    { id: 1, path: '/home/me/work/acme/api', tags: ['Rust'], terminalId: 'wezterm' },
+    { id: 2, path: '/home/me/work/acme-web', tags: ['ts'] },
+    { id: 3, path: 'C:\\Users\\me\\work\\acme\\tool', tags: [] },
+    { id: 4, path: '/srv/old', tags: ['rust'] },
+  ];
+}
+
+function createContext(overrides = {}) {
+  return {
+    now: NOW,
+    homeDir: '/home/me',
+    defaultTerminalId: 'iterm',
+    lastUsed: new Map([
+      [1, NOW - 2 * DAY],
+      [4, NOW - 30 * DAY],
+    ]),
+    isPathInvalid: dir => dir.id === 4,
+    ...overrides,
+  };
+}
+
+const members = (smartGroup, context = createContext()) =>
+  getSmartGroupMembers(createDirectories(), smartGroup, context).map(d => d.id);
+
+describe('normalizeMatchPath', () => {
+  it('應該展開 ~、統一分隔符號並去除結尾分隔符號', () => {
+    expect(normalizeMatchPath('~/Work/', '/home/me')).toBe('/home/me/Work');
+    expect(normalizeMatchPath('C:\\Users\\Me\\', '')).toBe('c:/users/me');
+    expect(normalizeMatchPath('~\\Work', 'C:\\Users\\Me')).toBe('c:/users/me/work');
+    expect(normalizeMatchPath('/', '')).toBe('/');
+    expect(normalizeMatchPath(undefined)).toBe('');
+  });
+});
+
+describe('matchesSmartGroup / getSmartGroupMembers', () => {
+  it('pathPrefix 應比對資料夾及其子資料夾（支援 ~）', () => {
+    expect(
+      members({ match: 'all', rules: [{ type: 'pathPrefix', value: '~/work/acme' }] })
+    ).toEqual([1]);
+    expect(members({ match: 'all', rules: [{ type: 'pathPrefix', value: '~/work/' }] })).toEqual([
+      1, 2,
+    ]);
+    expect(members({ match: 'all', rules: [{ type: 'pathPrefix', value: '/' }] })).toEqual([
+      1, 2, 4,
+    ]);
+  });
+
+  it('pathPrefix 不應符合名稱以前綴開頭的相鄰資料夾', () => {
+    const directories = [
+      { id: 1, path: '/home/me/work/acme' },
+      { id: 2, path: '/home/me/work/acme-legacy' },
+      { id: 3, path: '/home/me/work/acmecorp' },
+      { id: 4, path: '/home/me/work/acme/api' },
+    ];
+    const smartGroup = { match: 'all', rules: [{ type: 'pathPrefix', value: '~/work/acme/' }] };
+    expect(getSmartGroupMembers(directories, smartGroup, createContext()).map(d => d.id)).toEqual([
+      1, 4,
+    ]);
+  });
+
+  it('pathPrefix 只有 Windows 路徑不分大小寫', () => {
+    expect(
+      members({ match: 'all', rules: [{ type: 'pathPrefix', value: '~/work/ACME' }] })
+    ).toEqual([]);
+    expect(
+      members({ match: 'all', rules: [{ type: 'pathPrefix', value: 'c:\\users\\ME\\work' }] })
+    ).toEqual([3]);
+  });
+
+  it('tag 應不分大小寫比對標籤', () => {
+    expect(members({ match: 'all', rules: [{ type: 'tag', value: 'RUST' }] })).toEqual([1, 4]);
+  });
+
+  it('launchedWithin 應依最後啟動時間比對', () => {
+    expect(members({ match: 'all', rules: [{ type: 'launchedWithin', value: 7 }] })).toEqual([1]);
+    expect(members({ match: 'all', rules: [{ type: 'launchedWithin', value: 30 }] })).toEqual([
+      1, 4,
+    ]);
+  });
+
+  it('pathInvalid 與 launcher 應使用比對資料判斷', () => {
+    expect(members({ match: 'all', rules: [{ type: 'pathInvalid' }] })).toEqual([4]);
+    expect(members({ match: 'all', rules: [{ type: 'launcher', value: 'iterm' }] })).toEqual([
+      2, 3, 4,
+    ]);
+    expect(members({ match: 'all', rules: [{ type: 'pathInvalid' }] }, { now: NOW })).toEqual([]);
+  });
+
+  it('launcher 應將群組預設啟動器視為目錄的啟動器', () => {
+    const directories = [
+      { id: 1, path: '/a', group: 'infra' },
+      { id: 2, path: '/b', group: 'infra', terminalId: 'wezterm' },
+      { id: 3, path: '/c', group: 'default' },
+    ];
+    const context = createContext({
+      groups: [
+        { id: 'default', parentId: null },
+        { id: 'infra', parentId: null, terminalId: 'kitty' },
+      ],
+    });
+    const rules = [{ type: 'launcher', value: 'kitty' }];
+    expect(
+      getSmartGroupMembers(directories, { match: 'all', rules }, context).map(d => d.id)
+    ).toEqual([1]);
+  });
+
+  it('應該依 match 組合多條規則', () => {
+    const rules = [
+      { type: 'tag', value: 'rust' },
+      { type: 'launchedWithin', value: 7 },
+    ];
+    expect(members({ match: 'all', rules })).toEqual([1]);
+    expect(members({ match: 'any', rules })).toEqual([1, 4]);
+  });
+
+  it('沒有規則時不應符合任何目錄', () => {
+    expect(
+      matchesSmartGroup(createDirectories()[0], { match: 'any', rules: [] }, createContext())
+    ).toBe(false);
+  });
+});
+
+describe('validateSmartRule / validateSmartGroup', () => {
+  it('應該依規則類型驗證 value', () => {
+    expect(validateSmartRule({ type: 'tag', value: 'rust' }, 'rule').valid).toBe(true);
+    expect(validateSmartRule({ type: 'tag', value: ' ' }, 'rule').valid).toBe(false);
+    expect(validateSmartRule({ type: 'pathInvalid' }, 'rule').valid).toBe(true);
+    expect(validateSmartRule({ type: 'launchedWithin', value: 7 }, 'rule').valid).toBe(true);
+    expect(validateSmartRule({ type: 'launchedWithin', value: 1.5 }, 'rule').valid).toBe(false);
+    expect(validateSmartRule({ type: 'launchedWithin', value: '7' }, 'rule').valid).toBe(false);
+    expect(validateSmartRule({ type: 'unknown', value: 'x' }, 'rule').valid).toBe(false);
+  });
+
+  it('應該驗證智慧群組欄位', () => {
+    const smartGroup = {
+      id: 's',
+      name: 'Rust',
+      match: 'all',
+      rules: [{ type: 'tag', value: 'rust' }],
+    };
+    expect(validateSmartGroup(smartGroup, 'sg').valid).toBe(true);
+    expect(validateSmartGroup({ ...smartGroup, name: '' }, 'sg').valid).toBe(false);
+    expect(validateSmartGroup({ ...smartGroup, match: 'none' }, 'sg').valid).toBe(false);
+    expect(validateSmartGroup({ ...smartGroup, icon: 1 }, 'sg').valid).toBe(false);
+    expect(validateSmartGroup({ ...smartGroup, rules: [] }, 'sg').valid).toBe(false);
+
+    const result = validateSmartGroup({ ...smartGroup, rules: [{ type: 'tag' }] }, 'sg');
+    expect(result.error).toBe('sg.rules[].value must be a non-empty string');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * smart-groups.js（渲染進程）模組測試
+ * 測試智慧群組成員計算、排序與編輯表單規則解析
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeMatchPath,
+  getSmartGroupMembers,
+  sortSmartGroups,
+  parseSmartRule,
+} from '../src/renderer/scripts/utils/smart-groups.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('getSmartGroupMembers', () => {
+  it('應該與主進程相同的規則計算成員', () => {
+    const directories = [
+      { id: 1, path: '/home/me/work/acme', tags: ['rust'] },
+      { id: 2, path: '/home/me/play', tags: ['rust'], terminalId: 'kitty' },
+    ];
+    const context = {
+      now: NOW,
+      homeDir: '/home/me',
+      defaultTerminalId: 'iterm',
+      lastUsed: new Map([[2, NOW - 1000]]),
+      isPathInvalid: () => false,
+    };
+    const ids = smartGroup => getSmartGroupMembers(directories, smartGroup, context).map(d => d.id);
+
+    expect(ids({ match: 'all', rules: [{ type: 'pathPrefix', value: '~/work' }] })).toEqual([1]);
+    expect(
+      ids({
+        match: 'any',
+        rules: [
+          { type: 'launchedWithin', value: 1 },
+          { type: 'launcher', value: 'iterm' },
+        ],
+      })
+    ).toEqual([1, 2]);
+    expect(normalizeMatchPath('~', '/home/me')).toBe('/home/me');
+  });
+});
+
+describe('sortSmartGroups', () => {
+  it('應該依 order 排序且不修改原陣列', () => {
+    const smartGroups = [
+      { id: 'b', order: 1 },
+      { id: 'a', order: 0 },
+    ];
+    expect(sortSmartGroups(smartGroups).map(g => g.id)).toEqual(['a', 'b']);
+    expect(smartGroups[0].id).toBe('b');
+    expect(sortSmartGroups(undefined)).toEqual([]);
+  });
+});
+
+describe('parseSmartRule', () => {
+  it('應該將表單輸入轉為規則', () => {
+    expect(parseSmartRule('tag', ' rust ')).toEqual({ type: 'tag', value: 'rust' });
+    expect(parseSmartRule('launchedWithin', '7')).toEqual({ type: 'launchedWithin', value: 7 });
+    expect(parseSmartRule('pathInvalid', undefined)).toEqual({ type: 'pathInvalid' });
+  });
+
+  it('輸入無效時應回傳 null', () => {
+    expect(parseSmartRule('tag', '  ')).toBeNull();
+    expect(parseSmartRule('launchedWithin', '0')).toBeNull();
+    expect(parseSmartRule('launchedWithin', '2.5')).toBeNull();
+    expect(parseSmartRule('unknown', 'x')).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * ssh-utils.js 單元測試
+ * 測試遠端目標驗證與 ssh 命令引數組裝
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  isRemoteDirectory,
+  validateRemoteTarget,
+  getSshTarget,
+  buildRemoteShellCommand,
+  buildSshArgs,
+  formatPosixCommand,
+} = require('../src/main/utils/ssh-utils.js');
+
+describe('isRemoteDirectory', () => {
+  it('有 remote.host 時應視為遠端目錄', () => {
+    expect(isRemoteDirectory({ path: '/srv', remote: { host: 'devbox' } })).toBe(true);
+  });
+
+  it('沒有 remote 或 host 為空時應視為本機目錄', () => {
+    expect(isRemoteDirectory({ path: '/srv' })).toBe(false);
+    expect(isRemoteDirectory({ path: '/srv', remote: { host: '' } })).toBe(false);
+    expect(isRemoteDirectory(null)).toBe(false);
+  });
+});
+
+describe('validateRemoteTarget', () => {
+  it('應接受主機、別名、使用者、連接埠與金鑰檔', () => {
+    expect(validateRemoteTarget({ host: 'devbox' }).valid).toBe(true);
+    expect(
+      validateRemoteTarget({
+        host: '10.0.0.5',
+        user: 'deploy',
+        port: 2222,
+        identityFile: '~/.ssh/id_ed25519',
+      }).valid
+    ).toBe(true);
+  });
+
+  it('應拒絕可能被解析為 ssh 選項的主機或使用者', () => {
+    expect(validateRemoteTarget({ host: '-oProxyCommand=id' }).valid).toBe(false);
+    expect(validateRemoteTarget({ host: 'devbox', user: '-l' }).valid).toBe(false);
+    expect(validateRemoteTarget({ host: 'dev box' }).valid).toBe(false);
+    expect(validateRemoteTarget({ host: 'devbox', identityFile: '-F/tmp/x' }).valid).toBe(false);
+  });
+
+  it('應拒絕無效的連接埠與非物件', () => {
+    expect(validateRemoteTarget({ host: 'devbox', port: 0 }).valid).toBe(false);
+    expect(validateRemoteTarget({ host: 'devbox', port: '22' }).valid).toBe(false);
+    expect(validateRemoteTarget({ host: 'devbox', port: 70000 }).valid).toBe(false);
+    expect(validateRemoteTarget('devbox').valid).toBe(false);
+  });
+});
+
+describe('getSshTarget', () => {
+  it('有使用者時應組成 user@host', () => {
+    expect(getSshTarget({ host: 'devbox', user: 'me' })).toBe('me@devbox');
+    expect(getSshTarget({ host: 'devbox' })).toBe('devbox');
+  });
+});
+
+describe('buildRemoteShellCommand', () => {
+  it('應以單引號引用遠端路徑', () => {
+    expect(buildRemoteShellCommand('/srv/my app')).toBe("cd '/srv/my app' && exec $SHELL -l");
+  });
+
+  it('應保留 ~ 以便由遠端 shell 展開', () => {
+    expect(buildRemoteShellCommand('~')).toBe('cd ~ && exec $SHELL -l');
+    expect(buildRemoteShellCommand('~/code')).toBe("cd ~/'code' && exec $SHELL -l");
+  });
+});
+
+describe('buildSshArgs', () => {
+  it('應依序組裝選項、目標與遠端命令', () => {
+    expect(
+      buildSshArgs({ host: 'devbox', user: 'me', port: 2222, identityFile: '/k/id' }, '/srv')
+    ).toEqual([
+      'ssh',
+      '-t',
+      '-p',
+      '2222',
+      '-i',
+      '/k/id',
+      'me@devbox',
+      "cd '/srv' && exec $SHELL -l",
+    ]);
+  });
+
+  it('沒有遠端路徑時不應附加遠端命令', () => {
+    expect(buildSshArgs({ host: 'devbox' })).toEqual(['ssh', '-t', 'devbox']);
+  });
+});
+
+describe('formatPosixCommand', () => {
+  it('應只引用含特殊字元的引數', () => {
+    expect(formatPosixCommand(['ssh', '-t', 'devbox', 'cd ~ && exec $SHELL -l'])).toBe(
+      "ssh -t devbox 'cd ~ && exec $SHELL -l'"
+    );
+  });
+});
@@ -8,12 +8,18 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 const mockGetConfig = vi.fn();
 const mockSaveConfig = vi.fn();
 const mockValidatePaths = vi.fn();
+const mockDetectContainers = vi.fn();
+const mockGetGitStatuses = vi.fn();
+const mockGetRecentLaunches = vi.fn();
 
 vi.stubGlobal('window', {
   electronAPI: {
     getConfig: mockGetConfig,
     saveConfig: mockSaveConfig,
     validatePaths: mockValidatePaths,
+    detectContainers: mockDetectContainers,
+    getGitStatuses: mockGetGitStatuses,
+    getRecentLaunches: mockGetRecentLaunches,
   },
 });
 
@@ -27,7 +33,15 @@ const {
   resetConfig,
   validateAllPaths,
   isPathValid,
+  isDirectoryPathValid,
   getInvalidPathDirectories,
+  detectAllContainers,
+  getDirectoryContainer,
+  refreshGitStatuses,
+  getDirectoryGitStatus,
+  loadRecentLaunches,
+  getRecentLaunches,
+  getLaunchRank,
 } = await import('../src/renderer/scripts/state.js');
 
 describe('state.js', () => {
@@ -141,6 +155,22 @@ describe('state.js', () => {
 
       expect(mockValidatePaths).toHaveBeenCalledWith(['/same/path']);
     });
+
+    it('不應驗證遠端目錄的路徑', async () => {
+      setConfig({
+        directories: [
+          { id: 1, path: '/local' },
+          { id: 2, path: '/srv/app', remote: { host: 'devbox' } },
+        ],
+      });
+      mockValidatePaths.mockResolvedValue({ '/local': false });
+
+      await validateAllPaths();
+
+      expect(mockValidatePaths).toHaveBeenCalledWith(['/local']);
+      expect(isDirectoryPathValid({ path: '/srv/app', remote: { host: 'devbox' } })).toBeNull();
+      expect(getInvalidPathDirectories().map(d => d.id)).toEqual([1]);
+    });
   });
 
   describe('isPathValid', () => {
@@ -186,4 +216,109 @@ describe('state.js', () => {
       expect(invalid[0].name).toBe('Invalid');
     });
   });
+
+  describe('detectAllContainers / getDirectoryContainer', () => {
+    it('應只偵測本機目錄並依路徑回傳結果', async () => {
+      setConfig({
+        directories: [
+          { id: 1, path: '/app' },
+          { id: 2, path: '/plain' },
+          { id: 3, path: '/srv/app', remote: { host: 'devbox' } },
+        ],
+      });
+      mockDetectContainers.mockResolvedValue({
+        '/app': { devcontainer: '.devcontainer/devcontainer.json', compose: null },
+        '/plain': null,
+      });
+
+      await detectAllContainers();
+
+      expect(mockDetectContainers).toHaveBeenCalledWith(['/app', '/plain']);
+      expect(getDirectoryContainer({ path: '/app' })).toEqual({
+        devcontainer: '.devcontainer/devcontainer.json',
+        compose: null,
+      });
+      expect(getDirectoryContainer({ path: '/plain' })).toBeNull();
+      expect(getDirectoryContainer({ path: '/app', remote: { host: 'devbox' } })).toBeNull();
+    });
+  });
+
+  describe('refreshGitStatuses / getDirectoryGitStatus', () => {
+    it('應只讀取本機目錄並依路徑回傳結果', async () => {
+      setConfig({
+        directories: [
+          { id: 1, path: '/repo' },
+          { id: 2, path: '/repo' },
+          { id: 3, path: '/srv/app', remote: { host: 'devbox' } },
+        ],
+      });
+      const status = { branch: 'main', dirty: false, ahead: 0, behind: 0, lastCommit: null };
+      mockGetGitStatuses.mockResolvedValue({ '/repo': status });
+
+      await refreshGitStatuses(true);
+
+      expect(mockGetGitStatuses).toHaveBeenCalledWith(['/repo'], true);
+      expect(getDirectoryGitStatus({ path: '/repo' })).toEqual(status);
+      expect(getDirectoryGitStatus({ path: '/repo', remote: { host: 'devbox' } })).toBeNull();
+      expect(getDirectoryGitStatus({ path: '/other' })).toBeNull();
+    });
+
+    it('讀取中再次呼叫應共用同一個請求', async () => {
+      setConfig({ directories: [{ id: 1, path: '/repo' }] });
+      mockGetGitStatuses.mockResolvedValue({});
+
+      await Promise.all([refreshGitStatuses(), refreshGitStatuses(true)]);
+
+      expect(mockGetGitStatuses).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('loadRecentLaunches / getRecentLaunches', () => {
+    it('應對應目錄並排除已刪除的目錄', async () => {
+      setConfig({ directories: [{ id: 1, path: '/a' }], settings: {} });
+      mockGetRecentLaunches.mockResolvedValue([
+        { directoryId: 2, lastUsed: 20, terminalId: 'term-1', count: 1 },
+        { directoryId: 1, lastUsed: 10, terminalId: 'term-2', count: 3 },
+      ]);
+
+      await loadRecentLaunches();
+
+      const recent = getRecentLaunches();
+      expect(recent).toHaveLength(1);
+      expect(recent[0].dir.id).toBe(1);
+      expect(recent[0].item.terminalId).toBe('term-2');
+    });
+
+    it('應依 recentLimit 截斷', async () => {
+      setConfig({
+        directories: [
+          { id: 1, path: '/a' },
+          { id: 2, path: '/b' },
+        ],
+        settings: { recentLimit: 1 },
+      });
+      mockGetRecentLaunches.mockResolvedValue([
+        { directoryId: 2, lastUsed: 20, terminalId: 'term-1', count: 1 },
+        { directoryId: 1, lastUsed: 10, terminalId: 'term-1', count: 1 },
+      ]);
+
+      await loadRecentLaunches();
+
+      expect(getRecentLaunches().map(({ dir }) => dir.id)).toEqual([2]);
+    });
+
+    it('getLaunchRank 應依主進程排序回傳名次', async () => {
+      setConfig({ directories: [{ id: 1 }, { id: 2 }], settings: {} });
+      mockGetRecentLaunches.mockResolvedValue([
+        { directoryId: 2, lastUsed: 10, terminalId: 'term-1', count: 5, score: 4 },
+        { directoryId: 1, lastUsed: 20, terminalId: 'term-1', count: 1, score: 1 },
+      ]);
+
+      await loadRecentLaunches();
+
+      expect(getLaunchRank(2)).toBe(0);
+      expect(getLaunchRank(1)).toBe(1);
+      expect(getLaunchRank(3)).toBe(Infinity);
+    });
+  });
 });
@@ -0,0 +1,79 @@
+/**
+ * tag-utils.js 單元測試
+ * 測試目錄標籤正規化、合併與驗證
+ */
+import { describe, it, expect } from 'vitest';
+
+const {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  mergeTags,
+  validateTags,
+} = require('../src/main/utils/tag-utils.js');
+
+describe('normalizeTag', () => {
+  it('應該去除前置 # 與頭尾空白並合併連續空白', () => {
+    expect(normalizeTag('  #client   acme ')).toBe('client acme');
+    expect(normalizeTag('##go')).toBe('go');
+  });
+
+  it('應該將非字串轉為空字串', () => {
+    expect(normalizeTag(42)).toBe('');
+    expect(normalizeTag(null)).toBe('');
+  });
+});
+
+describe('normalizeTags', () => {
+  it('應該不分大小寫去重並保留第一次出現的寫法', () => {
+    expect(normalizeTags(['Backend', 'go', 'backend', ' GO '])).toEqual(['Backend', 'go']);
+  });
+
+  it('應該移除空白標籤', () => {
+    expect(normalizeTags(['', '  ', '#', 'go'])).toEqual(['go']);
+  });
+
+  it('非陣列應回傳空陣列', () => {
+    expect(normalizeTags('go')).toEqual([]);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+});
+
+describe('mergeTags', () => {
+  it('應該將新標籤附加在原有標籤之後並去重', () => {
+    expect(mergeTags(['backend'], ['Backend', 'go'])).toEqual(['backend', 'go']);
+    expect(mergeTags(undefined, ['go'])).toEqual(['go']);
+  });
+
+  it('應該限制標籤數量', () => {
+    const many = Array.from({ length: MAX_TAGS + 5 }, (_, i) => 'tag' + i);
+    expect(mergeTags([], many)).toHaveLength(MAX_TAGS);
+  });
+});
+
+describe('validateTags', () => {
+  it('應該接受正規化後的標籤列表', () => {
+    expect(validateTags([], 'tags').valid).toBe(true);
+    expect(validateTags(['backend', 'client acme'], 'tags').valid).toBe(true);
+  });
+
+  it('應該拒絕非陣列與非字串標籤', () => {
+    expect(validateTags('go', 'tags').valid).toBe(false);
+    expect(validateTags([1], 'tags').valid).toBe(false);
+  });
+
+  it('應該拒絕未正規化、過長或重複的標籤', () => {
+    expect(validateTags([' go'], 'tags').valid).toBe(false);
+    expect(validateTags([''], 'tags').valid).toBe(false);
+    expect(validateTags(['x'.repeat(MAX_TAG_LENGTH + 1)], 'tags').valid).toBe(false);
+    expect(validateTags(['go', 'GO'], 'tags').valid).toBe(false);
+  });
+
+  it('應該拒絕超過數量上限', () => {
+    const many = Array.from({ length: MAX_TAGS + 1 }, (_, i) => 'tag' + i);
+    const result = validateTags(many, 'tags');
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain(String(MAX_TAGS));
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * tags.js 模組測試
+ * 測試目錄標籤正規化、彙整與群組/標籤篩選比對
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTags,
+  hasTag,
+  collectTags,
+  isFilterActive,
+  matchesDirectoryFilter,
+} from '../src/renderer/scripts/utils/tags.js';
+
+describe('normalizeTags', () => {
+  it('應該去除 # 與空白並不分大小寫去重', () => {
+    expect(normalizeTags([' #Backend ', 'backend', 'client  acme', ''])).toEqual([
+      'Backend',
+      'client acme',
+    ]);
+  });
+});
+
+describe('hasTag', () => {
+  it('應該不分大小寫比對標籤', () => {
+    expect(hasTag({ tags: ['Go'] }, 'go')).toBe(true);
+    expect(hasTag({ tags: ['Go'] }, 'golang')).toBe(false);
+    expect(hasTag({}, 'go')).toBe(false);
+  });
+});
+
+describe('collectTags', () => {
+  it('應該彙整標籤數量並依名稱排序', () => {
+    const directories = [{ tags: ['go', 'backend'] }, { tags: ['Backend'] }, {}];
+    expect(collectTags(directories)).toEqual([
+      { tag: 'backend', count: 2 },
+      { tag: 'go', count: 1 },
+    ]);
+  });
+});
+
+describe('matchesDirectoryFilter', () => {
+  const api = { group: 'work', tags: ['backend', 'go'] };
+  const web = { group: 'work', tags: ['frontend'] };
+  const misc = { tags: ['go'] };
+  const filter = (groups, tags, mode = 'any') => ({ groups, tags, mode });
+
+  it('未選取條件時應該全部符合', () => {
+    expect(isFilterActive(filter([], []))).toBe(false);
+    expect(matchesDirectoryFilter(misc, filter([], []))).toBe(true);
+  });
+
+  it('any 模式應該符合任一群組或標籤', () => {
+    const any = filter(['default'], ['backend']);
+    expect(matchesDirectoryFilter(api, any)).toBe(true);
+    expect(matchesDirectoryFilter(misc, any)).toBe(true);
+    expect(matchesDirectoryFilter(web, any)).toBe(false);
+  });
+
+  it('all 模式應該要求所有標籤且屬於選取的群組', () => {
+    expect(matchesDirectoryFilter(api, filter([], ['go', 'backend'], 'all'))).toBe(true);
+    expect(matchesDirectoryFilter(misc, filter([], ['go', 'backend'], 'all'))).toBe(false);
+    expect(matchesDirectoryFilter(api, filter(['work'], ['go'], 'all'))).toBe(true);
+    expect(matchesDirectoryFilter(misc, filter(['work'], ['go'], 'all'))).toBe(false);
+    expect(matchesDirectoryFilter(web, filter(['work', 'default'], [], 'all'))).toBe(true);
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * terminal.js（渲染進程）錯誤訊息測試
+ * 測試開啟失敗時依錯誤類型組成的提示訊息
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { getErrorMessage } from '../src/renderer/scripts/utils/terminal.js';
+
+vi.mock('../src/renderer/scripts/i18n.js', () => ({
+  t: (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key),
+}));
+
+describe('getErrorMessage', () => {
+  it('SPAWN_FAILED 應該顯示 errorDetail', () => {
+    const message = getErrorMessage({
+      success: false,
+      errorType: 'SPAWN_FAILED',
+      errorDetail: 'spawn kitty ENOENT',
+    });
+    expect(message).toBe('toast.spawnFailed {"error":"spawn kitty ENOENT"}');
+  });
+
+  it('SPAWN_EXITED_EARLY 應該附上結束代碼與 stderr 片段', () => {
+    const message = getErrorMessage({
+      success: false,
+      errorType: 'SPAWN_EXITED_EARLY',
+      errorDetail: 'boom: bad flag',
+      exitCode: 3,
+    });
+    expect(message).toBe('toast.spawnExitedEarly {"code":3}\nboom: bad flag');
+  });
+
+  it('未知的錯誤類型應該退回使用 errorDetail', () => {
+    expect(getErrorMessage({ success: false, errorType: 'OTHER', errorDetail: 'oops' })).toBe(
+      'toast.openFailed {"error":"oops"}'
+    );
+    expect(getErrorMessage({ success: false })).toBe('toast.openFailed {"error":"Unknown error"}');
+  });
+});
@@ -4,7 +4,10 @@
  *
  * @vitest-environment node
  */
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Mock validators
 vi.mock('../src/main/validators', () => ({
@@ -29,7 +32,15 @@ vi.mock('../src/main/validators', () => ({
   }),
 }));
 
-const { previewCommand, parseSimpleCommand, ErrorType } = require('../src/main/terminal.js');
+const {
+  previewCommand,
+  parseSimpleCommand,
+  openTerminal,
+  normalizeLaunchCheckMs,
+  resolveCommandTemplate,
+  createErrorResult,
+  ErrorType,
+} = require('../src/main/terminal.js');
 
 describe('previewCommand', () => {
   it('應該正確生成 Windows 路徑命令預覽', () => {
@@ -102,6 +113,252 @@ describe('previewCommand', () => {
     // 兩個 {path} 都應被替換
     expect(result.command).not.toContain('{path}');
   });
+
+  it('應該替換名稱、群組與上層目錄等佔位符', () => {
+    const dir = { path: '/home/user/api', name: 'API', group: 'group-1' };
+    const terminal = {
+      name: 'tmux',
+      command: 'tmux new -s {name} -c {path} -e GROUP={group} -e PARENT={parent}',
+      pathFormat: 'unix',
+    };
+
+    const result = previewCommand(dir, terminal, {
+      groups: [{ id: 'group-1', name: 'Work' }],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.shell).toBe(false);
+    expect(result.executable).toBe('tmux');
+    expect(result.args).toEqual([
+      'new',
+      '-s',
+      'API',
+      '-c',
+      '/home/user/api',
+      '-e',
+      'GROUP=Work',
+      '-e',
+      'PARENT=/home/user',
+    ]);
+  });
+
+  it('shell-free 模式的預覽應與實際引數一致', () => {
+    const dir = { path: '/home/user/my project', name: 'My Project' };
+    const terminal = { name: 'Code', command: 'code {path}', pathFormat: 'unix' };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.shell).toBe(false);
+    expect(result.args).toEqual(['/home/user/my project']);
+    expect(result.command).toBe('code "/home/user/my project"');
+  });
+
+  it('shell 模式應對每個佔位符值進行轉義', () => {
+    const dir = { path: '/home/user/api', name: "Bob's API" };
+    const terminal = {
+      name: 'Bash',
+      command: 'bash -c "cd {path} && echo {name}"',
+      pathFormat: 'unix',
+    };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.shell).toBe(true);
+    expect(result.command).toBe("bash -c \"cd '/home/user/api' && echo 'Bob'\\''s API'\"");
+  });
+
+  it('應該合併目錄與群組的環境變數並用於 {env:VAR}', () => {
+    const dir = { path: '/srv/app', group: 'infra', env: { AWS_PROFILE: 'dev' } };
+    const terminal = { name: 'Echo', command: 'echo {env:AWS_PROFILE}', pathFormat: 'unix' };
+
+    const result = previewCommand(dir, terminal, {
+      groups: [{ id: 'infra', name: 'Infra', env: { KUBECONFIG: '/k' } }],
+    });
+
+    expect(result.args).toEqual(['dev']);
+    expect(result.env.map(e => e.key)).toEqual(['KUBECONFIG', 'AWS_PROFILE']);
+    expect(result.envFile).toBeNull();
+  });
+
+  it('應該載入目錄的 .env 並在預覽中遮罩機密值', () => {
+    const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-envfile-'));
+    fs.writeFileSync(path.join(dirPath, '.env'), 'NODE_ENV=dev\nAPI_TOKEN=s3cr3t\n');
+
+    try {
+      const dir = { path: dirPath, envFile: '.env' };
+      const terminal = {
+        name: 'Echo',
+        command: 'echo {env:NODE_ENV} {env:API_TOKEN}',
+        pathFormat: 'unix',
+      };
+
+      const result = previewCommand(dir, terminal);
+
+      expect(result.envFile).toEqual({ path: path.join(dirPath, '.env'), loaded: true, count: 2 });
+      expect(result.env).toEqual([
+        { key: 'NODE_ENV', value: 'dev', source: 'envFile', masked: false },
+        { key: 'API_TOKEN', value: '********', source: 'envFile', masked: true },
+      ]);
+      expect(result.args).toEqual(['dev', '********']);
+      expect(result.command).not.toContain('s3cr3t');
+    } finally {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+    }
+  });
+
+  it('環境變數檔不存在時預覽應標示未載入', () => {
+    const dir = { path: os.tmpdir(), envFile: 'missing-termlauncher.env' };
+    const terminal = { name: 'Code', command: 'code {path}', pathFormat: 'unix' };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.success).toBe(true);
+    expect(result.envFile.loaded).toBe(false);
+    expect(result.envFile.error).toBe('NOT_FOUND');
+  });
+
+  it('應該保留跳脫的大括號', () => {
+    const dir = { path: '/srv/app' };
+    const terminal = { name: 'Find', command: 'find {path} -name {{x}}', pathFormat: 'unix' };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.args).toEqual(['/srv/app', '-name', '{x}']);
+  });
+
+  it('遠端目錄應使用 remoteCommand 並展開 {ssh}', () => {
+    const dir = { path: '/srv/app', remote: { host: 'devbox', user: 'me' } };
+    const terminal = {
+      name: 'Terminal',
+      command: 'x-terminal-emulator --working-directory={path}',
+      remoteCommand: 'x-terminal-emulator -e {ssh}',
+      pathFormat: 'unix',
+    };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.success).toBe(true);
+    expect(result.formattedPath).toBe('/srv/app');
+    expect(result.remote).toEqual({ host: 'devbox', user: 'me' });
+    if (process.platform === 'win32') {
+      expect(result.shell).toBe(true);
+      expect(result.command).toBe(
+        'x-terminal-emulator -e "ssh" "-t" "me@devbox" "cd \'/srv/app\' && exec $SHELL -l"'
+      );
+    } else {
+      expect(result.args).toEqual([
+        '-e',
+        'ssh',
+        '-t',
+        'me@devbox',
+        "cd '/srv/app' && exec $SHELL -l",
+      ]);
+    }
+  });
+
+  it('shell 模式下應逐一轉義 ssh 引數', () => {
+    const dir = { path: '~/code', remote: { host: 'devbox', port: 2222 } };
+    const terminal = { name: 'Shell', command: 'run {ssh} | cat', pathFormat: 'unix' };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.shell).toBe(true);
+    if (process.platform !== 'win32') {
+      expect(result.command).toBe(
+        "run 'ssh' '-t' '-p' '2222' 'devbox' 'cd ~/'\\''code'\\'' && exec $SHELL -l' | cat"
+      );
+    }
+  });
+
+  it('多工器啟動器應展開 {mux} 並回傳 session 名稱', () => {
+    const dir = { name: 'My API', path: '/srv/api' };
+    const terminal = {
+      name: 'tmux',
+      command: 'x-terminal-emulator -e {mux}',
+      multiplexer: 'tmux',
+      pathFormat: 'unix',
+    };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.success).toBe(true);
+    expect(result.multiplexer).toBe('tmux');
+    expect(result.session).toMatch(/^My-API-[0-9a-f]{6}$/);
+    if (process.platform !== 'win32') {
+      expect(result.args).toEqual(['-e', 'tmux', 'attach-session', '-t', `=${result.session}`]);
+    }
+  });
+
+  it('容器啟動器應展開 {container} 並回傳使用的 CLI', () => {
+    const dir = { name: 'api', path: '/srv/api' };
+    const terminal = {
+      name: 'Container',
+      command: 'x-terminal-emulator -e {container}',
+      container: 'devcontainer',
+      pathFormat: 'unix',
+    };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.success).toBe(true);
+    expect(result.container).toBe('devcontainer');
+    if (process.platform !== 'win32') {
+      expect(result.args.slice(0, 5)).toEqual([
+        '-e',
+        'devcontainer',
+        'exec',
+        '--workspace-folder',
+        '/srv/api',
+      ]);
+    }
+  });
+
+  it('啟動器不支援遠端目錄時預覽應回傳錯誤', () => {
+    const dir = { path: '/srv/app', remote: { host: 'devbox' } };
+    const terminal = { name: 'Code', command: 'code {path}', pathFormat: 'unix' };
+
+    const result = previewCommand(dir, terminal);
+
+    expect(result.success).toBe(false);
+    expect(result.errorType).toBe('REMOTE_NOT_SUPPORTED');
+  });
+});
+
+describe('resolveCommandTemplate', () => {
+  const remoteDir = { path: '/srv', remote: { host: 'devbox' } };
+
+  it('本機目錄應使用 command', () => {
+    expect(
+      resolveCommandTemplate({ path: '/srv' }, { command: 'a {path}', remoteCommand: 'b {ssh}' })
+    ).toBe('a {path}');
+  });
+
+  it('遠端目錄應優先使用 remoteCommand，其次為含 {ssh} 的 command', () => {
+    expect(
+      resolveCommandTemplate(remoteDir, { command: 'a {path}', remoteCommand: 'b {ssh}' })
+    ).toBe('b {ssh}');
+    expect(resolveCommandTemplate(remoteDir, { command: 'wt {ssh}' })).toBe('wt {ssh}');
+    expect(resolveCommandTemplate(remoteDir, { command: 'code {path}' })).toBeNull();
+  });
+
+  it('遠端目錄不應使用容器啟動器的 command', () => {
+    expect(
+      resolveCommandTemplate(remoteDir, { command: 'wt {container} {ssh}', container: 'docker' })
+    ).toBeNull();
+  });
+
+  it('遠端目錄不應使用多工器啟動器的 command', () => {
+    expect(
+      resolveCommandTemplate(remoteDir, { command: 'wt {mux} {ssh}', multiplexer: 'tmux' })
+    ).toBeNull();
+    expect(
+      resolveCommandTemplate(remoteDir, {
+        command: 'wt {mux}',
+        remoteCommand: 'wt {ssh}',
+        multiplexer: 'tmux',
+      })
+    ).toBe('wt {ssh}');
+  });
 });
 
 describe('parseSimpleCommand', () => {
@@ -147,6 +404,25 @@ describe('parseSimpleCommand', () => {
     expect(parseSimpleCommand("bash -c 'cd {path}'")).toBeNull();
   });
 
+  it('應該解析含多種佔位符的命令', () => {
+    expect(parseSimpleCommand('zellij -s {name} --cwd {path} --env={env:HOME}')).toEqual({
+      executable: 'zellij',
+      argTemplates: ['-s', '{name}', '--cwd', '{path}', '--env={env:HOME}'],
+    });
+  });
+
+  it('應該對任何佔位符在引號內的命令回傳 null', () => {
+    expect(parseSimpleCommand('bash -c "echo {name}" {path}')).toBeNull();
+    expect(parseSimpleCommand("echo '{env:HOME}'")).toBeNull();
+  });
+
+  it('跳脫的大括號在引號內不應強制使用 shell', () => {
+    expect(parseSimpleCommand('echo "{{path}}" {path}')).toEqual({
+      executable: 'echo',
+      argTemplates: ['{{path}}', '{path}'],
+    });
+  });
+
   it('應該對引號未關閉的命令回傳 null', () => {
     expect(parseSimpleCommand('open -a "Terminal {path}')).toBeNull();
   });
@@ -188,5 +464,134 @@ describe('ErrorType', () => {
     expect(ErrorType.WSL_DISTRO_NOT_FOUND).toBe('WSL_DISTRO_NOT_FOUND');
     expect(ErrorType.TERMINAL_NOT_FOUND).toBe('TERMINAL_NOT_FOUND');
     expect(ErrorType.SPAWN_FAILED).toBe('SPAWN_FAILED');
+    expect(ErrorType.SPAWN_EXITED_EARLY).toBe('SPAWN_EXITED_EARLY');
+    expect(ErrorType.REMOTE_NOT_SUPPORTED).toBe('REMOTE_NOT_SUPPORTED');
+    expect(ErrorType.REMOTE_INVALID).toBe('REMOTE_INVALID');
+    expect(ErrorType.MULTIPLEXER_FAILED).toBe('MULTIPLEXER_FAILED');
+    expect(ErrorType.DOCKER_NOT_RUNNING).toBe('DOCKER_NOT_RUNNING');
+    expect(ErrorType.DOCKER_PERMISSION_DENIED).toBe('DOCKER_PERMISSION_DENIED');
+    expect(ErrorType.CONTAINER_NOT_RUNNING).toBe('CONTAINER_NOT_RUNNING');
+    expect(ErrorType.CONTAINER_FAILED).toBe('CONTAINER_FAILED');
+  });
+
+  it('找不到容器時應提供複製啟動命令的行動', () => {
+    const result = createErrorResult(
+      ErrorType.CONTAINER_NOT_RUNNING,
+      'devcontainer up --workspace-folder "/srv/api"'
+    );
+    expect(result.actions[0]).toEqual({
+      type: 'copy',
+      labelKey: 'error.action.copyStartCommand',
+      value: 'devcontainer up --workspace-folder "/srv/api"',
+    });
+    expect(createErrorResult(ErrorType.CONTAINER_NOT_RUNNING, null).actions).toHaveLength(1);
+  });
+});
+
+describe('normalizeLaunchCheckMs', () => {
+  it('未設定時應使用預設值', () => {
+    expect(normalizeLaunchCheckMs(undefined)).toBe(1000);
+  });
+
+  it('0 或無效值應停用觀察', () => {
+    expect(normalizeLaunchCheckMs(0)).toBe(0);
+    expect(normalizeLaunchCheckMs('abc')).toBe(0);
+    expect(normalizeLaunchCheckMs(-5)).toBe(0);
+  });
+
+  it('應該限制觀察時間上限', () => {
+    expect(normalizeLaunchCheckMs(60000)).toBe(5000);
+  });
+});
+
+describe('openTerminal 啟動觀察', () => {
+  let tmpDir;
+  let scriptPath;
+
+  let terminal;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termlauncher-spawn-'));
+    scriptPath = path.join(tmpDir, 'launcher.js');
+    fs.writeFileSync(
+      scriptPath,
+      "if (process.env.TL_CHECK_STDERR) process.exit(require('fs').fstatSync(2).isFIFO() ? 5 : 0);\n" +
+        "process.stderr.write(process.env.TL_STDERR || '');\n" +
+        'setTimeout(() => process.exit(Number(process.env.TL_EXIT_CODE || 0)), ' +
+        'Number(process.env.TL_DELAY || 0));\n'
+    );
+    // 以 node 執行測試腳本，行為由環境變數控制
+    terminal = {
+      command: '"' + process.execPath + '" "' + scriptPath + '" {path}',
+      pathFormat: 'windows',
+    };
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('應該將提前以非零代碼結束對應為 SPAWN_EXITED_EARLY 並附上 stderr', async () => {
+    const dir = { path: tmpDir, env: { TL_EXIT_CODE: '3', TL_STDERR: 'boom: bad flag' } };
+    const result = await openTerminal(dir, terminal, { launchCheckMs: 3000 });
+
+    expect(result.success).toBe(false);
+    expect(result.errorType).toBe('SPAWN_EXITED_EARLY');
+    expect(result.exitCode).toBe(3);
+    expect(result.errorDetail).toBe('boom: bad flag');
+    expect(result.actions).toContainEqual(
+      expect.objectContaining({ value: 'open-terminal-settings' })
+    );
+  });
+
+  it('觀察期間 stderr 不應為連接 TermLauncher 的管線', async () => {
+    const listCaptures = () =>
+      fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('termlauncher-stderr-'));
+    const before = listCaptures();
+    const dir = { path: tmpDir, env: { TL_CHECK_STDERR: '1' } };
+    const result = await openTerminal(dir, terminal, { launchCheckMs: 3000 });
+    expect(result).toEqual({ success: true });
+    // 觀察結束後應移除 stderr 暫存檔
+    expect(listCaptures()).toEqual(before);
+  });
+
+  it('提前以代碼 0 結束應視為成功', async () => {
+    const dir = { path: tmpDir, env: { TL_EXIT_CODE: '0' } };
+    const result = await openTerminal(dir, terminal, { launchCheckMs: 3000 });
+    expect(result).toEqual({ success: true });
+  });
+
+  it('觀察期結束仍在執行應視為成功', async () => {
+    const dir = { path: tmpDir, env: { TL_EXIT_CODE: '1', TL_DELAY: '1500' } };
+    const result = await openTerminal(dir, terminal, { launchCheckMs: 200 });
+    expect(result).toEqual({ success: true });
+  });
+
+  it('設定 ignoreExitCode 時應忽略非零結束代碼', async () => {
+    const dir = { path: tmpDir, env: { TL_EXIT_CODE: '1' } };
+    const result = await openTerminal(
+      dir,
+      { ...terminal, ignoreExitCode: true },
+      { launchCheckMs: 3000 }
+    );
+    expect(result.success).toBe(true);
+  });
+
+  it('停用觀察時應立即回傳成功', async () => {
+    const dir = { path: tmpDir, env: { TL_EXIT_CODE: '3' } };
+    const result = await openTerminal(dir, terminal, { launchCheckMs: 0 });
+    expect(result).toEqual({ success: true });
+  });
+
+  it.skipIf(process.platform === 'win32')('找不到可執行檔時應回傳 SPAWN_FAILED', async () => {
+    const result = await openTerminal(
+      { path: tmpDir },
+      { command: 'termlauncher-missing-executable {path}', pathFormat: 'unix' },
+      { launchCheckMs: 3000 }
+    );
+    expect(result.success).toBe(false);
+    expect(result.errorType).toBe('SPAWN_FAILED');
+    expect(result.errorDetail).toContain('ENOENT');
+    expect(result.actions).toBeDefined();
   });
 });
@@ -0,0 +1,167 @@
+/**
+ * workspace.js 單元測試
+ * 測試工作區依序執行啟動器與結果彙整
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+
+const {
+  saveConfig,
+  loadConfig,
+  invalidateConfigCache,
+  configPath,
+} = require('../src/main/config.js');
+const {
+  historyPath,
+  invalidateHistoryCache,
+  getRecentLaunches,
+} = require('../src/main/history.js');
+const {
+  normalizeDelay,
+  summarizeSteps,
+  runWorkspace,
+  MAX_STEP_DELAY,
+} = require('../src/main/workspace.js');
+
+/**
+ * 清理測試產生的配置檔
+ */
+function cleanup() {
+  try {
+    fs.unlinkSync(configPath);
+  } catch {}
+  try {
+    fs.unlinkSync(configPath + '.tmp');
+  } catch {}
+  try {
+    fs.unlinkSync(historyPath);
+  } catch {}
+  invalidateHistoryCache();
+}
+
+/**
+ * 建立含工作區的測試配置
+ * @param {Array} steps - 工作區步驟
+ */
+function setupConfig(steps) {
+  const config = loadConfig();
+  config.directories = [
+    { id: 1, name: 'Temp', icon: '📁', path: os.tmpdir(), group: 'default', order: 0 },
+  ];
+  config.terminals = [
+    ...config.terminals,
+    { id: 'noop', name: 'Noop', icon: '💻', command: 'node --version' },
+    { id: 'broken', name: 'Broken', icon: '💻', command: '' },
+  ];
+  config.workspaces = [{ id: 'workspace-1', name: 'Morning', directoryId: 1, steps }];
+  saveConfig(config);
+}
+
+describe('normalizeDelay', () => {
+  it('非數字或負數應視為 0', () => {
+    expect(normalizeDelay(undefined)).toBe(0);
+    expect(normalizeDelay('abc')).toBe(0);
+    expect(normalizeDelay(-100)).toBe(0);
+  });
+
+  it('應該限制延遲上限', () => {
+    expect(normalizeDelay(250)).toBe(250);
+    expect(normalizeDelay(MAX_STEP_DELAY * 10)).toBe(MAX_STEP_DELAY);
+  });
+});
+
+describe('summarizeSteps', () => {
+  it('全部成功時 success 應為 true', () => {
+    expect(summarizeSteps([{ success: true }, { success: true }])).toEqual({
+      success: true,
+      partial: false,
+      succeeded: 2,
+      failed: 0,
+    });
+  });
+
+  it('部分失敗時應標記 partial', () => {
+    expect(summarizeSteps([{ success: true }, { success: false }])).toEqual({
+      success: false,
+      partial: true,
+      succeeded: 1,
+      failed: 1,
+    });
+  });
+
+  it('沒有步驟時不應視為成功', () => {
+    expect(summarizeSteps([]).success).toBe(false);
+  });
+});
+
+describe('runWorkspace', () => {
+  beforeEach(() => {
+    invalidateConfigCache();
+    cleanup();
+  });
+
+  afterEach(() => {
+    invalidateConfigCache();
+    cleanup();
+  });
+
+  it('找不到工作區時應回傳錯誤', async () => {
+    const result = await runWorkspace('missing');
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Workspace not found');
+  });
+
+  it('應該依序執行並彙整各步驟結果', async () => {
+    setupConfig([
+      { terminalId: 'broken' },
+      { terminalId: 'deleted-launcher' },
+      { terminalId: 'noop', delay: 10 },
+    ]);
+
+    const result = await runWorkspace('workspace-1');
+
+    expect(result.workspaceId).toBe('workspace-1');
+    expect(result.steps.map(s => s.terminalId)).toEqual(['broken', 'deleted-launcher', 'noop']);
+    expect(result.steps.map(s => s.index)).toEqual([0, 1, 2]);
+    expect(result.steps[0].success).toBe(false);
+    expect(result.steps[0].errorType).toBe('INVALID_CONFIG');
+    expect(result.steps[1].success).toBe(false);
+    expect(result.steps[1].errorType).toBe('TERMINAL_NOT_FOUND');
+    expect(result.steps[1].actions).toContainEqual(
+      expect.objectContaining({ value: 'open-terminal-settings' })
+    );
+    expect(result.steps[2].success).toBe(true);
+    expect(result).toMatchObject({ success: false, partial: true, succeeded: 1, failed: 2 });
+  });
+
+  it('每個步驟都應記錄到啟動歷史', async () => {
+    setupConfig([{ terminalId: 'noop' }]);
+
+    const result = await runWorkspace('workspace-1', { source: 'tray' });
+
+    expect(result.success).toBe(true);
+    expect(getRecentLaunches()[0]).toMatchObject({
+      directoryId: 1,
+      terminalId: 'noop',
+      source: 'tray',
+      success: true,
+      count: 1,
+    });
+  });
+
+  it('失敗的步驟也應記錄錯誤類型', async () => {
+    setupConfig([{ terminalId: 'broken' }]);
+
+    const result = await runWorkspace('workspace-1');
+
+    expect(result).toMatchObject({ success: false, partial: false, failed: 1 });
+    expect(getRecentLaunches()[0]).toMatchObject({
+      source: 'ui',
+      success: false,
+      errorType: 'INVALID_CONFIG',
+    });
+  });
+});